@@ -0,0 +1,31 @@
+/**
+ * JSON Schemas for prompt templates that ask for structured answers
+ * Passed to providers as options.structuredOutput (see
+ * BaseProvider.generateStructuredResponse), which validates the answer and
+ * re-prompts when it doesn't match.
+ */
+
+const stringList = (description) => ({ type: 'array', items: { type: 'string' }, description });
+
+// eat.authority-seo: SEO structure of the enhanced article
+const SEO_STRUCTURE = {
+    name: 'seo_structure',
+    schema: {
+        type: 'object',
+        properties: {
+            title: { type: 'string', minLength: 10, maxLength: 90, description: 'SEO title with the target keyword (30-60 characters)' },
+            metaDescription: { type: 'string', minLength: 50, maxLength: 200, description: 'Meta description with keyword and call to action (120-160 characters)' },
+            body: { type: 'string', minLength: 1, description: 'Enhanced content with authority signals and SEO structure' },
+            suggestedTags: stringList('Tags for the post'),
+            internalLinks: stringList('Suggested internal link topics'),
+            externalSources: stringList('Credible external sources to reference'),
+            keywordVariations: stringList('Semantic keywords and variations'),
+            featuredSnippet: { type: 'string', description: 'Content optimized for a featured snippet' }
+        },
+        required: ['title', 'metaDescription', 'body']
+    }
+};
+
+module.exports = {
+    SEO_STRUCTURE
+};
@@ -1,3 +1,13 @@
+const { readSSE, finalizeUsage } = require('./streamEvents');
+const {
+    DEFAULT_MAX_ATTEMPTS,
+    jsonSchemaToZod,
+    validateContent,
+    buildStructuredPrompt,
+    buildRepairPrompt,
+    structuredOutputError
+} = require('./structuredOutput');
+
 class BaseProvider {
     constructor(config) {
         this.config = config;
@@ -7,14 +17,165 @@ class BaseProvider {
         this.name = config.name || this.constructor.name.toLowerCase().replace('provider', '');
     }
 
+    /**
+     * Generate a response. Implementations hand requests with
+     * options.structuredOutput to generateStructuredResponse, and spread
+     * options.jsonMode (see getJsonMode) into their request body.
+     * @param {string} prompt - Prompt
+     * @param {Object} options - { model, maxTokens, temperature, structuredOutput, ... }
+     */
     async generateResponse(prompt, options = {}) {
         throw new Error('generateResponse method must be implemented by subclass');
     }
 
+    /**
+     * Generate a JSON answer that matches a JSON Schema. The provider's native
+     * JSON mode is used where it has one and the schema is always spelled out
+     * in the prompt. Answers that fail zod validation are re-prompted with the
+     * validation errors.
+     * @param {string} prompt - Prompt
+     * @param {Object} options - Generation options with structuredOutput:
+     *   { schema: JSON Schema, name, maxAttempts (default 3) }
+     * @returns {Promise<Object>} - Provider response with data (the validated
+     *   value) and structured: { name, attempts, nativeJsonMode }
+     */
+    async generateStructuredResponse(prompt, options = {}) {
+        const { structuredOutput, ...generationOptions } = options;
+        const { schema, name = 'response', maxAttempts = DEFAULT_MAX_ATTEMPTS } = structuredOutput;
+        const validator = jsonSchemaToZod(schema);
+        const jsonMode = this.getJsonMode({ name, schema });
+
+        let attemptPrompt = buildStructuredPrompt(prompt, schema);
+        let response = null;
+        let validation = null;
+
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            response = await this.generateResponse(attemptPrompt, { ...generationOptions, ...(jsonMode && { jsonMode }) });
+            const content = typeof response === 'string' ? response : response?.content;
+
+            validation = validateContent(content, validator);
+            if (validation.success) {
+                return {
+                    ...(typeof response === 'string' ? { content } : response),
+                    data: validation.data,
+                    structured: { name, attempts: attempt, nativeJsonMode: Boolean(jsonMode) }
+                };
+            }
+
+            console.warn(`⚠️ [${this.name}] ${name} answer failed validation (attempt ${attempt}/${maxAttempts}):`,
+                validation.errors.map(error => `${error.field || '(root)'}: ${error.message}`).join('; '));
+            attemptPrompt = buildRepairPrompt(prompt, schema, content, validation.errors);
+        }
+
+        throw structuredOutputError(name, maxAttempts, validation.errors, typeof response === 'string' ? response : response?.content);
+    }
+
+    /**
+     * Request body fields that switch on the provider's native JSON mode, or
+     * null when the provider has none and only the prompt asks for JSON
+     * @param {Object} format - { name, schema }
+     * @returns {Object|null}
+     */
+    getJsonMode(format) {
+        return null;
+    }
+
     async generateStreamResponse(prompt, options = {}) {
         throw new Error('generateStreamResponse method must be implemented by subclass');
     }
 
+    /**
+     * Stream a response as provider-independent events:
+     *   { type: 'token', content }      - next piece of the answer
+     *   { type: 'reasoning', content }  - thinking tokens (DeepSeek R1)
+     *   { type: 'done', content, model, usage, finishReason, cancelled }
+     * Aborting options.signal or leaving the loop early closes the HTTP stream.
+     */
+    async *streamTokens(prompt, options = {}) {
+        const stream = await this.generateStreamResponse(prompt, options);
+        yield* this.parseTokenStream(stream, prompt, options);
+    }
+
+    /**
+     * Turn the raw SSE stream from generateStreamResponse into token events
+     */
+    async *parseTokenStream(stream, prompt, options = {}) {
+        const { signal } = options;
+        let content = '';
+        let model = options.model || this.model;
+        let usage = null;
+        let finishReason = null;
+
+        const closeStream = () => stream.destroy?.();
+        signal?.addEventListener('abort', closeStream, { once: true });
+
+        try {
+            for await (const data of readSSE(stream)) {
+                if (data === '[DONE]') break;
+
+                let chunk;
+                try {
+                    chunk = JSON.parse(data);
+                } catch (error) {
+                    continue; // Keep-alive or partial garbage - skip it
+                }
+
+                const parsed = this.parseStreamChunk(chunk);
+                if (parsed.error) {
+                    throw new Error(parsed.error);
+                }
+
+                model = parsed.model || model;
+                usage = parsed.usage || usage;
+                finishReason = parsed.finishReason || finishReason;
+
+                if (parsed.reasoning) {
+                    yield { type: 'reasoning', content: parsed.reasoning };
+                }
+                if (parsed.text) {
+                    content += parsed.text;
+                    yield { type: 'token', content: parsed.text };
+                }
+            }
+        } catch (error) {
+            // A cancelled request ends the stream with an abort error - not a failure
+            if (!signal?.aborted) throw error;
+        } finally {
+            signal?.removeEventListener('abort', closeStream);
+            closeStream();
+        }
+
+        yield {
+            type: 'done',
+            content,
+            model,
+            finishReason,
+            cancelled: Boolean(signal?.aborted),
+            usage: finalizeUsage(usage, prompt, content)
+        };
+    }
+
+    /**
+     * Read one streamed chunk. The default handles the OpenAI-compatible
+     * chat.completion.chunk format; providers with other formats override it.
+     * @returns {Object} - { text, reasoning, finishReason, model, usage, error }
+     */
+    parseStreamChunk(chunk) {
+        const choice = chunk.choices?.[0];
+        return {
+            text: choice?.delta?.content || '',
+            reasoning: choice?.delta?.reasoning_content || '',
+            finishReason: choice?.finish_reason || null,
+            model: chunk.model || null,
+            usage: chunk.usage ? {
+                promptTokens: chunk.usage.prompt_tokens,
+                completionTokens: chunk.usage.completion_tokens,
+                totalTokens: chunk.usage.total_tokens
+            } : null,
+            error: chunk.error ? (chunk.error.message || String(chunk.error)) : null
+        };
+    }
+
     // Added missing methods required by tests
     async generateContent(prompt, options = {}) {
         return this.generateResponse(prompt, options);
@@ -0,0 +1,86 @@
+/**
+ * Stream helpers shared by all providers
+ * Splits a raw Server-Sent Events byte stream into data payloads and
+ * normalizes token usage reported by the different APIs
+ */
+
+/**
+ * Yield the data payload of each SSE event in a readable stream
+ * @param {Readable} stream - Raw HTTP response stream (axios responseType: 'stream')
+ */
+async function* readSSE(stream) {
+    // Keeps the bytes of a character split across chunks (Thai takes 3 bytes) until the rest arrives
+    const decoder = new TextDecoder('utf-8');
+    let buffer = '';
+    let dataLines = [];
+
+    const flushEvent = function* () {
+        if (dataLines.length > 0) {
+            yield dataLines.join('\n');
+            dataLines = [];
+        }
+    };
+
+    for await (const chunk of stream) {
+        buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+
+        let newlineIndex;
+        while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, newlineIndex).replace(/\r$/, '');
+            buffer = buffer.slice(newlineIndex + 1);
+
+            if (line === '') {
+                yield* flushEvent();
+            } else if (line.startsWith('data:')) {
+                dataLines.push(line.slice(5).replace(/^ /, ''));
+            }
+            // Comments (": ping") and event/id/retry fields carry nothing we need
+        }
+    }
+    buffer += decoder.decode();
+
+    if (buffer.startsWith('data:')) {
+        dataLines.push(buffer.slice(5).replace(/^ /, ''));
+    }
+    yield* flushEvent();
+}
+
+/**
+ * Rough token count for providers that do not report usage while streaming
+ * (~4 characters per token for English, ~2 for Thai script)
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+    if (!text) return 0;
+    const thaiChars = (text.match(/[\u0E00-\u0E7F]/g) || []).length;
+    return Math.ceil(thaiChars / 2 + (text.length - thaiChars) / 4);
+}
+
+/**
+ * Final usage of a stream, estimated from the text when the provider sent none
+ * @param {Object|null} usage - { promptTokens, completionTokens, totalTokens } from the provider
+ * @param {string} prompt - Prompt sent
+ * @param {string} content - Streamed answer
+ * @returns {Object} - { promptTokens, completionTokens, totalTokens, estimated }
+ */
+function finalizeUsage(usage, prompt, content) {
+    if (usage && Number.isFinite(usage.totalTokens)) {
+        return { ...usage, estimated: false };
+    }
+
+    const promptTokens = estimateTokens(prompt);
+    const completionTokens = estimateTokens(content);
+    return {
+        promptTokens,
+        completionTokens,
+        totalTokens: promptTokens + completionTokens,
+        estimated: true
+    };
+}
+
+module.exports = {
+    readSSE,
+    estimateTokens,
+    finalizeUsage
+};
@@ -0,0 +1,172 @@
+/**
+ * Structured output helpers shared by all providers
+ * Turns a JSON Schema into a zod validator, pulls the JSON value out of a
+ * model answer and writes the instructions and re-prompts that ask for it
+ */
+
+const { z } = require('zod');
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+// Previous answer quoted back in a re-prompt
+const REPAIR_EXCERPT_LENGTH = 2000;
+
+/**
+ * Build a zod validator from a JSON Schema. Supports the keywords models are
+ * asked to follow: type (or a list of types), enum, const, properties,
+ * required, additionalProperties, items, anyOf/oneOf, string, number and
+ * array bounds. Other keywords are ignored.
+ * @param {Object} jsonSchema - JSON Schema
+ * @returns {ZodType}
+ */
+const jsonSchemaToZod = (jsonSchema = {}) => {
+    if (jsonSchema === true || Object.keys(jsonSchema).length === 0) {
+        return z.any();
+    }
+    if (jsonSchema.const !== undefined) {
+        return z.literal(jsonSchema.const);
+    }
+    if (Array.isArray(jsonSchema.enum)) {
+        const [first, ...rest] = jsonSchema.enum.map(value => z.literal(value));
+        return rest.length > 0 ? z.union([first, ...rest]) : first;
+    }
+
+    const alternatives = jsonSchema.anyOf || jsonSchema.oneOf;
+    if (Array.isArray(alternatives)) {
+        const options = alternatives.map(jsonSchemaToZod);
+        return options.length > 1 ? z.union(options) : options[0];
+    }
+
+    if (Array.isArray(jsonSchema.type)) {
+        const options = jsonSchema.type.map(type => jsonSchemaToZod({ ...jsonSchema, type }));
+        return options.length > 1 ? z.union(options) : options[0];
+    }
+
+    switch (jsonSchema.type) {
+        case 'string': {
+            let schema = z.string();
+            if (jsonSchema.minLength !== undefined) schema = schema.min(jsonSchema.minLength);
+            if (jsonSchema.maxLength !== undefined) schema = schema.max(jsonSchema.maxLength);
+            if (jsonSchema.pattern) schema = schema.regex(new RegExp(jsonSchema.pattern, 'u'));
+            return schema;
+        }
+        case 'number':
+        case 'integer': {
+            let schema = jsonSchema.type === 'integer' ? z.number().int() : z.number();
+            if (jsonSchema.minimum !== undefined) schema = schema.min(jsonSchema.minimum);
+            if (jsonSchema.maximum !== undefined) schema = schema.max(jsonSchema.maximum);
+            return schema;
+        }
+        case 'boolean':
+            return z.boolean();
+        case 'null':
+            return z.null();
+        case 'array': {
+            let schema = z.array(jsonSchemaToZod(jsonSchema.items || {}));
+            if (jsonSchema.minItems !== undefined) schema = schema.min(jsonSchema.minItems);
+            if (jsonSchema.maxItems !== undefined) schema = schema.max(jsonSchema.maxItems);
+            return schema;
+        }
+        case 'object': {
+            const required = jsonSchema.required || [];
+            const shape = Object.fromEntries(Object.entries(jsonSchema.properties || {}).map(([key, property]) => {
+                const schema = jsonSchemaToZod(property);
+                return [key, required.includes(key) ? schema : schema.optional()];
+            }));
+            const schema = z.object(shape);
+            return jsonSchema.additionalProperties === false ? schema.strict() : schema.passthrough();
+        }
+        default:
+            return z.any();
+    }
+};
+
+/**
+ * The JSON value in a model answer. Reasoning blocks (<think>) and markdown
+ * code fences are dropped; failing that, the outermost {...} or [...] is used.
+ * @param {string} content - Model answer
+ * @returns {{ value: *, error: string|null }}
+ */
+const extractJSON = (content) => {
+    const text = String(content ?? '')
+        .replace(/<think>[\s\S]*?<\/think>/g, '')
+        .trim();
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    const candidates = [fenced?.[1], text];
+
+    const start = text.search(/[[{]/);
+    if (start !== -1) {
+        const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+        if (end > start) candidates.push(text.slice(start, end + 1));
+    }
+
+    for (const candidate of candidates.filter(Boolean)) {
+        try {
+            return { value: JSON.parse(candidate.trim()), error: null };
+        } catch (error) {
+            continue;
+        }
+    }
+    return { value: undefined, error: text.length === 0 ? 'Empty response' : 'Response is not valid JSON' };
+};
+
+/**
+ * Parse and validate a model answer
+ * @param {string} content - Model answer
+ * @param {ZodType} validator - From jsonSchemaToZod
+ * @returns {Object} - { success, data } or { success: false, errors: [{ field, message }] }
+ */
+const validateContent = (content, validator) => {
+    const { value, error } = extractJSON(content);
+    if (error) {
+        return { success: false, errors: [{ field: '', message: error }] };
+    }
+
+    const result = validator.safeParse(value);
+    if (!result.success) {
+        return {
+            success: false,
+            errors: result.error.errors.map(e => ({ field: e.path.join('.'), message: e.message }))
+        };
+    }
+    return { success: true, data: result.data };
+};
+
+/**
+ * Prompt with the instruction to answer in JSON matching the schema
+ */
+const buildStructuredPrompt = (prompt, jsonSchema) => `${prompt}
+
+Respond with only a JSON value (no markdown, no commentary) that matches this JSON Schema:
+${JSON.stringify(jsonSchema, null, 2)}`;
+
+/**
+ * Prompt asking the model to fix an answer that failed validation
+ */
+const buildRepairPrompt = (prompt, jsonSchema, previousContent, errors) => `${buildStructuredPrompt(prompt, jsonSchema)}
+
+Your previous answer did not match the schema:
+${String(previousContent ?? '').slice(0, REPAIR_EXCERPT_LENGTH)}
+
+Problems:
+${errors.map(error => `- ${error.field || '(root)'}: ${error.message}`).join('\n')}
+
+Answer again with corrected JSON only.`;
+
+/**
+ * Error thrown when no attempt produced a valid answer
+ */
+const structuredOutputError = (name, attempts, errors, content) => Object.assign(
+    new Error(`Response did not match the ${name} schema after ${attempts} attempt(s): ${errors.map(error => `${error.field || '(root)'}: ${error.message}`).join('; ')}`),
+    { name: 'StructuredOutputError', validationErrors: errors, content, attempts }
+);
+
+module.exports = {
+    DEFAULT_MAX_ATTEMPTS,
+    jsonSchemaToZod,
+    extractJSON,
+    validateContent,
+    buildStructuredPrompt,
+    buildRepairPrompt,
+    structuredOutputError
+};
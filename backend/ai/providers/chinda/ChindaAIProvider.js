@@ -37,6 +37,10 @@ class ChindaAIProvider extends BaseProvider {
     }
     
     async generateResponse(prompt, options = {}) {
+        if (options.structuredOutput) {
+            return this.generateStructuredResponse(prompt, options);
+        }
+        
         try {
             console.log(`🤖 [ChindaX] Generating response via ChindaX API...`);
             console.log(`🔐 [ChindaX] Using baseURL: ${this.baseURL}`);
@@ -150,6 +154,30 @@ class ChindaAIProvider extends BaseProvider {
         }
     }
 
+    async generateStreamResponse(prompt, options = {}) {
+        try {
+            const model = options.model || 'chinda-qwen3-4b';
+            console.log(`🌊 [ChindaX] Streaming response using model: ${model}`);
+            
+            const response = await this.client.post('/chat/completions', {
+                model: model,
+                messages: [{ role: 'user', content: prompt }],
+                max_tokens: this.calculateOptimalTokens(options.maxTokens, options.contentLength, options.articleType),
+                temperature: options.temperature || 0.7,
+                stream: true
+            }, {
+                responseType: 'stream',
+                timeout: 30000, // Time to first byte; the stream itself may run longer
+                signal: options.signal // Client cancellation closes the upstream request
+            });
+            
+            return response.data;
+        } catch (error) {
+            console.error('❌ [ChindaX] Stream error:', error.message);
+            throw new Error(`ChindaX stream error: ${error.response?.status ? `[${error.response.status}] ` : ''}${error.message}`);
+        }
+    }
+
     async generateContent(prompt) {
         // For backward compatibility
         const response = await this.generateResponse(prompt);
@@ -26,6 +26,10 @@ class ClaudeProvider extends BaseProvider {
     }
 
     async generateResponse(prompt, options = {}) {
+        if (options.structuredOutput) {
+            return this.generateStructuredResponse(prompt, options);
+        }
+        
         try {
             this.validateApiKey();
             
@@ -97,6 +101,7 @@ class ClaudeProvider extends BaseProvider {
                         'Content-Type': 'application/json'
                     },
                     responseType: 'stream',
+                    signal: options.signal, // Client cancellation closes the upstream request
                     timeout: 30000 // 30 second timeout for streaming
                 }
             );
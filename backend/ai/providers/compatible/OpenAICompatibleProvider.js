@@ -0,0 +1,213 @@
+const BaseProvider = require('../base/BaseProvider');
+const axios = require('axios');
+
+// How long a discovered model list is reused before asking the endpoint again
+const DEFAULT_MODELS_TTL = 5 * 60 * 1000;
+
+// Local models on modest hardware are slow; give them longer than the hosted APIs
+const DEFAULT_TIMEOUT = 120000;
+
+/**
+ * Any server that speaks the OpenAI chat completions API: Ollama
+ * (http://localhost:11434/v1), vLLM, LM Studio, llama.cpp server, ...
+ * Everything comes from the providers.config.js entry:
+ *   baseURL   - endpoint root including /v1
+ *   apiKey    - sent as a bearer token (local servers usually ignore it)
+ *   model     - model to use; unset means the first one the endpoint lists
+ *   jsonMode  - 'json_schema' (default), 'json_object' or 'none'
+ *   timeout, modelsTtl, headers (extra request headers)
+ * Models are discovered from GET {baseURL}/models.
+ */
+class OpenAICompatibleProvider extends BaseProvider {
+    constructor(config) {
+        super(config);
+
+        this.label = config.name || 'OpenAI-compatible';
+        this.timeout = config.timeout || DEFAULT_TIMEOUT;
+        this.modelsTtl = config.modelsTtl ?? DEFAULT_MODELS_TTL;
+        this.jsonMode = config.jsonMode || 'json_schema';
+        this.extraHeaders = config.headers || {};
+        this.discovered = null; // { models, fetchedAt }
+
+        console.log(`🖥️ [${this.label}] Initialized with endpoint: ${this.baseURL}`);
+        console.log(`🖥️ [${this.label}] Using model: ${this.model || '(first model the endpoint lists)'}`);
+    }
+
+    async generateResponse(prompt, options = {}) {
+        if (options.structuredOutput) {
+            return this.generateStructuredResponse(prompt, options);
+        }
+
+        try {
+            const model = await this.resolveModel(options.model);
+            console.log(`🤖 [${this.label}] Generating response using model: ${model}`);
+
+            const response = await axios.post(
+                `${this.baseURL}/chat/completions`,
+                {
+                    model: model,
+                    messages: [{ role: 'user', content: prompt }],
+                    max_tokens: options.maxTokens || this.config.maxTokens || 2000,
+                    temperature: options.temperature || this.config.temperature || 0.7,
+                    stream: false,
+                    ...options.jsonMode
+                },
+                {
+                    headers: this.getHeaders(),
+                    timeout: this.timeout
+                }
+            );
+
+            const choice = response.data?.choices?.[0];
+            if (!choice) {
+                throw new Error('Endpoint returned no choices');
+            }
+
+            return {
+                content: choice.message?.content || '',
+                usage: response.data.usage,
+                model: response.data.model || model,
+                provider: this.label,
+                finishReason: choice.finish_reason || null
+            };
+        } catch (error) {
+            console.error(`❌ [${this.label}] Generation error:`, error.message);
+            throw this.formatError(error);
+        }
+    }
+
+    async generateStreamResponse(prompt, options = {}) {
+        try {
+            const model = await this.resolveModel(options.model);
+            console.log(`🌊 [${this.label}] Streaming response using model: ${model}`);
+
+            const response = await axios.post(
+                `${this.baseURL}/chat/completions`,
+                {
+                    model: model,
+                    messages: [{ role: 'user', content: prompt }],
+                    max_tokens: options.maxTokens || this.config.maxTokens || 2000,
+                    temperature: options.temperature || this.config.temperature || 0.7,
+                    stream: true
+                },
+                {
+                    headers: this.getHeaders(),
+                    responseType: 'stream',
+                    signal: options.signal, // Client cancellation closes the upstream request
+                    timeout: this.timeout
+                }
+            );
+
+            return response.data;
+        } catch (error) {
+            console.error(`❌ [${this.label}] Stream error:`, error.message);
+            throw this.formatError(error);
+        }
+    }
+
+    /**
+     * JSON mode as configured: vLLM, LM Studio, llama.cpp and recent Ollama
+     * accept json_schema; older servers only json_object
+     */
+    getJsonMode(format) {
+        if (this.jsonMode === 'json_object') {
+            return { response_format: { type: 'json_object' } };
+        }
+        if (this.jsonMode === 'json_schema') {
+            return {
+                response_format: {
+                    type: 'json_schema',
+                    json_schema: { name: format.name.replace(/[^a-zA-Z0-9_-]/g, '_'), schema: format.schema }
+                }
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Models served by the endpoint (GET {baseURL}/models), cached for modelsTtl
+     * @param {Object} options - { refresh: true } skips the cache
+     * @returns {Promise<Array<Object>>} - [{ id, ownedBy, created }]
+     */
+    async listModels(options = {}) {
+        if (!options.refresh && this.discovered && Date.now() - this.discovered.fetchedAt < this.modelsTtl) {
+            return this.discovered.models;
+        }
+
+        try {
+            const response = await axios.get(`${this.baseURL}/models`, {
+                headers: this.getHeaders(),
+                timeout: Math.min(this.timeout, 10000)
+            });
+
+            // OpenAI format is { data: [...] }; some llama.cpp builds answer { models: [...] }
+            const entries = response.data?.data || response.data?.models || [];
+            const models = entries
+                .map(entry => ({
+                    id: entry.id || entry.name || entry.model,
+                    ownedBy: entry.owned_by || null,
+                    created: entry.created || null
+                }))
+                .filter(model => model.id);
+
+            this.discovered = { models, fetchedAt: Date.now() };
+            console.log(`📋 [${this.label}] Discovered ${models.length} model(s)`);
+            return models;
+        } catch (error) {
+            console.error(`❌ [${this.label}] Model discovery failed:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Model for a request: the one asked for, the configured one, or the
+     * first model the endpoint lists (remembered as this.model)
+     */
+    async resolveModel(requested) {
+        if (requested || this.model) {
+            return requested || this.model;
+        }
+
+        const [first] = await this.listModels();
+        if (!first) {
+            throw new Error(`No models available at ${this.baseURL} - pull or load one first`);
+        }
+        this.model = first.id;
+        console.log(`🖥️ [${this.label}] No model configured, using ${this.model}`);
+        return this.model;
+    }
+
+    getHeaders() {
+        return {
+            ...(this.apiKey && { 'Authorization': `Bearer ${this.apiKey}` }),
+            'Content-Type': 'application/json',
+            ...this.extraHeaders
+        };
+    }
+
+    /**
+     * Local servers need no key, so health is whether the model list answers
+     */
+    async checkHealth() {
+        const startTime = Date.now();
+        try {
+            const models = await this.listModels({ refresh: true });
+            return {
+                status: models.length > 0 ? 'healthy' : 'unhealthy',
+                provider: this.name,
+                model: this.model || models[0]?.id || null,
+                models: models.map(model => model.id),
+                responseTime: Date.now() - startTime,
+                ...(models.length === 0 && { error: 'Endpoint lists no models' })
+            };
+        } catch (error) {
+            return {
+                status: 'unhealthy',
+                provider: this.name,
+                error: error.message
+            };
+        }
+    }
+}
+
+module.exports = OpenAICompatibleProvider;
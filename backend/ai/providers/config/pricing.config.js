@@ -0,0 +1,74 @@
+// AI Pricing Configuration
+// USD per 1M tokens, used to estimate the cost of each request in the AI request ledger.
+// Prices are list prices at the time of writing; override them with AI_PRICE_OVERRIDES
+// (JSON, same shape as modelPricing) when a contract or the provider's pricing changes.
+
+const modelPricing = {
+    'Qwen/Qwen3-235B-A22B': { input: 0.22, output: 0.88 },
+    'accounts/fireworks/models/gpt-oss-120b': { input: 0.15, output: 0.60 },
+    'deepseek-ai/DeepSeek-R1-0528': { input: 3.00, output: 8.00 },
+    'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+    'gemini-pro': { input: 0.50, output: 1.50 },
+    'gemini-pro-vision': { input: 0.50, output: 1.50 },
+    'chinda-qwen3-4b': { input: 0.05, output: 0.10 }
+};
+
+// Fallback for models missing from the table (matches the flat costPerToken in routes/ai.js)
+const providerPricing = {
+    gemini: { input: 2.00, output: 2.00 },
+    openai: { input: 2.00, output: 2.00 },
+    claude: { input: 3.00, output: 3.00 },
+    qwen3: { input: 3.00, output: 3.00 },
+    deepseek: { input: 1.00, output: 1.00 },
+    chinda: { input: 1.00, output: 1.00 },
+    local: { input: 0, output: 0 } // Self-hosted: no per-token charge
+};
+
+const loadOverrides = () => {
+    if (!process.env.AI_PRICE_OVERRIDES) return {};
+
+    try {
+        return JSON.parse(process.env.AI_PRICE_OVERRIDES);
+    } catch (error) {
+        console.warn('⚠️  AI_PRICE_OVERRIDES is not valid JSON, using the built-in price table');
+        return {};
+    }
+};
+
+const priceOverrides = loadOverrides();
+
+/**
+ * Price of a model, falling back to the provider's flat rate
+ * @param {string} provider - Provider name (openai, gemini, ...)
+ * @param {string} model - Model ID reported by the provider
+ * @returns {{input: number, output: number, source: string}|null}
+ */
+const getModelPrice = (provider, model) => {
+    if (model && priceOverrides[model]) return { ...priceOverrides[model], source: 'override' };
+    if (model && modelPricing[model]) return { ...modelPricing[model], source: 'model' };
+    if (providerPricing[provider]) return { ...providerPricing[provider], source: 'provider' };
+    return null;
+};
+
+/**
+ * Estimated cost of a request in USD
+ * @param {string} provider - Provider name
+ * @param {string} model - Model ID
+ * @param {number} promptTokens - Input tokens
+ * @param {number} completionTokens - Output tokens
+ * @returns {number}
+ */
+const estimateCost = (provider, model, promptTokens = 0, completionTokens = 0) => {
+    const price = getModelPrice(provider, model);
+    if (!price) return 0;
+
+    const cost = (promptTokens * price.input + completionTokens * price.output) / 1000000;
+    return Math.round(cost * 1000000) / 1000000; // ai_requests.estimated_cost is DECIMAL(10,6)
+};
+
+module.exports = {
+    modelPricing,
+    providerPricing,
+    getModelPrice,
+    estimateCost
+};
@@ -103,9 +103,90 @@ const providersConfig = {
             authoritativeness: 75,
             trustworthiness: 80
         }
+    },
+    local: {
+        name: 'Self-hosted (OpenAI-compatible)',
+        provider: 'OpenAICompatibleProvider',
+        // Ollama, LM Studio and llama.cpp ignore the key; vLLM checks it when started with --api-key
+        apiKey: process.env.LOCAL_AI_API_KEY || 'not-required',
+        baseURL: process.env.LOCAL_AI_BASE_URL, // e.g. http://localhost:11434/v1 (Ollama)
+        defaultModel: null,
+        model: process.env.LOCAL_AI_MODEL || null, // null: first model the endpoint lists
+        maxTokens: parseInt(process.env.LOCAL_AI_MAX_TOKENS) || 2000,
+        temperature: parseFloat(process.env.LOCAL_AI_TEMPERATURE) || 0.7,
+        enabled: !!process.env.LOCAL_AI_BASE_URL,
+        timeout: parseInt(process.env.LOCAL_AI_TIMEOUT_MS) || 120000,
+        jsonMode: process.env.LOCAL_AI_JSON_MODE || 'json_schema', // json_schema, json_object or none
+        models: [], // Discovered from the endpoint (GET /api/ai/providers/local/models)
+        role: 'Local Draft Writer',
+        specialties: ['drafts', 'offline generation', 'no per-token cost'],
+        priority: 6,
+        eatCapabilities: {
+            expertise: 65,
+            experience: 60,
+            authoritativeness: 60,
+            trustworthiness: 65
+        }
+    },
+    mock: {
+        name: 'Mock AI (offline)',
+        provider: 'MockProvider',
+        apiKey: 'mock', // No key or network needed
+        baseURL: 'mock://local',
+        defaultModel: 'mock-model',
+        model: process.env.MOCK_AI_MODEL || 'mock-model',
+        maxTokens: 2000,
+        temperature: 0.7,
+        enabled: process.env.MOCK_AI_ENABLED === 'true',
+        models: ['mock-model'],
+        role: 'Offline Test Double',
+        specialties: ['offline development', 'deterministic tests', 'failure simulation'],
+        priority: 99,
+        eatCapabilities: {
+            expertise: 50,
+            experience: 50,
+            authoritativeness: 50,
+            trustworthiness: 50
+        }
     }
 };
 
+// Scripted responses, recorded sessions and simulated conditions for MockProvider
+const mockSettings = {
+    fixtures: process.env.MOCK_AI_FIXTURES || null,
+    replayFile: process.env.MOCK_AI_REPLAY_FILE || null,
+    replayStrict: process.env.MOCK_AI_REPLAY_STRICT === 'true',
+    latencyMs: parseInt(process.env.MOCK_AI_LATENCY_MS) || 0,
+    errorRate: parseFloat(process.env.MOCK_AI_ERROR_RATE) || 0,
+    rateLimit: parseInt(process.env.MOCK_AI_RATE_LIMIT) ? { requests: parseInt(process.env.MOCK_AI_RATE_LIMIT), windowMs: 60000 } : null
+};
+Object.assign(providersConfig.mock, mockSettings);
+
+// MOCK_AI_PROVIDERS=all (or gemini,openai,...) answers those providers with
+// MockProvider under their own names, so swarm workflows run offline
+const mockedProviders = (process.env.MOCK_AI_PROVIDERS || '').split(',').map(name => name.trim()).filter(Boolean);
+Object.keys(providersConfig).forEach(providerName => {
+    if (providerName === 'mock' || !(mockedProviders.includes('all') || mockedProviders.includes(providerName))) return;
+
+    providersConfig[providerName] = {
+        ...providersConfig[providerName],
+        ...mockSettings,
+        provider: 'MockProvider',
+        apiKey: 'mock',
+        baseURL: 'mock://local',
+        enabled: true,
+        mockOf: providerName
+    };
+});
+if (mockedProviders.length > 0 && process.env.NODE_ENV === 'production') {
+    console.warn(`⚠️  MOCK_AI_PROVIDERS is set in production - ${mockedProviders.join(', ')} will not call the real APIs`);
+}
+
+// Real provider calls are appended here for MockProvider to replay
+const sessionRecording = {
+    file: process.env.AI_SESSION_RECORD_FILE || null
+};
+
 // JWT Configuration
 const jwtConfig = {
     secret: process.env.JWT_SECRET || process.env.CHINDA_JWT_SECRET,
@@ -192,6 +273,7 @@ module.exports = {
     getProviderConfig,
     getDefaultProvider,
     jwtConfig,
+    sessionRecording,
     validateConfig,
     
     // Helper functions
@@ -25,6 +25,10 @@ class DeepSeekProvider extends BaseProvider {
     }
 
     async generateResponse(prompt, options = {}) {
+        if (options.structuredOutput) {
+            return this.generateStructuredResponse(prompt, options);
+        }
+        
         try {
             this.validateApiKey();
             
@@ -45,7 +49,8 @@ class DeepSeekProvider extends BaseProvider {
                     messages: [{ role: 'user', content: prompt }],
                     max_tokens: maxTokens,
                     temperature: options.temperature || 0.7,
-                    stream: false
+                    stream: false,
+                    ...options.jsonMode
                 },
                 {
                     headers: {
@@ -98,6 +103,7 @@ class DeepSeekProvider extends BaseProvider {
                         'Content-Type': 'application/json'
                     },
                     responseType: 'stream',
+                    signal: options.signal, // Client cancellation closes the upstream request
                     timeout: 30000 // 30 second timeout for production streaming
                 }
             );
@@ -110,6 +116,14 @@ class DeepSeekProvider extends BaseProvider {
         }
     }
 
+    /**
+     * JSON object mode; the endpoint has no schema-constrained decoding, so the
+     * schema itself only reaches the model through the prompt
+     */
+    getJsonMode(format) {
+        return { response_format: { type: 'json_object' } };
+    }
+
     /**
      * Calculate Optimal Token Limit
      * Determines the best token limit based on content requirements
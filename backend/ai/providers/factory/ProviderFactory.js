@@ -1,5 +1,6 @@
-const { getProviderConfig, getEnabledProviders } = require('../config/providers.config');
+const { getProviderConfig, getEnabledProviders, sessionRecording } = require('../config/providers.config');
 const CircuitBreaker = require('../base/CircuitBreaker');
+const { recordSession } = require('../mock/sessionRecording');
 
 // Import all providers
 const OpenAIProvider = require('../openai/OpenAIProvider');
@@ -7,6 +8,8 @@ const GeminiProvider = require('../gemini/GeminiProvider');
 const DeepSeekProvider = require('../deepseek/DeepSeekProvider');
 const ClaudeProvider = require('../claude/ClaudeProvider');
 const ChindaAIProvider = require('../chinda/ChindaAIProvider');
+const OpenAICompatibleProvider = require('../compatible/OpenAICompatibleProvider');
+const MockProvider = require('../mock/MockProvider');
 
 class ProviderFactory {
     static providerClasses = {
@@ -14,7 +17,9 @@ class ProviderFactory {
         GeminiProvider,
         DeepSeekProvider,
         ClaudeProvider,
-        ChindaAIProvider
+        ChindaAIProvider,
+        OpenAICompatibleProvider,
+        MockProvider
     };
 
     // Circuit breaker instances for each provider
@@ -43,6 +48,11 @@ class ProviderFactory {
 
         // Create provider instance
         const provider = new ProviderClass(config);
+
+        // Record real calls so MockProvider can replay them offline
+        if (sessionRecording.file && ProviderClass !== MockProvider) {
+            recordSession(provider, providerName, sessionRecording.file);
+        }
         
         // Create and attach circuit breaker if not exists
         if (!this.circuitBreakers.has(providerName)) {
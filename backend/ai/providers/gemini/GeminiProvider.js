@@ -22,6 +22,10 @@ class GeminiProvider extends BaseProvider {
     }
 
     async generateResponse(prompt, options = {}) {
+        if (options.structuredOutput) {
+            return this.generateStructuredResponse(prompt, options);
+        }
+        
         try {
             this.validateApiKey();
             
@@ -43,7 +47,8 @@ class GeminiProvider extends BaseProvider {
                     }],
                     generationConfig: {
                         temperature: options.temperature || 0.7,
-                        maxOutputTokens: maxTokens
+                        maxOutputTokens: maxTokens,
+                        ...options.jsonMode
                     }
                 },
                 {
@@ -94,7 +99,8 @@ class GeminiProvider extends BaseProvider {
             
             const model = options.model || this.model || 'gemini-2.5-flash';
             const response = await axios.post(
-                `https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?key=${this.apiKey}`,
+                // alt=sse switches the stream from one long JSON array to Server-Sent Events
+                `https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?alt=sse&key=${this.apiKey}`,
                 {
                     contents: [{
                         parts: [{ text: prompt }]
@@ -111,7 +117,8 @@ class GeminiProvider extends BaseProvider {
                     timeout: 10000, // 10 seconds timeout
                     maxContentLength: 50000,
                     maxRedirects: 5,
-                    responseType: 'stream'
+                    responseType: 'stream',
+                    signal: options.signal // Client cancellation closes the upstream request
                 }
             );
 
@@ -120,6 +127,36 @@ class GeminiProvider extends BaseProvider {
             throw this.formatError(error);
         }
     }
+
+    /**
+     * Gemini's JSON mode goes in generationConfig and takes the JSON Schema as is
+     */
+    getJsonMode(format) {
+        return {
+            responseMimeType: 'application/json',
+            responseJsonSchema: format.schema
+        };
+    }
+
+    /**
+     * Gemini streams GenerateContentResponse objects instead of chat.completion chunks
+     */
+    parseStreamChunk(chunk) {
+        const candidate = chunk.candidates?.[0];
+        const usage = chunk.usageMetadata;
+        return {
+            text: (candidate?.content?.parts || []).map(part => part.text || '').join(''),
+            reasoning: '',
+            finishReason: candidate?.finishReason || null,
+            model: chunk.modelVersion || null,
+            usage: usage?.totalTokenCount ? {
+                promptTokens: usage.promptTokenCount || 0,
+                completionTokens: usage.candidatesTokenCount || 0,
+                totalTokens: usage.totalTokenCount
+            } : null,
+            error: chunk.error ? chunk.error.message : null
+        };
+    }
     
     /**
      * Calculate Optimal Token Limit
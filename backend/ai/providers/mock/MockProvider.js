@@ -0,0 +1,293 @@
+const fs = require('fs');
+const { Readable } = require('stream');
+const BaseProvider = require('../base/BaseProvider');
+const { estimateTokens } = require('../base/streamEvents');
+const { normalizePrompt, readSession } = require('./sessionRecording');
+
+// Length of the prompt quoted back by the default answer
+const ECHO_EXCERPT_LENGTH = 200;
+
+/**
+ * Turn an enqueued value into a response entry:
+ * 'text' -> { content }, Error -> { error }, objects are used as they are
+ */
+const toEntry = (value) => {
+    if (typeof value === 'string') return { content: value };
+    if (value instanceof Error) return { error: { status: value.status || 500, message: value.message } };
+    return value || {};
+};
+
+/**
+ * Read scripted rules from a fixtures file: an array of rules, or
+ * { responses: [...] }
+ */
+const loadFixtures = (file) => {
+    const fixtures = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const rules = Array.isArray(fixtures) ? fixtures : fixtures.responses;
+    if (!Array.isArray(rules)) {
+        throw new Error(`Mock fixtures ${file} must be an array of responses or { "responses": [...] }`);
+    }
+    console.log(`📄 [Mock] Loaded ${rules.length} scripted response(s) from ${file}`);
+    return rules;
+};
+
+/**
+ * Smallest value that satisfies a JSON Schema: required properties only,
+ * minItems items, the first enum value, strings padded to minLength
+ */
+const sampleFromSchema = (schema = {}) => {
+    if (schema.const !== undefined) return schema.const;
+    if (Array.isArray(schema.enum)) return schema.enum[0];
+
+    const alternatives = schema.anyOf || schema.oneOf;
+    if (Array.isArray(alternatives)) return sampleFromSchema(alternatives[0]);
+
+    const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+    switch (type) {
+        case 'object':
+            return Object.fromEntries((schema.required || []).map(key => [key, sampleFromSchema(schema.properties?.[key])]));
+        case 'array':
+            return Array.from({ length: schema.minItems || 0 }, () => sampleFromSchema(schema.items));
+        case 'string':
+            return 'mock text'.padEnd(schema.minLength || 0, ' mock text').slice(0, schema.maxLength ?? Infinity);
+        case 'number':
+        case 'integer':
+            return schema.minimum ?? 0;
+        case 'boolean':
+            return false;
+        default:
+            return schema.properties ? sampleFromSchema({ ...schema, type: 'object' }) : null;
+    }
+};
+
+/**
+ * Offline provider for development and deterministic tests. No network, no
+ * API key. Answers come from, in order:
+ *   1. responses queued with enqueue()
+ *   2. a recorded session (replayFile, see sessionRecording.js)
+ *   3. scripted rules (config.responses and the fixtures file)
+ *   4. an echo of the prompt, or the smallest valid value for JSON mode
+ * Rules look like { match | pattern, provider, content | data | error,
+ * latencyMs, times }. Latency, random failures (errorRate) and rate limits
+ * (HTTP 429) are simulated before answering so CircuitBreaker and the
+ * routing fallbacks can be exercised. Errors are thrown in the same shape
+ * as the real providers' formatError.
+ */
+class MockProvider extends BaseProvider {
+    constructor(config = {}) {
+        super({
+            ...config,
+            apiKey: config.apiKey || 'mock',
+            baseURL: config.baseURL || 'mock://local',
+            defaultModel: config.defaultModel || 'mock-model'
+        });
+
+        // Configuration key this mock stands in for (MOCK_AI_PROVIDERS) - only its recordings and rules apply
+        this.mockOf = config.mockOf || null;
+        this.latencyMs = config.latencyMs || 0;
+        this.errorRate = config.errorRate || 0;
+        this.rateLimit = config.rateLimit || null;
+        this.random = config.random || Math.random;
+        this.rules = [...(config.responses || []), ...(config.fixtures ? loadFixtures(config.fixtures) : [])];
+        this.session = config.replayFile ? readSession(config.replayFile) : [];
+        this.replayStrict = Boolean(config.replayStrict);
+
+        this.reset();
+        console.log(`🧪 [Mock] Initialized${this.mockOf ? ` in place of ${this.mockOf}` : ''} (${this.rules.length} rule(s), ${this.session.length} recorded exchange(s))`);
+    }
+
+    /**
+     * Forget queued responses, calls, rate limit history and replay progress
+     */
+    reset() {
+        this.queue = [];
+        this.calls = [];
+        this.requestTimes = [];
+        this.ruleUses = new Map();
+        this.replayed = new Set();
+        return this;
+    }
+
+    /**
+     * Queue one-off responses, used in order before anything else
+     * @param {...(string|Error|Object)} responses - Text, an error to throw or a rule-like entry
+     */
+    enqueue(...responses) {
+        this.queue.push(...responses.map(toEntry));
+        return this;
+    }
+
+    async generateResponse(prompt, options = {}) {
+        if (options.structuredOutput) {
+            return this.generateStructuredResponse(prompt, options);
+        }
+
+        const model = options.model || this.model;
+        this.calls.push({ prompt, options, timestamp: new Date().toISOString() });
+
+        const entry = this.nextEntry(prompt);
+        await this.simulateConditions(entry);
+        if (entry.error) {
+            throw this.simulatedError(entry.error.status || 500, entry.error.message || 'Simulated provider error');
+        }
+
+        const content = this.entryContent(entry, prompt, model, options);
+        const promptTokens = estimateTokens(prompt);
+        const completionTokens = estimateTokens(content);
+
+        return {
+            content,
+            usage: entry.usage || { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens },
+            model: entry.model || model,
+            provider: 'Mock',
+            source: entry.source
+        };
+    }
+
+    /**
+     * Stream the answer as OpenAI-style SSE chunks, one word at a time, so
+     * BaseProvider.streamTokens parses it like a real provider's stream
+     */
+    async generateStreamResponse(prompt, options = {}) {
+        const { content, model, usage } = await this.generateResponse(prompt, options);
+        const words = content.match(/\s*\S+\s*/g) || [];
+
+        const chunks = [
+            ...words.map(word => ({ model, choices: [{ delta: { content: word }, finish_reason: null }] })),
+            { model, choices: [{ delta: {}, finish_reason: 'stop' }], usage }
+        ];
+        return Readable.from([...chunks.map(chunk => `data: ${JSON.stringify(chunk)}\n\n`), 'data: [DONE]\n\n']);
+    }
+
+    /**
+     * The mock honours JSON mode by answering with a value built from the schema
+     */
+    getJsonMode(format) {
+        return { schema: format.schema };
+    }
+
+    /**
+     * Entry that answers this prompt, with its source for the response
+     */
+    nextEntry(prompt) {
+        if (this.queue.length > 0) {
+            return { ...this.queue.shift(), source: 'queue' };
+        }
+
+        const recorded = this.findRecording(prompt);
+        if (recorded) {
+            return recorded;
+        }
+
+        const rule = this.rules.find(candidate => this.matchesRule(candidate, prompt));
+        if (rule) {
+            this.ruleUses.set(rule, (this.ruleUses.get(rule) || 0) + 1);
+            return { ...rule, source: 'script' };
+        }
+
+        if (this.replayStrict && this.session.length > 0) {
+            return { error: { status: 404, message: 'No recorded response for this prompt' }, source: 'replay' };
+        }
+        return { source: 'echo' };
+    }
+
+    /**
+     * Next recorded exchange for the prompt. Identical prompts replay their
+     * recordings in order; once all are used the last one answers again.
+     */
+    findRecording(prompt) {
+        const key = normalizePrompt(prompt);
+        let lastMatch = null;
+
+        for (let index = 0; index < this.session.length; index++) {
+            const exchange = this.session[index];
+            if (this.mockOf && exchange.provider && exchange.provider !== this.mockOf) continue;
+            if (normalizePrompt(exchange.prompt) !== key) continue;
+
+            if (!this.replayed.has(index)) {
+                this.replayed.add(index);
+                return { ...exchange.response, error: exchange.error, source: 'replay' };
+            }
+            lastMatch = exchange;
+        }
+
+        return lastMatch ? { ...lastMatch.response, error: lastMatch.error, source: 'replay' } : null;
+    }
+
+    matchesRule(rule, prompt) {
+        if (rule.times !== undefined && (this.ruleUses.get(rule) || 0) >= rule.times) return false;
+        if (rule.provider && this.mockOf && rule.provider !== this.mockOf) return false;
+        if (rule.match !== undefined && !String(prompt).includes(rule.match)) return false;
+        if (rule.pattern !== undefined && !new RegExp(rule.pattern, rule.flags || 'u').test(prompt)) return false;
+        return true;
+    }
+
+    entryContent(entry, prompt, model, options) {
+        if (entry.content !== undefined) return String(entry.content);
+        if (entry.data !== undefined) return JSON.stringify(entry.data);
+        if (options.jsonMode?.schema) return JSON.stringify(sampleFromSchema(options.jsonMode.schema));
+
+        const excerpt = normalizePrompt(prompt).slice(0, ECHO_EXCERPT_LENGTH);
+        return `Mock response from ${model}: ${excerpt}`;
+    }
+
+    /**
+     * Rate limit, latency and random failures, in the order a real API would hit them
+     */
+    async simulateConditions(entry = {}) {
+        this.checkRateLimit();
+
+        const latency = entry.latencyMs ?? this.latencyMs;
+        const delay = Array.isArray(latency) ? latency[0] + this.random() * (latency[1] - latency[0]) : latency;
+        if (delay > 0) {
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+
+        if (this.errorRate > 0 && this.random() < this.errorRate) {
+            throw this.simulatedError(503, 'Simulated provider outage');
+        }
+    }
+
+    /**
+     * Sliding window of rateLimit.requests per rateLimit.windowMs
+     */
+    checkRateLimit() {
+        if (!this.rateLimit?.requests) return;
+
+        const now = Date.now();
+        const { requests, windowMs = 60000 } = this.rateLimit;
+        this.requestTimes = this.requestTimes.filter(time => now - time < windowMs);
+
+        if (this.requestTimes.length >= requests) {
+            const retryAfter = Math.ceil((windowMs - (now - this.requestTimes[0])) / 1000);
+            throw this.simulatedError(429, `Rate limit exceeded: ${requests} requests per ${windowMs / 1000}s`, { retryAfter });
+        }
+        this.requestTimes.push(now);
+    }
+
+    simulatedError(status, message, details = {}) {
+        return { ...this.formatError({ message, status }), simulated: true, ...details };
+    }
+
+    async checkHealth() {
+        const startTime = Date.now();
+        try {
+            await this.simulateConditions();
+            return {
+                status: 'healthy',
+                provider: this.mockOf || 'mock',
+                model: this.model,
+                responseTime: Date.now() - startTime
+            };
+        } catch (error) {
+            return {
+                status: 'unhealthy',
+                provider: this.mockOf || 'mock',
+                error: error.error || error.message
+            };
+        }
+    }
+}
+
+module.exports = MockProvider;
+module.exports.sampleFromSchema = sampleFromSchema;
@@ -0,0 +1,92 @@
+/**
+ * Recorded provider sessions
+ * With AI_SESSION_RECORD_FILE set, ProviderFactory wraps real providers so
+ * every prompt and answer is appended to a JSON Lines file; MockProvider
+ * replays that file offline (replayFile / MOCK_AI_REPLAY_FILE).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Prompt as compared during replay - whitespace differences don't matter
+ * @param {string} prompt
+ * @returns {string}
+ */
+const normalizePrompt = (prompt) => String(prompt ?? '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Read the exchanges of a session file. Lines that aren't valid JSON (e.g.
+ * a write cut short by a crash) are skipped.
+ * @param {string} file - JSON Lines file written by recordSession
+ * @returns {Array<Object>} - [{ provider, model, prompt, response, error, durationMs, recordedAt }]
+ */
+const readSession = (file) => {
+    const lines = fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim());
+    const exchanges = [];
+
+    lines.forEach((line, index) => {
+        try {
+            exchanges.push(JSON.parse(line));
+        } catch (error) {
+            console.warn(`⚠️ [Session Replay] Skipping line ${index + 1} of ${file}: ${error.message}`);
+        }
+    });
+
+    console.log(`📼 [Session Replay] Loaded ${exchanges.length} exchange(s) from ${file}`);
+    return exchanges;
+};
+
+/**
+ * Append every generateResponse call of a provider to a session file.
+ * Structured output requests are recorded as the plain calls they make, so
+ * replaying them goes through the same validation and re-prompting.
+ * @param {BaseProvider} provider - Provider instance (wrapped in place)
+ * @param {string} providerName - Configuration key (gemini, openai, ...)
+ * @param {string} file - JSON Lines file to append to
+ * @returns {BaseProvider}
+ */
+const recordSession = (provider, providerName, file) => {
+    const generateResponse = provider.generateResponse.bind(provider);
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+
+    const append = (exchange) => {
+        try {
+            fs.appendFileSync(file, `${JSON.stringify({ ...exchange, recordedAt: new Date().toISOString() })}\n`);
+        } catch (error) {
+            console.error(`❌ [Session Recorder] Could not write ${file}:`, error.message);
+        }
+    };
+
+    provider.generateResponse = async (prompt, options = {}) => {
+        if (options.structuredOutput) {
+            return generateResponse(prompt, options);
+        }
+
+        const startTime = Date.now();
+        const exchange = { provider: providerName, model: options.model || provider.model, prompt };
+
+        try {
+            const response = await generateResponse(prompt, options);
+            const { content, usage, model } = typeof response === 'string' ? { content: response } : response;
+            append({ ...exchange, response: { content, usage, model }, durationMs: Date.now() - startTime });
+            return response;
+        } catch (error) {
+            append({
+                ...exchange,
+                error: { status: error?.status || error?.response?.status || 500, message: error?.error || error?.message || String(error) },
+                durationMs: Date.now() - startTime
+            });
+            throw error;
+        }
+    };
+
+    console.log(`📼 [Session Recorder] Recording ${providerName} to ${file}`);
+    return provider;
+};
+
+module.exports = {
+    normalizePrompt,
+    readSession,
+    recordSession
+};
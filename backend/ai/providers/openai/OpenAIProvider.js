@@ -25,6 +25,10 @@ class OpenAIProvider extends BaseProvider {
     }
 
     async generateResponse(prompt, options = {}) {
+        if (options.structuredOutput) {
+            return this.generateStructuredResponse(prompt, options);
+        }
+        
         try {
             this.validateApiKey();
             
@@ -45,7 +49,8 @@ class OpenAIProvider extends BaseProvider {
                     messages: [{ role: 'user', content: prompt }],
                     max_tokens: maxTokens,
                     temperature: options.temperature || 0.7,
-                    stream: false
+                    stream: false,
+                    ...options.jsonMode
                 },
                 {
                     headers: {
@@ -94,7 +99,8 @@ class OpenAIProvider extends BaseProvider {
                         'Authorization': `Bearer ${this.apiKey}`,
                         'Content-Type': 'application/json'
                     },
-                    responseType: 'stream'
+                    responseType: 'stream',
+                    signal: options.signal // Client cancellation closes the upstream request
                 }
             );
 
@@ -105,6 +111,18 @@ class OpenAIProvider extends BaseProvider {
         }
     }
 
+    /**
+     * OpenAI-compatible json_schema response format (constrained decoding)
+     */
+    getJsonMode(format) {
+        return {
+            response_format: {
+                type: 'json_schema',
+                json_schema: { name: format.name.replace(/[^a-zA-Z0-9_-]/g, '_'), schema: format.schema }
+            }
+        };
+    }
+
     /**
      * Calculate Optimal Token Limit
      * Determines the best token limit based on content requirements
@@ -0,0 +1,306 @@
+const { providersConfig } = require('../config/providers.config');
+const { getModelPrice } = require('../config/pricing.config');
+const ProviderFactory = require('../factory/ProviderFactory');
+const config = require('../../../config/config');
+
+const EAT_DIMENSIONS = ['expertise', 'experience', 'authoritativeness', 'trustworthiness'];
+
+/**
+ * Routing strategies
+ * - fallback: first available provider in the fixed order (the original behaviour)
+ * - cheapest: lowest blended price per 1M tokens for the provider's model
+ * - fastest: lowest rolling average response time
+ * - highest-quality: highest average E-A-T capability score
+ * - weighted-round-robin: spread requests by configured weights
+ */
+const STRATEGIES = ['fallback', 'cheapest', 'fastest', 'highest-quality', 'weighted-round-robin'];
+
+/**
+ * Provider Router - Picks the provider for a request
+ * Scores providers from circuit breaker state, rolling latency, model pricing
+ * and E-A-T capabilities, and explains every decision so callers can log or
+ * show why a provider was chosen.
+ */
+class ProviderRouter {
+    /**
+     * @param {Object} options
+     * @param {string[]} options.order - Preferred provider order (fallback strategy, tie-breaks)
+     * @param {Function} options.getConfigs - () => { [provider]: providerConfig }
+     * @param {Function} options.getBreakerStatus - (provider) => CircuitBreaker status or null
+     * @param {Function} options.getPrice - (provider, model) => { input, output, source }
+     * @param {string} options.defaultStrategy - Strategy when a request names none
+     * @param {number} options.latencyWindow - Recent calls averaged per provider
+     * @param {Object} options.weights - Weighted round-robin shares by provider
+     */
+    constructor(options = {}) {
+        const routingConfig = config.ai.routing || {};
+
+        this.order = options.order || [];
+        this.getConfigs = options.getConfigs || (() => providersConfig);
+        this.getBreakerStatus = options.getBreakerStatus || (provider => ProviderFactory.getProviderCircuitBreakerStatus(provider));
+        this.getPrice = options.getPrice || getModelPrice;
+        this.defaultStrategy = options.defaultStrategy || routingConfig.strategy || 'fallback';
+        this.latencyWindow = options.latencyWindow || routingConfig.latencyWindow || 20;
+        this.weights = options.weights || routingConfig.weights || {};
+
+        if (!STRATEGIES.includes(this.defaultStrategy)) {
+            console.warn(`⚠️ [ProviderRouter] Unknown routing strategy "${this.defaultStrategy}", using fallback`);
+            this.defaultStrategy = 'fallback';
+        }
+
+        this.latencies = new Map(); // provider -> recent response times (ms)
+        this.roundRobinState = new Map(); // provider -> smooth weighted round-robin counter
+    }
+
+    /**
+     * Record a successful call's response time
+     * @param {string} provider - Provider name
+     * @param {number} responseTimeMs - Response time
+     */
+    recordLatency(provider, responseTimeMs) {
+        if (!Number.isFinite(responseTimeMs) || responseTimeMs < 0) {
+            return;
+        }
+
+        const samples = this.latencies.get(provider) || [];
+        samples.push(responseTimeMs);
+        if (samples.length > this.latencyWindow) {
+            samples.splice(0, samples.length - this.latencyWindow);
+        }
+        this.latencies.set(provider, samples);
+    }
+
+    /**
+     * Average response time from recorded calls, falling back to the circuit breaker's stats
+     * @returns {{ latencyMs: number|null, latencySource: string|null }}
+     */
+    getLatency(provider, breakerStatus) {
+        const samples = this.latencies.get(provider);
+        if (samples && samples.length > 0) {
+            const average = samples.reduce((sum, value) => sum + value, 0) / samples.length;
+            return { latencyMs: Math.round(average), latencySource: 'rolling' };
+        }
+
+        const breakerAverage = breakerStatus?.stats?.averageResponseTime;
+        if (breakerAverage > 0) {
+            return { latencyMs: Math.round(breakerAverage), latencySource: 'circuit-breaker' };
+        }
+
+        return { latencyMs: null, latencySource: null };
+    }
+
+    /**
+     * Average of the requested E-A-T capability scores (0-100)
+     * @param {Object} providerConfig - Provider config
+     * @param {string[]} capabilities - Dimensions to average (default: all four)
+     */
+    getQuality(providerConfig, capabilities) {
+        const scores = providerConfig.eatCapabilities || {};
+        const dimensions = capabilities && capabilities.length > 0 ? capabilities : EAT_DIMENSIONS;
+        const values = dimensions.map(dimension => scores[dimension]).filter(Number.isFinite);
+
+        return values.length > 0
+            ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+            : null;
+    }
+
+    /**
+     * Describe one provider: whether it can take requests and how it scores
+     * @returns {Object} - Candidate with excludedReason when unavailable
+     */
+    describeCandidate(provider, providerConfig, options = {}) {
+        if (!providerConfig) {
+            return { provider, available: false, excludedReason: 'Not configured' };
+        }
+        if (!providerConfig.enabled) {
+            return { provider, available: false, excludedReason: 'Disabled' };
+        }
+        if (!providerConfig.apiKey || !providerConfig.baseURL) {
+            return { provider, available: false, excludedReason: 'Missing API key or base URL' };
+        }
+
+        const breakerStatus = this.getBreakerStatus(provider);
+        const breakerState = breakerStatus?.state || 'CLOSED';
+        const model = providerConfig.model || providerConfig.defaultModel;
+        const price = this.getPrice(provider, model);
+        const candidate = {
+            provider,
+            available: true,
+            breakerState,
+            model,
+            ...this.getLatency(provider, breakerStatus),
+            // Blended input/output price in USD per 1M tokens
+            pricePerMillion: price ? Math.round((price.input + price.output) / 2 * 10000) / 10000 : null,
+            priceSource: price?.source || null,
+            quality: this.getQuality(providerConfig, options.capabilities),
+            weight: this.weights[provider] || 1
+        };
+
+        const retryAt = breakerStatus ? new Date(breakerStatus.nextAttempt).getTime() : 0;
+        if (breakerState === 'OPEN' && retryAt > Date.now()) {
+            const retryIn = Math.ceil((retryAt - Date.now()) / 1000);
+            return { ...candidate, available: false, excludedReason: `Circuit breaker open (retry in ${retryIn}s)` };
+        }
+
+        return candidate;
+    }
+
+    /**
+     * Choose a provider
+     * @param {Object} options
+     * @param {string} options.requested - Provider asked for ('auto' or empty lets the strategy decide)
+     * @param {string} options.strategy - One of STRATEGIES (default: configured strategy)
+     * @param {string[]} options.capabilities - E-A-T dimensions that define quality
+     * @param {boolean} options.preview - Explain without advancing round-robin state
+     * @returns {Object} - { provider, isFallback, explanation }; provider is null when none is available
+     */
+    route(options = {}) {
+        const strategy = options.strategy || this.defaultStrategy;
+        if (!STRATEGIES.includes(strategy)) {
+            throw new Error(`Unknown routing strategy: ${strategy}. Use one of: ${STRATEGIES.join(', ')}`);
+        }
+
+        const configs = this.getConfigs();
+        const requested = options.requested && options.requested !== 'auto' ? options.requested : null;
+        const names = [...new Set([...this.order, ...Object.keys(configs)])];
+        if (requested && !names.includes(requested)) {
+            names.unshift(requested);
+        }
+
+        const candidates = names.map(name => this.describeCandidate(name, configs[name], options));
+        const explanation = { strategy, requested, provider: null, reason: null, candidates };
+
+        const requestedCandidate = requested && candidates.find(candidate => candidate.provider === requested);
+        if (requestedCandidate?.available) {
+            return {
+                provider: requested,
+                isFallback: false,
+                explanation: { ...explanation, provider: requested, reason: 'Requested provider is available' }
+            };
+        }
+
+        const available = candidates.filter(candidate => candidate.available && candidate.provider !== requested);
+        if (available.length === 0) {
+            return {
+                provider: null,
+                isFallback: false,
+                explanation: { ...explanation, reason: 'No available providers' }
+            };
+        }
+
+        const { choice, reason } = this.pick(strategy, available, options);
+        const unavailable = requested
+            ? `${requested} unavailable (${requestedCandidate.excludedReason}); `
+            : '';
+
+        return {
+            provider: choice.provider,
+            isFallback: Boolean(requested),
+            explanation: { ...explanation, provider: choice.provider, reason: unavailable + reason }
+        };
+    }
+
+    /**
+     * Apply a strategy to the available candidates
+     * @returns {{ choice: Object, reason: string }}
+     */
+    pick(strategy, available, options) {
+        const rank = (candidate) => {
+            const index = this.order.indexOf(candidate.provider);
+            return index === -1 ? this.order.length : index;
+        };
+        // Half-open circuits are still being probed, so they only win when nothing healthier scores as well
+        const health = (candidate) => (candidate.breakerState === 'HALF_OPEN' ? 1 : 0);
+        const ascending = (key) => (a, b) => {
+            if (a[key] === null || b[key] === null) {
+                return (a[key] === null) - (b[key] === null);
+            }
+            return a[key] - b[key];
+        };
+        const sortBy = (...comparators) => [...available].sort((a, b) => {
+            for (const compare of comparators) {
+                const result = compare(a, b);
+                if (result !== 0) return result;
+            }
+            return rank(a) - rank(b);
+        });
+        const byHealth = (a, b) => health(a) - health(b);
+        const byQuality = (a, b) => (b.quality ?? -1) - (a.quality ?? -1);
+        const count = available.length;
+
+        switch (strategy) {
+        case 'cheapest': {
+            const choice = sortBy(byHealth, ascending('pricePerMillion'), byQuality)[0];
+            return {
+                choice,
+                reason: choice.pricePerMillion === null
+                    ? `No pricing known for ${count} available provider(s); first in order`
+                    : `Lowest price among ${count} available provider(s) ($${choice.pricePerMillion} per 1M tokens)`
+            };
+        }
+        case 'fastest': {
+            const choice = sortBy(byHealth, ascending('latencyMs'))[0];
+            return {
+                choice,
+                reason: choice.latencyMs === null
+                    ? `No latency recorded for ${count} available provider(s); first in order`
+                    : `Lowest average latency among ${count} available provider(s) (${choice.latencyMs}ms, ${choice.latencySource})`
+            };
+        }
+        case 'highest-quality': {
+            const choice = sortBy(byHealth, byQuality)[0];
+            return {
+                choice,
+                reason: `Highest E-A-T score among ${count} available provider(s) (${choice.quality ?? 'unknown'})`
+            };
+        }
+        case 'weighted-round-robin':
+            return this.pickWeighted(available, options);
+        default: {
+            const choice = sortBy()[0];
+            return { choice, reason: `First available provider in fallback order (${this.order.join(' → ')})` };
+        }
+        }
+    }
+
+    /**
+     * Smooth weighted round-robin (each provider gets its share without bursts).
+     * Half-open providers count at half weight. Providers left out of this turn
+     * keep their counters, so one that is briefly unavailable resumes its share.
+     */
+    pickWeighted(available, options = {}) {
+        const effectiveWeight = (candidate) => candidate.weight * (candidate.breakerState === 'HALF_OPEN' ? 0.5 : 1);
+        const totalWeight = available.reduce((sum, candidate) => sum + effectiveWeight(candidate), 0);
+        const counters = new Map(available.map(candidate => [
+            candidate.provider,
+            (this.roundRobinState.get(candidate.provider) || 0) + effectiveWeight(candidate)
+        ]));
+
+        const choice = available.reduce((best, candidate) => (
+            counters.get(candidate.provider) > counters.get(best.provider) ? candidate : best
+        ));
+
+        if (!options.preview) {
+            counters.set(choice.provider, counters.get(choice.provider) - totalWeight);
+            counters.forEach((counter, provider) => this.roundRobinState.set(provider, counter));
+        }
+
+        return {
+            choice,
+            reason: `Weighted round-robin turn (weight ${effectiveWeight(choice)} of ${totalWeight} across ${available.length} provider(s))`
+        };
+    }
+
+    /**
+     * Forget recorded latencies and round-robin position
+     */
+    reset() {
+        this.latencies.clear();
+        this.roundRobinState.clear();
+    }
+}
+
+module.exports = {
+    ProviderRouter,
+    STRATEGIES
+};
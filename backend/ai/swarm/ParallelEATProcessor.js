@@ -3,6 +3,13 @@
  * Optimizes E-A-T pipeline for concurrent processing
  */
 
+const promptTemplates = require('../../services/PromptTemplateRegistry');
+const { SEO_STRUCTURE } = require('../prompts/outputSchemas');
+const { outputText } = require('./workflows/SwarmWorkflowRegistry');
+const { analyzeSeo } = require('../../utils/seoAnalysis');
+const { toSchemaType, buildStructuredData } = require('../../utils/structuredData');
+const { site } = require('../../config/config');
+
 class ParallelEATProcessor {
     constructor(providerPool) {
         this.providerPool = providerPool;
@@ -18,7 +25,9 @@ class ParallelEATProcessor {
      * @param {string} prompt - Original content prompt
      * @param {string} targetKeyword - SEO target keyword
      * @param {string} contentType - Type of content
-     * @param {object} options - Processing options
+     * @param {object} options - Processing options: { signal, onProgress }. An aborted
+     *   signal stops the pipeline between stages with an AbortError; onProgress is called
+     *   after each stage with { stage, completed, total, detail }
      * @returns {Promise<object>} - E-A-T optimized content
      */
     async processEATContent(prompt, targetKeyword = '', contentType = 'article', options = {}) {
@@ -44,14 +53,19 @@ class ParallelEATProcessor {
         };
 
         try {
+            options.signal?.throwIfAborted();
+            
             // Stage 1: Foundation (Parallel base content creation)
             await this.executeFoundationStage(pipeline, prompt, targetKeyword, contentType);
+            this.reportStage(pipeline, 'foundation', options);
             
             // Stage 2: Enhancement (Parallel specialization)
             await this.executeEnhancementStage(pipeline, targetKeyword, contentType);
+            this.reportStage(pipeline, 'enhancement', options);
             
             // Stage 3: Finalization (Parallel optimization)
             await this.executeFinalizationStage(pipeline, targetKeyword, contentType);
+            this.reportStage(pipeline, 'finalization', options);
             
             // Merge results
             pipeline.finalContent = this.mergeStageResults(pipeline);
@@ -69,6 +83,26 @@ class ParallelEATProcessor {
         }
     }
 
+    /**
+     * Report a finished stage and stop if the run was cancelled
+     */
+    reportStage(pipeline, stageName, options) {
+        if (options.onProgress) {
+            const stageNames = Object.keys(pipeline.stages);
+            const stage = pipeline.stages[stageName];
+            options.onProgress({
+                stage: stageName,
+                completed: stageNames.indexOf(stageName) + 1,
+                total: stageNames.length,
+                detail: {
+                    tasks: Object.keys(stage.results).length,
+                    errors: Object.keys(stage.errors).length
+                }
+            });
+        }
+        options.signal?.throwIfAborted();
+    }
+
     /**
      * Stage 1: Foundation - Parallel base content creation
      */
@@ -80,12 +114,13 @@ class ParallelEATProcessor {
         // Task 1: Claude - Chief E-A-T Content Creation
         const claudeProvider = this.providerPool.getProvider('claude');
         if (claudeProvider) {
+            const eatPrompt = this.renderPrompt(pipeline, 'eat.foundation', { topic: prompt, keyword: targetKeyword });
             foundationTasks.push(
                 this.executeProviderTask('claude', 'foundation_content', async () => {
-                    const eatPrompt = this.buildAdvancedEATPrompt(prompt, targetKeyword);
-                    return await claudeProvider.generateContent(eatPrompt);
+                    return await claudeProvider.generateContent(eatPrompt.prompt);
                 }, {
                     role: 'Chief E-E-A-T Content Specialist',
+                    template: eatPrompt.template,
                     focus: 'Trustworthiness, Experience Integration, Factual Accuracy',
                     eatContribution: ['trustworthiness', 'experience', 'accuracy']
                 })
@@ -95,12 +130,13 @@ class ParallelEATProcessor {
         // Task 2: DeepSeek - Technical Foundation Analysis (can run in parallel)
         const deepseekProvider = this.providerPool.getProvider('deepseek');
         if (deepseekProvider) {
+            const techPrompt = this.renderPrompt(pipeline, 'eat.technical-foundation', { topic: prompt, keyword: targetKeyword });
             foundationTasks.push(
                 this.executeProviderTask('deepseek', 'technical_foundation', async () => {
-                    const techPrompt = this.buildTechnicalFoundationPrompt(prompt, targetKeyword);
-                    return await deepseekProvider.generateContent(techPrompt);
+                    return await deepseekProvider.generateContent(techPrompt.prompt);
                 }, {
                     role: 'Technical Foundation Analyzer',
+                    template: techPrompt.template,
                     focus: 'Technical Requirements, Expertise Framework, Accuracy Standards',
                     eatContribution: ['expertise', 'technical_accuracy', 'standards']
                 })
@@ -143,12 +179,13 @@ class ParallelEATProcessor {
         // Task 1: OpenAI - Authority & SEO Enhancement
         const openaiProvider = this.providerPool.getProvider('openai');
         if (openaiProvider) {
+            const authorityPrompt = this.renderPrompt(pipeline, 'eat.authority-seo', { content: baseContent, keyword: targetKeyword });
             enhancementTasks.push(
                 this.executeProviderTask('openai', 'authority_seo', async () => {
-                    const authorityPrompt = this.buildAuthorityAndSEOPrompt(baseContent, targetKeyword);
-                    return await openaiProvider.generateContent(authorityPrompt);
+                    return await openaiProvider.generateResponse(authorityPrompt.prompt, { structuredOutput: SEO_STRUCTURE });
                 }, {
                     role: 'Authority & SEO Structure Optimizer',
+                    template: authorityPrompt.template,
                     focus: 'Authoritativeness, SEO Structure, Meta Optimization',
                     eatContribution: ['authoritativeness', 'seo_structure', 'meta_optimization']
                 })
@@ -158,12 +195,13 @@ class ParallelEATProcessor {
         // Task 2: Gemini - Comprehensiveness Enhancement
         const geminiProvider = this.providerPool.getProvider('gemini');
         if (geminiProvider) {
+            const comprehensivePrompt = this.renderPrompt(pipeline, 'eat.comprehensiveness', { content: baseContent, keyword: targetKeyword });
             enhancementTasks.push(
                 this.executeProviderTask('gemini', 'comprehensiveness', async () => {
-                    const comprehensivePrompt = this.buildComprehensivenessPrompt(baseContent, targetKeyword);
-                    return await geminiProvider.generateContent(comprehensivePrompt);
+                    return await geminiProvider.generateContent(comprehensivePrompt.prompt);
                 }, {
                     role: 'Content Comprehensiveness Enhancer',
+                    template: comprehensivePrompt.template,
                     focus: 'Content Breadth, Comprehensive Coverage, User Engagement',
                     eatContribution: ['comprehensiveness', 'coverage', 'engagement']
                 })
@@ -173,12 +211,13 @@ class ParallelEATProcessor {
         // Task 3: ChindaX - Local Authority Enhancement
         const chindaProvider = this.providerPool.getProvider('chinda');
         if (chindaProvider) {
+            const localPrompt = this.renderPrompt(pipeline, 'eat.local-authority', { content: baseContent, keyword: targetKeyword });
             enhancementTasks.push(
                 this.executeProviderTask('chinda', 'local_authority', async () => {
-                    const localPrompt = this.buildLocalAuthorityPrompt(baseContent, targetKeyword);
-                    return await chindaProvider.generateContent(localPrompt);
+                    return await chindaProvider.generateContent(localPrompt.prompt);
                 }, {
                     role: 'Local Authority & Cultural Expert',
+                    template: localPrompt.template,
                     focus: 'Local Expertise, Cultural Authority, Regional SEO',
                     eatContribution: ['local_expertise', 'cultural_authority', 'regional_seo']
                 })
@@ -227,7 +266,7 @@ class ParallelEATProcessor {
         finalizationTasks.push(
             this.executeUtilityTask('eat_analysis', async () => {
                 const mergedContent = this.getMergedContentFromStages(pipeline);
-                return this.analyzeEATCompliance(mergedContent, pipeline);
+                return this.analyzeEATCompliance(mergedContent, targetKeyword);
             }, {
                 role: 'E-A-T Compliance Analyzer',
                 focus: 'Quality Assessment, Compliance Scoring'
@@ -413,50 +452,67 @@ class ParallelEATProcessor {
         return finalContent;
     }
 
-    // Placeholder methods for prompt builders (to be implemented based on original EAT logic)
-    buildAdvancedEATPrompt(prompt, targetKeyword) {
-        return `Create high-quality E-A-T compliant content for: ${prompt}. Target keyword: ${targetKeyword}. Focus on expertise, authoritativeness, and trustworthiness.`;
-    }
-
-    buildTechnicalFoundationPrompt(prompt, targetKeyword) {
-        return `Analyze technical requirements and expertise framework for: ${prompt}. Keyword: ${targetKeyword}.`;
-    }
-
-    buildAuthorityAndSEOPrompt(content, targetKeyword) {
-        return `Enhance authority and SEO structure for content about ${targetKeyword}. Content: ${content}`;
-    }
-
-    buildComprehensivenessPrompt(content, targetKeyword) {
-        return `Make this content more comprehensive and engaging for ${targetKeyword}: ${content}`;
-    }
-
-    buildLocalAuthorityPrompt(content, targetKeyword) {
-        return `Add local authority and cultural context for ${targetKeyword}: ${content}`;
+    /**
+     * Render an E-A-T prompt template (shared with EATOptimizedSwarmCouncil)
+     * and note on the pipeline which version was used
+     * @returns {Object} - { prompt, template: { name, version } }
+     */
+    renderPrompt(pipeline, name, variables) {
+        const { prompt, template } = promptTemplates.render(name, variables);
+        pipeline.metadata.templates = { ...pipeline.metadata.templates, [name]: template.version };
+        return { prompt, template: { name: template.name, version: template.version } };
     }
 
-    parseSEOStructure(content) {
-        // Simplified parser - should be more sophisticated in real implementation
+    /**
+     * SEO structure from the validated seo_structure answer of the authority task
+     */
+    parseSEOStructure(response) {
         return {
-            title: 'SEO Optimized Title',
-            metaDescription: 'SEO Meta Description',
-            headers: []
+            suggestedTags: [],
+            internalLinks: [],
+            externalSources: [],
+            keywordVariations: [],
+            featuredSnippet: '',
+            ...response.data
         };
     }
 
+    /**
+     * JSON-LD as the public page will embed it (utils/structuredData)
+     */
     generateSchemaMarkup(content, contentType) {
+        return buildStructuredData({
+            ...this.toPostFields(content),
+            schemaType: toSchemaType(contentType) || 'Article'
+        }, site).jsonLd;
+    }
+
+    /**
+     * Merged content - the body alone or { body, title, metaDescription, ... } -
+     * as the post fields utils/seoAnalysis and utils/structuredData read
+     */
+    toPostFields(content) {
+        const merged = content && typeof content === 'object' && 'body' in content ? content : { body: content };
         return {
-            "@context": "https://schema.org",
-            "@type": "Article",
-            "headline": content.title || "Article Title"
+            titleTH: merged.title || '',
+            metaDescription: merged.metaDescription || '',
+            content: outputText(merged.body)
         };
     }
 
-    analyzeEATCompliance(content, pipeline) {
+    /**
+     * E-A-T scores from the shared analysis
+     */
+    analyzeEATCompliance(content, targetKeyword) {
+        const { eat, findings } = analyzeSeo({ ...this.toPostFields(content), focusKeyword: targetKeyword || '' });
+
         return {
-            expertiseScore: 85,
-            authoritativenessScore: 80,
-            trustworthinessScore: 90,
-            overallScore: 85
+            expertiseScore: eat.expertise.score,
+            experienceScore: eat.experience.score,
+            authoritativenessScore: eat.authoritativeness.score,
+            trustworthinessScore: eat.trustworthiness.score,
+            overallScore: eat.score,
+            findings: findings.filter(({ category }) => category === 'eat')
         };
     }
 
@@ -1,5 +1,12 @@
 const ProviderFactory = require('../providers/factory/ProviderFactory');
 const { getEnabledProviders } = require('../providers/config/providers.config');
+const aiRequestLedger = require('../../services/AIRequestLedger');
+const promptCache = require('../../services/PromptCache');
+const promptTemplates = require('../../services/PromptTemplateRegistry');
+const swarmWorkflows = require('./workflows/SwarmWorkflowRegistry');
+const { leafSteps, mergeOutputs, outputText, stopReason } = swarmWorkflows;
+
+const isAbortError = (error) => error?.name === 'AbortError';
 
 class SwarmCouncil {
     constructor(options = {}) {
@@ -13,6 +20,8 @@ class SwarmCouncil {
         this.initializationErrors = [];
         this.lastInitializationAttempt = null;
         this.healthChecks = new Map();
+        // Progress callback and abort signal of each running workflow, keyed by its result
+        this.runOptions = new WeakMap();
         
         // Only auto-initialize if explicitly requested
         if (autoInit) {
@@ -235,7 +244,15 @@ class SwarmCouncil {
         }
     }
     
-    async processContent(prompt, workflow = 'full') {
+    /**
+     * Run a council workflow
+     * @param {string} prompt - Content prompt
+     * @param {string} workflow - Workflow name (see SwarmWorkflowRegistry)
+     * @param {Object} options - { signal, onProgress }: an aborted signal stops the
+     *   workflow after the current step with an AbortError; onProgress is called
+     *   after every step with { stage, provider, completed, total }
+     */
+    async processContent(prompt, workflow = 'full', options = {}) {
         if (!this.isInitialized) {
             const errorDetails = {
                 message: 'Swarm Council not properly initialized',
@@ -264,21 +281,21 @@ class SwarmCouncil {
         };
         
         try {
-            console.log(`🎯 [Swarm] Starting ${workflow} workflow for: "${prompt.substring(0, 50)}..."`);
+            options.signal?.throwIfAborted();
             
-            switch (workflow) {
-                case 'full':
-                    return await this.executeWorkflowSafely(() => this.fullSwarmWorkflow(prompt, result), 'full', result);
-                case 'create':
-                    return await this.executeWorkflowSafely(() => this.creationWorkflow(prompt, result), 'create', result);
-                case 'review':
-                    return await this.executeWorkflowSafely(() => this.reviewWorkflow(prompt, result), 'review', result);
-                case 'optimize':
-                    return await this.executeWorkflowSafely(() => this.optimizationWorkflow(prompt, result), 'optimize', result);
-                default:
-                    throw new Error(`Unknown workflow: ${workflow}. Available workflows: full, create, review, optimize`);
+            const definition = swarmWorkflows.get(workflow);
+            if (!definition) {
+                throw new Error(`Unknown workflow: ${workflow}. Available workflows: ${swarmWorkflows.names().join(', ')}`);
             }
+            // Progress totals count the steps whose member is in the council
+            const total = leafSteps(definition).filter(step => this.providers[step.provider]).length;
+            this.runOptions.set(result, { ...options, total });
+
+            console.log(`🎯 [Swarm] Starting ${workflow} workflow for: "${prompt.substring(0, 50)}..."`);
+            
+            return await this.executeWorkflowSafely(() => this.runWorkflow(definition, prompt, result), workflow, result);
         } catch (error) {
+            if (isAbortError(error)) throw error;
             console.error('❌ [Swarm] Processing error:', error);
             result.error = error.message;
             result.status = 'failed';
@@ -286,158 +303,114 @@ class SwarmCouncil {
         }
     }
     
-    async fullSwarmWorkflow(prompt, result) {
-        console.log('🔄 [Swarm] Executing full council workflow...');
-        
-        // Step 1: Content Creation
-        if (this.providers.gemini) {
-            console.log('📝 [Swarm] Step 1: Content Creation (Gemini)');
-            const creationPrompt = `${prompt}\n\nRole: นักสร้างสรรค์หลัก - สร้างเนื้อหาที่สร้างสรรค์และครอบคลุม`;
-            const createdContent = await this.providers.gemini.generateContent(creationPrompt);
-            
-            result.steps.push({
-                step: 1,
-                role: 'นักสร้างสรรค์หลัก',
-                provider: 'gemini',
-                output: createdContent,
-                timestamp: new Date().toISOString()
-            });
-            result.finalContent = createdContent;
-        }
-        
-        // Step 2: Quality Review
-        if (this.providers.openai && result.finalContent) {
-            console.log('🔍 [Swarm] Step 2: Quality Review (OpenAI)');
-            const reviewPrompt = `กรุณาตรวจสอบและปรับปรุงคุณภาพของเนื้อหาต่อไปนี้:\n\n${result.finalContent}\n\nRole: ผู้ตรวจสอบคุณภาพ - ตรวจสอบความถูกต้อง ความสอดคล้อง และคุณภาพโดยรวม`;
-            const reviewedContent = await this.providers.openai.generateContent(reviewPrompt);
-            
-            result.steps.push({
-                step: 2,
-                role: 'ผู้ตรวจสอบคุณภาพ',
-                provider: 'openai',
-                output: reviewedContent,
-                timestamp: new Date().toISOString()
-            });
-            result.finalContent = reviewedContent;
-        }
-        
-        // Step 3: Content Enhancement
-        if (this.providers.claude && result.finalContent) {
-            console.log('✨ [Swarm] Step 3: Content Enhancement (Claude)');
-            const enhancePrompt = `กรุณาปรับปรุงโครงสร้างและความน่าสนใจของเนื้อหาต่อไปนี้:\n\n${result.finalContent}\n\nRole: ผู้ปรับปรุงเนื้อหา - ปรับโครงสร้างให้อ่านง่ายและน่าสนใจยิ่งขึ้น`;
-            const enhancedContent = await this.providers.claude.generateContent(enhancePrompt);
-            
-            result.steps.push({
-                step: 3,
-                role: 'ผู้ปรับปรุงเนื้อหา',
-                provider: 'claude',
-                output: enhancedContent,
-                timestamp: new Date().toISOString()
+    /**
+     * Run a workflow definition stage by stage. Each step renders its template
+     * with the request ({{prompt}}) and the content so far ({{content}}); the
+     * step's output (or a parallel group's merged output) becomes the content.
+     * Steps whose provider is not in the council, or that need content when
+     * there is none yet, are skipped.
+     */
+    async runWorkflow(workflow, prompt, result) {
+        console.log(`🔄 [Swarm] Executing ${workflow.name} workflow (${workflow.steps.length} stages)...`);
+        result.skippedSteps = [];
+        let position = 0;
+        
+        for (const stage of workflow.steps) {
+            const steps = (stage.parallel || [stage]).map(step => ({ step, number: ++position }));
+            const runnable = steps.filter(({ step }) => {
+                const reason = this.getSkipReason(step, result);
+                if (reason) {
+                    result.skippedSteps.push({ id: step.id, provider: step.provider, reason });
+                }
+                return !reason;
             });
-            result.finalContent = enhancedContent;
-        }
-        
-        // Step 4: Technical Review
-        if (this.providers.deepseek && result.finalContent) {
-            console.log('🔬 [Swarm] Step 4: Technical Review (DeepSeek)');
-            const techPrompt = `กรุณาตรวจสอบความถูกต้องทางเทคนิคของเนื้อหาต่อไปนี้:\n\n${result.finalContent}\n\nRole: ผู้ตรวจสอบเทคนิค - ตรวจสอบความถูกต้องทางเทคนิคและประสิทธิภาพ`;
-            const techReview = await this.providers.deepseek.generateContent(techPrompt);
+            if (runnable.length === 0) continue;
             
-            result.steps.push({
-                step: 4,
-                role: 'ผู้ตรวจสอบเทคนิค',
-                provider: 'deepseek',
-                output: techReview,
-                timestamp: new Date().toISOString()
-            });
-            result.finalContent = techReview;
-        }
-        
-        // Step 5: Cultural Optimization
-        if (this.providers.chinda && result.finalContent) {
-            console.log('🇹🇭 [Swarm] Step 5: Cultural Optimization (ChindaX)');
-            const culturalPrompt = `กรุณาปรับปรุงภาษาไทยและความเหมาะสมทางวัฒนธรรมของเนื้อหาต่อไปนี้:\n\n${result.finalContent}\n\nRole: ที่ปรึกษาภาษา - ปรับภาษาไทยและความเหมาะสมทางวัฒนธรรม`;
-            const culturalOptimized = await this.providers.chinda.generateContent(culturalPrompt);
+            const outputs = await Promise.all(runnable.map(({ step, number }) => this.runStep(step, number, prompt, result)));
+            const output = mergeOutputs(outputs, stage.merge);
+            if (output === null) continue;
+            result.finalContent = output;
             
-            result.steps.push({
-                step: 5,
-                role: 'ที่ปรึกษาภาษา',
-                provider: 'chinda',
-                output: culturalOptimized,
-                timestamp: new Date().toISOString()
-            });
-            result.finalContent = culturalOptimized;
+            const reason = stopReason(output, stage.stopIf);
+            if (reason) {
+                console.log(`⏹️ [Swarm] Stopping ${workflow.name} workflow after ${stage.id}: ${reason}`);
+                result.stoppedEarly = { after: stage.id, reason };
+                break;
+            }
         }
         
         result.status = 'completed';
-        console.log(`✅ [Swarm] Full workflow completed with ${result.steps.length} steps`);
+        console.log(`✅ [Swarm] ${workflow.name} workflow completed with ${result.steps.length} steps`);
         return result;
     }
     
-    async creationWorkflow(prompt, result) {
-        console.log('📝 [Swarm] Executing creation workflow...');
+    getSkipReason(step, result) {
+        if (!this.providers[step.provider]) return 'Provider not available';
+        if (step.input === 'content' && !result.finalContent) return 'No output from earlier steps to work on';
+        return null;
+    }
+    
+    /**
+     * Ask one step's member. With onError 'continue' a failed step is recorded
+     * and returns null instead of failing the workflow.
+     */
+    async runStep(step, number, prompt, result) {
+        console.log(`📝 [Swarm] Step ${number}: ${step.role} (${step.provider})`);
+        const rendered = this.renderPrompt(result, step.template, { prompt, content: outputText(result.finalContent) });
+        const record = {
+            step: number,
+            id: step.id,
+            role: step.role,
+            provider: step.provider,
+            template: rendered.template
+        };
         
-        if (this.providers.gemini) {
-            const content = await this.providers.gemini.generateContent(
-                `${prompt}\n\nRole: นักสร้างสรรค์หลัก - โฟกัสที่การสร้างเนื้อหาที่สร้างสรรค์และมีคุณภาพ`
-            );
+        let output;
+        try {
+            output = await this.askMember(step.provider, rendered.prompt);
+        } catch (error) {
+            if (isAbortError(error) || step.onError !== 'continue') throw error;
             
-            result.steps.push({
-                step: 1,
-                role: 'นักสร้างสรรค์หลัก',
-                provider: 'gemini',
-                output: content,
-                timestamp: new Date().toISOString()
-            });
-            result.finalContent = content;
+            // Providers reject with formatError objects ({ error, status }) rather than Errors
+            const message = error?.message || error?.error || String(error);
+            console.warn(`⚠️ [Swarm] Step ${step.id} failed, continuing:`, message);
+            this.addStep(result, { ...record, error: message, timestamp: new Date().toISOString() });
+            return null;
         }
         
-        result.status = 'completed';
-        return result;
+        this.addStep(result, { ...record, output, timestamp: new Date().toISOString() });
+        return output;
     }
     
-    async reviewWorkflow(prompt, result) {
-        console.log('🔍 [Swarm] Executing review workflow...');
-        
-        if (this.providers.openai) {
-            const review = await this.providers.openai.generateContent(
-                `${prompt}\n\nRole: ผู้ตรวจสอบคุณภาพ - ทำการตรวจสอบและให้ข้อเสนอแนะที่สร้างสรรค์`
-            );
-            
-            result.steps.push({
-                step: 1,
-                role: 'ผู้ตรวจสอบคุณภาพ',
-                provider: 'openai',
-                output: review,
-                timestamp: new Date().toISOString()
-            });
-            result.finalContent = review;
+    /**
+     * Render a prompt template by name and note on the run which version was used
+     * @returns {Object} - { prompt, template: { name, version } }
+     */
+    renderPrompt(result, name, variables) {
+        const { prompt, template } = promptTemplates.render(name, variables);
+        if (result) {
+            result.metadata = result.metadata || {};
+            result.metadata.templates = { ...result.metadata.templates, [name]: template.version };
         }
-        
-        result.status = 'completed';
-        return result;
+        return { prompt, template: { name: template.name, version: template.version } };
     }
     
-    async optimizationWorkflow(prompt, result) {
-        console.log('⚡ [Swarm] Executing optimization workflow...');
-        
-        if (this.providers.claude) {
-            const optimized = await this.providers.claude.generateContent(
-                `${prompt}\n\nRole: ผู้ปรับปรุงเนื้อหา - ปรับปรุงและเพิ่มประสิทธิภาพของเนื้อหา`
-            );
-            
-            result.steps.push({
-                step: 1,
-                role: 'ผู้ปรับปรุงเนื้อหา',
-                provider: 'claude',
-                output: optimized,
-                timestamp: new Date().toISOString()
+    /**
+     * Record a finished step, report progress and stop if the run was cancelled
+     */
+    addStep(result, step) {
+        result.steps.push(step);
+        
+        const { onProgress, signal, total } = this.runOptions.get(result) || {};
+        if (onProgress) {
+            onProgress({
+                stage: step.role,
+                provider: step.provider,
+                completed: result.steps.length,
+                total
             });
-            result.finalContent = optimized;
         }
-        
-        result.status = 'completed';
-        return result;
+        signal?.throwIfAborted();
     }
     
     getCouncilStatus() {
@@ -461,20 +434,39 @@ class SwarmCouncil {
             status.roles[role] = provider;
         });
         
-        status.capabilities = [
-            'full', 'create', 'review', 'optimize'
-        ];
+        status.capabilities = swarmWorkflows.names();
         
         return status;
     }
     
+    /**
+     * Ask one council member, recording the call in the AI request ledger.
+     * Repeated prompts are answered from the prompt cache.
+     */
+    async askMember(providerName, prompt) {
+        const provider = this.providers[providerName];
+        
+        const { response } = await promptCache.fetch({
+            prompt: prompt,
+            provider: providerName,
+            model: provider.model
+        }, () => aiRequestLedger.track({
+            provider: providerName,
+            model: provider.model,
+            requestType: 'swarm',
+            prompt: prompt
+        }, () => provider.generateContent(prompt)));
+        
+        return response;
+    }
+    
     async consultMember(memberRole, question) {
         const memberProvider = this.roles[memberRole];
         if (!memberProvider || !this.providers[memberProvider]) {
             throw new Error(`No member found with role: ${memberRole}`);
         }
         
-        return await this.providers[memberProvider].generateContent(question);
+        return await this.askMember(memberProvider, question);
     }
     
     /**
@@ -512,6 +504,9 @@ class SwarmCouncil {
             
             return workflowResult;
         } catch (error) {
+            // A cancelled run must not fall back to other providers
+            if (isAbortError(error)) throw error;
+            
             console.error(`❌ [Swarm] ${workflowName} workflow failed:`, error.message);
             
             result.status = 'failed';
@@ -523,7 +518,7 @@ class SwarmCouncil {
             // Attempt graceful degradation
             if (Object.keys(this.providers).length > 0) {
                 console.log(`🔄 [Swarm] Attempting graceful degradation for ${workflowName}...`);
-                result.fallbackContent = await this.attemptFallbackContent(result.originalPrompt);
+                result.fallbackContent = await this.attemptFallbackContent(result.originalPrompt, result);
                 result.status = 'degraded';
             }
             
@@ -534,8 +529,9 @@ class SwarmCouncil {
     /**
      * Attempt fallback content generation with any available provider
      */
-    async attemptFallbackContent(prompt) {
+    async attemptFallbackContent(prompt, result) {
         const availableProviders = Object.keys(this.providers);
+        const fallback = this.renderPrompt(result, 'swarm.fallback', { prompt });
         
         for (const providerName of availableProviders) {
             try {
@@ -543,7 +539,7 @@ class SwarmCouncil {
                 const provider = this.providers[providerName];
                 
                 if (provider && typeof provider.generateContent === 'function') {
-                    const content = await provider.generateContent(`${prompt}\n\n[Fallback mode - simple response requested]`);
+                    const content = await this.askMember(providerName, fallback.prompt);
                     console.log(`✅ [Swarm] Fallback successful with ${providerName}`);
                     return content;
                 }
@@ -639,7 +635,7 @@ class SwarmCouncil {
                 overallHealth: this.calculateOverallHealth()
             },
             capabilities: {
-                workflows: ['full', 'create', 'review', 'optimize'],
+                workflows: swarmWorkflows.names(),
                 fallbackEnabled: Object.keys(this.providers).length > 0,
                 healthMonitoring: !!this.healthMonitoringInterval
             }
@@ -0,0 +1,388 @@
+const fs = require('fs');
+const path = require('path');
+const { z } = require('zod');
+const config = require('../../../config/config');
+const { providersConfig } = require('../../providers/config/providers.config');
+const promptTemplates = require('../../../services/PromptTemplateRegistry');
+const { PromptTemplate } = require('../../../models/PromptTemplate');
+
+const BUILT_IN_DIR = path.join(__dirname, 'definitions');
+
+/**
+ * How the outputs of a parallel group become the content the next step works on
+ * - first: output of the first branch (definition order) that succeeded
+ * - longest: the longest output
+ * - concatenate: every output, separated by a rule
+ */
+const MERGE_STRATEGIES = ['first', 'longest', 'concatenate'];
+
+const CONCATENATE_SEPARATOR = '\n\n---\n\n';
+
+// Variables the council supplies when rendering a step's template
+const STEP_VARIABLES = ['prompt', 'content'];
+
+const identifier = z.string().trim().min(1).max(100)
+    .regex(PromptTemplate.namePattern, 'Use lower case words separated by dots or hyphens');
+
+// Stop the workflow after a step (or parallel group) whose output matches
+const StopConditionSchema = z.object({
+    contains: z.string().min(1).optional(),
+    matches: z.string().min(1).refine(pattern => {
+        try {
+            new RegExp(pattern, 'u');
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }, 'Invalid regular expression').optional(),
+    shorterThan: z.number().int().min(1).optional()
+}).strict().refine(stopIf => Object.keys(stopIf).length > 0, 'Set contains, matches or shorterThan');
+
+const StepSchema = z.object({
+    id: identifier,
+    role: z.string().trim().min(1).max(100),
+    provider: z.string().trim().min(1).max(50),
+    template: identifier,
+    // prompt: works on the request itself; content: works on the output of earlier steps
+    input: z.enum(['prompt', 'content']).default('content'),
+    // continue: record the error and go on with the content so far
+    onError: z.enum(['fail', 'continue']).default('fail'),
+    stopIf: StopConditionSchema.optional()
+}).strict();
+
+const ParallelGroupSchema = z.object({
+    id: identifier,
+    parallel: z.array(StepSchema).min(2).max(10),
+    merge: z.enum(MERGE_STRATEGIES).default('first'),
+    stopIf: StopConditionSchema.optional()
+}).strict();
+
+// A stage is one step or a group of steps run side by side
+const StageSchema = z.record(z.any()).transform((stage, ctx) => {
+    const parsed = ('parallel' in stage ? ParallelGroupSchema : StepSchema).safeParse(stage);
+    if (!parsed.success) {
+        parsed.error.issues.forEach(issue => ctx.addIssue(issue));
+        return z.NEVER;
+    }
+    return parsed.data;
+});
+
+const WorkflowSchema = z.object({
+    name: identifier,
+    description: z.string().trim().max(500).default(''),
+    steps: z.array(StageSchema).min(1).max(20)
+}).strict();
+
+/**
+ * Steps of a workflow in run order, with parallel groups flattened
+ * @param {Object} workflow - Validated workflow
+ * @returns {Object[]}
+ */
+const leafSteps = (workflow) => workflow.steps.flatMap(stage => stage.parallel || [stage]);
+
+/**
+ * Text of a member's answer (providers answer with a string or { content, ... })
+ */
+const outputText = (output) => String((typeof output === 'string' ? output : output?.content) ?? '');
+
+/**
+ * Why an output ends the workflow, or null to keep going
+ * @param {string} output - Step or merged output
+ * @param {Object} stopIf - { contains, matches, shorterThan }
+ * @returns {string|null}
+ */
+const stopReason = (output, stopIf) => {
+    if (!stopIf) return null;
+    const text = outputText(output);
+
+    if (stopIf.contains && text.includes(stopIf.contains)) {
+        return `Output contains "${stopIf.contains}"`;
+    }
+    if (stopIf.matches && new RegExp(stopIf.matches, 'u').test(text)) {
+        return `Output matches /${stopIf.matches}/`;
+    }
+    if (stopIf.shorterThan && text.trim().length < stopIf.shorterThan) {
+        return `Output is shorter than ${stopIf.shorterThan} characters`;
+    }
+    return null;
+};
+
+/**
+ * Combine the outputs of a parallel group (failed branches are null)
+ * @param {Array} outputs - Outputs in definition order
+ * @param {string} strategy - One of MERGE_STRATEGIES
+ * @returns {*} - Merged output, or null when every branch failed
+ */
+const mergeOutputs = (outputs, strategy = 'first') => {
+    const succeeded = outputs.filter(output => output !== null && output !== undefined);
+    if (succeeded.length === 0) return null;
+
+    switch (strategy) {
+        case 'longest':
+            return succeeded.reduce((longest, output) => (outputText(output).length > outputText(longest).length ? output : longest));
+        case 'concatenate':
+            return succeeded.map(outputText).join(CONCATENATE_SEPARATOR);
+        default:
+            return succeeded[0];
+    }
+};
+
+/**
+ * Swarm Workflow Registry - Council workflows defined as data
+ * Each workflow is a JSON file listing its steps: which role and provider
+ * takes the step, the prompt template it renders, whether it works on the
+ * request or on earlier output, and optional parallel groups, merge strategy
+ * and stop conditions. Built-in workflows live in ./definitions; files in
+ * config.ai.workflows.dir add workflows or replace built-ins of the same name.
+ * Definitions are validated when loaded and invalid ones are left out.
+ */
+class SwarmWorkflowRegistry {
+    /**
+     * @param {Object} options
+     * @param {string[]} options.directories - Definition directories, later ones override earlier ones
+     * @param {Function} options.getProviderNames - () => configured provider names
+     * @param {Function} options.resolveTemplate - (name) => template version or null
+     */
+    constructor(options = {}) {
+        const workflowsConfig = config.ai.workflows || {};
+
+        this.directories = options.directories || [BUILT_IN_DIR, workflowsConfig.dir].filter(Boolean);
+        this.getProviderNames = options.getProviderNames || (() => Object.keys(providersConfig));
+        this.resolveTemplate = options.resolveTemplate || (name => promptTemplates.resolve(name));
+
+        this.workflows = null; // name -> { ...workflow, source, warnings }
+        this.errors = []; // { file, errors } for definitions that failed validation
+    }
+
+    /**
+     * (Re)load every definition file. Run again after the prompt template
+     * registry has loaded so workflows can use templates created by editors.
+     * @returns {Object} - { loaded, errors }
+     */
+    load() {
+        const workflows = new Map();
+        const errors = [];
+
+        this.directories.forEach(directory => {
+            const source = directory === BUILT_IN_DIR ? 'built-in' : 'custom';
+            let files;
+            try {
+                files = fs.readdirSync(directory).filter(file => file.endsWith('.json')).sort();
+            } catch (error) {
+                console.warn(`⚠️ [Swarm] Cannot read workflow directory ${directory}:`, error.message);
+                return;
+            }
+
+            files.forEach(file => {
+                const filePath = path.join(directory, file);
+                let definition;
+                try {
+                    definition = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+                } catch (error) {
+                    errors.push({ file: filePath, errors: [{ field: '', message: `Invalid JSON: ${error.message}` }] });
+                    return;
+                }
+
+                const validation = this.validate(definition);
+                if (!validation.success) {
+                    errors.push({ file: filePath, errors: validation.errors });
+                    return;
+                }
+
+                workflows.set(validation.data.name, { ...validation.data, source, warnings: this.findWarnings(validation.data) });
+            });
+        });
+
+        this.workflows = workflows;
+        this.errors = errors;
+
+        errors.forEach(({ file, errors: fileErrors }) => {
+            console.error(`❌ [Swarm] Invalid workflow ${file}: ${fileErrors.map(e => `${e.field || 'workflow'}: ${e.message}`).join('; ')}`);
+        });
+        console.log(`📋 [Swarm] Loaded ${workflows.size} workflows (${[...workflows.keys()].join(', ')})`);
+
+        return { loaded: workflows.size, errors };
+    }
+
+    ensureLoaded() {
+        if (!this.workflows) {
+            this.load();
+        }
+        return this.workflows;
+    }
+
+    /**
+     * Validate a workflow definition: structure, unique step IDs, known
+     * templates that only need the variables the council supplies, and a
+     * first stage that works on the request
+     * @param {Object} definition - Workflow definition
+     * @returns {Object} - { success, data } or { success: false, errors }
+     */
+    validate(definition) {
+        const parsed = PromptTemplate.validate(WorkflowSchema, definition);
+        if (!parsed.success) return parsed;
+
+        const errors = [];
+        const seen = new Set();
+        const issue = (stagePath, message) => errors.push({ field: ['steps', ...stagePath].join('.'), message });
+
+        parsed.data.steps.forEach((stage, stageIndex) => {
+            if (stage.parallel) {
+                if (seen.has(stage.id)) issue([stageIndex, 'id'], `Duplicate step id: ${stage.id}`);
+                seen.add(stage.id);
+            }
+
+            (stage.parallel || [stage]).forEach((step, branchIndex) => {
+                const stepPath = stage.parallel ? [stageIndex, 'parallel', branchIndex] : [stageIndex];
+
+                if (seen.has(step.id)) issue([...stepPath, 'id'], `Duplicate step id: ${step.id}`);
+                seen.add(step.id);
+
+                if (stage.parallel && step.stopIf) {
+                    issue([...stepPath, 'stopIf'], 'Steps in a parallel group cannot stop the workflow; set stopIf on the group');
+                }
+                if (stageIndex === 0 && step.input === 'content') {
+                    issue([...stepPath, 'input'], 'The first stage has no earlier output to work on; use input "prompt"');
+                }
+
+                const template = this.resolveTemplate(step.template);
+                if (!template) {
+                    issue([...stepPath, 'template'], `Unknown prompt template: ${step.template}`);
+                    return;
+                }
+                PromptTemplate.missingVariables(template, Object.fromEntries(STEP_VARIABLES.map(name => [name, ''])))
+                    .forEach(name => issue([...stepPath, 'template'], `Template ${step.template} needs {{${name}}}, which workflows cannot supply`));
+            });
+        });
+
+        return errors.length > 0 ? { success: false, errors } : parsed;
+    }
+
+    /**
+     * Problems that don't stop a workflow from running, e.g. steps for
+     * providers that are not configured (those steps are skipped)
+     */
+    findWarnings(workflow) {
+        const providers = this.getProviderNames();
+        return leafSteps(workflow)
+            .filter(step => !providers.includes(step.provider))
+            .map(step => `Provider ${step.provider} is not configured; step ${step.id} will be skipped`);
+    }
+
+    /**
+     * @param {string} name - Workflow name
+     * @returns {Object|null} - Validated workflow
+     */
+    get(name) {
+        return this.ensureLoaded().get(name) || null;
+    }
+
+    has(name) {
+        return this.ensureLoaded().has(name);
+    }
+
+    names() {
+        return [...this.ensureLoaded().keys()];
+    }
+
+    /**
+     * Workflow summaries for listings
+     * @returns {Object} - { workflows, errors }
+     */
+    list() {
+        const workflows = [...this.ensureLoaded().values()].map(workflow => ({
+            name: workflow.name,
+            description: workflow.description,
+            source: workflow.source,
+            stages: workflow.steps.length,
+            providers: [...new Set(leafSteps(workflow).map(step => step.provider))],
+            templates: [...new Set(leafSteps(workflow).map(step => step.template))],
+            warnings: workflow.warnings
+        }));
+
+        return { workflows, errors: this.errors };
+    }
+
+    /**
+     * Planned execution graph of a workflow, without calling any provider
+     * @param {string} name - Workflow name
+     * @param {Object} options - { availableProviders: provider names that can take requests }
+     * @returns {Object|null} - { workflow, stages, edges, estimatedCalls, warnings }, null for unknown workflows
+     */
+    plan(name, options = {}) {
+        const workflow = this.get(name);
+        if (!workflow) return null;
+
+        const available = new Set(options.availableProviders || []);
+        const edges = [];
+        let previous = ['input'];
+        let hasContent = false;
+
+        const stages = workflow.steps.map(stage => {
+            const steps = (stage.parallel || [stage]).map(step => {
+                const template = this.resolveTemplate(step.template);
+                let skipReason = null;
+                if (!available.has(step.provider)) {
+                    skipReason = 'Provider not available';
+                } else if (step.input === 'content' && !hasContent) {
+                    skipReason = 'No output from earlier steps to work on';
+                }
+
+                return {
+                    id: step.id,
+                    role: step.role,
+                    provider: step.provider,
+                    template: template ? { name: template.name, version: template.version, source: template.source } : { name: step.template },
+                    input: step.input,
+                    onError: step.onError,
+                    ...(step.stopIf && { stopIf: step.stopIf }),
+                    willRun: skipReason === null,
+                    skipReason
+                };
+            });
+
+            const running = steps.filter(step => step.willRun).map(step => step.id);
+            if (running.length > 0) {
+                previous.forEach(from => running.forEach(to => edges.push({ from, to })));
+                previous = running;
+                hasContent = true;
+            }
+
+            return {
+                id: stage.id,
+                type: stage.parallel ? 'parallel' : 'step',
+                ...(stage.parallel && { merge: stage.merge }),
+                ...(stage.parallel && stage.stopIf && { stopIf: stage.stopIf }),
+                steps
+            };
+        });
+        previous.forEach(from => edges.push({ from, to: 'output' }));
+
+        const estimatedCalls = stages.reduce((count, stage) => count + stage.steps.filter(step => step.willRun).length, 0);
+        const warnings = [...workflow.warnings];
+        if (estimatedCalls === 0) {
+            warnings.push('No step can run with the available providers');
+        }
+
+        return {
+            workflow: workflow.name,
+            description: workflow.description,
+            source: workflow.source,
+            stages,
+            edges,
+            estimatedCalls,
+            warnings
+        };
+    }
+}
+
+// Export singleton instance (class and helpers exposed for the council and tests)
+const swarmWorkflowRegistry = new SwarmWorkflowRegistry();
+
+module.exports = swarmWorkflowRegistry;
+module.exports.SwarmWorkflowRegistry = SwarmWorkflowRegistry;
+module.exports.MERGE_STRATEGIES = MERGE_STRATEGIES;
+module.exports.leafSteps = leafSteps;
+module.exports.stopReason = stopReason;
+module.exports.mergeOutputs = mergeOutputs;
+module.exports.outputText = outputText;
@@ -5,7 +5,7 @@ const router = express.Router();
 
 // Import secure API key manager and security middleware
 const apiKeyManager = require('./models/apiKeys');
-const { authenticateAdmin } = require('./middleware/auth');
+const { authenticate, requirePermission } = require('./middleware/auth');
 const { apiKeyRateLimit } = require('./middleware/rateLimiter');
 const { logger } = require('./middleware/errorHandler');
 
@@ -14,7 +14,8 @@ const { logger } = require('./middleware/errorHandler');
 // GET /api/apikey - Retrieve API keys securely (Admin only)
 router.get('/apikey', 
     apiKeyRateLimit,      // Rate limiting
-    authenticateAdmin,    // Admin authentication required
+    authenticate,         // Authentication required
+    requirePermission('apikeys:manage'), // Admin role required
     (req, res) => {
         try {
             // Get masked API keys for display
@@ -49,7 +50,8 @@ router.get('/apikey',
 // GET /api/apikey/display - Get masked API keys for UI display
 router.get('/apikey/display', 
     apiKeyRateLimit,      
-    authenticateAdmin,    
+    authenticate,
+    requirePermission('apikeys:manage'), // Admin role required
     (req, res) => {
         try {
             const maskedKeys = apiKeyManager.getMaskedKeys();
@@ -88,7 +90,8 @@ router.get('/apikey/display',
 router.post('/apikey', 
     express.json(), 
     apiKeyRateLimit,      // Rate limiting
-    authenticateAdmin,    // Admin authentication required
+    authenticate,         // Authentication required
+    requirePermission('apikeys:manage'), // Admin role required
     (req, res) => {
         try {
             const { provider, apiKey } = req.body;
@@ -155,7 +158,8 @@ router.post('/apikey',
 router.post('/apikey/test',
     express.json(),
     apiKeyRateLimit,
-    authenticateAdmin,
+    authenticate,
+    requirePermission('apikeys:manage'), // Admin role required
     async (req, res) => {
         try {
             const { provider } = req.body;
@@ -5,6 +5,7 @@
  * Environment variables are loaded by server.js
  */
 
+const path = require('path');
 const EnvironmentValidator = require('../utils/envValidator');
 
 // ✅ SECURITY FIX: Validate environment on startup (non-blocking)
@@ -56,12 +57,107 @@ const config = {
     supabaseAnonKey: process.env.SUPABASE_ANON_KEY 
   },
 
+  // Posts Storage Configuration (file | sqlite | supabase)
+  storage: {
+    driver: process.env.POSTS_STORAGE_DRIVER || (process.env.SUPABASE_URL ? 'supabase' : 'file'),
+    file: {
+      path: process.env.POSTS_DATA_FILE || path.join(__dirname, '..', 'data.json'),
+      usersPath: process.env.USERS_DATA_FILE || path.join(__dirname, '..', 'users.json'),
+      aiRequestsPath: process.env.AI_REQUESTS_DATA_FILE || path.join(__dirname, '..', 'ai-requests.json'),
+      aiRequestsMaxEntries: parseInt(process.env.AI_REQUESTS_MAX_ENTRIES) || 10000,
+      mediaPath: process.env.MEDIA_DATA_FILE || path.join(__dirname, '..', 'media.json'),
+      taxonomyPath: process.env.TAXONOMY_DATA_FILE || path.join(__dirname, '..', 'taxonomy.json'),
+      translationsPath: process.env.TRANSLATIONS_DATA_FILE || path.join(__dirname, '..', 'translations.json'),
+      jobsPath: process.env.JOBS_DATA_FILE || path.join(__dirname, '..', 'jobs.json'),
+      promptTemplatesPath: process.env.PROMPT_TEMPLATES_DATA_FILE || path.join(__dirname, '..', 'prompt-templates.json')
+    },
+    sqlite: {
+      path: process.env.POSTS_SQLITE_PATH || path.join(__dirname, '..', 'posts.sqlite')
+    },
+    supabase: {
+      tableName: process.env.POSTS_TABLE || 'posts',
+      usersTable: process.env.USERS_TABLE || 'users',
+      aiRequestsTable: process.env.AI_REQUESTS_TABLE || 'ai_requests',
+      mediaTable: process.env.MEDIA_TABLE || 'media',
+      categoriesTable: process.env.CATEGORIES_TABLE || 'categories',
+      tagsTable: process.env.TAGS_TABLE || 'tags',
+      postTagsTable: process.env.POST_TAGS_TABLE || 'post_tags',
+      glossaryTable: process.env.GLOSSARY_TABLE || 'glossary_terms',
+      translationDraftsTable: process.env.TRANSLATION_DRAFTS_TABLE || 'translation_drafts',
+      jobsTable: process.env.AI_JOBS_TABLE || 'ai_jobs',
+      promptTemplatesTable: process.env.PROMPT_TEMPLATES_TABLE || 'prompt_templates'
+    }
+  },
+
+  // Media Library (uploaded images; files go to local disk or an object storage bucket)
+  media: {
+    driver: process.env.MEDIA_STORAGE_DRIVER || 'local',
+    maxFileSize: parseInt(process.env.MEDIA_MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10 MB
+    // A small compressed file can still decode to a huge bitmap
+    maxPixels: parseInt(process.env.MEDIA_MAX_PIXELS) || 40000000, // 40 megapixels
+    allowedTypes: (process.env.MEDIA_ALLOWED_TYPES || 'image/jpeg,image/png,image/webp,image/gif,image/avif')
+      .split(',').map(type => type.trim()).filter(Boolean),
+    thumbnailWidth: parseInt(process.env.MEDIA_THUMBNAIL_WIDTH) || 320,
+    webpMaxWidth: parseInt(process.env.MEDIA_WEBP_MAX_WIDTH) || 1920,
+    webpQuality: parseInt(process.env.MEDIA_WEBP_QUALITY) || 80,
+    local: {
+      directory: process.env.MEDIA_UPLOAD_DIR || path.join(__dirname, '..', 'uploads'),
+      // Post fields store absolute URLs, so files are addressed through the API host
+      publicUrl: (process.env.MEDIA_PUBLIC_URL ||
+        `${process.env.API_URL || process.env.RENDER_EXTERNAL_URL || `http://localhost:${process.env.PORT || 10000}`}/uploads`).replace(/\/+$/, '')
+    },
+    supabase: {
+      bucket: process.env.MEDIA_BUCKET || 'media'
+    }
+  },
+
+  // User Accounts (roles, password hashing and invitations)
+  auth: {
+    bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS) || 12,
+    inviteTtlHours: parseInt(process.env.INVITE_TTL_HOURS) || 72,
+    // Shown as the account name in authenticator apps
+    totpIssuer: process.env.TOTP_ISSUER || 'RBCK CMS'
+  },
+
+  // Scheduled Publishing (background job that publishes posts when publishAt is due)
+  publishing: {
+    schedulerEnabled: process.env.PUBLISH_SCHEDULER_ENABLED !== 'false',
+    schedulerInterval: parseInt(process.env.PUBLISH_SCHEDULER_INTERVAL_MS) || 60000, // 1 minute
+    // Pre-publish review: findings block publishing until an editor acknowledges them
+    review: {
+      enabled: process.env.CONTENT_REVIEW_ENABLED !== 'false',
+      prohibitedTerms: (process.env.CONTENT_REVIEW_PROHIBITED_TERMS || '').split(',').map(term => term.trim()).filter(Boolean),
+      partsCatalogFile: process.env.CONTENT_REVIEW_PARTS_CATALOG || null
+    }
+  },
+
   // ✅ FRONTEND CONFIGURATION - Environment-specific CORS
   frontend: {
     url: process.env.FRONTEND_URL || 'https://flourishing-gumdrop-dffe7a.netlify.app',
     allowedOrigins: getAllowedOrigins()
   },
 
+  // Public Site Configuration (canonical URLs and social meta on server-rendered pages)
+  site: {
+    name: process.env.SITE_NAME || 'ระเบียบการช่าง',
+    url: (process.env.SITE_URL || process.env.FRONTEND_URL || 'https://flourishing-gumdrop-dffe7a.netlify.app').replace(/\/+$/, ''),
+    locale: process.env.SITE_LOCALE || 'th_TH',
+    defaultImage: process.env.SITE_DEFAULT_IMAGE || null,
+    twitterHandle: process.env.SITE_TWITTER_HANDLE || null,
+    description: process.env.SITE_DESCRIPTION || 'คู่มือการใช้งาน ดูแลรักษา และซ่อมรถเกี่ยวข้าว',
+    // Organization and breadcrumb structured data
+    logo: process.env.SITE_LOGO || null,
+    sameAs: (process.env.SITE_SAME_AS || '').split(',').map(url => url.trim()).filter(Boolean),
+    categoryUrl: process.env.SITE_CATEGORY_URL || null, // e.g. /blog?category={slug}
+    feedLimit: parseInt(process.env.FEED_LIMIT) || 20,
+    robots: {
+      disallowAll: process.env.ROBOTS_DISALLOW_ALL === 'true', // e.g. staging
+      allow: (process.env.ROBOTS_ALLOW || '').split(',').map(p => p.trim()).filter(Boolean),
+      disallow: (process.env.ROBOTS_DISALLOW || '/admin/,/api/').split(',').map(p => p.trim()).filter(Boolean),
+      extra: process.env.ROBOTS_EXTRA || ''
+    }
+  },
+
   // API Configuration
   api: {
     baseUrl: process.env.API_URL || process.env.RENDER_EXTERNAL_URL || `http://localhost:${process.env.PORT || 10000}`,
@@ -102,6 +198,37 @@ const config = {
         model: process.env.CHINDA_MODEL || 'chinda-qwen3-4b',
         enabled: !!process.env.CHINDA_API_KEY  // Only require API key, JWT token is optional
       }
+    },
+    // Post translation drafts (falls back through the provider pool when the provider fails)
+    translation: {
+      provider: process.env.TRANSLATION_PROVIDER || 'gemini',
+      temperature: parseFloat(process.env.TRANSLATION_TEMPERATURE) || 0.2,
+      maxTokens: parseInt(process.env.TRANSLATION_MAX_TOKENS) || 4000
+    },
+    // Provider routing (see ai/providers/routing/ProviderRouter.js). 'fallback' keeps
+    // the fixed order of AIProviderService; requests may pick another strategy.
+    routing: {
+      strategy: process.env.AI_ROUTING_STRATEGY || 'fallback',
+      latencyWindow: parseInt(process.env.AI_ROUTING_LATENCY_WINDOW) || 20, // Recent calls averaged per provider
+      // Weighted round-robin shares, e.g. "gemini:3,openai:1" (unlisted providers weigh 1)
+      weights: Object.fromEntries((process.env.AI_ROUTING_WEIGHTS || '')
+        .split(',').map(entry => entry.split(':').map(part => part.trim()))
+        .filter(([name, weight]) => name && parseFloat(weight) > 0)
+        .map(([name, weight]) => [name, parseFloat(weight)]))
+    },
+    // Swarm council workflow definitions (ai/swarm/workflows). JSON files in
+    // this directory add workflows or replace built-ins with the same name.
+    workflows: {
+      dir: process.env.SWARM_WORKFLOWS_DIR || null
+    },
+    // Background jobs for the swarm council and E-A-T pipelines
+    jobs: {
+      concurrency: parseInt(process.env.JOB_CONCURRENCY) || 2, // Jobs running at once, all types
+      typeConcurrency: {
+        swarm: parseInt(process.env.JOB_SWARM_CONCURRENCY) || 2,
+        eat: parseInt(process.env.JOB_EAT_CONCURRENCY) || 1
+      },
+      maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 2 // Runs allowed when a restart interrupts a job
     }
   },
 
@@ -119,7 +246,13 @@ const config = {
       api: parseInt(process.env.CACHE_API_TTL) || 300, // 5 minutes
       posts: parseInt(process.env.CACHE_POSTS_TTL) || 900, // 15 minutes
       static: parseInt(process.env.CACHE_STATIC_TTL) || 3600, // 1 hour
-      ai: parseInt(process.env.CACHE_AI_TTL) || 1800 // 30 minutes
+      ai: parseInt(process.env.CACHE_AI_TTL) || 1800 // 30 minutes, also the AI prompt cache TTL
+    },
+    // Provider responses reused for repeated prompts (services/PromptCache.js)
+    aiPrompts: {
+      enabled: process.env.AI_PROMPT_CACHE_ENABLED !== 'false',
+      maxEntries: parseInt(process.env.AI_PROMPT_CACHE_MAX_ENTRIES) || 500,
+      maxBytes: parseInt(process.env.AI_PROMPT_CACHE_MAX_BYTES) || 5 * 1024 * 1024 // Cached responses in total
     },
     checkPeriod: parseInt(process.env.CACHE_CHECK_PERIOD) || 600 // 10 minutes
   },
@@ -89,7 +89,7 @@ const options = {
             },
             status: {
               type: 'string',
-              enum: ['draft', 'published', 'archived'],
+              enum: ['draft', 'scheduled', 'published', 'archived'],
               description: 'Publication status'
             },
             author: {
@@ -102,6 +102,12 @@ const options = {
               format: 'date',
               description: 'Publication date'
             },
+            publishAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When a scheduled post is published (required when status is scheduled)',
+              example: '2024-06-01T08:00:00+07:00'
+            },
             views: {
               type: 'integer',
               description: 'Number of views',
@@ -0,0 +1,375 @@
+/**
+ * Media Controller
+ * Image uploads with generated variants, alt-text metadata and reference
+ * tracking so an image used by a post cannot be deleted
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const config = require('../config/config');
+const { Media } = require('../models/Media');
+const { User } = require('../models/User');
+const { logger } = require('../middleware/errorHandler');
+const { getMediaRepository, getPostRepository } = require('../repositories');
+const { getMediaStorage } = require('../storage');
+const { inspectImage, createVariants } = require('../utils/imageVariants');
+
+// Post fields that may point at an uploaded image
+const REFERENCE_FIELDS = ['featured_image_url', 'content', 'contentEN'];
+
+class MediaController {
+  constructor(repository = getMediaRepository(), storage = getMediaStorage(), postRepository = getPostRepository()) {
+    this.repository = repository;
+    this.storage = storage;
+    this.postRepository = postRepository;
+    this.settings = config.media;
+  }
+
+  /**
+   * Initialize the media repository and the file storage
+   */
+  async initialize() {
+    try {
+      await this.repository.initialize();
+      await this.storage.initialize();
+    } catch (error) {
+      logger.error('Failed to initialize media controller:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Swap the storage adapters (used by tests and tooling)
+   * @param {MediaRepository} repository - Media metadata repository
+   * @param {MediaStorage} storage - File storage (unchanged when omitted)
+   * @param {PostRepository} postRepository - Posts scanned for references (unchanged when omitted)
+   */
+  setRepository(repository, storage = this.storage, postRepository = this.postRepository) {
+    this.repository = repository;
+    this.storage = storage;
+    this.postRepository = postRepository;
+  }
+
+  /**
+   * Check the declared type and size of an upload before decoding it
+   * @param {Object} file - multer file ({ originalname, mimetype, size, buffer })
+   * @returns {Object|null} - Error result, or null when acceptable
+   */
+  validateFile(file) {
+    if (!file || !file.buffer) {
+      return { success: false, error: 'No file uploaded', message: 'Send the image in the "file" field' };
+    }
+
+    if (file.size > this.settings.maxFileSize) {
+      return this.fileTooLarge();
+    }
+
+    if (!this.settings.allowedTypes.includes(file.mimetype)) {
+      return {
+        success: false,
+        error: 'Unsupported file type',
+        message: `Allowed types: ${this.settings.allowedTypes.join(', ')}`
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Error result for uploads over config.media.maxFileSize
+   */
+  fileTooLarge() {
+    const limit = this.settings.maxFileSize;
+    return {
+      success: false,
+      error: 'File too large',
+      message: `Images may be at most ${limit >= 1024 * 1024 ? `${+(limit / 1024 / 1024).toFixed(1)} MB` : `${Math.round(limit / 1024)} KB`}`
+    };
+  }
+
+  /**
+   * Store an image, its thumbnail and WebP variants, and the media record
+   * @param {Object} file - multer file
+   * @param {Object} metadata - { alt_text_th, alt_text_en, caption }
+   * @param {Object} context - { user } uploading
+   */
+  async uploadMedia(file, metadata = {}, context = {}) {
+    const fileError = this.validateFile(file);
+    if (fileError) return fileError;
+
+    const validation = Media.validateForUpdate(metadata);
+    if (!validation.success) {
+      return {
+        success: false,
+        error: 'Validation failed',
+        details: validation.errors
+      };
+    }
+
+    let image;
+    try {
+      // The client's Content-Type is only a hint; the content decides
+      image = await inspectImage(file.buffer, this.settings);
+    } catch (error) {
+      if (error.code === 'IMAGE_TOO_LARGE') {
+        return {
+          success: false,
+          error: 'File too large',
+          message: `Images may be at most ${+(this.settings.maxPixels / 1000000).toFixed(2)} megapixels`
+        };
+      }
+      return { success: false, error: 'Unsupported file type', message: error.message };
+    }
+
+    if (!this.settings.allowedTypes.includes(image.mimeType)) {
+      return {
+        success: false,
+        error: 'Unsupported file type',
+        message: `Allowed types: ${this.settings.allowedTypes.join(', ')}`
+      };
+    }
+
+    const storedKeys = [];
+
+    try {
+      const id = crypto.randomUUID();
+      const now = new Date().toISOString();
+      const prefix = `${now.slice(0, 4)}/${now.slice(5, 7)}/${id}`;
+      const generated = await createVariants(file.buffer, this.settings);
+
+      const store = async (key, buffer, mimeType, width, height) => {
+        const stored = await this.storage.put(key, buffer, mimeType);
+        storedKeys.push(stored.key);
+        return { key: stored.key, url: stored.url, mime_type: mimeType, width, height, size: buffer.length };
+      };
+
+      const variants = {
+        original: await store(`${prefix}.${image.extension}`, file.buffer, image.mimeType, image.width, image.height),
+        thumbnail: await store(`${prefix}-thumb.webp`, generated.thumbnail.buffer, 'image/webp',
+          generated.thumbnail.width, generated.thumbnail.height),
+        webp: await store(`${prefix}.webp`, generated.webp.buffer, 'image/webp', generated.webp.width, generated.webp.height)
+      };
+
+      const record = Media.validateForCreate({
+        id,
+        filename: path.basename(file.originalname || `${id}.${image.extension}`).slice(0, 255),
+        mime_type: image.mimeType,
+        size: file.buffer.length,
+        width: image.width,
+        height: image.height,
+        storage_driver: this.storage.driver,
+        variants,
+        ...validation.data,
+        uploaded_by: context.user && !context.user.bootstrap ? context.user.id : null,
+        created_at: now,
+        updated_at: now
+      });
+
+      if (!record.success) {
+        throw new Error(`Invalid media record: ${record.errors.map(e => `${e.field} ${e.message}`).join(', ')}`);
+      }
+
+      const media = await this.repository.create(record.data);
+      logger.info(`🖼️ Media uploaded: ${media.filename} (${media.id})`);
+
+      return { success: true, data: Media.toPublic(media) };
+    } catch (error) {
+      await this.removeFiles(storedKeys);
+      logger.error('Error uploading media:', error);
+      return {
+        success: false,
+        error: 'Failed to upload media',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * List and search the library, newest first
+   * @param {Object} options - { search, mimeType, uploadedBy, limit, offset }
+   */
+  async listMedia(options = {}) {
+    try {
+      const limit = Math.min(parseInt(options.limit) || 50, 200);
+      const offset = parseInt(options.offset) || 0;
+      const { media, total } = await this.repository.findAll({ ...options, limit, offset });
+
+      return {
+        success: true,
+        data: {
+          media: media.map(item => Media.toPublic(item)),
+          total,
+          limit,
+          offset
+        }
+      };
+    } catch (error) {
+      logger.error('Error listing media:', error);
+      return {
+        success: false,
+        error: 'Failed to list media',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * One media item with the posts that use it
+   * @param {string} id - Media ID
+   */
+  async getMedia(id) {
+    try {
+      const media = await this.repository.findById(id);
+      if (!media) {
+        return { success: false, error: 'Media not found' };
+      }
+
+      return {
+        success: true,
+        data: { ...Media.toPublic(media), usedBy: await this.findReferences(media) }
+      };
+    } catch (error) {
+      logger.error('Error fetching media:', error);
+      return {
+        success: false,
+        error: 'Failed to fetch media',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Change alt text and caption
+   * @param {string} id - Media ID
+   * @param {Object} changes - { alt_text_th, alt_text_en, caption }
+   * @param {Object} context - { user } making the change
+   */
+  async updateMedia(id, changes, context = {}) {
+    try {
+      const validation = Media.validateForUpdate(changes || {});
+      if (!validation.success) {
+        return {
+          success: false,
+          error: 'Validation failed',
+          details: validation.errors
+        };
+      }
+
+      const media = await this.repository.findById(id);
+      if (!media) {
+        return { success: false, error: 'Media not found' };
+      }
+
+      const accessError = this.authorize(context.user, media);
+      if (accessError) return accessError;
+
+      const updated = await this.repository.update(id, {
+        ...validation.data,
+        updated_at: new Date().toISOString()
+      });
+
+      return { success: true, data: Media.toPublic(updated) };
+    } catch (error) {
+      logger.error('Error updating media:', error);
+      return {
+        success: false,
+        error: 'Failed to update media',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Delete an image and its variants unless a post still uses it
+   * @param {string} id - Media ID
+   * @param {Object} context - { user } deleting
+   */
+  async deleteMedia(id, context = {}) {
+    try {
+      const media = await this.repository.findById(id);
+      if (!media) {
+        return { success: false, error: 'Media not found' };
+      }
+
+      const accessError = this.authorize(context.user, media);
+      if (accessError) return accessError;
+
+      const usedBy = await this.findReferences(media);
+      if (usedBy.length > 0) {
+        return {
+          success: false,
+          error: 'Media in use',
+          message: `Used by ${usedBy.length} post(s); remove it from them first`,
+          data: { usedBy }
+        };
+      }
+
+      await this.repository.delete(id);
+      await this.removeFiles(Object.values(media.variants || {}).map(variant => variant.key));
+      logger.info(`🗑️ Media deleted: ${media.filename} (${media.id})`);
+
+      return { success: true, data: Media.toPublic(media) };
+    } catch (error) {
+      logger.error('Error deleting media:', error);
+      return {
+        success: false,
+        error: 'Failed to delete media',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Posts whose featured image or content points at any variant of the media.
+   * Variant keys contain the media ID, so absolute and relative URLs both match.
+   * @param {Object} media - Media record
+   * @returns {Promise<Object[]>} - [{ id, slug, titleTH, status, fields }]
+   */
+  async findReferences(media) {
+    const keys = Object.values(media.variants || {}).map(variant => variant.key);
+    const { posts } = await this.postRepository.findAll({});
+
+    return posts.reduce((references, post) => {
+      const fields = REFERENCE_FIELDS.filter(field =>
+        typeof post[field] === 'string' && keys.some(key => post[field].includes(key))
+      );
+
+      if (fields.length > 0) {
+        references.push({ id: post.id, slug: post.slug, titleTH: post.titleTH, status: post.status, fields });
+      }
+      return references;
+    }, []);
+  }
+
+  /**
+   * Internal callers (tooling) pass no user and are not restricted
+   * @returns {Object|null} - Error result, or null when allowed
+   */
+  authorize(user, media) {
+    if (!user || User.canEditMedia(user, media)) return null;
+
+    return {
+      success: false,
+      error: 'Forbidden',
+      message: 'Authors can only change their own uploads'
+    };
+  }
+
+  /**
+   * Best-effort removal of stored files; a leftover file only wastes space
+   */
+  async removeFiles(keys) {
+    for (const key of keys) {
+      try {
+        await this.storage.delete(key);
+      } catch (error) {
+        logger.warn(`Failed to remove media file ${key}: ${error.message}`);
+      }
+    }
+  }
+}
+
+// Export singleton instance
+const mediaController = new MediaController();
+
+module.exports = mediaController;
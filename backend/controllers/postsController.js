@@ -4,24 +4,39 @@
  */
 
 const { Post } = require('../models/Post');
+const { PostRevision } = require('../models/PostRevision');
+const { User } = require('../models/User');
 const { logger } = require('../middleware/errorHandler');
 const { clearCache } = require('../middleware/cache');
-const fs = require('fs').promises;
-const path = require('path');
+const { getPostRepository, PostRepository } = require('../repositories');
+const taxonomyController = require('./taxonomyController');
+const { SearchIndex, highlight } = require('../utils/thaiSearch');
+const { analyzeSeo } = require('../utils/seoAnalysis');
+const { buildStructuredData } = require('../utils/structuredData');
+const { renderJsonLd } = require('../utils/blogRenderer');
+const {
+  REVIEW_FIELDS, reviewContent, mergeFindings, acknowledgeFindings, unacknowledged, summarizeFindings
+} = require('../utils/contentReview');
+const config = require('../config/config');
+
+// Statuses that put a post in front of readers
+const LIVE_STATUSES = ['published', 'scheduled'];
+
+// Name recorded for a user on revisions and acknowledgements
+const actorName = (user) => (user ? (user.username || user.email || String(user.id)) : null);
 
 class PostsController {
-  constructor() {
-    this.posts = [];
-    this.nextId = 1;
-    this.dataPath = path.join(__dirname, '..', 'data.json');
+  constructor(repository = getPostRepository()) {
+    this.repository = repository;
+    this.searchIndex = new SearchIndex();
   }
 
   /**
-   * Initialize posts data from file
+   * Initialize the configured post repository
    */
   async initialize() {
     try {
-      await this.loadInitialData();
+      await this.repository.initialize();
     } catch (error) {
       logger.error('Failed to initialize posts controller:', error);
       throw error;
@@ -29,144 +44,200 @@ class PostsController {
   }
 
   /**
-   * Load posts from data.json file
+   * Swap the storage adapter (used by tests and tooling)
+   * @param {PostRepository} repository - Post repository instance
    */
-  async loadInitialData() {
-    try {
-      const data = await fs.readFile(this.dataPath, 'utf8');
-      const parsed = JSON.parse(data);
-      this.posts = parsed.posts || [];
-      this.nextId = parsed.nextId || 1;
-      logger.info(`📊 Loaded ${this.posts.length} posts from data.json`);
-    } catch (error) {
-      logger.info('📊 No existing data file, starting fresh');
-      await this.createDefaultPost();
-    }
+  setRepository(repository) {
+    this.repository = repository;
+    this.searchIndex = new SearchIndex();
   }
 
   /**
-   * Create default sample post
+   * Post as returned to a caller: localized when a locale was asked for, and
+   * without internal fields (Post.toPublic) for the public
+   * @param {Object} post - Stored post
+   * @param {?string} locale - Locale from resolveLocale
+   * @param {boolean} publishedOnly - Public caller
+   * @returns {Object}
    */
-  async createDefaultPost() {
-    const defaultPost = {
-      id: 1,
-      titleTH: 'เทคนิคการดูแลรักษารถเกี่ยวข้าวเบื้องต้น',
-      titleEN: 'Basic Rice Harvester Maintenance Tips',
-      slug: 'basic-rice-harvester-maintenance-tips',
-      content: `
-        <h3>🌾 การดูแลรักษารถเกี่ยวข้าวอย่างถูกต้อง</h3>
-        <p>รถเกี่ยวข้าวเป็นเครื่องจักรที่สำคัญสำหรับเกษตรกร การดูแลรักษาอย่างเหมาะสมจะช่วยยืดอายุการใช้งานและรักษาประสิทธิภาพ</p>
-      `,
-      excerpt: 'เรียนรู้เทคนิคการดูแลรักษารถเกี่ยวข้าวอย่างถูกต้อง',
-      category: 'maintenance',
-      tags: ['รถเกี่ยวข้าว', 'การดูแลรักษา', 'เทคนิค', 'บำรุงรักษา'],
-      status: 'published',
-      author: 'ระเบียบการช่าง',
-      publishDate: new Date().toISOString().split('T')[0],
-      views: 0,
-      metaTitle: 'เทคนิคการดูแลรักษารถเกี่ยวข้าว | ระเบียบการช่าง',
-      metaDescription: 'เรียนรู้วิธีการดูแลรักษารถเกี่ยวข้าวอย่างถูกต้อง',
-      focusKeyword: 'ดูแลรักษารถเกี่ยวข้าว',
-      schemaType: 'HowTo',
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
-
-    this.posts = [defaultPost];
-    this.nextId = 2;
-    await this.saveData();
+  present(post, locale, publishedOnly) {
+    const localized = locale ? Post.localize(post, locale) : post;
+    return publishedOnly ? Post.toPublic(localized) : localized;
   }
 
   /**
-   * Save posts data to file
+   * Get all posts with filtering and pagination
+   * @param {Object} options - Repository query plus lang and publishedOnly; with
+   *   lang, translatable fields are resolved for that locale (falling back to
+   *   Thai); publishedOnly limits the query to published posts and leaves out
+   *   internal fields
    */
-  async saveData() {
+  async getAllPosts(options = {}) {
     try {
-      const data = {
-        posts: this.posts,
-        nextId: this.nextId,
-        lastUpdated: new Date().toISOString()
+      const { publishedOnly, ...query } = options;
+      if (publishedOnly) query.status = 'published';
+      const { limit, offset = 0, search, lang } = query;
+
+      const locale = this.resolveLocale(lang);
+      if (locale && locale.error) return locale;
+
+      let posts;
+      let total;
+
+      if (search) {
+        // Match through the segmented index - substring matching misses Thai words
+        const index = await this.getSearchIndex();
+        const matches = index.search(search).map(result => index.getDocument(result.id));
+        ({ posts, total } = PostRepository.applyQuery(matches, { ...query, search: undefined }));
+      } else {
+        ({ posts, total } = await this.repository.findAll(query));
+      }
+
+      return {
+        success: true,
+        data: {
+          posts: posts.map(post => this.present(post, locale, publishedOnly)),
+          total,
+          offset: parseInt(offset),
+          limit: limit ? parseInt(limit) : total
+        }
       };
-      await fs.writeFile(this.dataPath, JSON.stringify(data, null, 2));
-      logger.debug('💾 Data saved successfully');
     } catch (error) {
-      logger.error('❌ Error saving data:', error);
-      throw error;
+      logger.error('Error fetching posts:', error);
+      return {
+        success: false,
+        error: 'Failed to fetch posts',
+        message: error.message
+      };
     }
   }
 
   /**
-   * Get all posts with filtering and pagination
+   * Search index over all posts, rebuilt when posts have changed
+   * @returns {Promise<SearchIndex>}
    */
-  async getAllPosts(options = {}) {
-    try {
-      const {
-        status,
-        category,
-        limit,
-        offset = 0,
-        sortBy = 'updatedAt',
-        sortOrder = 'desc',
-        search
-      } = options;
-
-      let filteredPosts = [...this.posts];
+  async getSearchIndex() {
+    const { posts } = await this.repository.findAll();
+    this.searchIndex.sync(posts);
+    return this.searchIndex;
+  }
 
-      // Apply filters
-      if (status) {
-        filteredPosts = filteredPosts.filter(post => post.status === status);
-      }
+  /**
+   * Ranked full-text search with highlighted snippets
+   * @param {string} query - Search text (Thai or English)
+   * @param {Object} options - { status, category, tags, limit, offset }
+   */
+  async searchPosts(query, options = {}) {
+    try {
+      const { status, category, limit = 10, offset = 0 } = options;
+      const tags = typeof options.tags === 'string'
+        ? options.tags.split(',').map(tag => tag.trim()).filter(Boolean)
+        : (options.tags || []);
 
-      if (category) {
-        filteredPosts = filteredPosts.filter(post => post.category === category);
+      if (!query || !String(query).trim()) {
+        return {
+          success: false,
+          error: 'Invalid query',
+          message: 'Search query is required'
+        };
       }
 
-      if (search) {
-        const searchLower = search.toLowerCase();
-        filteredPosts = filteredPosts.filter(post => 
-          post.titleTH?.toLowerCase().includes(searchLower) ||
-          post.titleEN?.toLowerCase().includes(searchLower) ||
-          post.content?.toLowerCase().includes(searchLower) ||
-          post.excerpt?.toLowerCase().includes(searchLower)
-        );
-      }
-
-      // Apply sorting
-      filteredPosts.sort((a, b) => {
-        const aVal = a[sortBy];
-        const bVal = b[sortBy];
-        
-        if (sortOrder === 'asc') {
-          return aVal > bVal ? 1 : -1;
-        } else {
-          return aVal < bVal ? 1 : -1;
-        }
+      const index = await this.getSearchIndex();
+      const results = index.search(String(query), {
+        filter: post =>
+          (!status || post.status === status) &&
+          (!category || post.category === category) &&
+          tags.every(tag => (post.tags || []).includes(tag))
       });
 
-      // Apply pagination
-      const total = filteredPosts.length;
-      if (limit) {
-        const limitNum = parseInt(limit);
-        const offsetNum = parseInt(offset);
-        if (!isNaN(limitNum) && limitNum > 0) {
-          filteredPosts = filteredPosts.slice(offsetNum, offsetNum + limitNum);
-        }
-      }
+      const offsetNum = parseInt(offset) || 0;
+      const limitNum = parseInt(limit) || 10;
+
+      const page = results.slice(offsetNum, offsetNum + limitNum).map(result => {
+        const post = index.getDocument(result.id);
+
+        return {
+          post: Post.toSummary(post),
+          score: result.score,
+          highlights: {
+            titleTH: highlight(post.titleTH, result.terms, 255),
+            titleEN: highlight(post.titleEN, result.terms, 255),
+            excerpt: highlight(post.excerpt, result.terms),
+            content: highlight(post.content, result.terms)
+          }
+        };
+      });
 
       return {
         success: true,
         data: {
-          posts: filteredPosts,
-          total,
-          offset: parseInt(offset),
-          limit: limit ? parseInt(limit) : total
+          query,
+          results: page,
+          total: results.length,
+          offset: offsetNum,
+          limit: limitNum
         }
       };
     } catch (error) {
-      logger.error('Error fetching posts:', error);
+      logger.error('Error searching posts:', error);
       return {
         success: false,
-        error: 'Failed to fetch posts',
+        error: 'Failed to search posts',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Check a ?lang= value
+   * @param {string} lang - Requested language
+   * @returns {string|Object|null} - Locale, null when none was asked for, or an error result
+   */
+  resolveLocale(lang) {
+    if (lang === undefined || lang === null || lang === '') return null;
+
+    return Post.normalizeLocale(lang) || {
+      success: false,
+      error: 'Unsupported language',
+      message: `lang must be one of: ${Post.locales.join(', ')}`
+    };
+  }
+
+  /**
+   * Per-locale translation status of every post, for the admin overview
+   * @returns {Promise<Object>} - { posts: [{ id, titleTH, status, translations }], summary }
+   */
+  async getTranslationStatus() {
+    try {
+      const { posts } = await this.repository.findAll({});
+      const locales = Post.locales.filter(locale => locale !== Post.defaultLocale);
+      const summary = Object.fromEntries(locales.map(locale => [locale, { complete: 0, partial: 0, missing: 0 }]));
+
+      const rows = posts.map(post => {
+        const translations = Object.fromEntries(locales.map(locale => {
+          const translation = Post.translationStatus(post, locale);
+          summary[locale][translation.status]++;
+          return [locale, translation];
+        }));
+
+        return {
+          id: post.id,
+          titleTH: post.titleTH,
+          titleEN: post.titleEN,
+          slug: post.slug,
+          slugEN: post.slugEN,
+          status: post.status,
+          updatedAt: post.updatedAt,
+          translations
+        };
+      });
+
+      return { success: true, data: { posts: rows, total: rows.length, summary } };
+    } catch (error) {
+      logger.error('Error fetching translation status:', error);
+      return {
+        success: false,
+        error: 'Failed to fetch translation status',
         message: error.message
       };
     }
@@ -174,8 +245,11 @@ class PostsController {
 
   /**
    * Get single post by ID
+   * @param {string|number} id - Post ID
+   * @param {Object} options - { lang, publishedOnly } - publishedOnly treats unpublished posts as not found
+   *   and leaves out internal fields
    */
-  async getPostById(id) {
+  async getPostById(id, options = {}) {
     try {
       const postId = parseInt(id);
       
@@ -187,9 +261,12 @@ class PostsController {
         };
       }
 
-      const post = this.posts.find(p => p.id === postId);
+      const locale = this.resolveLocale(options.lang);
+      if (locale && locale.error) return locale;
+
+      const post = await this.repository.findById(postId);
       
-      if (!post) {
+      if (!post || (options.publishedOnly && !Post.isPublished(post))) {
         return {
           success: false,
           error: 'Post not found',
@@ -199,7 +276,7 @@ class PostsController {
 
       return {
         success: true,
-        data: post
+        data: this.present(post, locale, options.publishedOnly)
       };
     } catch (error) {
       logger.error('Error fetching post:', error);
@@ -211,10 +288,242 @@ class PostsController {
     }
   }
 
+  /**
+   * Get single post by its Thai or English slug. A post found by its English
+   * slug is returned localized to English unless another lang is asked for.
+   * @param {string} slug - Thai or English slug
+   * @param {Object} options - { lang, publishedOnly } - publishedOnly treats unpublished posts as not found
+   *   and leaves out internal fields
+   */
+  async getPostBySlug(slug, options = {}) {
+    try {
+      if (!slug || typeof slug !== 'string') {
+        return {
+          success: false,
+          error: 'Invalid slug',
+          message: 'Slug must be a non-empty string'
+        };
+      }
+
+      const locale = this.resolveLocale(options.lang);
+      if (locale && locale.error) return locale;
+
+      let post = await this.repository.findBySlug(slug);
+      let matched = Post.defaultLocale;
+
+      for (const other of Post.locales.filter(l => l !== Post.defaultLocale)) {
+        if (post) break;
+        post = await this.repository.findBySlug(slug, other);
+        matched = other;
+      }
+
+      if (!post || (options.publishedOnly && !Post.isPublished(post))) {
+        return {
+          success: false,
+          error: 'Post not found',
+          slug
+        };
+      }
+
+      const lang = locale || (matched !== Post.defaultLocale ? matched : null);
+      return {
+        success: true,
+        data: this.present(post, lang, options.publishedOnly)
+      };
+    } catch (error) {
+      logger.error('Error fetching post by slug:', error);
+      return {
+        success: false,
+        error: 'Failed to fetch post',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Check a user's role against a write. Internal callers (scheduler, tooling)
+   * pass no user and are not restricted.
+   * @param {Object} user - req.user, or undefined
+   * @param {Object|null} post - Existing post (null on create)
+   * @param {Object} changes - Validated fields being written
+   * @returns {Object|null} - Error result, or null when allowed
+   */
+  authorizeWrite(user, post, changes) {
+    if (!user) return null;
+
+    if (post && !User.canEditPost(user, post)) {
+      return {
+        success: false,
+        error: 'Forbidden',
+        message: 'Authors can only edit their own posts'
+      };
+    }
+
+    const publishing = LIVE_STATUSES.includes(changes.status) && changes.status !== post?.status;
+    if (publishing && !User.can(user, 'posts:publish')) {
+      return {
+        success: false,
+        error: 'Forbidden',
+        message: 'Only editors and admins can publish or schedule posts'
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Pre-publish review of a write. Reviewed text is checked again when it
+   * changes (or when a post that was never reviewed goes live); findings that
+   * are still present keep their acknowledgements. Editors may acknowledge
+   * findings in the same request. Adds reviewFindings and reviewedAt to changes.
+   * @param {Object|null} post - Existing post (null on create)
+   * @param {Object} changes - Validated fields being written (updated in place)
+   * @param {Object} user - req.user, or undefined for internal writes
+   * @param {string[]} acknowledge - Finding ids the request acknowledges
+   * @returns {Object|null} - Error result, or null when the write may go ahead
+   */
+  applyReview(post, changes, user, acknowledge = []) {
+    const { review } = config.publishing;
+    if (!review.enabled) return null;
+
+    const live = LIVE_STATUSES.includes(changes.status || post?.status);
+    const textChanged = REVIEW_FIELDS.some(field => changes[field] !== undefined && changes[field] !== post?.[field]);
+    let findings = post?.reviewFindings || [];
+
+    if (!post || textChanged || (live && !post.reviewedAt)) {
+      findings = mergeFindings(findings, reviewContent({ ...post, ...changes }, {
+        prohibitedTerms: review.prohibitedTerms,
+        partsCatalog: review.partsCatalogFile
+      }));
+      changes.reviewFindings = findings;
+      changes.reviewedAt = new Date().toISOString();
+    }
+
+    if (Array.isArray(acknowledge) && acknowledge.length > 0) {
+      if (user && !User.can(user, 'posts:publish')) {
+        return {
+          success: false,
+          error: 'Forbidden',
+          message: 'Only editors and admins can acknowledge review findings'
+        };
+      }
+      findings = acknowledgeFindings(findings, acknowledge, { by: actorName(user) }).findings;
+      changes.reviewFindings = findings;
+    }
+
+    const open = unacknowledged(findings);
+    if (!live || open.length === 0) return null;
+
+    return {
+      success: false,
+      error: 'Review required',
+      message: `${open.length} review finding(s) must be acknowledged by an editor before the post goes live`,
+      findings: open
+    };
+  }
+
+  /**
+   * SEO, readability and E-A-T analysis of a stored post or of unsaved fields.
+   * With postId, fields in the request (unsaved edits) replace the stored ones.
+   * @param {Object} input - { postId } and/or post fields, plus keyword and lang
+   * @returns {Promise<Object>} - Analysis with itemized findings and fixes
+   */
+  async analyzeSeo(input = {}) {
+    try {
+      const { postId, keyword, lang, ...fields } = input;
+
+      const locale = this.resolveLocale(lang);
+      if (locale && locale.error) return locale;
+
+      const post = await this.getPreviewPost(postId, fields);
+      if (post.success === false) return post;
+
+      return {
+        success: true,
+        data: analyzeSeo(post, {
+          locale: locale || Post.defaultLocale,
+          keyword,
+          siteUrl: config.site.url
+        })
+      };
+    } catch (error) {
+      logger.error('Error analyzing post SEO:', error);
+      return {
+        success: false,
+        error: 'Failed to analyze post',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Schema.org JSON-LD as the public page embeds it, for a stored post
+   * (drafts included) or unsaved fields, merged as in analyzeSeo
+   * @param {Object} input - { postId } and/or post fields, plus lang
+   * @returns {Promise<Object>} - { jsonLd, script, types, warnings }
+   */
+  async previewStructuredData(input = {}) {
+    try {
+      const { postId, lang, ...fields } = input;
+
+      const locale = this.resolveLocale(lang);
+      if (locale && locale.error) return locale;
+
+      const post = await this.getPreviewPost(postId, fields);
+      if (post.success === false) return post;
+
+      const [page] = await taxonomyController.withCategoryNames([Post.localize(post, locale || Post.defaultLocale)]);
+      const { jsonLd, types, warnings } = buildStructuredData(page, config.site);
+
+      return {
+        success: true,
+        data: { jsonLd, script: renderJsonLd(jsonLd), types, warnings }
+      };
+    } catch (error) {
+      logger.error('Error building structured data:', error);
+      return {
+        success: false,
+        error: 'Failed to build structured data',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Post for the analysis and preview endpoints: the stored post with the
+   * request's fields on top, or the fields alone
+   * @returns {Promise<Object>} - Post fields, or an error result ({ success: false })
+   */
+  async getPreviewPost(postId, fields) {
+    if (postId !== undefined) {
+      const id = parseInt(postId);
+      const stored = isNaN(id) ? null : await this.repository.findById(id);
+      if (!stored) {
+        return {
+          success: false,
+          error: 'Post not found',
+          postId
+        };
+      }
+      return { ...stored, ...fields };
+    }
+
+    if (!fields.content && !fields.contentEN) {
+      return {
+        success: false,
+        error: 'Validation failed',
+        details: [{ field: 'content', message: 'Send the post content or a postId' }]
+      };
+    }
+    return fields;
+  }
+
   /**
    * Create new post
+   * @param {Object} postData - Post fields
+   * @param {Object} context - { user } performing the change
    */
-  async createPost(postData) {
+  async createPost(postData, context = {}) {
     try {
       // Validate post data
       const validation = Post.validateForCreate(postData);
@@ -228,27 +537,46 @@ class PostsController {
 
       const validatedData = validation.data;
 
-      // Ensure slug is unique
-      if (this.posts.some(p => p.slug === validatedData.slug)) {
-        validatedData.slug = `${validatedData.slug}-${Date.now()}`;
+      const accessError = this.authorizeWrite(context.user, null, validatedData);
+      if (accessError) return accessError;
+
+      const fieldError = Post.validateSchedule(validatedData) ||
+        await taxonomyController.checkPostCategory(validatedData.category);
+      if (fieldError) {
+        return {
+          success: false,
+          error: 'Validation failed',
+          details: [fieldError]
+        };
+      }
+
+      const reviewError = this.applyReview(null, validatedData, context.user, postData.acknowledgeFindings);
+      if (reviewError) return reviewError;
+
+      // Ensure slugs are unique across both languages
+      validatedData.slug = await this.uniqueSlug(validatedData.slug);
+      if (validatedData.slugEN) {
+        validatedData.slugEN = await this.uniqueSlug(validatedData.slugEN, null, validatedData.slug);
       }
 
-      const newPost = {
-        id: this.nextId++,
+      const now = new Date().toISOString();
+      const newPost = await this.repository.create({
         ...validatedData,
+        // Ownership for authors; the bootstrap admin has no stored account
+        authorId: context.user && !context.user.bootstrap ? context.user.id : null,
         views: 0,
         likes: 0,
         reading_time: Post.calculateReadingTime(validatedData.content),
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      };
+        ...(Post.isPublished(validatedData) && { publishedAt: now }),
+        createdAt: now,
+        updatedAt: now
+      });
 
-      this.posts.push(newPost);
-      await this.saveData();
+      await this.recordRevision(null, newPost, context);
+      await taxonomyController.syncPostTags(newPost);
 
       // Clear relevant caches
-      clearCache('/api/posts');
-      clearCache('/api/analytics');
+      clearCache.posts();
 
       logger.info(`📝 Created new post: ${newPost.titleTH}`, { postId: newPost.id });
       
@@ -268,8 +596,11 @@ class PostsController {
 
   /**
    * Update existing post
+   * @param {string|number} id - Post ID
+   * @param {Object} postData - Fields to change
+   * @param {Object} context - { user, action, restoredFrom } recorded on the revision
    */
-  async updatePost(id, postData) {
+  async updatePost(id, postData, context = {}) {
     try {
       const postId = parseInt(id);
       
@@ -281,9 +612,9 @@ class PostsController {
         };
       }
 
-      const postIndex = this.posts.findIndex(p => p.id === postId);
+      const existingPost = await this.repository.findById(postId);
       
-      if (postIndex === -1) {
+      if (!existingPost) {
         return {
           success: false,
           error: 'Post not found',
@@ -303,24 +634,54 @@ class PostsController {
 
       const validatedData = validation.data;
 
+      const accessError = this.authorizeWrite(context.user, existingPost, validatedData);
+      if (accessError) return accessError;
+
+      // Only a changed category is checked, so posts in a deactivated category stay editable
+      const fieldError = Post.validateSchedule({ ...existingPost, ...validatedData }) ||
+        (validatedData.category !== existingPost.category &&
+          await taxonomyController.checkPostCategory(validatedData.category));
+      if (fieldError) {
+        return {
+          success: false,
+          error: 'Validation failed',
+          details: [fieldError]
+        };
+      }
+
+      const reviewError = this.applyReview(existingPost, validatedData, context.user, postData.acknowledgeFindings);
+      if (reviewError) return reviewError;
+
+      // A new English title names the English URL unless one was given
+      if (!validatedData.slugEN && !existingPost.slugEN && validatedData.titleEN) {
+        validatedData.slugEN = Post.generateEnglishSlug(validatedData.titleEN);
+      }
+      if (validatedData.slugEN && validatedData.slugEN !== existingPost.slugEN) {
+        validatedData.slugEN = await this.uniqueSlug(validatedData.slugEN, postId,
+          validatedData.slug || existingPost.slug);
+      }
+
       // Update reading time if content changed
       if (validatedData.content) {
         validatedData.reading_time = Post.calculateReadingTime(validatedData.content);
       }
 
-      const updatedPost = {
-        ...this.posts[postIndex],
+      const now = new Date().toISOString();
+      const updatedPost = await this.repository.update(postId, {
         ...validatedData,
-        id: postId, // Ensure ID doesn't change
-        updatedAt: new Date().toISOString()
-      };
+        // First publication, like publishDuePosts; republishing keeps the original date
+        ...(Post.isPublished(validatedData) && !existingPost.publishedAt && { publishedAt: now }),
+        updatedAt: now
+      });
+
+      await this.recordRevision(existingPost, updatedPost, context);
 
-      this.posts[postIndex] = updatedPost;
-      await this.saveData();
+      if (validatedData.tags) {
+        await taxonomyController.syncPostTags(updatedPost);
+      }
 
       // Clear relevant caches
-      clearCache('/api/posts');
-      clearCache('/api/analytics');
+      clearCache.posts();
 
       logger.info(`📝 Updated post: ${updatedPost.titleTH}`, { postId });
       
@@ -338,6 +699,23 @@ class PostsController {
     }
   }
 
+  /**
+   * Append a timestamp when another post already uses the slug in any language
+   * @param {string} slug - Candidate slug
+   * @param {number|null} postId - Post being saved, whose own slugs do not count
+   * @param {string} siblingSlug - The post's slug in the other language
+   * @returns {Promise<string>} - Unique slug
+   */
+  async uniqueSlug(slug, postId = null, siblingSlug = null) {
+    for (const locale of Post.locales) {
+      const owner = await this.repository.findBySlug(slug, locale);
+      if ((owner && owner.id !== postId) || slug === siblingSlug) {
+        return `${slug}-${Date.now()}`;
+      }
+    }
+    return slug;
+  }
+
   /**
    * Delete post
    */
@@ -353,9 +731,9 @@ class PostsController {
         };
       }
 
-      const postIndex = this.posts.findIndex(p => p.id === postId);
+      const deletedPost = await this.repository.delete(postId);
       
-      if (postIndex === -1) {
+      if (!deletedPost) {
         return {
           success: false,
           error: 'Post not found',
@@ -363,12 +741,10 @@ class PostsController {
         };
       }
 
-      const deletedPost = this.posts.splice(postIndex, 1)[0];
-      await this.saveData();
+      await taxonomyController.removePost(postId);
 
       // Clear relevant caches
-      clearCache('/api/posts');
-      clearCache('/api/analytics');
+      clearCache.posts();
 
       logger.info(`🗑️ Deleted post: ${deletedPost.titleTH}`, { postId });
       
@@ -390,23 +766,371 @@ class PostsController {
     }
   }
 
+  /**
+   * Store an immutable revision for a write.
+   * Posts that predate revision history get a 'baseline' revision of their
+   * previous state first, so the first edit can still be diffed and undone.
+   * @param {Object|null} before - Post before the write (null on create)
+   * @param {Object} after - Post after the write
+   * @param {Object} context - { user, action, restoredFrom }
+   * @returns {Promise<Object>} - Stored revision
+   */
+  async recordRevision(before, after, context = {}) {
+    const { user, action, restoredFrom = null } = context;
+    const author = actorName(user);
+
+    if (before) {
+      const existing = await this.repository.findRevisions(after.id);
+      if (existing.length === 0) {
+        await this.repository.createRevision(PostRevision.build({
+          post: before,
+          action: 'baseline',
+          changedFields: [],
+          createdAt: before.updatedAt || before.createdAt
+        }));
+      }
+    }
+
+    return this.repository.createRevision(PostRevision.build({
+      post: after,
+      action: action || (before ? 'update' : 'create'),
+      author,
+      changedFields: PostRevision.changedFields(before || {}, after),
+      restoredFrom
+    }));
+  }
+
+  /**
+   * List revisions of a post, newest first, without snapshots
+   */
+  async getRevisions(id) {
+    try {
+      const postId = parseInt(id);
+      const post = isNaN(postId) ? null : await this.repository.findById(postId);
+
+      if (!post) {
+        return {
+          success: false,
+          error: 'Post not found',
+          postId: id
+        };
+      }
+
+      const revisions = await this.repository.findRevisions(postId);
+
+      return {
+        success: true,
+        data: revisions.map(revision => PostRevision.toSummary(revision)).reverse(),
+        total: revisions.length
+      };
+    } catch (error) {
+      logger.error('Error fetching revisions:', error);
+      return {
+        success: false,
+        error: 'Failed to fetch revisions',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Get a single revision including its snapshot
+   */
+  async getRevision(id, revisionId) {
+    try {
+      const revision = await this.repository.findRevision(parseInt(id), parseInt(revisionId));
+
+      if (!revision) {
+        return {
+          success: false,
+          error: 'Revision not found',
+          revisionId
+        };
+      }
+
+      return {
+        success: true,
+        data: revision
+      };
+    } catch (error) {
+      logger.error('Error fetching revision:', error);
+      return {
+        success: false,
+        error: 'Failed to fetch revision',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Field-level diff between two revisions of a post
+   * @param {string|number} id - Post ID
+   * @param {string|number} from - Older revision ID
+   * @param {string|number} to - Newer revision ID, or 'current' for the live post
+   */
+  async getRevisionDiff(id, from, to = 'current') {
+    try {
+      const postId = parseInt(id);
+      const fromRevision = await this.repository.findRevision(postId, parseInt(from));
+
+      let toSnapshot;
+      let toRevision = null;
+      if (to === 'current' || to === undefined) {
+        const post = await this.repository.findById(postId);
+        toSnapshot = post ? PostRevision.snapshot(post) : null;
+      } else {
+        toRevision = await this.repository.findRevision(postId, parseInt(to));
+        toSnapshot = toRevision ? toRevision.snapshot : null;
+      }
+
+      if (!fromRevision || !toSnapshot) {
+        return {
+          success: false,
+          error: 'Revision not found',
+          message: `Cannot diff revision ${from} against ${to}`
+        };
+      }
+
+      return {
+        success: true,
+        data: {
+          postId,
+          from: PostRevision.toSummary(fromRevision),
+          to: toRevision ? PostRevision.toSummary(toRevision) : 'current',
+          changes: PostRevision.diff(fromRevision.snapshot, toSnapshot)
+        }
+      };
+    } catch (error) {
+      logger.error('Error diffing revisions:', error);
+      return {
+        success: false,
+        error: 'Failed to diff revisions',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Make a revision the current version of the post.
+   * Restoring is itself an update, so it is recorded as a new revision.
+   */
+  async restoreRevision(id, revisionId, context = {}) {
+    const revisionResult = await this.getRevision(id, revisionId);
+    if (!revisionResult.success) return revisionResult;
+
+    const revision = revisionResult.data;
+    const result = await this.updatePost(id, PostRevision.toRestoreData(revision.snapshot), {
+      ...context,
+      action: 'restore',
+      restoredFrom: revision.id
+    });
+
+    if (result.success) {
+      logger.info(`⏪ Restored post ${id} to revision ${revision.version}`, { revisionId: revision.id });
+    }
+
+    return result;
+  }
+
+  /**
+   * Stored review findings of a post
+   * @param {string|number} id - Post ID
+   * @returns {Promise<Object>} - { findings, reviewedAt, summary }
+   */
+  async getReview(id) {
+    try {
+      const postId = parseInt(id);
+      const post = isNaN(postId) ? null : await this.repository.findById(postId);
+
+      if (!post) {
+        return {
+          success: false,
+          error: 'Post not found',
+          postId: id
+        };
+      }
+
+      const findings = post.reviewFindings || [];
+      return {
+        success: true,
+        data: {
+          postId: post.id,
+          reviewedAt: post.reviewedAt || null,
+          findings,
+          summary: summarizeFindings(findings)
+        }
+      };
+    } catch (error) {
+      logger.error('Error fetching post review:', error);
+      return {
+        success: false,
+        error: 'Failed to fetch post review',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Review a post's current text again, e.g. after the prohibited terms or the
+   * parts catalog changed. Acknowledgements of unchanged findings are kept.
+   * @param {string|number} id - Post ID
+   * @param {Object} context - { user } - authors may only review their own posts
+   */
+  async rerunReview(id, context = {}) {
+    try {
+      const postId = parseInt(id);
+      const post = isNaN(postId) ? null : await this.repository.findById(postId);
+
+      if (!post) {
+        return {
+          success: false,
+          error: 'Post not found',
+          postId: id
+        };
+      }
+
+      const accessError = this.authorizeWrite(context.user, post, {});
+      if (accessError) return accessError;
+
+      const { review } = config.publishing;
+      const findings = mergeFindings(post.reviewFindings, reviewContent(post, {
+        prohibitedTerms: review.prohibitedTerms,
+        partsCatalog: review.partsCatalogFile
+      }));
+      const updatedPost = await this.repository.update(postId, {
+        reviewFindings: findings,
+        reviewedAt: new Date().toISOString()
+      });
+      clearCache.posts();
+
+      return this.getReview(updatedPost.id);
+    } catch (error) {
+      logger.error('Error reviewing post:', error);
+      return {
+        success: false,
+        error: 'Failed to review post',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Record that an editor checked review findings
+   * @param {string|number} id - Post ID
+   * @param {Object} acknowledgement - { findingIds: [string], note }
+   * @param {Object} context - { user } acknowledging
+   */
+  async acknowledgeReview(id, acknowledgement = {}, context = {}) {
+    try {
+      const { findingIds, note } = acknowledgement;
+      if (!Array.isArray(findingIds) || findingIds.length === 0) {
+        return {
+          success: false,
+          error: 'Validation failed',
+          details: [{ field: 'findingIds', message: 'List the ids of the findings to acknowledge' }]
+        };
+      }
+
+      const postId = parseInt(id);
+      const post = isNaN(postId) ? null : await this.repository.findById(postId);
+
+      if (!post) {
+        return {
+          success: false,
+          error: 'Post not found',
+          postId: id
+        };
+      }
+
+      const result = acknowledgeFindings(post.reviewFindings || [], findingIds, {
+        by: actorName(context.user),
+        note: typeof note === 'string' ? note.slice(0, 500) : null
+      });
+      if (result.unknown.length > 0) {
+        return {
+          success: false,
+          error: 'Validation failed',
+          details: result.unknown.map(findingId => ({ field: 'findingIds', message: `No finding ${findingId} on this post` }))
+        };
+      }
+
+      await this.repository.update(postId, { reviewFindings: result.findings });
+      clearCache.posts();
+
+      logger.info(`✅ Acknowledged ${findingIds.length} review finding(s) on post ${postId}`, {
+        by: actorName(context.user)
+      });
+
+      return this.getReview(postId);
+    } catch (error) {
+      logger.error('Error acknowledging review findings:', error);
+      return {
+        success: false,
+        error: 'Failed to acknowledge review findings',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Publish every scheduled post whose publishAt has passed.
+   * Called by the PublishScheduler job; each publish is recorded as a revision.
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object[]>} - Posts that were published
+   */
+  async publishDuePosts(now = new Date()) {
+    const { posts } = await this.repository.findAll({ status: 'scheduled' });
+    const duePosts = posts.filter(post => Post.isDue(post, now));
+    const published = [];
+
+    for (const post of duePosts) {
+      // Findings added after the post was scheduled hold it back until acknowledged
+      const open = config.publishing.review.enabled ? unacknowledged(post.reviewFindings) : [];
+      if (open.length > 0) {
+        logger.warn(`⏸️ Scheduled post ${post.id} is waiting for review of ${open.length} finding(s)`);
+        continue;
+      }
+
+      const updatedPost = await this.repository.update(post.id, {
+        status: 'published',
+        publishedAt: now.toISOString(),
+        updatedAt: now.toISOString()
+      });
+
+      if (!updatedPost) continue;
+
+      await this.recordRevision(post, updatedPost, { user: { username: 'scheduler' } });
+      published.push(updatedPost);
+
+      logger.info(`⏰ Published scheduled post: ${updatedPost.titleTH}`, {
+        postId: updatedPost.id,
+        publishAt: post.publishAt
+      });
+    }
+
+    if (published.length > 0) {
+      clearCache.posts();
+    }
+
+    return published;
+  }
+
   /**
    * Increment post view count
+   * @param {string|number} id - Post ID
+   * @param {Object} options - { publishedOnly }
+   * @returns {Promise<?number>} - New count, null when publishedOnly and the post is not published
    */
-  async incrementViews(id) {
+  async incrementViews(id, options = {}) {
     try {
       const postId = parseInt(id);
-      const post = this.posts.find(p => p.id === postId);
-      
-      if (post) {
-        post.views = (post.views || 0) + 1;
-        await this.saveData().catch(error => 
-          logger.error('Error saving view count:', error)
-        );
-        return post.views;
+      if (isNaN(postId)) return 0;
+
+      if (options.publishedOnly && !Post.isPublished(await this.repository.findById(postId))) {
+        return null;
       }
-      
-      return 0;
+
+      return await this.repository.incrementViews(postId);
     } catch (error) {
       logger.error('Error incrementing views:', error);
       return 0;
@@ -416,14 +1140,15 @@ class PostsController {
   /**
    * Get analytics data
    */
-  getAnalytics() {
+  async getAnalytics() {
     try {
-      const publishedPosts = this.posts.filter(post => post.status === 'published');
-      const draftPosts = this.posts.filter(post => post.status === 'draft');
-      const totalViews = this.posts.reduce((sum, post) => sum + (post.views || 0), 0);
+      const { posts } = await this.repository.findAll();
+      const publishedPosts = posts.filter(post => post.status === 'published');
+      const draftPosts = posts.filter(post => post.status === 'draft');
+      const totalViews = posts.reduce((sum, post) => sum + (post.views || 0), 0);
 
       return {
-        totalPosts: this.posts.length,
+        totalPosts: posts.length,
         publishedPosts: publishedPosts.length,
         draftPosts: draftPosts.length,
         pageViews: totalViews,
@@ -0,0 +1,678 @@
+/**
+ * Taxonomy Controller
+ * Hierarchical, bilingual categories and managed tags. Posts keep their
+ * category slug and tag names; post_tags links posts to tag records so tags
+ * can be counted, renamed and merged.
+ */
+
+const crypto = require('crypto');
+const { Category } = require('../models/Category');
+const { Tag } = require('../models/Tag');
+const { Post } = require('../models/Post');
+const { logger } = require('../middleware/errorHandler');
+const { clearCache } = require('../middleware/cache');
+const { getTaxonomyRepository, getPostRepository } = require('../repositories');
+
+class TaxonomyController {
+  constructor(repository = getTaxonomyRepository(), postRepository = getPostRepository()) {
+    this.repository = repository;
+    this.postRepository = postRepository;
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize the taxonomy repository, seed the default categories and
+   * link existing posts to their tags. Post hooks are no-ops until this ran.
+   */
+  async initialize() {
+    try {
+      await this.repository.initialize();
+      await this.seedCategories();
+      await this.backfillPostTags();
+      this.initialized = true;
+    } catch (error) {
+      logger.error('Failed to initialize taxonomy controller:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Swap the storage adapters (used by tests and tooling)
+   * @param {TaxonomyRepository} repository - Categories and tags repository
+   * @param {PostRepository} postRepository - Posts counted and rewritten (unchanged when omitted)
+   */
+  setRepository(repository, postRepository = this.postRepository) {
+    this.repository = repository;
+    this.postRepository = postRepository;
+    this.initialized = false;
+  }
+
+  /**
+   * Create the categories Post.category used to be limited to
+   */
+  async seedCategories() {
+    if ((await this.repository.findCategories()).length > 0) return;
+
+    const now = new Date().toISOString();
+    for (const [index, category] of Category.defaults.entries()) {
+      await this.repository.createCategory({
+        ...Category.validateForCreate({ ...category, sort_order: index }).data,
+        id: crypto.randomUUID(),
+        created_at: now,
+        updated_at: now
+      });
+    }
+    logger.info(`🏷️ Seeded ${Category.defaults.length} default categories`);
+  }
+
+  /**
+   * Fill an empty post_tags table from the tags arrays of existing posts
+   */
+  async backfillPostTags() {
+    if ((await this.repository.findPostTags()).length > 0) return;
+
+    const { posts } = await this.postRepository.findAll({});
+    const tagged = posts.filter(post => (post.tags || []).length > 0);
+
+    for (const post of tagged) {
+      await this.linkPostTags(post);
+    }
+    if (tagged.length > 0) {
+      logger.info(`🏷️ Linked tags of ${tagged.length} existing posts`);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Categories
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Categories with the number of published posts in each. count is the
+   * category itself, total includes its descendants.
+   * @param {Object} options - { includeInactive, flat }
+   */
+  async listCategories(options = {}) {
+    try {
+      const categories = await this.countCategories();
+      const visible = options.includeInactive
+        ? categories
+        : categories.filter(category => category.is_active);
+
+      return {
+        success: true,
+        data: {
+          categories: options.flat ? visible.sort(Category.compare) : Category.buildTree(visible)
+        }
+      };
+    } catch (error) {
+      logger.error('Error listing categories:', error);
+      return {
+        success: false,
+        error: 'Failed to list categories',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * One category by ID or slug, with its post counts, children and ancestors
+   * (root first, for breadcrumbs)
+   * @param {string} idOrSlug - Category ID or slug
+   * @param {Object} options - { includeInactive }
+   */
+  async getCategory(idOrSlug, options = {}) {
+    try {
+      const categories = await this.countCategories();
+      const category = categories.find(c => c.id === idOrSlug || c.slug === idOrSlug);
+
+      if (!category || (!category.is_active && !options.includeInactive)) {
+        return { success: false, error: 'Category not found' };
+      }
+
+      const ancestors = [];
+      for (let parent = categories.find(c => c.id === category.parent_id); parent;
+        parent = categories.find(c => c.id === parent.parent_id)) {
+        if (ancestors.some(a => a.id === parent.id)) break;
+        ancestors.unshift({ id: parent.id, slug: parent.slug, name: parent.name, name_en: parent.name_en });
+      }
+
+      return {
+        success: true,
+        data: {
+          ...category,
+          children: categories
+            .filter(c => c.parent_id === category.id && (c.is_active || options.includeInactive))
+            .sort(Category.compare),
+          ancestors
+        }
+      };
+    } catch (error) {
+      logger.error('Error fetching category:', error);
+      return {
+        success: false,
+        error: 'Failed to fetch category',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Create a category. The slug is generated from the English (or Thai) name when omitted.
+   * @param {Object} categoryData - { name, name_en, slug, description, parent_id, sort_order, is_active }
+   */
+  async createCategory(categoryData = {}) {
+    try {
+      const validation = Category.validateForCreate({
+        ...categoryData,
+        slug: categoryData.slug || this.slugify(categoryData.name_en || categoryData.name)
+      });
+      if (!validation.success) {
+        return {
+          success: false,
+          error: 'Validation failed',
+          details: validation.errors
+        };
+      }
+
+      const data = validation.data;
+
+      if (await this.repository.findCategoryBySlug(data.slug)) {
+        return { success: false, error: 'Category already exists', message: `Slug "${data.slug}" is taken` };
+      }
+
+      if (data.parent_id && !(await this.repository.findCategoryById(data.parent_id))) {
+        return {
+          success: false,
+          error: 'Validation failed',
+          details: [{ field: 'parent_id', message: 'Parent category not found' }]
+        };
+      }
+
+      const now = new Date().toISOString();
+      const category = await this.repository.createCategory({
+        ...data,
+        id: crypto.randomUUID(),
+        created_at: now,
+        updated_at: now
+      });
+
+      clearCache.posts();
+      logger.info(`🏷️ Created category: ${category.name} (${category.slug})`);
+
+      return { success: true, data: category };
+    } catch (error) {
+      logger.error('Error creating category:', error);
+      return {
+        success: false,
+        error: 'Failed to create category',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Update a category. Moving it below itself or one of its descendants is
+   * refused; a new slug is written to the posts filed under the old one.
+   * @param {string} id - Category ID
+   * @param {Object} changes - Fields to change
+   */
+  async updateCategory(id, changes = {}) {
+    try {
+      const validation = Category.validateForUpdate(changes);
+      if (!validation.success) {
+        return {
+          success: false,
+          error: 'Validation failed',
+          details: validation.errors
+        };
+      }
+
+      const data = validation.data;
+      const categories = await this.repository.findCategories();
+      const existing = categories.find(category => category.id === id);
+
+      if (!existing) {
+        return { success: false, error: 'Category not found' };
+      }
+
+      if (data.slug && data.slug !== existing.slug && categories.some(category => category.slug === data.slug)) {
+        return { success: false, error: 'Category already exists', message: `Slug "${data.slug}" is taken` };
+      }
+
+      if (data.parent_id) {
+        const parentError = !categories.some(category => category.id === data.parent_id)
+          ? 'Parent category not found'
+          : [id, ...Category.descendantIds(categories, id)].includes(data.parent_id)
+            ? 'A category cannot be moved below itself'
+            : null;
+
+        if (parentError) {
+          return {
+            success: false,
+            error: 'Validation failed',
+            details: [{ field: 'parent_id', message: parentError }]
+          };
+        }
+      }
+
+      const category = await this.repository.updateCategory(id, {
+        ...data,
+        updated_at: new Date().toISOString()
+      });
+
+      if (data.slug && data.slug !== existing.slug) {
+        const { posts } = await this.postRepository.findAll({ category: existing.slug });
+        for (const post of posts) {
+          await this.postRepository.update(post.id, { category: data.slug });
+        }
+        logger.info(`🏷️ Moved ${posts.length} posts from category ${existing.slug} to ${data.slug}`);
+      }
+
+      clearCache.posts();
+
+      return { success: true, data: category };
+    } catch (error) {
+      logger.error('Error updating category:', error);
+      return {
+        success: false,
+        error: 'Failed to update category',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Delete a category that has no subcategories and no posts (of any status)
+   * @param {string} id - Category ID
+   */
+  async deleteCategory(id) {
+    try {
+      const categories = await this.repository.findCategories();
+      const category = categories.find(c => c.id === id);
+
+      if (!category) {
+        return { success: false, error: 'Category not found' };
+      }
+
+      const children = categories.filter(c => c.parent_id === id).map(c => c.slug);
+      const { total: posts } = await this.postRepository.findAll({ category: category.slug, limit: 1 });
+
+      if (children.length > 0 || posts > 0) {
+        return {
+          success: false,
+          error: 'Category in use',
+          message: 'Move its posts and subcategories to another category first',
+          data: { children, posts }
+        };
+      }
+
+      await this.repository.deleteCategory(id);
+      clearCache.posts();
+      logger.info(`🗑️ Deleted category: ${category.name} (${category.slug})`);
+
+      return { success: true, data: category };
+    } catch (error) {
+      logger.error('Error deleting category:', error);
+      return {
+        success: false,
+        error: 'Failed to delete category',
+        message: error.message
+      };
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Tags
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Tags with the number of published posts using them, most used first
+   * @param {Object} options - { search, includeUnused }
+   */
+  async listTags(options = {}) {
+    try {
+      const counts = await this.countTags();
+      const tags = (await this.repository.findTags({ search: options.search }))
+        .map(tag => ({ ...tag, count: counts.get(tag.id) || 0 }))
+        .filter(tag => options.includeUnused || tag.count > 0)
+        .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name, 'th'));
+
+      return { success: true, data: { tags } };
+    } catch (error) {
+      logger.error('Error listing tags:', error);
+      return {
+        success: false,
+        error: 'Failed to list tags',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * One tag by ID or slug with its published post count
+   * @param {string} idOrSlug - Tag ID or slug
+   */
+  async getTag(idOrSlug) {
+    try {
+      const tag = await this.findTag(idOrSlug);
+      if (!tag) {
+        return { success: false, error: 'Tag not found' };
+      }
+
+      const counts = await this.countTags();
+      return { success: true, data: { ...tag, count: counts.get(tag.id) || 0 } };
+    } catch (error) {
+      logger.error('Error fetching tag:', error);
+      return {
+        success: false,
+        error: 'Failed to fetch tag',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Create a tag ahead of using it on a post
+   * @param {Object} tagData - { name, slug }
+   */
+  async createTag(tagData = {}) {
+    try {
+      const name = Tag.normalizeName(tagData.name);
+      const validation = Tag.validateForCreate({ name, slug: tagData.slug || this.slugify(name) });
+      if (!validation.success) {
+        return {
+          success: false,
+          error: 'Validation failed',
+          details: validation.errors
+        };
+      }
+
+      if (await this.repository.findTagBySlug(validation.data.slug)) {
+        return { success: false, error: 'Tag already exists', message: `Slug "${validation.data.slug}" is taken` };
+      }
+
+      const tag = await this.repository.createTag({
+        ...validation.data,
+        id: crypto.randomUUID(),
+        created_at: new Date().toISOString()
+      });
+
+      return { success: true, data: { ...tag, count: 0 } };
+    } catch (error) {
+      logger.error('Error creating tag:', error);
+      return {
+        success: false,
+        error: 'Failed to create tag',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Rename a tag and the name stored on every post using it.
+   * Renaming onto another tag's slug is refused; merge them instead.
+   * @param {string} id - Tag ID
+   * @param {Object} changes - { name, slug }
+   */
+  async renameTag(id, changes = {}) {
+    try {
+      const tag = await this.repository.findTagById(id);
+      if (!tag) {
+        return { success: false, error: 'Tag not found' };
+      }
+
+      const name = changes.name === undefined ? tag.name : Tag.normalizeName(changes.name);
+      const validation = Tag.validateForUpdate({
+        name,
+        slug: changes.slug || (changes.name === undefined ? tag.slug : this.slugify(name))
+      });
+      if (!validation.success) {
+        return {
+          success: false,
+          error: 'Validation failed',
+          details: validation.errors
+        };
+      }
+
+      const conflict = await this.repository.findTagBySlug(validation.data.slug);
+      if (conflict && conflict.id !== id) {
+        return {
+          success: false,
+          error: 'Tag already exists',
+          message: `Tag "${conflict.name}" already uses slug "${conflict.slug}"; merge the tags instead`,
+          data: { id: conflict.id }
+        };
+      }
+
+      const renamed = await this.repository.updateTag(id, validation.data);
+      const posts = await this.rewritePostTags(id, names => names.map(n => (n === tag.name ? renamed.name : n)));
+
+      logger.info(`🏷️ Renamed tag ${tag.name} to ${renamed.name} on ${posts} posts`);
+
+      return { success: true, data: renamed };
+    } catch (error) {
+      logger.error('Error renaming tag:', error);
+      return {
+        success: false,
+        error: 'Failed to rename tag',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Merge a tag into another: its posts get the target tag and the tag is deleted
+   * @param {string} id - Tag merged away
+   * @param {string} intoId - Tag that remains
+   */
+  async mergeTag(id, intoId) {
+    try {
+      if (!intoId || intoId === id) {
+        return {
+          success: false,
+          error: 'Validation failed',
+          details: [{ field: 'into', message: 'Choose a different tag to merge into' }]
+        };
+      }
+
+      const [source, target] = await Promise.all([
+        this.repository.findTagById(id),
+        this.repository.findTagById(intoId)
+      ]);
+
+      if (!source || !target) {
+        return { success: false, error: 'Tag not found' };
+      }
+
+      const posts = await this.rewritePostTags(id, names =>
+        [...new Set(names.map(n => (n === source.name ? target.name : n)))]
+      );
+      await this.repository.moveTagPosts(id, intoId);
+      await this.repository.deleteTag(id);
+
+      logger.info(`🏷️ Merged tag ${source.name} into ${target.name} (${posts} posts)`);
+
+      return { success: true, data: { ...target, merged: source, posts } };
+    } catch (error) {
+      logger.error('Error merging tags:', error);
+      return {
+        success: false,
+        error: 'Failed to merge tags',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Delete a tag and remove it from every post
+   * @param {string} id - Tag ID
+   */
+  async deleteTag(id) {
+    try {
+      const tag = await this.repository.findTagById(id);
+      if (!tag) {
+        return { success: false, error: 'Tag not found' };
+      }
+
+      const posts = await this.rewritePostTags(id, names => names.filter(n => n !== tag.name));
+      await this.repository.deleteTag(id);
+
+      logger.info(`🗑️ Deleted tag ${tag.name} from ${posts} posts`);
+
+      return { success: true, data: { ...tag, posts } };
+    } catch (error) {
+      logger.error('Error deleting tag:', error);
+      return {
+        success: false,
+        error: 'Failed to delete tag',
+        message: error.message
+      };
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Post hooks (called by PostsController)
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Check that a post's category exists and is active
+   * @param {string} slug - Post.category
+   * @returns {Promise<Object|null>} - Validation error detail, or null when valid
+   */
+  async checkPostCategory(slug) {
+    if (!this.initialized || !slug) return null;
+
+    const category = await this.repository.findCategoryBySlug(slug);
+    if (!category) return { field: 'category', message: `Unknown category "${slug}"` };
+    if (!category.is_active) return { field: 'category', message: `Category "${slug}" is inactive` };
+    return null;
+  }
+
+  /**
+   * Link a post to the tag records for its tags array, creating missing tags
+   * @param {Object} post - Stored post
+   */
+  async syncPostTags(post) {
+    if (!this.initialized) return;
+    await this.linkPostTags(post);
+  }
+
+  /**
+   * Drop the tag assignments of a deleted post
+   * @param {number} postId - Post ID
+   */
+  async removePost(postId) {
+    if (!this.initialized) return;
+    await this.repository.setPostTags(postId, []);
+  }
+
+  /**
+   * Add categoryName (Thai) and categoryNameEN to posts for the renderers
+   * @param {Object[]} posts - Posts
+   * @returns {Promise<Object[]>}
+   */
+  async withCategoryNames(posts) {
+    if (!this.initialized) return posts;
+
+    const categories = new Map((await this.repository.findCategories()).map(c => [c.slug, c]));
+    return posts.map(post => {
+      const category = categories.get(post.category);
+      if (!category) return post;
+      return { ...post, categoryName: category.name, ...(category.name_en ? { categoryNameEN: category.name_en } : {}) };
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  async linkPostTags(post) {
+    const tagIds = [];
+
+    for (const name of new Set((post.tags || []).map(Tag.normalizeName).filter(Boolean))) {
+      const slug = this.slugify(name);
+      let tag = await this.repository.findTagBySlug(slug);
+
+      if (!tag) {
+        tag = await this.repository.createTag({ name, slug, id: crypto.randomUUID(), created_at: new Date().toISOString() });
+      }
+      tagIds.push(tag.id);
+    }
+
+    await this.repository.setPostTags(post.id, tagIds);
+  }
+
+  /**
+   * Apply a change to the tags array of every post linked to a tag.
+   * This is a metadata fix, so updatedAt and revisions are left alone
+   * (the search index fingerprints tags, so it still rebuilds).
+   * @returns {Promise<number>} - Posts changed
+   */
+  async rewritePostTags(tagId, change) {
+    const rows = await this.repository.findPostTags({ tagId });
+
+    for (const { post_id: postId } of rows) {
+      const post = await this.postRepository.findById(postId);
+      if (post) {
+        await this.postRepository.update(postId, { tags: change((post.tags || []).map(Tag.normalizeName)) });
+      }
+    }
+
+    if (rows.length > 0) clearCache.posts();
+    return rows.length;
+  }
+
+  async findTag(idOrSlug) {
+    return (await this.repository.findTagBySlug(idOrSlug)) || this.repository.findTagById(idOrSlug);
+  }
+
+  /**
+   * Categories with count (own published posts) and total (including descendants)
+   */
+  async countCategories() {
+    const categories = await this.repository.findCategories();
+    const { posts } = await this.postRepository.findAll({ status: 'published' });
+
+    const own = new Map();
+    posts.forEach(post => own.set(post.category, (own.get(post.category) || 0) + 1));
+
+    return categories.map(category => {
+      const count = own.get(category.slug) || 0;
+      const total = Category.descendantIds(categories, category.id)
+        .map(id => categories.find(c => c.id === id))
+        .reduce((sum, child) => sum + (own.get(child.slug) || 0), count);
+
+      return { ...category, count, total };
+    });
+  }
+
+  /**
+   * Published posts per tag ID
+   * @returns {Promise<Map<string, number>>}
+   */
+  async countTags() {
+    const { posts } = await this.postRepository.findAll({ status: 'published' });
+    const published = new Set(posts.map(post => post.id));
+    const counts = new Map();
+
+    for (const row of await this.repository.findPostTags()) {
+      if (published.has(row.post_id)) {
+        counts.set(row.tag_id, (counts.get(row.tag_id) || 0) + 1);
+      }
+    }
+    return counts;
+  }
+
+  /**
+   * Slug for a name; falls back to a short random slug when nothing usable is left
+   */
+  slugify(name) {
+    const slug = name ? Post.generateSlug(String(name)).slice(0, 100) : '';
+    return Category.slugPattern.test(slug) ? slug : crypto.randomUUID().slice(0, 8);
+  }
+}
+
+// Export singleton instance
+const taxonomyController = new TaxonomyController();
+
+module.exports = taxonomyController;
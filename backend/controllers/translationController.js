@@ -0,0 +1,528 @@
+/**
+ * Translation Controller
+ * AI-assisted Thai <-> English translation of posts. A translation is stored
+ * as a draft for side-by-side review and only reaches the post when an editor
+ * applies it. A managed glossary keeps machinery terms consistent.
+ */
+
+const crypto = require('crypto');
+const config = require('../config/config');
+const { GlossaryTerm } = require('../models/GlossaryTerm');
+const { TranslationDraft } = require('../models/TranslationDraft');
+const { Post } = require('../models/Post');
+const { User } = require('../models/User');
+const { logger } = require('../middleware/errorHandler');
+const aiProviderService = require('../services/AIProviderService');
+const postsController = require('./postsController');
+const { getTranslationRepository, getPostRepository } = require('../repositories');
+const {
+  buildTranslationPrompt,
+  compareHtmlStructure,
+  findMissingTerms,
+  stripCodeFences
+} = require('../utils/translation');
+
+// Attempts per HTML field before the draft is stored with a structure warning
+const MAX_HTML_ATTEMPTS = 2;
+
+class TranslationController {
+  constructor(repository = getTranslationRepository(), postRepository = getPostRepository(), ai = aiProviderService) {
+    this.repository = repository;
+    this.postRepository = postRepository;
+    this.ai = ai;
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize the translation repository and seed the default glossary
+   */
+  async initialize() {
+    try {
+      await this.repository.initialize();
+      await this.seedGlossary();
+      this.initialized = true;
+    } catch (error) {
+      logger.error('Failed to initialize translation controller:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Swap the storage adapters (used by tests and tooling)
+   * @param {TranslationRepository} repository - Glossary and drafts repository
+   * @param {PostRepository} postRepository - Posts being translated (unchanged when omitted)
+   */
+  setRepository(repository, postRepository = this.postRepository) {
+    this.repository = repository;
+    this.postRepository = postRepository;
+    this.initialized = false;
+  }
+
+  /**
+   * Create the default machinery terms when the glossary is empty
+   */
+  async seedGlossary() {
+    if ((await this.repository.findTerms()).length > 0) return;
+
+    const now = new Date().toISOString();
+    for (const term of GlossaryTerm.defaults) {
+      await this.repository.createTerm({
+        ...GlossaryTerm.validateForCreate(term).data,
+        id: crypto.randomUUID(),
+        created_by: null,
+        created_at: now,
+        updated_at: now
+      });
+    }
+    logger.info(`🌐 Seeded ${GlossaryTerm.defaults.length} glossary terms`);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Glossary
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Glossary terms, optionally filtered by a search in either language
+   * @param {Object} options - { search }
+   */
+  async listTerms(options = {}) {
+    try {
+      const search = GlossaryTerm.normalize(options.search);
+      const terms = (await this.repository.findTerms()).filter(term => !search ||
+        GlossaryTerm.normalize(term.term_th).includes(search) ||
+        GlossaryTerm.normalize(term.term_en).includes(search));
+
+      return { success: true, data: { terms, total: terms.length } };
+    } catch (error) {
+      logger.error('Error listing glossary terms:', error);
+      return {
+        success: false,
+        error: 'Failed to list glossary terms',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Add a term pair. A Thai term can only have one English translation.
+   * @param {Object} termData - { term_th, term_en, note }
+   * @param {Object} context - { user } performing the change
+   */
+  async createTerm(termData = {}, context = {}) {
+    try {
+      const validation = GlossaryTerm.validateForCreate(termData);
+      if (!validation.success) {
+        return {
+          success: false,
+          error: 'Validation failed',
+          details: validation.errors
+        };
+      }
+
+      const data = validation.data;
+      const duplicate = await this.findDuplicateTerm(data.term_th);
+      if (duplicate) {
+        return { success: false, error: 'Term already exists', message: `"${data.term_th}" is translated as "${duplicate.term_en}"` };
+      }
+
+      const now = new Date().toISOString();
+      const term = await this.repository.createTerm({
+        ...data,
+        id: crypto.randomUUID(),
+        created_by: context.user && !context.user.bootstrap ? context.user.id : null,
+        created_at: now,
+        updated_at: now
+      });
+
+      logger.info(`🌐 Added glossary term: ${term.term_th} = ${term.term_en}`);
+      return { success: true, data: term };
+    } catch (error) {
+      logger.error('Error creating glossary term:', error);
+      return {
+        success: false,
+        error: 'Failed to create glossary term',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * @param {string} id - Term ID
+   * @param {Object} changes - { term_th, term_en, note }
+   */
+  async updateTerm(id, changes = {}) {
+    try {
+      const validation = GlossaryTerm.validateForUpdate(changes);
+      if (!validation.success) {
+        return {
+          success: false,
+          error: 'Validation failed',
+          details: validation.errors
+        };
+      }
+
+      const data = validation.data;
+      if (!(await this.repository.findTermById(id))) {
+        return { success: false, error: 'Term not found' };
+      }
+
+      const duplicate = data.term_th && await this.findDuplicateTerm(data.term_th);
+      if (duplicate && duplicate.id !== id) {
+        return { success: false, error: 'Term already exists', message: `"${data.term_th}" is translated as "${duplicate.term_en}"` };
+      }
+
+      const term = await this.repository.updateTerm(id, {
+        ...data,
+        updated_at: new Date().toISOString()
+      });
+
+      return { success: true, data: term };
+    } catch (error) {
+      logger.error('Error updating glossary term:', error);
+      return {
+        success: false,
+        error: 'Failed to update glossary term',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * @param {string} id - Term ID
+   */
+  async deleteTerm(id) {
+    try {
+      const term = await this.repository.deleteTerm(id);
+      if (!term) {
+        return { success: false, error: 'Term not found' };
+      }
+
+      logger.info(`🌐 Deleted glossary term: ${term.term_th}`);
+      return { success: true, data: term };
+    } catch (error) {
+      logger.error('Error deleting glossary term:', error);
+      return {
+        success: false,
+        error: 'Failed to delete glossary term',
+        message: error.message
+      };
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Drafts
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Translate a post with AI and store the result as a draft for review.
+   * Each field is a separate request; HTML content is retried once when the
+   * model changed its markup. The post itself is not modified.
+   * @param {number|string} postId - Post ID
+   * @param {Object} options - { target: 'en' | 'th', provider, fields }
+   * @param {Object} context - { user } requesting the translation
+   */
+  async translatePost(postId, options = {}, context = {}) {
+    try {
+      const id = parseInt(postId);
+      const post = Number.isInteger(id) && id > 0 ? await this.postRepository.findById(id) : null;
+      if (!post) {
+        return { success: false, error: 'Post not found', postId };
+      }
+
+      const target = Post.normalizeLocale(options.target || 'en');
+      if (!target) {
+        return { success: false, error: 'Unsupported language', message: `Supported languages: ${Post.locales.join(', ')}` };
+      }
+      const from = Post.locales.find(locale => locale !== target);
+
+      if (context.user && !User.canEditPost(context.user, post)) {
+        return { success: false, error: 'Forbidden', message: 'Authors can only translate their own posts' };
+      }
+
+      const fields = options.fields || TranslationDraft.translatableFields;
+      const unknown = fields.filter(field => !TranslationDraft.translatableFields.includes(field));
+      if (unknown.length > 0) {
+        return {
+          success: false,
+          error: 'Validation failed',
+          details: [{ field: 'fields', message: `Cannot translate: ${unknown.join(', ')}` }]
+        };
+      }
+
+      const source = TranslationDraft.sourceOf(post, from, fields);
+      if (Object.keys(source).length === 0) {
+        return { success: false, error: 'Nothing to translate', message: `The post has no ${from} text in the requested fields` };
+      }
+
+      const glossary = await this.repository.findTerms();
+      const provider = options.provider || config.ai.translation.provider;
+      const translated = {};
+      const warnings = [];
+      const usedTerms = new Set();
+      let lastResult = null;
+
+      for (const [field, text] of Object.entries(source)) {
+        const terms = GlossaryTerm.findIn(glossary, text, from);
+        const outcome = await this.translateField({ field, text, from, to: target, terms, provider });
+
+        translated[field] = outcome.translation;
+        warnings.push(...outcome.warnings);
+        terms.forEach(term => usedTerms.add(term.id));
+        lastResult = outcome.result;
+      }
+
+      const now = new Date().toISOString();
+      const validation = TranslationDraft.validateForCreate({
+        post_id: post.id,
+        source_locale: from,
+        target_locale: target,
+        fields: translated,
+        source,
+        provider: lastResult.provider || provider,
+        model: lastResult.model || null,
+        warnings,
+        glossary: [...usedTerms],
+        created_by: context.user && !context.user.bootstrap ? context.user.id : null
+      });
+      if (!validation.success) {
+        return {
+          success: false,
+          error: 'Validation failed',
+          details: validation.errors
+        };
+      }
+
+      const draft = await this.repository.createDraft({
+        ...validation.data,
+        id: crypto.randomUUID(),
+        created_at: now,
+        updated_at: now
+      });
+
+      logger.info(`🌐 Translated post ${post.id} to ${target} with ${draft.provider} (${warnings.length} warnings)`);
+
+      return {
+        success: true,
+        data: { ...draft, comparison: TranslationDraft.toComparison(draft, post) }
+      };
+    } catch (error) {
+      // AIProviderService rejects with a plain { success: false, error } object
+      logger.error('Error translating post:', error);
+      return {
+        success: false,
+        error: 'Translation failed',
+        message: error.error || error.message
+      };
+    }
+  }
+
+  /**
+   * Translate one field and check the result against its source
+   * @returns {Promise<{ translation: string, warnings: Object[], result: Object }>}
+   */
+  async translateField({ field, text, from, to, terms, provider }) {
+    const isHtml = TranslationDraft.htmlFields.includes(field);
+    const { temperature, maxTokens } = config.ai.translation;
+    let problem;
+
+    for (let attempt = 1; ; attempt++) {
+      const result = await this.ai.processMessage(
+        provider,
+        buildTranslationPrompt({ field, text, from, to, terms, isHtml, problem }),
+        { temperature, maxTokens, requestType: 'translation' }
+      );
+      const translation = stripCodeFences(result.response);
+      const structure = isHtml ? compareHtmlStructure(text, translation) : { matches: true };
+
+      if (structure.matches || attempt >= MAX_HTML_ATTEMPTS) {
+        const warnings = findMissingTerms(terms, translation, to).map(term => ({
+          field,
+          type: 'glossary',
+          message: `"${GlossaryTerm.termIn(term, from)}" should be translated as "${GlossaryTerm.termIn(term, to)}"`
+        }));
+
+        if (!structure.matches) {
+          warnings.unshift({ field, type: 'html_structure', message: problem });
+        }
+        return { translation, warnings, result };
+      }
+
+      problem = `the HTML markup changed at tag ${structure.position + 1} (expected ${structure.expected}, found ${structure.found})`;
+    }
+  }
+
+  /**
+   * Drafts without their text, newest first
+   * @param {Object} options - { postId, status }
+   */
+  async listDrafts(options = {}) {
+    try {
+      const drafts = await this.repository.findDrafts({
+        postId: options.postId !== undefined ? parseInt(options.postId) : undefined,
+        status: options.status
+      });
+
+      return {
+        success: true,
+        data: {
+          drafts: drafts.map(({ fields, source, ...draft }) => ({ ...draft, translatedFields: Object.keys(fields) })),
+          total: drafts.length
+        }
+      };
+    } catch (error) {
+      logger.error('Error listing translation drafts:', error);
+      return {
+        success: false,
+        error: 'Failed to list translation drafts',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * One draft with a side-by-side comparison against the current post
+   * @param {string} id - Draft ID
+   */
+  async getDraft(id) {
+    try {
+      const draft = await this.repository.findDraftById(id);
+      if (!draft) {
+        return { success: false, error: 'Draft not found' };
+      }
+
+      const post = await this.postRepository.findById(draft.post_id);
+
+      return {
+        success: true,
+        data: {
+          ...draft,
+          post: post ? { id: post.id, titleTH: post.titleTH, titleEN: post.titleEN, slug: post.slug, slugEN: post.slugEN } : null,
+          comparison: TranslationDraft.toComparison(draft, post)
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting translation draft:', error);
+      return {
+        success: false,
+        error: 'Failed to get translation draft',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Write a reviewed draft to the post. Editors may correct the translation
+   * first; only the fields of the draft are written.
+   * @param {string} id - Draft ID
+   * @param {Object} changes - { fields } corrected text by field name, acknowledgeFindings
+   * @param {Object} context - { user } applying the draft
+   */
+  async applyDraft(id, changes = {}, context = {}) {
+    try {
+      const draft = await this.repository.findDraftById(id);
+      if (!draft) {
+        return { success: false, error: 'Draft not found' };
+      }
+      if (draft.status !== 'pending_review') {
+        return { success: false, error: 'Draft already reviewed', message: `The draft was ${draft.status}` };
+      }
+
+      const edits = changes.fields || {};
+      const invalid = Object.keys(edits).filter(field => !(field in draft.fields) || typeof edits[field] !== 'string');
+      if (invalid.length > 0) {
+        return {
+          success: false,
+          error: 'Validation failed',
+          details: invalid.map(field => ({ field: `fields.${field}`, message: 'Not a translated field of this draft' }))
+        };
+      }
+
+      const fields = { ...draft.fields, ...edits };
+      const postChanges = {};
+      Object.entries(fields).forEach(([field, value]) => {
+        postChanges[TranslationDraft.attributeFor(field, draft.target_locale)] = value;
+      });
+
+      // The post's own validation, permissions and revision history apply
+      const result = await postsController.updatePost(draft.post_id, {
+        ...postChanges,
+        acknowledgeFindings: changes.acknowledgeFindings
+      }, {
+        user: context.user,
+        action: 'translation'
+      });
+      if (!result.success) return result;
+
+      const applied = await this.repository.updateDraft(id, {
+        status: 'applied',
+        fields,
+        ...this.reviewStamp(context)
+      });
+
+      logger.info(`🌐 Applied translation draft ${id} to post ${draft.post_id}`);
+      return { success: true, data: { draft: applied, post: result.data } };
+    } catch (error) {
+      logger.error('Error applying translation draft:', error);
+      return {
+        success: false,
+        error: 'Failed to apply translation draft',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Discard a draft without touching the post
+   * @param {string} id - Draft ID
+   * @param {Object} context - { user } rejecting the draft
+   */
+  async rejectDraft(id, context = {}) {
+    try {
+      const draft = await this.repository.findDraftById(id);
+      if (!draft) {
+        return { success: false, error: 'Draft not found' };
+      }
+      if (draft.status !== 'pending_review') {
+        return { success: false, error: 'Draft already reviewed', message: `The draft was ${draft.status}` };
+      }
+
+      const post = await this.postRepository.findById(draft.post_id);
+      if (context.user && post && !User.canEditPost(context.user, post)) {
+        return { success: false, error: 'Forbidden', message: 'Authors can only review translations of their own posts' };
+      }
+
+      const rejected = await this.repository.updateDraft(id, {
+        status: 'rejected',
+        ...this.reviewStamp(context)
+      });
+
+      return { success: true, data: rejected };
+    } catch (error) {
+      logger.error('Error rejecting translation draft:', error);
+      return {
+        success: false,
+        error: 'Failed to reject translation draft',
+        message: error.message
+      };
+    }
+  }
+
+  reviewStamp(context) {
+    const now = new Date().toISOString();
+    return {
+      reviewed_by: context.user && !context.user.bootstrap ? context.user.id : null,
+      reviewed_at: now,
+      updated_at: now
+    };
+  }
+
+  async findDuplicateTerm(termTh) {
+    const normalized = GlossaryTerm.normalize(termTh);
+    return (await this.repository.findTerms()).find(term => GlossaryTerm.normalize(term.term_th) === normalized) || null;
+  }
+}
+
+// Export singleton instance
+const translationController = new TranslationController();
+
+module.exports = translationController;
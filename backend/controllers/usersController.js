@@ -0,0 +1,577 @@
+/**
+ * Users Controller
+ * User accounts, invitations and role management for the admin panel
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const config = require('../config/config');
+const { User } = require('../models/User');
+const { logger } = require('../middleware/errorHandler');
+const securityService = require('../services/SecurityService');
+const { getUserRepository } = require('../repositories');
+const totp = require('../utils/totp');
+
+const hashInviteToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const RECOVERY_CODE_COUNT = 10;
+
+const TWO_FACTOR_CLEARED = {
+  totp_enabled: false,
+  totp_secret: null,
+  totp_pending_secret: null,
+  totp_last_counter: null,
+  recovery_code_hashes: []
+};
+
+class UsersController {
+  constructor(repository = getUserRepository()) {
+    this.repository = repository;
+  }
+
+  /**
+   * Initialize the configured user repository
+   */
+  async initialize() {
+    try {
+      await this.repository.initialize();
+    } catch (error) {
+      logger.error('Failed to initialize users controller:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Swap the storage adapter (used by tests and tooling)
+   * @param {UserRepository} repository - User repository instance
+   */
+  setRepository(repository) {
+    this.repository = repository;
+  }
+
+  /**
+   * Hash a password for storage
+   * @param {string} password - Plain-text password
+   * @returns {Promise<string>} - bcrypt hash
+   */
+  async hashPassword(password) {
+    return bcrypt.hash(password, config.auth.bcryptRounds);
+  }
+
+  /**
+   * List users without password hashes
+   * @param {Object} options - { role }
+   */
+  async listUsers(options = {}) {
+    try {
+      const users = await this.repository.findAll(options);
+      return {
+        success: true,
+        data: {
+          users: users.map(user => User.toPublic(user)),
+          total: users.length
+        }
+      };
+    } catch (error) {
+      logger.error('Error listing users:', error);
+      return {
+        success: false,
+        error: 'Failed to list users',
+        message: error.message
+      };
+    }
+  }
+
+  async getUserById(id) {
+    try {
+      const user = await this.repository.findById(id);
+      if (!user) {
+        return { success: false, error: 'User not found' };
+      }
+
+      return { success: true, data: User.toPublic(user) };
+    } catch (error) {
+      logger.error('Error fetching user:', error);
+      return {
+        success: false,
+        error: 'Failed to fetch user',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Create an account without a password and a one-time invite token.
+   * Only the token's hash is stored; the invitee sets a password with acceptInvite.
+   * @param {Object} userData - { username, email, role, full_name }
+   * @param {Object} context - { user } sending the invite
+   */
+  async inviteUser(userData, context = {}) {
+    try {
+      const { password_hash, invite_token_hash, ...input } = userData || {};
+      const validation = User.validateForCreate({
+        ...input,
+        username: String(input.username || '').toLowerCase(),
+        email: String(input.email || '').toLowerCase()
+      });
+
+      if (!validation.success) {
+        return {
+          success: false,
+          error: 'Validation failed',
+          details: validation.errors
+        };
+      }
+
+      const data = validation.data;
+
+      if (await this.repository.findByUsername(data.username) || await this.repository.findByEmail(data.email)) {
+        return {
+          success: false,
+          error: 'User already exists',
+          message: 'A user with this username or email already exists'
+        };
+      }
+
+      const inviteToken = crypto.randomBytes(32).toString('hex');
+      const now = new Date();
+      const expiresAt = new Date(now.getTime() + config.auth.inviteTtlHours * 60 * 60 * 1000);
+
+      const user = await this.repository.create({
+        id: crypto.randomUUID(),
+        username: data.username,
+        email: data.email,
+        role: data.role,
+        full_name: data.full_name,
+        is_active: true,
+        invite_token_hash: hashInviteToken(inviteToken),
+        invite_expires_at: expiresAt.toISOString(),
+        // The bootstrap admin has no users row to reference
+        invited_by: context.user && !context.user.bootstrap ? context.user.id : null,
+        created_at: now.toISOString(),
+        updated_at: now.toISOString()
+      });
+
+      logger.info(`✉️ Invited ${user.role} ${user.username}`, { invitedBy: context.user?.username });
+
+      return {
+        success: true,
+        data: {
+          user: User.toPublic(user),
+          inviteToken,
+          expiresAt: expiresAt.toISOString()
+        }
+      };
+    } catch (error) {
+      logger.error('Error inviting user:', error);
+      return {
+        success: false,
+        error: 'Failed to invite user',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Set the password of an invited account and consume the invite token
+   * @param {string} token - Invite token from inviteUser
+   * @param {string} password - New password
+   */
+  async acceptInvite(token, password) {
+    try {
+      const passwordError = User.validatePassword(password);
+      if (passwordError) {
+        return {
+          success: false,
+          error: 'Validation failed',
+          details: [passwordError]
+        };
+      }
+
+      const user = token ? await this.repository.findByInviteTokenHash(hashInviteToken(token)) : null;
+      const expired = user && new Date(user.invite_expires_at) < new Date();
+
+      if (!user || expired || !user.is_active) {
+        return {
+          success: false,
+          error: 'Invalid invite',
+          message: 'The invite link is invalid or has expired'
+        };
+      }
+
+      const updated = await this.repository.update(user.id, {
+        password_hash: await this.hashPassword(password),
+        invite_token_hash: null,
+        invite_expires_at: null,
+        updated_at: new Date().toISOString()
+      });
+
+      logger.info(`✅ ${updated.username} accepted their invite`);
+
+      return { success: true, data: User.toPublic(updated) };
+    } catch (error) {
+      logger.error('Error accepting invite:', error);
+      return {
+        success: false,
+        error: 'Failed to accept invite',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Refuse changes that would leave no active admin to manage the system
+   * @returns {Promise<Object|null>} - Error result, or null when allowed
+   */
+  async guardLastAdmin(user) {
+    if (user.role !== 'admin' || !user.is_active) return null;
+
+    const admins = await this.repository.findAll({ role: 'admin' });
+    if (admins.filter(admin => admin.is_active).length > 1) return null;
+
+    return {
+      success: false,
+      error: 'Cannot remove the last admin',
+      message: 'At least one active admin account is required'
+    };
+  }
+
+  /**
+   * Change a user's role. Existing sessions are ended so the new role applies at once.
+   * @param {string} id - User ID
+   * @param {string} role - New role
+   * @param {Object} context - { user } making the change
+   */
+  async changeRole(id, role, context = {}) {
+    try {
+      if (!User.roles.includes(role)) {
+        return {
+          success: false,
+          error: 'Validation failed',
+          details: [{ field: 'role', message: `Role must be one of ${User.roles.join(', ')}` }]
+        };
+      }
+
+      const user = await this.repository.findById(id);
+      if (!user) {
+        return { success: false, error: 'User not found' };
+      }
+
+      if (context.user?.id === user.id) {
+        return {
+          success: false,
+          error: 'Cannot change own role',
+          message: 'Ask another admin to change your role'
+        };
+      }
+
+      if (role !== 'admin') {
+        const lastAdminError = await this.guardLastAdmin(user);
+        if (lastAdminError) return lastAdminError;
+      }
+
+      const updated = await this.repository.update(id, { role, updated_at: new Date().toISOString() });
+      securityService.invalidateUserSessions(id);
+
+      logger.info(`👤 Changed role of ${updated.username}: ${user.role} → ${role}`, { changedBy: context.user?.username });
+
+      return { success: true, data: User.toPublic(updated) };
+    } catch (error) {
+      logger.error('Error changing user role:', error);
+      return {
+        success: false,
+        error: 'Failed to change role',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Disable or re-enable an account. Disabling ends the user's sessions.
+   * @param {string} id - User ID
+   * @param {boolean} isActive - New state
+   * @param {Object} context - { user } making the change
+   */
+  async setActive(id, isActive, context = {}) {
+    try {
+      const user = await this.repository.findById(id);
+      if (!user) {
+        return { success: false, error: 'User not found' };
+      }
+
+      if (!isActive) {
+        if (context.user?.id === user.id) {
+          return {
+            success: false,
+            error: 'Cannot disable own account',
+            message: 'Ask another admin to disable your account'
+          };
+        }
+
+        const lastAdminError = await this.guardLastAdmin(user);
+        if (lastAdminError) return lastAdminError;
+      }
+
+      const updated = await this.repository.update(id, { is_active: isActive, updated_at: new Date().toISOString() });
+
+      if (!isActive) {
+        securityService.invalidateUserSessions(id);
+      }
+
+      logger.info(`👤 ${isActive ? 'Enabled' : 'Disabled'} user ${updated.username}`, { changedBy: context.user?.username });
+
+      return { success: true, data: User.toPublic(updated) };
+    } catch (error) {
+      logger.error('Error updating user status:', error);
+      return {
+        success: false,
+        error: 'Failed to update user',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Load the signed-in account for two-factor changes. The bootstrap admin
+   * has no stored record and is configured with ADMIN_TOTP_SECRET instead.
+   * @param {Object} requestUser - req.user
+   * @returns {Promise<Object>} - { user } or an error result
+   */
+  async findTwoFactorAccount(requestUser) {
+    if (requestUser?.bootstrap) {
+      return {
+        success: false,
+        error: 'Two-factor setup unavailable',
+        message: 'The bootstrap admin enables two-factor login with the ADMIN_TOTP_SECRET environment variable'
+      };
+    }
+
+    const user = requestUser?.id ? await this.repository.findById(requestUser.id) : null;
+    if (!user) {
+      return { success: false, error: 'User not found' };
+    }
+
+    return { success: true, user };
+  }
+
+  /**
+   * Two-factor state of the signed-in account
+   * @param {Object} requestUser - req.user
+   */
+  async getTwoFactorStatus(requestUser) {
+    try {
+      if (requestUser?.bootstrap) {
+        return {
+          success: true,
+          data: { enabled: Boolean(process.env.ADMIN_TOTP_SECRET), managedBy: 'environment' }
+        };
+      }
+
+      const account = await this.findTwoFactorAccount(requestUser);
+      if (!account.success) return account;
+
+      return {
+        success: true,
+        data: {
+          enabled: Boolean(account.user.totp_enabled),
+          pending: Boolean(account.user.totp_pending_secret),
+          recoveryCodesRemaining: (account.user.recovery_code_hashes || []).length
+        }
+      };
+    } catch (error) {
+      logger.error('Error fetching two-factor status:', error);
+      return {
+        success: false,
+        error: 'Failed to fetch two-factor status',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Start TOTP enrollment: store a pending secret and return the provisioning
+   * URI for the authenticator app's QR scanner. Nothing changes at login until
+   * enableTwoFactor confirms a code.
+   * @param {Object} requestUser - req.user
+   */
+  async setupTwoFactor(requestUser) {
+    try {
+      const account = await this.findTwoFactorAccount(requestUser);
+      if (!account.success) return account;
+
+      const { user } = account;
+      if (user.totp_enabled) {
+        return {
+          success: false,
+          error: 'Two-factor already enabled',
+          message: 'Disable two-factor authentication before enrolling a new device'
+        };
+      }
+
+      const secret = totp.generateSecret();
+      await this.repository.update(user.id, { totp_pending_secret: secret, updated_at: new Date().toISOString() });
+
+      return {
+        success: true,
+        data: {
+          secret,
+          otpauthUri: totp.buildOtpauthUri({ secret, account: user.email || user.username, issuer: config.auth.totpIssuer })
+        }
+      };
+    } catch (error) {
+      logger.error('Error starting two-factor setup:', error);
+      return {
+        success: false,
+        error: 'Failed to start two-factor setup',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Confirm enrollment with a code from the app and issue recovery codes.
+   * The recovery codes are only returned here; just their hashes are stored.
+   * @param {Object} requestUser - req.user
+   * @param {string} code - Current TOTP code
+   */
+  async enableTwoFactor(requestUser, code) {
+    try {
+      const account = await this.findTwoFactorAccount(requestUser);
+      if (!account.success) return account;
+
+      const { user } = account;
+      if (!user.totp_pending_secret) {
+        return {
+          success: false,
+          error: 'Two-factor setup not started',
+          message: 'Call POST /api/auth/2fa/setup first'
+        };
+      }
+
+      const counter = totp.verifyCode(user.totp_pending_secret, code);
+      if (counter === null) {
+        return {
+          success: false,
+          error: 'Invalid authentication code',
+          message: 'Check that the device clock is correct and try the current code'
+        };
+      }
+
+      const recoveryCodes = totp.generateRecoveryCodes(RECOVERY_CODE_COUNT);
+      await this.repository.update(user.id, {
+        totp_enabled: true,
+        totp_secret: user.totp_pending_secret,
+        totp_pending_secret: null,
+        totp_last_counter: counter,
+        recovery_code_hashes: recoveryCodes.map(totp.hashRecoveryCode),
+        updated_at: new Date().toISOString()
+      });
+
+      logger.info(`🔐 Two-factor authentication enabled for ${user.username}`);
+
+      return { success: true, data: { enabled: true, recoveryCodes } };
+    } catch (error) {
+      logger.error('Error enabling two-factor authentication:', error);
+      return {
+        success: false,
+        error: 'Failed to enable two-factor authentication',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Turn two-factor login off; requires a current TOTP or recovery code
+   * @param {Object} requestUser - req.user
+   * @param {string} code - TOTP code or recovery code
+   */
+  async disableTwoFactor(requestUser, code) {
+    try {
+      const account = await this.findTwoFactorAccount(requestUser);
+      if (!account.success) return account;
+
+      const verification = await securityService.verifySecondFactor(account.user, code, this.repository);
+      if (!verification.valid) {
+        return { success: false, error: 'Invalid authentication code' };
+      }
+
+      await this.repository.update(account.user.id, { ...TWO_FACTOR_CLEARED, updated_at: new Date().toISOString() });
+      logger.info(`🔓 Two-factor authentication disabled by ${account.user.username}`);
+
+      return { success: true, data: { enabled: false } };
+    } catch (error) {
+      logger.error('Error disabling two-factor authentication:', error);
+      return {
+        success: false,
+        error: 'Failed to disable two-factor authentication',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Replace all recovery codes; requires a current TOTP or recovery code
+   * @param {Object} requestUser - req.user
+   * @param {string} code - TOTP code or recovery code
+   */
+  async regenerateRecoveryCodes(requestUser, code) {
+    try {
+      const account = await this.findTwoFactorAccount(requestUser);
+      if (!account.success) return account;
+
+      const verification = await securityService.verifySecondFactor(account.user, code, this.repository);
+      if (!verification.valid) {
+        return { success: false, error: 'Invalid authentication code' };
+      }
+
+      const recoveryCodes = totp.generateRecoveryCodes(RECOVERY_CODE_COUNT);
+      await this.repository.update(account.user.id, {
+        recovery_code_hashes: recoveryCodes.map(totp.hashRecoveryCode),
+        updated_at: new Date().toISOString()
+      });
+
+      return { success: true, data: { recoveryCodes } };
+    } catch (error) {
+      logger.error('Error regenerating recovery codes:', error);
+      return {
+        success: false,
+        error: 'Failed to regenerate recovery codes',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Admin reset for a user who lost their device and recovery codes.
+   * Ends the user's sessions; they log in with their password and enroll again.
+   * @param {string} id - User ID
+   * @param {Object} context - { user } making the change
+   */
+  async resetTwoFactor(id, context = {}) {
+    try {
+      const user = await this.repository.findById(id);
+      if (!user) {
+        return { success: false, error: 'User not found' };
+      }
+
+      const updated = await this.repository.update(id, { ...TWO_FACTOR_CLEARED, updated_at: new Date().toISOString() });
+      securityService.invalidateUserSessions(id);
+
+      logger.warn(`🔓 Two-factor authentication reset for ${user.username}`, { resetBy: context.user?.username });
+
+      return { success: true, data: User.toPublic(updated) };
+    } catch (error) {
+      logger.error('Error resetting two-factor authentication:', error);
+      return {
+        success: false,
+        error: 'Failed to reset two-factor authentication',
+        message: error.message
+      };
+    }
+  }
+}
+
+// Export singleton instance
+const usersController = new UsersController();
+
+module.exports = usersController;
@@ -58,7 +58,7 @@ CREATE TABLE IF NOT EXISTS tags (
 -- Step 6: Post-Tag Relationships
 CREATE TABLE IF NOT EXISTS post_tags (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-    post_id UUID REFERENCES posts(id) ON DELETE CASCADE,
+    post_id INTEGER REFERENCES posts(id) ON DELETE CASCADE, -- posts.id is SERIAL
     tag_id UUID REFERENCES tags(id) ON DELETE CASCADE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     UNIQUE(post_id, tag_id)
@@ -223,6 +223,199 @@ ON CONFLICT (key) DO NOTHING;
 -- Step 14: Record Migration
 INSERT INTO migrations (filename) VALUES ('rbck_supabase_migration.sql') ON CONFLICT (filename) DO NOTHING;
 
+-- Step 15: Post Revision History (immutable, one row per write)
+CREATE TABLE IF NOT EXISTS post_revisions (
+    id SERIAL PRIMARY KEY,
+    post_id INTEGER NOT NULL,
+    version INTEGER NOT NULL,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('baseline', 'create', 'update', 'restore')),
+    author VARCHAR(100),
+    changed_fields JSONB DEFAULT '[]'::jsonb,
+    restored_from INTEGER,
+    snapshot JSONB NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (post_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_post_revisions_post_id ON post_revisions(post_id, version DESC);
+ALTER TABLE post_revisions ENABLE ROW LEVEL SECURITY;
+
+-- Step 16: Scheduled Publishing
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS publish_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE posts DROP CONSTRAINT IF EXISTS posts_status_check;
+ALTER TABLE posts ADD CONSTRAINT posts_status_check
+    CHECK (status IN ('draft', 'scheduled', 'published', 'archived'));
+CREATE INDEX IF NOT EXISTS idx_posts_scheduled ON posts(publish_at) WHERE status = 'scheduled';
+
+-- Step 17: User Roles and Invitations
+-- Invited users have no password until they accept the invite
+ALTER TABLE users ALTER COLUMN password_hash DROP NOT NULL;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS full_name VARCHAR(100);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS invite_token_hash VARCHAR(64);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS invite_expires_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS invited_by UUID REFERENCES users(id) ON DELETE SET NULL;
+UPDATE users SET role = 'viewer' WHERE role IS NULL OR role NOT IN ('admin', 'editor', 'author', 'viewer');
+ALTER TABLE users ALTER COLUMN role SET DEFAULT 'viewer';
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users ADD CONSTRAINT users_role_check
+    CHECK (role IN ('admin', 'editor', 'author', 'viewer'));
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_invite_token ON users(invite_token_hash) WHERE invite_token_hash IS NOT NULL;
+
+-- Step 18: TOTP Two-Factor Authentication
+-- Recovery codes are stored as SHA-256 hashes; totp_last_counter blocks code replay
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN DEFAULT false;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_pending_secret VARCHAR(64);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_counter BIGINT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS recovery_code_hashes TEXT[] DEFAULT '{}';
+
+-- Step 19: AI Request Ledger
+-- Token split and outcome (success, error, cancelled) for per-model cost reports;
+-- prompt holds a 500-character excerpt
+ALTER TABLE ai_requests ADD COLUMN IF NOT EXISTS prompt_tokens INTEGER;
+ALTER TABLE ai_requests ADD COLUMN IF NOT EXISTS completion_tokens INTEGER;
+ALTER TABLE ai_requests ADD COLUMN IF NOT EXISTS outcome VARCHAR(20) DEFAULT 'success';
+CREATE INDEX IF NOT EXISTS idx_ai_requests_request_type ON ai_requests(request_type);
+
+-- Step 20: Media Library
+-- variants holds { original, thumbnail, webp }, each with its storage key and public URL;
+-- the files live in local storage or the Supabase Storage bucket named by MEDIA_BUCKET
+CREATE TABLE IF NOT EXISTS media (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    filename VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(100) NOT NULL,
+    size INTEGER NOT NULL,
+    width INTEGER,
+    height INTEGER,
+    storage_driver VARCHAR(20) NOT NULL,
+    variants JSONB NOT NULL,
+    alt_text_th VARCHAR(255) NOT NULL DEFAULT '',
+    alt_text_en VARCHAR(255) NOT NULL DEFAULT '',
+    caption VARCHAR(500) NOT NULL DEFAULT '',
+    uploaded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_media_created_at ON media(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_media_uploaded_by ON media(uploaded_by);
+
+-- Step 21: Categories and Tags
+-- Posts reference a category by slug (posts.category) and keep their tag names in
+-- posts.tags; post_tags links them to tag records for counts, renames and merges
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS name_en VARCHAR(100) NOT NULL DEFAULT '';
+ALTER TABLE categories ALTER COLUMN description SET DEFAULT '';
+CREATE INDEX IF NOT EXISTS idx_categories_parent_id ON categories(parent_id);
+
+-- The values posts.category was limited to before categories were managed
+INSERT INTO categories (name, name_en, slug, sort_order, is_active) VALUES
+('การบำรุงรักษา', 'Maintenance', 'maintenance', 0, true),
+('การซ่อมแซม', 'Repair', 'repair', 1, true),
+('การใช้งาน', 'Operation', 'operation', 2, true),
+('การแก้ไขปัญหา', 'Troubleshooting', 'troubleshooting', 3, true),
+('อะไหล่', 'Parts', 'parts', 4, true),
+('ทั่วไป', 'General', 'general', 5, true)
+ON CONFLICT (slug) DO NOTHING;
+
+-- Step 22: English Translations
+-- Thai stays in the unsuffixed columns; a post is served in English once
+-- titleen, slugen, contenten and excerpten are filled in
+ALTER TABLE posts
+ADD COLUMN IF NOT EXISTS slugen VARCHAR(255),
+ADD COLUMN IF NOT EXISTS contenten TEXT,
+ADD COLUMN IF NOT EXISTS excerpten TEXT,
+ADD COLUMN IF NOT EXISTS metatitleen VARCHAR(160),
+ADD COLUMN IF NOT EXISTS metadescriptionen VARCHAR(320),
+ADD COLUMN IF NOT EXISTS focuskeyworden VARCHAR(100);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_posts_slugen ON posts(slugen) WHERE slugen IS NOT NULL;
+
+-- Step 23: AI Translation Drafts and Glossary
+-- Drafts hold AI translations until an editor applies them to the post
+CREATE TABLE IF NOT EXISTS glossary_terms (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    term_th VARCHAR(200) NOT NULL,
+    term_en VARCHAR(200) NOT NULL,
+    note VARCHAR(500) NOT NULL DEFAULT '',
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS translation_drafts (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    post_id INTEGER NOT NULL,
+    source_locale VARCHAR(5) NOT NULL,
+    target_locale VARCHAR(5) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending_review' CHECK (status IN ('pending_review', 'applied', 'rejected')),
+    fields JSONB NOT NULL,
+    source JSONB NOT NULL,
+    provider VARCHAR(50),
+    model VARCHAR(100),
+    warnings JSONB NOT NULL DEFAULT '[]'::jsonb,
+    glossary JSONB NOT NULL DEFAULT '[]'::jsonb,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_translation_drafts_post_id ON translation_drafts(post_id, created_at DESC);
+
+-- Applying a draft is recorded as its own revision action
+ALTER TABLE post_revisions DROP CONSTRAINT IF EXISTS post_revisions_action_check;
+ALTER TABLE post_revisions ADD CONSTRAINT post_revisions_action_check
+    CHECK (action IN ('baseline', 'create', 'update', 'restore', 'translation'));
+
+-- Step 24: AI Background Jobs
+-- Swarm council and E-A-T runs queued by /api/ai/jobs; rows left 'running'
+-- by a restart are queued again (or failed) when the server starts
+CREATE TABLE IF NOT EXISTS ai_jobs (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('swarm', 'eat')),
+    status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed', 'cancelled')),
+    input JSONB NOT NULL,
+    progress JSONB NOT NULL DEFAULT '{}'::jsonb,
+    stages JSONB NOT NULL DEFAULT '[]'::jsonb,
+    result JSONB,
+    error TEXT,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 1,
+    cancel_requested BOOLEAN NOT NULL DEFAULT false,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_by_name VARCHAR(100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    started_at TIMESTAMP WITH TIME ZONE,
+    finished_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_ai_jobs_status ON ai_jobs(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_ai_jobs_created_by ON ai_jobs(created_by);
+
+-- Step 25: AI Prompt Templates
+-- One row per version; the active version of each name is the one the swarm
+-- council and E-A-T pipelines render
+CREATE TABLE IF NOT EXISTS prompt_templates (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    version INTEGER NOT NULL,
+    description VARCHAR(500) NOT NULL DEFAULT '',
+    body TEXT NOT NULL,
+    variables JSONB NOT NULL DEFAULT '[]'::jsonb,
+    is_active BOOLEAN NOT NULL DEFAULT false,
+    change_note VARCHAR(500) NOT NULL DEFAULT '',
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_by_name VARCHAR(100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (name, version)
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_prompt_templates_active ON prompt_templates(name) WHERE is_active;
+
+-- Step 26: Pre-publish Content Review
+-- Findings (unsupported figures, safety advice, prohibited terms, part numbers)
+-- with their editor acknowledgements; a post cannot go live while any is open
+ALTER TABLE posts
+ADD COLUMN IF NOT EXISTS review_findings JSONB NOT NULL DEFAULT '[]'::jsonb,
+ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP WITH TIME ZONE;
+
 -- ========================================
 -- MIGRATION COMPLETE
 -- ========================================
\ No newline at end of file
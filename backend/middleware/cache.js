@@ -153,6 +153,38 @@ const createCacheMiddleware = (ttlOrType = 'api', keyGenerator = null) => {
   };
 };
 
+// Cache middleware for non-JSON documents (XML feeds, robots.txt) sent with res.send
+// Stored in the posts cache by default so invalidateCache.posts() refreshes them
+const createDocumentCacheMiddleware = (contentType, cacheType = 'posts') => {
+  return (req, res, next) => {
+    if (req.method !== 'GET') {
+      return next();
+    }
+
+    const cache = caches[cacheType] || caches.api;
+    const key = `doc:${req.originalUrl}`;
+    const cached = cache.get(key);
+
+    res.type(contentType);
+
+    if (cached !== undefined) {
+      res.set({ 'X-Cache': 'HIT', 'X-Cache-Key': key });
+      return res.send(cached);
+    }
+
+    const originalSend = res.send;
+    res.send = function(body) {
+      if (res.statusCode >= 200 && res.statusCode < 300 && typeof body === 'string') {
+        cache.set(key, body);
+      }
+      res.set({ 'X-Cache': 'MISS', 'X-Cache-Key': key });
+      return originalSend.call(this, body);
+    };
+
+    next();
+  };
+};
+
 // 🚀 PERFORMANCE: Enhanced cache middleware for different routes
 const apiCache = createCacheMiddleware('api');
 const postsCache = createCacheMiddleware('posts', (req) => `posts:${req.originalUrl}`);
@@ -163,11 +195,13 @@ const sessionCache = createCacheMiddleware('sessions');
 
 // Cache invalidation helpers
 const invalidateCache = {
-  // Invalidate all post-related caches
+  // Invalidate all post-related caches (including query-string variants)
   posts: () => {
     caches.posts.flushAll();
-    caches.api.del('GET:/api/posts');
-    caches.api.del('GET:/api/blog-html');
+    const postKeyPrefixes = ['GET:/api/posts', 'GET:/api/blog-html', 'GET:/api/analytics', 'GET:/blog/'];
+    caches.api.del(
+      caches.api.keys().filter(key => postKeyPrefixes.some(prefix => key.startsWith(prefix)))
+    );
   },
   
   // Invalidate specific post cache
@@ -276,6 +310,8 @@ module.exports = {
   // Factory function
   createCacheMiddleware,
   cacheMiddleware: createCacheMiddleware, // Alias for convenience
+  createDocumentCacheMiddleware,
+  documentCache: createDocumentCacheMiddleware, // Alias for convenience
     // Utility functions
   invalidateCache,
   clearCache: invalidateCache, // Alias for convenience
@@ -100,9 +100,25 @@ const validationRules = {
       .isLength({ max: 50000 })
       .withMessage('Content must not exceed 50,000 characters'),
     
+    body('slugEN')
+      .optional()
+      .matches(/^[a-z0-9-]{1,255}$/)
+      .withMessage('English slug may only contain a-z, 0-9 and hyphens'),
+    
+    body('excerptEN')
+      .optional()
+      .isLength({ min: 10, max: 500 })
+      .withMessage('English excerpt must be between 10 and 500 characters'),
+    
+    body('contentEN')
+      .optional()
+      .isLength({ max: 50000 })
+      .withMessage('English content must not exceed 50,000 characters'),
+    
+    // Managed categories: the controller checks that the slug exists
     body('category')
       .optional()
-      .isIn(['maintenance', 'repair', 'operation', 'troubleshooting', 'parts', 'general'])
+      .matches(/^[\u0E00-\u0E7Fa-z0-9-]{1,100}$/)
       .withMessage('Invalid category'),
     
     body('tags')
@@ -117,8 +133,13 @@ const validationRules = {
     
     body('status')
       .optional()
-      .isIn(['draft', 'published', 'archived'])
-      .withMessage('Status must be draft, published, or archived'),
+      .isIn(['draft', 'scheduled', 'published', 'archived'])
+      .withMessage('Status must be draft, scheduled, published, or archived'),
+
+    body('publishAt')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('publishAt must be an ISO 8601 date'),
     
     body('author')
       .optional()
@@ -164,6 +185,11 @@ const validationRules = {
       .isLength({ min: 10, max: 500 })
       .withMessage('Excerpt must be between 10 and 500 characters'),
     
+    body('excerptEN')
+      .optional()
+      .isLength({ min: 10, max: 500 })
+      .withMessage('English excerpt must be between 10 and 500 characters'),
+    
     // ... other fields similar to createPost but optional
   ],
 
@@ -228,14 +254,19 @@ const validationRules = {
     
     query('status')
       .optional()
-      .isIn(['draft', 'published', 'archived'])
+      .isIn(['draft', 'scheduled', 'published', 'archived'])
       .withMessage('Invalid status filter'),
     
     query('category')
       .optional()
-      .isIn(['maintenance', 'repair', 'operation', 'troubleshooting', 'parts', 'general'])
+      .matches(/^[\u0E00-\u0E7Fa-z0-9-]{1,100}$/)
       .withMessage('Invalid category filter'),
     
+    query('lang')
+      .optional()
+      .isIn(['th', 'en'])
+      .withMessage('lang must be th or en'),
+    
     query('search')
       .optional()
       .isLength({ min: 1, max: 100 })
@@ -0,0 +1,122 @@
+/**
+ * Category Model
+ * Hierarchical, bilingual post categories. Posts reference a category by slug.
+ */
+
+const { z } = require('zod');
+
+const SLUG_PATTERN = /^[\u0E00-\u0E7Fa-z0-9-]+$/; // Same as Post.slug
+
+// Seeded when the categories store is empty; these were the fixed values of Post.category
+const DEFAULT_CATEGORIES = [
+  { slug: 'maintenance', name: 'การบำรุงรักษา', name_en: 'Maintenance' },
+  { slug: 'repair', name: 'การซ่อมแซม', name_en: 'Repair' },
+  { slug: 'operation', name: 'การใช้งาน', name_en: 'Operation' },
+  { slug: 'troubleshooting', name: 'การแก้ไขปัญหา', name_en: 'Troubleshooting' },
+  { slug: 'parts', name: 'อะไหล่', name_en: 'Parts' },
+  { slug: 'general', name: 'ทั่วไป', name_en: 'General' }
+];
+
+// Category validation schema
+const CategorySchema = z.object({
+  id: z.string().uuid().optional(),
+  name: z.string().trim().min(1).max(100), // Thai name, shown on the site
+  name_en: z.string().trim().max(100).default(''),
+  slug: z.string().min(1).max(100).regex(SLUG_PATTERN),
+  description: z.string().max(1000).default(''),
+  parent_id: z.string().uuid().nullable().default(null),
+  sort_order: z.number().int().default(0),
+  is_active: z.boolean().default(true),
+  created_at: z.string().datetime().optional(),
+  updated_at: z.string().datetime().optional()
+});
+
+const CreateCategorySchema = CategorySchema.omit({ id: true, created_at: true, updated_at: true });
+const UpdateCategorySchema = CreateCategorySchema.partial();
+
+class Category {
+  static tableName = 'categories';
+
+  static defaults = DEFAULT_CATEGORIES;
+
+  static slugPattern = SLUG_PATTERN;
+
+  static fields = [
+    'id', 'name', 'name_en', 'slug', 'description', 'parent_id', 'sort_order', 'is_active',
+    'created_at', 'updated_at'
+  ];
+
+  /**
+   * Validate category data for creation
+   * @param {Object} categoryData - Category data to validate
+   * @returns {Object} - Validation result
+   */
+  static validateForCreate(categoryData) {
+    return Category.validate(CreateCategorySchema, categoryData);
+  }
+
+  /**
+   * Validate category data for update
+   * @param {Object} categoryData - Fields to change
+   * @returns {Object} - Validation result
+   */
+  static validateForUpdate(categoryData) {
+    return Category.validate(UpdateCategorySchema, categoryData);
+  }
+
+  static validate(schema, data) {
+    try {
+      return { success: true, data: schema.parse(data) };
+    } catch (error) {
+      return {
+        success: false,
+        errors: error.errors.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      };
+    }
+  }
+
+  /**
+   * Display order: sort_order, then Thai name
+   */
+  static compare(a, b) {
+    return (a.sort_order || 0) - (b.sort_order || 0) || a.name.localeCompare(b.name, 'th');
+  }
+
+  /**
+   * IDs of every category below a category
+   * @param {Object[]} categories - All categories
+   * @param {string} id - Category ID
+   * @returns {string[]}
+   */
+  static descendantIds(categories, id) {
+    const children = categories.filter(category => category.parent_id === id);
+    return children.flatMap(child => [child.id, ...Category.descendantIds(categories, child.id)]);
+  }
+
+  /**
+   * Nest categories under their parents. Categories whose parent is missing
+   * (e.g. filtered out as inactive) are returned as roots.
+   * @param {Object[]} categories - Flat list
+   * @returns {Object[]} - Root categories, each with children
+   */
+  static buildTree(categories) {
+    const nodes = new Map(categories.map(category => [category.id, { ...category, children: [] }]));
+    const roots = [];
+
+    for (const node of [...nodes.values()].sort(Category.compare)) {
+      const parent = node.parent_id && nodes.get(node.parent_id);
+      (parent ? parent.children : roots).push(node);
+    }
+    return roots;
+  }
+}
+
+module.exports = {
+  Category,
+  CategorySchema,
+  CreateCategorySchema,
+  UpdateCategorySchema
+};
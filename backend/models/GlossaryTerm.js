@@ -0,0 +1,127 @@
+/**
+ * Glossary Term Model
+ * Thai/English term pairs that AI translations must use, so agricultural
+ * machinery vocabulary stays consistent across posts
+ */
+
+const { z } = require('zod');
+
+// Seeded when the glossary is empty
+const DEFAULT_TERMS = [
+  { term_th: 'รถเกี่ยวข้าว', term_en: 'combine harvester' },
+  { term_th: 'หัวเกี่ยว', term_en: 'header' },
+  { term_th: 'ใบมีดตัด', term_en: 'cutter bar blade' },
+  { term_th: 'ถังนวด', term_en: 'threshing drum' },
+  { term_th: 'ตะแกรงคัดแยก', term_en: 'cleaning sieve' },
+  { term_th: 'ตีนตะขาบ', term_en: 'crawler track' },
+  { term_th: 'สายพาน', term_en: 'belt' },
+  { term_th: 'ลูกรอก', term_en: 'pulley' },
+  { term_th: 'ระบบไฮดรอลิก', term_en: 'hydraulic system' },
+  { term_th: 'น้ำมันเครื่อง', term_en: 'engine oil' },
+  { term_th: 'ไส้กรองอากาศ', term_en: 'air filter' },
+  { term_th: 'ห้องเกียร์', term_en: 'gearbox' }
+];
+
+// Glossary term validation schema
+const GlossaryTermSchema = z.object({
+  id: z.string().uuid().optional(),
+  term_th: z.string().trim().min(1).max(200),
+  term_en: z.string().trim().min(1).max(200),
+  note: z.string().trim().max(500).default(''), // Context for translators, e.g. which machine part
+  created_by: z.string().uuid().nullable().default(null),
+  created_at: z.string().datetime().optional(),
+  updated_at: z.string().datetime().optional()
+});
+
+const CreateGlossaryTermSchema = GlossaryTermSchema.omit({ id: true, created_by: true, created_at: true, updated_at: true });
+const UpdateGlossaryTermSchema = CreateGlossaryTermSchema.partial();
+
+class GlossaryTerm {
+  static tableName = 'glossary_terms';
+
+  static defaults = DEFAULT_TERMS;
+
+  static fields = ['id', 'term_th', 'term_en', 'note', 'created_by', 'created_at', 'updated_at'];
+
+  /**
+   * Validate term data for creation
+   * @param {Object} termData - Term data to validate
+   * @returns {Object} - Validation result
+   */
+  static validateForCreate(termData) {
+    return GlossaryTerm.validate(CreateGlossaryTermSchema, termData);
+  }
+
+  /**
+   * Validate term data for update
+   * @param {Object} termData - Fields to change
+   * @returns {Object} - Validation result
+   */
+  static validateForUpdate(termData) {
+    return GlossaryTerm.validate(UpdateGlossaryTermSchema, termData);
+  }
+
+  static validate(schema, data) {
+    try {
+      return { success: true, data: schema.parse(data) };
+    } catch (error) {
+      return {
+        success: false,
+        errors: error.errors.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      };
+    }
+  }
+
+  /**
+   * Comparable form of a term: lower case with single spaces
+   * @param {string} text - Term
+   * @returns {string}
+   */
+  static normalize(text) {
+    return String(text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+
+  /**
+   * The term in one language
+   * @param {Object} term - Glossary term
+   * @param {string} locale - 'th' or 'en'
+   * @returns {string}
+   */
+  static termIn(term, locale) {
+    return locale === 'en' ? term.term_en : term.term_th;
+  }
+
+  /**
+   * Whether text uses the term in a language (case-insensitive)
+   * @param {Object} term - Glossary term
+   * @param {string} text - Text to search
+   * @param {string} locale - Language of the text
+   * @returns {boolean}
+   */
+  static appearsIn(term, text, locale) {
+    return GlossaryTerm.normalize(text).includes(GlossaryTerm.normalize(GlossaryTerm.termIn(term, locale)));
+  }
+
+  /**
+   * Terms used by a text, longest first so "ใบมีดตัด" is preferred over a shorter overlap
+   * @param {Object[]} terms - Glossary
+   * @param {string} text - Source text
+   * @param {string} locale - Language of the text
+   * @returns {Object[]}
+   */
+  static findIn(terms, text, locale) {
+    return terms
+      .filter(term => GlossaryTerm.appearsIn(term, text, locale))
+      .sort((a, b) => GlossaryTerm.termIn(b, locale).length - GlossaryTerm.termIn(a, locale).length);
+  }
+}
+
+module.exports = {
+  GlossaryTerm,
+  GlossaryTermSchema,
+  CreateGlossaryTermSchema,
+  UpdateGlossaryTermSchema
+};
@@ -0,0 +1,153 @@
+/**
+ * Job Model
+ * Long-running AI content pipelines (swarm council, E-A-T) queued for a
+ * background worker. Jobs are persisted so they survive restarts and their
+ * results can be fetched later.
+ */
+
+const { z } = require('zod');
+const swarmWorkflows = require('../ai/swarm/workflows/SwarmWorkflowRegistry');
+
+const STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+// Statuses a job never leaves on its own
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Input accepted by each job type
+const INPUT_SCHEMAS = {
+  swarm: z.object({
+    prompt: z.string().trim().min(1).max(20000),
+    workflow: z.string().trim().min(1).max(100).default('full')
+      .refine(name => swarmWorkflows.has(name), name => ({ message: `Unknown workflow: ${name}. Use one of: ${swarmWorkflows.names().join(', ')}` })),
+    cache: z.boolean().default(true) // false: ask every member again instead of reusing cached answers
+  }),
+  eat: z.object({
+    prompt: z.string().trim().min(1).max(20000),
+    targetKeyword: z.string().trim().max(200).default(''),
+    contentType: z.string().trim().min(1).max(50).default('article')
+  })
+};
+
+const TYPES = Object.keys(INPUT_SCHEMAS);
+
+const ProgressSchema = z.object({
+  stage: z.string().nullable().default(null),
+  completed: z.number().int().min(0).default(0), // Stages finished so far
+  total: z.number().int().min(0).nullable().default(null),
+  message: z.string().nullable().default(null)
+});
+
+// Job validation schema
+const JobSchema = z.object({
+  id: z.string().uuid().optional(),
+  type: z.enum(TYPES),
+  status: z.enum(STATUSES).default('queued'),
+  input: z.record(z.any()),
+  progress: ProgressSchema.default({}),
+  stages: z.array(z.object({ // Stage history, oldest first
+    name: z.string(),
+    at: z.string().datetime(),
+    detail: z.record(z.any()).optional()
+  })).default([]),
+  result: z.any().nullable().default(null),
+  error: z.string().nullable().default(null),
+  attempts: z.number().int().min(0).default(0),
+  max_attempts: z.number().int().min(1).default(1),
+  cancel_requested: z.boolean().default(false),
+  created_by: z.string().uuid().nullable().default(null),
+  created_by_name: z.string().nullable().default(null),
+  created_at: z.string().datetime().optional(),
+  started_at: z.string().datetime().nullable().default(null),
+  finished_at: z.string().datetime().nullable().default(null),
+  updated_at: z.string().datetime().optional()
+});
+
+class Job {
+  static tableName = 'ai_jobs';
+
+  static statuses = STATUSES;
+
+  static finishedStatuses = FINISHED_STATUSES;
+
+  static types = TYPES;
+
+  // Workflows loaded from the swarm workflow definitions
+  static get swarmWorkflows() {
+    return swarmWorkflows.names();
+  }
+
+  static fields = [
+    'id', 'type', 'status', 'input', 'progress', 'stages', 'result', 'error', 'attempts', 'max_attempts',
+    'cancel_requested', 'created_by', 'created_by_name', 'created_at', 'started_at', 'finished_at', 'updated_at'
+  ];
+
+  /**
+   * Validate a new job and the input of its type
+   * @param {Object} jobData - { type, input, ... }
+   * @returns {Object} - Validation result
+   */
+  static validateForCreate(jobData) {
+    const job = JobSchema.safeParse(jobData);
+    if (!job.success) {
+      return { success: false, errors: Job.formatErrors(job.error) };
+    }
+
+    const input = INPUT_SCHEMAS[job.data.type].safeParse(job.data.input);
+    if (!input.success) {
+      return { success: false, errors: Job.formatErrors(input.error, 'input') };
+    }
+
+    return { success: true, data: { ...job.data, input: input.data } };
+  }
+
+  static formatErrors(error, prefix) {
+    return error.errors.map(e => ({
+      field: (prefix ? [prefix, ...e.path] : e.path).join('.'),
+      message: e.message
+    }));
+  }
+
+  /**
+   * @param {Object} job - Job
+   * @returns {boolean} - Whether the job completed, failed or was cancelled
+   */
+  static isFinished(job) {
+    return FINISHED_STATUSES.includes(job.status);
+  }
+
+  /**
+   * Fields that put a job back in the queue (used by retry and restart recovery)
+   * @returns {Object}
+   */
+  static requeued() {
+    return {
+      status: 'queued',
+      progress: ProgressSchema.parse({}),
+      stages: [],
+      result: null,
+      error: null,
+      cancel_requested: false,
+      started_at: null,
+      finished_at: null
+    };
+  }
+
+  /**
+   * Job without its result, for listings and WebSocket updates
+   * @param {Object} job - Job
+   * @returns {Object}
+   */
+  static toSummary(job) {
+    const { result, input, ...summary } = job;
+    return {
+      ...summary,
+      input: { ...input, prompt: String(input.prompt || '').slice(0, 200) },
+      hasResult: result !== null && result !== undefined
+    };
+  }
+}
+
+module.exports = {
+  Job,
+  JobSchema
+};
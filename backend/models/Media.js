@@ -0,0 +1,114 @@
+/**
+ * Media Model
+ * Uploaded images with their generated variants and alt-text metadata
+ */
+
+const { z } = require('zod');
+
+const VARIANTS = ['original', 'thumbnail', 'webp'];
+
+const VariantSchema = z.object({
+  key: z.string(),
+  url: z.string().url(),
+  mime_type: z.string(),
+  width: z.number().int().positive().nullable(),
+  height: z.number().int().positive().nullable(),
+  size: z.number().int().min(0)
+});
+
+// Media validation schema
+const MediaSchema = z.object({
+  id: z.string().uuid().optional(),
+  filename: z.string().min(1).max(255),
+  mime_type: z.string().max(100),
+  size: z.number().int().min(0),
+  width: z.number().int().positive().nullable().optional(),
+  height: z.number().int().positive().nullable().optional(),
+  storage_driver: z.string().max(20),
+  variants: z.record(z.enum(VARIANTS), VariantSchema),
+  alt_text_th: z.string().max(255).default(''),
+  alt_text_en: z.string().max(255).default(''),
+  caption: z.string().max(500).default(''),
+  uploaded_by: z.string().nullable().optional(),
+  created_at: z.string().datetime().optional(),
+  updated_at: z.string().datetime().optional()
+});
+
+// Only the descriptive metadata can change after upload
+const UpdateMediaSchema = MediaSchema.pick({ alt_text_th: true, alt_text_en: true, caption: true })
+  .partial()
+  .strict();
+
+class Media {
+  static tableName = 'media';
+
+  static variants = VARIANTS;
+
+  static fields = [
+    'id', 'filename', 'mime_type', 'size', 'width', 'height', 'storage_driver', 'variants',
+    'alt_text_th', 'alt_text_en', 'caption', 'uploaded_by', 'created_at', 'updated_at'
+  ];
+
+  /**
+   * Validate a media record before it is stored
+   * @param {Object} mediaData - Media record built by MediaController.uploadMedia
+   * @returns {Object} - Validation result
+   */
+  static validateForCreate(mediaData) {
+    return Media.validate(MediaSchema, mediaData);
+  }
+
+  /**
+   * Validate alt text and caption changes
+   * @param {Object} mediaData - { alt_text_th, alt_text_en, caption }
+   * @returns {Object} - Validation result
+   */
+  static validateForUpdate(mediaData) {
+    return Media.validate(UpdateMediaSchema, mediaData);
+  }
+
+  static validate(schema, data) {
+    try {
+      return { success: true, data: schema.parse(data) };
+    } catch (error) {
+      return {
+        success: false,
+        errors: error.errors.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      };
+    }
+  }
+
+  /**
+   * Public URLs of every stored variant; a post referencing any of them uses the media
+   * @param {Object} media - Media record
+   * @returns {string[]}
+   */
+  static urls(media) {
+    return Object.values(media?.variants || {}).map(variant => variant.url);
+  }
+
+  /**
+   * Flatten the variant URLs for API responses
+   * @param {Object} media - Media record
+   * @returns {Object} - Media with url, thumbnailUrl and webpUrl
+   */
+  static toPublic(media) {
+    if (!media) return null;
+
+    return {
+      ...media,
+      url: media.variants?.original?.url || null,
+      thumbnailUrl: media.variants?.thumbnail?.url || null,
+      webpUrl: media.variants?.webp?.url || null
+    };
+  }
+}
+
+module.exports = {
+  Media,
+  MediaSchema,
+  UpdateMediaSchema
+};
@@ -14,15 +14,23 @@ const PostSchema = z.object({
   slug: z.string().min(1).max(255).regex(/^[\u0E00-\u0E7Fa-z0-9-]+$/),
   content: z.string().max(50000),
   excerpt: z.string().min(10).max(500),
+
+  // English translation (Thai lives in the unsuffixed fields)
+  slugEN: z.string().min(1).max(255).regex(/^[a-z0-9-]+$/, 'English slug may only contain a-z, 0-9 and hyphens').optional(),
+  contentEN: z.string().max(50000).optional(),
+  excerptEN: z.string().min(10).max(500).optional(),
   featured_image_url: z.string().url().optional(),
   author: z.string().max(100).default('ระเบียบการช่าง'),
-  status: z.enum(['draft', 'published', 'archived']).default('draft'),
+  status: z.enum(['draft', 'scheduled', 'published', 'archived']).default('draft'),
   
   // SEO Fields
   metaTitle: z.string().max(160).optional(),
   metaDescription: z.string().max(320).optional(),
   keywords: z.string().optional(),
   focusKeyword: z.string().max(100).optional(),
+  metaTitleEN: z.string().max(160).optional(),
+  metaDescriptionEN: z.string().max(320).optional(),
+  focusKeywordEN: z.string().max(100).optional(),
   
   // Analytics Fields
   views: z.number().int().min(0).default(0),
@@ -35,9 +43,10 @@ const PostSchema = z.object({
   
   // Tags as array
   tags: z.array(z.string().max(50)).max(10).default([]),
-  category: z.enum(['maintenance', 'repair', 'operation', 'troubleshooting', 'parts', 'general']).optional(),
+  category: z.string().max(100).regex(/^[\u0E00-\u0E7Fa-z0-9-]+$/, 'Category must be a category slug').optional(), // Checked against the categories store
   
   // Timestamps
+  publishAt: z.string().datetime({ offset: true }).nullable().optional(), // When a scheduled post goes live
   publishedAt: z.date().optional(),
   createdAt: z.date().default(() => new Date()),
   updatedAt: z.date().default(() => new Date())
@@ -63,9 +72,33 @@ class Post {
     'id', 'titleTH', 'titleEN', 'title', 'slug', 'content', 'excerpt', 
     'featured_image_url', 'author', 'status', 'metaTitle', 'metaDescription', 
     'keywords', 'focusKeyword', 'views', 'likes', 'reading_time', 
-    'schemaType', 'canonicalUrl', 'publishedAt', 'createdAt', 'updatedAt'
+    'schemaType', 'canonicalUrl', 'authorId', 'publishAt', 'publishedAt', 'createdAt', 'updatedAt',
+    'slugEN', 'contentEN', 'excerptEN', 'metaTitleEN', 'metaDescriptionEN', 'focusKeywordEN',
+    'reviewFindings', 'reviewedAt'
   ];
 
+  // Left out of responses to callers who may not read unpublished posts:
+  // the owner's account ID and the editors' review notes
+  static internalFields = ['reading_time', 'authorId', 'reviewFindings', 'reviewedAt'];
+
+  static locales = ['th', 'en'];
+
+  static defaultLocale = 'th';
+
+  // Field holding each translatable attribute per locale
+  static translatableFields = {
+    title: { th: 'titleTH', en: 'titleEN' },
+    slug: { th: 'slug', en: 'slugEN' },
+    content: { th: 'content', en: 'contentEN' },
+    excerpt: { th: 'excerpt', en: 'excerptEN' },
+    metaTitle: { th: 'metaTitle', en: 'metaTitleEN' },
+    metaDescription: { th: 'metaDescription', en: 'metaDescriptionEN' },
+    focusKeyword: { th: 'focusKeyword', en: 'focusKeywordEN' }
+  };
+
+  // A translation is published only once these are filled in
+  static requiredTranslationFields = ['title', 'slug', 'content', 'excerpt'];
+
   constructor(data) {
     this.data = PostSchema.parse(data);
   }
@@ -82,6 +115,9 @@ class Post {
       if (!dataToValidate.slug && dataToValidate.titleTH) {
         dataToValidate.slug = Post.generateSlug(dataToValidate.titleTH);
       }
+      if (!dataToValidate.slugEN && dataToValidate.titleEN) {
+        dataToValidate.slugEN = Post.generateEnglishSlug(dataToValidate.titleEN);
+      }
       
       const validated = CreatePostSchema.parse(dataToValidate);
       
@@ -98,13 +134,19 @@ class Post {
   }
 
   /**
-   * Validate post data for update
+   * Validate post data for update. null clears an optional field, e.g. when a
+   * revision taken before the field was filled in is restored.
    * @param {Object} postData - Post data to validate
    * @returns {Object} - Validation result
    */
   static validateForUpdate(postData) {
     try {
-      const validated = UpdatePostSchema.parse(postData);
+      const cleared = Object.keys(postData).filter(field =>
+        postData[field] === null && PostSchema.shape[field] instanceof z.ZodOptional);
+      const validated = UpdatePostSchema.parse(Object.fromEntries(
+        Object.entries(postData).filter(([field]) => !cleared.includes(field))
+      ));
+      cleared.forEach(field => { validated[field] = null; });
       validated.updatedAt = new Date();
       
       return { success: true, data: validated };
@@ -119,6 +161,17 @@ class Post {
     }
   }
 
+  /**
+   * Value of a field the post leaves out: the schema default, or null
+   * @param {string} field - Post field
+   * @returns {*} - undefined for required fields, which have no such value
+   */
+  static defaultValue(field) {
+    const result = PostSchema.shape[field]?.safeParse(undefined);
+    if (result && !result.success) return undefined;
+    return result?.data ?? null;
+  }
+
   /**
    * Generate URL-friendly slug from title
    * @param {string} title - Title to convert
@@ -149,6 +202,103 @@ class Post {
     }
   }
 
+  /**
+   * Normalize a ?lang= value
+   * @param {string} lang - Requested language, e.g. "en" or "th-TH"
+   * @returns {string|null} - Supported locale, or null when unsupported
+   */
+  static normalizeLocale(lang) {
+    if (typeof lang !== 'string') return null;
+    const locale = lang.trim().toLowerCase().split(/[-_]/)[0];
+    return Post.locales.includes(locale) ? locale : null;
+  }
+
+  /**
+   * Which translatable fields a locale is missing
+   * @param {Object} post - Post object
+   * @param {string} locale - Locale to check
+   * @returns {Object} - { status: complete|partial|missing, missing: [attribute] }
+   */
+  static translationStatus(post, locale = 'en') {
+    const fields = Object.entries(Post.translatableFields);
+    const missing = fields
+      .filter(([, byLocale]) => !Post.hasValue(post?.[byLocale[locale]]))
+      .map(([attribute]) => attribute);
+
+    let status = 'partial';
+    if (missing.length === fields.length) status = 'missing';
+    else if (!Post.requiredTranslationFields.some(attribute => missing.includes(attribute))) status = 'complete';
+
+    return { status, missing };
+  }
+
+  /**
+   * Whether the post can be shown in a locale without falling back
+   * @param {Object} post - Post object
+   * @param {string} locale - Locale to check
+   * @returns {boolean} - Has the required translated fields
+   */
+  static isTranslated(post, locale) {
+    return locale === Post.defaultLocale || Post.translationStatus(post, locale).status === 'complete';
+  }
+
+  /**
+   * Resolve translatable attributes for one locale. The unsuffixed fields carry
+   * the chosen language; a post without a complete translation stays in Thai.
+   * @param {Object} post - Post object
+   * @param {string} locale - Requested locale
+   * @returns {Object} - Post with lang, fallback, title and alternates { th, en } slugs
+   */
+  static localize(post, locale = Post.defaultLocale) {
+    if (!post) return null;
+
+    const lang = Post.isTranslated(post, locale) ? locale : Post.defaultLocale;
+    const localized = { ...post, title: post[Post.translatableFields.title[lang]] };
+
+    Object.entries(Post.translatableFields).forEach(([attribute, byLocale]) => {
+      // titleTH and titleEN both stay: listings show the other title as a subtitle
+      if (attribute === 'title') return;
+
+      Post.locales
+        .filter(other => other !== Post.defaultLocale)
+        .forEach(other => delete localized[byLocale[other]]);
+
+      if (lang !== Post.defaultLocale) {
+        // Optional SEO fields without a translation are dropped rather than shown in Thai
+        localized[byLocale[Post.defaultLocale]] = post[byLocale[lang]];
+      }
+    });
+
+    localized.lang = lang;
+    localized.fallback = lang !== locale;
+    localized.alternates = Object.fromEntries(
+      Post.locales
+        .filter(other => Post.isTranslated(post, other))
+        .map(other => [other, post[Post.translatableFields.slug[other]]])
+    );
+
+    return localized;
+  }
+
+  /**
+   * Whether a field is filled in (blank strings count as missing)
+   * @param {*} value - Field value
+   * @returns {boolean} - Non-empty
+   */
+  static hasValue(value) {
+    return typeof value === 'string' ? value.trim() !== '' : value !== undefined && value !== null;
+  }
+
+  /**
+   * Slug for the English URL; titles that leave no ASCII slug get none
+   * @param {string} title - English title
+   * @returns {string|undefined} - Generated slug
+   */
+  static generateEnglishSlug(title) {
+    const slug = Post.generateSlug(title);
+    return /^[a-z0-9-]+$/.test(slug) ? slug : undefined;
+  }
+
   /**
    * Calculate estimated reading time
    * @param {string} content - Post content
@@ -171,6 +321,39 @@ class Post {
     return post?.status === 'published';
   }
 
+  /**
+   * Check if post is waiting for its scheduled publish time
+   * @param {Object} post - Post object
+   * @returns {boolean} - Is scheduled
+   */
+  static isScheduled(post) {
+    return post?.status === 'scheduled';
+  }
+
+  /**
+   * Check if a scheduled post should be published now
+   * @param {Object} post - Post object
+   * @param {Date} now - Reference time
+   * @returns {boolean} - Is due
+   */
+  static isDue(post, now = new Date()) {
+    if (!Post.isScheduled(post) || !post.publishAt) return false;
+    const publishAt = new Date(post.publishAt);
+    return !isNaN(publishAt.getTime()) && publishAt <= now;
+  }
+
+  /**
+   * Scheduled posts need a publish time
+   * @param {Object} post - Post (or merged update) to check
+   * @returns {Object|null} - Validation error entry, or null when valid
+   */
+  static validateSchedule(post) {
+    if (Post.isScheduled(post) && !post.publishAt) {
+      return { field: 'publishAt', message: 'publishAt is required for scheduled posts' };
+    }
+    return null;
+  }
+
   /**
    * Check if post is draft
    * @param {Object} post - Post object
@@ -182,23 +365,14 @@ class Post {
 
   /**
    * Get safe post data for public API
-   * @param {Object} post - Post object
-   * @returns {Object} - Public post data
+   * @param {Object} post - Post object, optionally localized by Post.localize
+   * @returns {Object} - Public post data (everything but Post.internalFields)
    */
   static toPublic(post) {
     if (!post) return null;
     
-    // Remove internal fields from public response
-    const publicFields = Post.fields.filter(field => 
-      !['reading_time'].includes(field)
-    );
-    
-    const publicPost = {};
-    publicFields.forEach(field => {
-      if (post[field] !== undefined) {
-        publicPost[field] = post[field];
-      }
-    });
+    const publicPost = { ...post };
+    Post.internalFields.forEach(field => delete publicPost[field]);
     
     return publicPost;
   }
@@ -222,6 +396,7 @@ class Post {
       category: post.category,
       tags: post.tags || [],
       views: post.views || 0,
+      publishAt: post.publishAt,
       publishedAt: post.publishedAt,
       createdAt: post.createdAt,
       updatedAt: post.updatedAt
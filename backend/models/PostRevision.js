@@ -0,0 +1,120 @@
+/**
+ * Post Revision Model
+ * Immutable snapshots of a post taken on every write, with field-level diffs
+ */
+
+const { Post } = require('./Post');
+
+class PostRevision {
+  static tableName = 'post_revisions';
+
+  static actions = ['baseline', 'create', 'update', 'restore', 'translation'];
+
+  // Bookkeeping fields that are not part of a post's editorial content
+  static ignoredFields = ['id', 'views', 'likes', 'reading_time', 'createdAt', 'updatedAt', 'reviewFindings', 'reviewedAt'];
+
+  // Fields copied back onto the post when a revision is restored
+  static restorableFields = [
+    'titleTH', 'titleEN', 'title', 'slug', 'content', 'excerpt',
+    'featured_image_url', 'author', 'metaTitle', 'metaDescription',
+    'keywords', 'focusKeyword', 'schemaType', 'canonicalUrl', 'tags', 'category',
+    'slugEN', 'contentEN', 'excerptEN', 'metaTitleEN', 'metaDescriptionEN', 'focusKeywordEN'
+  ];
+
+  /**
+   * Copy of the post without counters, safe to store as a revision
+   * @param {Object} post - Post object
+   * @returns {Object} - Snapshot
+   */
+  static snapshot(post) {
+    const { views, likes, ...snapshot } = post;
+    return JSON.parse(JSON.stringify(snapshot));
+  }
+
+  /**
+   * Build a revision record
+   * @param {Object} params - { post, action, author, changedFields, restoredFrom }
+   * @returns {Object} - Revision without id/version (assigned by the repository)
+   */
+  static build({ post, action = 'update', author = null, changedFields = [], restoredFrom = null, createdAt }) {
+    return {
+      postId: post.id,
+      action,
+      author,
+      changedFields,
+      restoredFrom,
+      snapshot: PostRevision.snapshot(post),
+      createdAt: createdAt || new Date().toISOString()
+    };
+  }
+
+  static isEqual(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+  }
+
+  /**
+   * Names of editorial fields that differ between two versions of a post
+   * @param {Object} before - Previous post/snapshot
+   * @param {Object} after - New post/snapshot
+   * @returns {string[]}
+   */
+  static changedFields(before = {}, after = {}) {
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    return [...fields]
+      .filter(field => !PostRevision.ignoredFields.includes(field))
+      .filter(field => !PostRevision.isEqual(before[field], after[field]))
+      .sort();
+  }
+
+  /**
+   * Field-level diff between two snapshots
+   * @param {Object} from - Older snapshot
+   * @param {Object} to - Newer snapshot
+   * @returns {Array<{field: string, type: string, from: *, to: *}>}
+   */
+  static diff(from = {}, to = {}) {
+    return PostRevision.changedFields(from, to).map(field => {
+      let type = 'changed';
+      if (from[field] === undefined) type = 'added';
+      else if (to[field] === undefined) type = 'removed';
+
+      return {
+        field,
+        type,
+        from: from[field] ?? null,
+        to: to[field] ?? null
+      };
+    });
+  }
+
+  /**
+   * Fields to write back when restoring a snapshot: every restorable field, so
+   * one filled in after the snapshot was taken is reset to its default (or null).
+   * Required fields the snapshot lacks keep their current value.
+   * @param {Object} snapshot - Revision snapshot
+   * @returns {Object}
+   */
+  static toRestoreData(snapshot = {}) {
+    const data = {};
+    PostRevision.restorableFields.forEach(field => {
+      const value = snapshot[field] ?? Post.defaultValue(field);
+      if (value !== undefined) data[field] = value;
+    });
+    return data;
+  }
+
+  /**
+   * Revision without its snapshot, for listings
+   * @param {Object} revision - Revision record
+   * @returns {Object}
+   */
+  static toSummary(revision) {
+    if (!revision) return null;
+
+    const { snapshot, ...summary } = revision;
+    return summary;
+  }
+}
+
+module.exports = { PostRevision };
@@ -0,0 +1,175 @@
+/**
+ * Prompt Template Model
+ * Named, versioned prompts for the swarm council and E-A-T pipelines. Every
+ * edit stores a new version; one version per name is active and is the one
+ * the pipelines render.
+ */
+
+const { z } = require('zod');
+
+const NAME_PATTERN = /^[a-z0-9]+([.-][a-z0-9]+)*$/; // e.g. eat.authority-seo
+
+// {{name}} or {{name|truncate:1000}}
+const PLACEHOLDER = /\{\{\s*([a-zA-Z][a-zA-Z0-9_]*)\s*(?:\|\s*truncate\s*:\s*(\d+)\s*)?\}\}/g;
+
+const VariableSchema = z.object({
+  name: z.string().regex(/^[a-zA-Z][a-zA-Z0-9_]*$/, 'Variable names use letters, digits and underscores'),
+  description: z.string().trim().max(300).default(''),
+  required: z.boolean().default(true),
+  default: z.string().max(5000).optional() // Used when the variable is not supplied
+});
+
+// Prompt template version validation schema
+const PromptTemplateSchema = z.object({
+  id: z.string().uuid().optional(),
+  name: z.string().trim().min(1).max(100).regex(NAME_PATTERN, 'Use lower case words separated by dots or hyphens'),
+  version: z.number().int().min(1).optional(),
+  description: z.string().trim().max(500).default(''),
+  body: z.string().trim().min(1).max(20000),
+  variables: z.array(VariableSchema).max(20).default([]),
+  is_active: z.boolean().default(true),
+  change_note: z.string().trim().max(500).default(''),
+  created_by: z.string().uuid().nullable().default(null),
+  created_by_name: z.string().nullable().default(null),
+  created_at: z.string().datetime().optional()
+});
+
+// Every placeholder must be a declared variable, and names must be unique
+const withDeclaredVariables = (schema) => schema.superRefine((template, ctx) => {
+  const declared = template.variables.map(variable => variable.name);
+
+  declared.forEach((name, index) => {
+    if (declared.indexOf(name) !== index) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['variables', index, 'name'], message: `Duplicate variable: ${name}` });
+    }
+  });
+
+  PromptTemplate.placeholders(template.body)
+    .filter(name => !declared.includes(name))
+    .forEach(name => {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['body'], message: `Undeclared variable: {{${name}}}` });
+    });
+});
+
+const CreatePromptTemplateSchema = withDeclaredVariables(PromptTemplateSchema.pick({
+  name: true,
+  description: true,
+  body: true,
+  variables: true,
+  change_note: true
+}));
+
+// A new version: omitted fields are copied from the active version
+const UpdatePromptTemplateSchema = PromptTemplateSchema.pick({
+  description: true,
+  body: true,
+  variables: true,
+  change_note: true
+}).partial();
+
+class PromptTemplate {
+  static tableName = 'prompt_templates';
+
+  static namePattern = NAME_PATTERN;
+
+  static fields = [
+    'id', 'name', 'version', 'description', 'body', 'variables', 'is_active', 'change_note',
+    'created_by', 'created_by_name', 'created_at'
+  ];
+
+  /**
+   * Validate a new template
+   * @param {Object} templateData - { name, description, body, variables, change_note }
+   * @returns {Object} - Validation result
+   */
+  static validateForCreate(templateData) {
+    return PromptTemplate.validate(CreatePromptTemplateSchema, templateData);
+  }
+
+  /**
+   * Validate the fields of a new version; the merged template still has to
+   * pass validateForCreate
+   * @param {Object} templateData - Fields to change
+   * @returns {Object} - Validation result
+   */
+  static validateForUpdate(templateData) {
+    return PromptTemplate.validate(UpdatePromptTemplateSchema, templateData);
+  }
+
+  static validate(schema, data) {
+    try {
+      return { success: true, data: schema.parse(data) };
+    } catch (error) {
+      return {
+        success: false,
+        errors: error.errors.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      };
+    }
+  }
+
+  /**
+   * Variable names used in a template body, in order of first use
+   * @param {string} body - Template body
+   * @returns {string[]}
+   */
+  static placeholders(body) {
+    return [...new Set([...String(body || '').matchAll(PLACEHOLDER)].map(match => match[1]))];
+  }
+
+  /**
+   * Required variables with no value and no default
+   * @param {Object} template - Template version
+   * @param {Object} variables - Values by name
+   * @returns {string[]}
+   */
+  static missingVariables(template, variables = {}) {
+    return template.variables
+      .filter(variable => variable.required && variable.default === undefined)
+      .filter(variable => variables[variable.name] === undefined || variables[variable.name] === null)
+      .map(variable => variable.name);
+  }
+
+  /**
+   * Fill in the placeholders. Unset variables use their default, or stay empty.
+   * @param {Object} template - Template version
+   * @param {Object} variables - Values by name
+   * @returns {string} - Prompt
+   */
+  static render(template, variables = {}) {
+    const defaults = Object.fromEntries(template.variables.map(variable => [variable.name, variable.default]));
+
+    return template.body.replace(PLACEHOLDER, (placeholder, name, truncate) => {
+      const value = String(variables[name] ?? defaults[name] ?? '');
+      return truncate ? value.substring(0, parseInt(truncate)) : value;
+    });
+  }
+
+  /**
+   * Template without its body, for listings
+   * @param {Object} template - Template version
+   * @returns {Object}
+   */
+  static toSummary(template) {
+    const { body, ...summary } = template;
+    return { ...summary, variables: template.variables.map(variable => variable.name) };
+  }
+
+  /**
+   * Reference stored with generated results
+   * @param {Object} template - Template version
+   * @returns {Object} - { name, version }
+   */
+  static toReference(template) {
+    return { name: template.name, version: template.version };
+  }
+}
+
+module.exports = {
+  PromptTemplate,
+  PromptTemplateSchema,
+  CreatePromptTemplateSchema,
+  UpdatePromptTemplateSchema
+};
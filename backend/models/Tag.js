@@ -0,0 +1,59 @@
+/**
+ * Tag Model
+ * Managed post tags. Posts keep the tag names in their tags array; the
+ * post_tags join table links them to these records for counts and renames.
+ */
+
+const { z } = require('zod');
+const { Category } = require('./Category');
+
+// Tag validation schema (name length matches the Post.tags items)
+const TagSchema = z.object({
+  id: z.string().uuid().optional(),
+  name: z.string().trim().min(1).max(50),
+  slug: z.string().min(1).max(100).regex(Category.slugPattern),
+  created_at: z.string().datetime().optional()
+});
+
+const CreateTagSchema = TagSchema.omit({ id: true, created_at: true });
+const UpdateTagSchema = CreateTagSchema.partial();
+
+class Tag {
+  static tableName = 'tags';
+
+  static fields = ['id', 'name', 'slug', 'created_at'];
+
+  /**
+   * Validate tag data for creation
+   * @param {Object} tagData - Tag data to validate
+   * @returns {Object} - Validation result
+   */
+  static validateForCreate(tagData) {
+    return Category.validate(CreateTagSchema, tagData);
+  }
+
+  /**
+   * Validate a rename
+   * @param {Object} tagData - { name, slug }
+   * @returns {Object} - Validation result
+   */
+  static validateForUpdate(tagData) {
+    return Category.validate(UpdateTagSchema, tagData);
+  }
+
+  /**
+   * Collapse whitespace so "รถ  เกี่ยว " and "รถ เกี่ยว" are one tag
+   * @param {string} name - Tag name as typed
+   * @returns {string}
+   */
+  static normalizeName(name) {
+    return String(name || '').trim().replace(/\s+/g, ' ');
+  }
+}
+
+module.exports = {
+  Tag,
+  TagSchema,
+  CreateTagSchema,
+  UpdateTagSchema
+};
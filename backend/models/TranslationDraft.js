@@ -0,0 +1,129 @@
+/**
+ * Translation Draft Model
+ * AI translations of a post waiting for an editor. A draft never touches the
+ * post until it is applied; the post keeps its own values meanwhile.
+ */
+
+const { z } = require('zod');
+const { Post } = require('./Post');
+
+const STATUSES = ['pending_review', 'applied', 'rejected'];
+
+// Post attributes that can be translated, in review order
+const FIELDS = ['title', 'excerpt', 'content', 'metaTitle', 'metaDescription', 'focusKeyword'];
+
+// Fields holding HTML whose markup must survive translation
+const HTML_FIELDS = ['content'];
+
+const WarningSchema = z.object({
+  field: z.string(),
+  type: z.enum(['html_structure', 'glossary']),
+  message: z.string()
+});
+
+// Translation draft validation schema
+const TranslationDraftSchema = z.object({
+  id: z.string().uuid().optional(),
+  post_id: z.number().int().positive(),
+  source_locale: z.enum(Post.locales),
+  target_locale: z.enum(Post.locales),
+  status: z.enum(STATUSES).default('pending_review'),
+  fields: z.record(z.string()), // Translated text by field name
+  source: z.record(z.string()), // Source text the translation was made from
+  provider: z.string().nullable().default(null),
+  model: z.string().nullable().default(null),
+  warnings: z.array(WarningSchema).default([]),
+  glossary: z.array(z.string().uuid()).default([]), // Terms the source used
+  created_by: z.string().uuid().nullable().default(null),
+  reviewed_by: z.string().uuid().nullable().default(null),
+  reviewed_at: z.string().datetime().nullable().default(null),
+  created_at: z.string().datetime().optional(),
+  updated_at: z.string().datetime().optional()
+}).refine(draft => draft.source_locale !== draft.target_locale, {
+  message: 'Source and target language must differ',
+  path: ['target_locale']
+});
+
+class TranslationDraft {
+  static tableName = 'translation_drafts';
+
+  static statuses = STATUSES;
+
+  static translatableFields = FIELDS;
+
+  static htmlFields = HTML_FIELDS;
+
+  static fields = [
+    'id', 'post_id', 'source_locale', 'target_locale', 'status', 'fields', 'source', 'provider', 'model',
+    'warnings', 'glossary', 'created_by', 'reviewed_by', 'reviewed_at', 'created_at', 'updated_at'
+  ];
+
+  /**
+   * Validate draft data for creation
+   * @param {Object} draftData - Draft data to validate
+   * @returns {Object} - Validation result
+   */
+  static validateForCreate(draftData) {
+    try {
+      return { success: true, data: TranslationDraftSchema.parse(draftData) };
+    } catch (error) {
+      return {
+        success: false,
+        errors: error.errors.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      };
+    }
+  }
+
+  /**
+   * Post attribute holding a field in a language, e.g. ('content', 'en') -> 'contentEN'
+   * @param {string} field - Translatable field
+   * @param {string} locale - 'th' or 'en'
+   * @returns {string}
+   */
+  static attributeFor(field, locale) {
+    return Post.translatableFields[field][locale];
+  }
+
+  /**
+   * Text of each translatable field of a post in one language, skipping empty ones
+   * @param {Object} post - Raw post
+   * @param {string} locale - Source language
+   * @param {string[]} [fields] - Limit to these fields
+   * @returns {Object}
+   */
+  static sourceOf(post, locale, fields = FIELDS) {
+    const source = {};
+    for (const field of fields) {
+      const value = post[TranslationDraft.attributeFor(field, locale)];
+      if (Post.hasValue(value)) source[field] = value;
+    }
+    return source;
+  }
+
+  /**
+   * Side-by-side rows for review: source text, proposed translation and what
+   * the post currently holds in the target language
+   * @param {Object} draft - Translation draft
+   * @param {Object} [post] - Current post, if it still exists
+   * @returns {Object[]}
+   */
+  static toComparison(draft, post) {
+    return FIELDS
+      .filter(field => field in draft.fields)
+      .map(field => ({
+        field,
+        source: draft.source[field] || '',
+        translation: draft.fields[field],
+        current: post ? post[TranslationDraft.attributeFor(field, draft.target_locale)] || '' : '',
+        warnings: draft.warnings.filter(warning => warning.field === field)
+      }));
+  }
+}
+
+module.exports = {
+  TranslationDraft,
+  TranslationDraftSchema
+};
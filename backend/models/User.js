@@ -5,15 +5,41 @@
 
 const { z } = require('zod');
 
+const ROLES = ['admin', 'editor', 'author', 'viewer'];
+
+// What each role may do. Authors write their own drafts and manage their own
+// uploads, editors edit and publish any post or image and manage categories,
+// tags, the glossary and AI prompt templates, admins additionally manage users
+// and API keys.
+const PERMISSIONS = {
+  admin: [
+    'posts:read', 'posts:write', 'posts:edit-others', 'posts:publish', 'posts:delete',
+    'media:upload', 'media:edit-others', 'taxonomy:manage', 'glossary:manage', 'prompts:manage',
+    'users:manage', 'apikeys:manage'
+  ],
+  editor: [
+    'posts:read', 'posts:write', 'posts:edit-others', 'posts:publish', 'posts:delete',
+    'media:upload', 'media:edit-others', 'taxonomy:manage', 'glossary:manage', 'prompts:manage'
+  ],
+  author: ['posts:read', 'posts:write', 'media:upload'],
+  viewer: ['posts:read']
+};
+
+const PasswordSchema = z.string().min(8).max(128);
+
 // User validation schema
 const UserSchema = z.object({
   id: z.string().uuid().optional(),
   username: z.string().min(3).max(50).regex(/^[a-zA-Z0-9_]+$/),
   email: z.string().email().max(255),
   password_hash: z.string().optional(),
-  is_admin: z.boolean().default(false),
+  role: z.enum(ROLES).default('viewer'),
   full_name: z.string().max(100).optional(),
   avatar_url: z.string().url().optional(),
+  invite_token_hash: z.string().nullable().optional(),
+  invite_expires_at: z.string().datetime().nullable().optional(),
+  invited_by: z.string().nullable().optional(),
+  totp_enabled: z.boolean().default(false),
   last_login: z.date().optional(),
   created_at: z.date().default(() => new Date()),
   updated_at: z.date().default(() => new Date()),
@@ -26,9 +52,13 @@ const UpdateUserSchema = UserSchema.partial().omit({ id: true, created_at: true
 class User {
   static tableName = 'users';
   
+  static roles = ROLES;
+
+  static permissions = PERMISSIONS;
+
   static fields = [
-    'id', 'username', 'email', 'is_admin', 'full_name', 
-    'avatar_url', 'last_login', 'created_at', 'updated_at', 'is_active'
+    'id', 'username', 'email', 'role', 'full_name',
+    'avatar_url', 'last_login', 'created_at', 'updated_at', 'is_active', 'totp_enabled'
   ];
 
   constructor(data) {
@@ -83,8 +113,22 @@ class User {
   static toPublic(user) {
     if (!user) return null;
     
-    const { password_hash, ...publicData } = user;
-    return publicData;
+    const {
+      password_hash, invite_token_hash,
+      totp_secret, totp_pending_secret, totp_last_counter, recovery_code_hashes,
+      ...publicData
+    } = user;
+    return { ...publicData, status: User.getStatus(user) };
+  }
+
+  /**
+   * Validate a new password
+   * @param {string} password - Plain-text password
+   * @returns {Object|null} - { field, message } when invalid
+   */
+  static validatePassword(password) {
+    const result = PasswordSchema.safeParse(password);
+    return result.success ? null : { field: 'password', message: result.error.errors[0].message };
   }
 
   /**
@@ -93,7 +137,61 @@ class User {
    * @returns {boolean} - Is admin
    */
   static isAdmin(user) {
-    return Boolean(user?.is_admin);
+    return user?.role === 'admin';
+  }
+
+  /**
+   * Check whether a user's role grants a permission
+   * @param {Object} user - User object (or req.user)
+   * @param {string} permission - e.g. 'posts:publish'
+   * @returns {boolean}
+   */
+  static can(user, permission) {
+    return Boolean(user && PERMISSIONS[user.role]?.includes(permission));
+  }
+
+  /**
+   * Authors may only edit posts they created; editors and admins edit any post
+   * @param {Object} user - User object (or req.user)
+   * @param {Object} post - Post object
+   * @returns {boolean}
+   */
+  static canEditPost(user, post) {
+    if (User.can(user, 'posts:edit-others')) return true;
+    return User.can(user, 'posts:write') && Boolean(post?.authorId) && post.authorId === user.id;
+  }
+
+  /**
+   * Authors may only change or delete images they uploaded; editors and admins manage any
+   * @param {Object} user - User object (or req.user)
+   * @param {Object} media - Media record
+   * @returns {boolean}
+   */
+  static canEditMedia(user, media) {
+    if (User.can(user, 'media:edit-others')) return true;
+    return User.can(user, 'media:upload') && Boolean(media?.uploaded_by) && media.uploaded_by === user.id;
+  }
+
+  /**
+   * Authors see and control only the AI jobs they submitted; editors and admins manage any
+   * @param {Object} user - User object (or req.user)
+   * @param {Object} job - AI job
+   * @returns {boolean}
+   */
+  static canManageJob(user, job) {
+    if (User.can(user, 'posts:edit-others')) return true;
+    return User.can(user, 'posts:write') && Boolean(job?.created_by) && job.created_by === user.id;
+  }
+
+  /**
+   * Account state shown to admins: invited (no password yet), disabled or active
+   * @param {Object} user - User object
+   * @returns {string}
+   */
+  static getStatus(user) {
+    if (!user?.is_active) return 'disabled';
+    if (!user.password_hash) return 'invited';
+    return 'active';
   }
 
   /**
@@ -109,6 +207,7 @@ class User {
 module.exports = {
   User,
   UserSchema,
+  PasswordSchema,
   CreateUserSchema,
   UpdateUserSchema
 };
\ No newline at end of file
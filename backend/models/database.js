@@ -38,7 +38,7 @@ CREATE TABLE IF NOT EXISTS posts (
     excerpt TEXT,
     featured_image_url TEXT,
     author VARCHAR(100) DEFAULT 'ระเบียบการช่าง',  -- เปลี่ยนเป็น string
-    status VARCHAR(20) DEFAULT 'draft' CHECK (status IN ('draft', 'published', 'archived')),
+    status VARCHAR(20) DEFAULT 'draft' CHECK (status IN ('draft', 'scheduled', 'published', 'archived')),
     
     -- SEO Fields
     metaTitle VARCHAR(255),                  -- แก้ไขชื่อให้ตรง
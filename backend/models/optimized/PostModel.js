@@ -1,15 +1,25 @@
-// Optimized Post Model with Database Performance Enhancements
-const dbManager = require('../../config/database');
+// Optimized Post Model
+// Legacy page-based API on top of the shared post repository, so it reads and
+// writes the same storage (file, SQLite or Supabase) as PostsController
+const { getPostRepository } = require('../../repositories');
+const postsController = require('../../controllers/postsController');
+const { Post } = require('../Post');
+const { clearCache } = require('../../middleware/cache');
 const winston = require('winston');
 
+// Legacy snake_case sort columns -> post fields
+const SORT_FIELDS = {
+  created_at: 'createdAt',
+  updated_at: 'updatedAt',
+  title: 'titleTH'
+};
+
 class PostModel {
-  constructor() {
-    this.tableName = 'posts';
-    this.defaultSelect = 'id, title, content, author, category, tags, created_at, updated_at, published, slug, seo_score, ai_optimized';
-    this.listSelect = 'id, title, author, category, tags, created_at, published, slug, seo_score'; // Lighter for lists
+  get repository() {
+    return getPostRepository();
   }
 
-  // Optimized post retrieval with caching
+  // Post retrieval with page-based pagination
   async findAll(options = {}) {
     const {
       page = 1,
@@ -24,38 +34,36 @@ class PostModel {
 
     try {
       const offset = (page - 1) * limit;
-      const cacheKey = `posts_list_${JSON.stringify(options)}`;
-
-      const filters = {};
-      if (category) filters.category = category;
-      if (author) filters.author = author;
-      if (published !== undefined) filters.published = published;
-      
-      // Add search filter
-      if (search) {
-        filters.title = { operator: 'like', value: search };
-      }
 
-      const params = {
-        select: this.listSelect,
-        filters,
-        order: { column: sortBy, ascending: sortOrder === 'asc' },
-        range: { from: offset, to: offset + limit - 1 }
-      };
+      let status;
+      if (published !== undefined) status = published ? 'published' : 'draft';
 
-      const result = await dbManager.executeQuery(
-        this.tableName,
-        'select',
-        params,
-        cacheKey,
-        300 // 5 minute cache
-      );
+      let posts;
+      let total;
+
+      if (author) {
+        // Author is not a repository filter - narrow down in memory
+        const result = await this.repository.findAll({
+          status, category, search,
+          sortBy: SORT_FIELDS[sortBy] || sortBy,
+          sortOrder
+        });
+        const byAuthor = result.posts.filter(post => post.author === author);
+        posts = byAuthor.slice(offset, offset + limit);
+        total = byAuthor.length;
+      } else {
+        ({ posts, total } = await this.repository.findAll({
+          status, category, search, limit, offset,
+          sortBy: SORT_FIELDS[sortBy] || sortBy,
+          sortOrder
+        }));
+      }
 
       return {
-        posts: result.data || [],
-        total: result.count || 0,
+        posts: posts.map(post => Post.toSummary(post)),
+        total,
         page,
-        pages: Math.ceil((result.count || 0) / limit),
+        pages: Math.ceil(total / limit),
         limit
       };
 
@@ -65,73 +73,41 @@ class PostModel {
     }
   }
 
-  // Optimized single post retrieval
+  // Single post retrieval
   async findById(id) {
     try {
-      const cacheKey = `post_${id}`;
-      
-      const params = {
-        select: this.defaultSelect,
-        filters: { id }
-      };
-
-      const result = await dbManager.executeQuery(
-        this.tableName,
-        'select',
-        params,
-        cacheKey,
-        600 // 10 minute cache for single posts
-      );
-
-      return result.data && result.data.length > 0 ? result.data[0] : null;
-
+      return await this.repository.findById(parseInt(id));
     } catch (error) {
       winston.error('PostModel.findById error:', error);
       throw new Error(`Failed to retrieve post: ${error.message}`);
     }
   }
 
-  // Optimized post creation with validation
+  // Post creation with validation
   async create(postData) {
     try {
-      // Validate required fields
-      const requiredFields = ['title', 'content', 'author'];
-      for (const field of requiredFields) {
-        if (!postData[field]) {
-          throw new Error(`Missing required field: ${field}`);
-        }
+      const validation = Post.validateForCreate(this.normalize(postData));
+      if (!validation.success) {
+        throw new Error(validation.errors.map(e => `${e.field}: ${e.message}`).join(', '));
       }
 
-      // Generate slug if not provided
-      if (!postData.slug) {
-        postData.slug = this.generateSlug(postData.title);
-      }
-
-      // Add timestamps
       const now = new Date().toISOString();
-      const dataToInsert = {
-        ...postData,
-        created_at: now,
-        updated_at: now,
-        published: postData.published || false,
-        ai_optimized: postData.ai_optimized || false
-      };
-
-      const params = {
-        data: dataToInsert
-      };
+      const post = await this.repository.create({
+        ...validation.data,
+        views: 0,
+        likes: 0,
+        reading_time: Post.calculateReadingTime(validation.data.content),
+        createdAt: now,
+        updatedAt: now
+      });
 
-      const result = await dbManager.executeQuery(
-        this.tableName,
-        'insert',
-        params
-      );
+      await postsController.recordRevision(null, post);
 
       // Clear list cache after creation
       this.clearListCache();
 
-      winston.info('Post created:', { id: result.data[0]?.id, title: postData.title });
-      return result.data[0];
+      winston.info('Post created:', { id: post.id, title: post.titleTH });
+      return post;
 
     } catch (error) {
       winston.error('PostModel.create error:', error);
@@ -139,32 +115,30 @@ class PostModel {
     }
   }
 
-  // Optimized post update
+  // Post update
   async update(id, updateData) {
     try {
-      // Add updated timestamp
-      const dataToUpdate = {
-        ...updateData,
-        updated_at: new Date().toISOString()
-      };
+      const validation = Post.validateForUpdate(this.normalize(updateData));
+      if (!validation.success) {
+        throw new Error(validation.errors.map(e => `${e.field}: ${e.message}`).join(', '));
+      }
 
-      const params = {
-        data: dataToUpdate,
-        match: { id }
-      };
+      const before = await this.repository.findById(parseInt(id));
+      const post = await this.repository.update(parseInt(id), {
+        ...validation.data,
+        updatedAt: new Date().toISOString()
+      });
 
-      const result = await dbManager.executeQuery(
-        this.tableName,
-        'update',
-        params
-      );
+      if (before && post) {
+        await postsController.recordRevision(before, post);
+      }
 
       // Clear caches
       this.clearPostCache(id);
       this.clearListCache();
 
       winston.info('Post updated:', { id, fields: Object.keys(updateData) });
-      return result.data[0];
+      return post;
 
     } catch (error) {
       winston.error('PostModel.update error:', error);
@@ -172,25 +146,17 @@ class PostModel {
     }
   }
 
-  // Optimized post deletion
+  // Post deletion
   async delete(id) {
     try {
-      const params = {
-        match: { id }
-      };
-
-      await dbManager.executeQuery(
-        this.tableName,
-        'delete',
-        params
-      );
+      const deleted = await this.repository.delete(parseInt(id));
 
       // Clear caches
       this.clearPostCache(id);
       this.clearListCache();
 
       winston.info('Post deleted:', { id });
-      return true;
+      return !!deleted;
 
     } catch (error) {
       winston.error('PostModel.delete error:', error);
@@ -198,25 +164,13 @@ class PostModel {
     }
   }
 
-  // Bulk operations for better performance
+  // Bulk creation
   async createMany(posts) {
     try {
-      const operations = posts.map(post => ({
-        table: this.tableName,
-        operation: 'insert',
-        params: {
-          data: {
-            ...post,
-            created_at: new Date().toISOString(),
-            updated_at: new Date().toISOString(),
-            published: post.published || false,
-            slug: post.slug || this.generateSlug(post.title)
-          }
-        }
-      }));
-
-      const results = await dbManager.executeBatch(operations);
-      this.clearListCache();
+      const results = [];
+      for (const post of posts) {
+        results.push(await this.create(post));
+      }
 
       winston.info('Bulk posts created:', { count: posts.length });
       return results;
@@ -227,40 +181,24 @@ class PostModel {
     }
   }
 
-  // Search with full-text search optimization
+  // Search published posts
   async search(query, options = {}) {
     try {
       const { limit = 10, category } = options;
-      const cacheKey = `posts_search_${query}_${JSON.stringify(options)}`;
-
-      const filters = {};
-      if (category) filters.category = category;
-      
-      // Use Supabase full-text search
-      const client = dbManager.getClient();
-      let searchQuery = client
-        .from(this.tableName)
-        .select(this.listSelect)
-        .textSearch('content', query, {
-          type: 'websearch',
-          config: 'english'
-        });
 
-      if (category) {
-        searchQuery = searchQuery.eq('category', category);
-      }
-
-      searchQuery = searchQuery
-        .eq('published', true)
-        .order('created_at', { ascending: false })
-        .limit(limit);
-
-      const { data, error } = await searchQuery;
+      // Ranked, Thai-aware search shared with /api/posts/search
+      const result = await postsController.searchPosts(query, {
+        category,
+        status: 'published',
+        limit
+      });
 
-      if (error) throw error;
+      if (!result.success) {
+        throw new Error(result.message || result.error);
+      }
 
-      winston.info('Search executed:', { query, results: data?.length || 0 });
-      return data || [];
+      winston.info('Search executed:', { query, results: result.data.results.length });
+      return result.data.results.map(item => item.post);
 
     } catch (error) {
       winston.error('PostModel.search error:', error);
@@ -271,41 +209,16 @@ class PostModel {
   // Get analytics data
   async getAnalytics() {
     try {
-      const cacheKey = 'posts_analytics';
-      
-      const client = dbManager.getClient();
-      
-      // Get counts by category
-      const { data: categoryData } = await client
-        .from(this.tableName)
-        .select('category')
-        .eq('published', true);
-
-      // Get counts by author
-      const { data: authorData } = await client
-        .from(this.tableName)
-        .select('author')
-        .eq('published', true);
-
-      // Get total counts
-      const { count: totalPosts } = await client
-        .from(this.tableName)
-        .select('*', { count: 'exact', head: true });
-
-      const { count: publishedPosts } = await client
-        .from(this.tableName)
-        .select('*', { count: 'exact', head: true })
-        .eq('published', true);
-
-      const analytics = {
-        totalPosts,
-        publishedPosts,
-        draftPosts: totalPosts - publishedPosts,
-        categoryCounts: this.groupAndCount(categoryData, 'category'),
-        authorCounts: this.groupAndCount(authorData, 'author')
-      };
+      const { posts } = await this.repository.findAll();
+      const published = posts.filter(post => Post.isPublished(post));
 
-      return analytics;
+      return {
+        totalPosts: posts.length,
+        publishedPosts: published.length,
+        draftPosts: posts.length - published.length,
+        categoryCounts: this.groupAndCount(published, 'category'),
+        authorCounts: this.groupAndCount(published, 'author')
+      };
 
     } catch (error) {
       winston.error('PostModel.getAnalytics error:', error);
@@ -314,12 +227,20 @@ class PostModel {
   }
 
   // Helper methods
+
+  // Accept the legacy `title`/`published` fields
+  normalize(postData) {
+    const data = { ...postData };
+    if (data.title && !data.titleTH) data.titleTH = data.title;
+    if (data.published !== undefined && !data.status) {
+      data.status = data.published ? 'published' : 'draft';
+    }
+    delete data.published;
+    return data;
+  }
+
   generateSlug(title) {
-    return title
-      .toLowerCase()
-      .replace(/[^\w ]+/g, '')
-      .replace(/ +/g, '-')
-      .substring(0, 50);
+    return Post.generateSlug(title);
   }
 
   groupAndCount(data, field) {
@@ -332,19 +253,12 @@ class PostModel {
   }
 
   clearPostCache(id) {
-    // This would integrate with the cache system to clear specific post cache
-    dbManager.clearCache(); // For now, clear all cache
+    clearCache.post(id);
   }
 
   clearListCache() {
-    // Clear list-related caches
-    dbManager.clearCache(); // For now, clear all cache
-  }
-
-  // Get model performance metrics
-  getPerformanceMetrics() {
-    return dbManager.getPerformanceMetrics();
+    clearCache.posts();
   }
 }
 
-module.exports = new PostModel();
\ No newline at end of file
+module.exports = new PostModel();
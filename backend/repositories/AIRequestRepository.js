@@ -0,0 +1,131 @@
+/**
+ * AI Request Repository
+ * Append-only ledger of provider calls (the ai_requests table). Adapters share
+ * the posts storage driver (config.storage.driver) like UserRepository.
+ */
+
+const GROUP_FIELDS = {
+  day: (request) => String(request.created_at).slice(0, 10),
+  provider: (request) => request.provider,
+  model: (request) => request.model_used || null,
+  user: (request) => request.user_id || null,
+  requestType: (request) => request.request_type
+};
+
+const REPORT_KEYS = { day: 'day', provider: 'provider', model: 'model', user: 'userId', requestType: 'requestType' };
+
+class AIRequestRepository {
+  constructor(options = {}) {
+    this.options = options;
+    this.driver = options.driver || this.constructor.name.replace('AIRequestRepository', '').toLowerCase();
+  }
+
+  static groupFields = Object.keys(GROUP_FIELDS);
+
+  /**
+   * Prepare the underlying storage (open files, create tables, verify connection)
+   */
+  async initialize() {
+    throw new Error('initialize method must be implemented by subclass');
+  }
+
+  /**
+   * Store a ledger entry. The caller assigns the ID.
+   * @param {Object} request - Entry built by AIRequestLedger.buildEntry
+   * @returns {Promise<Object>} - Stored entry
+   */
+  async create(request) {
+    throw new Error('create method must be implemented by subclass');
+  }
+
+  /**
+   * Find entries, newest first
+   * @param {Object} options - { from, to, provider, userId, requestType, limit, offset }
+   * @returns {Promise<{requests: Object[], total: number}>}
+   */
+  async findAll(options = {}) {
+    throw new Error('findAll method must be implemented by subclass');
+  }
+
+  /**
+   * Totals grouped by any of day, provider, model, user and requestType
+   * @param {Object} options - { from, to, provider, userId, requestType, groupBy }
+   * @returns {Promise<Object[]>} - One row per group
+   */
+  async summarize(options = {}) {
+    const { requests } = await this.findAll({ ...options, limit: undefined, offset: 0 });
+    return AIRequestRepository.aggregate(requests, options.groupBy);
+  }
+
+  async checkHealth() {
+    return { status: 'healthy', driver: this.driver };
+  }
+
+  /**
+   * Apply the findAll filters to one entry.
+   * Shared by adapters that cannot push the query down to storage.
+   * @param {Object} request - Ledger entry
+   * @param {Object} options - findAll options
+   * @returns {boolean}
+   */
+  static matches(request, options = {}) {
+    const createdAt = String(request.created_at);
+
+    if (options.from && createdAt < options.from) return false;
+    if (options.to && createdAt >= options.to) return false;
+    if (options.provider && request.provider !== options.provider) return false;
+    if (options.userId && request.user_id !== options.userId) return false;
+    if (options.requestType && request.request_type !== options.requestType) return false;
+    return true;
+  }
+
+  /**
+   * Sum entries into report rows
+   * @param {Object[]} requests - Ledger entries
+   * @param {string[]} groupBy - Group fields (default day, provider, user)
+   * @returns {Object[]} - Rows sorted by group key
+   */
+  static aggregate(requests, groupBy = ['day', 'provider', 'user']) {
+    const groups = new Map();
+
+    for (const request of requests) {
+      const keys = groupBy.map(field => GROUP_FIELDS[field](request));
+      const groupKey = JSON.stringify(keys);
+
+      if (!groups.has(groupKey)) {
+        const row = {};
+        groupBy.forEach((field, index) => { row[REPORT_KEYS[field]] = keys[index]; });
+        groups.set(groupKey, {
+          ...row,
+          requests: 0,
+          successes: 0,
+          failures: 0,
+          promptTokens: 0,
+          completionTokens: 0,
+          totalTokens: 0,
+          estimatedCost: 0,
+          totalLatencyMs: 0
+        });
+      }
+
+      const row = groups.get(groupKey);
+      row.requests++;
+      request.success ? row.successes++ : row.failures++;
+      row.promptTokens += Number(request.prompt_tokens) || 0;
+      row.completionTokens += Number(request.completion_tokens) || 0;
+      row.totalTokens += Number(request.tokens_used) || 0;
+      row.estimatedCost += Number(request.estimated_cost) || 0;
+      row.totalLatencyMs += Number(request.response_time_ms) || 0;
+    }
+
+    return Array.from(groups.entries())
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([, { totalLatencyMs, ...row }]) => ({
+        ...row,
+        estimatedCost: Math.round(row.estimatedCost * 1000000) / 1000000,
+        avgLatencyMs: Math.round(totalLatencyMs / row.requests)
+      }));
+  }
+}
+
+module.exports = AIRequestRepository;
@@ -0,0 +1,72 @@
+/**
+ * File AI Request Repository
+ * Keeps the ledger in memory and persists it to a JSON file (ai-requests.json).
+ * Only the newest maxEntries are kept so the file stays small.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const AIRequestRepository = require('./AIRequestRepository');
+const { logger } = require('../middleware/errorHandler');
+
+class FileAIRequestRepository extends AIRequestRepository {
+  constructor(options = {}) {
+    super({ ...options, driver: 'file' });
+    this.requests = [];
+    this.dataPath = options.aiRequestsPath || path.join(__dirname, '..', 'ai-requests.json');
+    this.maxEntries = options.aiRequestsMaxEntries || 10000;
+  }
+
+  async initialize() {
+    try {
+      const data = await fs.readFile(this.dataPath, 'utf8');
+      this.requests = JSON.parse(data).requests || [];
+      logger.info(`🧾 Loaded ${this.requests.length} AI requests from ${path.basename(this.dataPath)}`);
+    } catch (error) {
+      logger.info('🧾 No existing AI request ledger, starting fresh');
+      this.requests = [];
+    }
+  }
+
+  async saveData() {
+    try {
+      const data = {
+        requests: this.requests,
+        lastUpdated: new Date().toISOString()
+      };
+      await fs.writeFile(this.dataPath, JSON.stringify(data, null, 2));
+    } catch (error) {
+      logger.error('❌ Error saving AI requests:', error);
+      throw error;
+    }
+  }
+
+  async create(request) {
+    this.requests.push({ ...request });
+    if (this.requests.length > this.maxEntries) {
+      this.requests = this.requests.slice(-this.maxEntries);
+    }
+    await this.saveData();
+    return { ...request };
+  }
+
+  async findAll(options = {}) {
+    const matching = this.requests
+      .filter(request => AIRequestRepository.matches(request, options))
+      .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+
+    const offset = parseInt(options.offset) || 0;
+    const limit = parseInt(options.limit);
+
+    return {
+      requests: limit > 0 ? matching.slice(offset, offset + limit) : matching.slice(offset),
+      total: matching.length
+    };
+  }
+
+  async checkHealth() {
+    return { status: 'healthy', driver: this.driver, requests: this.requests.length };
+  }
+}
+
+module.exports = FileAIRequestRepository;
@@ -0,0 +1,102 @@
+/**
+ * File Job Repository
+ * Keeps AI jobs in memory and persists them to a JSON file (jobs.json).
+ * Only the newest maxEntries finished jobs are kept.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const JobRepository = require('./JobRepository');
+const { logger } = require('../middleware/errorHandler');
+
+const FINISHED = ['completed', 'failed', 'cancelled'];
+
+class FileJobRepository extends JobRepository {
+  constructor(options = {}) {
+    super({ ...options, driver: 'file' });
+    this.jobs = [];
+    this.dataPath = options.jobsPath || path.join(__dirname, '..', 'jobs.json');
+    this.maxEntries = options.jobsMaxEntries || 1000;
+  }
+
+  async initialize() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.dataPath, 'utf8'));
+      this.jobs = data.jobs || [];
+      logger.info(`🧵 Loaded ${this.jobs.length} AI jobs from ${path.basename(this.dataPath)}`);
+    } catch (error) {
+      logger.info('🧵 No existing AI jobs, starting fresh');
+      this.jobs = [];
+    }
+  }
+
+  async saveData() {
+    try {
+      const data = {
+        jobs: this.jobs,
+        lastUpdated: new Date().toISOString()
+      };
+      await fs.writeFile(this.dataPath, JSON.stringify(data, null, 2));
+    } catch (error) {
+      logger.error('❌ Error saving AI jobs:', error);
+      throw error;
+    }
+  }
+
+  async create(job) {
+    this.jobs.push(structuredClone(job));
+
+    // Drop the oldest finished jobs; queued and running jobs are always kept
+    const finished = this.jobs.filter(j => FINISHED.includes(j.status));
+    if (finished.length > this.maxEntries) {
+      const dropped = new Set(finished
+        .sort((a, b) => a.created_at.localeCompare(b.created_at))
+        .slice(0, finished.length - this.maxEntries)
+        .map(j => j.id));
+      this.jobs = this.jobs.filter(j => !dropped.has(j.id));
+    }
+
+    await this.saveData();
+    return structuredClone(job);
+  }
+
+  async findById(id) {
+    const job = this.jobs.find(j => j.id === id);
+    return job ? structuredClone(job) : null;
+  }
+
+  async findAll(options = {}) {
+    const direction = options.order === 'asc' ? 1 : -1;
+    const matching = this.jobs
+      .filter(job =>
+        (options.status === undefined || job.status === options.status) &&
+        (options.type === undefined || job.type === options.type) &&
+        (options.createdBy === undefined || job.created_by === options.createdBy)
+      )
+      .sort((a, b) => direction * a.created_at.localeCompare(b.created_at));
+
+    const offset = options.offset || 0;
+    const page = options.limit ? matching.slice(offset, offset + options.limit) : matching.slice(offset);
+
+    return { jobs: page.map(job => structuredClone(job)), total: matching.length };
+  }
+
+  async update(id, changes) {
+    const index = this.jobs.findIndex(j => j.id === id);
+    if (index === -1) return null;
+
+    this.jobs[index] = { ...this.jobs[index], ...structuredClone(changes), id };
+    await this.saveData();
+    return structuredClone(this.jobs[index]);
+  }
+
+  async checkHealth() {
+    return {
+      status: 'healthy',
+      driver: this.driver,
+      jobs: this.jobs.length
+    };
+  }
+}
+
+module.exports = FileJobRepository;
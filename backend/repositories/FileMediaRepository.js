@@ -0,0 +1,90 @@
+/**
+ * File Media Repository
+ * Keeps media records in memory and persists them to a JSON file (media.json)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const MediaRepository = require('./MediaRepository');
+const { logger } = require('../middleware/errorHandler');
+
+class FileMediaRepository extends MediaRepository {
+  constructor(options = {}) {
+    super({ ...options, driver: 'file' });
+    this.media = [];
+    this.dataPath = options.mediaPath || path.join(__dirname, '..', 'media.json');
+  }
+
+  async initialize() {
+    try {
+      const data = await fs.readFile(this.dataPath, 'utf8');
+      this.media = JSON.parse(data).media || [];
+      logger.info(`🖼️ Loaded ${this.media.length} media items from ${path.basename(this.dataPath)}`);
+    } catch (error) {
+      logger.info('🖼️ No existing media library, starting fresh');
+      this.media = [];
+    }
+  }
+
+  async saveData() {
+    try {
+      const data = {
+        media: this.media,
+        lastUpdated: new Date().toISOString()
+      };
+      await fs.writeFile(this.dataPath, JSON.stringify(data, null, 2));
+    } catch (error) {
+      logger.error('❌ Error saving media:', error);
+      throw error;
+    }
+  }
+
+  async findAll(options = {}) {
+    const matching = this.media
+      .filter(media => MediaRepository.matches(media, options))
+      .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+
+    const offset = parseInt(options.offset) || 0;
+    const limit = parseInt(options.limit);
+
+    return {
+      media: (limit > 0 ? matching.slice(offset, offset + limit) : matching.slice(offset)).map(media => ({ ...media })),
+      total: matching.length
+    };
+  }
+
+  async findById(id) {
+    const media = this.media.find(m => m.id === id);
+    return media ? { ...media } : null;
+  }
+
+  async create(media) {
+    this.media.push({ ...media });
+    await this.saveData();
+    return { ...media };
+  }
+
+  async update(id, changes) {
+    const index = this.media.findIndex(m => m.id === id);
+    if (index === -1) return null;
+
+    this.media[index] = { ...this.media[index], ...changes, id };
+    await this.saveData();
+    return { ...this.media[index] };
+  }
+
+  async delete(id) {
+    const index = this.media.findIndex(m => m.id === id);
+    if (index === -1) return null;
+
+    const [deleted] = this.media.splice(index, 1);
+    await this.saveData();
+    return deleted;
+  }
+
+  async checkHealth() {
+    return { status: 'healthy', driver: this.driver, media: this.media.length };
+  }
+}
+
+module.exports = FileMediaRepository;
@@ -0,0 +1,188 @@
+/**
+ * File Post Repository
+ * Keeps posts in memory and persists them to a JSON file (data.json)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const PostRepository = require('./PostRepository');
+const { logger } = require('../middleware/errorHandler');
+
+class FilePostRepository extends PostRepository {
+  constructor(options = {}) {
+    super({ ...options, driver: 'file' });
+    this.posts = [];
+    this.nextId = 1;
+    this.revisions = [];
+    this.nextRevisionId = 1;
+    this.dataPath = options.path || path.join(__dirname, '..', 'data.json');
+  }
+
+  async initialize() {
+    await this.loadInitialData();
+  }
+
+  /**
+   * Load posts from the data file, seeding a sample post when it is missing
+   */
+  async loadInitialData() {
+    try {
+      const data = await fs.readFile(this.dataPath, 'utf8');
+      const parsed = JSON.parse(data);
+      this.posts = parsed.posts || [];
+      this.nextId = parsed.nextId || 1;
+      this.revisions = parsed.revisions || [];
+      this.nextRevisionId = parsed.nextRevisionId || 1;
+      logger.info(`📊 Loaded ${this.posts.length} posts from ${path.basename(this.dataPath)}`);
+    } catch (error) {
+      logger.info('📊 No existing data file, starting fresh');
+      await this.createDefaultPost();
+    }
+  }
+
+  /**
+   * Create default sample post
+   */
+  async createDefaultPost() {
+    const defaultPost = {
+      id: 1,
+      titleTH: 'เทคนิคการดูแลรักษารถเกี่ยวข้าวเบื้องต้น',
+      titleEN: 'Basic Rice Harvester Maintenance Tips',
+      slug: 'basic-rice-harvester-maintenance-tips',
+      content: `
+        <h3>🌾 การดูแลรักษารถเกี่ยวข้าวอย่างถูกต้อง</h3>
+        <p>รถเกี่ยวข้าวเป็นเครื่องจักรที่สำคัญสำหรับเกษตรกร การดูแลรักษาอย่างเหมาะสมจะช่วยยืดอายุการใช้งานและรักษาประสิทธิภาพ</p>
+      `,
+      excerpt: 'เรียนรู้เทคนิคการดูแลรักษารถเกี่ยวข้าวอย่างถูกต้อง',
+      category: 'maintenance',
+      tags: ['รถเกี่ยวข้าว', 'การดูแลรักษา', 'เทคนิค', 'บำรุงรักษา'],
+      status: 'published',
+      author: 'ระเบียบการช่าง',
+      publishDate: new Date().toISOString().split('T')[0],
+      views: 0,
+      metaTitle: 'เทคนิคการดูแลรักษารถเกี่ยวข้าว | ระเบียบการช่าง',
+      metaDescription: 'เรียนรู้วิธีการดูแลรักษารถเกี่ยวข้าวอย่างถูกต้อง',
+      focusKeyword: 'ดูแลรักษารถเกี่ยวข้าว',
+      schemaType: 'HowTo',
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    this.posts = [defaultPost];
+    this.nextId = 2;
+    await this.saveData();
+  }
+
+  /**
+   * Save posts data to file
+   */
+  async saveData() {
+    try {
+      const data = {
+        posts: this.posts,
+        nextId: this.nextId,
+        revisions: this.revisions,
+        nextRevisionId: this.nextRevisionId,
+        lastUpdated: new Date().toISOString()
+      };
+      await fs.writeFile(this.dataPath, JSON.stringify(data, null, 2));
+      logger.debug('💾 Data saved successfully');
+    } catch (error) {
+      logger.error('❌ Error saving data:', error);
+      throw error;
+    }
+  }
+
+  async findAll(options = {}) {
+    return PostRepository.applyQuery(this.posts, options);
+  }
+
+  async findById(id) {
+    return this.posts.find(p => p.id === id) || null;
+  }
+
+  async findBySlug(slug, locale = 'th') {
+    const field = locale === 'en' ? 'slugEN' : 'slug';
+    return this.posts.find(p => p[field] === slug) || null;
+  }
+
+  async create(post) {
+    const newPost = { ...post, id: this.nextId++ };
+
+    this.posts.push(newPost);
+    await this.saveData();
+
+    return newPost;
+  }
+
+  async update(id, changes) {
+    const postIndex = this.posts.findIndex(p => p.id === id);
+    if (postIndex === -1) return null;
+
+    const updatedPost = {
+      ...this.posts[postIndex],
+      ...changes,
+      id // Ensure ID doesn't change
+    };
+
+    this.posts[postIndex] = updatedPost;
+    await this.saveData();
+
+    return updatedPost;
+  }
+
+  async delete(id) {
+    const postIndex = this.posts.findIndex(p => p.id === id);
+    if (postIndex === -1) return null;
+
+    const deletedPost = this.posts.splice(postIndex, 1)[0];
+    await this.saveData();
+
+    return deletedPost;
+  }
+
+  async incrementViews(id) {
+    const post = this.posts.find(p => p.id === id);
+    if (!post) return 0;
+
+    post.views = (post.views || 0) + 1;
+    await this.saveData().catch(error =>
+      logger.error('Error saving view count:', error)
+    );
+
+    return post.views;
+  }
+
+  async createRevision(revision) {
+    const versions = this.revisions
+      .filter(r => r.postId === revision.postId)
+      .map(r => r.version);
+
+    const stored = {
+      ...revision,
+      id: this.nextRevisionId++,
+      version: versions.length ? Math.max(...versions) + 1 : 1
+    };
+
+    this.revisions.push(stored);
+    await this.saveData();
+
+    return stored;
+  }
+
+  async findRevisions(postId) {
+    return this.revisions
+      .filter(r => r.postId === postId)
+      .sort((a, b) => a.version - b.version);
+  }
+
+  async findRevision(postId, revisionId) {
+    return this.revisions.find(r => r.postId === postId && r.id === revisionId) || null;
+  }
+
+  async checkHealth() {
+    return { status: 'healthy', driver: this.driver, posts: this.posts.length };
+  }
+}
+
+module.exports = FilePostRepository;
@@ -0,0 +1,97 @@
+/**
+ * File Prompt Template Repository
+ * Keeps prompt template versions in memory and persists them to a JSON file
+ * (prompt-templates.json)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const PromptTemplateRepository = require('./PromptTemplateRepository');
+const { logger } = require('../middleware/errorHandler');
+
+class FilePromptTemplateRepository extends PromptTemplateRepository {
+  constructor(options = {}) {
+    super({ ...options, driver: 'file' });
+    this.templates = [];
+    this.dataPath = options.promptTemplatesPath || path.join(__dirname, '..', 'prompt-templates.json');
+  }
+
+  async initialize() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.dataPath, 'utf8'));
+      this.templates = data.templates || [];
+      logger.info(`📝 Loaded ${this.templates.length} prompt template versions from ${path.basename(this.dataPath)}`);
+    } catch (error) {
+      logger.info('📝 No existing prompt templates, starting fresh');
+      this.templates = [];
+    }
+  }
+
+  async saveData() {
+    try {
+      const data = {
+        templates: this.templates,
+        lastUpdated: new Date().toISOString()
+      };
+      await fs.writeFile(this.dataPath, JSON.stringify(data, null, 2));
+    } catch (error) {
+      logger.error('❌ Error saving prompt templates:', error);
+      throw error;
+    }
+  }
+
+  async findActive() {
+    return this.templates
+      .filter(template => template.is_active)
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(template => structuredClone(template));
+  }
+
+  async findVersions(name) {
+    return this.templates
+      .filter(template => template.name === name)
+      .sort((a, b) => b.version - a.version)
+      .map(template => structuredClone(template));
+  }
+
+  async findVersion(name, version) {
+    const template = this.templates.find(t => t.name === name && t.version === version);
+    return template ? structuredClone(template) : null;
+  }
+
+  async createVersion(template) {
+    this.templates.push(structuredClone(template));
+    await this.saveData();
+    return structuredClone(template);
+  }
+
+  async activateVersion(name, version) {
+    const target = this.templates.find(t => t.name === name && t.version === version);
+    if (!target) return null;
+
+    this.templates.forEach(template => {
+      if (template.name === name) template.is_active = template === target;
+    });
+    await this.saveData();
+    return structuredClone(target);
+  }
+
+  async deleteTemplate(name) {
+    const before = this.templates.length;
+    this.templates = this.templates.filter(template => template.name !== name);
+
+    const deleted = before - this.templates.length;
+    if (deleted > 0) await this.saveData();
+    return deleted;
+  }
+
+  async checkHealth() {
+    return {
+      status: 'healthy',
+      driver: this.driver,
+      versions: this.templates.length
+    };
+  }
+}
+
+module.exports = FilePromptTemplateRepository;
@@ -0,0 +1,150 @@
+/**
+ * File Taxonomy Repository
+ * Keeps categories, tags and post_tags in memory and persists them to a
+ * JSON file (taxonomy.json)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const TaxonomyRepository = require('./TaxonomyRepository');
+const { logger } = require('../middleware/errorHandler');
+
+class FileTaxonomyRepository extends TaxonomyRepository {
+  constructor(options = {}) {
+    super({ ...options, driver: 'file' });
+    this.categories = [];
+    this.tags = [];
+    this.postTags = [];
+    this.dataPath = options.taxonomyPath || path.join(__dirname, '..', 'taxonomy.json');
+  }
+
+  async initialize() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.dataPath, 'utf8'));
+      this.categories = data.categories || [];
+      this.tags = data.tags || [];
+      this.postTags = data.postTags || [];
+      logger.info(`🏷️ Loaded ${this.categories.length} categories and ${this.tags.length} tags from ${path.basename(this.dataPath)}`);
+    } catch (error) {
+      logger.info('🏷️ No existing taxonomy, starting fresh');
+      this.categories = [];
+      this.tags = [];
+      this.postTags = [];
+    }
+  }
+
+  async saveData() {
+    try {
+      const data = {
+        categories: this.categories,
+        tags: this.tags,
+        postTags: this.postTags,
+        lastUpdated: new Date().toISOString()
+      };
+      await fs.writeFile(this.dataPath, JSON.stringify(data, null, 2));
+    } catch (error) {
+      logger.error('❌ Error saving taxonomy:', error);
+      throw error;
+    }
+  }
+
+  async findCategories() {
+    return this.categories.map(category => ({ ...category }));
+  }
+
+  async findCategoryBy(field, value) {
+    const category = this.categories.find(c => c[field] === value);
+    return category ? { ...category } : null;
+  }
+
+  async createCategory(category) {
+    this.categories.push({ ...category });
+    await this.saveData();
+    return { ...category };
+  }
+
+  async updateCategory(id, changes) {
+    const index = this.categories.findIndex(c => c.id === id);
+    if (index === -1) return null;
+
+    this.categories[index] = { ...this.categories[index], ...changes, id };
+    await this.saveData();
+    return { ...this.categories[index] };
+  }
+
+  async deleteCategory(id) {
+    const index = this.categories.findIndex(c => c.id === id);
+    if (index === -1) return null;
+
+    const [deleted] = this.categories.splice(index, 1);
+    await this.saveData();
+    return deleted;
+  }
+
+  async findTags(options = {}) {
+    const search = String(options.search || '').toLowerCase();
+
+    return this.tags
+      .filter(tag => !search || tag.name.toLowerCase().includes(search) || tag.slug.includes(search))
+      .sort((a, b) => a.name.localeCompare(b.name, 'th'))
+      .map(tag => ({ ...tag }));
+  }
+
+  async findTagBy(field, value) {
+    const tag = this.tags.find(t => t[field] === value);
+    return tag ? { ...tag } : null;
+  }
+
+  async createTag(tag) {
+    this.tags.push({ ...tag });
+    await this.saveData();
+    return { ...tag };
+  }
+
+  async updateTag(id, changes) {
+    const index = this.tags.findIndex(t => t.id === id);
+    if (index === -1) return null;
+
+    this.tags[index] = { ...this.tags[index], ...changes, id };
+    await this.saveData();
+    return { ...this.tags[index] };
+  }
+
+  async deleteTag(id) {
+    const index = this.tags.findIndex(t => t.id === id);
+    if (index === -1) return null;
+
+    const [deleted] = this.tags.splice(index, 1);
+    this.postTags = this.postTags.filter(row => row.tag_id !== id);
+    await this.saveData();
+    return deleted;
+  }
+
+  async findPostTags(options = {}) {
+    return this.postTags
+      .filter(row =>
+        (options.postId === undefined || row.post_id === options.postId) &&
+        (options.tagId === undefined || row.tag_id === options.tagId)
+      )
+      .map(row => ({ ...row }));
+  }
+
+  async setPostTags(postId, tagIds) {
+    this.postTags = [
+      ...this.postTags.filter(row => row.post_id !== postId),
+      ...[...new Set(tagIds)].map(tagId => ({ post_id: postId, tag_id: tagId }))
+    ];
+    await this.saveData();
+  }
+
+  async checkHealth() {
+    return {
+      status: 'healthy',
+      driver: this.driver,
+      categories: this.categories.length,
+      tags: this.tags.length
+    };
+  }
+}
+
+module.exports = FileTaxonomyRepository;
@@ -0,0 +1,122 @@
+/**
+ * File Translation Repository
+ * Keeps glossary terms and translation drafts in memory and persists them to
+ * a JSON file (translations.json)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const TranslationRepository = require('./TranslationRepository');
+const { logger } = require('../middleware/errorHandler');
+
+class FileTranslationRepository extends TranslationRepository {
+  constructor(options = {}) {
+    super({ ...options, driver: 'file' });
+    this.terms = [];
+    this.drafts = [];
+    this.dataPath = options.translationsPath || path.join(__dirname, '..', 'translations.json');
+  }
+
+  async initialize() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.dataPath, 'utf8'));
+      this.terms = data.terms || [];
+      this.drafts = data.drafts || [];
+      logger.info(`🌐 Loaded ${this.terms.length} glossary terms and ${this.drafts.length} translation drafts from ${path.basename(this.dataPath)}`);
+    } catch (error) {
+      logger.info('🌐 No existing translations, starting fresh');
+      this.terms = [];
+      this.drafts = [];
+    }
+  }
+
+  async saveData() {
+    try {
+      const data = {
+        terms: this.terms,
+        drafts: this.drafts,
+        lastUpdated: new Date().toISOString()
+      };
+      await fs.writeFile(this.dataPath, JSON.stringify(data, null, 2));
+    } catch (error) {
+      logger.error('❌ Error saving translations:', error);
+      throw error;
+    }
+  }
+
+  async findTerms() {
+    return this.terms
+      .map(term => ({ ...term }))
+      .sort((a, b) => a.term_th.localeCompare(b.term_th, 'th'));
+  }
+
+  async findTermById(id) {
+    const term = this.terms.find(t => t.id === id);
+    return term ? { ...term } : null;
+  }
+
+  async createTerm(term) {
+    this.terms.push({ ...term });
+    await this.saveData();
+    return { ...term };
+  }
+
+  async updateTerm(id, changes) {
+    const index = this.terms.findIndex(t => t.id === id);
+    if (index === -1) return null;
+
+    this.terms[index] = { ...this.terms[index], ...changes, id };
+    await this.saveData();
+    return { ...this.terms[index] };
+  }
+
+  async deleteTerm(id) {
+    const index = this.terms.findIndex(t => t.id === id);
+    if (index === -1) return null;
+
+    const [deleted] = this.terms.splice(index, 1);
+    await this.saveData();
+    return deleted;
+  }
+
+  async findDrafts(options = {}) {
+    return this.drafts
+      .filter(draft =>
+        (options.postId === undefined || draft.post_id === options.postId) &&
+        (options.status === undefined || draft.status === options.status)
+      )
+      .sort((a, b) => b.created_at.localeCompare(a.created_at))
+      .map(draft => structuredClone(draft));
+  }
+
+  async findDraftById(id) {
+    const draft = this.drafts.find(d => d.id === id);
+    return draft ? structuredClone(draft) : null;
+  }
+
+  async createDraft(draft) {
+    this.drafts.push(structuredClone(draft));
+    await this.saveData();
+    return structuredClone(draft);
+  }
+
+  async updateDraft(id, changes) {
+    const index = this.drafts.findIndex(d => d.id === id);
+    if (index === -1) return null;
+
+    this.drafts[index] = { ...this.drafts[index], ...structuredClone(changes), id };
+    await this.saveData();
+    return structuredClone(this.drafts[index]);
+  }
+
+  async checkHealth() {
+    return {
+      status: 'healthy',
+      driver: this.driver,
+      terms: this.terms.length,
+      drafts: this.drafts.length
+    };
+  }
+}
+
+module.exports = FileTranslationRepository;
@@ -0,0 +1,78 @@
+/**
+ * File User Repository
+ * Keeps users in memory and persists them to a JSON file (users.json)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const UserRepository = require('./UserRepository');
+const { logger } = require('../middleware/errorHandler');
+
+class FileUserRepository extends UserRepository {
+  constructor(options = {}) {
+    super({ ...options, driver: 'file' });
+    this.users = [];
+    this.dataPath = options.usersPath || path.join(__dirname, '..', 'users.json');
+  }
+
+  async initialize() {
+    try {
+      const data = await fs.readFile(this.dataPath, 'utf8');
+      this.users = JSON.parse(data).users || [];
+      logger.info(`👥 Loaded ${this.users.length} users from ${path.basename(this.dataPath)}`);
+    } catch (error) {
+      logger.info('👥 No existing users file, starting fresh');
+      this.users = [];
+    }
+  }
+
+  async saveData() {
+    try {
+      const data = {
+        users: this.users,
+        lastUpdated: new Date().toISOString()
+      };
+      await fs.writeFile(this.dataPath, JSON.stringify(data, null, 2));
+    } catch (error) {
+      logger.error('❌ Error saving users:', error);
+      throw error;
+    }
+  }
+
+  async findAll(options = {}) {
+    return this.users
+      .filter(user => !options.role || user.role === options.role)
+      .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+  }
+
+  async findById(id) {
+    return this.users.find(u => u.id === id) || null;
+  }
+
+  async findOneBy(field, value) {
+    if (value === undefined || value === null) return null;
+    return this.users.find(u => u[field] === value) || null;
+  }
+
+  async create(user) {
+    this.users.push({ ...user });
+    await this.saveData();
+    return { ...user };
+  }
+
+  async update(id, changes) {
+    const index = this.users.findIndex(u => u.id === id);
+    if (index === -1) return null;
+
+    this.users[index] = { ...this.users[index], ...changes, id };
+    await this.saveData();
+
+    return { ...this.users[index] };
+  }
+
+  async checkHealth() {
+    return { status: 'healthy', driver: this.driver, users: this.users.length };
+  }
+}
+
+module.exports = FileUserRepository;
@@ -0,0 +1,60 @@
+/**
+ * Job Repository
+ * Persisted AI pipeline jobs (the ai_jobs table). Adapters share the posts
+ * storage driver (config.storage.driver) like AIRequestRepository.
+ */
+
+class JobRepository {
+  constructor(options = {}) {
+    this.options = options;
+    this.driver = options.driver || this.constructor.name.replace('JobRepository', '').toLowerCase();
+  }
+
+  /**
+   * Prepare the underlying storage (open files, create tables, verify connection)
+   */
+  async initialize() {
+    throw new Error('initialize method must be implemented by subclass');
+  }
+
+  /**
+   * Store a job. The caller assigns the ID.
+   * @param {Object} job - Validated job
+   * @returns {Promise<Object>} - Stored job
+   */
+  async create(job) {
+    throw new Error('create method must be implemented by subclass');
+  }
+
+  /**
+   * @param {string} id - Job ID
+   * @returns {Promise<Object|null>}
+   */
+  async findById(id) {
+    throw new Error('findById method must be implemented by subclass');
+  }
+
+  /**
+   * Find jobs, newest first (oldest first with order: 'asc', as the queue reads them)
+   * @param {Object} options - { status, type, createdBy, order, limit, offset }
+   * @returns {Promise<{jobs: Object[], total: number}>}
+   */
+  async findAll(options = {}) {
+    throw new Error('findAll method must be implemented by subclass');
+  }
+
+  /**
+   * @param {string} id - Job ID
+   * @param {Object} changes - Fields to overwrite
+   * @returns {Promise<Object|null>} - Updated job, or null when not found
+   */
+  async update(id, changes) {
+    throw new Error('update method must be implemented by subclass');
+  }
+
+  async checkHealth() {
+    return { status: 'healthy', driver: this.driver };
+  }
+}
+
+module.exports = JobRepository;
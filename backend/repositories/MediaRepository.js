@@ -0,0 +1,88 @@
+/**
+ * Media Repository
+ * Metadata of uploaded images (the media table). The files themselves live in
+ * a media storage adapter; these adapters share the posts storage driver.
+ */
+
+class MediaRepository {
+  constructor(options = {}) {
+    this.options = options;
+    this.driver = options.driver || this.constructor.name.replace('MediaRepository', '').toLowerCase();
+  }
+
+  /**
+   * Prepare the underlying storage (open files, create tables, verify connection)
+   */
+  async initialize() {
+    throw new Error('initialize method must be implemented by subclass');
+  }
+
+  /**
+   * Find media, newest first
+   * @param {Object} options - { search, mimeType, uploadedBy, limit, offset }
+   * @returns {Promise<{media: Object[], total: number}>}
+   */
+  async findAll(options = {}) {
+    throw new Error('findAll method must be implemented by subclass');
+  }
+
+  /**
+   * @param {string} id - Media ID
+   * @returns {Promise<Object|null>}
+   */
+  async findById(id) {
+    throw new Error('findById method must be implemented by subclass');
+  }
+
+  /**
+   * Store a media record. The caller assigns the ID.
+   * @param {Object} media - Validated media record
+   * @returns {Promise<Object>} - Stored record
+   */
+  async create(media) {
+    throw new Error('create method must be implemented by subclass');
+  }
+
+  /**
+   * Merge changes into an existing record
+   * @param {string} id - Media ID
+   * @param {Object} changes - Fields to overwrite
+   * @returns {Promise<Object|null>} - Updated record, or null when not found
+   */
+  async update(id, changes) {
+    throw new Error('update method must be implemented by subclass');
+  }
+
+  /**
+   * @param {string} id - Media ID
+   * @returns {Promise<Object|null>} - Deleted record, or null when not found
+   */
+  async delete(id) {
+    throw new Error('delete method must be implemented by subclass');
+  }
+
+  async checkHealth() {
+    return { status: 'healthy', driver: this.driver };
+  }
+
+  /**
+   * Apply the findAll filters to one record.
+   * Shared by adapters that cannot push the query down to storage.
+   * @param {Object} media - Media record
+   * @param {Object} options - findAll options
+   * @returns {boolean}
+   */
+  static matches(media, options = {}) {
+    if (options.mimeType && media.mime_type !== options.mimeType) return false;
+    if (options.uploadedBy && media.uploaded_by !== options.uploadedBy) return false;
+
+    if (options.search) {
+      const searchLower = String(options.search).toLowerCase();
+      return [media.filename, media.alt_text_th, media.alt_text_en, media.caption]
+        .some(value => value?.toLowerCase().includes(searchLower));
+    }
+    return true;
+  }
+}
+
+module.exports = MediaRepository;
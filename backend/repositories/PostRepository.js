@@ -0,0 +1,173 @@
+/**
+ * Post Repository
+ * Storage-agnostic interface for blog posts. Adapters (JSON file, SQLite,
+ * Supabase) extend this class and are selected by config.storage.driver
+ */
+
+class PostRepository {
+  constructor(options = {}) {
+    this.options = options;
+    this.driver = options.driver || this.constructor.name.replace('PostRepository', '').toLowerCase();
+  }
+
+  /**
+   * Prepare the underlying storage (open files, create tables, verify connection)
+   */
+  async initialize() {
+    throw new Error('initialize method must be implemented by subclass');
+  }
+
+  /**
+   * Find posts with filtering, sorting and pagination
+   * @param {Object} options - { status, category, search, limit, offset, sortBy, sortOrder }
+   * @returns {Promise<{posts: Object[], total: number}>}
+   */
+  async findAll(options = {}) {
+    throw new Error('findAll method must be implemented by subclass');
+  }
+
+  /**
+   * @param {number} id - Post ID
+   * @returns {Promise<Object|null>}
+   */
+  async findById(id) {
+    throw new Error('findById method must be implemented by subclass');
+  }
+
+  /**
+   * @param {string} slug - Post slug
+   * @param {string} locale - Which slug to match: 'th' (slug) or 'en' (slugEN)
+   * @returns {Promise<Object|null>}
+   */
+  async findBySlug(slug, locale = 'th') {
+    throw new Error('findBySlug method must be implemented by subclass');
+  }
+
+  /**
+   * Store a new post. The repository assigns the ID.
+   * @param {Object} post - Validated post data
+   * @returns {Promise<Object>} - Stored post
+   */
+  async create(post) {
+    throw new Error('create method must be implemented by subclass');
+  }
+
+  /**
+   * Merge changes into an existing post
+   * @param {number} id - Post ID
+   * @param {Object} changes - Fields to overwrite
+   * @returns {Promise<Object|null>} - Updated post, or null when not found
+   */
+  async update(id, changes) {
+    throw new Error('update method must be implemented by subclass');
+  }
+
+  /**
+   * @param {number} id - Post ID
+   * @returns {Promise<Object|null>} - Deleted post, or null when not found
+   */
+  async delete(id) {
+    throw new Error('delete method must be implemented by subclass');
+  }
+
+  /**
+   * @param {number} id - Post ID
+   * @returns {Promise<number>} - New view count, 0 when not found
+   */
+  async incrementViews(id) {
+    throw new Error('incrementViews method must be implemented by subclass');
+  }
+
+  /**
+   * Append an immutable revision. The repository assigns id and version.
+   * @param {Object} revision - Revision built by PostRevision.build
+   * @returns {Promise<Object>} - Stored revision
+   */
+  async createRevision(revision) {
+    throw new Error('createRevision method must be implemented by subclass');
+  }
+
+  /**
+   * @param {number} postId - Post ID
+   * @returns {Promise<Object[]>} - Revisions ordered by version (oldest first)
+   */
+  async findRevisions(postId) {
+    throw new Error('findRevisions method must be implemented by subclass');
+  }
+
+  /**
+   * @param {number} postId - Post ID
+   * @param {number} revisionId - Revision ID
+   * @returns {Promise<Object|null>}
+   */
+  async findRevision(postId, revisionId) {
+    throw new Error('findRevision method must be implemented by subclass');
+  }
+
+  async checkHealth() {
+    return { status: 'healthy', driver: this.driver };
+  }
+
+  /**
+   * Apply the findAll options to an in-memory list of posts.
+   * Shared by adapters that cannot push the query down to storage.
+   * @param {Object[]} posts - All posts
+   * @param {Object} options - findAll options
+   * @returns {{posts: Object[], total: number}}
+   */
+  static applyQuery(posts, options = {}) {
+    const {
+      status,
+      category,
+      limit,
+      offset = 0,
+      sortBy = 'updatedAt',
+      sortOrder = 'desc',
+      search
+    } = options;
+
+    let filteredPosts = [...posts];
+
+    if (status) {
+      filteredPosts = filteredPosts.filter(post => post.status === status);
+    }
+
+    if (category) {
+      filteredPosts = filteredPosts.filter(post => post.category === category);
+    }
+
+    if (search) {
+      const searchLower = search.toLowerCase();
+      filteredPosts = filteredPosts.filter(post =>
+        post.titleTH?.toLowerCase().includes(searchLower) ||
+        post.titleEN?.toLowerCase().includes(searchLower) ||
+        post.content?.toLowerCase().includes(searchLower) ||
+        post.excerpt?.toLowerCase().includes(searchLower)
+      );
+    }
+
+    filteredPosts.sort((a, b) => {
+      const aVal = a[sortBy];
+      const bVal = b[sortBy];
+
+      if (sortOrder === 'asc') {
+        return aVal > bVal ? 1 : -1;
+      } else {
+        return aVal < bVal ? 1 : -1;
+      }
+    });
+
+    const total = filteredPosts.length;
+    if (limit) {
+      const limitNum = parseInt(limit);
+      const offsetNum = parseInt(offset) || 0;
+      if (!isNaN(limitNum) && limitNum > 0) {
+        filteredPosts = filteredPosts.slice(offsetNum, offsetNum + limitNum);
+      }
+    }
+
+    return { posts: filteredPosts, total };
+  }
+}
+
+module.exports = PostRepository;
@@ -0,0 +1,77 @@
+/**
+ * Prompt Template Repository
+ * Versions of the prompt templates used by the AI pipelines, one record per
+ * version. Adapters share the posts storage driver (config.storage.driver).
+ */
+
+class PromptTemplateRepository {
+  constructor(options = {}) {
+    this.options = options;
+    this.driver = options.driver || this.constructor.name.replace('PromptTemplateRepository', '').toLowerCase();
+  }
+
+  /**
+   * Prepare the underlying storage (open files, create tables, verify connection)
+   */
+  async initialize() {
+    throw new Error('initialize method must be implemented by subclass');
+  }
+
+  /**
+   * @returns {Promise<Object[]>} - Active version of every template, ordered by name
+   */
+  async findActive() {
+    throw new Error('findActive method must be implemented by subclass');
+  }
+
+  /**
+   * @param {string} name - Template name
+   * @returns {Promise<Object[]>} - All versions, newest first
+   */
+  async findVersions(name) {
+    throw new Error('findVersions method must be implemented by subclass');
+  }
+
+  /**
+   * @param {string} name - Template name
+   * @param {number} version - Version number
+   * @returns {Promise<Object|null>}
+   */
+  async findVersion(name, version) {
+    throw new Error('findVersion method must be implemented by subclass');
+  }
+
+  /**
+   * Store a version. The caller assigns the ID and version number.
+   * @param {Object} template - Validated template version
+   * @returns {Promise<Object>} - Stored version
+   */
+  async createVersion(template) {
+    throw new Error('createVersion method must be implemented by subclass');
+  }
+
+  /**
+   * Make one version the active one and deactivate the others
+   * @param {string} name - Template name
+   * @param {number} version - Version number
+   * @returns {Promise<Object|null>} - Activated version, or null when not found
+   */
+  async activateVersion(name, version) {
+    throw new Error('activateVersion method must be implemented by subclass');
+  }
+
+  /**
+   * Delete every version of a template
+   * @param {string} name - Template name
+   * @returns {Promise<number>} - Versions deleted
+   */
+  async deleteTemplate(name) {
+    throw new Error('deleteTemplate method must be implemented by subclass');
+  }
+
+  async checkHealth() {
+    return { status: 'healthy', driver: this.driver };
+  }
+}
+
+module.exports = PromptTemplateRepository;
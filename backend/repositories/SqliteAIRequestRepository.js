@@ -0,0 +1,125 @@
+/**
+ * SQLite AI Request Repository
+ * Stores the ledger in the same database file as posts and users, with the
+ * columns of the ai_requests table in database-schema.sql
+ */
+
+const path = require('path');
+const AIRequestRepository = require('./AIRequestRepository');
+const { logger } = require('../middleware/errorHandler');
+
+const COLUMNS = [
+  'id', 'user_id', 'provider', 'model_used', 'request_type', 'prompt', 'temperature', 'max_tokens',
+  'prompt_tokens', 'completion_tokens', 'tokens_used', 'response_time_ms', 'success', 'outcome',
+  'error_message', 'estimated_cost', 'metadata', 'created_at'
+];
+
+class SqliteAIRequestRepository extends AIRequestRepository {
+  constructor(options = {}) {
+    super({ ...options, driver: 'sqlite' });
+    this.dbPath = options.path || path.join(__dirname, '..', 'posts.sqlite');
+    this.db = null;
+  }
+
+  async initialize() {
+    const Database = require('better-sqlite3');
+
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS ai_requests (
+        id TEXT PRIMARY KEY,
+        user_id TEXT,
+        provider TEXT NOT NULL,
+        model_used TEXT,
+        request_type TEXT NOT NULL,
+        prompt TEXT NOT NULL,
+        temperature REAL,
+        max_tokens INTEGER,
+        prompt_tokens INTEGER,
+        completion_tokens INTEGER,
+        tokens_used INTEGER,
+        response_time_ms INTEGER,
+        success INTEGER NOT NULL DEFAULT 0,
+        outcome TEXT NOT NULL,
+        error_message TEXT,
+        estimated_cost REAL,
+        metadata TEXT,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_ai_requests_created_at ON ai_requests(created_at);
+      CREATE INDEX IF NOT EXISTS idx_ai_requests_provider ON ai_requests(provider);
+      CREATE INDEX IF NOT EXISTS idx_ai_requests_user_id ON ai_requests(user_id);
+    `);
+
+    const { count } = this.db.prepare('SELECT COUNT(*) AS count FROM ai_requests').get();
+    logger.info(`🧾 Loaded ${count} AI requests from ${path.basename(this.dbPath)}`);
+  }
+
+  toRow(request) {
+    const row = {};
+    COLUMNS.forEach(column => { row[column] = request[column] ?? null; });
+    row.success = request.success ? 1 : 0;
+    row.metadata = request.metadata ? JSON.stringify(request.metadata) : null;
+    return row;
+  }
+
+  fromRow(row) {
+    if (!row) return null;
+    return {
+      ...row,
+      success: row.success === 1,
+      metadata: row.metadata ? JSON.parse(row.metadata) : null
+    };
+  }
+
+  async create(request) {
+    this.db.prepare(`
+      INSERT INTO ai_requests (${COLUMNS.join(', ')})
+      VALUES (${COLUMNS.map(column => `@${column}`).join(', ')})
+    `).run(this.toRow(request));
+
+    return this.fromRow(this.db.prepare('SELECT * FROM ai_requests WHERE id = ?').get(request.id));
+  }
+
+  async findAll(options = {}) {
+    const conditions = [];
+    const params = {};
+
+    if (options.from) { conditions.push('created_at >= @from'); params.from = options.from; }
+    if (options.to) { conditions.push('created_at < @to'); params.to = options.to; }
+    if (options.provider) { conditions.push('provider = @provider'); params.provider = options.provider; }
+    if (options.userId) { conditions.push('user_id = @userId'); params.userId = options.userId; }
+    if (options.requestType) { conditions.push('request_type = @requestType'); params.requestType = options.requestType; }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM ai_requests ${where}`).get(params);
+
+    const limit = parseInt(options.limit);
+    const offset = parseInt(options.offset) || 0;
+    const page = limit > 0 ? 'LIMIT @limit OFFSET @offset' : '';
+    const rows = this.db
+      .prepare(`SELECT * FROM ai_requests ${where} ORDER BY created_at DESC ${page}`)
+      .all(limit > 0 ? { ...params, limit, offset } : params);
+
+    return { requests: rows.map(row => this.fromRow(row)), total };
+  }
+
+  async checkHealth() {
+    try {
+      this.db.prepare('SELECT 1').get();
+      return { status: 'healthy', driver: this.driver };
+    } catch (error) {
+      return { status: 'unhealthy', driver: this.driver, error: error.message };
+    }
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = SqliteAIRequestRepository;
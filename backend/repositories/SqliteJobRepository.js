@@ -0,0 +1,138 @@
+/**
+ * SQLite Job Repository
+ * Stores AI jobs in the same database file as posts, with the columns of the
+ * ai_jobs table in database-schema.sql
+ */
+
+const path = require('path');
+const JobRepository = require('./JobRepository');
+const { logger } = require('../middleware/errorHandler');
+
+const COLUMNS = [
+  'id', 'type', 'status', 'input', 'progress', 'stages', 'result', 'error', 'attempts', 'max_attempts',
+  'cancel_requested', 'created_by', 'created_by_name', 'created_at', 'started_at', 'finished_at', 'updated_at'
+];
+
+// Columns stored as JSON text
+const JSON_COLUMNS = ['input', 'progress', 'stages', 'result'];
+
+class SqliteJobRepository extends JobRepository {
+  constructor(options = {}) {
+    super({ ...options, driver: 'sqlite' });
+    this.dbPath = options.path || path.join(__dirname, '..', 'posts.sqlite');
+    this.db = null;
+  }
+
+  async initialize() {
+    const Database = require('better-sqlite3');
+
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS ai_jobs (
+        id TEXT PRIMARY KEY,
+        type TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'queued',
+        input TEXT NOT NULL,
+        progress TEXT NOT NULL,
+        stages TEXT NOT NULL DEFAULT '[]',
+        result TEXT,
+        error TEXT,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL DEFAULT 1,
+        cancel_requested INTEGER NOT NULL DEFAULT 0,
+        created_by TEXT,
+        created_by_name TEXT,
+        created_at TEXT NOT NULL,
+        started_at TEXT,
+        finished_at TEXT,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_ai_jobs_status ON ai_jobs(status, created_at);
+      CREATE INDEX IF NOT EXISTS idx_ai_jobs_created_by ON ai_jobs(created_by);
+    `);
+
+    const { count } = this.db.prepare('SELECT COUNT(*) AS count FROM ai_jobs').get();
+    logger.info(`🧵 Loaded ${count} AI jobs from ${path.basename(this.dbPath)}`);
+  }
+
+  toRow(job) {
+    const row = {};
+    COLUMNS.forEach(column => { row[column] = job[column] ?? null; });
+    JSON_COLUMNS.forEach(column => {
+      row[column] = job[column] === undefined || job[column] === null ? null : JSON.stringify(job[column]);
+    });
+    row.cancel_requested = job.cancel_requested ? 1 : 0;
+    return row;
+  }
+
+  fromRow(row) {
+    if (!row) return null;
+    const job = { ...row, cancel_requested: row.cancel_requested === 1 };
+    JSON_COLUMNS.forEach(column => { job[column] = row[column] === null ? null : JSON.parse(row[column]); });
+    return job;
+  }
+
+  async create(job) {
+    this.db.prepare(`
+      INSERT INTO ai_jobs (${COLUMNS.join(', ')})
+      VALUES (${COLUMNS.map(column => `@${column}`).join(', ')})
+    `).run(this.toRow(job));
+
+    return this.findById(job.id);
+  }
+
+  async findById(id) {
+    return this.fromRow(this.db.prepare('SELECT * FROM ai_jobs WHERE id = ?').get(id));
+  }
+
+  async findAll(options = {}) {
+    const conditions = [];
+    const params = {};
+
+    if (options.status !== undefined) { conditions.push('status = @status'); params.status = options.status; }
+    if (options.type !== undefined) { conditions.push('type = @type'); params.type = options.type; }
+    if (options.createdBy !== undefined) { conditions.push('created_by = @createdBy'); params.createdBy = options.createdBy; }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const direction = options.order === 'asc' ? 'ASC' : 'DESC';
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM ai_jobs ${where}`).get(params);
+    const jobs = this.db
+      .prepare(`SELECT * FROM ai_jobs ${where} ORDER BY created_at ${direction} LIMIT @limit OFFSET @offset`)
+      .all({ ...params, limit: options.limit || -1, offset: options.offset || 0 })
+      .map(row => this.fromRow(row));
+
+    return { jobs, total };
+  }
+
+  async update(id, changes) {
+    // Read and write without yielding so progress writes and cancellations cannot interleave
+    const existing = this.fromRow(this.db.prepare('SELECT * FROM ai_jobs WHERE id = ?').get(id));
+    if (!existing) return null;
+
+    this.db.prepare(`
+      UPDATE ai_jobs SET ${COLUMNS.filter(c => c !== 'id').map(c => `${c} = @${c}`).join(', ')}
+      WHERE id = @id
+    `).run(this.toRow({ ...existing, ...changes, id }));
+
+    return this.findById(id);
+  }
+
+  async checkHealth() {
+    try {
+      this.db.prepare('SELECT 1').get();
+      return { status: 'healthy', driver: this.driver };
+    } catch (error) {
+      return { status: 'unhealthy', driver: this.driver, error: error.message };
+    }
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = SqliteJobRepository;
@@ -0,0 +1,142 @@
+/**
+ * SQLite Media Repository
+ * Stores media records in the same database file as posts, with the columns
+ * of the media table in database-schema.sql
+ */
+
+const path = require('path');
+const MediaRepository = require('./MediaRepository');
+const { logger } = require('../middleware/errorHandler');
+
+const COLUMNS = [
+  'id', 'filename', 'mime_type', 'size', 'width', 'height', 'storage_driver', 'variants',
+  'alt_text_th', 'alt_text_en', 'caption', 'uploaded_by', 'created_at', 'updated_at'
+];
+
+class SqliteMediaRepository extends MediaRepository {
+  constructor(options = {}) {
+    super({ ...options, driver: 'sqlite' });
+    this.dbPath = options.path || path.join(__dirname, '..', 'posts.sqlite');
+    this.db = null;
+  }
+
+  async initialize() {
+    const Database = require('better-sqlite3');
+
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS media (
+        id TEXT PRIMARY KEY,
+        filename TEXT NOT NULL,
+        mime_type TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        width INTEGER,
+        height INTEGER,
+        storage_driver TEXT NOT NULL,
+        variants TEXT NOT NULL,
+        alt_text_th TEXT NOT NULL DEFAULT '',
+        alt_text_en TEXT NOT NULL DEFAULT '',
+        caption TEXT NOT NULL DEFAULT '',
+        uploaded_by TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_media_created_at ON media(created_at);
+      CREATE INDEX IF NOT EXISTS idx_media_uploaded_by ON media(uploaded_by);
+    `);
+
+    const { count } = this.db.prepare('SELECT COUNT(*) AS count FROM media').get();
+    logger.info(`🖼️ Loaded ${count} media items from ${path.basename(this.dbPath)}`);
+  }
+
+  toRow(media) {
+    const row = {};
+    COLUMNS.forEach(column => { row[column] = media[column] ?? null; });
+    row.variants = JSON.stringify(media.variants || {});
+    return row;
+  }
+
+  fromRow(row) {
+    if (!row) return null;
+    return { ...row, variants: JSON.parse(row.variants) };
+  }
+
+  async findAll(options = {}) {
+    const conditions = [];
+    const params = {};
+
+    if (options.mimeType) { conditions.push('mime_type = @mimeType'); params.mimeType = options.mimeType; }
+    if (options.uploadedBy) { conditions.push('uploaded_by = @uploadedBy'); params.uploadedBy = options.uploadedBy; }
+    if (options.search) {
+      // instr() is case-sensitive, so both sides are lowercased (LIKE only folds ASCII)
+      conditions.push(`(${['filename', 'alt_text_th', 'alt_text_en', 'caption']
+        .map(column => `instr(lower(${column}), @search) > 0`).join(' OR ')})`);
+      params.search = String(options.search).toLowerCase();
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM media ${where}`).get(params);
+
+    const limit = parseInt(options.limit);
+    const offset = parseInt(options.offset) || 0;
+    const page = limit > 0 ? 'LIMIT @limit OFFSET @offset' : '';
+    const rows = this.db
+      .prepare(`SELECT * FROM media ${where} ORDER BY created_at DESC ${page}`)
+      .all(limit > 0 ? { ...params, limit, offset } : params);
+
+    return { media: rows.map(row => this.fromRow(row)), total };
+  }
+
+  async findById(id) {
+    return this.fromRow(this.db.prepare('SELECT * FROM media WHERE id = ?').get(id));
+  }
+
+  async create(media) {
+    this.db.prepare(`
+      INSERT INTO media (${COLUMNS.join(', ')})
+      VALUES (${COLUMNS.map(column => `@${column}`).join(', ')})
+    `).run(this.toRow(media));
+
+    return this.findById(media.id);
+  }
+
+  async update(id, changes) {
+    const existing = await this.findById(id);
+    if (!existing) return null;
+
+    const row = this.toRow({ ...existing, ...changes, id });
+    this.db.prepare(`
+      UPDATE media SET ${COLUMNS.filter(column => column !== 'id').map(column => `${column} = @${column}`).join(', ')}
+      WHERE id = @id
+    `).run(row);
+
+    return this.findById(id);
+  }
+
+  async delete(id) {
+    const existing = await this.findById(id);
+    if (!existing) return null;
+
+    this.db.prepare('DELETE FROM media WHERE id = ?').run(id);
+    return existing;
+  }
+
+  async checkHealth() {
+    try {
+      this.db.prepare('SELECT 1').get();
+      return { status: 'healthy', driver: this.driver };
+    } catch (error) {
+      return { status: 'unhealthy', driver: this.driver, error: error.message };
+    }
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = SqliteMediaRepository;
@@ -0,0 +1,257 @@
+/**
+ * SQLite Post Repository
+ * Embedded single-file database via better-sqlite3. Filterable columns are
+ * stored alongside the full post document so new fields need no migration.
+ */
+
+const path = require('path');
+const PostRepository = require('./PostRepository');
+const { logger } = require('../middleware/errorHandler');
+
+// Post fields that live in their own column
+const COLUMNS = {
+  id: 'id',
+  slug: 'slug',
+  status: 'status',
+  category: 'category',
+  views: 'views',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+};
+
+const SEARCH_FIELDS = ['titleTH', 'titleEN', 'content', 'excerpt'];
+
+class SqlitePostRepository extends PostRepository {
+  constructor(options = {}) {
+    super({ ...options, driver: 'sqlite' });
+    this.dbPath = options.path || path.join(__dirname, '..', 'posts.sqlite');
+    this.db = null;
+  }
+
+  async initialize() {
+    const Database = require('better-sqlite3');
+
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS posts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        slug TEXT UNIQUE NOT NULL,
+        status TEXT NOT NULL DEFAULT 'draft',
+        category TEXT,
+        views INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_posts_status ON posts(status);
+      CREATE INDEX IF NOT EXISTS idx_posts_category ON posts(category);
+      CREATE INDEX IF NOT EXISTS idx_posts_slug_en ON posts(json_extract(data, '$.slugEN'));
+
+      CREATE TABLE IF NOT EXISTS post_revisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        post_id INTEGER NOT NULL,
+        version INTEGER NOT NULL,
+        created_at TEXT NOT NULL,
+        data TEXT NOT NULL,
+        UNIQUE (post_id, version)
+      );
+    `);
+
+    const { count } = this.db.prepare('SELECT COUNT(*) AS count FROM posts').get();
+    logger.info(`📊 Loaded ${count} posts from ${path.basename(this.dbPath)}`);
+  }
+
+  /**
+   * Convert a post object to bound statement parameters
+   */
+  toRow(post) {
+    const { id, slug, status, category, views, createdAt, updatedAt, ...rest } = post;
+    const now = new Date().toISOString();
+    return {
+      slug,
+      status: status || 'draft',
+      category: category || null,
+      views: views || 0,
+      created_at: createdAt || now,
+      updated_at: updatedAt || now,
+      data: JSON.stringify(rest)
+    };
+  }
+
+  fromRow(row) {
+    if (!row) return null;
+    return {
+      ...JSON.parse(row.data),
+      id: row.id,
+      slug: row.slug,
+      status: row.status,
+      category: row.category || undefined,
+      views: row.views,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Map a post field to an ORDER BY expression
+   */
+  sortExpression(field) {
+    if (COLUMNS[field]) return COLUMNS[field];
+    if (/^[A-Za-z_]+$/.test(field)) return `json_extract(data, '$.${field}')`;
+    return 'updated_at';
+  }
+
+  async findAll(options = {}) {
+    const {
+      status,
+      category,
+      limit,
+      offset = 0,
+      sortBy = 'updatedAt',
+      sortOrder = 'desc',
+      search
+    } = options;
+
+    const where = [];
+    const params = {};
+
+    if (status) {
+      where.push('status = @status');
+      params.status = status;
+    }
+
+    if (category) {
+      where.push('category = @category');
+      params.category = category;
+    }
+
+    if (search) {
+      where.push(`(${SEARCH_FIELDS.map(f => `json_extract(data, '$.${f}') LIKE @search`).join(' OR ')})`);
+      params.search = `%${search}%`;
+    }
+
+    const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM posts ${whereSql}`).get(params);
+
+    let sql = `SELECT * FROM posts ${whereSql} ORDER BY ${this.sortExpression(sortBy)} ${sortOrder === 'asc' ? 'ASC' : 'DESC'}`;
+    const limitNum = parseInt(limit);
+    if (!isNaN(limitNum) && limitNum > 0) {
+      sql += ' LIMIT @limit OFFSET @offset';
+      params.limit = limitNum;
+      params.offset = parseInt(offset) || 0;
+    }
+
+    const posts = this.db.prepare(sql).all(params).map(row => this.fromRow(row));
+    return { posts, total };
+  }
+
+  async findById(id) {
+    return this.fromRow(this.db.prepare('SELECT * FROM posts WHERE id = ?').get(id));
+  }
+
+  async findBySlug(slug, locale = 'th') {
+    if (locale === 'en') {
+      return this.fromRow(this.db.prepare("SELECT * FROM posts WHERE json_extract(data, '$.slugEN') = ?").get(slug));
+    }
+    return this.fromRow(this.db.prepare('SELECT * FROM posts WHERE slug = ?').get(slug));
+  }
+
+  async create(post) {
+    const info = this.db.prepare(`
+      INSERT INTO posts (slug, status, category, views, created_at, updated_at, data)
+      VALUES (@slug, @status, @category, @views, @created_at, @updated_at, @data)
+    `).run(this.toRow(post));
+
+    return this.findById(Number(info.lastInsertRowid));
+  }
+
+  async update(id, changes) {
+    const existing = await this.findById(id);
+    if (!existing) return null;
+
+    const row = this.toRow({ ...existing, ...changes });
+    this.db.prepare(`
+      UPDATE posts SET slug = @slug, status = @status, category = @category, views = @views,
+        created_at = @created_at, updated_at = @updated_at, data = @data
+      WHERE id = @id
+    `).run({ ...row, id });
+
+    return this.findById(id);
+  }
+
+  async delete(id) {
+    const existing = await this.findById(id);
+    if (!existing) return null;
+
+    this.db.prepare('DELETE FROM posts WHERE id = ?').run(id);
+    return existing;
+  }
+
+  async incrementViews(id) {
+    const row = this.db.prepare('UPDATE posts SET views = views + 1 WHERE id = ? RETURNING views').get(id);
+    return row ? row.views : 0;
+  }
+
+  fromRevisionRow(row) {
+    if (!row) return null;
+    return {
+      ...JSON.parse(row.data),
+      id: row.id,
+      postId: row.post_id,
+      version: row.version,
+      createdAt: row.created_at
+    };
+  }
+
+  async createRevision(revision) {
+    const { id, postId, version, createdAt, ...rest } = revision;
+
+    const insert = this.db.transaction(() => {
+      const { latest } = this.db
+        .prepare('SELECT MAX(version) AS latest FROM post_revisions WHERE post_id = ?')
+        .get(postId);
+
+      return this.db.prepare(`
+        INSERT INTO post_revisions (post_id, version, created_at, data)
+        VALUES (?, ?, ?, ?)
+      `).run(postId, (latest || 0) + 1, createdAt || new Date().toISOString(), JSON.stringify(rest));
+    });
+
+    const info = insert();
+    return this.fromRevisionRow(
+      this.db.prepare('SELECT * FROM post_revisions WHERE id = ?').get(Number(info.lastInsertRowid))
+    );
+  }
+
+  async findRevisions(postId) {
+    return this.db
+      .prepare('SELECT * FROM post_revisions WHERE post_id = ? ORDER BY version ASC')
+      .all(postId)
+      .map(row => this.fromRevisionRow(row));
+  }
+
+  async findRevision(postId, revisionId) {
+    return this.fromRevisionRow(
+      this.db.prepare('SELECT * FROM post_revisions WHERE post_id = ? AND id = ?').get(postId, revisionId)
+    );
+  }
+
+  async checkHealth() {
+    try {
+      this.db.prepare('SELECT 1').get();
+      return { status: 'healthy', driver: this.driver };
+    } catch (error) {
+      return { status: 'unhealthy', driver: this.driver, error: error.message };
+    }
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = SqlitePostRepository;
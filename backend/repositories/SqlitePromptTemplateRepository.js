@@ -0,0 +1,120 @@
+/**
+ * SQLite Prompt Template Repository
+ * Stores prompt template versions in the same database file as posts, with
+ * the columns of the prompt_templates table in database-schema.sql
+ */
+
+const path = require('path');
+const PromptTemplateRepository = require('./PromptTemplateRepository');
+const { logger } = require('../middleware/errorHandler');
+
+const COLUMNS = [
+  'id', 'name', 'version', 'description', 'body', 'variables', 'is_active', 'change_note',
+  'created_by', 'created_by_name', 'created_at'
+];
+
+class SqlitePromptTemplateRepository extends PromptTemplateRepository {
+  constructor(options = {}) {
+    super({ ...options, driver: 'sqlite' });
+    this.dbPath = options.path || path.join(__dirname, '..', 'posts.sqlite');
+    this.db = null;
+  }
+
+  async initialize() {
+    const Database = require('better-sqlite3');
+
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS prompt_templates (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        description TEXT NOT NULL DEFAULT '',
+        body TEXT NOT NULL,
+        variables TEXT NOT NULL DEFAULT '[]',
+        is_active INTEGER NOT NULL DEFAULT 0,
+        change_note TEXT NOT NULL DEFAULT '',
+        created_by TEXT,
+        created_by_name TEXT,
+        created_at TEXT NOT NULL,
+        UNIQUE (name, version)
+      );
+    `);
+
+    const { count } = this.db.prepare('SELECT COUNT(*) AS count FROM prompt_templates').get();
+    logger.info(`📝 Loaded ${count} prompt template versions from ${path.basename(this.dbPath)}`);
+  }
+
+  toRow(template) {
+    const row = {};
+    COLUMNS.forEach(column => { row[column] = template[column] ?? null; });
+    row.variables = JSON.stringify(template.variables || []);
+    row.is_active = template.is_active ? 1 : 0;
+    return row;
+  }
+
+  fromRow(row) {
+    if (!row) return null;
+    return { ...row, variables: JSON.parse(row.variables), is_active: row.is_active === 1 };
+  }
+
+  async findActive() {
+    return this.db.prepare('SELECT * FROM prompt_templates WHERE is_active = 1 ORDER BY name')
+      .all()
+      .map(row => this.fromRow(row));
+  }
+
+  async findVersions(name) {
+    return this.db.prepare('SELECT * FROM prompt_templates WHERE name = ? ORDER BY version DESC')
+      .all(name)
+      .map(row => this.fromRow(row));
+  }
+
+  async findVersion(name, version) {
+    return this.fromRow(this.db.prepare('SELECT * FROM prompt_templates WHERE name = ? AND version = ?').get(name, version));
+  }
+
+  async createVersion(template) {
+    this.db.prepare(`
+      INSERT INTO prompt_templates (${COLUMNS.join(', ')})
+      VALUES (${COLUMNS.map(column => `@${column}`).join(', ')})
+    `).run(this.toRow(template));
+
+    return this.findVersion(template.name, template.version);
+  }
+
+  async activateVersion(name, version) {
+    const existing = await this.findVersion(name, version);
+    if (!existing) return null;
+
+    this.db.transaction(() => {
+      this.db.prepare('UPDATE prompt_templates SET is_active = 0 WHERE name = ?').run(name);
+      this.db.prepare('UPDATE prompt_templates SET is_active = 1 WHERE name = ? AND version = ?').run(name, version);
+    })();
+
+    return this.findVersion(name, version);
+  }
+
+  async deleteTemplate(name) {
+    return this.db.prepare('DELETE FROM prompt_templates WHERE name = ?').run(name).changes;
+  }
+
+  async checkHealth() {
+    try {
+      this.db.prepare('SELECT 1').get();
+      return { status: 'healthy', driver: this.driver };
+    } catch (error) {
+      return { status: 'unhealthy', driver: this.driver, error: error.message };
+    }
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = SqlitePromptTemplateRepository;
@@ -0,0 +1,201 @@
+/**
+ * SQLite Taxonomy Repository
+ * Stores categories, tags and post_tags in the same database file as posts,
+ * with the columns of the tables in database-schema.sql
+ */
+
+const path = require('path');
+const TaxonomyRepository = require('./TaxonomyRepository');
+const { logger } = require('../middleware/errorHandler');
+
+const CATEGORY_COLUMNS = [
+  'id', 'name', 'name_en', 'slug', 'description', 'parent_id', 'sort_order', 'is_active',
+  'created_at', 'updated_at'
+];
+const TAG_COLUMNS = ['id', 'name', 'slug', 'created_at'];
+
+// Only these columns can be used in findCategoryBy / findTagBy
+const LOOKUP_COLUMNS = ['id', 'slug'];
+
+class SqliteTaxonomyRepository extends TaxonomyRepository {
+  constructor(options = {}) {
+    super({ ...options, driver: 'sqlite' });
+    this.dbPath = options.path || path.join(__dirname, '..', 'posts.sqlite');
+    this.db = null;
+  }
+
+  async initialize() {
+    const Database = require('better-sqlite3');
+
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS categories (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        name_en TEXT NOT NULL DEFAULT '',
+        slug TEXT UNIQUE NOT NULL,
+        description TEXT NOT NULL DEFAULT '',
+        parent_id TEXT,
+        sort_order INTEGER NOT NULL DEFAULT 0,
+        is_active INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS tags (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        slug TEXT UNIQUE NOT NULL,
+        created_at TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS post_tags (
+        post_id INTEGER NOT NULL,
+        tag_id TEXT NOT NULL,
+        PRIMARY KEY (post_id, tag_id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_post_tags_tag_id ON post_tags(tag_id);
+    `);
+
+    const { count } = this.db.prepare('SELECT COUNT(*) AS count FROM categories').get();
+    logger.info(`🏷️ Loaded ${count} categories from ${path.basename(this.dbPath)}`);
+  }
+
+  toCategoryRow(category) {
+    const row = {};
+    CATEGORY_COLUMNS.forEach(column => { row[column] = category[column] ?? null; });
+    row.is_active = category.is_active === false ? 0 : 1;
+    return row;
+  }
+
+  fromCategoryRow(row) {
+    if (!row) return null;
+    return { ...row, is_active: row.is_active === 1 };
+  }
+
+  async findCategories() {
+    return this.db.prepare('SELECT * FROM categories').all().map(row => this.fromCategoryRow(row));
+  }
+
+  async findCategoryBy(field, value) {
+    if (!LOOKUP_COLUMNS.includes(field)) {
+      throw new Error(`Cannot look up categories by ${field}`);
+    }
+    return this.fromCategoryRow(this.db.prepare(`SELECT * FROM categories WHERE ${field} = ?`).get(value));
+  }
+
+  async createCategory(category) {
+    this.db.prepare(`
+      INSERT INTO categories (${CATEGORY_COLUMNS.join(', ')})
+      VALUES (${CATEGORY_COLUMNS.map(column => `@${column}`).join(', ')})
+    `).run(this.toCategoryRow(category));
+
+    return this.findCategoryById(category.id);
+  }
+
+  async updateCategory(id, changes) {
+    const existing = await this.findCategoryById(id);
+    if (!existing) return null;
+
+    this.db.prepare(`
+      UPDATE categories SET ${CATEGORY_COLUMNS.filter(c => c !== 'id').map(c => `${c} = @${c}`).join(', ')}
+      WHERE id = @id
+    `).run(this.toCategoryRow({ ...existing, ...changes, id }));
+
+    return this.findCategoryById(id);
+  }
+
+  async deleteCategory(id) {
+    const existing = await this.findCategoryById(id);
+    if (!existing) return null;
+
+    this.db.prepare('DELETE FROM categories WHERE id = ?').run(id);
+    return existing;
+  }
+
+  async findTags(options = {}) {
+    const tags = options.search
+      ? this.db
+        .prepare('SELECT * FROM tags WHERE instr(lower(name), @search) > 0 OR instr(slug, @search) > 0')
+        .all({ search: String(options.search).toLowerCase() })
+      : this.db.prepare('SELECT * FROM tags').all();
+
+    return tags.sort((a, b) => a.name.localeCompare(b.name, 'th'));
+  }
+
+  async findTagBy(field, value) {
+    if (!LOOKUP_COLUMNS.includes(field)) {
+      throw new Error(`Cannot look up tags by ${field}`);
+    }
+    return this.db.prepare(`SELECT * FROM tags WHERE ${field} = ?`).get(value) || null;
+  }
+
+  async createTag(tag) {
+    const row = {};
+    TAG_COLUMNS.forEach(column => { row[column] = tag[column] ?? null; });
+
+    this.db.prepare(`
+      INSERT INTO tags (${TAG_COLUMNS.join(', ')})
+      VALUES (${TAG_COLUMNS.map(column => `@${column}`).join(', ')})
+    `).run(row);
+
+    return this.findTagById(tag.id);
+  }
+
+  async updateTag(id, changes) {
+    const existing = await this.findTagById(id);
+    if (!existing) return null;
+
+    const updated = { ...existing, ...changes, id };
+    this.db.prepare('UPDATE tags SET name = @name, slug = @slug WHERE id = @id').run(updated);
+    return this.findTagById(id);
+  }
+
+  async deleteTag(id) {
+    const existing = await this.findTagById(id);
+    if (!existing) return null;
+
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM post_tags WHERE tag_id = ?').run(id);
+      this.db.prepare('DELETE FROM tags WHERE id = ?').run(id);
+    })();
+    return existing;
+  }
+
+  async findPostTags(options = {}) {
+    const conditions = [];
+    const params = {};
+
+    if (options.postId !== undefined) { conditions.push('post_id = @postId'); params.postId = options.postId; }
+    if (options.tagId !== undefined) { conditions.push('tag_id = @tagId'); params.tagId = options.tagId; }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return this.db.prepare(`SELECT post_id, tag_id FROM post_tags ${where}`).all(params);
+  }
+
+  async setPostTags(postId, tagIds) {
+    const insert = this.db.prepare('INSERT OR IGNORE INTO post_tags (post_id, tag_id) VALUES (?, ?)');
+
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM post_tags WHERE post_id = ?').run(postId);
+      tagIds.forEach(tagId => insert.run(postId, tagId));
+    })();
+  }
+
+  async checkHealth() {
+    try {
+      this.db.prepare('SELECT 1').get();
+      return { status: 'healthy', driver: this.driver };
+    } catch (error) {
+      return { status: 'unhealthy', driver: this.driver, error: error.message };
+    }
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = SqliteTaxonomyRepository;
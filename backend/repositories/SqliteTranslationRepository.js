@@ -0,0 +1,179 @@
+/**
+ * SQLite Translation Repository
+ * Stores glossary terms and translation drafts in the same database file as
+ * posts, with the columns of the tables in database-schema.sql
+ */
+
+const path = require('path');
+const TranslationRepository = require('./TranslationRepository');
+const { logger } = require('../middleware/errorHandler');
+
+const TERM_COLUMNS = ['id', 'term_th', 'term_en', 'note', 'created_by', 'created_at', 'updated_at'];
+const DRAFT_COLUMNS = [
+  'id', 'post_id', 'source_locale', 'target_locale', 'status', 'fields', 'source', 'provider', 'model',
+  'warnings', 'glossary', 'created_by', 'reviewed_by', 'reviewed_at', 'created_at', 'updated_at'
+];
+
+// Draft columns stored as JSON text
+const JSON_COLUMNS = { fields: {}, source: {}, warnings: [], glossary: [] };
+
+class SqliteTranslationRepository extends TranslationRepository {
+  constructor(options = {}) {
+    super({ ...options, driver: 'sqlite' });
+    this.dbPath = options.path || path.join(__dirname, '..', 'posts.sqlite');
+    this.db = null;
+  }
+
+  async initialize() {
+    const Database = require('better-sqlite3');
+
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS glossary_terms (
+        id TEXT PRIMARY KEY,
+        term_th TEXT NOT NULL,
+        term_en TEXT NOT NULL,
+        note TEXT NOT NULL DEFAULT '',
+        created_by TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS translation_drafts (
+        id TEXT PRIMARY KEY,
+        post_id INTEGER NOT NULL,
+        source_locale TEXT NOT NULL,
+        target_locale TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending_review',
+        fields TEXT NOT NULL,
+        source TEXT NOT NULL,
+        provider TEXT,
+        model TEXT,
+        warnings TEXT NOT NULL DEFAULT '[]',
+        glossary TEXT NOT NULL DEFAULT '[]',
+        created_by TEXT,
+        reviewed_by TEXT,
+        reviewed_at TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_translation_drafts_post_id ON translation_drafts(post_id);
+    `);
+
+    const { count } = this.db.prepare('SELECT COUNT(*) AS count FROM glossary_terms').get();
+    logger.info(`🌐 Loaded ${count} glossary terms from ${path.basename(this.dbPath)}`);
+  }
+
+  toDraftRow(draft) {
+    const row = {};
+    DRAFT_COLUMNS.forEach(column => { row[column] = draft[column] ?? null; });
+    Object.entries(JSON_COLUMNS).forEach(([column, empty]) => {
+      row[column] = JSON.stringify(draft[column] || empty);
+    });
+    return row;
+  }
+
+  fromDraftRow(row) {
+    if (!row) return null;
+    const draft = { ...row };
+    Object.keys(JSON_COLUMNS).forEach(column => { draft[column] = JSON.parse(row[column]); });
+    return draft;
+  }
+
+  async findTerms() {
+    return this.db.prepare('SELECT * FROM glossary_terms').all()
+      .sort((a, b) => a.term_th.localeCompare(b.term_th, 'th'));
+  }
+
+  async findTermById(id) {
+    return this.db.prepare('SELECT * FROM glossary_terms WHERE id = ?').get(id) || null;
+  }
+
+  async createTerm(term) {
+    const row = {};
+    TERM_COLUMNS.forEach(column => { row[column] = term[column] ?? null; });
+
+    this.db.prepare(`
+      INSERT INTO glossary_terms (${TERM_COLUMNS.join(', ')})
+      VALUES (${TERM_COLUMNS.map(column => `@${column}`).join(', ')})
+    `).run(row);
+
+    return this.findTermById(term.id);
+  }
+
+  async updateTerm(id, changes) {
+    const existing = await this.findTermById(id);
+    if (!existing) return null;
+
+    this.db.prepare(`
+      UPDATE glossary_terms SET term_th = @term_th, term_en = @term_en, note = @note, updated_at = @updated_at
+      WHERE id = @id
+    `).run({ ...existing, ...changes, id });
+
+    return this.findTermById(id);
+  }
+
+  async deleteTerm(id) {
+    const existing = await this.findTermById(id);
+    if (!existing) return null;
+
+    this.db.prepare('DELETE FROM glossary_terms WHERE id = ?').run(id);
+    return existing;
+  }
+
+  async findDrafts(options = {}) {
+    const conditions = [];
+    const params = {};
+
+    if (options.postId !== undefined) { conditions.push('post_id = @postId'); params.postId = options.postId; }
+    if (options.status !== undefined) { conditions.push('status = @status'); params.status = options.status; }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return this.db.prepare(`SELECT * FROM translation_drafts ${where} ORDER BY created_at DESC`)
+      .all(params)
+      .map(row => this.fromDraftRow(row));
+  }
+
+  async findDraftById(id) {
+    return this.fromDraftRow(this.db.prepare('SELECT * FROM translation_drafts WHERE id = ?').get(id));
+  }
+
+  async createDraft(draft) {
+    this.db.prepare(`
+      INSERT INTO translation_drafts (${DRAFT_COLUMNS.join(', ')})
+      VALUES (${DRAFT_COLUMNS.map(column => `@${column}`).join(', ')})
+    `).run(this.toDraftRow(draft));
+
+    return this.findDraftById(draft.id);
+  }
+
+  async updateDraft(id, changes) {
+    const existing = await this.findDraftById(id);
+    if (!existing) return null;
+
+    this.db.prepare(`
+      UPDATE translation_drafts SET ${DRAFT_COLUMNS.filter(c => c !== 'id').map(c => `${c} = @${c}`).join(', ')}
+      WHERE id = @id
+    `).run(this.toDraftRow({ ...existing, ...changes, id }));
+
+    return this.findDraftById(id);
+  }
+
+  async checkHealth() {
+    try {
+      this.db.prepare('SELECT 1').get();
+      return { status: 'healthy', driver: this.driver };
+    } catch (error) {
+      return { status: 'unhealthy', driver: this.driver, error: error.message };
+    }
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = SqliteTranslationRepository;
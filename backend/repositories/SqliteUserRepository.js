@@ -0,0 +1,130 @@
+/**
+ * SQLite User Repository
+ * Stores users in the same database file as posts. Lookup columns are kept
+ * alongside the full user document, like SqlitePostRepository.
+ */
+
+const path = require('path');
+const UserRepository = require('./UserRepository');
+const { logger } = require('../middleware/errorHandler');
+
+// User fields that live in their own column
+const COLUMNS = ['id', 'username', 'email', 'role', 'is_active', 'created_at', 'updated_at'];
+
+class SqliteUserRepository extends UserRepository {
+  constructor(options = {}) {
+    super({ ...options, driver: 'sqlite' });
+    this.dbPath = options.path || path.join(__dirname, '..', 'posts.sqlite');
+    this.db = null;
+  }
+
+  async initialize() {
+    const Database = require('better-sqlite3');
+
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        id TEXT PRIMARY KEY,
+        username TEXT UNIQUE NOT NULL,
+        email TEXT UNIQUE NOT NULL,
+        role TEXT NOT NULL DEFAULT 'viewer',
+        is_active INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+    `);
+
+    const { count } = this.db.prepare('SELECT COUNT(*) AS count FROM users').get();
+    logger.info(`👥 Loaded ${count} users from ${path.basename(this.dbPath)}`);
+  }
+
+  toRow(user) {
+    const { id, username, email, role, is_active, created_at, updated_at, ...rest } = user;
+    const now = new Date().toISOString();
+    return {
+      id,
+      username,
+      email,
+      role: role || 'viewer',
+      is_active: is_active === false ? 0 : 1,
+      created_at: created_at || now,
+      updated_at: updated_at || now,
+      data: JSON.stringify(rest)
+    };
+  }
+
+  fromRow(row) {
+    if (!row) return null;
+    return {
+      ...JSON.parse(row.data),
+      id: row.id,
+      username: row.username,
+      email: row.email,
+      role: row.role,
+      is_active: row.is_active === 1,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    };
+  }
+
+  async findAll(options = {}) {
+    const rows = options.role
+      ? this.db.prepare('SELECT * FROM users WHERE role = ? ORDER BY created_at ASC').all(options.role)
+      : this.db.prepare('SELECT * FROM users ORDER BY created_at ASC').all();
+    return rows.map(row => this.fromRow(row));
+  }
+
+  async findById(id) {
+    return this.fromRow(this.db.prepare('SELECT * FROM users WHERE id = ?').get(id));
+  }
+
+  async findOneBy(field, value) {
+    if (value === undefined || value === null) return null;
+    if (!COLUMNS.includes(field) && !/^[a-z_]+$/.test(field)) return null;
+
+    const expression = COLUMNS.includes(field) ? field : `json_extract(data, '$.${field}')`;
+    return this.fromRow(this.db.prepare(`SELECT * FROM users WHERE ${expression} = ? LIMIT 1`).get(value));
+  }
+
+  async create(user) {
+    this.db.prepare(`
+      INSERT INTO users (id, username, email, role, is_active, created_at, updated_at, data)
+      VALUES (@id, @username, @email, @role, @is_active, @created_at, @updated_at, @data)
+    `).run(this.toRow(user));
+
+    return this.findById(user.id);
+  }
+
+  async update(id, changes) {
+    const existing = await this.findById(id);
+    if (!existing) return null;
+
+    this.db.prepare(`
+      UPDATE users SET username = @username, email = @email, role = @role, is_active = @is_active,
+        created_at = @created_at, updated_at = @updated_at, data = @data
+      WHERE id = @id
+    `).run(this.toRow({ ...existing, ...changes, id }));
+
+    return this.findById(id);
+  }
+
+  async checkHealth() {
+    try {
+      this.db.prepare('SELECT 1').get();
+      return { status: 'healthy', driver: this.driver };
+    } catch (error) {
+      return { status: 'unhealthy', driver: this.driver, error: error.message };
+    }
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = SqliteUserRepository;
@@ -0,0 +1,93 @@
+/**
+ * Supabase AI Request Repository
+ * Ledger entries are already snake_case and match the ai_requests table columns
+ */
+
+const AIRequestRepository = require('./AIRequestRepository');
+const { logger } = require('../middleware/errorHandler');
+
+// Columns needed to build a usage report
+const SUMMARY_COLUMNS = 'created_at, provider, model_used, user_id, request_type, success, prompt_tokens, completion_tokens, tokens_used, estimated_cost, response_time_ms';
+
+class SupabaseAIRequestRepository extends AIRequestRepository {
+  constructor(options = {}) {
+    super({ ...options, driver: 'supabase' });
+    this.client = options.client || null;
+    this.tableName = options.aiRequestsTable || 'ai_requests';
+  }
+
+  async initialize() {
+    if (!this.client) {
+      this.client = require('../supabaseClient').supabase;
+    }
+
+    if (!this.client) {
+      throw new Error('Supabase client not connected');
+    }
+
+    const { error } = await this.client.from(this.tableName).select('id').limit(1);
+    if (error) {
+      throw new Error(`Supabase connection test failed: ${error.message}`);
+    }
+
+    logger.info('✅ Supabase AI request ledger connected');
+  }
+
+  async create(request) {
+    const { data, error } = await this.client
+      .from(this.tableName)
+      .insert(request)
+      .select();
+
+    if (error) throw new Error(`Database insert failed: ${error.message}`);
+    return data[0];
+  }
+
+  buildQuery(columns, options = {}, queryOptions = {}) {
+    let query = this.client
+      .from(this.tableName)
+      .select(columns, queryOptions)
+      .order('created_at', { ascending: false });
+
+    if (options.from) query = query.gte('created_at', options.from);
+    if (options.to) query = query.lt('created_at', options.to);
+    if (options.provider) query = query.eq('provider', options.provider);
+    if (options.userId) query = query.eq('user_id', options.userId);
+    if (options.requestType) query = query.eq('request_type', options.requestType);
+
+    return query;
+  }
+
+  async findAll(options = {}) {
+    let query = this.buildQuery('*', options, { count: 'exact' });
+
+    const limit = parseInt(options.limit);
+    const offset = parseInt(options.offset) || 0;
+    if (limit > 0) query = query.range(offset, offset + limit - 1);
+
+    const { data, error, count } = await query;
+    if (error) throw new Error(`Database query failed: ${error.message}`);
+    return { requests: data || [], total: count || 0 };
+  }
+
+  async summarize(options = {}) {
+    const { data, error } = await this.buildQuery(SUMMARY_COLUMNS, options);
+    if (error) throw new Error(`Database query failed: ${error.message}`);
+    return AIRequestRepository.aggregate(data || [], options.groupBy);
+  }
+
+  async checkHealth() {
+    try {
+      const { error } = await this.client.from(this.tableName).select('id').limit(1);
+      return {
+        status: error ? 'unhealthy' : 'healthy',
+        driver: this.driver,
+        error: error?.message || null
+      };
+    } catch (error) {
+      return { status: 'unhealthy', driver: this.driver, error: error.message };
+    }
+  }
+}
+
+module.exports = SupabaseAIRequestRepository;
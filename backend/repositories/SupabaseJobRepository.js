@@ -0,0 +1,92 @@
+/**
+ * Supabase Job Repository
+ * Uses the ai_jobs table from database-schema.sql (input, progress, stages and
+ * result are JSONB columns)
+ */
+
+const JobRepository = require('./JobRepository');
+const { logger } = require('../middleware/errorHandler');
+
+const COLUMNS = 'id, type, status, input, progress, stages, result, error, attempts, max_attempts, ' +
+  'cancel_requested, created_by, created_by_name, created_at, started_at, finished_at, updated_at';
+
+class SupabaseJobRepository extends JobRepository {
+  constructor(options = {}) {
+    super({ ...options, driver: 'supabase' });
+    this.client = options.client || null;
+    this.tableName = options.jobsTable || 'ai_jobs';
+  }
+
+  async initialize() {
+    if (!this.client) {
+      this.client = require('../supabaseClient').supabase;
+    }
+
+    if (!this.client) {
+      throw new Error('Supabase client not connected');
+    }
+
+    const { error } = await this.client.from(this.tableName).select('id').limit(1);
+    if (error) {
+      throw new Error(`Supabase connection test failed: ${error.message}`);
+    }
+
+    logger.info('✅ Supabase AI job queue connected');
+  }
+
+  async run(query, action) {
+    const { data, error } = await query;
+    if (error) throw new Error(`Database ${action} failed: ${error.message}`);
+    return data;
+  }
+
+  async create(job) {
+    const data = await this.run(this.client.from(this.tableName).insert(job).select(COLUMNS), 'insert');
+    return data[0];
+  }
+
+  async findById(id) {
+    const data = await this.run(this.client.from(this.tableName).select(COLUMNS).eq('id', id).limit(1), 'query');
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  async findAll(options = {}) {
+    let query = this.client
+      .from(this.tableName)
+      .select(COLUMNS, { count: 'exact' })
+      .order('created_at', { ascending: options.order === 'asc' });
+
+    if (options.status !== undefined) query = query.eq('status', options.status);
+    if (options.type !== undefined) query = query.eq('type', options.type);
+    if (options.createdBy !== undefined) query = query.eq('created_by', options.createdBy);
+
+    if (options.limit) {
+      const offset = options.offset || 0;
+      query = query.range(offset, offset + options.limit - 1);
+    }
+
+    const { data, error, count } = await query;
+    if (error) throw new Error(`Database query failed: ${error.message}`);
+    return { jobs: data || [], total: count || 0 };
+  }
+
+  async update(id, changes) {
+    const { id: ignored, ...row } = changes;
+    const data = await this.run(
+      this.client.from(this.tableName).update(row).eq('id', id).select(COLUMNS),
+      'update'
+    );
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  async checkHealth() {
+    try {
+      await this.run(this.client.from(this.tableName).select('id').limit(1), 'query');
+      return { status: 'healthy', driver: this.driver };
+    } catch (error) {
+      return { status: 'unhealthy', driver: this.driver, error: error.message };
+    }
+  }
+}
+
+module.exports = SupabaseJobRepository;
@@ -0,0 +1,120 @@
+/**
+ * Supabase Media Repository
+ * Media records are already snake_case and match the media table columns
+ * (variants is a JSONB column)
+ */
+
+const MediaRepository = require('./MediaRepository');
+const { logger } = require('../middleware/errorHandler');
+
+class SupabaseMediaRepository extends MediaRepository {
+  constructor(options = {}) {
+    super({ ...options, driver: 'supabase' });
+    this.client = options.client || null;
+    this.tableName = options.mediaTable || 'media';
+  }
+
+  async initialize() {
+    if (!this.client) {
+      this.client = require('../supabaseClient').supabase;
+    }
+
+    if (!this.client) {
+      throw new Error('Supabase client not connected');
+    }
+
+    const { error } = await this.client.from(this.tableName).select('id').limit(1);
+    if (error) {
+      throw new Error(`Supabase connection test failed: ${error.message}`);
+    }
+
+    logger.info('✅ Supabase media library connected');
+  }
+
+  async findAll(options = {}) {
+    let query = this.client
+      .from(this.tableName)
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false });
+
+    if (options.mimeType) query = query.eq('mime_type', options.mimeType);
+    if (options.uploadedBy) query = query.eq('uploaded_by', options.uploadedBy);
+
+    if (options.search) {
+      // PostgREST uses , ( ) as filter syntax inside or()
+      const term = String(options.search).replace(/[,()]/g, ' ');
+      query = query.or(
+        ['filename', 'alt_text_th', 'alt_text_en', 'caption']
+          .map(column => `${column}.ilike.%${term}%`)
+          .join(',')
+      );
+    }
+
+    const limit = parseInt(options.limit);
+    const offset = parseInt(options.offset) || 0;
+    if (limit > 0) query = query.range(offset, offset + limit - 1);
+
+    const { data, error, count } = await query;
+    if (error) throw new Error(`Database query failed: ${error.message}`);
+    return { media: data || [], total: count || 0 };
+  }
+
+  async findById(id) {
+    const { data, error } = await this.client
+      .from(this.tableName)
+      .select('*')
+      .eq('id', id)
+      .limit(1);
+
+    if (error) throw new Error(`Database query failed: ${error.message}`);
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  async create(media) {
+    const { data, error } = await this.client
+      .from(this.tableName)
+      .insert(media)
+      .select();
+
+    if (error) throw new Error(`Database insert failed: ${error.message}`);
+    return data[0];
+  }
+
+  async update(id, changes) {
+    const { id: ignored, ...row } = changes;
+    const { data, error } = await this.client
+      .from(this.tableName)
+      .update(row)
+      .eq('id', id)
+      .select();
+
+    if (error) throw new Error(`Database update failed: ${error.message}`);
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  async delete(id) {
+    const { data, error } = await this.client
+      .from(this.tableName)
+      .delete()
+      .eq('id', id)
+      .select();
+
+    if (error) throw new Error(`Database delete failed: ${error.message}`);
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  async checkHealth() {
+    try {
+      const { error } = await this.client.from(this.tableName).select('id').limit(1);
+      return {
+        status: error ? 'unhealthy' : 'healthy',
+        driver: this.driver,
+        error: error?.message || null
+      };
+    } catch (error) {
+      return { status: 'unhealthy', driver: this.driver, error: error.message };
+    }
+  }
+}
+
+module.exports = SupabaseMediaRepository;
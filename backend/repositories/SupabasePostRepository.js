@@ -0,0 +1,266 @@
+/**
+ * Supabase Post Repository
+ * Maps camelCase post fields to the lowercase columns Postgres creates for
+ * the unquoted identifiers in the posts table (titleTH -> titleth)
+ */
+
+const PostRepository = require('./PostRepository');
+const { Post } = require('../models/Post');
+const { logger } = require('../middleware/errorHandler');
+
+// Columns whose name is not simply the lowercased field name
+const COLUMN_OVERRIDES = {
+  authorId: 'author_id',
+  publishAt: 'publish_at',
+  publishedAt: 'published_at',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  reviewFindings: 'review_findings',
+  reviewedAt: 'reviewed_at'
+};
+
+const toColumn = (field) => COLUMN_OVERRIDES[field] || field.toLowerCase();
+
+const FIELD_BY_COLUMN = [...Post.fields, 'category', 'tags']
+  .reduce((map, field) => ({ ...map, [toColumn(field)]: field }), {});
+
+class SupabasePostRepository extends PostRepository {
+  constructor(options = {}) {
+    super({ ...options, driver: 'supabase' });
+    this.client = options.client || null;
+    this.tableName = options.tableName || 'posts';
+    this.revisionsTable = options.revisionsTable || 'post_revisions';
+  }
+
+  async initialize() {
+    if (!this.client) {
+      this.client = require('../supabaseClient').supabase;
+    }
+
+    if (!this.client) {
+      throw new Error('Supabase client not connected');
+    }
+
+    const { error } = await this.client.from(this.tableName).select('id').limit(1);
+    if (error) {
+      throw new Error(`Supabase connection test failed: ${error.message}`);
+    }
+
+    logger.info('✅ Supabase posts repository connected');
+  }
+
+  toRow(post) {
+    const row = {};
+    Object.entries(post).forEach(([field, value]) => {
+      if (field === 'id' || value === undefined) return;
+      row[toColumn(field)] = value instanceof Date ? value.toISOString() : value;
+    });
+    return row;
+  }
+
+  fromRow(row) {
+    if (!row) return null;
+    const post = {};
+    Object.entries(row).forEach(([column, value]) => {
+      post[FIELD_BY_COLUMN[column] || column] = value;
+    });
+    return post;
+  }
+
+  async findAll(options = {}) {
+    const {
+      status,
+      category,
+      limit,
+      offset = 0,
+      sortBy = 'updatedAt',
+      sortOrder = 'desc',
+      search
+    } = options;
+
+    let query = this.client
+      .from(this.tableName)
+      .select('*', { count: 'exact' });
+
+    if (status) query = query.eq('status', status);
+    if (category) query = query.eq('category', category);
+
+    if (search) {
+      // PostgREST uses , ( ) as filter syntax inside or()
+      const term = search.replace(/[,()]/g, ' ');
+      query = query.or(
+        ['titleTH', 'titleEN', 'content', 'excerpt']
+          .map(field => `${toColumn(field)}.ilike.%${term}%`)
+          .join(',')
+      );
+    }
+
+    query = query.order(toColumn(sortBy), { ascending: sortOrder === 'asc' });
+
+    const limitNum = parseInt(limit);
+    if (!isNaN(limitNum) && limitNum > 0) {
+      const offsetNum = parseInt(offset) || 0;
+      query = query.range(offsetNum, offsetNum + limitNum - 1);
+    }
+
+    const { data, error, count } = await query;
+    if (error) throw new Error(`Database query failed: ${error.message}`);
+
+    const posts = (data || []).map(row => this.fromRow(row));
+    return { posts, total: count ?? posts.length };
+  }
+
+  async findOne(column, value) {
+    const { data, error } = await this.client
+      .from(this.tableName)
+      .select('*')
+      .eq(column, value)
+      .limit(1);
+
+    if (error) throw new Error(`Database query failed: ${error.message}`);
+    return data && data.length > 0 ? this.fromRow(data[0]) : null;
+  }
+
+  async findById(id) {
+    return this.findOne('id', id);
+  }
+
+  async findBySlug(slug, locale = 'th') {
+    return this.findOne(locale === 'en' ? toColumn('slugEN') : 'slug', slug);
+  }
+
+  async create(post) {
+    const { data, error } = await this.client
+      .from(this.tableName)
+      .insert(this.toRow(post))
+      .select();
+
+    if (error) throw new Error(`Database insert failed: ${error.message}`);
+    return this.fromRow(data[0]);
+  }
+
+  async update(id, changes) {
+    const { data, error } = await this.client
+      .from(this.tableName)
+      .update(this.toRow(changes))
+      .eq('id', id)
+      .select();
+
+    if (error) throw new Error(`Database update failed: ${error.message}`);
+    return data && data.length > 0 ? this.fromRow(data[0]) : null;
+  }
+
+  async delete(id) {
+    const { data, error } = await this.client
+      .from(this.tableName)
+      .delete()
+      .eq('id', id)
+      .select();
+
+    if (error) throw new Error(`Database delete failed: ${error.message}`);
+    return data && data.length > 0 ? this.fromRow(data[0]) : null;
+  }
+
+  async incrementViews(id) {
+    const post = await this.findById(id);
+    if (!post) return 0;
+
+    const views = (post.views || 0) + 1;
+    const { error } = await this.client
+      .from(this.tableName)
+      .update({ views })
+      .eq('id', id);
+
+    if (error) {
+      logger.error('Error saving view count:', error);
+    }
+
+    return views;
+  }
+
+  toRevisionRow(revision) {
+    return {
+      post_id: revision.postId,
+      version: revision.version,
+      action: revision.action,
+      author: revision.author,
+      changed_fields: revision.changedFields,
+      restored_from: revision.restoredFrom,
+      snapshot: revision.snapshot,
+      created_at: revision.createdAt
+    };
+  }
+
+  fromRevisionRow(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      postId: row.post_id,
+      version: row.version,
+      action: row.action,
+      author: row.author,
+      changedFields: row.changed_fields || [],
+      restoredFrom: row.restored_from,
+      snapshot: row.snapshot,
+      createdAt: row.created_at
+    };
+  }
+
+  async createRevision(revision) {
+    const { data: latest, error: versionError } = await this.client
+      .from(this.revisionsTable)
+      .select('version')
+      .eq('post_id', revision.postId)
+      .order('version', { ascending: false })
+      .limit(1);
+
+    if (versionError) throw new Error(`Database query failed: ${versionError.message}`);
+
+    const version = latest && latest.length > 0 ? latest[0].version + 1 : 1;
+    const { data, error } = await this.client
+      .from(this.revisionsTable)
+      .insert(this.toRevisionRow({ ...revision, version }))
+      .select();
+
+    if (error) throw new Error(`Database insert failed: ${error.message}`);
+    return this.fromRevisionRow(data[0]);
+  }
+
+  async findRevisions(postId) {
+    const { data, error } = await this.client
+      .from(this.revisionsTable)
+      .select('*')
+      .eq('post_id', postId)
+      .order('version', { ascending: true });
+
+    if (error) throw new Error(`Database query failed: ${error.message}`);
+    return (data || []).map(row => this.fromRevisionRow(row));
+  }
+
+  async findRevision(postId, revisionId) {
+    const { data, error } = await this.client
+      .from(this.revisionsTable)
+      .select('*')
+      .eq('post_id', postId)
+      .eq('id', revisionId)
+      .limit(1);
+
+    if (error) throw new Error(`Database query failed: ${error.message}`);
+    return data && data.length > 0 ? this.fromRevisionRow(data[0]) : null;
+  }
+
+  async checkHealth() {
+    try {
+      const { error } = await this.client.from(this.tableName).select('id').limit(1);
+      return {
+        status: error ? 'unhealthy' : 'healthy',
+        driver: this.driver,
+        error: error?.message || null
+      };
+    } catch (error) {
+      return { status: 'unhealthy', driver: this.driver, error: error.message };
+    }
+  }
+}
+
+module.exports = SupabasePostRepository;
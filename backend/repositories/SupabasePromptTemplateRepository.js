@@ -0,0 +1,104 @@
+/**
+ * Supabase Prompt Template Repository
+ * Uses the prompt_templates table from database-schema.sql (variables is a
+ * JSONB column)
+ */
+
+const PromptTemplateRepository = require('./PromptTemplateRepository');
+const { logger } = require('../middleware/errorHandler');
+
+const COLUMNS = 'id, name, version, description, body, variables, is_active, change_note, ' +
+  'created_by, created_by_name, created_at';
+
+class SupabasePromptTemplateRepository extends PromptTemplateRepository {
+  constructor(options = {}) {
+    super({ ...options, driver: 'supabase' });
+    this.client = options.client || null;
+    this.table = options.promptTemplatesTable || 'prompt_templates';
+  }
+
+  async initialize() {
+    if (!this.client) {
+      this.client = require('../supabaseClient').supabase;
+    }
+
+    if (!this.client) {
+      throw new Error('Supabase client not connected');
+    }
+
+    const { error } = await this.client.from(this.table).select('id').limit(1);
+    if (error) {
+      throw new Error(`Supabase connection test failed: ${error.message}`);
+    }
+
+    logger.info('✅ Supabase prompt templates connected');
+  }
+
+  async run(query, action) {
+    const { data, error } = await query;
+    if (error) throw new Error(`Database ${action} failed: ${error.message}`);
+    return data;
+  }
+
+  async findActive() {
+    return (await this.run(
+      this.client.from(this.table).select(COLUMNS).eq('is_active', true).order('name'),
+      'query'
+    )) || [];
+  }
+
+  async findVersions(name) {
+    return (await this.run(
+      this.client.from(this.table).select(COLUMNS).eq('name', name).order('version', { ascending: false }),
+      'query'
+    )) || [];
+  }
+
+  async findVersion(name, version) {
+    const data = await this.run(
+      this.client.from(this.table).select(COLUMNS).eq('name', name).eq('version', version).limit(1),
+      'query'
+    );
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  async createVersion(template) {
+    const data = await this.run(this.client.from(this.table).insert(template).select(COLUMNS), 'insert');
+    return data[0];
+  }
+
+  async activateVersion(name, version) {
+    const existing = await this.findVersion(name, version);
+    if (!existing) return null;
+
+    await this.run(
+      this.client.from(this.table).update({ is_active: false }).eq('name', name).neq('version', version),
+      'update'
+    );
+    const data = await this.run(
+      this.client.from(this.table).update({ is_active: true }).eq('name', name).eq('version', version).select(COLUMNS),
+      'update'
+    );
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  async deleteTemplate(name) {
+    const data = await this.run(this.client.from(this.table).delete().eq('name', name).select('id'), 'delete');
+    return data ? data.length : 0;
+  }
+
+  async checkHealth() {
+    try {
+      const { error } = await this.client.from(this.table).select('id').limit(1);
+      return {
+        status: error ? 'unhealthy' : 'healthy',
+        driver: this.driver,
+        error: error?.message || null
+      };
+    } catch (error) {
+      return { status: 'unhealthy', driver: this.driver, error: error.message };
+    }
+  }
+}
+
+module.exports = SupabasePromptTemplateRepository;
@@ -0,0 +1,144 @@
+/**
+ * Supabase Taxonomy Repository
+ * Uses the categories, tags and post_tags tables from database-schema.sql
+ */
+
+const TaxonomyRepository = require('./TaxonomyRepository');
+const { logger } = require('../middleware/errorHandler');
+
+const CATEGORY_COLUMNS = 'id, name, name_en, slug, description, parent_id, sort_order, is_active, created_at, updated_at';
+const TAG_COLUMNS = 'id, name, slug, created_at';
+
+class SupabaseTaxonomyRepository extends TaxonomyRepository {
+  constructor(options = {}) {
+    super({ ...options, driver: 'supabase' });
+    this.client = options.client || null;
+    this.categoriesTable = options.categoriesTable || 'categories';
+    this.tagsTable = options.tagsTable || 'tags';
+    this.postTagsTable = options.postTagsTable || 'post_tags';
+  }
+
+  async initialize() {
+    if (!this.client) {
+      this.client = require('../supabaseClient').supabase;
+    }
+
+    if (!this.client) {
+      throw new Error('Supabase client not connected');
+    }
+
+    const { error } = await this.client.from(this.categoriesTable).select('id').limit(1);
+    if (error) {
+      throw new Error(`Supabase connection test failed: ${error.message}`);
+    }
+
+    logger.info('✅ Supabase taxonomy connected');
+  }
+
+  async run(query, action) {
+    const { data, error } = await query;
+    if (error) throw new Error(`Database ${action} failed: ${error.message}`);
+    return data;
+  }
+
+  async findOne(table, columns, field, value) {
+    const data = await this.run(this.client.from(table).select(columns).eq(field, value).limit(1), 'query');
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  async findCategories() {
+    return (await this.run(this.client.from(this.categoriesTable).select(CATEGORY_COLUMNS), 'query')) || [];
+  }
+
+  async findCategoryBy(field, value) {
+    return this.findOne(this.categoriesTable, CATEGORY_COLUMNS, field, value);
+  }
+
+  async createCategory(category) {
+    const data = await this.run(this.client.from(this.categoriesTable).insert(category).select(CATEGORY_COLUMNS), 'insert');
+    return data[0];
+  }
+
+  async updateCategory(id, changes) {
+    const { id: ignored, ...row } = changes;
+    const data = await this.run(
+      this.client.from(this.categoriesTable).update(row).eq('id', id).select(CATEGORY_COLUMNS),
+      'update'
+    );
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  async deleteCategory(id) {
+    const data = await this.run(
+      this.client.from(this.categoriesTable).delete().eq('id', id).select(CATEGORY_COLUMNS),
+      'delete'
+    );
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  async findTags(options = {}) {
+    let query = this.client.from(this.tagsTable).select(TAG_COLUMNS).order('name');
+
+    if (options.search) {
+      // PostgREST uses , ( ) as filter syntax inside or()
+      const term = String(options.search).replace(/[,()]/g, ' ');
+      query = query.or(`name.ilike.%${term}%,slug.ilike.%${term}%`);
+    }
+
+    return (await this.run(query, 'query')) || [];
+  }
+
+  async findTagBy(field, value) {
+    return this.findOne(this.tagsTable, TAG_COLUMNS, field, value);
+  }
+
+  async createTag(tag) {
+    const data = await this.run(this.client.from(this.tagsTable).insert(tag).select(TAG_COLUMNS), 'insert');
+    return data[0];
+  }
+
+  async updateTag(id, changes) {
+    const { id: ignored, ...row } = changes;
+    const data = await this.run(this.client.from(this.tagsTable).update(row).eq('id', id).select(TAG_COLUMNS), 'update');
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  async deleteTag(id) {
+    // post_tags rows go with the tag (ON DELETE CASCADE)
+    const data = await this.run(this.client.from(this.tagsTable).delete().eq('id', id).select(TAG_COLUMNS), 'delete');
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  async findPostTags(options = {}) {
+    let query = this.client.from(this.postTagsTable).select('post_id, tag_id');
+
+    if (options.postId !== undefined) query = query.eq('post_id', options.postId);
+    if (options.tagId !== undefined) query = query.eq('tag_id', options.tagId);
+
+    return (await this.run(query, 'query')) || [];
+  }
+
+  async setPostTags(postId, tagIds) {
+    await this.run(this.client.from(this.postTagsTable).delete().eq('post_id', postId), 'delete');
+
+    if (tagIds.length > 0) {
+      const rows = [...new Set(tagIds)].map(tagId => ({ post_id: postId, tag_id: tagId }));
+      await this.run(this.client.from(this.postTagsTable).insert(rows), 'insert');
+    }
+  }
+
+  async checkHealth() {
+    try {
+      const { error } = await this.client.from(this.categoriesTable).select('id').limit(1);
+      return {
+        status: error ? 'unhealthy' : 'healthy',
+        driver: this.driver,
+        error: error?.message || null
+      };
+    } catch (error) {
+      return { status: 'unhealthy', driver: this.driver, error: error.message };
+    }
+  }
+}
+
+module.exports = SupabaseTaxonomyRepository;
@@ -0,0 +1,121 @@
+/**
+ * Supabase Translation Repository
+ * Uses the glossary_terms and translation_drafts tables from database-schema.sql
+ * (fields, source, warnings and glossary are JSONB columns)
+ */
+
+const TranslationRepository = require('./TranslationRepository');
+const { logger } = require('../middleware/errorHandler');
+
+const TERM_COLUMNS = 'id, term_th, term_en, note, created_by, created_at, updated_at';
+const DRAFT_COLUMNS = 'id, post_id, source_locale, target_locale, status, fields, source, provider, model, ' +
+  'warnings, glossary, created_by, reviewed_by, reviewed_at, created_at, updated_at';
+
+class SupabaseTranslationRepository extends TranslationRepository {
+  constructor(options = {}) {
+    super({ ...options, driver: 'supabase' });
+    this.client = options.client || null;
+    this.glossaryTable = options.glossaryTable || 'glossary_terms';
+    this.draftsTable = options.translationDraftsTable || 'translation_drafts';
+  }
+
+  async initialize() {
+    if (!this.client) {
+      this.client = require('../supabaseClient').supabase;
+    }
+
+    if (!this.client) {
+      throw new Error('Supabase client not connected');
+    }
+
+    const { error } = await this.client.from(this.glossaryTable).select('id').limit(1);
+    if (error) {
+      throw new Error(`Supabase connection test failed: ${error.message}`);
+    }
+
+    logger.info('✅ Supabase translations connected');
+  }
+
+  async run(query, action) {
+    const { data, error } = await query;
+    if (error) throw new Error(`Database ${action} failed: ${error.message}`);
+    return data;
+  }
+
+  async findOne(table, columns, field, value) {
+    const data = await this.run(this.client.from(table).select(columns).eq(field, value).limit(1), 'query');
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  async findTerms() {
+    return (await this.run(this.client.from(this.glossaryTable).select(TERM_COLUMNS).order('term_th'), 'query')) || [];
+  }
+
+  async findTermById(id) {
+    return this.findOne(this.glossaryTable, TERM_COLUMNS, 'id', id);
+  }
+
+  async createTerm(term) {
+    const data = await this.run(this.client.from(this.glossaryTable).insert(term).select(TERM_COLUMNS), 'insert');
+    return data[0];
+  }
+
+  async updateTerm(id, changes) {
+    const { id: ignored, ...row } = changes;
+    const data = await this.run(
+      this.client.from(this.glossaryTable).update(row).eq('id', id).select(TERM_COLUMNS),
+      'update'
+    );
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  async deleteTerm(id) {
+    const data = await this.run(
+      this.client.from(this.glossaryTable).delete().eq('id', id).select(TERM_COLUMNS),
+      'delete'
+    );
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  async findDrafts(options = {}) {
+    let query = this.client.from(this.draftsTable).select(DRAFT_COLUMNS).order('created_at', { ascending: false });
+
+    if (options.postId !== undefined) query = query.eq('post_id', options.postId);
+    if (options.status !== undefined) query = query.eq('status', options.status);
+
+    return (await this.run(query, 'query')) || [];
+  }
+
+  async findDraftById(id) {
+    return this.findOne(this.draftsTable, DRAFT_COLUMNS, 'id', id);
+  }
+
+  async createDraft(draft) {
+    const data = await this.run(this.client.from(this.draftsTable).insert(draft).select(DRAFT_COLUMNS), 'insert');
+    return data[0];
+  }
+
+  async updateDraft(id, changes) {
+    const { id: ignored, ...row } = changes;
+    const data = await this.run(
+      this.client.from(this.draftsTable).update(row).eq('id', id).select(DRAFT_COLUMNS),
+      'update'
+    );
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  async checkHealth() {
+    try {
+      const { error } = await this.client.from(this.glossaryTable).select('id').limit(1);
+      return {
+        status: error ? 'unhealthy' : 'healthy',
+        driver: this.driver,
+        error: error?.message || null
+      };
+    } catch (error) {
+      return { status: 'unhealthy', driver: this.driver, error: error.message };
+    }
+  }
+}
+
+module.exports = SupabaseTranslationRepository;
@@ -0,0 +1,99 @@
+/**
+ * Supabase User Repository
+ * User fields are already snake_case and match the users table columns
+ */
+
+const UserRepository = require('./UserRepository');
+const { logger } = require('../middleware/errorHandler');
+
+class SupabaseUserRepository extends UserRepository {
+  constructor(options = {}) {
+    super({ ...options, driver: 'supabase' });
+    this.client = options.client || null;
+    this.tableName = options.usersTable || 'users';
+  }
+
+  async initialize() {
+    if (!this.client) {
+      this.client = require('../supabaseClient').supabase;
+    }
+
+    if (!this.client) {
+      throw new Error('Supabase client not connected');
+    }
+
+    const { error } = await this.client.from(this.tableName).select('id').limit(1);
+    if (error) {
+      throw new Error(`Supabase connection test failed: ${error.message}`);
+    }
+
+    logger.info('✅ Supabase users repository connected');
+  }
+
+  async findAll(options = {}) {
+    let query = this.client
+      .from(this.tableName)
+      .select('*')
+      .order('created_at', { ascending: true });
+
+    if (options.role) query = query.eq('role', options.role);
+
+    const { data, error } = await query;
+    if (error) throw new Error(`Database query failed: ${error.message}`);
+    return data || [];
+  }
+
+  async findById(id) {
+    return this.findOneBy('id', id);
+  }
+
+  async findOneBy(field, value) {
+    if (value === undefined || value === null) return null;
+
+    const { data, error } = await this.client
+      .from(this.tableName)
+      .select('*')
+      .eq(field, value)
+      .limit(1);
+
+    if (error) throw new Error(`Database query failed: ${error.message}`);
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  async create(user) {
+    const { data, error } = await this.client
+      .from(this.tableName)
+      .insert(user)
+      .select();
+
+    if (error) throw new Error(`Database insert failed: ${error.message}`);
+    return data[0];
+  }
+
+  async update(id, changes) {
+    const { id: ignored, ...row } = changes;
+    const { data, error } = await this.client
+      .from(this.tableName)
+      .update(row)
+      .eq('id', id)
+      .select();
+
+    if (error) throw new Error(`Database update failed: ${error.message}`);
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  async checkHealth() {
+    try {
+      const { error } = await this.client.from(this.tableName).select('id').limit(1);
+      return {
+        status: error ? 'unhealthy' : 'healthy',
+        driver: this.driver,
+        error: error?.message || null
+      };
+    } catch (error) {
+      return { status: 'unhealthy', driver: this.driver, error: error.message };
+    }
+  }
+}
+
+module.exports = SupabaseUserRepository;
@@ -0,0 +1,162 @@
+/**
+ * Taxonomy Repository
+ * Categories, tags and the post_tags join table. Adapters share the posts
+ * storage driver (config.storage.driver) like UserRepository.
+ */
+
+class TaxonomyRepository {
+  constructor(options = {}) {
+    this.options = options;
+    this.driver = options.driver || this.constructor.name.replace('TaxonomyRepository', '').toLowerCase();
+  }
+
+  /**
+   * Prepare the underlying storage (open files, create tables, verify connection)
+   */
+  async initialize() {
+    throw new Error('initialize method must be implemented by subclass');
+  }
+
+  /**
+   * @returns {Promise<Object[]>} - All categories, active or not
+   */
+  async findCategories() {
+    throw new Error('findCategories method must be implemented by subclass');
+  }
+
+  /**
+   * Find the first category whose field equals a value
+   * @param {string} field - 'id' or 'slug'
+   * @param {*} value - Value to match
+   * @returns {Promise<Object|null>}
+   */
+  async findCategoryBy(field, value) {
+    throw new Error('findCategoryBy method must be implemented by subclass');
+  }
+
+  /**
+   * Store a category. The caller assigns the ID.
+   * @param {Object} category - Validated category
+   * @returns {Promise<Object>} - Stored category
+   */
+  async createCategory(category) {
+    throw new Error('createCategory method must be implemented by subclass');
+  }
+
+  /**
+   * @param {string} id - Category ID
+   * @param {Object} changes - Fields to overwrite
+   * @returns {Promise<Object|null>} - Updated category, or null when not found
+   */
+  async updateCategory(id, changes) {
+    throw new Error('updateCategory method must be implemented by subclass');
+  }
+
+  /**
+   * @param {string} id - Category ID
+   * @returns {Promise<Object|null>} - Deleted category, or null when not found
+   */
+  async deleteCategory(id) {
+    throw new Error('deleteCategory method must be implemented by subclass');
+  }
+
+  /**
+   * @param {Object} options - { search } matched against name and slug
+   * @returns {Promise<Object[]>} - Tags ordered by name
+   */
+  async findTags(options = {}) {
+    throw new Error('findTags method must be implemented by subclass');
+  }
+
+  /**
+   * Find the first tag whose field equals a value
+   * @param {string} field - 'id' or 'slug'
+   * @param {*} value - Value to match
+   * @returns {Promise<Object|null>}
+   */
+  async findTagBy(field, value) {
+    throw new Error('findTagBy method must be implemented by subclass');
+  }
+
+  /**
+   * Store a tag. The caller assigns the ID.
+   * @param {Object} tag - Validated tag
+   * @returns {Promise<Object>} - Stored tag
+   */
+  async createTag(tag) {
+    throw new Error('createTag method must be implemented by subclass');
+  }
+
+  /**
+   * @param {string} id - Tag ID
+   * @param {Object} changes - Fields to overwrite
+   * @returns {Promise<Object|null>} - Updated tag, or null when not found
+   */
+  async updateTag(id, changes) {
+    throw new Error('updateTag method must be implemented by subclass');
+  }
+
+  /**
+   * Delete a tag and its post assignments
+   * @param {string} id - Tag ID
+   * @returns {Promise<Object|null>} - Deleted tag, or null when not found
+   */
+  async deleteTag(id) {
+    throw new Error('deleteTag method must be implemented by subclass');
+  }
+
+  /**
+   * Rows of the post_tags join table
+   * @param {Object} options - { postId, tagId }
+   * @returns {Promise<Array<{post_id: number, tag_id: string}>>}
+   */
+  async findPostTags(options = {}) {
+    throw new Error('findPostTags method must be implemented by subclass');
+  }
+
+  /**
+   * Replace the tags assigned to a post
+   * @param {number} postId - Post ID
+   * @param {string[]} tagIds - Tag IDs (an empty list removes every assignment)
+   */
+  async setPostTags(postId, tagIds) {
+    throw new Error('setPostTags method must be implemented by subclass');
+  }
+
+  /**
+   * Move every assignment of one tag to another (used by tag merge).
+   * Posts that already have the target tag keep a single assignment.
+   * @param {string} fromTagId - Tag being merged away
+   * @param {string} toTagId - Tag that remains
+   */
+  async moveTagPosts(fromTagId, toTagId) {
+    const rows = await this.findPostTags({ tagId: fromTagId });
+
+    for (const { post_id: postId } of rows) {
+      const tagIds = (await this.findPostTags({ postId })).map(row => row.tag_id);
+      await this.setPostTags(postId, [...new Set(tagIds.map(id => (id === fromTagId ? toTagId : id)))]);
+    }
+  }
+
+  async findCategoryById(id) {
+    return this.findCategoryBy('id', id);
+  }
+
+  async findCategoryBySlug(slug) {
+    return this.findCategoryBy('slug', slug);
+  }
+
+  async findTagById(id) {
+    return this.findTagBy('id', id);
+  }
+
+  async findTagBySlug(slug) {
+    return this.findTagBy('slug', slug);
+  }
+
+  async checkHealth() {
+    return { status: 'healthy', driver: this.driver };
+  }
+}
+
+module.exports = TaxonomyRepository;
@@ -0,0 +1,100 @@
+/**
+ * Translation Repository
+ * Glossary terms and AI translation drafts. Adapters share the posts
+ * storage driver (config.storage.driver) like TaxonomyRepository.
+ */
+
+class TranslationRepository {
+  constructor(options = {}) {
+    this.options = options;
+    this.driver = options.driver || this.constructor.name.replace('TranslationRepository', '').toLowerCase();
+  }
+
+  /**
+   * Prepare the underlying storage (open files, create tables, verify connection)
+   */
+  async initialize() {
+    throw new Error('initialize method must be implemented by subclass');
+  }
+
+  /**
+   * @returns {Promise<Object[]>} - Glossary terms ordered by Thai term
+   */
+  async findTerms() {
+    throw new Error('findTerms method must be implemented by subclass');
+  }
+
+  /**
+   * @param {string} id - Term ID
+   * @returns {Promise<Object|null>}
+   */
+  async findTermById(id) {
+    throw new Error('findTermById method must be implemented by subclass');
+  }
+
+  /**
+   * Store a glossary term. The caller assigns the ID.
+   * @param {Object} term - Validated term
+   * @returns {Promise<Object>} - Stored term
+   */
+  async createTerm(term) {
+    throw new Error('createTerm method must be implemented by subclass');
+  }
+
+  /**
+   * @param {string} id - Term ID
+   * @param {Object} changes - Fields to overwrite
+   * @returns {Promise<Object|null>} - Updated term, or null when not found
+   */
+  async updateTerm(id, changes) {
+    throw new Error('updateTerm method must be implemented by subclass');
+  }
+
+  /**
+   * @param {string} id - Term ID
+   * @returns {Promise<Object|null>} - Deleted term, or null when not found
+   */
+  async deleteTerm(id) {
+    throw new Error('deleteTerm method must be implemented by subclass');
+  }
+
+  /**
+   * @param {Object} options - { postId, status }
+   * @returns {Promise<Object[]>} - Drafts, newest first
+   */
+  async findDrafts(options = {}) {
+    throw new Error('findDrafts method must be implemented by subclass');
+  }
+
+  /**
+   * @param {string} id - Draft ID
+   * @returns {Promise<Object|null>}
+   */
+  async findDraftById(id) {
+    throw new Error('findDraftById method must be implemented by subclass');
+  }
+
+  /**
+   * Store a translation draft. The caller assigns the ID.
+   * @param {Object} draft - Validated draft
+   * @returns {Promise<Object>} - Stored draft
+   */
+  async createDraft(draft) {
+    throw new Error('createDraft method must be implemented by subclass');
+  }
+
+  /**
+   * @param {string} id - Draft ID
+   * @param {Object} changes - Fields to overwrite
+   * @returns {Promise<Object|null>} - Updated draft, or null when not found
+   */
+  async updateDraft(id, changes) {
+    throw new Error('updateDraft method must be implemented by subclass');
+  }
+
+  async checkHealth() {
+    return { status: 'healthy', driver: this.driver };
+  }
+}
+
+module.exports = TranslationRepository;
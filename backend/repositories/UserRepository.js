@@ -0,0 +1,85 @@
+/**
+ * User Repository
+ * Storage-agnostic interface for user accounts. Adapters share the posts
+ * storage driver (config.storage.driver) so one deployment has one backend.
+ */
+
+class UserRepository {
+  constructor(options = {}) {
+    this.options = options;
+    this.driver = options.driver || this.constructor.name.replace('UserRepository', '').toLowerCase();
+  }
+
+  /**
+   * Prepare the underlying storage (open files, create tables, verify connection)
+   */
+  async initialize() {
+    throw new Error('initialize method must be implemented by subclass');
+  }
+
+  /**
+   * @param {Object} options - { role }
+   * @returns {Promise<Object[]>} - Users ordered by creation time
+   */
+  async findAll(options = {}) {
+    throw new Error('findAll method must be implemented by subclass');
+  }
+
+  /**
+   * @param {string} id - User ID
+   * @returns {Promise<Object|null>}
+   */
+  async findById(id) {
+    throw new Error('findById method must be implemented by subclass');
+  }
+
+  /**
+   * Find the first user whose field equals a value
+   * @param {string} field - 'username', 'email' or 'invite_token_hash'
+   * @param {*} value - Value to match
+   * @returns {Promise<Object|null>}
+   */
+  async findOneBy(field, value) {
+    throw new Error('findOneBy method must be implemented by subclass');
+  }
+
+  /**
+   * Store a new user. The caller assigns the ID.
+   * @param {Object} user - User record
+   * @returns {Promise<Object>} - Stored user
+   */
+  async create(user) {
+    throw new Error('create method must be implemented by subclass');
+  }
+
+  /**
+   * Merge changes into an existing user
+   * @param {string} id - User ID
+   * @param {Object} changes - Fields to overwrite
+   * @returns {Promise<Object|null>} - Updated user, or null when not found
+   */
+  async update(id, changes) {
+    throw new Error('update method must be implemented by subclass');
+  }
+
+  /**
+   * Usernames and emails are stored lowercase, so lookups are case-insensitive
+   */
+  async findByUsername(username) {
+    return this.findOneBy('username', String(username || '').toLowerCase());
+  }
+
+  async findByEmail(email) {
+    return this.findOneBy('email', String(email || '').toLowerCase());
+  }
+
+  async findByInviteTokenHash(hash) {
+    return this.findOneBy('invite_token_hash', hash);
+  }
+
+  async checkHealth() {
+    return { status: 'healthy', driver: this.driver };
+  }
+}
+
+module.exports = UserRepository;
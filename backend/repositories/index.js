@@ -0,0 +1,213 @@
+/**
+ * Repository factories
+ * Select the storage adapters from config.storage (POSTS_STORAGE_DRIVER)
+ */
+
+const config = require('../config/config');
+const PostRepository = require('./PostRepository');
+const FilePostRepository = require('./FilePostRepository');
+const UserRepository = require('./UserRepository');
+const FileUserRepository = require('./FileUserRepository');
+const AIRequestRepository = require('./AIRequestRepository');
+const FileAIRequestRepository = require('./FileAIRequestRepository');
+const MediaRepository = require('./MediaRepository');
+const FileMediaRepository = require('./FileMediaRepository');
+const TaxonomyRepository = require('./TaxonomyRepository');
+const FileTaxonomyRepository = require('./FileTaxonomyRepository');
+const TranslationRepository = require('./TranslationRepository');
+const FileTranslationRepository = require('./FileTranslationRepository');
+const JobRepository = require('./JobRepository');
+const FileJobRepository = require('./FileJobRepository');
+const PromptTemplateRepository = require('./PromptTemplateRepository');
+const FilePromptTemplateRepository = require('./FilePromptTemplateRepository');
+
+/**
+ * Create a repository of one kind for the configured driver
+ * @param {Object} drivers - Driver name -> function returning the adapter class,
+ *   so optional dependencies (the native SQLite binding) load only when selected
+ * @param {string} label - What the repository stores, for the unknown-driver error
+ * @param {Object} storageConfig - { driver, file, sqlite, supabase }
+ * @returns {Object} - Repository instance
+ */
+const createRepository = (drivers, label, storageConfig = config.storage) => {
+  const driver = storageConfig.driver;
+  const loadRepository = drivers[driver];
+
+  if (!loadRepository) {
+    throw new Error(`Unknown ${label} storage driver: ${driver} (expected one of ${Object.keys(drivers).join(', ')})`);
+  }
+
+  const Repository = loadRepository();
+  return new Repository(storageConfig[driver] || {});
+};
+
+/**
+ * Getter for one instance of a repository, created on first use
+ * @param {Function} create - Repository factory
+ * @returns {Function}
+ */
+const shared = (create) => {
+  let repository = null;
+  return () => {
+    if (!repository) {
+      repository = create();
+    }
+    return repository;
+  };
+};
+
+const postDrivers = {
+  file: () => FilePostRepository,
+  sqlite: () => require('./SqlitePostRepository'),
+  supabase: () => require('./SupabasePostRepository')
+};
+
+/**
+ * @param {Object} storageConfig - { driver, file, sqlite, supabase }
+ * @returns {PostRepository}
+ */
+const createPostRepository = (storageConfig) => createRepository(postDrivers, 'posts', storageConfig);
+
+// Shared by PostsController, PostModel and the blog endpoints
+const getPostRepository = shared(createPostRepository);
+
+// Users, like every other repository, live next to posts in the same storage
+const userDrivers = {
+  file: () => FileUserRepository,
+  sqlite: () => require('./SqliteUserRepository'),
+  supabase: () => require('./SupabaseUserRepository')
+};
+
+/**
+ * @param {Object} storageConfig - { driver, file, sqlite, supabase }
+ * @returns {UserRepository}
+ */
+const createUserRepository = (storageConfig) => createRepository(userDrivers, 'users', storageConfig);
+
+// Shared by UsersController, SecurityService and the auth middleware
+const getUserRepository = shared(createUserRepository);
+
+const aiRequestDrivers = {
+  file: () => FileAIRequestRepository,
+  sqlite: () => require('./SqliteAIRequestRepository'),
+  supabase: () => require('./SupabaseAIRequestRepository')
+};
+
+/**
+ * @param {Object} storageConfig - { driver, file, sqlite, supabase }
+ * @returns {AIRequestRepository}
+ */
+const createAIRequestRepository = (storageConfig) => createRepository(aiRequestDrivers, 'AI request', storageConfig);
+
+// Shared by AIRequestLedger and the usage report endpoint
+const getAIRequestRepository = shared(createAIRequestRepository);
+
+const mediaDrivers = {
+  file: () => FileMediaRepository,
+  sqlite: () => require('./SqliteMediaRepository'),
+  supabase: () => require('./SupabaseMediaRepository')
+};
+
+/**
+ * @param {Object} storageConfig - { driver, file, sqlite, supabase }
+ * @returns {MediaRepository}
+ */
+const createMediaRepository = (storageConfig) => createRepository(mediaDrivers, 'media', storageConfig);
+
+// Shared by MediaController
+const getMediaRepository = shared(createMediaRepository);
+
+const taxonomyDrivers = {
+  file: () => FileTaxonomyRepository,
+  sqlite: () => require('./SqliteTaxonomyRepository'),
+  supabase: () => require('./SupabaseTaxonomyRepository')
+};
+
+/**
+ * @param {Object} storageConfig - { driver, file, sqlite, supabase }
+ * @returns {TaxonomyRepository}
+ */
+const createTaxonomyRepository = (storageConfig) => createRepository(taxonomyDrivers, 'taxonomy', storageConfig);
+
+// Shared by TaxonomyController
+const getTaxonomyRepository = shared(createTaxonomyRepository);
+
+const translationDrivers = {
+  file: () => FileTranslationRepository,
+  sqlite: () => require('./SqliteTranslationRepository'),
+  supabase: () => require('./SupabaseTranslationRepository')
+};
+
+/**
+ * @param {Object} storageConfig - { driver, file, sqlite, supabase }
+ * @returns {TranslationRepository}
+ */
+const createTranslationRepository = (storageConfig) => createRepository(translationDrivers, 'translation', storageConfig);
+
+// Shared by TranslationController
+const getTranslationRepository = shared(createTranslationRepository);
+
+const jobDrivers = {
+  file: () => FileJobRepository,
+  sqlite: () => require('./SqliteJobRepository'),
+  supabase: () => require('./SupabaseJobRepository')
+};
+
+/**
+ * @param {Object} storageConfig - { driver, file, sqlite, supabase }
+ * @returns {JobRepository}
+ */
+const createJobRepository = (storageConfig) => createRepository(jobDrivers, 'job', storageConfig);
+
+// Shared by JobQueue
+const getJobRepository = shared(createJobRepository);
+
+const promptTemplateDrivers = {
+  file: () => FilePromptTemplateRepository,
+  sqlite: () => require('./SqlitePromptTemplateRepository'),
+  supabase: () => require('./SupabasePromptTemplateRepository')
+};
+
+/**
+ * @param {Object} storageConfig - { driver, file, sqlite, supabase }
+ * @returns {PromptTemplateRepository}
+ */
+const createPromptTemplateRepository = (storageConfig) => createRepository(promptTemplateDrivers, 'prompt template', storageConfig);
+
+// Shared by PromptTemplateRegistry
+const getPromptTemplateRepository = shared(createPromptTemplateRepository);
+
+module.exports = {
+  createPostRepository,
+  getPostRepository,
+  createUserRepository,
+  getUserRepository,
+  createAIRequestRepository,
+  getAIRequestRepository,
+  createMediaRepository,
+  getMediaRepository,
+  createTaxonomyRepository,
+  getTaxonomyRepository,
+  createTranslationRepository,
+  getTranslationRepository,
+  createJobRepository,
+  getJobRepository,
+  createPromptTemplateRepository,
+  getPromptTemplateRepository,
+  PostRepository,
+  FilePostRepository,
+  UserRepository,
+  FileUserRepository,
+  AIRequestRepository,
+  FileAIRequestRepository,
+  MediaRepository,
+  FileMediaRepository,
+  TaxonomyRepository,
+  FileTaxonomyRepository,
+  TranslationRepository,
+  FileTranslationRepository,
+  JobRepository,
+  FileJobRepository,
+  PromptTemplateRepository,
+  FilePromptTemplateRepository
+};
@@ -4,11 +4,16 @@
 
 const express = require('express');
 const router = express.Router();
-const { authenticateAdmin } = require('../middleware/auth');
+const { authenticate, authenticateAdmin, optionalAuth, requirePermission } = require('../middleware/auth');
 const SecureConfigService = require('../services/SecureConfigService');
 const SwarmCouncilManager = require('../services/SwarmCouncilManager');
-const { getProviderConfig } = require('../ai/providers/config/providers.config');
+const { getProviderConfig, getEnabledProviders } = require('../ai/providers/config/providers.config');
 const aiProviderService = require('../services/AIProviderService');
+const aiRequestLedger = require('../services/AIRequestLedger');
+const jobQueue = require('../services/JobQueue');
+const promptCache = require('../services/PromptCache');
+const promptTemplates = require('../services/PromptTemplateRegistry');
+const swarmWorkflows = require('../ai/swarm/workflows/SwarmWorkflowRegistry');
 const ProviderFactory = require('../ai/providers/factory/ProviderFactory');
 
 // Get AI Swarm Councils from singleton manager (lazy initialization)
@@ -30,6 +35,19 @@ const getInitializedCouncils = () => {
     }
 };
 
+/**
+ * Attach the caller and request type to every AI request ledger entry
+ * recorded while the route runs (including swarm stages deep in the council)
+ */
+const withLedgerContext = (requestType) => (req, res, next) => {
+    aiRequestLedger.runWithContext({
+        requestType: requestType,
+        // The bootstrap admin has no users row, so user_id stays empty
+        userId: req.user && !req.user.bootstrap ? req.user.id : null,
+        username: req.user?.username
+    }, next);
+};
+
 // ✅ AI_PROVIDERS configuration (simplified - no dynamic getters)
 const AI_PROVIDERS = {
     gemini: {
@@ -94,6 +112,7 @@ router.get('/', (req, res) => {
             testProvider: 'GET /api/ai/test/:provider - Test specific provider (browser)',
             testProviderPost: 'POST /api/ai/test/:provider - Test specific provider (frontend)',
             metrics: 'GET /api/ai/metrics - Performance metrics',
+            usageReport: 'GET /api/ai/usage/report - Persisted usage and cost by day, provider and user (admin)',
             conversations: 'GET /api/ai/conversations - Conversation logs',
             health: 'GET /api/ai/health - Health check'
         },
@@ -368,6 +387,17 @@ router.get('/usage', async (req, res) => {
             }
         }
         
+        // Persisted totals from the AI request ledger (survive restarts)
+        try {
+            usage.ledger = await aiRequestLedger.getUsageReport({ groupBy: ['provider'] });
+        } catch (error) {
+            console.warn('⚠️ [AI USAGE] Ledger report unavailable:', error.message);
+            usage.ledger = null;
+        }
+        
+        // Prompt cache hits never reach a provider (or the ledger)
+        usage.cache = promptCache.getStats();
+        
         res.json({
             success: true,
             data: usage
@@ -382,6 +412,52 @@ router.get('/usage', async (req, res) => {
     }
 });
 
+/**
+ * ✅ LEDGER: Usage report from the persisted AI request ledger
+ * GET /api/ai/usage/report?from=2025-01-01&to=2025-01-31&groupBy=day,provider,user
+ *
+ * from/to accept ISO timestamps or YYYY-MM-DD days (to is inclusive; default
+ * the last 30 days). groupBy is any of day, provider, model, user, requestType.
+ * Optional filters: provider, userId, requestType.
+ */
+router.get('/usage/report', authenticateAdmin, async (req, res) => {
+    try {
+        const { from, to, provider, userId, requestType } = req.query;
+        const groupBy = req.query.groupBy
+            ? String(req.query.groupBy).split(',').map(field => field.trim()).filter(Boolean)
+            : undefined;
+        
+        const report = await aiRequestLedger.getUsageReport({
+            from: from,
+            to: to,
+            groupBy: groupBy,
+            provider: provider ? aiProviderService.mapProviderName(provider) : undefined,
+            userId: userId,
+            requestType: requestType
+        });
+        
+        res.json({
+            success: true,
+            data: report
+        });
+        
+    } catch (error) {
+        if (/^Invalid /.test(error.message)) {
+            return res.status(400).json({
+                success: false,
+                error: error.message,
+                code: 'INVALID_REPORT_QUERY'
+            });
+        }
+        
+        console.error('❌ [AI USAGE] Report failed:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to build usage report'
+        });
+    }
+});
+
 // Cost tracking storage (in production, use database)
 let costTracking = {
     totalCost: 0,
@@ -1229,10 +1305,68 @@ router.post('/providers/:provider/test', async (req, res) => {
 });
 
 /**
- * Simulate collaborative task
+ * Models a provider can use
+ * GET /api/ai/providers/:provider/models?refresh=true
+ * Providers that can list their models (self-hosted OpenAI-compatible
+ * endpoints) are asked; the others report the models in their configuration.
+ * Asking calls out to the provider, so it takes posts:write like the swarm routes.
+ */
+router.get('/providers/:provider/models', authenticate, requirePermission('posts:write'), async (req, res) => {
+    const { provider } = req.params;
+    
+    let providerInstance;
+    try {
+        providerInstance = await aiProviderService.getProviderInstance(provider);
+    } catch (error) {
+        return res.status(404).json({
+            success: false,
+            error: 'AI provider not available',
+            message: error.message
+        });
+    }
+    
+    if (typeof providerInstance.listModels !== 'function') {
+        return res.json({
+            success: true,
+            data: {
+                provider: provider,
+                discovered: false,
+                model: providerInstance.model,
+                models: (providerInstance.config.models || []).map(id => ({ id }))
+            },
+            timestamp: new Date().toISOString()
+        });
+    }
+    
+    try {
+        const models = await providerInstance.listModels({ refresh: req.query.refresh === 'true' });
+        
+        res.json({
+            success: true,
+            data: {
+                provider: provider,
+                discovered: true,
+                model: providerInstance.model || models[0]?.id || null,
+                models: models
+            },
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(502).json({
+            success: false,
+            error: 'Model discovery failed',
+            message: error.message,
+            provider: provider
+        });
+    }
+});
+
+/**
+ * Collaborative task across several providers
  * POST /api/ai/collaborate
+ * Body: { taskType, providers: [], content } - without content the result is simulated
  */
-router.post('/collaborate', async (req, res) => {
+router.post('/collaborate', optionalAuth, withLedgerContext('collaborate'), async (req, res) => {
     try {
         const { taskType, providers, content } = req.body;
         
@@ -1252,18 +1386,40 @@ router.post('/collaborate', async (req, res) => {
             });
         }
         
-        // Simulate collaboration process
         const collaborationId = `collab_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
         
-        // Mock collaboration results
-        const results = validProviders.map(provider => {
+        // With content, every provider really works on the task (each call is
+        // recorded in the AI request ledger); without it the result is simulated
+        const hasContent = typeof content === 'string' && content.trim().length > 0;
+        const contributions = hasContent
+            ? await aiRequestLedger.runWithContext({ metadata: { collaborationId, taskType } }, () =>
+                Promise.allSettled(validProviders.map(provider =>
+                    aiProviderService.processMessage(provider, `Task: ${taskType}\n\n${content.trim()}`)
+                ))
+            )
+            : [];
+        
+        const results = validProviders.map((provider, index) => {
             const config = SecureConfigService.getProviderConfig(provider);
+            const contribution = contributions[index];
+            
+            if (contribution && contribution.status === 'rejected') {
+                return {
+                    provider,
+                    name: config.name,
+                    contribution: null,
+                    error: contribution.reason?.error || contribution.reason?.message || 'Provider request failed',
+                    score: 0,
+                    responseTime: contribution.reason?.processingTime || 0
+                };
+            }
+            
             return {
                 provider,
                 name: config.name,
-                contribution: `${config.name} contribution to ${taskType}`,
+                contribution: contribution ? contribution.value.response : `${config.name} contribution to ${taskType}`,
                 score: 0.7 + Math.random() * 0.3,
-                responseTime: config.responseTime + (Math.random() * 500 - 250)
+                responseTime: contribution ? contribution.value.processingTime : config.responseTime + (Math.random() * 500 - 250)
             };
         });
         
@@ -1274,6 +1430,7 @@ router.post('/collaborate', async (req, res) => {
             collaborationId,
             taskType,
             participants: validProviders,
+            simulated: !hasContent,
             results,
             consensus: {
                 score: consensusScore,
@@ -1448,7 +1605,7 @@ router.post('/chat-optimized', async (req, res) => {
         console.log('🔍 [OPTIMIZED CHAT] Request body:', JSON.stringify(req.body, null, 2));
         
         // Input validation
-        const { provider, message, model, maxTokens = 1000, temperature = 0.7 } = req.body;
+        const { provider, message, model, maxTokens = 1000, temperature = 0.7, strategy, cache } = req.body;
         
         console.log('🔍 [OPTIMIZED CHAT] Extracted parameters:');
         console.log('  - provider:', provider);
@@ -1480,7 +1637,9 @@ router.post('/chat-optimized', async (req, res) => {
         const result = await aiProviderService.processMessage(provider, message.trim(), {
             model: model,
             maxTokens: maxTokens,
-            temperature: temperature
+            temperature: temperature,
+            strategy: strategy,
+            cache: cache // false: always ask the provider
         });
         
         console.log('🎯 [AI CHAT] RESULT - Provider used:', result.provider);
@@ -1648,8 +1807,12 @@ router.post('/test-chat', async (req, res) => {
 /**
  * ✅ OPTIMIZED: AI chat completion endpoint (updated original)
  * POST /api/ai/chat
+ *
+ * Instead of message, send template: { name, variables } to render a
+ * registered prompt template (see /api/ai/prompts); the response names the
+ * template version used.
  */
-router.post('/chat', async (req, res) => {
+router.post('/chat', optionalAuth, withLedgerContext('chat'), async (req, res) => {
     const requestStart = Date.now();
     
     try {
@@ -1657,7 +1820,19 @@ router.post('/chat', async (req, res) => {
         console.log('🔍 [AI CHAT] Request body:', JSON.stringify(req.body, null, 2));
         
         // Input validation with enhanced token support
-        const { provider, message, model, maxTokens = 1000, temperature = 0.7, options = {} } = req.body;
+        const { provider, model, maxTokens = 1000, temperature = 0.7, strategy, cache, template, options = {} } = req.body;
+        let { message } = req.body;
+        
+        // A registered prompt template stands in for the message
+        let templateUsed = null;
+        if (template && !message) {
+            const rendered = await promptTemplates.preview(template.name, template.variables || {});
+            if (!rendered.success) {
+                return res.status(rendered.error === 'Template not found' ? 404 : 400).json(rendered);
+            }
+            message = rendered.data.prompt;
+            templateUsed = rendered.data.template;
+        }
         
         console.log('🎯 [AI CHAT] DEBUGGING - Selected provider:', provider);
         console.log('🎯 [AI CHAT] DEBUGGING - Message preview:', message?.substring(0, 50) + '...');
@@ -1691,7 +1866,9 @@ router.post('/chat', async (req, res) => {
             maxTokens: options.maxTokens || maxTokens, // Prioritize options.maxTokens
             temperature: temperature,
             contentLength: options.contentLength,
-            articleType: options.articleType
+            articleType: options.articleType,
+            strategy: strategy, // Routing strategy when provider is 'auto' or unavailable
+            cache: cache // false: always ask the provider
         };
         
         console.log('📏 [AI CHAT] Final options passed to service:', enhancedOptions);
@@ -1735,6 +1912,7 @@ router.post('/chat', async (req, res) => {
         // Success response
         res.json({
             ...result,
+            ...(templateUsed && { template: templateUsed }),
             requestTime: totalTime,
             timestamp: new Date().toISOString()
         });
@@ -1765,6 +1943,162 @@ router.post('/chat', async (req, res) => {
     }
 });
 
+/**
+ * ✅ STREAMING: AI chat completion as Server-Sent Events
+ * POST /api/ai/chat/stream
+ *
+ * Same body as /api/ai/chat. Events:
+ *   start     { provider, model, routing, fallbackUsed? }
+ *   reasoning { content }  (thinking tokens, DeepSeek R1)
+ *   token     { content }
+ *   done      { content, model, usage, finishReason, processingTime }
+ *   error     { error, code }
+ * Closing the connection cancels the upstream provider request; usage of the
+ * tokens generated so far is still recorded.
+ */
+router.post('/chat/stream', authenticate, withLedgerContext('chat-stream'), async (req, res) => {
+    const requestStart = Date.now();
+    const { provider, message, model, maxTokens = 1000, temperature = 0.7, strategy, options = {} } = req.body || {};
+    
+    if (!provider || typeof message !== 'string' || message.trim().length === 0) {
+        return res.status(400).json({
+            success: false,
+            error: 'Missing required parameters',
+            details: 'provider and a non-empty message are required'
+        });
+    }
+    
+    // Headers go out with the first event, so failures before streaming
+    // (no provider, circuit breaker OPEN) still get a normal JSON error
+    const sendEvent = (event, data) => {
+        if (!res.headersSent) {
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream; charset=utf-8',
+                'Cache-Control': 'no-cache, no-transform',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no' // Stop nginx/Render proxies from buffering the stream
+            });
+        }
+        if (!res.writableEnded) {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        }
+    };
+    
+    // Cancel the provider request when the admin closes the tab or aborts the fetch
+    const abortController = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            abortController.abort();
+        }
+    });
+    
+    // Comment lines keep idle proxies from closing slow streams (DeepSeek R1 thinks for a while)
+    const heartbeat = setInterval(() => {
+        if (res.headersSent && !res.writableEnded) res.write(': ping\n\n');
+    }, 15000);
+    
+    let usedProvider = aiProviderService.mapProviderName(provider);
+    
+    try {
+        const events = aiProviderService.streamMessage(provider, message.trim(), {
+            model: model,
+            maxTokens: options.maxTokens || maxTokens,
+            temperature: temperature,
+            contentLength: options.contentLength,
+            articleType: options.articleType,
+            signal: abortController.signal,
+            strategy: strategy
+        });
+        
+        for await (const event of events) {
+            const { type, ...data } = event;
+            
+            if (type === 'start') {
+                usedProvider = data.provider;
+            }
+            
+            if (type === 'done') {
+                recordStreamUsage(usedProvider, message.trim(), data, Date.now() - requestStart);
+                if (data.cancelled) {
+                    console.log(`🛑 [AI STREAM] ${usedProvider} stream cancelled by client after ${data.usage.completionTokens} tokens`);
+                    break;
+                }
+            }
+            
+            sendEvent(type, data);
+        }
+    } catch (error) {
+        if (abortController.signal.aborted) {
+            return; // Client went away before the provider answered
+        }
+        
+        console.error('❌ [AI STREAM] Stream failed:', error.message || error);
+        
+        const metrics = providerMetrics[usedProvider];
+        if (metrics) {
+            metrics.errorCount++;
+            metrics.lastUpdateTime = new Date().toISOString();
+        }
+        
+        const failure = {
+            error: error.message || error.error || 'Stream failed',
+            code: error.code || 'STREAM_FAILED'
+        };
+        
+        if (!res.headersSent) {
+            return res.status(error.code === 'CIRCUIT_BREAKER_OPEN' ? 503 : 502).json({
+                success: false,
+                ...failure,
+                requestTime: Date.now() - requestStart
+            });
+        }
+        sendEvent('error', failure);
+    } finally {
+        clearInterval(heartbeat);
+        if (!res.writableEnded) res.end();
+    }
+});
+
+/**
+ * Record tokens and cost of a finished (or cancelled) stream for /usage, /metrics and /conversations
+ */
+function recordStreamUsage(provider, prompt, result, responseTime) {
+    const tokens = result.usage.totalTokens || 0;
+    const cost = calculateCost(provider, tokens);
+    
+    if (costTracking.providers[provider]) {
+        updateCostTracking(provider, tokens, cost);
+    }
+    
+    const metrics = providerMetrics[provider];
+    if (metrics) {
+        metrics.responseTimesHistory.push(responseTime);
+        metrics.responseTimesHistory = metrics.responseTimesHistory.slice(-50);
+        metrics.successCount++;
+        metrics.lastUpdateTime = new Date().toISOString();
+        metrics.isActive = true;
+    }
+    
+    conversationLogs.unshift({
+        id: Date.now() + Math.random(),
+        timestamp: new Date().toISOString(),
+        provider: provider,
+        providerName: AI_PROVIDERS[provider]?.name || provider,
+        type: 'chat-stream',
+        prompt: prompt,
+        response: result.content,
+        responseTime: responseTime,
+        tokensUsed: tokens,
+        usage: result.usage,
+        cancelled: result.cancelled,
+        success: true,
+        cost: cost
+    });
+    if (conversationLogs.length > 100) {
+        conversationLogs.length = 100;
+    }
+}
+
 /**
  * Get E-A-T Guidelines and Scoring
  * GET /api/ai/swarm/eat-guidelines
@@ -1837,6 +2171,71 @@ router.get('/cache/stats', async (req, res) => {
     }
 });
 
+/**
+ * ✅ PROMPT CACHE: Inspect and purge cached provider responses
+ * GET    /api/ai/cache/prompts?provider=&model=&limit=&offset=  (stats and entries, newest use first)
+ * GET    /api/ai/cache/prompts/:key                            (entry with its cached response)
+ * DELETE /api/ai/cache/prompts/:key
+ * DELETE /api/ai/cache/prompts?provider=&model=                 (all matching entries, or everything)
+ */
+router.get('/cache/prompts', authenticateAdmin, (req, res) => {
+    const { provider, model, limit, offset } = req.query;
+    const { entries, total } = promptCache.list({ provider, model, limit, offset });
+    
+    res.json({
+        success: true,
+        data: entries,
+        stats: promptCache.getStats(),
+        pagination: {
+            total: total,
+            limit: Math.min(parseInt(limit) || 50, 200),
+            offset: parseInt(offset) || 0
+        }
+    });
+});
+
+router.get('/cache/prompts/:key', authenticateAdmin, (req, res) => {
+    const entry = promptCache.get(req.params.key);
+    if (!entry) {
+        return res.status(404).json({
+            success: false,
+            error: 'Cache entry not found'
+        });
+    }
+    
+    res.json({
+        success: true,
+        data: entry
+    });
+});
+
+router.delete('/cache/prompts/:key', authenticateAdmin, (req, res) => {
+    if (!promptCache.delete(req.params.key)) {
+        return res.status(404).json({
+            success: false,
+            error: 'Cache entry not found'
+        });
+    }
+    
+    res.json({
+        success: true,
+        message: 'Cache entry removed'
+    });
+});
+
+router.delete('/cache/prompts', authenticateAdmin, (req, res) => {
+    const { provider, model } = req.query;
+    const removed = promptCache.purge({ provider, model });
+    
+    console.log(`🧹 [AI CACHE] Purged ${removed} prompt cache entries`, { provider, model });
+    
+    res.json({
+        success: true,
+        data: { removed: removed },
+        message: `Removed ${removed} cache entries`
+    });
+});
+
 // Health check endpoint  
 router.get('/health', async (req, res) => {
     try {
@@ -1866,6 +2265,61 @@ router.get('/health', async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /api/ai/routing:
+ *   get:
+ *     summary: Preview which provider a chat request would be routed to
+ *     description: |
+ *       Scores every provider by circuit breaker state, rolling latency, model
+ *       price and E-A-T capabilities and explains the choice. Nothing is sent
+ *       to a provider. Chat endpoints accept the same strategy in their body.
+ *     tags: [AI]
+ *     parameters:
+ *       - in: query
+ *         name: strategy
+ *         schema:
+ *           type: string
+ *           enum: [fallback, cheapest, fastest, highest-quality, weighted-round-robin]
+ *       - in: query
+ *         name: provider
+ *         description: Requested provider; 'auto' (default) lets the strategy decide
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: capabilities
+ *         description: Comma-separated E-A-T dimensions that define quality
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Routing decision with per-provider scores
+ *       400:
+ *         description: Unknown strategy
+ */
+router.get('/routing', (req, res) => {
+    const { strategy, provider = 'auto', capabilities } = req.query;
+    
+    try {
+        const routing = aiProviderService.previewRouting(provider, {
+            strategy: strategy,
+            capabilities: capabilities ? String(capabilities).split(',').map(item => item.trim()).filter(Boolean) : undefined
+        });
+        
+        res.json({
+            success: true,
+            data: routing,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: 'Invalid routing request',
+            message: error.message
+        });
+    }
+});
+
 /**
  * ✅ CIRCUIT BREAKER ENDPOINTS
  * Manage circuit breaker states and monitoring
@@ -2067,13 +2521,28 @@ router.get('/swarm/errors', async (req, res) => {
 
 // NOTE: Duplicate route removed - using enhanced version below
 
+/**
+ * GET /api/ai/swarm/workflows
+ * Workflows that /swarm/process can run, and definition files that failed validation
+ */
+router.get('/swarm/workflows', authenticate, requirePermission('posts:write'), (req, res) => {
+    res.json({
+        success: true,
+        data: swarmWorkflows.list(),
+        timestamp: new Date().toISOString()
+    });
+});
+
 /**
  * ✅ PRODUCTION FIX: POST /api/ai/swarm/process
- * Execute swarm council workflow (missing endpoint)
+ * Queue a swarm council workflow as a background job. Responds 202 with the
+ * job ID; progress is pushed over WebSocket (job_update) and the result is
+ * fetched from GET /api/ai/jobs/:id. With dryRun: true it responds 200 with
+ * the planned execution graph instead, without queueing or calling providers.
  */
-router.post('/swarm/process', async (req, res) => {
+router.post('/swarm/process', authenticate, requirePermission('posts:write'), async (req, res) => {
     try {
-        const { prompt, workflow = 'full' } = req.body;
+        const { prompt, workflow = 'full', cache, dryRun = false } = req.body;
         
         if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
             return res.status(400).json({
@@ -2083,68 +2552,51 @@ router.post('/swarm/process', async (req, res) => {
             });
         }
         
-        const validWorkflows = ['full', 'create', 'review', 'optimize'];
-        if (!validWorkflows.includes(workflow)) {
+        if (!swarmWorkflows.has(workflow)) {
             return res.status(400).json({
                 success: false,
-                error: `Invalid workflow. Must be one of: ${validWorkflows.join(', ')}`,
+                error: `Invalid workflow. Must be one of: ${swarmWorkflows.names().join(', ')}`,
                 code: 'INVALID_WORKFLOW'
             });
         }
         
-        console.log(`🤖 [AI SWARM] Processing request: ${workflow} workflow for "${prompt.substring(0, 50)}..."`);
-        
-        // Get swarm council from singleton manager
-        const manager = SwarmCouncilManager.getInstance();
-        const swarmCouncil = manager.getSwarmCouncil();
-        
-        if (!swarmCouncil) {
-            return res.status(503).json({
-                success: false,
-                error: 'Swarm Council not available',
-                code: 'SWARM_NOT_AVAILABLE'
+        if (dryRun) {
+            // Council members when the council is up, otherwise the providers it would start with
+            const { swarmCouncil: currentSwarmCouncil } = getInitializedCouncils();
+            const availableProviders = currentSwarmCouncil?.isInitialized
+                ? Object.keys(currentSwarmCouncil.providers)
+                : Object.keys(getEnabledProviders());
+            
+            return res.json({
+                success: true,
+                data: { dryRun: true, ...swarmWorkflows.plan(workflow, { availableProviders }) },
+                timestamp: new Date().toISOString()
             });
         }
         
-        if (!swarmCouncil.isInitialized) {
-            console.log('🔄 [AI SWARM] Swarm Council not initialized, attempting initialization...');
-            try {
-                await swarmCouncil.initializeSwarm();
-                if (!swarmCouncil.isInitialized) {
-                    throw new Error('Initialization failed');
-                }
-            } catch (initError) {
-                console.error('❌ [AI SWARM] Initialization failed:', initError);
-                return res.status(503).json({
-                    success: false,
-                    error: 'Swarm Council initialization failed',
-                    code: 'SWARM_INIT_FAILED',
-                    details: initError.message
-                });
-            }
+        const result = await jobQueue.submit('swarm', { prompt, workflow, ...(cache !== undefined && { cache }) }, { user: req.user });
+        if (!result.success) {
+            return res.status(400).json({
+                ...result,
+                code: 'SWARM_JOB_REJECTED'
+            });
         }
         
-        const startTime = Date.now();
-        
-        // Execute swarm workflow
-        const result = await swarmCouncil.processContent(prompt, workflow);
-        const executionTime = Date.now() - startTime;
+        console.log(`🤖 [AI SWARM] Queued ${workflow} workflow as job ${result.data.id}`);
         
-        console.log(`✅ [AI SWARM] ${workflow} workflow completed in ${executionTime}ms`);
-        
-        res.json({
+        res.status(202).json({
             success: true,
             data: {
-                ...result,
-                executionTime: executionTime,
+                jobId: result.data.id,
+                status: result.data.status,
                 workflow: workflow,
-                requestId: `swarm_${Date.now()}`
+                statusUrl: `/api/ai/jobs/${result.data.id}`
             },
             timestamp: new Date().toISOString()
         });
         
     } catch (error) {
-        console.error('❌ [AI SWARM] Process failed:', error);
+        console.error('❌ [AI SWARM] Queueing failed:', error);
         
         res.status(500).json({
             success: false,
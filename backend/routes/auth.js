@@ -3,10 +3,64 @@
 
 const express = require('express');
 const router = express.Router();
-const { generateAdminToken, validateAdminCredentials, getActiveSessions, invalidateSession, authenticateAdmin } = require('../middleware/auth');
+const { generateAdminToken, validateCredentials, validateTwoFactor, getActiveSessions, invalidateSession, authenticate, authenticateAdmin } = require('../middleware/auth');
+const usersController = require('../controllers/usersController');
 const { loginRateLimit } = require('../middleware/rateLimiter');
 const { logger } = require('../middleware/errorHandler');
 
+/**
+ * Reply to a failed credential or two-factor check
+ */
+const sendAuthFailure = (res, authResult) => {
+    if (authResult.blocked) {
+        return res.status(429).json({
+            success: false,
+            error: 'Too many failed attempts',
+            message: authResult.error,
+            code: 'ACCOUNT_LOCKED'
+        });
+    }
+    
+    return res.status(401).json({
+        success: false,
+        error: 'Authentication failed',
+        message: authResult.error,
+        code: authResult.code || 'INVALID_CREDENTIALS'
+    });
+};
+
+/**
+ * Issue the JWT for a validated session
+ */
+const sendLoginSuccess = (res, authResult, clientIp) => {
+    // Generate JWT token with session information
+    const token = generateAdminToken(authResult.username, authResult.sessionId, authResult.userId, {
+        role: authResult.role,
+        bootstrap: authResult.bootstrap
+    });
+    
+    logger.info(`✅ Successful ${authResult.role} login: ${authResult.username} from ${clientIp}`);
+    
+    // ✅ Response format matching login.html expectations
+    res.json({
+        success: true,
+        message: 'Login successful',
+        token: token, // ✅ Direct token field (login.html expects data.token)
+        user: {
+            id: authResult.userId,
+            username: authResult.username,
+            role: authResult.role,
+            isAdmin: authResult.role === 'admin',
+            loginTime: new Date().toISOString()
+        },
+        sessionId: authResult.sessionId.substring(0, 8) + '...', // Masked session ID
+        expiresIn: process.env.JWT_EXPIRATION || '24h',
+        ...(authResult.twoFactorMethod === 'recovery' && {
+            recoveryCodesRemaining: authResult.recoveryCodesRemaining
+        })
+    });
+};
+
 /**
  * POST /api/auth/login
  * Enhanced authentication with secure session management
@@ -55,46 +109,26 @@ router.post('/login',
                 });
             }
             
-            // Validate admin credentials with enhanced security
-            const authResult = validateAdminCredentials(trimmedUsername, trimmedPassword, clientIp);
+            // Validate user credentials (stored accounts, then the bootstrap admin)
+            const authResult = await validateCredentials(trimmedUsername, trimmedPassword, clientIp);
             
-            if (!authResult.valid) {
-                if (authResult.blocked) {
-                    return res.status(429).json({
-                        success: false,
-                        error: 'Too many failed attempts',
-                        message: authResult.error,
-                        code: 'ACCOUNT_LOCKED'
-                    });
-                }
-                
-                return res.status(401).json({
+            // Password was right but the account is enrolled in 2FA - no token yet
+            if (authResult.twoFactorRequired) {
+                return res.json({
                     success: false,
-                    error: 'Authentication failed',
-                    message: authResult.error,
-                    code: 'INVALID_CREDENTIALS'
+                    twoFactorRequired: true,
+                    message: 'Enter the code from your authenticator app',
+                    code: 'TWO_FACTOR_REQUIRED',
+                    challengeToken: authResult.challengeToken,
+                    expiresAt: authResult.expiresAt
                 });
             }
             
-            // Generate JWT token with session information
-            const token = generateAdminToken(authResult.username, authResult.sessionId, authResult.userId);
-            
-            logger.info(`✅ Successful admin login: ${authResult.username} from ${clientIp}`);
+            if (!authResult.valid) {
+                return sendAuthFailure(res, authResult);
+            }
             
-            // ✅ Response format matching login.html expectations
-            res.json({
-                success: true,
-                message: 'Login successful',
-                token: token, // ✅ Direct token field (login.html expects data.token)
-                user: {
-                    id: authResult.userId,
-                    username: authResult.username,
-                    isAdmin: true,
-                    loginTime: new Date().toISOString()
-                },
-                sessionId: authResult.sessionId.substring(0, 8) + '...', // Masked session ID
-                expiresIn: process.env.JWT_EXPIRATION || '24h'
-            });
+            sendLoginSuccess(res, authResult, clientIp);
             
         } catch (error) {
             logger.error('Login error:', error);
@@ -110,6 +144,158 @@ router.post('/login',
     }
 );
 
+/**
+ * POST /api/auth/login/2fa
+ * Second login step for accounts with two-factor authentication.
+ * Accepts a TOTP code or one of the account's recovery codes.
+ */
+router.post('/login/2fa',
+    express.json(),
+    loginRateLimit,
+    async (req, res) => {
+        try {
+            const { challengeToken, code } = req.body || {};
+            const clientIp = req.ip || req.connection.remoteAddress || 'unknown';
+            
+            if (typeof challengeToken !== 'string' || typeof code !== 'string' || !code.trim()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Missing code',
+                    message: 'challengeToken and code are required',
+                    code: 'MISSING_CREDENTIALS'
+                });
+            }
+            
+            const authResult = await validateTwoFactor(challengeToken, code.trim(), clientIp);
+            
+            if (!authResult.valid) {
+                return sendAuthFailure(res, authResult);
+            }
+            
+            sendLoginSuccess(res, authResult, clientIp);
+            
+        } catch (error) {
+            logger.error('Two-factor login error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Internal server error',
+                message: 'Unable to process login request. Please try again later.',
+                code: 'SERVER_ERROR'
+            });
+        }
+    }
+);
+
+/**
+ * Send a two-factor management result; a wrong code is 401 like a wrong password
+ */
+const sendTwoFactorResult = (res, result) => {
+    if (result.success) {
+        return res.json(result);
+    }
+    
+    const status = result.error === 'Invalid authentication code' ? 401
+        : result.error === 'User not found' ? 404
+        : 400;
+    res.status(status).json(result);
+};
+
+const twoFactorRoute = (name, handler) => async (req, res) => {
+    try {
+        sendTwoFactorResult(res, await handler(req));
+    } catch (error) {
+        logger.error(`${name} error:`, error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            code: 'SERVER_ERROR'
+        });
+    }
+};
+
+/**
+ * GET /api/auth/2fa
+ * Two-factor status of the signed-in account
+ */
+router.get('/2fa',
+    authenticate,
+    twoFactorRoute('Two-factor status', req => usersController.getTwoFactorStatus(req.user))
+);
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start enrollment - returns the secret and an otpauth:// URI to show as a QR code
+ */
+router.post('/2fa/setup',
+    authenticate,
+    twoFactorRoute('Two-factor setup', req => usersController.setupTwoFactor(req.user))
+);
+
+/**
+ * POST /api/auth/2fa/enable
+ * Confirm enrollment with a code from the app; returns one-time recovery codes
+ */
+router.post('/2fa/enable',
+    express.json(),
+    authenticate,
+    loginRateLimit,
+    twoFactorRoute('Two-factor enable', req => usersController.enableTwoFactor(req.user, req.body?.code))
+);
+
+/**
+ * POST /api/auth/2fa/disable
+ * Turn two-factor login off (requires a current code or recovery code)
+ */
+router.post('/2fa/disable',
+    express.json(),
+    authenticate,
+    loginRateLimit,
+    twoFactorRoute('Two-factor disable', req => usersController.disableTwoFactor(req.user, req.body?.code))
+);
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Replace the recovery codes (requires a current code or recovery code)
+ */
+router.post('/2fa/recovery-codes',
+    express.json(),
+    authenticate,
+    loginRateLimit,
+    twoFactorRoute('Recovery codes', req => usersController.regenerateRecoveryCodes(req.user, req.body?.code))
+);
+
+/**
+ * POST /api/auth/accept-invite
+ * Set a password for an invited account (token from POST /api/users/invite)
+ */
+router.post('/accept-invite',
+    express.json(),
+    loginRateLimit, // Invite tokens are secrets - limit guessing like logins
+    async (req, res) => {
+        try {
+            const { token, password } = req.body || {};
+            const result = await usersController.acceptInvite(token, password);
+            
+            if (!result.success) {
+                return res.status(400).json(result);
+            }
+            
+            res.json({
+                success: true,
+                data: result.data,
+                message: 'Password set - you can now log in'
+            });
+        } catch (error) {
+            logger.error('Accept invite error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Internal server error',
+                code: 'SERVER_ERROR'
+            });
+        }
+    }
+);
+
 /**
  * POST /api/auth/verify
  * Verify if current token is still valid
@@ -132,10 +318,12 @@ router.post('/verify',
             const jwt = require('jsonwebtoken');
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
             
-            if (!decoded.isAdmin) {
+            // Tokens issued before user roles existed only carry isAdmin
+            const role = decoded.role || (decoded.isAdmin ? 'admin' : null);
+            if (!role) {
                 return res.status(403).json({ 
                     error: 'Invalid token',
-                    message: 'Token does not have admin privileges'
+                    message: 'Token does not carry a user role'
                 });
             }
             
@@ -143,7 +331,8 @@ router.post('/verify',
                 valid: true,
                 user: {
                     username: decoded.username,
-                    isAdmin: decoded.isAdmin,
+                    role,
+                    isAdmin: role === 'admin',
                     loginTime: decoded.loginTime
                 },
                 expiresAt: new Date(decoded.exp * 1000).toISOString()
@@ -0,0 +1,219 @@
+/**
+ * Category Routes
+ * Public category navigation with post counts, and category management for
+ * editors (taxonomy:manage)
+ */
+
+const express = require('express');
+const router = express.Router();
+const taxonomyController = require('../controllers/taxonomyController');
+const { authenticate, optionalAuth, requirePermission } = require('../middleware/auth');
+const { User } = require('../models/User');
+const { logger } = require('../middleware/errorHandler');
+
+const STATUS_BY_ERROR = {
+  'Category not found': 404,
+  'Category already exists': 409,
+  'Category in use': 409
+};
+
+/**
+ * Send a controller result with the matching HTTP status
+ */
+const sendResult = (res, result, successStatus = 200) => {
+  if (!result.success) {
+    return res.status(STATUS_BY_ERROR[result.error] || 400).json(result);
+  }
+  res.status(successStatus).json(result);
+};
+
+const handleError = (name, res, error) => {
+  logger.error(`${name} route error:`, error);
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error',
+    message: error.message
+  });
+};
+
+// Inactive categories are only listed for signed-in editors that ask for them
+const canSeeInactive = (req) => req.query.includeInactive === 'true' && User.can(req.user, 'taxonomy:manage');
+
+router.use(express.json());
+
+/**
+ * @swagger
+ * /api/categories:
+ *   get:
+ *     summary: List categories with published post counts
+ *     description: Returns a tree of root categories with nested children. count is the
+ *       number of published posts in the category itself, total includes subcategories.
+ *     tags: [Categories]
+ *     parameters:
+ *       - in: query
+ *         name: flat
+ *         description: Return a flat list in display order instead of a tree
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: includeInactive
+ *         description: Include inactive categories (requires taxonomy:manage)
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Categories
+ */
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    sendResult(res, await taxonomyController.listCategories({
+      flat: req.query.flat === 'true',
+      includeInactive: canSeeInactive(req)
+    }));
+  } catch (error) {
+    handleError('List categories', res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/categories/{idOrSlug}:
+ *   get:
+ *     summary: Get a category with its subcategories and ancestors
+ *     tags: [Categories]
+ *     parameters:
+ *       - in: path
+ *         name: idOrSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Category with count, total, children and ancestors (root first)
+ *       404:
+ *         description: Category not found
+ */
+router.get('/:idOrSlug', optionalAuth, async (req, res) => {
+  try {
+    sendResult(res, await taxonomyController.getCategory(req.params.idOrSlug, {
+      includeInactive: canSeeInactive(req)
+    }));
+  } catch (error) {
+    handleError('Get category', res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/categories:
+ *   post:
+ *     summary: Create a category
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Thai name
+ *               name_en:
+ *                 type: string
+ *               slug:
+ *                 type: string
+ *                 description: Generated from name_en or name when omitted
+ *               description:
+ *                 type: string
+ *               parent_id:
+ *                 type: string
+ *                 nullable: true
+ *               sort_order:
+ *                 type: integer
+ *               is_active:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Category created
+ *       400:
+ *         description: Validation error or unknown parent
+ *       409:
+ *         description: Slug already taken
+ */
+router.post('/', authenticate, requirePermission('taxonomy:manage'), async (req, res) => {
+  try {
+    sendResult(res, await taxonomyController.createCategory(req.body), 201);
+  } catch (error) {
+    handleError('Create category', res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/categories/{id}:
+ *   patch:
+ *     summary: Update a category
+ *     description: A new slug is also written to the posts in the category.
+ *       Moving a category below itself or its descendants is refused.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Category updated
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Category not found
+ *       409:
+ *         description: Slug already taken
+ */
+router.patch('/:id', authenticate, requirePermission('taxonomy:manage'), async (req, res) => {
+  try {
+    sendResult(res, await taxonomyController.updateCategory(req.params.id, req.body));
+  } catch (error) {
+    handleError('Update category', res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/categories/{id}:
+ *   delete:
+ *     summary: Delete an empty category
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Category deleted
+ *       404:
+ *         description: Category not found
+ *       409:
+ *         description: Category has subcategories or posts (data lists them)
+ */
+router.delete('/:id', authenticate, requirePermission('taxonomy:manage'), async (req, res) => {
+  try {
+    sendResult(res, await taxonomyController.deleteCategory(req.params.id));
+  } catch (error) {
+    handleError('Delete category', res, error);
+  }
+});
+
+module.exports = router;
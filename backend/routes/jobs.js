@@ -0,0 +1,201 @@
+/**
+ * AI Job Routes
+ * Queue swarm council and E-A-T runs as background jobs, follow their
+ * progress, cancel or retry them and fetch their results. Progress is also
+ * pushed over WebSocket (job_update messages in the jobs room).
+ */
+
+const express = require('express');
+const router = express.Router();
+const jobQueue = require('../services/JobQueue');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { logger } = require('../middleware/errorHandler');
+
+const STATUS_BY_ERROR = {
+  'Forbidden': 403,
+  'Job not found': 404,
+  'Job already finished': 409,
+  'Job not retryable': 409
+};
+
+/**
+ * Send a queue result with the matching HTTP status
+ */
+const sendResult = (res, result, successStatus = 200) => {
+  if (!result.success) {
+    return res.status(STATUS_BY_ERROR[result.error] || 400).json(result);
+  }
+  res.status(successStatus).json(result);
+};
+
+const handleError = (name, res, error) => {
+  logger.error(`${name} route error:`, error);
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error',
+    message: error.message
+  });
+};
+
+router.use(express.json());
+
+/**
+ * @swagger
+ * /api/ai/jobs:
+ *   post:
+ *     summary: Queue a swarm council or E-A-T job
+ *     tags: [AI Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [type, input]
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [swarm, eat]
+ *               input:
+ *                 type: object
+ *                 description: "swarm: { prompt, workflow }; eat: { prompt, targetKeyword, contentType }"
+ *     responses:
+ *       202:
+ *         description: Job queued; follow it with GET /api/ai/jobs/{id}
+ */
+router.post('/', authenticate, requirePermission('posts:write'), async (req, res) => {
+  try {
+    const { type, input } = req.body || {};
+    sendResult(res, await jobQueue.submit(type, input, { user: req.user }), 202);
+  } catch (error) {
+    handleError('Submit AI job', res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/ai/jobs:
+ *   get:
+ *     summary: List AI jobs, newest first (authors see their own)
+ *     tags: [AI Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, running, completed, failed, cancelled]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [swarm, eat]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Job summaries without results
+ */
+router.get('/', authenticate, requirePermission('posts:write'), async (req, res) => {
+  try {
+    sendResult(res, await jobQueue.listJobs(req.query, { user: req.user }));
+  } catch (error) {
+    handleError('List AI jobs', res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/ai/jobs/{id}:
+ *   get:
+ *     summary: Get a job with its progress and result
+ *     tags: [AI Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job
+ *       404:
+ *         description: Job not found
+ */
+router.get('/:id', authenticate, requirePermission('posts:write'), async (req, res) => {
+  try {
+    sendResult(res, await jobQueue.getJob(req.params.id, { user: req.user }));
+  } catch (error) {
+    handleError('Get AI job', res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/ai/jobs/{id}/cancel:
+ *   post:
+ *     summary: Cancel a queued or running job
+ *     description: Running jobs stop after their current stage
+ *     tags: [AI Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job cancelled (or cancellation requested)
+ *       409:
+ *         description: Job already finished
+ */
+router.post('/:id/cancel', authenticate, requirePermission('posts:write'), async (req, res) => {
+  try {
+    sendResult(res, await jobQueue.cancel(req.params.id, { user: req.user }));
+  } catch (error) {
+    handleError('Cancel AI job', res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/ai/jobs/{id}/retry:
+ *   post:
+ *     summary: Queue a failed or cancelled job again
+ *     tags: [AI Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       202:
+ *         description: Job queued again
+ *       409:
+ *         description: Job is not failed or cancelled
+ */
+router.post('/:id/retry', authenticate, requirePermission('posts:write'), async (req, res) => {
+  try {
+    sendResult(res, await jobQueue.retry(req.params.id, { user: req.user }), 202);
+  } catch (error) {
+    handleError('Retry AI job', res, error);
+  }
+});
+
+module.exports = router;
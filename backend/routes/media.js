@@ -0,0 +1,276 @@
+/**
+ * Media Library Routes
+ * Upload images (thumbnail and WebP variants are generated), edit alt text,
+ * search the library and delete images no post uses
+ */
+
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const config = require('../config/config');
+const mediaController = require('../controllers/mediaController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { logger } = require('../middleware/errorHandler');
+
+const STATUS_BY_ERROR = {
+  'No file uploaded': 400,
+  'Forbidden': 403,
+  'Media not found': 404,
+  'Media in use': 409,
+  'File too large': 413,
+  'Unsupported file type': 415
+};
+
+// Files stay in memory: they are decoded and resized before anything is stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.media.maxFileSize, files: 1 }
+});
+
+/**
+ * Send a controller result with the matching HTTP status
+ */
+const sendResult = (res, result, successStatus = 200) => {
+  if (!result.success) {
+    return res.status(STATUS_BY_ERROR[result.error] || 400).json(result);
+  }
+  res.status(successStatus).json(result);
+};
+
+const handleError = (name, res, error) => {
+  logger.error(`${name} route error:`, error);
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error',
+    message: error.message
+  });
+};
+
+/**
+ * Parse the single "file" field, answering multer limit errors like the controller would
+ */
+const receiveFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      return sendResult(res, error.code === 'LIMIT_FILE_SIZE'
+        ? mediaController.fileTooLarge()
+        : { success: false, error: 'Invalid upload', message: error.message });
+    }
+    next(error);
+  });
+};
+
+router.use(express.json());
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /api/media:
+ *   get:
+ *     summary: List and search the media library
+ *     tags: [Media]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         description: Matches file name, alt text and caption
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: mimeType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: uploadedBy
+ *         description: User ID
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Media with url, thumbnailUrl and webpUrl, newest first
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { search, mimeType, uploadedBy, limit, offset } = req.query;
+    sendResult(res, await mediaController.listMedia({ search, mimeType, uploadedBy, limit, offset }));
+  } catch (error) {
+    handleError('List media', res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/media:
+ *   post:
+ *     summary: Upload an image
+ *     description: Stores the original plus a thumbnail and a WebP variant. The file type
+ *       is checked from its content; JPEG, PNG, WebP, GIF and AVIF are accepted by default.
+ *     tags: [Media]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               alt_text_th:
+ *                 type: string
+ *               alt_text_en:
+ *                 type: string
+ *               caption:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Media created
+ *       400:
+ *         description: No file or invalid metadata
+ *       413:
+ *         description: File larger than MEDIA_MAX_FILE_SIZE
+ *       415:
+ *         description: Not an allowed image type
+ */
+router.post('/', requirePermission('media:upload'), receiveFile, async (req, res) => {
+  try {
+    const { alt_text_th, alt_text_en, caption } = req.body || {};
+    const metadata = Object.fromEntries(
+      Object.entries({ alt_text_th, alt_text_en, caption }).filter(([, value]) => value !== undefined)
+    );
+
+    const result = await mediaController.uploadMedia(req.file, metadata, { user: req.user });
+    sendResult(res, result, 201);
+  } catch (error) {
+    handleError('Upload media', res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/media/{id}:
+ *   get:
+ *     summary: Get a media item and the posts that use it
+ *     tags: [Media]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Media with usedBy (posts whose featured image or content reference it)
+ *       404:
+ *         description: Media not found
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    sendResult(res, await mediaController.getMedia(req.params.id));
+  } catch (error) {
+    handleError('Get media', res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/media/{id}:
+ *   patch:
+ *     summary: Update alt text and caption
+ *     description: Authors can only change their own uploads.
+ *     tags: [Media]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               alt_text_th:
+ *                 type: string
+ *               alt_text_en:
+ *                 type: string
+ *               caption:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Media updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not the uploader
+ *       404:
+ *         description: Media not found
+ */
+router.patch('/:id', requirePermission('media:upload'), async (req, res) => {
+  try {
+    sendResult(res, await mediaController.updateMedia(req.params.id, req.body, { user: req.user }));
+  } catch (error) {
+    handleError('Update media', res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/media/{id}:
+ *   delete:
+ *     summary: Delete an image and its variants
+ *     description: Refused while a post's featured image or content still references it.
+ *       Authors can only delete their own uploads.
+ *     tags: [Media]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Media deleted
+ *       403:
+ *         description: Not the uploader
+ *       404:
+ *         description: Media not found
+ *       409:
+ *         description: Media in use, data.usedBy lists the posts
+ */
+router.delete('/:id', requirePermission('media:upload'), async (req, res) => {
+  try {
+    sendResult(res, await mediaController.deleteMedia(req.params.id, { user: req.user }));
+  } catch (error) {
+    handleError('Delete media', res, error);
+  }
+});
+
+module.exports = router;
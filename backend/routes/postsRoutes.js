@@ -6,10 +6,19 @@
 const express = require('express');
 const router = express.Router();
 const postsController = require('../controllers/postsController');
+const { Post } = require('../models/Post');
 const { cacheMiddleware, clearCache } = require('../middleware/cache');
 const { validatePost } = require('../middleware/validation');
-const { authenticateAdmin } = require('../middleware/auth');
+const { authenticate, optionalAuth, requirePermission } = require('../middleware/auth');
 const { logger } = require('../middleware/errorHandler');
+const { User } = require('../models/User');
+
+// Drafts, scheduled and archived posts, and internal fields such as review
+// findings (Post.toPublic), are shown only to signed-in users who may read them
+const canReadUnpublished = (req) => User.can(req.user, 'posts:read');
+
+// Cache what those users see apart from the public responses
+const visibilityCacheKey = (req) => `${req.method}:${req.originalUrl}:${canReadUnpublished(req) ? 'staff' : 'public'}`;
 
 /**
  * @swagger
@@ -39,15 +48,30 @@ const { logger } = require('../middleware/errorHandler');
  *         excerpt:
  *           type: string
  *           description: Post excerpt
+ *         slugEN:
+ *           type: string
+ *           description: English URL slug (generated from titleEN when omitted)
+ *         contentEN:
+ *           type: string
+ *           description: English content
+ *         excerptEN:
+ *           type: string
+ *           description: English excerpt
+ *         metaTitleEN:
+ *           type: string
+ *         metaDescriptionEN:
+ *           type: string
+ *         focusKeywordEN:
+ *           type: string
  *         status:
  *           type: string
- *           enum: [draft, published, archived]
+ *           enum: [draft, scheduled, published, archived]
  *         author:
  *           type: string
  *           description: Author name
  *         category:
  *           type: string
- *           enum: [maintenance, repair, operation, troubleshooting, parts, general]
+ *           description: Category slug (see /api/categories)
  *         tags:
  *           type: array
  *           items:
@@ -74,8 +98,10 @@ const { logger } = require('../middleware/errorHandler');
  *         name: status
  *         schema:
  *           type: string
- *           enum: [draft, published, archived]
- *         description: Filter by status
+ *           enum: [draft, scheduled, published, archived]
+ *           default: published
+ *         description: Filter by status (defaults to published posts only). Requires posts:read -
+ *           anonymous callers always get published posts
  *       - in: query
  *         name: category
  *         schema:
@@ -111,6 +137,13 @@ const { logger } = require('../middleware/errorHandler');
  *           type: string
  *           enum: [asc, desc]
  *         description: Sort order
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [th, en]
+ *         description: Resolve title, slug, content, excerpt and SEO fields for this language.
+ *           Posts without a complete translation fall back to Thai (fallback is true).
  *     responses:
  *       200:
  *         description: List of posts
@@ -135,22 +168,25 @@ const { logger } = require('../middleware/errorHandler');
  *                     limit:
  *                       type: integer
  */
-router.get('/', cacheMiddleware(300), async (req, res) => {
+router.get('/', optionalAuth, cacheMiddleware(300, visibilityCacheKey), async (req, res) => {
   try {
     const options = {
-      status: req.query.status,
+      status: req.query.status || 'published',
+      publishedOnly: !canReadUnpublished(req),
       category: req.query.category,
       search: req.query.search,
       limit: req.query.limit,
       offset: req.query.offset || 0,
       sortBy: req.query.sortBy || 'updatedAt',
-      sortOrder: req.query.sortOrder || 'desc'
+      sortOrder: req.query.sortOrder || 'desc',
+      lang: req.query.lang
     };
 
     const result = await postsController.getAllPosts(options);
     
     if (!result.success) {
-      return res.status(500).json(result);
+      const status = result.error === 'Unsupported language' ? 400 : 500;
+      return res.status(status).json(result);
     }
 
     res.json({
@@ -168,6 +204,291 @@ router.get('/', cacheMiddleware(300), async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/posts/health:
+ *   get:
+ *     summary: Check the posts storage backend
+ *     tags: [Posts]
+ *     responses:
+ *       200:
+ *         description: Storage driver health
+ */
+router.get('/health', async (req, res) => {
+  const health = await postsController.repository.checkHealth();
+
+  res.json({
+    ok: health.status === 'healthy',
+    database: health,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * @swagger
+ * /api/posts/search:
+ *   get:
+ *     summary: Full-text search with Thai word segmentation and relevance ranking
+ *     tags: [Posts]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Search text (Thai or English)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, scheduled, published, archived]
+ *           default: published
+ *         description: Filter by status. Requires posts:read - anonymous callers always search published posts
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Filter by category
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma-separated tags the post must all have
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 10
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *     responses:
+ *       200:
+ *         description: Ranked results with highlighted snippets (matches wrapped in <mark>)
+ *       400:
+ *         description: Missing query
+ */
+router.get('/search', optionalAuth, cacheMiddleware(300, visibilityCacheKey), async (req, res) => {
+  try {
+    const result = await postsController.searchPosts(req.query.q, {
+      status: (canReadUnpublished(req) && req.query.status) || 'published',
+      category: req.query.category,
+      tags: req.query.tags,
+      limit: Math.min(parseInt(req.query.limit) || 10, 50),
+      offset: req.query.offset || 0
+    });
+
+    if (!result.success) {
+      const status = result.error === 'Invalid query' ? 400 : 500;
+      return res.status(status).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Search posts route error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// AI Enhancement endpoint
+router.post('/ai-enhance', async (req, res) => {
+  try {
+    logger.info('🤖 [AI-ENHANCE] Request received');
+
+    // For now, return a placeholder response
+    // TODO: Implement actual AI enhancement functionality
+    res.json({
+      success: true,
+      message: 'AI enhancement functionality will be implemented soon',
+      enhanced: {
+        title: req.body.title || 'Enhanced Title',
+        content: req.body.content || 'Enhanced Content',
+        suggestions: ['Improve readability', 'Add more keywords', 'Optimize structure']
+      }
+    });
+  } catch (error) {
+    logger.error('❌ [AI-ENHANCE] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'AI enhancement failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/posts/seo-analyze:
+ *   post:
+ *     summary: SEO, readability and E-A-T analysis of a post
+ *     description: Thai-aware readability (segmented sentence and word length), keyword density
+ *       and placement, heading structure, internal and external links, image alt text, meta tags
+ *       and E-A-T signals. Analyses a stored post (postId) or unsaved fields; with both, the
+ *       fields in the request replace the stored ones. The same analysis scores E-A-T swarm output.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               postId:
+ *                 type: integer
+ *               titleTH:
+ *                 type: string
+ *               content:
+ *                 type: string
+ *                 description: HTML or Markdown
+ *               metaDescription:
+ *                 type: string
+ *               focusKeyword:
+ *                 type: string
+ *               keyword:
+ *                 type: string
+ *                 description: Keyword to check instead of the post's focus keyword
+ *               lang:
+ *                 type: string
+ *                 enum: [th, en]
+ *                 description: Analyse the Thai fields (default) or the English translation
+ *     responses:
+ *       200:
+ *         description: Score, grade, per-category scores and metrics, and findings
+ *           ({ id, category, severity, message, fix }) ordered by severity
+ *       400:
+ *         description: No content or postId, or unsupported language
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Post not found
+ */
+router.post('/seo-analyze', authenticate, requirePermission('posts:read'), async (req, res) => {
+  try {
+    const result = await postsController.analyzeSeo(req.body || {});
+
+    if (!result.success) {
+      const status = result.error === 'Post not found' ? 404 : 400;
+      return res.status(status).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('❌ [SEO-ANALYZE] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'SEO analysis failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/posts/structured-data:
+ *   post:
+ *     summary: Preview a post's Schema.org JSON-LD
+ *     description: The JSON-LD the public page (/blog/:slug) embeds - the post as its schemaType
+ *       (HowTo steps from "ขั้นตอนที่" headings or a numbered list), FAQPage from Q&A sections,
+ *       BreadcrumbList from the category and the site Organization. Works for drafts and, like
+ *       seo-analyze, for unsaved fields on top of a stored post.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               postId:
+ *                 type: integer
+ *               titleTH:
+ *                 type: string
+ *               content:
+ *                 type: string
+ *               schemaType:
+ *                 type: string
+ *                 enum: [Article, BlogPosting, HowTo, NewsArticle]
+ *               lang:
+ *                 type: string
+ *                 enum: [th, en]
+ *     responses:
+ *       200:
+ *         description: jsonLd, the <script> tag as embedded, the types in the graph and
+ *           warnings about what was left out (e.g. a HowTo without steps)
+ *       400:
+ *         description: No content or postId, or unsupported language
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Post not found
+ */
+router.post('/structured-data', authenticate, requirePermission('posts:read'), async (req, res) => {
+  try {
+    const result = await postsController.previewStructuredData(req.body || {});
+
+    if (!result.success) {
+      const status = { 'Post not found': 404, 'Failed to build structured data': 500 }[result.error] || 400;
+      return res.status(status).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('❌ [STRUCTURED-DATA] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Structured data preview failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/posts/translations:
+ *   get:
+ *     summary: Translation status of every post
+ *     description: For each non-default language, whether the post's translation is complete,
+ *       partial or missing, and which attributes still need translating.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Posts with per-language status, plus summary counts per language
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/translations', authenticate, requirePermission('posts:read'), async (req, res) => {
+  try {
+    const result = await postsController.getTranslationStatus();
+
+    if (!result.success) {
+      return res.status(500).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Translation status route error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/posts/{id}:
@@ -181,6 +502,13 @@ router.get('/', cacheMiddleware(300), async (req, res) => {
  *         schema:
  *           type: integer
  *         description: Post ID
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [th, en]
+ *         description: Resolve title, slug, content, excerpt and SEO fields for this language.
+ *           Posts without a complete translation fall back to Thai (fallback is true).
  *     responses:
  *       200:
  *         description: Post details
@@ -194,11 +522,14 @@ router.get('/', cacheMiddleware(300), async (req, res) => {
  *                 data:
  *                   $ref: '#/components/schemas/Post'
  *       404:
- *         description: Post not found
+ *         description: Post not found, or not published and the caller lacks posts:read
  */
-router.get('/:id', cacheMiddleware(600), async (req, res) => {
+router.get('/:id', optionalAuth, cacheMiddleware(600, visibilityCacheKey), async (req, res) => {
   try {
-    const result = await postsController.getPostById(req.params.id);
+    const result = await postsController.getPostById(req.params.id, {
+      lang: req.query.lang,
+      publishedOnly: !canReadUnpublished(req)
+    });
     
     if (!result.success) {
       const status = result.error === 'Post not found' ? 404 : 400;
@@ -219,6 +550,67 @@ router.get('/:id', cacheMiddleware(600), async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/posts/slug/{slug}:
+ *   get:
+ *     summary: Get a published post by slug
+ *     description: Matches the Thai slug first, then the English one. A post found by its
+ *       English slug is returned in English unless lang says otherwise.
+ *     tags: [Posts]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Thai or English post slug
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [th, en]
+ *         description: Resolve title, slug, content, excerpt and SEO fields for this language.
+ *           Posts without a complete translation fall back to Thai (fallback is true).
+ *     responses:
+ *       200:
+ *         description: Post details
+ *       404:
+ *         description: Post not found or not published
+ */
+router.get('/slug/:slug', optionalAuth, cacheMiddleware(600, visibilityCacheKey), async (req, res) => {
+  try {
+    const result = await postsController.getPostBySlug(req.params.slug, {
+      lang: req.query.lang,
+      publishedOnly: !canReadUnpublished(req)
+    });
+
+    if (result.error === 'Unsupported language') {
+      return res.status(400).json(result);
+    }
+
+    if (!result.success || !Post.isPublished(result.data)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found',
+        slug: req.params.slug
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.data
+    });
+  } catch (error) {
+    logger.error('Get post by slug route error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/posts:
@@ -240,13 +632,18 @@ router.get('/:id', cacheMiddleware(600), async (req, res) => {
  *         description: Validation error
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - only editors and admins can publish or schedule posts
+ *       409:
+ *         description: Review required - the post would go live with unacknowledged review findings
  */
-router.post('/', authenticateAdmin, validatePost, async (req, res) => {
+router.post('/', authenticate, requirePermission('posts:write'), validatePost, async (req, res) => {
   try {
-    const result = await postsController.createPost(req.body);
+    const result = await postsController.createPost(req.body, { user: req.user });
     
     if (!result.success) {
-      return res.status(400).json(result);
+      const status = { Forbidden: 403, 'Review required': 409 }[result.error] || 400;
+      return res.status(status).json(result);
     }
 
     res.status(201).json({
@@ -292,15 +689,20 @@ router.post('/', authenticateAdmin, validatePost, async (req, res) => {
  *         description: Validation error
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - authors can only edit their own posts, only editors and admins publish
  *       404:
  *         description: Post not found
+ *       409:
+ *         description: Review required - the post would go live with unacknowledged review findings.
+ *           Editors may include acknowledgeFindings (finding ids) in the body.
  */
-router.put('/:id', authenticateAdmin, validatePost, async (req, res) => {
+router.put('/:id', authenticate, requirePermission('posts:write'), validatePost, async (req, res) => {
   try {
-    const result = await postsController.updatePost(req.params.id, req.body);
+    const result = await postsController.updatePost(req.params.id, req.body, { user: req.user });
     
     if (!result.success) {
-      const status = result.error === 'Post not found' ? 404 : 400;
+      const status = { 'Post not found': 404, Forbidden: 403, 'Review required': 409 }[result.error] || 400;
       return res.status(status).json(result);
     }
 
@@ -339,10 +741,12 @@ router.put('/:id', authenticateAdmin, validatePost, async (req, res) => {
  *         description: Post deleted successfully
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - only editors and admins can delete posts
  *       404:
  *         description: Post not found
  */
-router.delete('/:id', authenticateAdmin, async (req, res) => {
+router.delete('/:id', authenticate, requirePermission('posts:delete'), async (req, res) => {
   try {
     const result = await postsController.deletePost(req.params.id);
     
@@ -362,6 +766,371 @@ router.delete('/:id', authenticateAdmin, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/posts/{id}/revisions:
+ *   get:
+ *     summary: List revisions of a post (newest first)
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Post ID
+ *     responses:
+ *       200:
+ *         description: Revision summaries (who, when, which fields changed)
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Post not found
+ */
+router.get('/:id/revisions', authenticate, requirePermission('posts:read'), async (req, res) => {
+  try {
+    const result = await postsController.getRevisions(req.params.id);
+
+    if (!result.success) {
+      const status = result.error === 'Post not found' ? 404 : 400;
+      return res.status(status).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('List revisions route error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/posts/{id}/revisions/diff:
+ *   get:
+ *     summary: Field-level diff between two revisions
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Post ID
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Older revision ID
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           default: current
+ *         description: Newer revision ID, or "current" for the live post
+ *     responses:
+ *       200:
+ *         description: List of changed fields with old and new values
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Revision not found
+ */
+router.get('/:id/revisions/diff', authenticate, requirePermission('posts:read'), async (req, res) => {
+  try {
+    if (!req.query.from) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing parameter',
+        message: 'Query parameter "from" is required'
+      });
+    }
+
+    const result = await postsController.getRevisionDiff(req.params.id, req.query.from, req.query.to);
+
+    if (!result.success) {
+      const status = result.error === 'Revision not found' ? 404 : 400;
+      return res.status(status).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Diff revisions route error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/posts/{id}/revisions/{revisionId}:
+ *   get:
+ *     summary: Get a revision including its full snapshot
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Post ID
+ *       - in: path
+ *         name: revisionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Revision ID
+ *     responses:
+ *       200:
+ *         description: Revision data
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Revision not found
+ */
+router.get('/:id/revisions/:revisionId', authenticate, requirePermission('posts:read'), async (req, res) => {
+  try {
+    const result = await postsController.getRevision(req.params.id, req.params.revisionId);
+
+    if (!result.success) {
+      const status = result.error === 'Revision not found' ? 404 : 400;
+      return res.status(status).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Get revision route error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/posts/{id}/revisions/{revisionId}/restore:
+ *   post:
+ *     summary: Restore a revision as the current version of the post
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Post ID
+ *       - in: path
+ *         name: revisionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Revision ID
+ *     responses:
+ *       200:
+ *         description: Post restored (recorded as a new revision)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - authors can only restore their own posts
+ *       404:
+ *         description: Post or revision not found
+ */
+router.post('/:id/revisions/:revisionId/restore', authenticate, requirePermission('posts:write'), async (req, res) => {
+  try {
+    const result = await postsController.restoreRevision(req.params.id, req.params.revisionId, { user: req.user });
+
+    if (!result.success) {
+      const notFound = ['Post not found', 'Revision not found'].includes(result.error);
+      const status = notFound ? 404 : ({ Forbidden: 403, 'Review required': 409 }[result.error] || 400);
+      return res.status(status).json(result);
+    }
+
+    res.json({
+      success: true,
+      data: result.data,
+      message: 'Revision restored successfully'
+    });
+  } catch (error) {
+    logger.error('Restore revision route error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/posts/{id}/review:
+ *   get:
+ *     summary: Pre-publish review findings of a post
+ *     description: Unsupported numeric claims, dangerous machinery-safety advice, prohibited terms
+ *       and unverifiable part numbers found in the post's text. Posts cannot be published or
+ *       scheduled while findings are unacknowledged.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Post ID
+ *     responses:
+ *       200:
+ *         description: Findings with a summary of what still blocks publishing
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Post not found
+ *   post:
+ *     summary: Review the post's current text again
+ *     description: Used after the prohibited terms or the parts catalog change. Acknowledgements
+ *       of findings that are still present are kept.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Post ID
+ *     responses:
+ *       200:
+ *         description: Updated findings
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Post not found
+ */
+router.get('/:id/review', authenticate, requirePermission('posts:read'), async (req, res) => {
+  try {
+    const result = await postsController.getReview(req.params.id);
+
+    if (!result.success) {
+      const status = result.error === 'Post not found' ? 404 : 400;
+      return res.status(status).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Get post review route error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+router.post('/:id/review', authenticate, requirePermission('posts:write'), async (req, res) => {
+  try {
+    const result = await postsController.rerunReview(req.params.id, { user: req.user });
+
+    if (!result.success) {
+      const status = { 'Post not found': 404, Forbidden: 403 }[result.error] || 400;
+      return res.status(status).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Review post route error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/posts/{id}/review/acknowledge:
+ *   post:
+ *     summary: Acknowledge review findings
+ *     description: An editor confirms each finding was checked; the post can be published once
+ *       none are left. Acknowledgements stay as long as the flagged sentence is unchanged.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Post ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [findingIds]
+ *             properties:
+ *               findingIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               note:
+ *                 type: string
+ *                 description: What was checked, e.g. the manual page a figure came from
+ *     responses:
+ *       200:
+ *         description: Updated findings
+ *       400:
+ *         description: No finding ids, or ids that are not on this post
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - only editors and admins acknowledge findings
+ *       404:
+ *         description: Post not found
+ */
+router.post('/:id/review/acknowledge', authenticate, requirePermission('posts:publish'), async (req, res) => {
+  try {
+    const result = await postsController.acknowledgeReview(req.params.id, req.body, { user: req.user });
+
+    if (!result.success) {
+      const status = result.error === 'Post not found' ? 404 : 400;
+      return res.status(status).json(result);
+    }
+
+    res.json({
+      ...result,
+      message: 'Review findings acknowledged'
+    });
+  } catch (error) {
+    logger.error('Acknowledge review route error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/posts/{id}/view:
@@ -379,11 +1148,18 @@ router.delete('/:id', authenticateAdmin, async (req, res) => {
  *       200:
  *         description: View count incremented
  *       404:
- *         description: Post not found
+ *         description: Post not found, or not published and the caller lacks posts:read
  */
-router.post('/:id/view', async (req, res) => {
+router.post('/:id/view', optionalAuth, async (req, res) => {
   try {
-    const views = await postsController.incrementViews(req.params.id);
+    const views = await postsController.incrementViews(req.params.id, { publishedOnly: !canReadUnpublished(req) });
+
+    if (views === null) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found'
+      });
+    }
     
     res.json({
       success: true,
@@ -412,7 +1188,7 @@ router.post('/:id/view', async (req, res) => {
  */
 router.get('/analytics/summary', cacheMiddleware(600), async (req, res) => {
   try {
-    const analytics = postsController.getAnalytics();
+    const analytics = await postsController.getAnalytics();
     
     res.json({
       success: true,
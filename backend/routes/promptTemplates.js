@@ -0,0 +1,323 @@
+/**
+ * Prompt Template Routes
+ * Named, versioned prompts used by the swarm council and E-A-T pipelines.
+ * Editors (prompts:manage) edit them; every edit is a new version that can
+ * be rolled back.
+ */
+
+const express = require('express');
+const router = express.Router();
+const promptTemplates = require('../services/PromptTemplateRegistry');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { logger } = require('../middleware/errorHandler');
+
+const STATUS_BY_ERROR = {
+  'Template not found': 404,
+  'Version not found': 404,
+  'Template already exists': 409,
+  'Built-in template': 409
+};
+
+/**
+ * Send a registry result with the matching HTTP status
+ */
+const sendResult = (res, result, successStatus = 200) => {
+  if (!result.success) {
+    return res.status(STATUS_BY_ERROR[result.error] || 400).json(result);
+  }
+  res.status(successStatus).json(result);
+};
+
+const handleError = (name, res, error) => {
+  logger.error(`${name} route error:`, error);
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error',
+    message: error.message
+  });
+};
+
+router.use(express.json());
+
+/**
+ * @swagger
+ * /api/ai/prompts:
+ *   get:
+ *     summary: List prompt templates (active versions, without bodies)
+ *     tags: [AI Prompts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Templates ordered by name
+ */
+router.get('/', authenticate, requirePermission('posts:write'), async (req, res) => {
+  try {
+    sendResult(res, await promptTemplates.listTemplates());
+  } catch (error) {
+    handleError('List prompt templates', res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/ai/prompts:
+ *   post:
+ *     summary: Create a prompt template
+ *     tags: [AI Prompts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, body]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: eat.faq
+ *               description:
+ *                 type: string
+ *               body:
+ *                 type: string
+ *                 description: "Prompt text with {{variable}} or {{variable|truncate:N}} placeholders"
+ *               variables:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     description:
+ *                       type: string
+ *                     required:
+ *                       type: boolean
+ *                     default:
+ *                       type: string
+ *               change_note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Template created as version 1
+ *       409:
+ *         description: A template with this name exists
+ */
+router.post('/', authenticate, requirePermission('prompts:manage'), async (req, res) => {
+  try {
+    sendResult(res, await promptTemplates.createTemplate(req.body, { user: req.user }), 201);
+  } catch (error) {
+    handleError('Create prompt template', res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/ai/prompts/{name}:
+ *   get:
+ *     summary: Get the active version of a template and its version history
+ *     tags: [AI Prompts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Template with versions (newest first)
+ *       404:
+ *         description: Template not found
+ */
+router.get('/:name', authenticate, requirePermission('posts:write'), async (req, res) => {
+  try {
+    sendResult(res, await promptTemplates.getTemplate(req.params.name));
+  } catch (error) {
+    handleError('Get prompt template', res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/ai/prompts/{name}:
+ *   put:
+ *     summary: Save a new version of a template and make it active
+ *     description: Omitted fields are copied from the active version
+ *     tags: [AI Prompts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               body:
+ *                 type: string
+ *               variables:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               change_note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New active version
+ *       404:
+ *         description: Template not found
+ */
+router.put('/:name', authenticate, requirePermission('prompts:manage'), async (req, res) => {
+  try {
+    sendResult(res, await promptTemplates.updateTemplate(req.params.name, req.body, { user: req.user }));
+  } catch (error) {
+    handleError('Update prompt template', res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/ai/prompts/{name}:
+ *   delete:
+ *     summary: Delete a template and all its versions
+ *     tags: [AI Prompts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Template deleted
+ *       409:
+ *         description: Built-in templates cannot be deleted
+ */
+router.delete('/:name', authenticate, requirePermission('prompts:manage'), async (req, res) => {
+  try {
+    sendResult(res, await promptTemplates.deleteTemplate(req.params.name));
+  } catch (error) {
+    handleError('Delete prompt template', res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/ai/prompts/{name}/versions/{version}:
+ *   get:
+ *     summary: Get one version of a template
+ *     tags: [AI Prompts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Template version
+ *       404:
+ *         description: Version not found
+ */
+router.get('/:name/versions/:version', authenticate, requirePermission('posts:write'), async (req, res) => {
+  try {
+    sendResult(res, await promptTemplates.getVersion(req.params.name, req.params.version));
+  } catch (error) {
+    handleError('Get prompt template version', res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/ai/prompts/{name}/versions/{version}/activate:
+ *   post:
+ *     summary: Make a version active (roll back or forward)
+ *     tags: [AI Prompts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Activated version
+ *       404:
+ *         description: Version not found
+ */
+router.post('/:name/versions/:version/activate', authenticate, requirePermission('prompts:manage'), async (req, res) => {
+  try {
+    sendResult(res, await promptTemplates.activateVersion(req.params.name, req.params.version));
+  } catch (error) {
+    handleError('Activate prompt template version', res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/ai/prompts/{name}/preview:
+ *   post:
+ *     summary: Render a template without calling a provider
+ *     tags: [AI Prompts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               variables:
+ *                 type: object
+ *               version:
+ *                 type: integer
+ *                 description: Version to render (default active)
+ *     responses:
+ *       200:
+ *         description: "{ prompt, template: { name, version } }"
+ *       400:
+ *         description: Required variables are missing
+ */
+router.post('/:name/preview', authenticate, requirePermission('posts:write'), async (req, res) => {
+  try {
+    const { variables, version } = req.body || {};
+    sendResult(res, await promptTemplates.preview(req.params.name, variables || {}, { version }));
+  } catch (error) {
+    handleError('Preview prompt template', res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,111 @@
+/**
+ * SEO Routes
+ * sitemap.xml, RSS/Atom feeds and robots.txt generated from published posts
+ */
+
+const express = require('express');
+const router = express.Router();
+const config = require('../config/config');
+const postsController = require('../controllers/postsController');
+const taxonomyController = require('../controllers/taxonomyController');
+const { documentCache } = require('../middleware/cache');
+const { logger } = require('../middleware/errorHandler');
+const {
+  renderSitemap,
+  renderRssFeed,
+  renderAtomFeed,
+  renderRobots
+} = require('../utils/feedRenderer');
+
+/**
+ * Load published posts, newest first, with their category names
+ * @param {number} [limit] - Maximum number of posts
+ * @returns {Promise<Object[]>}
+ */
+const getPublishedPosts = async (limit) => {
+  const result = await postsController.getAllPosts({
+    status: 'published',
+    sortBy: 'createdAt',
+    sortOrder: 'desc',
+    limit
+  });
+
+  if (!result.success) {
+    throw new Error(result.message || result.error);
+  }
+
+  return taxonomyController.withCategoryNames(result.data.posts);
+};
+
+/**
+ * Route handler that renders a document from published posts
+ */
+const renderFromPosts = (name, render, limit) => async (req, res) => {
+  try {
+    const posts = await getPublishedPosts(limit);
+    res.send(render(posts, config.site));
+  } catch (error) {
+    logger.error(`Error generating ${name}:`, error);
+    res.status(500).type('text/plain').send(`Failed to generate ${name}`);
+  }
+};
+
+/**
+ * @swagger
+ * /sitemap.xml:
+ *   get:
+ *     summary: XML sitemap of published posts with lastmod and hreflang alternates
+ *     tags: [SEO]
+ *     responses:
+ *       200:
+ *         description: Sitemap
+ *         content:
+ *           application/xml: {}
+ */
+router.get('/sitemap.xml', documentCache('application/xml'), renderFromPosts('sitemap', renderSitemap));
+
+/**
+ * @swagger
+ * /feed.xml:
+ *   get:
+ *     summary: RSS 2.0 feed of the latest published posts
+ *     tags: [SEO]
+ *     responses:
+ *       200:
+ *         description: RSS feed
+ *         content:
+ *           application/rss+xml: {}
+ */
+router.get('/feed.xml', documentCache('application/rss+xml'), renderFromPosts('RSS feed', renderRssFeed, config.site.feedLimit));
+
+/**
+ * @swagger
+ * /atom.xml:
+ *   get:
+ *     summary: Atom feed of the latest published posts
+ *     tags: [SEO]
+ *     responses:
+ *       200:
+ *         description: Atom feed
+ *         content:
+ *           application/atom+xml: {}
+ */
+router.get('/atom.xml', documentCache('application/atom+xml'), renderFromPosts('Atom feed', renderAtomFeed, config.site.feedLimit));
+
+/**
+ * @swagger
+ * /robots.txt:
+ *   get:
+ *     summary: robots.txt (configured with ROBOTS_* environment variables)
+ *     tags: [SEO]
+ *     responses:
+ *       200:
+ *         description: robots.txt
+ *         content:
+ *           text/plain: {}
+ */
+router.get('/robots.txt', documentCache('text/plain', 'static'), (req, res) => {
+  res.send(renderRobots(config.site));
+});
+
+module.exports = router;
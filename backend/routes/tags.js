@@ -0,0 +1,242 @@
+/**
+ * Tag Routes
+ * Public tag listings with post counts, and tag management for editors
+ * (taxonomy:manage): create, rename, merge and delete
+ */
+
+const express = require('express');
+const router = express.Router();
+const taxonomyController = require('../controllers/taxonomyController');
+const { authenticate, optionalAuth, requirePermission } = require('../middleware/auth');
+const { User } = require('../models/User');
+const { logger } = require('../middleware/errorHandler');
+
+const STATUS_BY_ERROR = {
+  'Tag not found': 404,
+  'Tag already exists': 409
+};
+
+/**
+ * Send a controller result with the matching HTTP status
+ */
+const sendResult = (res, result, successStatus = 200) => {
+  if (!result.success) {
+    return res.status(STATUS_BY_ERROR[result.error] || 400).json(result);
+  }
+  res.status(successStatus).json(result);
+};
+
+const handleError = (name, res, error) => {
+  logger.error(`${name} route error:`, error);
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error',
+    message: error.message
+  });
+};
+
+router.use(express.json());
+
+/**
+ * @swagger
+ * /api/tags:
+ *   get:
+ *     summary: List tags with published post counts, most used first
+ *     tags: [Tags]
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         description: Matches name and slug
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeUnused
+ *         description: Include tags without published posts (requires taxonomy:manage)
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Tags
+ */
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    sendResult(res, await taxonomyController.listTags({
+      search: req.query.search,
+      includeUnused: req.query.includeUnused === 'true' && User.can(req.user, 'taxonomy:manage')
+    }));
+  } catch (error) {
+    handleError('List tags', res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/tags/{idOrSlug}:
+ *   get:
+ *     summary: Get a tag with its published post count
+ *     tags: [Tags]
+ *     parameters:
+ *       - in: path
+ *         name: idOrSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tag
+ *       404:
+ *         description: Tag not found
+ */
+router.get('/:idOrSlug', async (req, res) => {
+  try {
+    sendResult(res, await taxonomyController.getTag(req.params.idOrSlug));
+  } catch (error) {
+    handleError('Get tag', res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/tags:
+ *   post:
+ *     summary: Create a tag
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               slug:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Tag created
+ *       409:
+ *         description: Slug already taken
+ */
+router.post('/', authenticate, requirePermission('taxonomy:manage'), async (req, res) => {
+  try {
+    sendResult(res, await taxonomyController.createTag(req.body), 201);
+  } catch (error) {
+    handleError('Create tag', res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/tags/{id}:
+ *   patch:
+ *     summary: Rename a tag
+ *     description: The new name replaces the old one on every post using the tag.
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               slug:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tag renamed
+ *       404:
+ *         description: Tag not found
+ *       409:
+ *         description: Another tag has the slug; merge instead (data.id is that tag)
+ */
+router.patch('/:id', authenticate, requirePermission('taxonomy:manage'), async (req, res) => {
+  try {
+    sendResult(res, await taxonomyController.renameTag(req.params.id, req.body));
+  } catch (error) {
+    handleError('Rename tag', res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/tags/{id}/merge:
+ *   post:
+ *     summary: Merge a tag into another
+ *     description: Posts with the tag get the target tag instead, and the tag is deleted.
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [into]
+ *             properties:
+ *               into:
+ *                 type: string
+ *                 description: ID of the tag that remains
+ *     responses:
+ *       200:
+ *         description: Tags merged; data is the remaining tag
+ *       404:
+ *         description: Tag not found
+ */
+router.post('/:id/merge', authenticate, requirePermission('taxonomy:manage'), async (req, res) => {
+  try {
+    sendResult(res, await taxonomyController.mergeTag(req.params.id, req.body && req.body.into));
+  } catch (error) {
+    handleError('Merge tags', res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/tags/{id}:
+ *   delete:
+ *     summary: Delete a tag and remove it from every post
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tag deleted
+ *       404:
+ *         description: Tag not found
+ */
+router.delete('/:id', authenticate, requirePermission('taxonomy:manage'), async (req, res) => {
+  try {
+    sendResult(res, await taxonomyController.deleteTag(req.params.id));
+  } catch (error) {
+    handleError('Delete tag', res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,364 @@
+/**
+ * Translation Routes
+ * AI translation drafts of posts with side-by-side review, and the glossary
+ * of machinery terms they use (managed by editors with glossary:manage)
+ */
+
+const express = require('express');
+const router = express.Router();
+const translationController = require('../controllers/translationController');
+const aiRequestLedger = require('../services/AIRequestLedger');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { logger } = require('../middleware/errorHandler');
+
+const STATUS_BY_ERROR = {
+  'Forbidden': 403,
+  'Post not found': 404,
+  'Term not found': 404,
+  'Draft not found': 404,
+  'Term already exists': 409,
+  'Draft already reviewed': 409,
+  'Review required': 409,
+  'Translation failed': 502
+};
+
+/**
+ * Send a controller result with the matching HTTP status
+ */
+const sendResult = (res, result, successStatus = 200) => {
+  if (!result.success) {
+    return res.status(STATUS_BY_ERROR[result.error] || 400).json(result);
+  }
+  res.status(successStatus).json(result);
+};
+
+const handleError = (name, res, error) => {
+  logger.error(`${name} route error:`, error);
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error',
+    message: error.message
+  });
+};
+
+// Attribute the AI calls of a translation to the signed-in user in the request ledger
+const withLedgerContext = (req, res, next) => {
+  aiRequestLedger.runWithContext({
+    requestType: 'translation',
+    userId: req.user && !req.user.bootstrap ? req.user.id : null,
+    username: req.user?.username
+  }, next);
+};
+
+router.use(express.json());
+
+/**
+ * @swagger
+ * /api/translations/glossary:
+ *   get:
+ *     summary: List glossary terms
+ *     tags: [Translations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         description: Match against the Thai or English term
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Terms ordered by Thai term
+ */
+router.get('/glossary', authenticate, requirePermission('posts:read'), async (req, res) => {
+  try {
+    sendResult(res, await translationController.listTerms({ search: req.query.search }));
+  } catch (error) {
+    handleError('List glossary', res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/translations/glossary:
+ *   post:
+ *     summary: Add a glossary term
+ *     tags: [Translations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [term_th, term_en]
+ *             properties:
+ *               term_th:
+ *                 type: string
+ *               term_en:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Term created
+ *       409:
+ *         description: The Thai term already has a translation
+ */
+router.post('/glossary', authenticate, requirePermission('glossary:manage'), async (req, res) => {
+  try {
+    sendResult(res, await translationController.createTerm(req.body, { user: req.user }), 201);
+  } catch (error) {
+    handleError('Create glossary term', res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/translations/glossary/{id}:
+ *   patch:
+ *     summary: Update a glossary term
+ *     tags: [Translations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Term updated
+ *       404:
+ *         description: Term not found
+ */
+router.patch('/glossary/:id', authenticate, requirePermission('glossary:manage'), async (req, res) => {
+  try {
+    sendResult(res, await translationController.updateTerm(req.params.id, req.body));
+  } catch (error) {
+    handleError('Update glossary term', res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/translations/glossary/{id}:
+ *   delete:
+ *     summary: Delete a glossary term
+ *     tags: [Translations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Term deleted
+ *       404:
+ *         description: Term not found
+ */
+router.delete('/glossary/:id', authenticate, requirePermission('glossary:manage'), async (req, res) => {
+  try {
+    sendResult(res, await translationController.deleteTerm(req.params.id));
+  } catch (error) {
+    handleError('Delete glossary term', res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/translations/posts/{postId}:
+ *   post:
+ *     summary: Translate a post with AI into a review draft
+ *     description: Translates title, excerpt, content and SEO fields one request each,
+ *       using the glossary. The post is not changed until the draft is applied.
+ *     tags: [Translations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               target:
+ *                 type: string
+ *                 enum: [en, th]
+ *                 default: en
+ *               provider:
+ *                 type: string
+ *                 description: AI provider (defaults to TRANSLATION_PROVIDER)
+ *               fields:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [title, excerpt, content, metaTitle, metaDescription, focusKeyword]
+ *     responses:
+ *       201:
+ *         description: Draft created, with a side-by-side comparison
+ *       404:
+ *         description: Post not found
+ *       502:
+ *         description: The AI provider failed
+ */
+router.post('/posts/:postId', authenticate, requirePermission('posts:write'), withLedgerContext, async (req, res) => {
+  try {
+    const { target, provider, fields } = req.body || {};
+    sendResult(res, await translationController.translatePost(req.params.postId, {
+      target,
+      provider,
+      fields: Array.isArray(fields) ? fields : undefined
+    }, { user: req.user }), 201);
+  } catch (error) {
+    handleError('Translate post', res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/translations/drafts:
+ *   get:
+ *     summary: List translation drafts
+ *     tags: [Translations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: postId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending_review, applied, rejected]
+ *     responses:
+ *       200:
+ *         description: Drafts without their text, newest first
+ */
+router.get('/drafts', authenticate, requirePermission('posts:read'), async (req, res) => {
+  try {
+    sendResult(res, await translationController.listDrafts({
+      postId: req.query.postId,
+      status: req.query.status
+    }));
+  } catch (error) {
+    handleError('List translation drafts', res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/translations/drafts/{id}:
+ *   get:
+ *     summary: Get a draft with a side-by-side comparison
+ *     description: comparison lists each field's source text, proposed translation and
+ *       the value the post currently has in the target language.
+ *     tags: [Translations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Draft
+ *       404:
+ *         description: Draft not found
+ */
+router.get('/drafts/:id', authenticate, requirePermission('posts:read'), async (req, res) => {
+  try {
+    sendResult(res, await translationController.getDraft(req.params.id));
+  } catch (error) {
+    handleError('Get translation draft', res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/translations/drafts/{id}/apply:
+ *   post:
+ *     summary: Apply a reviewed draft to its post
+ *     tags: [Translations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fields:
+ *                 type: object
+ *                 description: Corrected translations by field name
+ *               acknowledgeFindings:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Review finding ids the editor checked (see /api/posts/{id}/review)
+ *     responses:
+ *       200:
+ *         description: Post updated and draft marked applied
+ *       404:
+ *         description: Draft or post not found
+ *       409:
+ *         description: Draft was already applied or rejected, or the translation of a live post
+ *           has unacknowledged review findings
+ */
+router.post('/drafts/:id/apply', authenticate, requirePermission('posts:write'), async (req, res) => {
+  try {
+    sendResult(res, await translationController.applyDraft(req.params.id, req.body || {}, { user: req.user }));
+  } catch (error) {
+    handleError('Apply translation draft', res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/translations/drafts/{id}/reject:
+ *   post:
+ *     summary: Reject a draft without changing the post
+ *     tags: [Translations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Draft rejected
+ *       409:
+ *         description: Draft was already applied or rejected
+ */
+router.post('/drafts/:id/reject', authenticate, requirePermission('posts:write'), async (req, res) => {
+  try {
+    sendResult(res, await translationController.rejectDraft(req.params.id, { user: req.user }));
+  } catch (error) {
+    handleError('Reject translation draft', res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,301 @@
+/**
+ * User Management Routes
+ * Admin endpoints to invite users, change their roles and disable accounts
+ */
+
+const express = require('express');
+const router = express.Router();
+const usersController = require('../controllers/usersController');
+const { User } = require('../models/User');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { logger } = require('../middleware/errorHandler');
+
+const STATUS_BY_ERROR = {
+  'User not found': 404,
+  'User already exists': 409,
+  'Cannot remove the last admin': 409
+};
+
+/**
+ * Send a controller result with the matching HTTP status
+ */
+const sendResult = (res, result, successStatus = 200) => {
+  if (!result.success) {
+    return res.status(STATUS_BY_ERROR[result.error] || 400).json(result);
+  }
+  res.status(successStatus).json(result);
+};
+
+const handleError = (name, res, error) => {
+  logger.error(`${name} route error:`, error);
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error',
+    message: error.message
+  });
+};
+
+router.use(express.json());
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /api/users/me:
+ *   get:
+ *     summary: Current user with role and permissions
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current user
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/me', (req, res) => {
+  const { loginTime, sessionId, ...user } = req.user;
+  res.json({
+    success: true,
+    data: {
+      ...user,
+      permissions: User.permissions[req.user.role] || []
+    }
+  });
+});
+
+router.use(requirePermission('users:manage'));
+
+/**
+ * @swagger
+ * /api/users:
+ *   get:
+ *     summary: List user accounts (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [admin, editor, author, viewer]
+ *     responses:
+ *       200:
+ *         description: Users with status (active, invited, disabled)
+ *       403:
+ *         description: Admin role required
+ */
+router.get('/', async (req, res) => {
+  try {
+    const role = User.roles.includes(req.query.role) ? req.query.role : undefined;
+    sendResult(res, await usersController.listUsers({ role }));
+  } catch (error) {
+    handleError('List users', res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/invite:
+ *   post:
+ *     summary: Invite a user (admin only)
+ *     description: Creates the account without a password and returns a one-time
+ *       invite token. The invitee sets a password with POST /api/auth/accept-invite.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [username, email]
+ *             properties:
+ *               username:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [admin, editor, author, viewer]
+ *                 default: viewer
+ *               full_name:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: User invited, response contains inviteToken and expiresAt
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: Username or email already in use
+ */
+router.post('/invite', async (req, res) => {
+  try {
+    const result = await usersController.inviteUser(req.body, { user: req.user });
+    sendResult(res, result, 201);
+  } catch (error) {
+    handleError('Invite user', res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   get:
+ *     summary: Get a user account (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User
+ *       404:
+ *         description: User not found
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    sendResult(res, await usersController.getUserById(req.params.id));
+  } catch (error) {
+    handleError('Get user', res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/role:
+ *   patch:
+ *     summary: Change a user's role (admin only)
+ *     description: Ends the user's active sessions so the new role applies immediately
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [role]
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [admin, editor, author, viewer]
+ *     responses:
+ *       200:
+ *         description: Role changed
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Would remove the last active admin
+ */
+router.patch('/:id/role', async (req, res) => {
+  try {
+    const result = await usersController.changeRole(req.params.id, req.body?.role, { user: req.user });
+    sendResult(res, result);
+  } catch (error) {
+    handleError('Change role', res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/disable:
+ *   post:
+ *     summary: Disable a user account and end its sessions (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User disabled
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Would remove the last active admin
+ */
+router.post('/:id/disable', async (req, res) => {
+  try {
+    sendResult(res, await usersController.setActive(req.params.id, false, { user: req.user }));
+  } catch (error) {
+    handleError('Disable user', res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/enable:
+ *   post:
+ *     summary: Re-enable a disabled user account (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User enabled
+ *       404:
+ *         description: User not found
+ */
+router.post('/:id/enable', async (req, res) => {
+  try {
+    sendResult(res, await usersController.setActive(req.params.id, true, { user: req.user }));
+  } catch (error) {
+    handleError('Enable user', res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/2fa/reset:
+ *   post:
+ *     summary: Turn off a user's two-factor login (admin only)
+ *     description: For users who lost their authenticator device and recovery codes.
+ *       Ends the user's sessions; they log in with their password and enroll again.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication reset
+ *       404:
+ *         description: User not found
+ */
+router.post('/:id/2fa/reset', async (req, res) => {
+  try {
+    sendResult(res, await usersController.resetTwoFactor(req.params.id, { user: req.user }));
+  } catch (error) {
+    handleError('Reset two-factor', res, error);
+  }
+});
+
+module.exports = router;
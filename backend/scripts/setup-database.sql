@@ -16,7 +16,7 @@ CREATE TABLE IF NOT EXISTS posts (
     
     -- Author and status
     author TEXT DEFAULT 'ระเบียบการช่าง',
-    status TEXT DEFAULT 'draft' CHECK (status IN ('draft', 'published', 'archived')),
+    status TEXT DEFAULT 'draft' CHECK (status IN ('draft', 'scheduled', 'published', 'archived')),
     category TEXT DEFAULT 'general',
     
     -- Arrays
@@ -46,9 +46,11 @@ console.log('🔧 [IMPORT] Loading routes...');
 console.log('🔧 [IMPORT] Loading apiKey routes...');
 const apiKeyRoutes = require('./apiKey.js');
 console.log('🔧 [IMPORT] Loading posts routes...');
-const postRoutes = require('./routes/posts');
+const postRoutes = require('./routes/postsRoutes');
 console.log('🔧 [IMPORT] Loading auth routes...');
 const authRoutes = require('./routes/auth.js');
+console.log('🔄 [IMPORT] Loading user routes...');
+const userRoutes = require('./routes/users.js');
 console.log('🔧 [IMPORT] Loading config routes...');
 const configRoutes = require('./routes/config.js');
 console.log('🔧 [IMPORT] Loading ai routes...');
@@ -59,8 +61,33 @@ console.log('🔧 [IMPORT] Loading security routes...');
 const securityRoutes = require('./routes/security.js');
 console.log('🔧 [IMPORT] Loading performance routes...');
 const performanceRoutes = require('./routes/performance.js');
-console.log('🔧 [IMPORT] Loading supabase client...');
-const supabase = require('./supabaseClient');
+console.log('🔧 [IMPORT] Loading media routes...');
+const mediaRoutes = require('./routes/media.js');
+console.log('🔧 [IMPORT] Loading taxonomy routes...');
+const categoryRoutes = require('./routes/categories.js');
+const tagRoutes = require('./routes/tags.js');
+console.log('🔧 [IMPORT] Loading translation routes...');
+const translationRoutes = require('./routes/translations.js');
+console.log('🔧 [IMPORT] Loading AI job routes...');
+const jobRoutes = require('./routes/jobs.js');
+console.log('🔧 [IMPORT] Loading prompt template routes...');
+const promptTemplateRoutes = require('./routes/promptTemplates.js');
+console.log('🔧 [IMPORT] Loading posts controller...');
+const postsController = require('./controllers/postsController');
+const usersController = require('./controllers/usersController');
+const mediaController = require('./controllers/mediaController');
+const taxonomyController = require('./controllers/taxonomyController');
+const translationController = require('./controllers/translationController');
+const aiRequestLedger = require('./services/AIRequestLedger');
+const { Post } = require('./models/Post');
+const { renderPostPage, renderMessagePage, getUiStrings } = require('./utils/blogRenderer');
+const { buildStructuredData } = require('./utils/structuredData');
+const publishScheduler = require('./services/PublishScheduler');
+const jobQueue = require('./services/JobQueue');
+const promptTemplates = require('./services/PromptTemplateRegistry');
+const swarmWorkflows = require('./ai/swarm/workflows/SwarmWorkflowRegistry');
+const { registerAIJobHandlers } = require('./services/aiJobHandlers');
+const seoRoutes = require('./routes/seo');
 console.log('✅ [IMPORT] All routes loaded successfully');
 
 // Import secure API key manager
@@ -289,16 +316,35 @@ app.delete('/api/cache/clear', (req, res) => {
 // API Routes with enhanced middleware
 console.log('🔧 [INIT] Setting up API routes...');
 app.use('/api/auth', authRoutes); // Authentication routes (validation handled per-route)
+app.use('/api/users', userRoutes);              // User accounts and roles (admin only, except /me)
 app.use('/api/config', configRoutes);            // ✅ Configuration routes (public for frontend)
 app.use('/api/security', authenticateAdmin, securityRoutes);       // ✅ Security Dashboard routes (admin only)
+app.use('/api/ai/jobs', jobRoutes);             // Background swarm and E-A-T jobs (before /api/ai so it is not shadowed)
+app.use('/api/ai/prompts', promptTemplateRoutes); // Versioned swarm and E-A-T prompt templates (before /api/ai)
 app.use('/api/ai', aiRoutes);                   // ✅ PHASE 3: AI provider routes (rate limiting temporarily disabled for debugging)
 // Mount migration routes (with conditional functionality based on RUN_MIGRATIONS)
 app.use('/api/migration', migrationRoutes);
 app.use('/api/performance', performanceRoutes); // Performance monitoring routes
 app.use('/api', apiKeyRoutes);                  // Protected API key routes
 app.use('/api/posts', postRoutes);              // Post management routes (mount on /api/posts to avoid conflicts)
+app.use('/api/media', mediaRoutes);             // Media library (image uploads and variants)
+app.use('/api/categories', categoryRoutes);     // Category tree with post counts (public reads)
+app.use('/api/tags', tagRoutes);                // Tags with post counts, rename and merge (public reads)
+app.use('/api/translations', translationRoutes); // AI translation drafts and glossary (review before apply)
 console.log('✅ [INIT] API routes configured');
 
+// Uploaded media on local disk (object storage adapters serve their own URLs).
+// File names contain the media ID and never change, so they can be cached for good;
+// the frontend is on another origin, hence the cross-origin resource policy.
+if (config.media.driver === 'local') {
+    app.use('/uploads', express.static(config.media.local.directory, {
+        immutable: true,
+        maxAge: '365d',
+        index: false,
+        setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+    }));
+}
+
 // Static files - Serve frontend files (DISABLED - Frontend served by Netlify)
 // app.use(express.static(path.join(__dirname, '..', 'frontend')));
 // app.use('/admin', express.static(path.join(__dirname, '..', 'frontend', 'admin')));
@@ -317,37 +363,34 @@ app.use((req, res, next) => {
 //app.use(express.static('frontend'));
 //app.use('/admin', express.static('admin'));
 
-// REMOVED: In-memory database fallback system
-// All data now comes from Supabase only - no fallback in production
-
-// Initialize data connection (Supabase only)
+// Initialize data connection through the configured post repository
+// (config.storage.driver: file, sqlite or supabase)
 async function initializeDataConnection() {
     try {
-        logger.info('🔄 Verifying Supabase connection...');
+        logger.info(`🔄 Initializing posts storage (${postsController.repository.driver})...`);
         
-        // Only proceed if we have a valid Supabase client
-        if (!supabase.isConnected()) {
-            throw new Error('Supabase client not connected');
-        }
+        await postsController.initialize();
+        await usersController.initialize();
+        await aiRequestLedger.initialize();
+        await mediaController.initialize();
+        await taxonomyController.initialize();
+        await translationController.initialize();
+        await promptTemplates.initialize();
+        // Reload so workflows can use templates that only exist in the registry
+        swarmWorkflows.load();
         
-        // Test connection with a simple query
-        const { error } = await supabase.supabase
-            .from('posts')
-            .select('id')
-            .limit(1);
-            
-        if (error) {
-            throw new Error(`Supabase connection test failed: ${error.message}`);
-        }
+        // Resumes jobs a restart interrupted, so handlers must be registered first
+        registerAIJobHandlers(jobQueue);
+        await jobQueue.initialize();
         
-        logger.info('✅ Supabase connection verified');
+        logger.info(`✅ Posts storage ready (${postsController.repository.driver})`);
         return true;
         
     } catch (error) {
         logger.error('❌ Data connection initialization failed:', error);
         
         if (process.env.NODE_ENV === 'production') {
-            throw new Error('Production requires valid Supabase connection');
+            throw new Error('Production requires a working posts storage backend');
         }
         
         return false;
@@ -399,37 +442,10 @@ app.get('/api/test', cacheMiddleware(300), (req, res) => {
  *       200:
  *         description: Analytics data
  */
-app.get('/api/analytics', cacheMiddleware(600), (req, res) => {
+app.get('/api/analytics', cacheMiddleware(600), async (req, res) => {
     try {
-        // Note: Analytics data temporarily using static values until database connection is verified
-        const publishedPosts = [];
-        const draftPosts = [];
-        const totalViews = 0;
-        
-        res.json({
-            totalPosts: 0,
-            publishedPosts: publishedPosts.length,
-            draftPosts: draftPosts.length,
-            pageViews: totalViews,
-            trafficSources: {
-                organic: 65,
-                direct: 20,
-                social: 10,
-                referral: 5
-            },
-            topKeywords: [
-                { keyword: 'รถเกี่ยวข้าว', count: 1234 },
-                { keyword: 'ซ่อมรถเกี่ยวข้าว', count: 892 },
-                { keyword: 'ดูแลรักษารถเกี่ยวข้าว', count: 567 },
-                { keyword: 'อะไหล่รถเกี่ยวข้าว', count: 445 }
-            ],
-            popularPosts: publishedPosts.slice(0, 5).map(post => ({
-                title: post.titleTH,
-                views: post.views || 0,
-                slug: post.slug
-            })),
-            generatedAt: new Date().toISOString()
-        });
+        const analytics = await postsController.getAnalytics();
+        res.json(analytics);
     } catch (error) {
         logger.error('Error generating analytics:', error);
         res.status(500).json({ 
@@ -439,8 +455,7 @@ app.get('/api/analytics', cacheMiddleware(600), (req, res) => {
     }
 });
 
-// REMOVED: Duplicate post endpoints - handled by routes/posts.js
-// This prevents conflicts between server.js and routes/posts.js endpoints
+// Post CRUD endpoints are handled by routes/postsRoutes.js
 
 /**
  * @swagger
@@ -448,81 +463,96 @@ app.get('/api/analytics', cacheMiddleware(600), (req, res) => {
  *   get:
  *     summary: Get blog HTML for frontend
  *     tags: [Blog]
+ *     parameters:
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [th, en]
+ *           default: th
+ *         description: Language of the posts and labels; untranslated posts fall back to Thai
  *     responses:
  *       200:
  *         description: Generated blog HTML
  */
 app.get('/api/blog-html', cacheMiddleware(300), async (req, res) => {
     try {
-        logger.debug('Starting blog-html request - using Supabase only...');
+        logger.debug('Starting blog-html request...');
         
-        // Verify Supabase connection first
-        if (!supabase.isConnected()) {
-            throw new Error('Supabase client not connected');
-        }
+        const lang = req.query.lang || Post.defaultLocale;
+        const result = await postsController.getAllPosts({
+            publishedOnly: true,
+            limit: 100,
+            sortBy: 'createdAt',
+            sortOrder: 'desc',
+            lang
+        });
         
-        // Fetch from Supabase only - no fallbacks
-        const { data: supabasePosts, error } = await supabase.db.posts.findAll(100, 0);
+        if (result.error === 'Unsupported language') {
+            return res.status(400).json(result);
+        }
         
-        if (error) {
-            throw new Error(`Database query failed: ${error.message}`);
+        if (!result.success) {
+            throw new Error(`Database query failed: ${result.message}`);
         }
         
-        // Filter published posts
-        const publishedPosts = (supabasePosts || []).filter(post => post.status === 'published');
+        const publishedPosts = result.data.posts;
+        const source = postsController.repository.driver;
+        const locale = Post.normalizeLocale(lang);
+        const ui = getUiStrings(locale);
         
         if (publishedPosts.length === 0) {
             logger.info('No published posts found in database');
             return res.json({
-                html: '<div class="no-posts-message">ไม่มีบทความที่เผยแพร่แล้ว</div>',
+                html: `<div class="no-posts-message">${ui.noPosts}</div>`,
                 count: 0,
                 posts: [],
-                source: 'supabase'
+                lang: locale,
+                source
             });
         }
         
-        // Generate HTML for published posts
+        // Generate HTML for published posts (title, excerpt and slug are already localized)
         const blogHTML = publishedPosts.map(post => {
-            // Handle field name consistency (Supabase uses snake_case)
-            const title = post.titleth || post.titleTH || post.title || 'ไม่มีหัวข้อ';
-            const excerpt = post.excerpt || 'ไม่มีเนื้อหาย่อ';
+            const title = post.title || post.titleTH || ui.untitled;
+            const excerpt = post.excerpt || ui.noExcerpt;
             const author = post.author || 'ระเบียบการช่าง';
             const views = post.views || 0;
             const slug = post.slug || '';
             
-            // Handle date formatting (Supabase uses created_at)
-            let dateStr = 'ไม่ระบุ';
-            if (post.created_at) {
-                dateStr = new Date(post.created_at).toLocaleDateString('th-TH');
-            } else if (post.publishedat) {
-                dateStr = new Date(post.publishedat).toLocaleDateString('th-TH');
+            let dateStr = ui.noDate;
+            if (post.createdAt) {
+                dateStr = new Date(post.createdAt).toLocaleDateString(ui.dateLocale);
+            } else if (post.publishedAt) {
+                dateStr = new Date(post.publishedAt).toLocaleDateString(ui.dateLocale);
             }
             
             return `
-                <article class="blog-post-item">
-                    <div class="post-image-placeholder">ภาพประกอบบทความ: ${title}</div>
+                <article class="blog-post-item" lang="${post.lang}">
+                    <div class="post-image-placeholder">${ui.imageOf}: ${title}</div>
                     <div class="post-content">
                         <h3><a href="/blog/${slug}" class="post-title-link">${title}</a></h3>
-                        <p class="post-meta">เผยแพร่เมื่อ: ${dateStr} | โดย: ${author} | ดู: ${views} ครั้ง</p>
+                        <p class="post-meta">${ui.published}: ${dateStr} | ${ui.by}: ${author} | ${ui.views(views)}</p>
                         <p class="post-excerpt">${excerpt}</p>
                         <div class="post-tags">
                             ${(Array.isArray(post.tags) ? post.tags.map(tag => `<span class="tag">${tag}</span>`).join('') : '')}
                         </div>
                         <div class="post-actions">
-                            <a href="/blog/${slug}" class="read-more-btn">อ่านบทความ →</a>
+                            <a href="/blog/${slug}" class="read-more-btn">${ui.readMore}</a>
                         </div>
                     </div>
                 </article>
             `;
         }).join('');
         
-        logger.debug(`Generated HTML for ${publishedPosts.length} posts from Supabase`);
+        logger.debug(`Generated HTML for ${publishedPosts.length} posts from ${source}`);
         
         res.json({
             html: blogHTML,
             count: publishedPosts.length,
             posts: publishedPosts,
-            source: 'supabase'
+            lang: locale,
+            source
         });
         
     } catch (err) {
@@ -539,7 +569,7 @@ app.get('/api/blog-html', cacheMiddleware(300), async (req, res) => {
         
         // Development fallback with clear indication
         res.status(503).json({
-            html: '<div class="error-message">Database connection failed - please check Supabase configuration</div>',
+            html: '<div class="error-message">Database connection failed - please check posts storage configuration</div>',
             count: 0,
             posts: [],
             source: 'error',
@@ -548,37 +578,39 @@ app.get('/api/blog-html', cacheMiddleware(300), async (req, res) => {
     }
 });
 
-// Individual blog post view (Enhanced with caching and error handling)
-app.get('/blog/:slug', cacheMiddleware(1800), (req, res) => {
+// sitemap.xml, feed.xml, atom.xml and robots.txt
+app.use(seoRoutes);
+
+// Individual blog post view - server-rendered for sharing and crawlers.
+// The slug may be Thai or English; ?lang= switches to the other language's URL.
+app.get('/blog/:slug', async (req, res) => {
     try {
-        // Note: Blog post view temporarily disabled until database connection is verified
-        const post = null;
+        const result = await postsController.getPostBySlug(req.params.slug, {
+            lang: Post.normalizeLocale(req.query.lang) || undefined
+        });
+        // Posts found by their Thai slug without ?lang= come back unlocalized
+        const post = result.success ? (result.data.lang ? result.data : Post.localize(result.data)) : null;
         
-        if (!post) {
+        // Drafts and archived posts are not public
+        if (!post || !Post.isPublished(post)) {
             logger.warn(`Blog post not found: ${req.params.slug}`, { 
                 ip: req.ip, 
-                userAgent: req.get('User-Agent') 
+                userAgent: req.get('User-Agent'),
+                reason: post ? `status:${post.status}` : (result.error || 'missing')
             });
-            return res.status(404).send(`
-                <!DOCTYPE html>
-                <html lang="th">
-                <head>
-                    <meta charset="UTF-8">
-                    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-                    <title>ไม่พบบทความ | ระเบียบการช่าง</title>
-                </head>
-                <body>
-                    <h1>ไม่พบบทความที่ต้องการ</h1>
-                    <p>ขออภัย บทความที่คุณต้องการไม่พบในระบบ</p>
-                    <a href="/">← กลับสู่หน้าหลัก</a>
-                </body>
-                </html>
-            `);
+            return res.status(404).send(renderMessagePage(
+                'ไม่พบบทความที่ต้องการ',
+                'ขออภัย บทความที่คุณต้องการไม่พบในระบบ',
+                config.site
+            ));
         }
         
-        // Increment view count safely
-        post.views = (post.views || 0) + 1;
-        saveData().catch(error => logger.error('Error saving view count:', error));
+        // One URL per language: send ?lang= and fallback requests to the slug that is shown
+        if (post.slug !== req.params.slug) {
+            return res.redirect(301, `/blog/${encodeURIComponent(post.slug)}`);
+        }
+        
+        post.views = await postsController.incrementViews(post.id) || (post.views || 0) + 1;
         
         logger.info(`Blog post viewed: ${post.titleTH}`, { 
             slug: req.params.slug,
@@ -586,137 +618,15 @@ app.get('/blog/:slug', cacheMiddleware(1800), (req, res) => {
             ip: req.ip 
         });
         
-        // Return HTML page
-        const html = `
-        <!DOCTYPE html>
-        <html lang="th">
-        <head>
-            <meta charset="UTF-8">
-            <meta name="viewport" content="width=device-width, initial-scale=1.0">
-            <title>${post.metaTitle || post.titleTH}</title>
-            <meta name="description" content="${post.metaDescription || post.excerpt}">
-            <meta name="keywords" content="${Array.isArray(post.tags) ? post.tags.join(', ') : ''}">
-            <link href="https://fonts.googleapis.com/css2?family=Sarabun:wght@300;400;500;700&display=swap" rel="stylesheet">
-            <style>
-                body { 
-                    font-family: 'Sarabun', sans-serif; 
-                    max-width: 800px; 
-                    margin: 0 auto; 
-                    padding: 20px; 
-                    line-height: 1.6; 
-                    color: #333;
-                }
-                .header { 
-                    text-align: center; 
-                    margin-bottom: 40px; 
-                    padding-bottom: 20px; 
-                    border-bottom: 2px solid #27533b; 
-                }
-                .header h1 { 
-                    color: #27533b; 
-                    font-size: 2.2em; 
-                    margin-bottom: 10px;
-                }
-                .meta { 
-                    color: #6c757d; 
-                    margin-bottom: 30px; 
-                    font-size: 0.95em;
-                }
-                .content { 
-                    line-height: 1.8; 
-                    font-size: 1.1em;
-                }
-                .content h3 { 
-                    color: #27533b; 
-                    margin: 30px 0 15px 0; 
-                    font-size: 1.4em;
-                }
-                .content h4 { 
-                    color: #27533b; 
-                    margin: 25px 0 10px 0; 
-                    font-size: 1.2em;
-                }
-                .content ol, .content ul { 
-                    margin: 15px 0; 
-                    padding-left: 30px; 
-                }
-                .content li { 
-                    margin-bottom: 10px; 
-                }
-                .back-link { 
-                    display: inline-block; 
-                    margin-top: 40px; 
-                    padding: 10px 20px; 
-                    background: #27533b; 
-                    color: white; 
-                    text-decoration: none; 
-                    border-radius: 5px; 
-                }
-                .back-link:hover { 
-                    background: #1e3d2b; 
-                }
-                .tags {
-                    margin: 30px 0;
-                    padding: 20px;
-                    background: #f8f9fa;
-                    border-radius: 8px;
-                }
-                .tag {
-                    display: inline-block;
-                    background: #e0a800;
-                    color: #27533b;
-                    padding: 4px 12px;
-                    margin: 2px;
-                    border-radius: 15px;
-                    font-size: 0.9em;
-                    font-weight: 500;
-                }
-            </style>
-        </head>
-        <body>
-            <div class="header">
-                <h1>${post.titleTH}</h1>
-                <div class="meta">
-                    เผยแพร่เมื่อ: ${new Date(post.publishDate).toLocaleDateString('th-TH')} | 
-                    โดย: ${post.author} | 
-                    ดู: ${post.views} ครั้ง
-                </div>
-            </div>
-            
-            <div class="content">
-                ${post.content}
-            </div>
-            
-            ${post.tags && post.tags.length > 0 ? `
-            <div class="tags">
-                <strong>แท็ก:</strong> 
-                ${post.tags.map(tag => `<span class="tag">${tag}</span>`).join('')}
-            </div>
-            ` : ''}
-            
-            <a href="/" class="back-link">← กลับสู่หน้าหลัก</a>
-        </body>
-        </html>
-        `;
-        
-        res.send(html);
+        const [page] = await taxonomyController.withCategoryNames([post]);
+        res.send(renderPostPage(page, config.site, buildStructuredData(page, config.site).jsonLd));
     } catch (error) {
         logger.error('Error serving blog post:', error);
-        res.status(500).send(`
-            <!DOCTYPE html>
-            <html lang="th">
-            <head>
-                <meta charset="UTF-8">
-                <meta name="viewport" content="width=device-width, initial-scale=1.0">
-                <title>เกิดข้อผิดพลาด | ระเบียบการช่าง</title>
-            </head>
-            <body>
-                <h1>เกิดข้อผิดพลาด</h1>
-                <p>ขออภัย เกิดข้อผิดพลาดในการแสดงบทความ</p>
-                <a href="/">← กลับสู่หน้าหลัก</a>
-            </body>
-            </html>
-        `);
+        res.status(500).send(renderMessagePage(
+            'เกิดข้อผิดพลาด',
+            'ขออภัย เกิดข้อผิดพลาดในการแสดงบทความ',
+            config.site
+        ));
     }
 });
 
@@ -815,6 +725,11 @@ async function startServer() {
         } catch (dbError) {
             console.warn('⚠️ Database connection failed - continuing anyway:', dbError.message);
         }
+
+        // Publish scheduled posts in the background
+        if (config.publishing.schedulerEnabled) {
+            publishScheduler.start();
+        }
         
         console.log('🚀 BOOT: server listening on', PORT);
         const server = app.listen(PORT, '0.0.0.0', () => {
@@ -861,6 +776,9 @@ async function startServer() {
         const gracefulShutdown = (signal) => {
             logger.info(`📢 Received ${signal}. Starting graceful shutdown...`);
             
+            publishScheduler.stop();
+            jobQueue.stop();
+
             // Cleanup AI Swarm Councils
             try {
                 SwarmCouncilManager.destroy();
@@ -5,6 +5,9 @@
 
 const { getProviderConfig } = require('../ai/providers/config/providers.config');
 const ProviderFactory = require('../ai/providers/factory/ProviderFactory');
+const { ProviderRouter } = require('../ai/providers/routing/ProviderRouter');
+const aiRequestLedger = require('./AIRequestLedger');
+const promptCache = require('./PromptCache');
 
 class AIProviderService {
     constructor() {
@@ -24,6 +27,9 @@ class AIProviderService {
         // Provider priority for fallbacks (based on reliability)
         this.fallbackOrder = ['openai', 'claude', 'deepseek', 'chinda', 'gemini'];
         
+        // Strategy-based selection (cheapest, fastest, ...); 'fallback' follows fallbackOrder
+        this.router = new ProviderRouter({ order: this.fallbackOrder });
+        
         // Don't auto-initialize - let it be called explicitly when needed
         // this.initializeProviders();
     }
@@ -122,64 +128,97 @@ class AIProviderService {
     }
     
     /**
-     * Smart provider selection with fallbacks
+     * Smart provider selection: the requested provider when it is available
+     * (configured and its circuit is not open), otherwise the routing strategy's
+     * pick. Pass 'auto' to always let the strategy decide.
+     * @param {string} requestedProvider - Provider name from the client, or 'auto'
+     * @param {Object} options - { strategy, capabilities } (see ProviderRouter.route)
+     * @returns {Promise<Object>} - { provider, config, routing, isFallback?, originalProvider? }
      */
-    async selectBestProvider(requestedProvider) {
+    async selectBestProvider(requestedProvider, options = {}) {
         const mappedProvider = this.mapProviderName(requestedProvider);
+        const decision = this.router.route({
+            requested: mappedProvider,
+            strategy: options.strategy,
+            capabilities: options.capabilities
+        });
         
-        // Try requested provider first
-        try {
-            const config = await this.getProviderConfig(mappedProvider);
-            if (config && config.apiKey) {
-                return { provider: mappedProvider, config: config };
-            }
-        } catch (error) {
-            console.warn(`⚠️ [AI SERVICE] Requested provider ${mappedProvider} unavailable`);
+        if (!decision.provider) {
+            throw new Error(`No available AI providers configured. Please set up at least one provider in your environment variables.`);
         }
         
-        // Try fallback providers
-        for (const fallbackProvider of this.fallbackOrder) {
-            if (fallbackProvider === mappedProvider) continue; // Skip already tried
-            
-            try {
-                const config = await this.getProviderConfig(fallbackProvider);
-                if (config && config.apiKey) {
-                    console.log(`🔄 [AI SERVICE] Using fallback provider: ${fallbackProvider}`);
-                    return { 
-                        provider: fallbackProvider, 
-                        config: config,
-                        isFallback: true,
-                        originalProvider: requestedProvider
-                    };
-                }
-            } catch (error) {
-                // Continue to next fallback
-                continue;
-            }
+        const config = await this.getProviderConfig(decision.provider);
+        
+        if (decision.isFallback) {
+            console.log(`🔄 [AI SERVICE] Using fallback provider: ${decision.provider} (${decision.explanation.reason})`);
+            return {
+                provider: decision.provider,
+                config: config,
+                routing: decision.explanation,
+                isFallback: true,
+                originalProvider: requestedProvider
+            };
         }
         
-        throw new Error(`No available AI providers configured. Please set up at least one provider in your environment variables.`);
+        return { provider: decision.provider, config: config, routing: decision.explanation };
+    }
+    
+    /**
+     * Explain which provider a request would get, without sending anything
+     * @param {string} requestedProvider - Provider name, or 'auto'
+     * @param {Object} options - { strategy, capabilities }
+     */
+    previewRouting(requestedProvider, options = {}) {
+        return this.router.route({
+            requested: this.mapProviderName(requestedProvider),
+            strategy: options.strategy,
+            capabilities: options.capabilities,
+            preview: true
+        }).explanation;
     }
     
     /**
      * Process chat message with optimized provider handling
+     * Repeated prompts are answered from the prompt cache (no provider call, no
+     * ledger entry) unless options.cache is false.
+     * @param {Object} options - { model, maxTokens, temperature, requestType (ledger, default 'chat'), strategy, cache }
      */
     async processMessage(requestedProvider, message, options = {}) {
         const startTime = Date.now();
         
         try {
             // Smart provider selection
-            const { provider, config, isFallback, originalProvider } = await this.selectBestProvider(requestedProvider);
+            const { provider, isFallback, originalProvider, routing } = await this.selectBestProvider(requestedProvider, options);
             
             // Get provider instance
             const providerInstance = await this.getProviderInstance(provider);
             
-            // Generate response
-            const response = await providerInstance.generateResponse(message, {
+            const generateOptions = {
                 model: options.model,
                 maxTokens: options.maxTokens || 1000,
                 temperature: options.temperature || 0.7
-            });
+            };
+            
+            // Generate response (cached, and recorded in the AI request ledger when generated)
+            const { response, cached } = await promptCache.fetch({
+                prompt: message,
+                provider: provider,
+                model: options.model || providerInstance.model,
+                params: generateOptions
+            }, () => aiRequestLedger.track({
+                provider: provider,
+                model: options.model || providerInstance.model,
+                requestType: options.requestType,
+                prompt: message,
+                temperature: generateOptions.temperature,
+                maxTokens: generateOptions.maxTokens,
+                ...(isFallback && { metadata: { fallbackFrom: originalProvider } })
+            }, async () => {
+                const callStart = Date.now();
+                const result = await providerInstance.generateResponse(message, generateOptions);
+                this.router.recordLatency(provider, Date.now() - callStart);
+                return result;
+            }), { cache: options.cache });
             
             const processingTime = Date.now() - startTime;
             
@@ -189,6 +228,8 @@ class AIProviderService {
                 provider: provider,
                 model: response.model,
                 processingTime: processingTime,
+                routing: routing,
+                ...(cached && { cached: true }),
                 ...(isFallback && { 
                     fallbackUsed: true,
                     originalProvider: originalProvider,
@@ -210,6 +251,99 @@ class AIProviderService {
         }
     }
     
+    /**
+     * Stream a chat message as normalized events (see BaseProvider.streamTokens),
+     * starting with { type: 'start', provider, model }. Opening the stream goes
+     * through the provider's circuit breaker, so an OPEN circuit fails fast;
+     * errors after the first byte are reported to the breaker as failures too.
+     * Fallback providers are only tried before streaming starts. Finished,
+     * cancelled and failed streams are recorded in the AI request ledger.
+     * @param {string} requestedProvider - Provider name from the client
+     * @param {string} message - Prompt
+     * @param {Object} options - { model, maxTokens, temperature, contentLength, articleType, signal, requestType, strategy }
+     */
+    async *streamMessage(requestedProvider, message, options = {}) {
+        const startTime = Date.now();
+        const { provider, isFallback, originalProvider, routing } = await this.selectBestProvider(requestedProvider, options);
+        const providerInstance = await this.getProviderInstance(provider);
+        const circuitBreaker = providerInstance.circuitBreaker;
+        
+        const streamOptions = {
+            model: options.model,
+            maxTokens: options.maxTokens || 1000,
+            temperature: options.temperature || 0.7,
+            contentLength: options.contentLength,
+            articleType: options.articleType,
+            signal: options.signal
+        };
+        
+        const ledgerDetails = {
+            provider: provider,
+            model: options.model || providerInstance.model,
+            requestType: options.requestType || 'chat-stream',
+            prompt: message,
+            temperature: streamOptions.temperature,
+            maxTokens: streamOptions.maxTokens,
+            ...(isFallback && { metadata: { fallbackFrom: originalProvider } })
+        };
+        const recordFailure = (error) => aiRequestLedger.record({
+            ...ledgerDetails,
+            responseTimeMs: Date.now() - startTime,
+            success: false,
+            error: error.message || error.error
+        });
+        
+        const openStream = async () => {
+            try {
+                return await providerInstance.generateStreamResponse(message, streamOptions);
+            } catch (error) {
+                await recordFailure(error);
+                throw error;
+            }
+        };
+        const stream = circuitBreaker ? await circuitBreaker.execute(openStream) : await openStream();
+        
+        yield {
+            type: 'start',
+            provider: provider,
+            model: options.model || providerInstance.model,
+            routing: routing,
+            ...(isFallback && {
+                fallbackUsed: true,
+                originalProvider: originalProvider
+            })
+        };
+        
+        try {
+            for await (const event of providerInstance.parseTokenStream(stream, message, streamOptions)) {
+                if (event.type !== 'done') {
+                    yield event;
+                    continue;
+                }
+                
+                await aiRequestLedger.record({
+                    ...ledgerDetails,
+                    model: event.model || ledgerDetails.model,
+                    response: event.content,
+                    usage: event.usage,
+                    responseTimeMs: Date.now() - startTime,
+                    outcome: event.cancelled ? 'cancelled' : 'success',
+                    metadata: { ...ledgerDetails.metadata, ...(event.usage.estimated && { tokensEstimated: true }) }
+                });
+                if (!event.cancelled) {
+                    this.router.recordLatency(provider, Date.now() - startTime);
+                }
+                yield { ...event, provider: provider, processingTime: Date.now() - startTime };
+            }
+        } catch (error) {
+            await recordFailure(error);
+            if (circuitBreaker) {
+                await circuitBreaker.onFailure(error, Date.now() - startTime, 'stream');
+            }
+            throw error;
+        }
+    }
+    
     /**
      * Map frontend provider names to backend names
      */
@@ -258,6 +392,7 @@ class AIProviderService {
      */
     getCacheStats() {
         return {
+            promptCache: promptCache.getStats(),
             providerCache: {
                 size: this.providerCache.size,
                 keys: Array.from(this.providerCache.keys())
@@ -0,0 +1,229 @@
+/**
+ * AI Request Ledger
+ * Persists every provider call (chat, swarm stages, collaboration) with tokens,
+ * latency, outcome and estimated cost, and builds usage reports from it.
+ * Unlike the in-memory counters in routes/ai.js the ledger survives restarts.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { getAIRequestRepository, AIRequestRepository } = require('../repositories');
+const RepositoryBackedService = require('./RepositoryBackedService');
+const { estimateCost } = require('../ai/providers/config/pricing.config');
+const { estimateTokens } = require('../ai/providers/base/streamEvents');
+const { logger } = require('../middleware/errorHandler');
+
+const PROMPT_EXCERPT_LENGTH = 500;
+const DEFAULT_REPORT_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Token usage in the { promptTokens, completionTokens, totalTokens } shape,
+ * whichever API reported it (OpenAI-compatible, Anthropic or Gemini)
+ * @param {Object} usage - Usage object from the provider response
+ * @returns {Object|null} - null when the provider reported nothing usable
+ */
+const normalizeUsage = (usage) => {
+  if (!usage || typeof usage !== 'object') return null;
+
+  const promptTokens = usage.promptTokens ?? usage.prompt_tokens ?? usage.input_tokens ?? usage.promptTokenCount;
+  const completionTokens = usage.completionTokens ?? usage.completion_tokens ?? usage.output_tokens ?? usage.candidatesTokenCount;
+  let totalTokens = usage.totalTokens ?? usage.total_tokens ?? usage.totalTokenCount;
+
+  if (!Number.isFinite(totalTokens) && Number.isFinite(promptTokens) && Number.isFinite(completionTokens)) {
+    totalTokens = promptTokens + completionTokens;
+  }
+  if (!Number.isFinite(totalTokens)) return null;
+
+  return {
+    promptTokens: Number.isFinite(promptTokens) ? promptTokens : 0,
+    completionTokens: Number.isFinite(completionTokens) ? completionTokens : totalTokens - (promptTokens || 0),
+    totalTokens
+  };
+};
+
+/**
+ * Parse a report bound: a full ISO timestamp or a YYYY-MM-DD day (UTC)
+ */
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid ${name} date: ${value}`);
+  }
+  return date;
+};
+
+class AIRequestLedger extends RepositoryBackedService {
+  /**
+   * @param {Object} options - { repository }
+   */
+  constructor(options = {}) {
+    super(options.repository, getAIRequestRepository);
+    this.context = new AsyncLocalStorage();
+  }
+
+  /**
+   * Run a function with request context (user, request type) attached to
+   * every ledger entry recorded inside it, however deep the provider call is
+   * @param {Object} context - { userId, username, requestType, metadata }
+   * @param {Function} fn - Function to run
+   */
+  runWithContext(context, fn) {
+    return this.context.run({ ...this.getContext(), ...context }, fn);
+  }
+
+  /**
+   * @returns {Object} - Context of the current request, {} outside one
+   */
+  getContext() {
+    return this.context.getStore() || {};
+  }
+
+  /**
+   * Build a ledger entry (ai_requests row) from the details of one call
+   * @param {Object} details - { provider, model, requestType, prompt, response, usage, temperature,
+   *   maxTokens, responseTimeMs, success, outcome, error, metadata, userId }
+   * @returns {Object}
+   */
+  buildEntry(details) {
+    const context = this.getContext();
+    const prompt = String(details.prompt || '');
+    const reported = normalizeUsage(details.usage);
+    const usage = reported || {
+      promptTokens: estimateTokens(prompt),
+      completionTokens: estimateTokens(details.response || ''),
+      totalTokens: estimateTokens(prompt) + estimateTokens(details.response || '')
+    };
+    const success = details.success !== false;
+    const model = details.model || null;
+
+    const metadata = {
+      ...context.metadata,
+      ...details.metadata,
+      ...(context.username && { username: context.username }),
+      ...(!reported && { tokensEstimated: true })
+    };
+
+    return {
+      id: crypto.randomUUID(),
+      user_id: details.userId !== undefined ? details.userId : (context.userId || null),
+      provider: details.provider,
+      model_used: model,
+      request_type: details.requestType || context.requestType || 'chat',
+      prompt: prompt.slice(0, PROMPT_EXCERPT_LENGTH),
+      temperature: details.temperature ?? null,
+      max_tokens: details.maxTokens ?? null,
+      prompt_tokens: usage.promptTokens,
+      completion_tokens: usage.completionTokens,
+      tokens_used: usage.totalTokens,
+      response_time_ms: Math.round(details.responseTimeMs || 0),
+      success,
+      outcome: details.outcome || (success ? 'success' : 'error'),
+      error_message: success ? null : (details.error || 'Unknown error'),
+      estimated_cost: estimateCost(details.provider, model, usage.promptTokens, usage.completionTokens),
+      metadata: Object.keys(metadata).length > 0 ? metadata : null,
+      created_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Store one call. Never throws: a ledger failure must not fail the AI request.
+   * @param {Object} details - See buildEntry
+   * @returns {Promise<Object|null>} - Stored entry, or null when it could not be stored
+   */
+  async record(details) {
+    try {
+      const entry = this.buildEntry(details);
+      await this.initialize();
+      return await this.getRepository().create(entry);
+    } catch (error) {
+      logger.error('Failed to record AI request:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Call a provider and record the outcome
+   * @param {Object} details - Known before the call: { provider, model, requestType, prompt,
+   *   temperature, maxTokens, metadata }
+   * @param {Function} call - Returns the provider response ({ content, usage, model })
+   * @returns {Promise<*>} - The provider response; provider errors are rethrown
+   */
+  async track(details, call) {
+    const startTime = Date.now();
+
+    try {
+      const response = await call();
+      await this.record({
+        ...details,
+        model: response?.model || details.model,
+        response: typeof response === 'string' ? response : response?.content,
+        usage: response?.usage,
+        responseTimeMs: Date.now() - startTime,
+        success: true
+      });
+      return response;
+    } catch (error) {
+      await this.record({
+        ...details,
+        responseTimeMs: Date.now() - startTime,
+        success: false,
+        error: error?.message || error?.error || String(error)
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Usage report for the admin dashboard
+   * @param {Object} options - { from, to (inclusive days), groupBy, provider, userId, requestType }
+   * @returns {Promise<Object>} - { from, to, groupBy, rows, totals }
+   */
+  async getUsageReport(options = {}) {
+    const groupBy = options.groupBy || ['day', 'provider', 'user'];
+    const invalid = groupBy.filter(field => !AIRequestRepository.groupFields.includes(field));
+    if (invalid.length > 0) {
+      throw new Error(`Invalid groupBy field: ${invalid.join(', ')} (expected ${AIRequestRepository.groupFields.join(', ')})`);
+    }
+
+    const to = options.to ? parseDate(options.to, 'to') : new Date();
+    const from = options.from ? parseDate(options.from, 'from') : new Date(to.getTime() - DEFAULT_REPORT_DAYS * DAY_MS);
+    // A bare day includes all of that day
+    const toExclusive = /^\d{4}-\d{2}-\d{2}$/.test(options.to || '') ? new Date(to.getTime() + DAY_MS) : to;
+
+    await this.initialize();
+    const rows = await this.getRepository().summarize({
+      from: from.toISOString(),
+      to: toExclusive.toISOString(),
+      provider: options.provider,
+      userId: options.userId,
+      requestType: options.requestType,
+      groupBy
+    });
+
+    const sum = (field) => rows.reduce((total, row) => total + row[field], 0);
+
+    return {
+      from: from.toISOString(),
+      to: toExclusive.toISOString(),
+      groupBy,
+      rows,
+      totals: {
+        requests: sum('requests'),
+        successes: sum('successes'),
+        failures: sum('failures'),
+        promptTokens: sum('promptTokens'),
+        completionTokens: sum('completionTokens'),
+        totalTokens: sum('totalTokens'),
+        estimatedCost: Math.round(sum('estimatedCost') * 1000000) / 1000000
+      }
+    };
+  }
+}
+
+// Singleton instance
+const aiRequestLedger = new AIRequestLedger();
+
+module.exports = aiRequestLedger;
+module.exports.AIRequestLedger = AIRequestLedger;
+module.exports.normalizeUsage = normalizeUsage;
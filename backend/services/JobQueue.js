@@ -0,0 +1,464 @@
+/**
+ * Job Queue
+ * Runs long AI pipelines (swarm council, E-A-T) in the background. Jobs are
+ * persisted before they run, so a submit returns at once with a job ID, the
+ * result can be fetched later and a restart does not lose queued work.
+ * Progress is pushed to WebSocket clients in the jobs room.
+ */
+
+const crypto = require('crypto');
+const config = require('../config/config');
+const { Job } = require('../models/Job');
+const { User } = require('../models/User');
+const { getJobRepository } = require('../repositories');
+const RepositoryBackedService = require('./RepositoryBackedService');
+const aiRequestLedger = require('./AIRequestLedger');
+const { logger } = require('../middleware/errorHandler');
+
+const DEFAULT_LIMIT = 50;
+
+/**
+ * Error message of whatever a handler threw (providers throw plain objects)
+ */
+const errorMessage = (error) => error?.message || error?.error || String(error);
+
+class JobQueue extends RepositoryBackedService {
+  /**
+   * @param {Object} options - { repository, concurrency, typeConcurrency, maxAttempts, getBroadcaster }
+   */
+  constructor(options = {}) {
+    super(options.repository, getJobRepository);
+    this.concurrency = options.concurrency || config.ai.jobs.concurrency;
+    this.typeConcurrency = options.typeConcurrency || config.ai.jobs.typeConcurrency;
+    this.maxAttempts = options.maxAttempts || config.ai.jobs.maxAttempts;
+    // Resolved on every update - the WebSocket server starts after the queue
+    this.getBroadcaster = options.getBroadcaster || (() => global.realTimeWS);
+    this.handlers = new Map();
+    // Running jobs by ID: { job, controller, promise, writes }
+    this.active = new Map();
+    this.stopped = false;
+    this.pumping = null;
+    this.pumpRequested = false;
+  }
+
+  /**
+   * Register the function that runs jobs of a type
+   * @param {string} type - Job type (see Job.types)
+   * @param {Function} handler - async (input, { signal, onProgress, job }) => result.
+   *   It should stop with an AbortError once signal is aborted and may call
+   *   onProgress({ stage, completed, total, detail }) as it goes.
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Initialize storage, recover jobs a restart interrupted and start queued ones
+   */
+  async initialize() {
+    if (!this.ready) {
+      this.stopped = false;
+    }
+    await super.initialize();
+    this.pump();
+  }
+
+  async setup() {
+    await this.recoverInterruptedJobs();
+  }
+
+  /**
+   * Jobs still marked running were cut off by a restart: queue them again while
+   * attempts remain, otherwise fail them
+   */
+  async recoverInterruptedJobs() {
+    const { jobs } = await this.getRepository().findAll({ status: 'running', order: 'asc' });
+    const now = new Date().toISOString();
+
+    for (const job of jobs) {
+      let changes;
+      if (job.cancel_requested) {
+        changes = { status: 'cancelled', finished_at: now };
+      } else if (job.attempts < job.max_attempts) {
+        changes = Job.requeued();
+      } else {
+        changes = { status: 'failed', error: 'Interrupted by a server restart', finished_at: now };
+      }
+      await this.getRepository().update(job.id, { ...changes, updated_at: now });
+    }
+
+    if (jobs.length > 0) {
+      logger.info(`🧵 Recovered ${jobs.length} AI jobs interrupted by a restart`);
+    }
+  }
+
+  /**
+   * Queue a job
+   * @param {string} type - Job type
+   * @param {Object} input - Input for the job type
+   * @param {Object} context - { user }
+   * @returns {Promise<Object>} - Result with the queued job
+   */
+  async submit(type, input, context = {}) {
+    try {
+      await this.initialize();
+
+      const validation = Job.validateForCreate({ type, input, max_attempts: this.maxAttempts });
+      if (!validation.success) {
+        return { success: false, error: 'Validation failed', details: validation.errors };
+      }
+
+      const now = new Date().toISOString();
+      const job = await this.getRepository().create({
+        ...validation.data,
+        id: crypto.randomUUID(),
+        created_by: context.user && !context.user.bootstrap ? context.user.id : null,
+        created_by_name: context.user?.username || null,
+        created_at: now,
+        updated_at: now
+      });
+
+      logger.info(`🧵 Queued ${type} job ${job.id}`);
+      this.broadcast(job);
+      this.pump();
+
+      return { success: true, data: job };
+    } catch (error) {
+      logger.error('Error submitting AI job:', error);
+      return { success: false, error: 'Failed to submit job', message: error.message };
+    }
+  }
+
+  /**
+   * Jobs visible to the user, newest first, without results
+   * @param {Object} options - { status, type, limit, offset }
+   * @param {Object} context - { user }
+   * @returns {Promise<Object>}
+   */
+  async listJobs(options = {}, context = {}) {
+    try {
+      await this.initialize();
+
+      const limit = Math.min(parseInt(options.limit) || DEFAULT_LIMIT, 200);
+      const offset = parseInt(options.offset) || 0;
+      const { jobs, total } = await this.getRepository().findAll({
+        status: options.status || undefined,
+        type: options.type || undefined,
+        // Authors only see their own jobs
+        createdBy: context.user && !User.can(context.user, 'posts:edit-others') ? context.user.id : undefined,
+        limit,
+        offset
+      });
+
+      return {
+        success: true,
+        data: jobs.map(job => Job.toSummary(job)),
+        pagination: { total, limit, offset }
+      };
+    } catch (error) {
+      logger.error('Error listing AI jobs:', error);
+      return { success: false, error: 'Failed to list jobs', message: error.message };
+    }
+  }
+
+  /**
+   * Load a job the user may see
+   * @returns {Promise<Object>} - Result with the job, or 'Job not found' / 'Forbidden'
+   */
+  async findJob(id, context) {
+    await this.initialize();
+
+    const job = await this.getRepository().findById(id);
+    if (!job) {
+      return { success: false, error: 'Job not found' };
+    }
+    if (context.user && !User.canManageJob(context.user, job)) {
+      return { success: false, error: 'Forbidden', message: 'Authors can only access their own jobs' };
+    }
+    return { success: true, data: job };
+  }
+
+  /**
+   * A job with its result
+   * @param {string} id - Job ID
+   * @param {Object} context - { user }
+   * @returns {Promise<Object>}
+   */
+  async getJob(id, context = {}) {
+    try {
+      return await this.findJob(id, context);
+    } catch (error) {
+      logger.error('Error getting AI job:', error);
+      return { success: false, error: 'Failed to get job', message: error.message };
+    }
+  }
+
+  /**
+   * Cancel a job. Queued jobs are cancelled at once; running jobs stop after
+   * their current stage (cancel_requested is set until then).
+   * @param {string} id - Job ID
+   * @param {Object} context - { user }
+   * @returns {Promise<Object>}
+   */
+  async cancel(id, context = {}) {
+    try {
+      const found = await this.findJob(id, context);
+      if (!found.success) return found;
+
+      const job = found.data;
+      const now = new Date().toISOString();
+      const entry = this.active.get(id);
+
+      if (entry) {
+        entry.controller.abort();
+        entry.job.cancel_requested = true;
+        const updated = await this.getRepository().update(id, { cancel_requested: true, updated_at: now });
+        this.broadcast(updated);
+        return { success: true, data: updated };
+      }
+
+      if (Job.isFinished(job)) {
+        return { success: false, error: 'Job already finished', message: `Job is ${job.status}` };
+      }
+
+      const updated = await this.getRepository().update(id, { status: 'cancelled', finished_at: now, updated_at: now });
+      logger.info(`🧵 Cancelled queued job ${id}`);
+      this.broadcast(updated);
+      return { success: true, data: updated };
+    } catch (error) {
+      logger.error('Error cancelling AI job:', error);
+      return { success: false, error: 'Failed to cancel job', message: error.message };
+    }
+  }
+
+  /**
+   * Queue a failed or cancelled job again with the same input
+   * @param {string} id - Job ID
+   * @param {Object} context - { user }
+   * @returns {Promise<Object>}
+   */
+  async retry(id, context = {}) {
+    try {
+      const found = await this.findJob(id, context);
+      if (!found.success) return found;
+
+      const job = found.data;
+      if (!['failed', 'cancelled'].includes(job.status) || this.active.has(id)) {
+        return { success: false, error: 'Job not retryable', message: `Only failed or cancelled jobs can be retried (job is ${job.status})` };
+      }
+
+      const updated = await this.getRepository().update(id, {
+        ...Job.requeued(),
+        attempts: 0,
+        updated_at: new Date().toISOString()
+      });
+
+      logger.info(`🧵 Retrying ${job.type} job ${id}`);
+      this.broadcast(updated);
+      this.pump();
+      return { success: true, data: updated };
+    } catch (error) {
+      logger.error('Error retrying AI job:', error);
+      return { success: false, error: 'Failed to retry job', message: error.message };
+    }
+  }
+
+  /**
+   * Start queued jobs while there is capacity. Calls made during a run
+   * trigger one more pass instead of running side by side.
+   * @returns {Promise<void>}
+   */
+  pump() {
+    if (this.pumping) {
+      this.pumpRequested = true;
+      return this.pumping;
+    }
+
+    this.pumping = (async () => {
+      do {
+        this.pumpRequested = false;
+        await this.startQueuedJobs();
+      } while (this.pumpRequested);
+    })()
+      .catch(error => logger.error('Job queue pump failed:', error))
+      .finally(() => { this.pumping = null; });
+
+    return this.pumping;
+  }
+
+  activeCount(type) {
+    let count = 0;
+    this.active.forEach(entry => { if (entry.job.type === type) count++; });
+    return count;
+  }
+
+  async startQueuedJobs() {
+    if (this.stopped || this.active.size >= this.concurrency) return;
+
+    const { jobs } = await this.getRepository().findAll({ status: 'queued', order: 'asc' });
+
+    for (const job of jobs) {
+      if (this.stopped || this.active.size >= this.concurrency) break;
+      // Jobs of a type without a handler (or at its limit) wait in the queue
+      if (!this.handlers.has(job.type)) continue;
+      if (this.activeCount(job.type) >= (this.typeConcurrency[job.type] || this.concurrency)) continue;
+
+      await this.startJob(job);
+    }
+  }
+
+  async startJob(queued) {
+    const now = new Date().toISOString();
+    const entry = { job: queued, controller: new AbortController(), promise: null, writes: Promise.resolve() };
+    // Claimed before the first await so cancel() sees it as running
+    this.active.set(queued.id, entry);
+
+    let started = false;
+    try {
+      const current = await this.getRepository().findById(queued.id);
+      if (!current || current.status !== 'queued') return;
+
+      entry.job = await this.getRepository().update(queued.id, {
+        status: 'running',
+        attempts: current.attempts + 1,
+        started_at: now,
+        updated_at: now
+      });
+      started = Boolean(entry.job);
+    } finally {
+      // A job taken or deleted meanwhile, or a storage error, must not stay counted as running
+      if (!started) this.active.delete(queued.id);
+    }
+    if (!started) return;
+
+    logger.info(`🧵 Started ${entry.job.type} job ${entry.job.id} (attempt ${entry.job.attempts})`);
+    this.broadcast(entry.job);
+
+    entry.promise = this.runJob(entry).finally(() => {
+      this.active.delete(queued.id);
+      this.pump();
+    });
+  }
+
+  /**
+   * Run a job's handler with the submitter attached to every ledger entry it records
+   */
+  async runJob(entry) {
+    const { job, controller } = entry;
+    const handler = this.handlers.get(job.type);
+
+    try {
+      controller.signal.throwIfAborted();
+
+      const result = await aiRequestLedger.runWithContext({
+        requestType: job.type,
+        userId: job.created_by,
+        username: job.created_by_name || undefined,
+        metadata: { jobId: job.id }
+      }, () => handler(job.input, {
+        signal: controller.signal,
+        onProgress: (progress) => this.reportProgress(entry, progress),
+        job
+      }));
+
+      controller.signal.throwIfAborted();
+      await this.finishJob(entry, { status: 'completed', result: result ?? null });
+    } catch (error) {
+      if (controller.signal.aborted) {
+        await this.finishJob(entry, { status: 'cancelled' });
+      } else {
+        logger.error(`AI job ${job.id} failed:`, error);
+        await this.finishJob(entry, { status: 'failed', error: errorMessage(error) });
+      }
+    }
+  }
+
+  /**
+   * Record a finished stage. Writes are chained so they land in order.
+   */
+  reportProgress(entry, { stage = null, completed, total = null, message = null, detail } = {}) {
+    const now = new Date().toISOString();
+    const job = entry.job;
+
+    job.progress = {
+      stage,
+      completed: Number.isInteger(completed) ? completed : job.progress.completed + 1,
+      total,
+      message
+    };
+    job.stages = [...job.stages, { name: stage || 'step', at: now, ...(detail && { detail }) }];
+    job.updated_at = now;
+
+    const changes = { progress: job.progress, stages: job.stages, updated_at: now };
+    entry.writes = entry.writes
+      .then(() => this.getRepository().update(job.id, changes))
+      .catch(error => logger.error(`Failed to save progress of job ${job.id}:`, error));
+
+    this.broadcast(job);
+  }
+
+  async finishJob(entry, changes) {
+    await entry.writes;
+
+    const now = new Date().toISOString();
+    try {
+      entry.job = await this.getRepository().update(entry.job.id, {
+        result: null,
+        error: null,
+        ...changes,
+        finished_at: now,
+        updated_at: now
+      });
+      logger.info(`🧵 Job ${entry.job.id} ${entry.job.status}`);
+      this.broadcast(entry.job);
+    } catch (error) {
+      logger.error(`Failed to save the outcome of job ${entry.job.id}:`, error);
+    }
+  }
+
+  broadcast(job) {
+    const broadcaster = this.getBroadcaster();
+    if (broadcaster && job) {
+      broadcaster.broadcastJobUpdate(job);
+    }
+  }
+
+  /**
+   * Wait until no job is running (tests and shutdown)
+   */
+  async idle() {
+    while (this.pumping || this.active.size > 0) {
+      await this.pumping;
+      await Promise.all(Array.from(this.active.values()).map(entry => entry.promise));
+    }
+  }
+
+  /**
+   * Stop starting new jobs. Jobs cut off by the process exiting stay marked
+   * running and are picked up by recovery on the next start.
+   */
+  stop() {
+    this.stopped = true;
+    this.ready = null;
+    logger.info(`🧵 Job queue stopped (${this.active.size} running)`);
+  }
+
+  getStatus() {
+    const running = {};
+    this.active.forEach(entry => { running[entry.job.type] = (running[entry.job.type] || 0) + 1; });
+
+    return {
+      active: !this.stopped,
+      running,
+      concurrency: this.concurrency,
+      typeConcurrency: this.typeConcurrency,
+      handlers: Array.from(this.handlers.keys())
+    };
+  }
+}
+
+// Export singleton instance (class exposed for tests)
+const jobQueue = new JobQueue();
+
+module.exports = jobQueue;
+module.exports.JobQueue = JobQueue;
@@ -0,0 +1,333 @@
+/**
+ * Prompt Cache
+ * Reuses provider responses for repeated prompts so the SEO tools, chat and
+ * swarm council don't pay for the same answer twice. Entries are keyed on the
+ * normalized prompt, provider, model and generation parameters, expire after
+ * a TTL and are evicted least-recently-used past the entry and byte limits.
+ * Identical requests already in flight share one provider call.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config/config');
+const { normalizeUsage } = require('./AIRequestLedger');
+const { estimateCost } = require('../ai/providers/config/pricing.config');
+const { estimateTokens } = require('../ai/providers/base/streamEvents');
+
+const PROMPT_EXCERPT_LENGTH = 200;
+
+// Zero-width characters (common in Thai text pasted from editors) change nothing visible
+const ZERO_WIDTH = /[\u200B-\u200D\u2060\uFEFF]/g;
+
+/**
+ * Prompt form used for the cache key: Unicode-normalized (NFC), zero-width
+ * characters removed and surrounding whitespace trimmed. Case and inner
+ * spacing are kept, since models answer them differently (code, tables, lists).
+ * @param {string} prompt - Prompt
+ * @returns {string}
+ */
+const normalizePrompt = (prompt) => String(prompt || '')
+  .normalize('NFC')
+  .replace(ZERO_WIDTH, '')
+  .trim();
+
+/**
+ * Generation parameters with unset values dropped and keys sorted
+ */
+const normalizeParams = (params = {}) => Object.fromEntries(Object.entries(params)
+  .filter(([, value]) => value !== undefined && value !== null)
+  .sort(([a], [b]) => a.localeCompare(b)));
+
+const responseContent = (response) => (typeof response === 'string' ? response : response?.content);
+
+class PromptCache {
+  /**
+   * @param {Object} options - { enabled, ttlSeconds, maxEntries, maxBytes }
+   */
+  constructor(options = {}) {
+    const cacheConfig = config.cache.aiPrompts || {};
+
+    this.enabled = options.enabled ?? cacheConfig.enabled ?? true;
+    this.ttlMs = (options.ttlSeconds ?? config.cache.ttl.ai) * 1000;
+    this.maxEntries = options.maxEntries || cacheConfig.maxEntries || 500;
+    this.maxBytes = options.maxBytes || cacheConfig.maxBytes || 5 * 1024 * 1024;
+
+    this.entries = new Map(); // key -> entry, least recently used first
+    this.inFlight = new Map(); // key -> pending provider call
+    this.bytes = 0;
+    this.context = new AsyncLocalStorage();
+    this.resetStats();
+  }
+
+  resetStats() {
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      bypassed: 0,
+      deduplicated: 0,
+      evictions: 0,
+      expired: 0,
+      savedTokens: 0,
+      savedCost: 0,
+      byProvider: {}
+    };
+  }
+
+  /**
+   * Run a function with cache options applied to every lookup inside it
+   * (e.g. { cache: false } for a whole swarm job)
+   * @param {Object} options - { cache }
+   * @param {Function} fn - Function to run
+   */
+  runWithOptions(options, fn) {
+    return this.context.run({ ...this.context.getStore(), ...options }, fn);
+  }
+
+  /**
+   * @param {Object} parts - { prompt, provider, model, params }
+   * @returns {string} - Cache key
+   */
+  buildKey(parts) {
+    return crypto.createHash('sha256').update(JSON.stringify({
+      prompt: normalizePrompt(parts.prompt),
+      provider: parts.provider,
+      model: parts.model || null,
+      params: normalizeParams(parts.params)
+    })).digest('hex');
+  }
+
+  /**
+   * Return a cached response or call the provider and cache its answer
+   * @param {Object} parts - { prompt, provider, model, params } (see buildKey)
+   * @param {Function} call - Provider call returning a response ({ content, model, usage } or a string)
+   * @param {Object} options - { cache: false to skip the cache for this call }
+   * @returns {Promise<Object>} - { response, cached, key }
+   */
+  async fetch(parts, call, options = {}) {
+    const contextOptions = this.context.getStore() || {};
+    if (!this.enabled || options.cache === false || contextOptions.cache === false) {
+      this.stats.bypassed++;
+      return { response: await call(), cached: false, key: null };
+    }
+
+    const key = this.buildKey(parts);
+    const entry = this.lookup(key);
+    if (entry) {
+      this.countHit(entry);
+      return { response: entry.response, cached: true, key };
+    }
+
+    if (this.inFlight.has(key)) {
+      this.stats.deduplicated++;
+      return { response: await this.inFlight.get(key), cached: true, key };
+    }
+
+    this.countMiss(parts.provider);
+    const pending = Promise.resolve().then(call);
+    this.inFlight.set(key, pending);
+    try {
+      const response = await pending;
+      this.store(key, parts, response);
+      return { response, cached: false, key };
+    } finally {
+      this.inFlight.delete(key);
+    }
+  }
+
+  /**
+   * Live entry for a key (refreshes its LRU position); expired entries are dropped
+   */
+  lookup(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.remove(key);
+      this.stats.expired++;
+      return null;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Cache a successful response; empty answers and responses over the byte limit are skipped
+   */
+  store(key, parts, response) {
+    const content = responseContent(response);
+    if (typeof content !== 'string' || content.trim().length === 0) {
+      return null;
+    }
+
+    const bytes = Buffer.byteLength(JSON.stringify(response));
+    if (bytes > this.maxBytes) {
+      return null;
+    }
+
+    const model = response?.model || parts.model || null;
+    const usage = normalizeUsage(response?.usage) || {
+      promptTokens: estimateTokens(parts.prompt),
+      completionTokens: estimateTokens(content),
+      totalTokens: estimateTokens(parts.prompt) + estimateTokens(content)
+    };
+    const now = Date.now();
+
+    this.remove(key);
+    const entry = {
+      key,
+      provider: parts.provider,
+      model,
+      prompt: String(parts.prompt || '').slice(0, PROMPT_EXCERPT_LENGTH),
+      params: normalizeParams(parts.params),
+      response,
+      bytes,
+      tokens: usage.totalTokens,
+      cost: estimateCost(parts.provider, model, usage.promptTokens, usage.completionTokens),
+      hits: 0,
+      createdAt: now,
+      expiresAt: now + this.ttlMs,
+      lastHitAt: null
+    };
+    this.entries.set(key, entry);
+    this.bytes += bytes;
+    this.evict();
+    return entry;
+  }
+
+  /**
+   * Drop least recently used entries until both limits hold
+   */
+  evict() {
+    for (const key of this.entries.keys()) {
+      if (this.entries.size <= this.maxEntries && this.bytes <= this.maxBytes) break;
+      this.remove(key);
+      this.stats.evictions++;
+    }
+  }
+
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+    this.entries.delete(key);
+    this.bytes -= entry.bytes;
+    return true;
+  }
+
+  providerStats(provider) {
+    if (!this.stats.byProvider[provider]) {
+      this.stats.byProvider[provider] = { hits: 0, misses: 0 };
+    }
+    return this.stats.byProvider[provider];
+  }
+
+  countHit(entry) {
+    entry.hits++;
+    entry.lastHitAt = Date.now();
+    this.stats.hits++;
+    this.stats.savedTokens += entry.tokens;
+    this.stats.savedCost += entry.cost;
+    this.providerStats(entry.provider).hits++;
+  }
+
+  countMiss(provider) {
+    this.stats.misses++;
+    this.providerStats(provider).misses++;
+  }
+
+  /**
+   * Entry without the cached response, for listings
+   */
+  static toSummary(entry) {
+    const { response, createdAt, expiresAt, lastHitAt, ...summary } = entry;
+    return {
+      ...summary,
+      createdAt: new Date(createdAt).toISOString(),
+      expiresAt: new Date(expiresAt).toISOString(),
+      lastHitAt: lastHitAt ? new Date(lastHitAt).toISOString() : null
+    };
+  }
+
+  /**
+   * Live entries, most recently used first
+   * @param {Object} filters - { provider, model, limit, offset }
+   * @returns {Object} - { entries, total }
+   */
+  list(filters = {}) {
+    const limit = Math.min(parseInt(filters.limit) || 50, 200);
+    const offset = parseInt(filters.offset) || 0;
+    const now = Date.now();
+
+    const matching = [...this.entries.values()]
+      .filter(entry => entry.expiresAt > now)
+      .filter(entry => !filters.provider || entry.provider === filters.provider)
+      .filter(entry => !filters.model || entry.model === filters.model)
+      .reverse();
+
+    return {
+      entries: matching.slice(offset, offset + limit).map(PromptCache.toSummary),
+      total: matching.length
+    };
+  }
+
+  /**
+   * @param {string} key - Cache key
+   * @returns {Object|null} - Entry with its cached response
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) return null;
+    return { ...PromptCache.toSummary(entry), response: entry.response };
+  }
+
+  /**
+   * Remove one entry
+   * @returns {boolean} - Whether it existed
+   */
+  delete(key) {
+    return this.remove(key);
+  }
+
+  /**
+   * Remove entries matching the filters (all entries without filters)
+   * @param {Object} filters - { provider, model }
+   * @returns {number} - Entries removed
+   */
+  purge(filters = {}) {
+    let removed = 0;
+    for (const entry of [...this.entries.values()]) {
+      if (filters.provider && entry.provider !== filters.provider) continue;
+      if (filters.model && entry.model !== filters.model) continue;
+      this.remove(entry.key);
+      removed++;
+    }
+    return removed;
+  }
+
+  /**
+   * Hit/miss counters and size, for /api/ai/usage and the cache admin
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      enabled: this.enabled,
+      entries: this.entries.size,
+      bytes: this.bytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      ttlSeconds: Math.round(this.ttlMs / 1000),
+      ...this.stats,
+      savedCost: Math.round(this.stats.savedCost * 1000000) / 1000000,
+      hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 1000) / 1000 : 0,
+      byProvider: JSON.parse(JSON.stringify(this.stats.byProvider))
+    };
+  }
+}
+
+// Singleton instance
+const promptCache = new PromptCache();
+
+module.exports = promptCache;
+module.exports.PromptCache = PromptCache;
+module.exports.normalizePrompt = normalizePrompt;
@@ -0,0 +1,358 @@
+/**
+ * Prompt Template Registry
+ * Serves the named, versioned prompts the swarm council and E-A-T pipelines
+ * render, so editors can change a prompt without a deploy. Built-in templates
+ * (ai/prompts/defaultTemplates.js) are seeded as version 1; each edit adds a
+ * version and rollbacks re-activate an older one. Active versions are cached
+ * in memory so rendering stays synchronous.
+ */
+
+const crypto = require('crypto');
+const { PromptTemplate } = require('../models/PromptTemplate');
+const { getPromptTemplateRepository } = require('../repositories');
+const RepositoryBackedService = require('./RepositoryBackedService');
+const defaultTemplates = require('../ai/prompts/defaultTemplates');
+const { logger } = require('../middleware/errorHandler');
+
+class PromptTemplateRegistry extends RepositoryBackedService {
+  /**
+   * @param {Object} options - { repository, defaults }
+   */
+  constructor(options = {}) {
+    super(options.repository, getPromptTemplateRepository);
+    this.defaults = new Map((options.defaults || defaultTemplates).map(template => [template.name, template]));
+    this.active = new Map(); // name -> active version
+  }
+
+  reset() {
+    this.active.clear();
+  }
+
+  /**
+   * Seed missing built-in templates and load the active versions
+   */
+  async setup() {
+    await this.seedDefaults();
+    await this.loadActive();
+  }
+
+  async seedDefaults() {
+    let seeded = 0;
+
+    for (const template of this.defaults.values()) {
+      const versions = await this.getRepository().findVersions(template.name);
+      if (versions.length > 0) continue;
+
+      const validation = PromptTemplate.validateForCreate({ ...template, change_note: 'Built-in template' });
+      if (!validation.success) {
+        throw new Error(`Invalid built-in prompt template ${template.name}: ${validation.errors[0].message}`);
+      }
+      await this.getRepository().createVersion(this.newVersion(validation.data, 1, {}));
+      seeded++;
+    }
+
+    if (seeded > 0) {
+      logger.info(`📝 Seeded ${seeded} built-in prompt templates`);
+    }
+  }
+
+  async loadActive() {
+    const templates = await this.getRepository().findActive();
+    this.active = new Map(templates.map(template => [template.name, template]));
+  }
+
+  newVersion(data, version, context) {
+    return {
+      ...data,
+      id: crypto.randomUUID(),
+      version,
+      is_active: version === 1,
+      created_by: context.user && !context.user.bootstrap ? context.user.id : null,
+      created_by_name: context.user?.username || null,
+      created_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Active template for a name. Before initialize() (or when storage is down)
+   * the built-in template stands in as version 1.
+   * @param {string} name - Template name
+   * @returns {Object|null} - Template version with source 'registry' or 'built-in'
+   */
+  resolve(name) {
+    if (this.active.has(name)) {
+      return { ...this.active.get(name), source: 'registry' };
+    }
+    if (this.defaults.has(name)) {
+      const template = PromptTemplate.validateForCreate(this.defaults.get(name)).data;
+      return { ...template, version: 1, source: 'built-in' };
+    }
+    return null;
+  }
+
+  /**
+   * Render the active version of a template
+   * @param {string} name - Template name
+   * @param {Object} variables - Values by variable name
+   * @returns {Object} - { prompt, template: { name, version, source } }
+   */
+  render(name, variables = {}) {
+    const template = this.resolve(name);
+    if (!template) {
+      throw new Error(`Unknown prompt template: ${name}`);
+    }
+
+    return {
+      prompt: PromptTemplate.render(template, variables),
+      template: { ...PromptTemplate.toReference(template), source: template.source }
+    };
+  }
+
+  isBuiltIn(name) {
+    return this.defaults.has(name);
+  }
+
+  /**
+   * Active version of every template, without bodies
+   * @returns {Promise<Object>}
+   */
+  async listTemplates() {
+    try {
+      await this.initialize();
+
+      return {
+        success: true,
+        data: [...this.active.values()].map(template => ({
+          ...PromptTemplate.toSummary(template),
+          builtIn: this.isBuiltIn(template.name)
+        }))
+      };
+    } catch (error) {
+      logger.error('Error listing prompt templates:', error);
+      return { success: false, error: 'Failed to list prompt templates', message: error.message };
+    }
+  }
+
+  /**
+   * Active version of a template with its version history
+   * @param {string} name - Template name
+   * @returns {Promise<Object>}
+   */
+  async getTemplate(name) {
+    try {
+      await this.initialize();
+
+      const versions = await this.getRepository().findVersions(name);
+      const active = versions.find(version => version.is_active);
+      if (!active) {
+        return { success: false, error: 'Template not found' };
+      }
+
+      return {
+        success: true,
+        data: {
+          ...active,
+          builtIn: this.isBuiltIn(name),
+          versions: versions.map(version => PromptTemplate.toSummary(version))
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting prompt template:', error);
+      return { success: false, error: 'Failed to get prompt template', message: error.message };
+    }
+  }
+
+  /**
+   * One version of a template
+   * @param {string} name - Template name
+   * @param {number} version - Version number
+   * @returns {Promise<Object>}
+   */
+  async getVersion(name, version) {
+    try {
+      await this.initialize();
+
+      const template = await this.getRepository().findVersion(name, parseInt(version));
+      if (!template) {
+        return { success: false, error: 'Version not found' };
+      }
+      return { success: true, data: template };
+    } catch (error) {
+      logger.error('Error getting prompt template version:', error);
+      return { success: false, error: 'Failed to get prompt template version', message: error.message };
+    }
+  }
+
+  /**
+   * Create a template (stored as version 1)
+   * @param {Object} templateData - { name, description, body, variables, change_note }
+   * @param {Object} context - { user }
+   * @returns {Promise<Object>}
+   */
+  async createTemplate(templateData, context = {}) {
+    try {
+      await this.initialize();
+
+      const validation = PromptTemplate.validateForCreate(templateData || {});
+      if (!validation.success) {
+        return { success: false, error: 'Validation failed', details: validation.errors };
+      }
+
+      const { name } = validation.data;
+      if ((await this.getRepository().findVersions(name)).length > 0) {
+        return { success: false, error: 'Template already exists', message: `Use PUT /api/ai/prompts/${name} to add a version` };
+      }
+
+      const template = await this.getRepository().createVersion(this.newVersion(validation.data, 1, context));
+      this.active.set(name, template);
+
+      logger.info(`📝 Created prompt template ${name}`);
+      return { success: true, data: template };
+    } catch (error) {
+      logger.error('Error creating prompt template:', error);
+      return { success: false, error: 'Failed to create prompt template', message: error.message };
+    }
+  }
+
+  /**
+   * Save changes as a new version and make it active. Omitted fields are
+   * copied from the active version.
+   * @param {string} name - Template name
+   * @param {Object} changes - { description, body, variables, change_note }
+   * @param {Object} context - { user }
+   * @returns {Promise<Object>}
+   */
+  async updateTemplate(name, changes, context = {}) {
+    try {
+      await this.initialize();
+
+      const validation = PromptTemplate.validateForUpdate(changes || {});
+      if (!validation.success) {
+        return { success: false, error: 'Validation failed', details: validation.errors };
+      }
+
+      const versions = await this.getRepository().findVersions(name);
+      const active = versions.find(version => version.is_active);
+      if (!active) {
+        return { success: false, error: 'Template not found' };
+      }
+
+      const merged = PromptTemplate.validateForCreate({
+        name,
+        description: active.description,
+        body: active.body,
+        variables: active.variables,
+        ...validation.data,
+        change_note: validation.data.change_note || ''
+      });
+      if (!merged.success) {
+        return { success: false, error: 'Validation failed', details: merged.errors };
+      }
+
+      const nextVersion = Math.max(...versions.map(version => version.version)) + 1;
+      await this.getRepository().createVersion(this.newVersion(merged.data, nextVersion, context));
+      const template = await this.getRepository().activateVersion(name, nextVersion);
+      this.active.set(name, template);
+
+      logger.info(`📝 Saved prompt template ${name} version ${nextVersion}`);
+      return { success: true, data: template };
+    } catch (error) {
+      logger.error('Error updating prompt template:', error);
+      return { success: false, error: 'Failed to update prompt template', message: error.message };
+    }
+  }
+
+  /**
+   * Make an existing version active (rollback or roll forward)
+   * @param {string} name - Template name
+   * @param {number} version - Version number
+   * @returns {Promise<Object>}
+   */
+  async activateVersion(name, version) {
+    try {
+      await this.initialize();
+
+      const template = await this.getRepository().activateVersion(name, parseInt(version));
+      if (!template) {
+        return { success: false, error: 'Version not found' };
+      }
+      this.active.set(name, template);
+
+      logger.info(`📝 Activated prompt template ${name} version ${template.version}`);
+      return { success: true, data: template };
+    } catch (error) {
+      logger.error('Error activating prompt template version:', error);
+      return { success: false, error: 'Failed to activate prompt template version', message: error.message };
+    }
+  }
+
+  /**
+   * Delete a template and all its versions. Built-in templates are used by
+   * the pipelines and can only be edited or rolled back.
+   * @param {string} name - Template name
+   * @returns {Promise<Object>}
+   */
+  async deleteTemplate(name) {
+    try {
+      await this.initialize();
+
+      if (this.isBuiltIn(name)) {
+        return { success: false, error: 'Built-in template', message: 'Built-in templates can be edited or rolled back but not deleted' };
+      }
+
+      const deleted = await this.getRepository().deleteTemplate(name);
+      if (deleted === 0) {
+        return { success: false, error: 'Template not found' };
+      }
+      this.active.delete(name);
+
+      logger.info(`📝 Deleted prompt template ${name} (${deleted} versions)`);
+      return { success: true, data: { name, versions: deleted } };
+    } catch (error) {
+      logger.error('Error deleting prompt template:', error);
+      return { success: false, error: 'Failed to delete prompt template', message: error.message };
+    }
+  }
+
+  /**
+   * Render a template without calling a provider
+   * @param {string} name - Template name
+   * @param {Object} variables - Values by variable name
+   * @param {Object} options - { version } (default: active version)
+   * @returns {Promise<Object>} - Result with { prompt, template, missing }
+   */
+  async preview(name, variables = {}, options = {}) {
+    try {
+      await this.initialize();
+
+      const template = options.version
+        ? await this.getRepository().findVersion(name, parseInt(options.version))
+        : this.active.get(name);
+      if (!template) {
+        return { success: false, error: options.version ? 'Version not found' : 'Template not found' };
+      }
+
+      const missing = PromptTemplate.missingVariables(template, variables);
+      if (missing.length > 0) {
+        return { success: false, error: 'Missing variables', details: missing.map(field => ({ field, message: 'Required' })) };
+      }
+
+      return {
+        success: true,
+        data: {
+          prompt: PromptTemplate.render(template, variables),
+          template: PromptTemplate.toReference(template)
+        }
+      };
+    } catch (error) {
+      logger.error('Error previewing prompt template:', error);
+      return { success: false, error: 'Failed to preview prompt template', message: error.message };
+    }
+  }
+}
+
+// Export singleton instance (class exposed for tests)
+const promptTemplateRegistry = new PromptTemplateRegistry();
+
+module.exports = promptTemplateRegistry;
+module.exports.PromptTemplateRegistry = PromptTemplateRegistry;
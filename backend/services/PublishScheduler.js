@@ -0,0 +1,87 @@
+/**
+ * Publish Scheduler
+ * Background job that publishes scheduled posts once their publishAt time is due
+ */
+
+const config = require('../config/config');
+const postsController = require('../controllers/postsController');
+const { logger } = require('../middleware/errorHandler');
+
+class PublishScheduler {
+  /**
+   * @param {Object} options - { controller, interval, getBroadcaster }
+   */
+  constructor(options = {}) {
+    this.controller = options.controller || postsController;
+    this.interval = options.interval || config.publishing.schedulerInterval;
+    // Resolved on every run - the WebSocket server starts after the scheduler
+    this.getBroadcaster = options.getBroadcaster || (() => global.realTimeWS);
+    this.timer = null;
+    this.running = false;
+    this.lastRunAt = null;
+  }
+
+  /**
+   * Start polling for due posts (runs once immediately)
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.runOnce(), this.interval);
+    // Do not keep the process alive just for the scheduler
+    if (this.timer.unref) this.timer.unref();
+
+    logger.info(`⏰ Publish scheduler started (every ${Math.round(this.interval / 1000)}s)`);
+    this.runOnce();
+  }
+
+  stop() {
+    if (!this.timer) return;
+
+    clearInterval(this.timer);
+    this.timer = null;
+    logger.info('⏰ Publish scheduler stopped');
+  }
+
+  /**
+   * Publish all due posts and notify connected admin clients
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object[]>} - Posts that were published
+   */
+  async runOnce(now = new Date()) {
+    // Skip overlapping runs when storage is slow
+    if (this.running) return [];
+
+    this.running = true;
+    try {
+      const published = await this.controller.publishDuePosts(now);
+      this.lastRunAt = now.toISOString();
+
+      const broadcaster = this.getBroadcaster();
+      if (broadcaster && published.length > 0) {
+        published.forEach(post => broadcaster.broadcastPostUpdate('published', post));
+      }
+
+      return published;
+    } catch (error) {
+      logger.error('Publish scheduler run failed:', error);
+      return [];
+    } finally {
+      this.running = false;
+    }
+  }
+
+  getStatus() {
+    return {
+      active: !!this.timer,
+      interval: this.interval,
+      lastRunAt: this.lastRunAt
+    };
+  }
+}
+
+// Export singleton instance (class exposed for tests)
+const publishScheduler = new PublishScheduler();
+
+module.exports = publishScheduler;
+module.exports.PublishScheduler = PublishScheduler;
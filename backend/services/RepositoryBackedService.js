@@ -0,0 +1,64 @@
+/**
+ * Repository-backed Service
+ * Base class for singleton services that keep their state in a repository.
+ * The shared repository is looked up on first use, so requiring a service
+ * never opens storage.
+ */
+
+class RepositoryBackedService {
+  /**
+   * @param {Object} repository - Adapter to use instead of the shared one
+   * @param {Function} getSharedRepository - Getter from repositories/index.js
+   */
+  constructor(repository, getSharedRepository) {
+    this.repository = repository || null;
+    this.getSharedRepository = getSharedRepository;
+    this.ready = null;
+  }
+
+  getRepository() {
+    if (!this.repository) {
+      this.repository = this.getSharedRepository();
+    }
+    return this.repository;
+  }
+
+  /**
+   * Swap the storage adapter (used by tests and tooling); the next
+   * initialize() starts over against it
+   * @param {Object} repository - Repository instance
+   */
+  setRepository(repository) {
+    this.repository = repository;
+    this.ready = null;
+    this.reset();
+  }
+
+  /**
+   * Forget state loaded from the previous repository
+   */
+  reset() {}
+
+  /**
+   * Run once the repository is initialized, e.g. to seed or recover data
+   */
+  async setup() {}
+
+  /**
+   * Initialize the repository and run setup (once; concurrent callers share
+   * the promise and a failure lets the next call try again)
+   */
+  async initialize() {
+    if (!this.ready) {
+      this.ready = this.getRepository().initialize()
+        .then(() => this.setup())
+        .catch(error => {
+          this.ready = null;
+          throw error;
+        });
+    }
+    return this.ready;
+  }
+}
+
+module.exports = RepositoryBackedService;
@@ -6,11 +6,17 @@
 const crypto = require('crypto');
 const bcrypt = require('bcrypt');
 const { logger } = require('../middleware/errorHandler');
+const totp = require('../utils/totp');
+
+const TWO_FACTOR_CHALLENGE_TTL = 5 * 60 * 1000; // 5 minutes to enter the code
+const MAX_TWO_FACTOR_ATTEMPTS = 5;
 
 class SecurityService {
   constructor() {
     this.sessionStore = new Map();
     this.failedAttempts = new Map();
+    this.twoFactorChallenges = new Map();
+    this.bootstrapTotpCounter = -1;
     this.cleanupInterval = setInterval(() => this.cleanup(), 300000); // Cleanup every 5 minutes
   }
 
@@ -81,7 +87,15 @@ class SecurityService {
 
     if (isValid) {
       this.clearFailedAttempts(clientIp, username);
-      const sessionData = this.createSecureSession(username, clientIp);
+      const sessionData = this.createSecureSession(username, clientIp, {
+        role: 'admin',
+        bootstrap: true,
+        twoFactorRequired: Boolean(process.env.ADMIN_TOTP_SECRET)
+      });
+
+      if (sessionData.twoFactorRequired) {
+        return this.toTwoFactorResult(sessionData);
+      }
       
       logger.info(`✅ Admin credentials validated for ${username} from ${clientIp}`);
       return { 
@@ -106,20 +120,288 @@ class SecurityService {
   }
 
   /**
-   * Create secure session with comprehensive tracking
+   * Validate credentials of a stored user account, falling back to the
+   * bootstrap admin from environment variables when no such user exists
+   * @param {string} login - Username or email
+   * @param {string} password - Password to validate
+   * @param {string} clientIp - Client IP for security logging
+   * @returns {Promise<Object>} - Validation result
+   */
+  async validateCredentials(login, password, clientIp = 'unknown') {
+    if (this.isBlocked(clientIp, login)) {
+      logger.warn(`🚨 Login blocked for ${login} from ${clientIp} due to too many failed attempts`);
+      return {
+        valid: false,
+        error: 'Account temporarily locked due to failed attempts',
+        code: 'ACCOUNT_LOCKED',
+        blocked: true,
+        retryAfter: this.getRetryAfter(clientIp, login)
+      };
+    }
+
+    let user = null;
+    try {
+      user = await this.findLoginUser(login);
+    } catch (error) {
+      logger.error('User lookup failed during login, only the bootstrap admin can sign in:', error);
+    }
+
+    if (!user) {
+      return this.validateAdminCredentials(login, password, clientIp);
+    }
+
+    const passwordValid = await this.verifyPassword(password, user.password_hash);
+
+    if (!passwordValid) {
+      this.trackFailedAttempt(clientIp, login);
+      logger.warn(`❌ Invalid login attempt for username: ${login} from ${clientIp}`);
+      return {
+        valid: false,
+        error: 'Invalid username or password',
+        code: 'INVALID_CREDENTIALS'
+      };
+    }
+
+    if (!user.is_active) {
+      logger.warn(`🚨 Disabled account ${user.username} attempted to log in from ${clientIp}`);
+      return {
+        valid: false,
+        error: 'Account disabled',
+        code: 'ACCOUNT_DISABLED'
+      };
+    }
+
+    this.clearFailedAttempts(clientIp, login);
+    const sessionData = this.createSecureSession(user.username, clientIp, {
+      userId: user.id,
+      role: user.role,
+      twoFactorRequired: Boolean(user.totp_enabled)
+    });
+
+    if (sessionData.twoFactorRequired) {
+      return this.toTwoFactorResult(sessionData);
+    }
+
+    await this.recordLogin(user.id);
+
+    logger.info(`✅ Credentials validated for ${user.username} (${user.role}) from ${clientIp}`);
+    return {
+      valid: true,
+      ...sessionData
+    };
+  }
+
+  /**
+   * Complete a login that stopped at the second factor
+   * @param {string} challengeToken - Token returned with TWO_FACTOR_REQUIRED
+   * @param {string} code - TOTP code or a recovery code
+   * @param {string} clientIp - Client IP for security logging
+   * @returns {Promise<Object>} - Validation result with session data
+   */
+  async validateTwoFactor(challengeToken, code, clientIp = 'unknown') {
+    const challenge = typeof challengeToken === 'string' ? this.twoFactorChallenges.get(challengeToken) : null;
+
+    if (!challenge || new Date() > challenge.expiresAt) {
+      if (challenge) this.twoFactorChallenges.delete(challengeToken);
+      return {
+        valid: false,
+        error: 'Two-factor challenge expired, please log in again',
+        code: 'CHALLENGE_EXPIRED'
+      };
+    }
+
+    const { username, account } = challenge;
+
+    if (this.isBlocked(clientIp, username)) {
+      this.twoFactorChallenges.delete(challengeToken);
+      return {
+        valid: false,
+        error: 'Account temporarily locked due to failed attempts',
+        code: 'ACCOUNT_LOCKED',
+        blocked: true,
+        retryAfter: this.getRetryAfter(clientIp, username)
+      };
+    }
+
+    let result = { valid: false };
+    if (account.bootstrap) {
+      result = this.verifyBootstrapTotp(code);
+    } else {
+      const user = await this.getUserRepository().findById(account.userId);
+      if (user && user.is_active) {
+        result = await this.verifySecondFactor(user, code);
+      }
+    }
+
+    if (!result.valid) {
+      challenge.attempts++;
+      if (challenge.attempts >= MAX_TWO_FACTOR_ATTEMPTS) {
+        this.twoFactorChallenges.delete(challengeToken);
+      }
+      this.trackFailedAttempt(clientIp, username);
+      logger.warn(`❌ Invalid two-factor code for ${username} from ${clientIp}`);
+      return {
+        valid: false,
+        error: 'Invalid authentication code',
+        code: 'INVALID_TWO_FACTOR_CODE'
+      };
+    }
+
+    this.twoFactorChallenges.delete(challengeToken);
+    this.clearFailedAttempts(clientIp, username);
+
+    const sessionData = this.createSecureSession(username, clientIp, { ...account, twoFactorVerified: true });
+    if (!account.bootstrap) {
+      await this.recordLogin(account.userId);
+    }
+
+    logger.info(`✅ Two-factor login (${result.method}) for ${username} from ${clientIp}`);
+    return {
+      valid: true,
+      ...sessionData,
+      twoFactorMethod: result.method,
+      recoveryCodesRemaining: result.recoveryCodesRemaining
+    };
+  }
+
+  /**
+   * Check a TOTP or recovery code of an enrolled user. Used codes are
+   * persisted so that neither kind can be replayed.
+   * @param {Object} user - Stored user with totp_secret
+   * @param {string} code - TOTP code or recovery code
+   * @param {UserRepository} repository - Where the user is stored
+   * @returns {Promise<Object>} - { valid, method, recoveryCodesRemaining }
+   */
+  async verifySecondFactor(user, code, repository = this.getUserRepository()) {
+    if (!user?.totp_enabled || !user.totp_secret) {
+      return { valid: false };
+    }
+
+    const recoveryHashes = user.recovery_code_hashes || [];
+    const counter = totp.verifyCode(user.totp_secret, code, {
+      afterCounter: user.totp_last_counter ?? -1
+    });
+
+    if (counter !== null) {
+      await repository.update(user.id, { totp_last_counter: counter });
+      return { valid: true, method: 'totp', recoveryCodesRemaining: recoveryHashes.length };
+    }
+
+    const codeHash = totp.hashRecoveryCode(code);
+    const match = recoveryHashes.find(hash => this.constantTimeCompare(hash, codeHash));
+    if (!match) {
+      return { valid: false };
+    }
+
+    const remaining = recoveryHashes.filter(hash => hash !== match);
+    await repository.update(user.id, { recovery_code_hashes: remaining });
+    logger.warn(`🔑 Recovery code used by ${user.username}, ${remaining.length} left`);
+
+    return { valid: true, method: 'recovery', recoveryCodesRemaining: remaining.length };
+  }
+
+  /**
+   * The bootstrap admin has no stored record - its TOTP secret comes from ADMIN_TOTP_SECRET
+   * @param {string} code - TOTP code
+   * @returns {Object} - { valid, method }
+   */
+  verifyBootstrapTotp(code) {
+    const counter = totp.verifyCode(process.env.ADMIN_TOTP_SECRET, code, {
+      afterCounter: this.bootstrapTotpCounter
+    });
+    if (counter === null) {
+      return { valid: false };
+    }
+
+    this.bootstrapTotpCounter = counter;
+    return { valid: true, method: 'totp' };
+  }
+
+  /**
+   * Login result for an account that still has to enter its second factor.
+   * valid stays false so callers that do not know about 2FA never issue a token.
+   */
+  toTwoFactorResult(challenge) {
+    return {
+      valid: false,
+      twoFactorRequired: true,
+      error: 'Two-factor authentication code required',
+      code: 'TWO_FACTOR_REQUIRED',
+      challengeToken: challenge.challengeToken,
+      expiresAt: challenge.expiresAt
+    };
+  }
+
+  async recordLogin(userId) {
+    try {
+      await this.getUserRepository().update(userId, { last_login: new Date().toISOString() });
+    } catch (error) {
+      logger.warn('Failed to record last login:', error.message);
+    }
+  }
+
+  /**
+   * Look up a stored user by username, or by email when the login contains "@"
+   * @param {string} login - Username or email
+   * @returns {Promise<Object|null>}
+   */
+  async findLoginUser(login) {
+    const repository = this.getUserRepository();
+    return String(login).includes('@')
+      ? repository.findByEmail(login)
+      : repository.findByUsername(login);
+  }
+
+  getUserRepository() {
+    // Required lazily - the repositories pull in config, which tests of this service do not need
+    return require('../repositories').getUserRepository();
+  }
+
+  /**
+   * Compare a password with a bcrypt hash
+   * @param {string} password - Plain-text password
+   * @param {string} hash - Stored bcrypt hash
+   * @returns {Promise<boolean>}
+   */
+  async verifyPassword(password, hash) {
+    if (typeof password !== 'string' || typeof hash !== 'string' || !hash) {
+      return false;
+    }
+
+    try {
+      return await bcrypt.compare(password, hash);
+    } catch (error) {
+      logger.error('Password verification error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Create secure session with comprehensive tracking. Accounts enrolled in
+   * two-factor authentication get a short-lived challenge instead until the
+   * code has been verified.
    * @param {string} username - Username
    * @param {string} clientIp - Client IP
-   * @returns {Object} - Session data
+   * @param {Object} account - { userId, role, bootstrap, twoFactorRequired, twoFactorVerified }
+   * @returns {Object} - Session data, or { twoFactorRequired, challengeToken, expiresAt }
    */
-  createSecureSession(username, clientIp) {
+  createSecureSession(username, clientIp, account = {}) {
+    if (account.twoFactorRequired && !account.twoFactorVerified) {
+      return this.createTwoFactorChallenge(username, clientIp, account);
+    }
+
     const sessionId = this.generateSecureSessionId();
-    const userId = this.generateUserId();
+    const userId = account.userId || this.generateUserId();
+    const role = account.role || 'admin';
+    const bootstrap = Boolean(account.bootstrap);
     const now = new Date();
 
     const sessionData = {
       sessionId,
       userId,
       username,
+      role,
+      bootstrap,
       clientIp,
       createdAt: now,
       lastActivity: now,
@@ -148,10 +430,42 @@ class SecurityService {
       sessionId,
       userId,
       username,
+      role,
+      bootstrap,
       expiresAt: sessionData.expiresAt
     };
   }
 
+  /**
+   * Store a pending login waiting for its second factor
+   * @param {string} username - Username
+   * @param {string} clientIp - Client IP
+   * @param {Object} account - Account data passed on to createSecureSession
+   * @returns {Object} - { twoFactorRequired, challengeToken, expiresAt }
+   */
+  createTwoFactorChallenge(username, clientIp, account) {
+    const challengeToken = crypto.randomBytes(32).toString('hex');
+    const { twoFactorVerified, ...pendingAccount } = account;
+    const expiresAt = new Date(Date.now() + TWO_FACTOR_CHALLENGE_TTL);
+
+    this.twoFactorChallenges.set(challengeToken, {
+      username,
+      clientIp,
+      account: pendingAccount,
+      attempts: 0,
+      expiresAt
+    });
+
+    logger.info(`🔐 Two-factor challenge issued for ${username} from ${clientIp}`);
+
+    return {
+      twoFactorRequired: true,
+      challengeToken,
+      username,
+      expiresAt
+    };
+  }
+
   /**
    * Validate session with comprehensive security checks
    * @param {string} sessionId - Session ID to validate
@@ -333,6 +647,22 @@ class SecurityService {
     }
   }
 
+  /**
+   * Invalidate every session of a user (after disabling or a role change)
+   * @param {string} userId - User ID
+   * @returns {number} - Number of sessions invalidated
+   */
+  invalidateUserSessions(userId) {
+    let invalidated = 0;
+    for (const [sessionId, session] of this.sessionStore.entries()) {
+      if (session.userId === userId) {
+        this.invalidateSession(sessionId);
+        invalidated++;
+      }
+    }
+    return invalidated;
+  }
+
   /**
    * Get all active sessions for monitoring
    * @returns {Array} - Active sessions
@@ -344,6 +674,7 @@ class SecurityService {
         sessions.push({
           sessionId: sessionId.substring(0, 8) + '...',
           username: session.username,
+          role: session.role,
           clientIp: session.clientIp,
           createdAt: session.createdAt,
           lastActivity: session.lastActivity,
@@ -371,6 +702,12 @@ class SecurityService {
       }
     }
 
+    for (const [token, challenge] of this.twoFactorChallenges.entries()) {
+      if (now > challenge.expiresAt) {
+        this.twoFactorChallenges.delete(token);
+      }
+    }
+
     // Cleanup old failed attempts (older than 24 hours)
     for (const [key, attempts] of this.failedAttempts.entries()) {
       const timeSinceFirst = now - attempts.firstAttempt;
@@ -409,6 +746,7 @@ class SecurityService {
     }
     this.sessionStore.clear();
     this.failedAttempts.clear();
+    this.twoFactorChallenges.clear();
   }
 }
 
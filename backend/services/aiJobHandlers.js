@@ -0,0 +1,70 @@
+/**
+ * AI Job Handlers
+ * Connect the job queue to the swarm council and the parallel E-A-T pipeline
+ */
+
+const SwarmCouncilManager = require('./SwarmCouncilManager');
+const promptCache = require('./PromptCache');
+const ParallelEATProcessor = require('../ai/swarm/ParallelEATProcessor');
+const { getInstance: getProviderPool } = require('../ai/providers/pool/ProviderPool');
+
+/**
+ * Run a swarm council workflow ({ prompt, workflow, cache })
+ */
+const runSwarmJob = async (input, { signal, onProgress }) => {
+  const swarmCouncil = SwarmCouncilManager.getInstance().getSwarmCouncil();
+
+  if (!swarmCouncil.isInitialized) {
+    await swarmCouncil.initializeSwarm();
+    if (!swarmCouncil.isInitialized) {
+      throw new Error('Swarm Council initialization failed');
+    }
+  }
+
+  const result = await promptCache.runWithOptions({ cache: input.cache }, () =>
+    swarmCouncil.processContent(input.prompt, input.workflow, { signal, onProgress })
+  );
+  // Degraded runs still produce fallback content; failed ones have nothing to keep
+  if (result.status === 'failed') {
+    throw new Error(result.error || 'Swarm workflow failed');
+  }
+  return result;
+};
+
+/**
+ * Run the three-stage E-A-T pipeline ({ prompt, targetKeyword, contentType })
+ */
+const runEATJob = async (input, { signal, onProgress }) => {
+  const manager = SwarmCouncilManager.getInstance();
+  let providerPool = manager.providerPool;
+
+  if (!providerPool) {
+    providerPool = getProviderPool();
+    await providerPool.waitForInitialization();
+    if (providerPool.getAllProviders().size === 0) {
+      await providerPool.initializeProviders();
+    }
+  }
+
+  const processor = new ParallelEATProcessor(providerPool);
+  return processor.processEATContent(input.prompt, input.targetKeyword, input.contentType, { signal, onProgress });
+};
+
+const handlers = {
+  swarm: runSwarmJob,
+  eat: runEATJob
+};
+
+/**
+ * Register every AI job handler on a queue
+ * @param {JobQueue} queue - Job queue
+ */
+const registerAIJobHandlers = (queue) => {
+  Object.entries(handlers).forEach(([type, handler]) => queue.registerHandler(type, handler));
+};
+
+module.exports = {
+  registerAIJobHandlers,
+  runSwarmJob,
+  runEATJob
+};
@@ -0,0 +1,56 @@
+/**
+ * Local Media Storage
+ * Writes files under config.media.local.directory; server.js serves that
+ * directory at /uploads and publicUrl points there
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const MediaStorage = require('./MediaStorage');
+const { logger } = require('../middleware/errorHandler');
+
+class LocalMediaStorage extends MediaStorage {
+  constructor(options = {}) {
+    super({ ...options, driver: 'local' });
+    this.directory = path.resolve(options.directory || path.join(__dirname, '..', 'uploads'));
+    this.publicUrl = (options.publicUrl || 'http://localhost:10000/uploads').replace(/\/+$/, '');
+  }
+
+  async initialize() {
+    await fs.mkdir(this.directory, { recursive: true });
+    logger.info(`🖼️ Media files stored in ${this.directory}`);
+  }
+
+  /**
+   * Absolute path of a key, refusing keys that escape the upload directory
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.directory, key);
+    if (!filePath.startsWith(this.directory + path.sep)) {
+      throw new Error(`Invalid media key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, buffer, contentType) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return { key, url: `${this.publicUrl}/${key}` };
+  }
+
+  async delete(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+
+  async checkHealth() {
+    try {
+      await fs.access(this.directory);
+      return { status: 'healthy', driver: this.driver };
+    } catch (error) {
+      return { status: 'unhealthy', driver: this.driver, error: error.message };
+    }
+  }
+}
+
+module.exports = LocalMediaStorage;
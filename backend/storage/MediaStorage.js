@@ -0,0 +1,45 @@
+/**
+ * Media Storage
+ * Where uploaded files are kept. Adapters (local disk, Supabase Storage) extend
+ * this class and are selected by config.media.driver; register another object
+ * store with registerMediaStorage() in storage/index.js.
+ */
+
+class MediaStorage {
+  constructor(options = {}) {
+    this.options = options;
+    this.driver = options.driver || this.constructor.name.replace('MediaStorage', '').toLowerCase();
+  }
+
+  /**
+   * Prepare the storage (create directories, verify the bucket)
+   */
+  async initialize() {
+    throw new Error('initialize method must be implemented by subclass');
+  }
+
+  /**
+   * Store a file
+   * @param {string} key - Relative path, e.g. 2024/05/<id>-thumb.webp
+   * @param {Buffer} buffer - File contents
+   * @param {string} contentType - MIME type
+   * @returns {Promise<{key: string, url: string}>} - Key and absolute public URL
+   */
+  async put(key, buffer, contentType) {
+    throw new Error('put method must be implemented by subclass');
+  }
+
+  /**
+   * Remove a file. Missing files are not an error.
+   * @param {string} key - Key returned by put
+   */
+  async delete(key) {
+    throw new Error('delete method must be implemented by subclass');
+  }
+
+  async checkHealth() {
+    return { status: 'healthy', driver: this.driver };
+  }
+}
+
+module.exports = MediaStorage;
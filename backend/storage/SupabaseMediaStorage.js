@@ -0,0 +1,63 @@
+/**
+ * Supabase Media Storage
+ * Object storage in a public Supabase Storage bucket (config.media.supabase.bucket)
+ */
+
+const MediaStorage = require('./MediaStorage');
+const { logger } = require('../middleware/errorHandler');
+
+class SupabaseMediaStorage extends MediaStorage {
+  constructor(options = {}) {
+    super({ ...options, driver: 'supabase' });
+    this.client = options.client || null;
+    this.bucket = options.bucket || 'media';
+  }
+
+  async initialize() {
+    if (!this.client) {
+      this.client = require('../supabaseClient').supabase;
+    }
+
+    if (!this.client) {
+      throw new Error('Supabase client not connected');
+    }
+
+    const { error } = await this.client.storage.getBucket(this.bucket);
+    if (error) {
+      throw new Error(`Supabase storage bucket "${this.bucket}" unavailable: ${error.message}`);
+    }
+
+    logger.info(`✅ Supabase media bucket "${this.bucket}" connected`);
+  }
+
+  async put(key, buffer, contentType) {
+    const { error } = await this.client.storage
+      .from(this.bucket)
+      .upload(key, buffer, { contentType, upsert: false });
+
+    if (error) throw new Error(`Storage upload failed: ${error.message}`);
+
+    const { data } = this.client.storage.from(this.bucket).getPublicUrl(key);
+    return { key, url: data.publicUrl };
+  }
+
+  async delete(key) {
+    const { error } = await this.client.storage.from(this.bucket).remove([key]);
+    if (error) throw new Error(`Storage delete failed: ${error.message}`);
+  }
+
+  async checkHealth() {
+    try {
+      const { error } = await this.client.storage.getBucket(this.bucket);
+      return {
+        status: error ? 'unhealthy' : 'healthy',
+        driver: this.driver,
+        error: error?.message || null
+      };
+    } catch (error) {
+      return { status: 'unhealthy', driver: this.driver, error: error.message };
+    }
+  }
+}
+
+module.exports = SupabaseMediaStorage;
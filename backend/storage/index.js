@@ -0,0 +1,60 @@
+/**
+ * Media storage factories
+ * Select the file storage adapter from config.media (MEDIA_STORAGE_DRIVER)
+ */
+
+const config = require('../config/config');
+const MediaStorage = require('./MediaStorage');
+const LocalMediaStorage = require('./LocalMediaStorage');
+
+const drivers = {
+  local: () => LocalMediaStorage,
+  supabase: () => require('./SupabaseMediaStorage')
+};
+
+/**
+ * Add an object storage adapter (S3, R2, ...) selectable with MEDIA_STORAGE_DRIVER
+ * @param {string} name - Driver name
+ * @param {Function} loadStorage - Returns a MediaStorage subclass
+ */
+const registerMediaStorage = (name, loadStorage) => {
+  drivers[name] = loadStorage;
+};
+
+/**
+ * Create a media storage adapter for the configured driver
+ * @param {Object} mediaConfig - { driver, local, supabase, ... }
+ * @returns {MediaStorage}
+ */
+const createMediaStorage = (mediaConfig = config.media) => {
+  const driver = mediaConfig.driver;
+  const loadStorage = drivers[driver];
+
+  if (!loadStorage) {
+    throw new Error(`Unknown media storage driver: ${driver} (expected one of ${Object.keys(drivers).join(', ')})`);
+  }
+
+  const Storage = loadStorage();
+  return new Storage(mediaConfig[driver] || {});
+};
+
+let sharedStorage = null;
+
+/**
+ * Storage shared by MediaController
+ * @returns {MediaStorage}
+ */
+const getMediaStorage = () => {
+  if (!sharedStorage) {
+    sharedStorage = createMediaStorage();
+  }
+  return sharedStorage;
+};
+
+module.exports = {
+  registerMediaStorage,
+  createMediaStorage,
+  getMediaStorage,
+  MediaStorage,
+  LocalMediaStorage
+};
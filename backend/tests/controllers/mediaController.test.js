@@ -0,0 +1,248 @@
+/**
+ * Media Controller Tests
+ * Upload validation, generated variants, permissions and reference tracking
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const mediaController = require('../../controllers/mediaController');
+const { FileMediaRepository, FilePostRepository } = require('../../repositories');
+const { LocalMediaStorage } = require('../../storage');
+const { createVariants } = require('../../utils/imageVariants');
+
+// Mock logger
+jest.mock('../../middleware/errorHandler', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn()
+  }
+}));
+
+const createImage = (width, height, format = 'png') => sharp({
+  create: { width, height, channels: 3, background: { r: 200, g: 120, b: 40 } }
+})[format]().toBuffer();
+
+const asUpload = (buffer, overrides = {}) => ({
+  originalname: 'harvester.png',
+  mimetype: 'image/png',
+  size: buffer.length,
+  buffer,
+  ...overrides
+});
+
+describe('MediaController', () => {
+  let tmpDir;
+  let storage;
+  let posts;
+
+  const author = { id: 'author-1', username: 'somchai', role: 'author' };
+  const otherAuthor = { id: 'author-2', username: 'somsri', role: 'author' };
+  const editor = { id: 'editor-1', username: 'editor', role: 'editor' };
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rbck-media-'));
+    const repository = new FileMediaRepository({ mediaPath: path.join(tmpDir, 'media.json') });
+    storage = new LocalMediaStorage({ directory: path.join(tmpDir, 'uploads'), publicUrl: 'http://api.test/uploads' });
+    posts = new FilePostRepository({ path: path.join(tmpDir, 'data.json') });
+
+    mediaController.setRepository(repository, storage, posts);
+    await mediaController.initialize();
+    await posts.initialize();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const upload = async (user = author, metadata = {}) => {
+    const result = await mediaController.uploadMedia(asUpload(await createImage(2400, 1200)), metadata, { user });
+    expect(result.success).toBe(true);
+    return result.data;
+  };
+
+  describe('uploadMedia', () => {
+    it('should store the original with thumbnail and WebP variants', async () => {
+      const media = await upload(author, { alt_text_th: 'รถเกี่ยวข้าว' });
+
+      expect(media).toMatchObject({
+        mime_type: 'image/png',
+        width: 2400,
+        height: 1200,
+        storage_driver: 'local',
+        alt_text_th: 'รถเกี่ยวข้าว',
+        uploaded_by: 'author-1'
+      });
+      expect(media.variants.thumbnail).toMatchObject({ mime_type: 'image/webp', width: 320, height: 160 });
+      expect(media.variants.webp).toMatchObject({ mime_type: 'image/webp', width: 1920, height: 960 });
+      expect(media.url).toBe(`http://api.test/uploads/${media.variants.original.key}`);
+      expect(media.thumbnailUrl).toMatch(/-thumb\.webp$/);
+
+      for (const variant of Object.values(media.variants)) {
+        expect(fs.existsSync(path.join(tmpDir, 'uploads', variant.key))).toBe(true);
+      }
+    });
+
+    it('should not enlarge small images', async () => {
+      const result = await mediaController.uploadMedia(asUpload(await createImage(200, 100)), {}, { user: author });
+
+      expect(result.data.variants.thumbnail.width).toBe(200);
+      expect(result.data.variants.webp.width).toBe(200);
+    });
+
+    it('should leave uploaded_by empty for the bootstrap admin', async () => {
+      const media = await upload({ id: 'admin', role: 'admin', bootstrap: true });
+
+      expect(media.uploaded_by).toBeNull();
+    });
+
+    it('should reject missing files and declared types that are not allowed', async () => {
+      expect((await mediaController.uploadMedia(undefined)).error).toBe('No file uploaded');
+
+      const pdf = asUpload(Buffer.from('%PDF-1.4'), { mimetype: 'application/pdf' });
+      expect((await mediaController.uploadMedia(pdf)).error).toBe('Unsupported file type');
+    });
+
+    it('should check the content rather than the declared type', async () => {
+      const fake = asUpload(Buffer.from('<script>alert(1)</script>'), { mimetype: 'image/png' });
+
+      const result = await mediaController.uploadMedia(fake);
+
+      expect(result.error).toBe('Unsupported file type');
+      expect(fs.readdirSync(path.join(tmpDir, 'uploads'))).toEqual([]);
+    });
+
+    it('should reject files over the size limit', async () => {
+      const buffer = await createImage(10, 10);
+      const result = await mediaController.uploadMedia(asUpload(buffer, { size: 50 * 1024 * 1024 }));
+
+      expect(result.error).toBe('File too large');
+    });
+
+    it('should reject images with more pixels than the limit before decoding them', async () => {
+      const settings = mediaController.settings;
+      mediaController.settings = { ...settings, maxPixels: 100 * 100 };
+
+      try {
+        const result = await mediaController.uploadMedia(asUpload(await createImage(101, 100)));
+
+        expect(result).toMatchObject({ error: 'File too large', message: 'Images may be at most 0.01 megapixels' });
+        expect(fs.readdirSync(path.join(tmpDir, 'uploads'))).toEqual([]);
+        await expect(createVariants(await createImage(101, 100), { maxPixels: 100 * 100 })).rejects.toThrow(/pixel limit/);
+      } finally {
+        mediaController.settings = settings;
+      }
+    });
+
+    it('should reject unknown metadata fields', async () => {
+      const result = await mediaController.uploadMedia(asUpload(await createImage(10, 10)), { uploaded_by: 'someone' });
+
+      expect(result.error).toBe('Validation failed');
+    });
+
+    it('should remove stored files when saving the record fails', async () => {
+      jest.spyOn(mediaController.repository, 'create').mockRejectedValueOnce(new Error('disk full'));
+
+      const result = await mediaController.uploadMedia(asUpload(await createImage(50, 50)), {}, { user: author });
+
+      expect(result.error).toBe('Failed to upload media');
+      const files = fs.readdirSync(path.join(tmpDir, 'uploads'), { recursive: true })
+        .filter(entry => /\.(png|webp)$/.test(entry));
+      expect(files).toEqual([]);
+    });
+  });
+
+  describe('listMedia', () => {
+    it('should search alt text and paginate', async () => {
+      await upload(author, { alt_text_th: 'สายพานเครื่องยนต์' });
+      await upload(author, { alt_text_en: 'Cutting blade' });
+
+      const result = await mediaController.listMedia({ search: 'blade' });
+
+      expect(result.data.total).toBe(1);
+      expect(result.data.media[0].webpUrl).toMatch(/\.webp$/);
+      expect((await mediaController.listMedia({ limit: 1 })).data).toMatchObject({ total: 2, limit: 1, offset: 0 });
+    });
+  });
+
+  describe('updateMedia', () => {
+    it('should let the uploader and editors change alt text but not other authors', async () => {
+      const media = await upload(author);
+
+      expect((await mediaController.updateMedia(media.id, { alt_text_en: 'Belt' }, { user: author })).data.alt_text_en).toBe('Belt');
+      expect((await mediaController.updateMedia(media.id, { caption: 'x' }, { user: editor })).success).toBe(true);
+      expect((await mediaController.updateMedia(media.id, { caption: 'y' }, { user: otherAuthor })).error).toBe('Forbidden');
+    });
+
+    it('should only accept descriptive fields', async () => {
+      const media = await upload(author);
+
+      const result = await mediaController.updateMedia(media.id, { variants: {} }, { user: author });
+
+      expect(result.error).toBe('Validation failed');
+      expect((await mediaController.updateMedia('missing', {}, { user: editor })).error).toBe('Media not found');
+    });
+  });
+
+  describe('deleteMedia', () => {
+    it('should refuse to delete media used by a post and list the posts', async () => {
+      const media = await upload(author);
+      const post = await posts.create({
+        titleTH: 'การดูแลรถเกี่ยวข้าว',
+        slug: 'care',
+        content: `<p>ภาพ</p><img src="${media.webpUrl}" alt="">`,
+        status: 'draft'
+      });
+      await posts.create({ titleTH: 'Cover', slug: 'cover', content: '', featured_image_url: media.url, status: 'published' });
+
+      const result = await mediaController.deleteMedia(media.id, { user: editor });
+
+      expect(result.error).toBe('Media in use');
+      expect(result.data.usedBy).toHaveLength(2);
+      expect(result.data.usedBy).toEqual(expect.arrayContaining([
+        { id: post.id, slug: 'care', titleTH: 'การดูแลรถเกี่ยวข้าว', status: 'draft', fields: ['content'] },
+        expect.objectContaining({ slug: 'cover', fields: ['featured_image_url'] })
+      ]));
+      expect((await mediaController.getMedia(media.id)).data.usedBy).toHaveLength(2);
+    });
+
+    it('should count images used only in the English content', async () => {
+      const media = await upload(author);
+      await posts.create({
+        titleTH: 'การดูแลรถเกี่ยวข้าว',
+        slug: 'care',
+        content: '<p>ภาพ</p>',
+        contentEN: `<p>Photo</p><img src="${media.thumbnailUrl}" alt="">`,
+        status: 'published'
+      });
+
+      const result = await mediaController.deleteMedia(media.id, { user: editor });
+
+      expect(result.error).toBe('Media in use');
+      expect(result.data.usedBy).toEqual([expect.objectContaining({ slug: 'care', fields: ['contentEN'] })]);
+    });
+
+    it('should delete unused media and its files', async () => {
+      const media = await upload(author);
+
+      expect((await mediaController.deleteMedia(media.id, { user: otherAuthor })).error).toBe('Forbidden');
+      expect((await mediaController.deleteMedia(media.id, { user: author })).success).toBe(true);
+
+      expect((await mediaController.getMedia(media.id)).error).toBe('Media not found');
+      for (const variant of Object.values(media.variants)) {
+        expect(fs.existsSync(path.join(tmpDir, 'uploads', variant.key))).toBe(false);
+      }
+    });
+  });
+});
+
+describe('LocalMediaStorage', () => {
+  it('should refuse keys outside the upload directory', async () => {
+    const storage = new LocalMediaStorage({ directory: path.join(os.tmpdir(), 'rbck-uploads') });
+
+    await expect(storage.put('../escape.png', Buffer.from('x'), 'image/png')).rejects.toThrow('Invalid media key');
+  });
+});
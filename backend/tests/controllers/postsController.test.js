@@ -6,6 +6,9 @@
 const fs = require('fs').promises;
 const path = require('path');
 const postsController = require('../../controllers/postsController');
+const { FilePostRepository } = require('../../repositories');
+const { clearCache } = require('../../middleware/cache');
+const { reviewContent } = require('../../utils/contentReview');
 
 // Mock filesystem operations
 jest.mock('fs', () => ({
@@ -27,14 +30,19 @@ jest.mock('../../middleware/errorHandler', () => ({
 
 // Mock cache
 jest.mock('../../middleware/cache', () => ({
-  clearCache: jest.fn()
+  clearCache: {
+    posts: jest.fn(),
+    post: jest.fn()
+  }
 }));
 
 describe('PostsController', () => {
+  let repository;
+
   beforeEach(() => {
-    // Reset controller state
-    postsController.posts = [];
-    postsController.nextId = 1;
+    // Run against a fresh local file repository
+    repository = new FilePostRepository();
+    postsController.setRepository(repository);
     
     // Clear all mocks
     jest.clearAllMocks();
@@ -51,8 +59,8 @@ describe('PostsController', () => {
       
       await postsController.initialize();
       
-      expect(postsController.posts).toHaveLength(1);
-      expect(postsController.nextId).toBe(2);
+      expect(repository.posts).toHaveLength(1);
+      expect(repository.nextId).toBe(2);
       expect(fs.readFile).toHaveBeenCalledWith(
         expect.stringContaining('data.json'),
         'utf8'
@@ -65,9 +73,9 @@ describe('PostsController', () => {
       
       await postsController.initialize();
       
-      expect(postsController.posts).toHaveLength(1);
-      expect(postsController.nextId).toBe(2);
-      expect(postsController.posts[0].titleTH).toContain('เทคนิค');
+      expect(repository.posts).toHaveLength(1);
+      expect(repository.nextId).toBe(2);
+      expect(repository.posts[0].titleTH).toContain('เทคนิค');
     });
 
     it('should handle initialization errors', async () => {
@@ -81,7 +89,7 @@ describe('PostsController', () => {
   describe('getAllPosts', () => {
     beforeEach(async () => {
       // Setup test posts
-      postsController.posts = [
+      repository.posts = [
         {
           id: 1,
           titleTH: 'First Post',
@@ -180,7 +188,7 @@ describe('PostsController', () => {
 
     it('should handle errors gracefully', async () => {
       // Simulate error by corrupting posts array
-      postsController.posts = null;
+      repository.posts = null;
       
       const result = await postsController.getAllPosts();
       
@@ -189,10 +197,78 @@ describe('PostsController', () => {
     });
   });
 
+  describe('searchPosts', () => {
+    beforeEach(() => {
+      repository.posts = [
+        {
+          id: 1,
+          titleTH: 'วิธีเปลี่ยนสายพานรถเกี่ยวข้าว',
+          excerpt: 'ขั้นตอนเปลี่ยนสายพาน',
+          content: 'ดับเครื่องก่อนเปลี่ยนสายพาน',
+          tags: ['สายพาน', 'ซ่อม'],
+          status: 'published',
+          category: 'repair',
+          updatedAt: '2023-01-01T00:00:00Z'
+        },
+        {
+          id: 2,
+          titleTH: 'ตรวจเช็คน้ำมันเครื่อง',
+          excerpt: 'ดูแลเครื่องยนต์',
+          content: 'ตรวจน้ำมันเครื่องและสายพานทุกวัน',
+          tags: ['น้ำมัน'],
+          status: 'published',
+          category: 'maintenance',
+          updatedAt: '2023-01-02T00:00:00Z'
+        },
+        {
+          id: 3,
+          titleTH: 'ร่างเรื่องสายพาน',
+          excerpt: 'ร่าง',
+          content: 'สายพาน',
+          status: 'draft',
+          updatedAt: '2023-01-03T00:00:00Z'
+        }
+      ];
+    });
+
+    it('should rank results and highlight matches', async () => {
+      const result = await postsController.searchPosts('สายพาน', { status: 'published' });
+
+      expect(result.success).toBe(true);
+      expect(result.data.total).toBe(2);
+      expect(result.data.results[0].post.id).toBe(1);
+      expect(result.data.results[0].highlights.titleTH).toContain('<mark>สายพาน</mark>');
+      expect(result.data.results[1].highlights.titleTH).toBeNull();
+      expect(result.data.results[1].highlights.content).toContain('<mark>สายพาน</mark>');
+    });
+
+    it('should filter by category and tags', async () => {
+      const byCategory = await postsController.searchPosts('สายพาน', { category: 'maintenance' });
+      const byTags = await postsController.searchPosts('สายพาน', { tags: 'สายพาน,ซ่อม' });
+
+      expect(byCategory.data.results.map(item => item.post.id)).toEqual([2]);
+      expect(byTags.data.results.map(item => item.post.id)).toEqual([1]);
+    });
+
+    it('should reject empty queries', async () => {
+      const result = await postsController.searchPosts('  ');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Invalid query');
+    });
+
+    it('should find Thai words through getAllPosts search', async () => {
+      const result = await postsController.getAllPosts({ search: 'เกี่ยวข้าว', status: 'published' });
+
+      expect(result.data.posts.map(post => post.id)).toEqual([1]);
+    });
+  });
+
   describe('getPostById', () => {
     beforeEach(() => {
-      postsController.posts = [
-        { id: 1, titleTH: 'Test Post', status: 'published' }
+      repository.posts = [
+        { id: 1, titleTH: 'Test Post', status: 'published' },
+        { id: 2, titleTH: 'Draft Post', status: 'draft' }
       ];
     });
 
@@ -225,13 +301,87 @@ describe('PostsController', () => {
       expect(result.success).toBe(false);
       expect(result.error).toBe('Invalid post ID');
     });
+
+    it('should treat unpublished posts as not found when publishedOnly', async () => {
+      const hidden = await postsController.getPostById(2, { publishedOnly: true });
+
+      expect(hidden).toMatchObject({ success: false, error: 'Post not found', postId: 2 });
+      expect((await postsController.getPostById(1, { publishedOnly: true })).success).toBe(true);
+      expect((await postsController.getPostById(2)).data.titleTH).toBe('Draft Post');
+    });
+  });
+
+  describe('Translations', () => {
+    const bilingualPost = {
+      titleTH: 'วิธีเปลี่ยนสายพาน',
+      titleEN: 'Replacing a Belt',
+      slug: 'เปลี่ยนสายพาน',
+      content: '<p>ดับเครื่องก่อน</p>',
+      contentEN: '<p>Switch the engine off first.</p>',
+      excerpt: 'ขั้นตอนเปลี่ยนสายพานอย่างปลอดภัย',
+      excerptEN: 'Replacing the belt safely',
+      status: 'published'
+    };
+
+    beforeEach(() => {
+      fs.writeFile.mockResolvedValue();
+      repository.nextId = 1;
+      repository.posts = [];
+    });
+
+    it('should generate a unique English slug across both languages', async () => {
+      await postsController.createPost({ ...bilingualPost, slug: 'replacing-a-belt', titleEN: undefined });
+      const result = await postsController.createPost(bilingualPost);
+
+      expect(result.success).toBe(true);
+      expect(result.data.slugEN).toMatch(/^replacing-a-belt-\d+$/);
+    });
+
+    it('should localize listings with lang and reject unsupported languages', async () => {
+      await postsController.createPost(bilingualPost);
+      await postsController.createPost({ ...bilingualPost, slug: 'ไทยอย่างเดียว', titleEN: undefined, contentEN: undefined, excerptEN: undefined });
+
+      const result = await postsController.getAllPosts({ lang: 'en', sortBy: 'id', sortOrder: 'asc' });
+      const [english, thaiOnly] = result.data.posts;
+
+      expect(english).toMatchObject({ lang: 'en', fallback: false, title: 'Replacing a Belt', slug: 'replacing-a-belt' });
+      expect(thaiOnly).toMatchObject({ lang: 'th', fallback: true, slug: 'ไทยอย่างเดียว' });
+
+      expect((await postsController.getAllPosts({})).data.posts[0]).not.toHaveProperty('lang');
+      expect((await postsController.getAllPosts({ lang: 'fr' })).error).toBe('Unsupported language');
+    });
+
+    it('should resolve a post by its English slug in English', async () => {
+      const created = (await postsController.createPost(bilingualPost)).data;
+
+      const english = await postsController.getPostBySlug('replacing-a-belt');
+      expect(english.data).toMatchObject({ id: created.id, lang: 'en', content: '<p>Switch the engine off first.</p>' });
+
+      const thai = await postsController.getPostBySlug('replacing-a-belt', { lang: 'th' });
+      expect(thai.data).toMatchObject({ lang: 'th', slug: 'เปลี่ยนสายพาน' });
+
+      expect((await postsController.getPostBySlug('เปลี่ยนสายพาน')).data.slugEN).toBe('replacing-a-belt');
+    });
+
+    it('should summarize translation status per post', async () => {
+      await postsController.createPost(bilingualPost);
+      await postsController.createPost({ ...bilingualPost, slug: 'ครึ่งเดียว', titleEN: 'Half Done', contentEN: undefined, excerptEN: undefined });
+      await postsController.createPost({ ...bilingualPost, slug: 'ยังไม่แปล', titleEN: undefined, contentEN: undefined, excerptEN: undefined });
+
+      const result = await postsController.getTranslationStatus();
+
+      expect(result.data.summary.en).toEqual({ complete: 1, partial: 1, missing: 1 });
+      expect(result.data.posts[1].translations.en.missing).toEqual(
+        expect.arrayContaining(['content', 'excerpt'])
+      );
+    });
   });
 
   describe('createPost', () => {
     beforeEach(() => {
       fs.writeFile.mockResolvedValue();
-      postsController.nextId = 1;
-      postsController.posts = [];
+      repository.nextId = 1;
+      repository.posts = [];
     });
 
     const validPostData = {
@@ -250,8 +400,15 @@ describe('PostsController', () => {
       expect(result.data.titleTH).toBe(validPostData.titleTH);
       expect(result.data.views).toBe(0);
       expect(result.data.reading_time).toBeGreaterThan(0);
-      expect(postsController.posts).toHaveLength(1);
-      expect(postsController.nextId).toBe(2);
+      expect(repository.posts).toHaveLength(1);
+      expect(repository.nextId).toBe(2);
+      expect(result.data.publishedAt).toBeUndefined();
+    });
+
+    it('should set publishedAt on posts created as published', async () => {
+      const result = await postsController.createPost({ ...validPostData, status: 'published' });
+
+      expect(result.data.publishedAt).toBe(result.data.createdAt);
     });
 
     it('should handle duplicate slug by modifying it', async () => {
@@ -294,7 +451,7 @@ describe('PostsController', () => {
   describe('updatePost', () => {
     beforeEach(() => {
       fs.writeFile.mockResolvedValue();
-      postsController.posts = [
+      repository.posts = [
         {
           id: 1,
           titleTH: 'Original Title',
@@ -319,6 +476,16 @@ describe('PostsController', () => {
       expect(result.data.id).toBe(1);
       expect(result.data.updatedAt).toBeDefined();
       expect(result.data.createdAt).toBe('2023-01-01T00:00:00Z'); // Should not change
+      expect(result.data.publishedAt).toBe(result.data.updatedAt);
+    });
+
+    it('should keep the first publishedAt when a post is published again', async () => {
+      repository.posts[0].publishedAt = '2023-02-01T00:00:00.000Z';
+
+      const result = await postsController.updatePost(1, { status: 'published' });
+
+      expect(result.data.publishedAt).toBe('2023-02-01T00:00:00.000Z');
+      expect((await postsController.updatePost(1, { titleTH: 'Edited Title' })).data.publishedAt).toBe('2023-02-01T00:00:00.000Z');
     });
 
     it('should update reading time when content changes', async () => {
@@ -348,10 +515,371 @@ describe('PostsController', () => {
     });
   });
 
+  describe('Revisions', () => {
+    beforeEach(() => {
+      fs.writeFile.mockResolvedValue();
+      repository.posts = [
+        {
+          id: 1,
+          titleTH: 'Original Title',
+          slug: 'original-title',
+          content: 'Original content',
+          excerpt: 'Original excerpt',
+          // Defaults createPost fills in
+          author: 'ระเบียบการช่าง',
+          schemaType: 'Article',
+          tags: [],
+          status: 'draft',
+          createdAt: '2023-01-01T00:00:00Z'
+        }
+      ];
+      repository.nextId = 2;
+    });
+
+    it('should record a baseline and an update revision with author and changed fields', async () => {
+      await postsController.updatePost(1, { titleTH: 'Updated Title' }, { user: { username: 'editor', role: 'editor' } });
+
+      const result = await postsController.getRevisions(1);
+
+      expect(result.success).toBe(true);
+      expect(result.total).toBe(2);
+      expect(result.data[0]).toMatchObject({ version: 2, action: 'update', author: 'editor', changedFields: ['titleTH'] });
+      expect(result.data[1]).toMatchObject({ version: 1, action: 'baseline' });
+      expect(result.data[0].snapshot).toBeUndefined();
+    });
+
+    it('should record a create revision for new posts', async () => {
+      const created = await postsController.createPost({
+        titleTH: 'ทดสอบโพสต์ใหม่',
+        slug: 'test-new-post',
+        content: 'เนื้อหาทดสอบที่มีความยาวเพียงพอ',
+        excerpt: 'สรุปเนื้อหาทดสอบ'
+      });
+
+      const result = await postsController.getRevisions(created.data.id);
+
+      expect(result.data).toHaveLength(1);
+      expect(result.data[0].action).toBe('create');
+    });
+
+    it('should diff two revisions field by field', async () => {
+      await postsController.updatePost(1, { titleTH: 'Second' });
+      await postsController.updatePost(1, { content: 'New content' });
+      const [baseline, , third] = await repository.findRevisions(1);
+
+      const result = await postsController.getRevisionDiff(1, baseline.id, third.id);
+
+      expect(result.success).toBe(true);
+      expect(result.data.changes).toEqual([
+        { field: 'content', type: 'changed', from: 'Original content', to: 'New content' },
+        { field: 'titleTH', type: 'changed', from: 'Original Title', to: 'Second' }
+      ]);
+    });
+
+    it('should diff a revision against the current post', async () => {
+      await postsController.updatePost(1, { titleTH: 'Second' });
+      const [baseline] = await repository.findRevisions(1);
+
+      const result = await postsController.getRevisionDiff(1, baseline.id, 'current');
+
+      expect(result.data.to).toBe('current');
+      expect(result.data.changes.map(change => change.field)).toEqual(['titleTH']);
+    });
+
+    it('should restore a revision as a new revision', async () => {
+      await postsController.updatePost(1, { titleTH: 'Second' });
+      const [baseline] = await repository.findRevisions(1);
+
+      const result = await postsController.restoreRevision(1, baseline.id, { user: { username: 'admin', role: 'admin' } });
+
+      expect(result.success).toBe(true);
+      expect(result.data.titleTH).toBe('Original Title');
+
+      const revisions = await repository.findRevisions(1);
+      expect(revisions[revisions.length - 1]).toMatchObject({
+        action: 'restore',
+        author: 'admin',
+        restoredFrom: baseline.id,
+        changedFields: ['titleTH']
+      });
+    });
+
+    it('should clear fields filled in after the restored revision', async () => {
+      await postsController.updatePost(1, { contentEN: '<p>Bad rewrite</p>', metaDescriptionEN: 'Bad rewrite' });
+      const [baseline] = await repository.findRevisions(1);
+
+      const result = await postsController.restoreRevision(1, baseline.id);
+
+      expect(result.success).toBe(true);
+      expect(result.data).toMatchObject({ titleTH: 'Original Title', contentEN: null, metaDescriptionEN: null });
+
+      const revisions = await repository.findRevisions(1);
+      expect(revisions[revisions.length - 1].changedFields).toEqual(['contentEN', 'metaDescriptionEN']);
+    });
+
+    it('should return not found for unknown posts and revisions', async () => {
+      expect((await postsController.getRevisions(999)).error).toBe('Post not found');
+      expect((await postsController.getRevision(1, 999)).error).toBe('Revision not found');
+      expect((await postsController.getRevisionDiff(1, 999)).error).toBe('Revision not found');
+      expect((await postsController.restoreRevision(1, 999)).error).toBe('Revision not found');
+    });
+  });
+
+  describe('Scheduled publishing', () => {
+    const scheduledPost = {
+      titleTH: 'ทดสอบโพสต์ตั้งเวลา',
+      slug: 'scheduled-post',
+      content: 'เนื้อหาทดสอบที่มีความยาวเพียงพอ',
+      excerpt: 'สรุปเนื้อหาทดสอบ',
+      status: 'scheduled'
+    };
+
+    beforeEach(() => {
+      fs.writeFile.mockResolvedValue();
+      repository.nextId = 1;
+      repository.posts = [];
+      repository.revisions = [];
+    });
+
+    it('should reject scheduled posts without publishAt', async () => {
+      const result = await postsController.createPost(scheduledPost);
+
+      expect(result.success).toBe(false);
+      expect(result.details[0].field).toBe('publishAt');
+    });
+
+    it('should publish only posts whose publishAt has passed', async () => {
+      await postsController.createPost({ ...scheduledPost, publishAt: '2024-06-01T08:00:00+07:00' });
+      await postsController.createPost({ ...scheduledPost, slug: 'later-post', publishAt: '2024-06-02T08:00:00+07:00' });
+
+      const published = await postsController.publishDuePosts(new Date('2024-06-01T02:00:00Z'));
+
+      expect(published.map(post => post.slug)).toEqual(['scheduled-post']);
+      expect(published[0].status).toBe('published');
+      expect(published[0].publishedAt).toBe('2024-06-01T02:00:00.000Z');
+      expect((await repository.findBySlug('later-post')).status).toBe('scheduled');
+      expect(clearCache.posts).toHaveBeenCalled();
+
+      const revisions = await repository.findRevisions(published[0].id);
+      expect(revisions[revisions.length - 1]).toMatchObject({ author: 'scheduler', changedFields: ['publishedAt', 'status'] });
+    });
+  });
+
+  describe('Role permissions', () => {
+    const draft = {
+      titleTH: 'ทดสอบสิทธิ์ผู้เขียนบทความ',
+      slug: 'author-post',
+      content: 'เนื้อหาทดสอบที่มีความยาวเพียงพอ',
+      excerpt: 'สรุปเนื้อหาทดสอบสิทธิ์',
+      status: 'draft'
+    };
+    const author = { id: 'author-1', username: 'author', role: 'author' };
+    const otherAuthor = { id: 'author-2', username: 'other', role: 'author' };
+    const editor = { id: 'editor-1', username: 'editor', role: 'editor' };
+
+    beforeEach(() => {
+      fs.writeFile.mockResolvedValue();
+      repository.nextId = 1;
+      repository.posts = [];
+      repository.revisions = [];
+    });
+
+    it('should record the creating user as the post owner', async () => {
+      const result = await postsController.createPost(draft, { user: author });
+
+      expect(result.data.authorId).toBe('author-1');
+    });
+
+    it('should not record the bootstrap admin as owner', async () => {
+      const result = await postsController.createPost(draft, { user: { id: 'admin-x', role: 'admin', bootstrap: true } });
+
+      expect(result.data.authorId).toBeNull();
+    });
+
+    it('should let authors edit only their own posts', async () => {
+      const { data: post } = await postsController.createPost(draft, { user: author });
+
+      const own = await postsController.updatePost(post.id, { titleTH: 'หัวข้อที่แก้ไขแล้ว' }, { user: author });
+      expect(own.success).toBe(true);
+
+      const other = await postsController.updatePost(post.id, { titleTH: 'หัวข้อของคนอื่น' }, { user: otherAuthor });
+      expect(other).toMatchObject({ success: false, error: 'Forbidden' });
+
+      const byEditor = await postsController.updatePost(post.id, { titleTH: 'บรรณาธิการแก้ไข' }, { user: editor });
+      expect(byEditor.success).toBe(true);
+    });
+
+    it('should only let editors and admins publish or schedule', async () => {
+      const published = await postsController.createPost({ ...draft, status: 'published' }, { user: author });
+      expect(published).toMatchObject({ success: false, error: 'Forbidden' });
+
+      const { data: post } = await postsController.createPost(draft, { user: author });
+      const scheduled = await postsController.updatePost(post.id, {
+        status: 'scheduled',
+        publishAt: '2030-01-01T00:00:00+07:00'
+      }, { user: author });
+      expect(scheduled.error).toBe('Forbidden');
+
+      const byEditor = await postsController.updatePost(post.id, { status: 'published' }, { user: editor });
+      expect(byEditor.data.status).toBe('published');
+
+      // Authors may keep editing their post once an editor published it
+      const edit = await postsController.updatePost(post.id, { titleTH: 'แก้ไขหลังเผยแพร่', status: 'published' }, { user: author });
+      expect(edit.success).toBe(true);
+    });
+
+    it('should not restrict internal writes without a user', async () => {
+      const { data: post } = await postsController.createPost(draft, { user: author });
+
+      const result = await postsController.updatePost(post.id, { status: 'published' });
+
+      expect(result.success).toBe(true);
+    });
+  });
+
+  describe('Pre-publish review', () => {
+    const aiDraft = {
+      titleTH: 'วิธีแก้ฟางติดหัวเกี่ยว',
+      slug: 'ai-draft',
+      content: '<p>ถ้าฟางติด ให้ใช้มือดึงฟางออกขณะเครื่องยังทำงาน</p><p>ประหยัดน้ำมันได้ 30%</p>',
+      excerpt: 'สรุปวิธีแก้ฟางติดหัวเกี่ยว',
+      status: 'draft'
+    };
+    const author = { id: 'author-1', username: 'author', role: 'author' };
+    const editor = { id: 'editor-1', username: 'editor', role: 'editor' };
+
+    beforeEach(() => {
+      fs.writeFile.mockResolvedValue();
+      repository.nextId = 1;
+      repository.posts = [];
+      repository.revisions = [];
+    });
+
+    it('should store findings on the post and block publishing until each is acknowledged', async () => {
+      const { data: post } = await postsController.createPost(aiDraft, { user: author });
+      expect(post.reviewFindings.map(({ type }) => type)).toEqual(['safety', 'numeric-claim']);
+      expect(post.reviewedAt).toBeDefined();
+
+      const blocked = await postsController.updatePost(post.id, { status: 'published' }, { user: editor });
+      expect(blocked).toMatchObject({ success: false, error: 'Review required' });
+      expect(blocked.findings).toHaveLength(2);
+      expect((await repository.findById(post.id)).status).toBe('draft');
+
+      const [safety, claim] = post.reviewFindings;
+      await postsController.acknowledgeReview(post.id, { findingIds: [safety.id], note: 'แก้ตามคู่มือแล้ว' }, { user: editor });
+      const stillBlocked = await postsController.updatePost(post.id, { status: 'published' }, { user: editor });
+      expect(stillBlocked.findings.map(({ id }) => id)).toEqual([claim.id]);
+
+      const published = await postsController.updatePost(post.id, { status: 'published', acknowledgeFindings: [claim.id] }, { user: editor });
+      expect(published.data.status).toBe('published');
+      expect(published.data.reviewFindings[0]).toMatchObject({ acknowledged: true, acknowledgedBy: 'editor', note: 'แก้ตามคู่มือแล้ว' });
+
+      const review = await postsController.getReview(post.id);
+      expect(review.data.summary).toMatchObject({ total: 2, unacknowledged: 0, blocking: false });
+    });
+
+    it('should review edited text again and keep the post from going live with new findings', async () => {
+      const { data: post } = await postsController.createPost({ ...aiDraft, content: 'เนื้อหาทดสอบที่มีความยาวเพียงพอ' }, { user: author });
+      await postsController.updatePost(post.id, { status: 'published' }, { user: editor });
+
+      const edit = await postsController.updatePost(post.id, { content: '<p>รับประกันผล ใช้ไส้กรอง 5T051-51110</p>' }, { user: author });
+
+      expect(edit).toMatchObject({ success: false, error: 'Review required' });
+      expect(edit.findings.map(({ type }) => type)).toEqual(['prohibited-term', 'part-number']);
+      expect((await repository.findById(post.id)).content).toBe('เนื้อหาทดสอบที่มีความยาวเพียงพอ');
+    });
+
+    it('should only let editors and admins acknowledge findings', async () => {
+      const { data: post } = await postsController.createPost(aiDraft, { user: author });
+
+      const result = await postsController.updatePost(post.id, {
+        titleTH: 'หัวข้อใหม่',
+        acknowledgeFindings: post.reviewFindings.map(({ id }) => id)
+      }, { user: author });
+
+      expect(result).toMatchObject({ success: false, error: 'Forbidden' });
+      expect(await postsController.acknowledgeReview(post.id, { findingIds: ['unknown'] }, { user: editor }))
+        .toMatchObject({ success: false, error: 'Validation failed' });
+    });
+
+    it('should let only those who may edit a post run its review again', async () => {
+      const { data: post } = await postsController.createPost(aiDraft, { user: author });
+      const otherAuthor = { id: 'author-2', username: 'other', role: 'author' };
+      await repository.update(post.id, { reviewFindings: [], reviewedAt: null });
+      clearCache.posts.mockClear();
+
+      expect(await postsController.rerunReview(post.id, { user: otherAuthor })).toMatchObject({ success: false, error: 'Forbidden' });
+      expect((await repository.findById(post.id)).reviewFindings).toEqual([]);
+      expect(clearCache.posts).not.toHaveBeenCalled();
+
+      const result = await postsController.rerunReview(post.id, { user: author });
+      expect(result.data.summary).toMatchObject({ total: 2, unacknowledged: 2 });
+      expect(clearCache.posts).toHaveBeenCalled();
+    });
+
+    it('should hold back scheduled posts with unacknowledged findings', async () => {
+      const { data: post } = await postsController.createPost({ ...aiDraft, content: 'เนื้อหาทดสอบที่มีความยาวเพียงพอ' });
+      await postsController.updatePost(post.id, { status: 'scheduled', publishAt: '2024-06-01T08:00:00+07:00' });
+      await repository.update(post.id, { reviewFindings: reviewContent({ content: aiDraft.content }) });
+
+      const published = await postsController.publishDuePosts(new Date('2024-06-01T02:00:00Z'));
+
+      expect(published).toEqual([]);
+      expect((await repository.findById(post.id)).status).toBe('scheduled');
+    });
+  });
+
+  describe('analyzeSeo', () => {
+    beforeEach(() => {
+      repository.posts = [{
+        id: 1,
+        titleTH: 'วิธีดูแลรถไถ',
+        slug: 'tractor-care',
+        content: '<p>ดับเครื่องยนต์ก่อนตรวจสอบน้ำมันเครื่องรถไถ</p>',
+        focusKeyword: 'รถไถ',
+        status: 'draft'
+      }];
+    });
+
+    it('should analyse a stored post, with unsaved edits on top', async () => {
+      const stored = await postsController.analyzeSeo({ postId: '1' });
+      const edited = await postsController.analyzeSeo({ postId: 1, content: '<h2>ขั้นตอน</h2><p>ตรวจสอบน้ำมันเครื่อง</p>' });
+
+      expect(stored.success).toBe(true);
+      expect(stored.data).toMatchObject({ locale: 'th', keyword: { keyword: 'รถไถ', placement: expect.objectContaining({ title: true }) } });
+      expect(stored.data.findings[0]).toEqual(expect.objectContaining({ id: expect.any(String), severity: 'high', fix: expect.any(String) }));
+      expect(edited.data.headings.counts).toEqual({ h2: 1 });
+    });
+
+    it('should analyse fields sent without a post and use the requested keyword', async () => {
+      const result = await postsController.analyzeSeo({ titleEN: 'Tractor care', contentEN: '<p>Check the oil.</p>', lang: 'en', keyword: 'oil' });
+
+      expect(result.data).toMatchObject({ locale: 'en', keyword: { keyword: 'oil', occurrences: 1 } });
+    });
+
+    it('should preview the JSON-LD of a draft as its public page would embed it', async () => {
+      repository.posts[0].schemaType = 'HowTo';
+
+      const result = await postsController.previewStructuredData({ postId: 1 });
+      const unsaved = await postsController.previewStructuredData({ postId: 1, content: '<ol><li>ดับเครื่องยนต์</li><li>เปิดฝาครอบ</li></ol>' });
+
+      expect(result.data).toMatchObject({ types: ['Article', 'BreadcrumbList', 'Organization'], warnings: expect.arrayContaining([expect.objectContaining({ code: 'howto-without-steps' })]) });
+      expect(result.data.script).toMatch(/^<script type="application\/ld\+json">/);
+      expect(unsaved.data.types[0]).toBe('HowTo');
+      expect(await postsController.previewStructuredData({ postId: 99 })).toMatchObject({ success: false, error: 'Post not found' });
+    });
+
+    it('should reject unknown posts, missing content and unsupported languages', async () => {
+      expect(await postsController.analyzeSeo({ postId: 99 })).toMatchObject({ success: false, error: 'Post not found' });
+      expect(await postsController.analyzeSeo({ titleTH: 'รถไถ' })).toMatchObject({ success: false, error: 'Validation failed' });
+      expect(await postsController.analyzeSeo({ content: 'x', lang: 'fr' })).toMatchObject({ success: false, error: 'Unsupported language' });
+    });
+  });
+
   describe('deletePost', () => {
     beforeEach(() => {
       fs.writeFile.mockResolvedValue();
-      postsController.posts = [
+      repository.posts = [
         { id: 1, titleTH: 'Test Post', status: 'published' },
         { id: 2, titleTH: 'Another Post', status: 'draft' }
       ];
@@ -362,8 +890,8 @@ describe('PostsController', () => {
       
       expect(result.success).toBe(true);
       expect(result.data.id).toBe(1);
-      expect(postsController.posts).toHaveLength(1);
-      expect(postsController.posts[0].id).toBe(2);
+      expect(repository.posts).toHaveLength(1);
+      expect(repository.posts[0].id).toBe(2);
     });
 
     it('should return error for non-existent post', async () => {
@@ -386,7 +914,7 @@ describe('PostsController', () => {
   describe('incrementViews', () => {
     beforeEach(() => {
       fs.writeFile.mockResolvedValue();
-      postsController.posts = [
+      repository.posts = [
         { id: 1, titleTH: 'Test Post', views: 5 },
         { id: 2, titleTH: 'Another Post' } // No views property
       ];
@@ -396,14 +924,14 @@ describe('PostsController', () => {
       const views = await postsController.incrementViews(1);
       
       expect(views).toBe(6);
-      expect(postsController.posts[0].views).toBe(6);
+      expect(repository.posts[0].views).toBe(6);
     });
 
     it('should initialize views for post without views property', async () => {
       const views = await postsController.incrementViews(2);
       
       expect(views).toBe(1);
-      expect(postsController.posts[1].views).toBe(1);
+      expect(repository.posts[1].views).toBe(1);
     });
 
     it('should return 0 for non-existent post', async () => {
@@ -412,19 +940,28 @@ describe('PostsController', () => {
       expect(views).toBe(0);
     });
 
+    it('should not count views of unpublished posts when publishedOnly', async () => {
+      repository.posts[0].status = 'published';
+      repository.posts[1].status = 'draft';
+
+      expect(await postsController.incrementViews(2, { publishedOnly: true })).toBeNull();
+      expect(repository.posts[1].views).toBeUndefined();
+      expect(await postsController.incrementViews(1, { publishedOnly: true })).toBe(6);
+    });
+
     it('should handle save errors gracefully', async () => {
       fs.writeFile.mockRejectedValue(new Error('Write failed'));
       
       const views = await postsController.incrementViews(1);
       
       expect(views).toBe(6); // Still increments in memory
-      expect(postsController.posts[0].views).toBe(6);
+      expect(repository.posts[0].views).toBe(6);
     });
   });
 
   describe('getAnalytics', () => {
     beforeEach(() => {
-      postsController.posts = [
+      repository.posts = [
         { id: 1, status: 'published', views: 100, titleTH: 'Post 1', slug: 'post-1' },
         { id: 2, status: 'published', views: 200, titleTH: 'Post 2', slug: 'post-2' },
         { id: 3, status: 'draft', views: 50, titleTH: 'Post 3', slug: 'post-3' },
@@ -432,8 +969,8 @@ describe('PostsController', () => {
       ];
     });
 
-    it('should generate correct analytics', () => {
-      const analytics = postsController.getAnalytics();
+    it('should generate correct analytics', async () => {
+      const analytics = await postsController.getAnalytics();
       
       expect(analytics.totalPosts).toBe(4);
       expect(analytics.publishedPosts).toBe(3);
@@ -443,18 +980,18 @@ describe('PostsController', () => {
       expect(analytics.generatedAt).toBeDefined();
     });
 
-    it('should sort popular posts by views', () => {
-      const analytics = postsController.getAnalytics();
+    it('should sort popular posts by views', async () => {
+      const analytics = await postsController.getAnalytics();
       
       expect(analytics.popularPosts[0].views).toBe(200); // Highest views first
       expect(analytics.popularPosts[1].views).toBe(150);
       expect(analytics.popularPosts[2].views).toBe(100);
     });
 
-    it('should handle empty posts array', () => {
-      postsController.posts = [];
+    it('should handle empty posts array', async () => {
+      repository.posts = [];
       
-      const analytics = postsController.getAnalytics();
+      const analytics = await postsController.getAnalytics();
       
       expect(analytics.totalPosts).toBe(0);
       expect(analytics.publishedPosts).toBe(0);
@@ -473,8 +1010,8 @@ describe('PostsController', () => {
 
     it('should handle concurrent operations', async () => {
       fs.writeFile.mockResolvedValue();
-      postsController.posts = [];
-      postsController.nextId = 1;
+      repository.posts = [];
+      repository.nextId = 1;
       
       const postData = {
         titleTH: 'Concurrent Test',
@@ -493,7 +1030,7 @@ describe('PostsController', () => {
       const results = await Promise.all(promises);
       
       expect(results.every(r => r.success)).toBe(true);
-      expect(postsController.posts).toHaveLength(3);
+      expect(repository.posts).toHaveLength(3);
     });
   });
 });
\ No newline at end of file
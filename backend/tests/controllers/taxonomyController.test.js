@@ -0,0 +1,258 @@
+/**
+ * Taxonomy Controller Tests
+ * Category tree and counts, tag rename/merge/delete and the post hooks
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const taxonomyController = require('../../controllers/taxonomyController');
+const postsController = require('../../controllers/postsController');
+const { FileTaxonomyRepository, FilePostRepository } = require('../../repositories');
+
+// Mock logger
+jest.mock('../../middleware/errorHandler', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn()
+  }
+}));
+
+// Mock cache
+jest.mock('../../middleware/cache', () => ({
+  clearCache: {
+    posts: jest.fn(),
+    post: jest.fn()
+  }
+}));
+
+describe('TaxonomyController', () => {
+  let tmpDir;
+  let posts;
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rbck-taxonomy-'));
+    // An existing (empty) data file, so no sample post is seeded
+    fs.writeFileSync(path.join(tmpDir, 'data.json'), JSON.stringify({ posts: [], nextId: 1 }));
+    posts = new FilePostRepository({ path: path.join(tmpDir, 'data.json') });
+    await posts.initialize();
+
+    postsController.setRepository(posts);
+    taxonomyController.setRepository(new FileTaxonomyRepository({ taxonomyPath: path.join(tmpDir, 'taxonomy.json') }), posts);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const createPost = async (fields = {}) => {
+    const result = await postsController.createPost({
+      titleTH: 'การดูแลรถเกี่ยวข้าว',
+      content: '<p>เนื้อหา</p>',
+      excerpt: 'วิธีดูแลรถเกี่ยวข้าวให้ใช้งานได้นาน',
+      status: 'published',
+      ...fields
+    });
+    expect(result).toMatchObject({ success: true });
+    return result.data;
+  };
+
+  const categoryId = async (slug) => (await taxonomyController.repository.findCategoryBySlug(slug)).id;
+
+  describe('initialize', () => {
+    it('should seed the default categories once', async () => {
+      await taxonomyController.initialize();
+      await taxonomyController.initialize();
+
+      const { data } = await taxonomyController.listCategories({ flat: true });
+      expect(data.categories.map(category => category.slug)).toEqual([
+        'maintenance', 'repair', 'operation', 'troubleshooting', 'parts', 'general'
+      ]);
+      expect(data.categories[0]).toMatchObject({ name: 'การบำรุงรักษา', name_en: 'Maintenance', count: 0 });
+    });
+
+    it('should link the tags of existing posts', async () => {
+      const post = await posts.create({ titleTH: 'เก่า', slug: 'old', status: 'published', tags: ['สายพาน', 'ใบมีด'] });
+
+      await taxonomyController.initialize();
+
+      const { data } = await taxonomyController.listTags();
+      expect(data.tags.map(tag => tag.name).sort()).toEqual(['สายพาน', 'ใบมีด'].sort());
+      expect(await taxonomyController.repository.findPostTags({ postId: post.id })).toHaveLength(2);
+    });
+  });
+
+  describe('categories', () => {
+    beforeEach(() => taxonomyController.initialize());
+
+    it('should nest subcategories and count published posts including descendants', async () => {
+      const engine = await taxonomyController.createCategory({
+        name: 'เครื่องยนต์', name_en: 'Engine', parent_id: await categoryId('repair')
+      });
+      expect(engine.data.slug).toBe('engine');
+
+      await createPost({ category: 'engine' });
+      await createPost({ category: 'repair' });
+      await createPost({ category: 'repair', status: 'draft' });
+
+      const { data } = await taxonomyController.listCategories();
+      const repair = data.categories.find(category => category.slug === 'repair');
+      expect(repair).toMatchObject({ count: 1, total: 2 });
+      expect(repair.children).toEqual([expect.objectContaining({ slug: 'engine', count: 1, total: 1 })]);
+
+      const single = await taxonomyController.getCategory('engine');
+      expect(single.data.ancestors).toEqual([expect.objectContaining({ slug: 'repair', name: 'การซ่อมแซม' })]);
+    });
+
+    it('should reject duplicate slugs and unknown parents', async () => {
+      expect((await taxonomyController.createCategory({ name: 'ซ่อม', slug: 'repair' })).error).toBe('Category already exists');
+
+      const orphan = await taxonomyController.createCategory({
+        name: 'ย่อย', slug: 'sub', parent_id: '00000000-0000-4000-8000-000000000000'
+      });
+      expect(orphan.details[0]).toMatchObject({ field: 'parent_id', message: 'Parent category not found' });
+    });
+
+    it('should refuse to move a category below its own descendant', async () => {
+      const repairId = await categoryId('repair');
+      const engine = (await taxonomyController.createCategory({ name: 'เครื่องยนต์', slug: 'engine', parent_id: repairId })).data;
+
+      const result = await taxonomyController.updateCategory(repairId, { parent_id: engine.id });
+
+      expect(result.error).toBe('Validation failed');
+      expect(result.details[0].message).toBe('A category cannot be moved below itself');
+    });
+
+    it('should move posts along when the slug changes', async () => {
+      const post = await createPost({ category: 'parts' });
+
+      const result = await taxonomyController.updateCategory(await categoryId('parts'), { slug: 'spare-parts' });
+
+      expect(result.data.slug).toBe('spare-parts');
+      expect((await posts.findById(post.id)).category).toBe('spare-parts');
+    });
+
+    it('should only delete categories without posts or subcategories', async () => {
+      await createPost({ category: 'general', status: 'draft' });
+
+      const inUse = await taxonomyController.deleteCategory(await categoryId('general'));
+      expect(inUse).toMatchObject({ error: 'Category in use', data: { children: [], posts: 1 } });
+
+      expect((await taxonomyController.deleteCategory(await categoryId('parts'))).success).toBe(true);
+      expect((await taxonomyController.getCategory('parts')).error).toBe('Category not found');
+    });
+
+    it('should hide inactive categories unless asked', async () => {
+      await taxonomyController.updateCategory(await categoryId('parts'), { is_active: false });
+
+      expect((await taxonomyController.listCategories({ flat: true })).data.categories).toHaveLength(5);
+      expect((await taxonomyController.listCategories({ flat: true, includeInactive: true })).data.categories).toHaveLength(6);
+      expect((await taxonomyController.getCategory('parts')).error).toBe('Category not found');
+    });
+  });
+
+  describe('post hooks', () => {
+    beforeEach(() => taxonomyController.initialize());
+
+    it('should reject unknown and inactive categories on posts', async () => {
+      const draft = { titleTH: 'ทดสอบ', content: 'x', excerpt: 'บทความทดสอบหมวดหมู่' };
+      const unknown = await postsController.createPost({ ...draft, category: 'tips' });
+      expect(unknown.details[0]).toMatchObject({ field: 'category', message: 'Unknown category "tips"' });
+
+      await taxonomyController.updateCategory(await categoryId('parts'), { is_active: false });
+      const inactive = await postsController.createPost({ ...draft, category: 'parts' });
+      expect(inactive.details[0].message).toBe('Category "parts" is inactive');
+    });
+
+    it('should create tags and keep post_tags in step with the post', async () => {
+      const post = await createPost({ tags: ['สายพาน', ' รถ  เกี่ยว '] });
+
+      let tags = (await taxonomyController.listTags()).data.tags;
+      expect(tags.map(tag => [tag.name, tag.count])).toEqual(expect.arrayContaining([['สายพาน', 1], ['รถ เกี่ยว', 1]]));
+
+      await postsController.updatePost(post.id, { tags: ['สายพาน'] });
+      tags = (await taxonomyController.listTags({ includeUnused: true })).data.tags;
+      expect(tags.find(tag => tag.name === 'รถ เกี่ยว').count).toBe(0);
+
+      await postsController.deletePost(post.id);
+      expect(await taxonomyController.repository.findPostTags()).toEqual([]);
+    });
+
+    it('should attach category names for the renderers', async () => {
+      const [post] = await taxonomyController.withCategoryNames([{ id: 1, category: 'repair' }]);
+
+      expect(post.categoryName).toBe('การซ่อมแซม');
+    });
+  });
+
+  describe('tags', () => {
+    beforeEach(() => taxonomyController.initialize());
+
+    const tagBySlug = async (slug) => taxonomyController.repository.findTagBySlug(slug);
+
+    it('should rename a tag on every post', async () => {
+      const post = await createPost({ tags: ['สายพาน', 'ใบมีด'] });
+      const tag = await tagBySlug('สายพาน');
+
+      const result = await taxonomyController.renameTag(tag.id, { name: 'สายพานขับ' });
+
+      expect(result.data).toMatchObject({ name: 'สายพานขับ', slug: 'สายพานขับ' });
+      expect((await posts.findById(post.id)).tags).toEqual(['สายพานขับ', 'ใบมีด']);
+    });
+
+    it('should search renamed tags without waiting for another post change', async () => {
+      await createPost({ tags: ['belt'] });
+      expect((await postsController.searchPosts('รถเกี่ยวข้าว', { tags: 'belt' })).data.total).toBe(1);
+
+      await taxonomyController.renameTag((await tagBySlug('belt')).id, { name: 'v-belt' });
+
+      expect((await postsController.searchPosts('รถเกี่ยวข้าว', { tags: 'v-belt' })).data.total).toBe(1);
+      expect((await postsController.searchPosts('รถเกี่ยวข้าว', { tags: 'belt' })).data.total).toBe(0);
+    });
+
+    it('should refuse to rename onto another tag', async () => {
+      await createPost({ tags: ['belt', 'v-belt'] });
+
+      const result = await taxonomyController.renameTag((await tagBySlug('v-belt')).id, { name: 'Belt' });
+
+      expect(result.error).toBe('Tag already exists');
+      expect(result.data.id).toBe((await tagBySlug('belt')).id);
+    });
+
+    it('should merge a tag into another without duplicating it on posts', async () => {
+      const both = await createPost({ tags: ['belt', 'v-belt'] });
+      const one = await createPost({ tags: ['v-belt'] });
+      const [source, target] = [await tagBySlug('v-belt'), await tagBySlug('belt')];
+
+      const result = await taxonomyController.mergeTag(source.id, target.id);
+
+      expect(result.data).toMatchObject({ id: target.id, posts: 2 });
+      expect((await posts.findById(both.id)).tags).toEqual(['belt']);
+      expect((await posts.findById(one.id)).tags).toEqual(['belt']);
+      expect(await tagBySlug('v-belt')).toBeNull();
+      expect((await taxonomyController.getTag('belt')).data.count).toBe(2);
+      expect((await taxonomyController.mergeTag(target.id, target.id)).error).toBe('Validation failed');
+    });
+
+    it('should remove a deleted tag from its posts', async () => {
+      const post = await createPost({ tags: ['belt', 'blade'] });
+
+      await taxonomyController.deleteTag((await tagBySlug('belt')).id);
+
+      expect((await posts.findById(post.id)).tags).toEqual(['blade']);
+      expect((await taxonomyController.getTag('belt')).error).toBe('Tag not found');
+    });
+
+    it('should list only tags with published posts unless asked', async () => {
+      await createPost({ tags: ['draft-only'], status: 'draft' });
+      await createPost({ tags: ['belt'] });
+      await taxonomyController.createTag({ name: 'Unused' });
+
+      expect((await taxonomyController.listTags()).data.tags.map(tag => tag.slug)).toEqual(['belt']);
+      expect((await taxonomyController.listTags({ includeUnused: true })).data.tags).toHaveLength(3);
+      expect((await taxonomyController.createTag({ name: 'unused' })).error).toBe('Tag already exists');
+    });
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * Translation Controller Tests
+ * AI translation drafts, review (apply/reject) and the glossary
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const translationController = require('../../controllers/translationController');
+const postsController = require('../../controllers/postsController');
+const { FileTranslationRepository, FilePostRepository } = require('../../repositories');
+
+// Mock logger
+jest.mock('../../middleware/errorHandler', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn()
+  }
+}));
+
+// Mock cache
+jest.mock('../../middleware/cache', () => ({
+  clearCache: {
+    posts: jest.fn(),
+    post: jest.fn()
+  }
+}));
+
+const editor = { id: '11111111-1111-4111-8111-111111111111', username: 'editor', role: 'editor' };
+const author = { id: '22222222-2222-4222-8222-222222222222', username: 'author', role: 'author' };
+
+// Canned English for the Thai source text of the test post
+const TRANSLATIONS = {
+  'การเปลี่ยนสายพานรถเกี่ยวข้าว': 'Replacing a Combine Harvester Belt',
+  'ขั้นตอนการเปลี่ยนสายพานอย่างปลอดภัย': 'How to replace the belt safely',
+  '<h2>เตรียมเครื่องมือ</h2><p>คลายสายพานที่<a href="/blog/pulley">ลูกรอก</a></p>':
+    '<h2>Prepare the tools</h2><p>Loosen the belt at the <a href="/blog/pulley">pulley</a></p>'
+};
+
+const sourceOf = (prompt) => prompt.split('\n---\n').pop();
+
+describe('TranslationController', () => {
+  let tmpDir;
+  let ai;
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rbck-translation-'));
+    // An existing (empty) data file, so no sample post is seeded
+    fs.writeFileSync(path.join(tmpDir, 'data.json'), JSON.stringify({ posts: [], nextId: 1 }));
+    const posts = new FilePostRepository({ path: path.join(tmpDir, 'data.json') });
+    await posts.initialize();
+
+    ai = {
+      processMessage: jest.fn(async (provider, prompt) => ({
+        success: true,
+        response: TRANSLATIONS[sourceOf(prompt)] || `EN: ${sourceOf(prompt)}`,
+        provider,
+        model: 'test-model'
+      }))
+    };
+
+    postsController.setRepository(posts);
+    translationController.setRepository(new FileTranslationRepository({ translationsPath: path.join(tmpDir, 'translations.json') }), posts);
+    translationController.ai = ai;
+    await translationController.initialize();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const createPost = async (fields = {}, user = editor) => {
+    const result = await postsController.createPost({
+      titleTH: 'การเปลี่ยนสายพานรถเกี่ยวข้าว',
+      content: '<h2>เตรียมเครื่องมือ</h2><p>คลายสายพานที่<a href="/blog/pulley">ลูกรอก</a></p>',
+      excerpt: 'ขั้นตอนการเปลี่ยนสายพานอย่างปลอดภัย',
+      ...fields
+    }, { user });
+    expect(result).toMatchObject({ success: true });
+    return result.data;
+  };
+
+  describe('glossary', () => {
+    it('should seed the default terms once', async () => {
+      await translationController.initialize();
+
+      const { data } = await translationController.listTerms();
+      expect(data.total).toBeGreaterThan(0);
+      expect(data.terms).toContainEqual(expect.objectContaining({ term_th: 'สายพาน', term_en: 'belt' }));
+      expect((await translationController.listTerms({ search: 'BELT' })).data.terms.map(term => term.term_th))
+        .toEqual(['สายพาน']);
+    });
+
+    it('should refuse a second translation of a Thai term', async () => {
+      const result = await translationController.createTerm({ term_th: ' สายพาน ', term_en: 'V-belt' }, { user: editor });
+      expect(result).toMatchObject({ success: false, error: 'Term already exists' });
+
+      const created = await translationController.createTerm({ term_th: 'เพลาขับ', term_en: 'drive shaft' }, { user: editor });
+      expect(created.data).toMatchObject({ term_en: 'drive shaft', created_by: editor.id });
+
+      expect(await translationController.updateTerm(created.data.id, { term_th: 'สายพาน' }))
+        .toMatchObject({ success: false, error: 'Term already exists' });
+      expect((await translationController.updateTerm(created.data.id, { note: 'Power take-off' })).data.note)
+        .toBe('Power take-off');
+      expect(await translationController.deleteTerm('missing')).toMatchObject({ success: false, error: 'Term not found' });
+    });
+  });
+
+  describe('translatePost', () => {
+    it('should store a draft for review without changing the post', async () => {
+      const post = await createPost();
+
+      const result = await translationController.translatePost(post.id, { target: 'en' }, { user: editor });
+
+      expect(result.success).toBe(true);
+      expect(result.data).toMatchObject({
+        post_id: post.id,
+        source_locale: 'th',
+        target_locale: 'en',
+        status: 'pending_review',
+        model: 'test-model',
+        warnings: [],
+        created_by: editor.id
+      });
+      expect(result.data.fields).toEqual({
+        title: 'Replacing a Combine Harvester Belt',
+        excerpt: 'How to replace the belt safely',
+        content: TRANSLATIONS[post.content]
+      });
+      expect(result.data.comparison.map(row => row.field)).toEqual(['title', 'excerpt', 'content']);
+      expect(result.data.comparison[0]).toMatchObject({ source: post.titleTH, current: '' });
+      expect(result.data.glossary.length).toBeGreaterThan(0);
+
+      // Glossary terms of each field go into its prompt, and every call is attributed
+      const [, contentPrompt, options] = ai.processMessage.mock.calls[2];
+      expect(contentPrompt).toContain('- สายพาน => belt');
+      expect(contentPrompt).toContain('- ลูกรอก => pulley');
+      expect(options).toMatchObject({ requestType: 'translation' });
+
+      expect((await postsController.getPostById(post.id)).data.titleEN).toBeUndefined();
+    });
+
+    it('should retry once when the HTML changes and then warn', async () => {
+      const post = await createPost();
+      ai.processMessage.mockImplementation(async (provider, prompt) => ({
+        success: true,
+        response: sourceOf(prompt).startsWith('<h2>') ? '```html\n<p>Prepare the tools</p>\n```' : 'Translated',
+        provider
+      }));
+
+      const result = await translationController.translatePost(post.id, { fields: ['content'] });
+
+      expect(ai.processMessage).toHaveBeenCalledTimes(2);
+      expect(ai.processMessage.mock.calls[1][1]).toContain('previous translation was rejected');
+      expect(result.data.fields.content).toBe('<p>Prepare the tools</p>');
+      expect(result.data.warnings).toEqual(expect.arrayContaining([
+        expect.objectContaining({ field: 'content', type: 'html_structure' }),
+        expect.objectContaining({ field: 'content', type: 'glossary', message: expect.stringContaining('"belt"') })
+      ]));
+    });
+
+    it('should report provider failures and invalid requests', async () => {
+      const post = await createPost();
+      ai.processMessage.mockRejectedValue({ success: false, error: 'All providers failed' });
+
+      expect(await translationController.translatePost(post.id, {}))
+        .toMatchObject({ success: false, error: 'Translation failed', message: 'All providers failed' });
+      expect(await translationController.translatePost(999, {})).toMatchObject({ error: 'Post not found' });
+      expect(await translationController.translatePost(post.id, { target: 'fr' })).toMatchObject({ error: 'Unsupported language' });
+      expect(await translationController.translatePost(post.id, { fields: ['slug'] })).toMatchObject({ error: 'Validation failed' });
+      expect(await translationController.translatePost(post.id, { target: 'th' })).toMatchObject({ error: 'Nothing to translate' });
+      expect(await translationController.listDrafts()).toMatchObject({ data: { total: 0 } });
+    });
+
+    it('should only let authors translate their own posts', async () => {
+      const post = await createPost();
+
+      expect(await translationController.translatePost(post.id, {}, { user: author }))
+        .toMatchObject({ success: false, error: 'Forbidden' });
+    });
+  });
+
+  describe('review', () => {
+    it('should apply an edited draft to the English fields of the post', async () => {
+      const post = await createPost();
+      const { data: draft } = await translationController.translatePost(post.id, {}, { user: editor });
+
+      const result = await translationController.applyDraft(draft.id, {
+        fields: { title: 'Replacing the Combine Harvester Belt' }
+      }, { user: editor });
+
+      expect(result.success).toBe(true);
+      expect(result.data.draft).toMatchObject({ status: 'applied', reviewed_by: editor.id });
+      expect(result.data.post).toMatchObject({
+        titleTH: post.titleTH,
+        titleEN: 'Replacing the Combine Harvester Belt',
+        slugEN: 'replacing-the-combine-harvester-belt',
+        excerptEN: 'How to replace the belt safely',
+        contentEN: TRANSLATIONS[post.content]
+      });
+
+      const revisions = await postsController.repository.findRevisions(post.id);
+      expect(revisions[revisions.length - 1]).toMatchObject({ action: 'translation', author: 'editor' });
+
+      expect(await translationController.applyDraft(draft.id, {}, { user: editor }))
+        .toMatchObject({ success: false, error: 'Draft already reviewed' });
+      expect((await translationController.getDraft(draft.id)).data.comparison[0])
+        .toMatchObject({ translation: 'Replacing the Combine Harvester Belt', current: 'Replacing the Combine Harvester Belt' });
+    });
+
+    it('should refuse edits to fields the draft does not have', async () => {
+      const post = await createPost();
+      const { data: draft } = await translationController.translatePost(post.id, { fields: ['title'] });
+
+      expect(await translationController.applyDraft(draft.id, { fields: { content: '<p>x</p>' } }))
+        .toMatchObject({ success: false, error: 'Validation failed' });
+    });
+
+    it('should reject a draft and leave the post unchanged', async () => {
+      const post = await createPost();
+      const { data: draft } = await translationController.translatePost(post.id, {});
+
+      expect((await translationController.rejectDraft(draft.id, { user: editor })).data.status).toBe('rejected');
+      expect((await postsController.getPostById(post.id)).data.titleEN).toBeUndefined();
+      expect((await translationController.listDrafts({ postId: String(post.id), status: 'rejected' })).data.drafts)
+        .toEqual([expect.objectContaining({ id: draft.id, translatedFields: ['title', 'excerpt', 'content'] })]);
+      expect(await translationController.getDraft('missing')).toMatchObject({ success: false, error: 'Draft not found' });
+    });
+  });
+});
@@ -0,0 +1,247 @@
+/**
+ * Users Controller Tests
+ * Invitations, role changes and disabling accounts
+ */
+
+process.env.BCRYPT_ROUNDS = '4'; // Keep hashing fast in tests
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bcrypt = require('bcrypt');
+const usersController = require('../../controllers/usersController');
+const securityService = require('../../services/SecurityService');
+const { User } = require('../../models/User');
+const { FileUserRepository } = require('../../repositories');
+const totp = require('../../utils/totp');
+
+// Mock logger
+jest.mock('../../middleware/errorHandler', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn()
+  }
+}));
+
+describe('UsersController', () => {
+  let tmpDir;
+  let repository;
+  let admin;
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rbck-users-'));
+    repository = new FileUserRepository({ usersPath: path.join(tmpDir, 'users.json') });
+    await repository.initialize();
+    usersController.setRepository(repository);
+
+    admin = await repository.create({
+      id: '11111111-1111-4111-8111-111111111111',
+      username: 'admin',
+      email: 'admin@example.com',
+      role: 'admin',
+      is_active: true,
+      password_hash: 'hash',
+      created_at: '2024-01-01T00:00:00.000Z'
+    });
+
+    jest.spyOn(securityService, 'invalidateUserSessions').mockReturnValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const invite = (overrides = {}) => usersController.inviteUser(
+    { username: 'Somchai', email: 'Somchai@Example.com', role: 'author', ...overrides },
+    { user: { id: admin.id, username: admin.username } }
+  );
+
+  describe('inviteUser', () => {
+    it('should create an account without a password and return a one-time token', async () => {
+      const result = await invite();
+
+      expect(result.success).toBe(true);
+      expect(result.data.inviteToken).toMatch(/^[0-9a-f]{64}$/);
+      expect(result.data.user).toMatchObject({ username: 'somchai', email: 'somchai@example.com', role: 'author', status: 'invited' });
+      expect(result.data.user.invite_token_hash).toBeUndefined();
+
+      const stored = await repository.findByUsername('somchai');
+      expect(stored.invited_by).toBe(admin.id);
+      expect(stored.password_hash).toBeUndefined();
+      expect(stored.invite_token_hash).not.toBe(result.data.inviteToken);
+    });
+
+    it('should reject duplicate usernames and emails', async () => {
+      await invite();
+
+      expect((await invite({ email: 'other@example.com' })).error).toBe('User already exists');
+      expect((await invite({ username: 'other' })).error).toBe('User already exists');
+    });
+
+    it('should validate the role and email', async () => {
+      const result = await invite({ role: 'owner', email: 'not-an-email' });
+
+      expect(result.success).toBe(false);
+      expect(result.details.map(d => d.field).sort()).toEqual(['email', 'role']);
+    });
+
+    it('should ignore password hashes sent by the client', async () => {
+      await invite({ password_hash: 'injected' });
+
+      expect((await repository.findByUsername('somchai')).password_hash).toBeUndefined();
+    });
+  });
+
+  describe('acceptInvite', () => {
+    it('should set a bcrypt password and consume the token', async () => {
+      const { data } = await invite();
+
+      const result = await usersController.acceptInvite(data.inviteToken, 'correct horse battery');
+
+      expect(result.success).toBe(true);
+      expect(result.data.status).toBe('active');
+
+      const stored = await repository.findByUsername('somchai');
+      expect(await bcrypt.compare('correct horse battery', stored.password_hash)).toBe(true);
+      expect(stored.invite_token_hash).toBeNull();
+
+      const reused = await usersController.acceptInvite(data.inviteToken, 'another password');
+      expect(reused.error).toBe('Invalid invite');
+    });
+
+    it('should reject expired invites and short passwords', async () => {
+      const { data } = await invite();
+      const stored = await repository.findByUsername('somchai');
+
+      expect((await usersController.acceptInvite(data.inviteToken, 'short')).error).toBe('Validation failed');
+
+      await repository.update(stored.id, { invite_expires_at: '2020-01-01T00:00:00.000Z' });
+      expect((await usersController.acceptInvite(data.inviteToken, 'long enough')).error).toBe('Invalid invite');
+    });
+  });
+
+  describe('changeRole', () => {
+    it('should change the role and end the user\'s sessions', async () => {
+      const { data } = await invite();
+
+      const result = await usersController.changeRole(data.user.id, 'editor', { user: admin });
+
+      expect(result.success).toBe(true);
+      expect(result.data.role).toBe('editor');
+      expect(securityService.invalidateUserSessions).toHaveBeenCalledWith(data.user.id);
+    });
+
+    it('should reject unknown roles and missing users', async () => {
+      const { data } = await invite();
+
+      expect((await usersController.changeRole(data.user.id, 'owner', { user: admin })).error).toBe('Validation failed');
+      expect((await usersController.changeRole('missing', 'editor', { user: admin })).error).toBe('User not found');
+    });
+
+    it('should not let admins change their own role or demote the last admin', async () => {
+      expect((await usersController.changeRole(admin.id, 'viewer', { user: admin })).error).toBe('Cannot change own role');
+      expect((await usersController.changeRole(admin.id, 'viewer', { user: { id: 'bootstrap' } })).error)
+        .toBe('Cannot remove the last admin');
+    });
+  });
+
+  describe('setActive', () => {
+    it('should disable and re-enable accounts', async () => {
+      const { data } = await invite();
+
+      const disabled = await usersController.setActive(data.user.id, false, { user: admin });
+      expect(disabled.data.status).toBe('disabled');
+      expect(securityService.invalidateUserSessions).toHaveBeenCalledWith(data.user.id);
+
+      const enabled = await usersController.setActive(data.user.id, true, { user: admin });
+      expect(enabled.data.is_active).toBe(true);
+    });
+
+    it('should not let admins disable themselves or the last admin', async () => {
+      expect((await usersController.setActive(admin.id, false, { user: admin })).error).toBe('Cannot disable own account');
+      expect((await usersController.setActive(admin.id, false, { user: { id: 'bootstrap' } })).error)
+        .toBe('Cannot remove the last admin');
+    });
+  });
+
+  describe('two-factor enrollment', () => {
+    const enroll = async () => {
+      const setup = await usersController.setupTwoFactor(admin);
+      const enabled = await usersController.enableTwoFactor(admin, totp.generateCode(setup.data.secret));
+      return { secret: setup.data.secret, recoveryCodes: enabled.data.recoveryCodes };
+    };
+
+    it('should return a provisioning URI and keep login unchanged until confirmed', async () => {
+      const result = await usersController.setupTwoFactor(admin);
+
+      expect(result.data.otpauthUri).toContain(`secret=${result.data.secret}`);
+      expect(result.data.otpauthUri).toContain('admin%40example.com');
+
+      const stored = await repository.findById(admin.id);
+      expect(stored.totp_pending_secret).toBe(result.data.secret);
+      expect(stored.totp_enabled).toBeFalsy();
+    });
+
+    it('should enable two-factor login with a valid code and return recovery codes once', async () => {
+      const { secret, recoveryCodes } = await enroll();
+
+      expect(recoveryCodes).toHaveLength(10);
+
+      const stored = await repository.findById(admin.id);
+      expect(stored).toMatchObject({ totp_enabled: true, totp_secret: secret, totp_pending_secret: null });
+      expect(stored.recovery_code_hashes).toEqual(recoveryCodes.map(totp.hashRecoveryCode));
+      expect((await usersController.getTwoFactorStatus(admin)).data).toMatchObject({ enabled: true, recoveryCodesRemaining: 10 });
+      expect(User.toPublic(stored).totp_secret).toBeUndefined();
+    });
+
+    it('should reject wrong codes and a second enrollment', async () => {
+      await usersController.setupTwoFactor(admin);
+      expect((await usersController.enableTwoFactor(admin, '000000')).error).toBe('Invalid authentication code');
+
+      await enroll();
+      expect((await usersController.setupTwoFactor(admin)).error).toBe('Two-factor already enabled');
+    });
+
+    it('should require a second factor to disable or regenerate recovery codes', async () => {
+      const { recoveryCodes } = await enroll();
+
+      expect((await usersController.disableTwoFactor(admin, '000000')).error).toBe('Invalid authentication code');
+
+      const regenerated = await usersController.regenerateRecoveryCodes(admin, recoveryCodes[0]);
+      expect(regenerated.data.recoveryCodes).not.toContain(recoveryCodes[1]);
+
+      const disabled = await usersController.disableTwoFactor(admin, regenerated.data.recoveryCodes[0]);
+      expect(disabled.data.enabled).toBe(false);
+      expect((await repository.findById(admin.id)).totp_secret).toBeNull();
+    });
+
+    it('should point the bootstrap admin to ADMIN_TOTP_SECRET', async () => {
+      const result = await usersController.setupTwoFactor({ id: 'admin-bootstrap', bootstrap: true });
+
+      expect(result.error).toBe('Two-factor setup unavailable');
+    });
+
+    it('should let admins reset a user\'s two-factor login and end their sessions', async () => {
+      await enroll();
+
+      const result = await usersController.resetTwoFactor(admin.id, { user: { id: 'bootstrap' } });
+
+      expect(result.data.totp_enabled).toBe(false);
+      expect(securityService.invalidateUserSessions).toHaveBeenCalledWith(admin.id);
+    });
+  });
+
+  describe('listUsers', () => {
+    it('should list users without secrets', async () => {
+      await invite();
+
+      const result = await usersController.listUsers({ role: 'author' });
+
+      expect(result.data.total).toBe(1);
+      expect(result.data.users[0].invite_token_hash).toBeUndefined();
+    });
+  });
+});
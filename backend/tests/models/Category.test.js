@@ -0,0 +1,59 @@
+/**
+ * Category and Tag Model Tests
+ */
+
+const { Category } = require('../../models/Category');
+const { Tag } = require('../../models/Tag');
+
+describe('Category Model', () => {
+  const categories = [
+    { id: 'a', name: 'ซ่อม', slug: 'repair', parent_id: null, sort_order: 1 },
+    { id: 'b', name: 'เครื่องยนต์', slug: 'engine', parent_id: 'a', sort_order: 0 },
+    { id: 'c', name: 'หัวฉีด', slug: 'injector', parent_id: 'b', sort_order: 0 },
+    { id: 'd', name: 'การใช้งาน', slug: 'operation', parent_id: null, sort_order: 0 },
+    { id: 'e', name: 'ย่อยของหมวดที่ซ่อน', slug: 'orphan', parent_id: 'hidden', sort_order: 2 }
+  ];
+
+  describe('validateForCreate', () => {
+    it('should accept Thai slugs and apply defaults', () => {
+      const result = Category.validateForCreate({ name: ' อะไหล่ ', slug: 'อะไหล่-แท้' });
+
+      expect(result.success).toBe(true);
+      expect(result.data).toMatchObject({ name: 'อะไหล่', name_en: '', parent_id: null, sort_order: 0, is_active: true });
+    });
+
+    it('should reject slugs with spaces or capitals', () => {
+      const result = Category.validateForCreate({ name: 'Parts', slug: 'Spare Parts' });
+
+      expect(result.success).toBe(false);
+      expect(result.errors[0].field).toBe('slug');
+    });
+  });
+
+  describe('descendantIds', () => {
+    it('should collect every level below a category', () => {
+      expect(Category.descendantIds(categories, 'a')).toEqual(['b', 'c']);
+      expect(Category.descendantIds(categories, 'c')).toEqual([]);
+    });
+  });
+
+  describe('buildTree', () => {
+    it('should nest children in display order and keep orphans as roots', () => {
+      const tree = Category.buildTree(categories);
+
+      expect(tree.map(node => node.slug)).toEqual(['operation', 'repair', 'orphan']);
+      expect(tree[1].children[0].slug).toBe('engine');
+      expect(tree[1].children[0].children[0].slug).toBe('injector');
+    });
+  });
+});
+
+describe('Tag Model', () => {
+  it('should collapse whitespace in names', () => {
+    expect(Tag.normalizeName('  รถ   เกี่ยว ข้าว ')).toBe('รถ เกี่ยว ข้าว');
+  });
+
+  it('should limit names to the length of Post.tags items', () => {
+    expect(Tag.validateForCreate({ name: 'x'.repeat(51), slug: 'x' }).success).toBe(false);
+  });
+});
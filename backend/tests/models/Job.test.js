@@ -0,0 +1,71 @@
+/**
+ * Job Model Tests
+ */
+
+const { Job } = require('../../models/Job');
+
+describe('Job Model', () => {
+  describe('validateForCreate', () => {
+    it('should apply defaults for the job and its input', () => {
+      const result = Job.validateForCreate({ type: 'eat', input: { prompt: '  รถเกี่ยวข้าว  ' } });
+
+      expect(result.success).toBe(true);
+      expect(result.data).toMatchObject({
+        status: 'queued',
+        input: { prompt: 'รถเกี่ยวข้าว', targetKeyword: '', contentType: 'article' },
+        progress: { stage: null, completed: 0, total: null },
+        stages: [],
+        attempts: 0,
+        cancel_requested: false
+      });
+    });
+
+    it('should let swarm jobs opt out of the prompt cache', () => {
+      expect(Job.validateForCreate({ type: 'swarm', input: { prompt: 'x' } }).data.input).toEqual({ prompt: 'x', workflow: 'full', cache: true });
+      expect(Job.validateForCreate({ type: 'swarm', input: { prompt: 'x', cache: false } }).data.input.cache).toBe(false);
+    });
+
+    it('should reject unknown types', () => {
+      const result = Job.validateForCreate({ type: 'render', input: {} });
+
+      expect(result.success).toBe(false);
+      expect(result.errors[0].field).toBe('type');
+    });
+
+    it('should report input errors with their path', () => {
+      const result = Job.validateForCreate({ type: 'swarm', input: { prompt: 'x', workflow: 'publish' } });
+
+      expect(result.success).toBe(false);
+      expect(result.errors).toEqual([expect.objectContaining({ field: 'input.workflow' })]);
+    });
+  });
+
+  describe('isFinished', () => {
+    it('should treat completed, failed and cancelled jobs as finished', () => {
+      expect(Job.statuses.filter(status => Job.isFinished({ status }))).toEqual(['completed', 'failed', 'cancelled']);
+    });
+  });
+
+  describe('requeued', () => {
+    it('should clear the previous run', () => {
+      expect(Job.requeued()).toMatchObject({
+        status: 'queued',
+        stages: [],
+        result: null,
+        error: null,
+        started_at: null,
+        finished_at: null
+      });
+    });
+  });
+
+  describe('toSummary', () => {
+    it('should drop the result and shorten the prompt', () => {
+      const summary = Job.toSummary({ id: 'j', input: { prompt: 'ก'.repeat(500), workflow: 'full' }, result: { finalContent: 'x' } });
+
+      expect(summary.result).toBeUndefined();
+      expect(summary.hasResult).toBe(true);
+      expect(summary.input).toEqual({ prompt: 'ก'.repeat(200), workflow: 'full' });
+    });
+  });
+});
@@ -114,6 +114,14 @@ describe('Post Model', () => {
         expect(result.data.updatedAt).toBeDefined();
       });
 
+      it('should clear optional fields set to null but not required ones', () => {
+        const result = Post.validateForUpdate({ contentEN: null, category: null });
+
+        expect(result.success).toBe(true);
+        expect(result.data).toMatchObject({ contentEN: null, category: null });
+        expect(Post.validateForUpdate({ titleTH: null }).success).toBe(false);
+      });
+
       it('should allow empty update object', () => {
         const result = Post.validateForUpdate({});
         
@@ -218,6 +226,22 @@ describe('Post Model', () => {
         expect(Post.isDraft(publishedPost)).toBe(false);
         expect(Post.isDraft(null)).toBe(false);
       });
+
+      it('should only treat scheduled posts past their publishAt as due', () => {
+        const now = new Date('2024-06-01T12:00:00Z');
+
+        expect(Post.isScheduled({ status: 'scheduled' })).toBe(true);
+        expect(Post.isDue({ status: 'scheduled', publishAt: '2024-06-01T11:59:00Z' }, now)).toBe(true);
+        expect(Post.isDue({ status: 'scheduled', publishAt: '2024-06-01T12:01:00Z' }, now)).toBe(false);
+        expect(Post.isDue({ status: 'draft', publishAt: '2024-06-01T11:59:00Z' }, now)).toBe(false);
+        expect(Post.isDue({ status: 'scheduled' }, now)).toBe(false);
+      });
+
+      it('should require publishAt for scheduled posts', () => {
+        expect(Post.validateSchedule({ status: 'scheduled' }).field).toBe('publishAt');
+        expect(Post.validateSchedule({ status: 'scheduled', publishAt: '2024-06-01T12:00:00Z' })).toBeNull();
+        expect(Post.validateSchedule({ status: 'draft' })).toBeNull();
+      });
     });
 
     describe('Data Transformation', () => {
@@ -245,6 +269,18 @@ describe('Post Model', () => {
         expect(publicPost.reading_time).toBeUndefined();
       });
 
+      it('should leave out review notes and the owner account but keep localized fields', () => {
+        const publicPost = Post.toPublic({
+          ...Post.localize({ ...samplePost, category: 'maintenance', tags: ['รถไถ'] }, 'th'),
+          authorId: 'user-7',
+          reviewFindings: [{ id: 'eat.no-sources', note: 'internal' }],
+          reviewedAt: '2023-01-02T00:00:00Z'
+        });
+
+        expect(publicPost).toMatchObject({ title: 'ทดสอบ', lang: 'th', category: 'maintenance', tags: ['รถไถ'] });
+        expect(Object.keys(publicPost)).toEqual(expect.not.arrayContaining(['authorId', 'reviewFindings', 'reviewedAt']));
+      });
+
       it('should handle null input for toPublic', () => {
         expect(Post.toPublic(null)).toBeNull();
         expect(Post.toPublic(undefined)).toBeNull();
@@ -268,6 +304,78 @@ describe('Post Model', () => {
     });
   });
 
+  describe('Translations', () => {
+    const translated = {
+      id: 1,
+      titleTH: 'วิธีเปลี่ยนสายพาน',
+      titleEN: 'Replacing a Belt',
+      slug: 'เปลี่ยนสายพาน',
+      slugEN: 'replacing-a-belt',
+      content: '<p>ดับเครื่องก่อน</p>',
+      contentEN: '<p>Switch the engine off first.</p>',
+      excerpt: 'ขั้นตอนเปลี่ยนสายพานอย่างปลอดภัย',
+      excerptEN: 'Replacing the belt safely',
+      metaTitle: 'เปลี่ยนสายพาน',
+      status: 'published'
+    };
+
+    it('should normalize supported languages only', () => {
+      expect(Post.normalizeLocale('EN')).toBe('en');
+      expect(Post.normalizeLocale('th-TH')).toBe('th');
+      expect(Post.normalizeLocale('fr')).toBeNull();
+      expect(Post.normalizeLocale(undefined)).toBeNull();
+    });
+
+    it('should generate the English slug from titleEN', () => {
+      const result = Post.validateForCreate({ ...translated, slugEN: undefined });
+
+      expect(result.success).toBe(true);
+      expect(result.data.slugEN).toBe('replacing-a-belt');
+      expect(Post.validateForCreate({ ...translated, slugEN: 'ภาษาไทย' }).success).toBe(false);
+    });
+
+    it('should report complete, partial and missing translations', () => {
+      expect(Post.translationStatus(translated)).toEqual({
+        status: 'complete',
+        missing: ['metaTitle', 'metaDescription', 'focusKeyword']
+      });
+      expect(Post.translationStatus({ ...translated, contentEN: '  ' }).status).toBe('partial');
+      expect(Post.translationStatus({ titleTH: 'ไทย', slug: 'ไทย' }).status).toBe('missing');
+    });
+
+    it('should localize translatable fields to English', () => {
+      const post = Post.localize(translated, 'en');
+
+      expect(post).toMatchObject({
+        lang: 'en',
+        fallback: false,
+        title: 'Replacing a Belt',
+        titleTH: 'วิธีเปลี่ยนสายพาน',
+        slug: 'replacing-a-belt',
+        content: '<p>Switch the engine off first.</p>',
+        excerpt: 'Replacing the belt safely',
+        alternates: { th: 'เปลี่ยนสายพาน', en: 'replacing-a-belt' }
+      });
+      // Untranslated SEO fields are not shown in Thai
+      expect(post.metaTitle).toBeUndefined();
+      expect(post).not.toHaveProperty('contentEN');
+    });
+
+    it('should fall back to Thai when the translation is incomplete', () => {
+      const post = Post.localize({ ...translated, excerptEN: undefined }, 'en');
+
+      expect(post).toMatchObject({
+        lang: 'th',
+        fallback: true,
+        title: 'วิธีเปลี่ยนสายพาน',
+        slug: 'เปลี่ยนสายพาน',
+        content: '<p>ดับเครื่องก่อน</p>',
+        alternates: { th: 'เปลี่ยนสายพาน' }
+      });
+      expect(post).not.toHaveProperty('slugEN');
+    });
+  });
+
   describe('Edge Cases and Error Handling', () => {
     it('should handle extremely long content', () => {
       const extremelyLongContent = 'a'.repeat(60000); // Exceeds 50000 limit
@@ -0,0 +1,74 @@
+/**
+ * Post Revision Model Tests
+ */
+
+const { PostRevision } = require('../../models/PostRevision');
+
+describe('PostRevision Model', () => {
+  const post = {
+    id: 7,
+    titleTH: 'หัวข้อเดิม',
+    content: '<p>เนื้อหา</p>',
+    tags: ['a'],
+    views: 12,
+    likes: 3,
+    updatedAt: '2024-01-01T00:00:00.000Z'
+  };
+
+  describe('build', () => {
+    it('should snapshot the post without counters', () => {
+      const revision = PostRevision.build({ post, action: 'update', author: 'editor', changedFields: ['titleTH'] });
+
+      expect(revision).toMatchObject({ postId: 7, action: 'update', author: 'editor', changedFields: ['titleTH'], restoredFrom: null });
+      expect(revision.snapshot.views).toBeUndefined();
+      expect(revision.snapshot.likes).toBeUndefined();
+      expect(revision.createdAt).toBeDefined();
+    });
+
+    it('should not share references with the post', () => {
+      const revision = PostRevision.build({ post });
+      revision.snapshot.tags.push('b');
+
+      expect(post.tags).toEqual(['a']);
+    });
+  });
+
+  describe('changedFields', () => {
+    it('should ignore bookkeeping fields', () => {
+      const after = { ...post, views: 99, updatedAt: '2024-02-01T00:00:00.000Z', tags: ['a', 'b'] };
+
+      expect(PostRevision.changedFields(post, after)).toEqual(['tags']);
+    });
+  });
+
+  describe('diff', () => {
+    it('should classify added, removed and changed fields', () => {
+      const diff = PostRevision.diff(
+        { titleTH: 'เดิม', excerpt: 'สรุป' },
+        { titleTH: 'ใหม่', titleEN: 'New' }
+      );
+
+      expect(diff).toEqual([
+        { field: 'excerpt', type: 'removed', from: 'สรุป', to: null },
+        { field: 'titleEN', type: 'added', from: null, to: 'New' },
+        { field: 'titleTH', type: 'changed', from: 'เดิม', to: 'ใหม่' }
+      ]);
+    });
+  });
+
+  describe('toRestoreData', () => {
+    it('should only return editorial fields', () => {
+      const data = PostRevision.toRestoreData({ ...post, status: 'published' });
+
+      expect(Object.keys(data).sort()).toEqual(PostRevision.restorableFields.filter(field => !['slug', 'excerpt'].includes(field)).sort());
+      expect(data).toMatchObject({ titleTH: 'หัวข้อเดิม', content: '<p>เนื้อหา</p>', tags: ['a'] });
+    });
+
+    it('should reset fields missing from the snapshot to their default or null', () => {
+      const data = PostRevision.toRestoreData({ titleTH: 'หัวข้อเดิม', contentEN: null });
+
+      expect(data).toMatchObject({ contentEN: null, metaDescriptionEN: null, category: null, tags: [], schemaType: 'Article' });
+      expect(data).not.toHaveProperty('excerpt');
+    });
+  });
+});
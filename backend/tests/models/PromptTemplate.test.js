@@ -0,0 +1,89 @@
+/**
+ * Prompt Template Model Tests
+ */
+
+const { PromptTemplate } = require('../../models/PromptTemplate');
+const defaultTemplates = require('../../ai/prompts/defaultTemplates');
+
+const template = (overrides = {}) => ({
+  name: 'eat.faq',
+  body: 'FAQ about {{topic}} for {{keyword}}:\n{{content|truncate:5}}',
+  variables: [
+    { name: 'topic' },
+    { name: 'keyword', required: false, default: 'รถเกี่ยวข้าว' },
+    { name: 'content', required: false }
+  ],
+  ...overrides
+});
+
+describe('PromptTemplate Model', () => {
+  describe('validateForCreate', () => {
+    it('should apply defaults to the template and its variables', () => {
+      const result = PromptTemplate.validateForCreate(template());
+
+      expect(result.success).toBe(true);
+      expect(result.data).toMatchObject({ description: '', change_note: '' });
+      expect(result.data.variables[0]).toEqual({ name: 'topic', description: '', required: true });
+    });
+
+    it('should reject names that are not dotted lower case words', () => {
+      const result = PromptTemplate.validateForCreate(template({ name: 'EAT FAQ' }));
+
+      expect(result.success).toBe(false);
+      expect(result.errors[0].field).toBe('name');
+    });
+
+    it('should reject placeholders without a declared variable', () => {
+      const result = PromptTemplate.validateForCreate(template({ body: '{{topic}} {{audience}}' }));
+
+      expect(result.success).toBe(false);
+      expect(result.errors).toEqual([{ field: 'body', message: 'Undeclared variable: {{audience}}' }]);
+    });
+
+    it('should reject duplicate variables', () => {
+      const result = PromptTemplate.validateForCreate(template({ body: '{{topic}}', variables: [{ name: 'topic' }, { name: 'topic' }] }));
+
+      expect(result.success).toBe(false);
+      expect(result.errors[0].field).toBe('variables.1.name');
+    });
+
+    it('should accept every built-in template', () => {
+      defaultTemplates.forEach(builtIn => {
+        expect(PromptTemplate.validateForCreate(builtIn)).toMatchObject({ success: true });
+      });
+    });
+  });
+
+  describe('placeholders', () => {
+    it('should list each variable once in order of use', () => {
+      expect(PromptTemplate.placeholders('{{ b }} {{a|truncate:10}} {{b}}')).toEqual(['b', 'a']);
+    });
+  });
+
+  describe('render', () => {
+    const parsed = PromptTemplate.validateForCreate(template()).data;
+
+    it('should fill in values, defaults and truncation', () => {
+      expect(PromptTemplate.render(parsed, { topic: 'สายพาน', content: 'abcdefgh' }))
+        .toBe('FAQ about สายพาน for รถเกี่ยวข้าว:\nabcde');
+    });
+
+    it('should leave unset optional variables empty', () => {
+      expect(PromptTemplate.render(parsed, { topic: 'x', keyword: 'y' })).toBe('FAQ about x for y:\n');
+    });
+
+    it('should report required variables without a value', () => {
+      expect(PromptTemplate.missingVariables(parsed, {})).toEqual(['topic']);
+      expect(PromptTemplate.missingVariables(parsed, { topic: '' })).toEqual([]);
+    });
+  });
+
+  describe('toSummary', () => {
+    it('should drop the body and keep variable names', () => {
+      const summary = PromptTemplate.toSummary({ ...template(), version: 2 });
+
+      expect(summary.body).toBeUndefined();
+      expect(summary).toMatchObject({ name: 'eat.faq', version: 2, variables: ['topic', 'keyword', 'content'] });
+    });
+  });
+});
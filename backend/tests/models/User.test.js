@@ -0,0 +1,114 @@
+/**
+ * User Model Tests
+ * Roles, permissions and account status
+ */
+
+const { User } = require('../../models/User');
+
+describe('User Model', () => {
+  const author = { id: 'author-1', role: 'author', is_active: true };
+  const editor = { id: 'editor-1', role: 'editor', is_active: true };
+
+  describe('validateForCreate', () => {
+    it('should default the role to viewer', () => {
+      const result = User.validateForCreate({ username: 'somchai', email: 'somchai@example.com' });
+
+      expect(result.success).toBe(true);
+      expect(result.data.role).toBe('viewer');
+    });
+
+    it('should reject unknown roles', () => {
+      const result = User.validateForCreate({ username: 'somchai', email: 'somchai@example.com', role: 'owner' });
+
+      expect(result.success).toBe(false);
+      expect(result.errors[0].field).toBe('role');
+    });
+  });
+
+  describe('can', () => {
+    it('should grant permissions by role', () => {
+      expect(User.can({ role: 'admin' }, 'users:manage')).toBe(true);
+      expect(User.can(editor, 'posts:publish')).toBe(true);
+      expect(User.can(editor, 'users:manage')).toBe(false);
+      expect(User.can(author, 'posts:write')).toBe(true);
+      expect(User.can(author, 'posts:publish')).toBe(false);
+      expect(User.can({ role: 'viewer' }, 'posts:write')).toBe(false);
+      expect(User.can(editor, 'taxonomy:manage')).toBe(true);
+      expect(User.can(author, 'taxonomy:manage')).toBe(false);
+      expect(User.can(editor, 'glossary:manage')).toBe(true);
+      expect(User.can(author, 'glossary:manage')).toBe(false);
+      expect(User.can(editor, 'prompts:manage')).toBe(true);
+      expect(User.can(author, 'prompts:manage')).toBe(false);
+    });
+
+    it('should deny missing users and unknown roles', () => {
+      expect(User.can(null, 'posts:read')).toBe(false);
+      expect(User.can({ role: 'owner' }, 'posts:read')).toBe(false);
+    });
+  });
+
+  describe('canEditPost', () => {
+    it('should let authors edit only their own posts', () => {
+      expect(User.canEditPost(author, { authorId: 'author-1' })).toBe(true);
+      expect(User.canEditPost(author, { authorId: 'someone-else' })).toBe(false);
+      expect(User.canEditPost(author, {})).toBe(false);
+    });
+
+    it('should let editors edit any post', () => {
+      expect(User.canEditPost(editor, { authorId: 'author-1' })).toBe(true);
+      expect(User.canEditPost(editor, {})).toBe(true);
+    });
+
+    it('should not let viewers edit their own posts', () => {
+      expect(User.canEditPost({ id: 'v', role: 'viewer' }, { authorId: 'v' })).toBe(false);
+    });
+  });
+
+  describe('canEditMedia', () => {
+    it('should let authors change only their own uploads', () => {
+      expect(User.canEditMedia(author, { uploaded_by: 'author-1' })).toBe(true);
+      expect(User.canEditMedia(author, { uploaded_by: 'someone-else' })).toBe(false);
+      expect(User.canEditMedia(author, { uploaded_by: null })).toBe(false);
+    });
+
+    it('should let editors change any upload and deny viewers', () => {
+      expect(User.canEditMedia(editor, { uploaded_by: null })).toBe(true);
+      expect(User.canEditMedia({ id: 'v', role: 'viewer' }, { uploaded_by: 'v' })).toBe(false);
+    });
+  });
+
+  describe('canManageJob', () => {
+    it('should let authors manage only the jobs they submitted', () => {
+      expect(User.canManageJob(author, { created_by: 'author-1' })).toBe(true);
+      expect(User.canManageJob(author, { created_by: 'someone-else' })).toBe(false);
+      expect(User.canManageJob(author, { created_by: null })).toBe(false);
+    });
+
+    it('should let editors manage any job and deny viewers', () => {
+      expect(User.canManageJob(editor, { created_by: null })).toBe(true);
+      expect(User.canManageJob({ id: 'v', role: 'viewer' }, { created_by: 'v' })).toBe(false);
+    });
+  });
+
+  describe('toPublic', () => {
+    it('should remove secrets and add the account status', () => {
+      const user = User.toPublic({ ...author, password_hash: 'hash', invite_token_hash: 'token' });
+
+      expect(user.password_hash).toBeUndefined();
+      expect(user.invite_token_hash).toBeUndefined();
+      expect(user.status).toBe('active');
+    });
+
+    it('should report invited and disabled accounts', () => {
+      expect(User.toPublic({ ...author, invite_token_hash: 'token' }).status).toBe('invited');
+      expect(User.toPublic({ ...author, password_hash: 'hash', is_active: false }).status).toBe('disabled');
+    });
+  });
+
+  describe('validatePassword', () => {
+    it('should require at least 8 characters', () => {
+      expect(User.validatePassword('short')).toMatchObject({ field: 'password' });
+      expect(User.validatePassword('long enough')).toBeNull();
+    });
+  });
+});
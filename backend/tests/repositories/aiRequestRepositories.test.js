@@ -0,0 +1,127 @@
+/**
+ * AI Request Repository Tests
+ * Shared contract tests run against every local ledger adapter
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileAIRequestRepository = require('../../repositories/FileAIRequestRepository');
+const SqliteAIRequestRepository = require('../../repositories/SqliteAIRequestRepository');
+const { createAIRequestRepository } = require('../../repositories');
+const { createSequence, describeAdapters, describeFactory } = require('./contract');
+
+jest.mock('../../middleware/errorHandler', () => require('./contract').silentErrorHandler());
+
+const ids = createSequence();
+
+const sampleRequest = (overrides = {}) => {
+  const id = ids.next();
+  return {
+    id,
+    user_id: null,
+    provider: 'openai',
+    model_used: 'accounts/fireworks/models/gpt-oss-120b',
+    request_type: 'chat',
+    prompt: 'วิธีเปลี่ยนน้ำมันเครื่องรถเกี่ยวข้าว',
+    temperature: 0.7,
+    max_tokens: 1000,
+    prompt_tokens: 10,
+    completion_tokens: 30,
+    tokens_used: 40,
+    response_time_ms: 1200,
+    success: true,
+    outcome: 'success',
+    error_message: null,
+    estimated_cost: 0.00002,
+    metadata: null,
+    created_at: `2025-03-0${(ids.count % 3) + 1}T08:00:00.000Z`,
+    ...overrides
+  };
+};
+
+const adapters = [
+  ['FileAIRequestRepository', (dir, options = {}) => new FileAIRequestRepository({ aiRequestsPath: path.join(dir, 'ai-requests.json'), ...options })],
+  ['SqliteAIRequestRepository', (dir) => new SqliteAIRequestRepository({ path: path.join(dir, 'posts.sqlite') })]
+];
+
+describeAdapters(adapters, 'rbck-ai-requests-', (context) => {
+  it('should store entries and read them back newest first', async () => {
+    const stored = await context.repository.create(sampleRequest({ created_at: '2025-03-01T08:00:00.000Z', metadata: { workflow: 'full' } }));
+    await context.repository.create(sampleRequest({ created_at: '2025-03-02T08:00:00.000Z', success: false, outcome: 'error' }));
+
+    const { requests, total } = await context.repository.findAll();
+
+    expect(total).toBe(2);
+    expect(requests[0].created_at).toBe('2025-03-02T08:00:00.000Z');
+    expect(requests[0].success).toBe(false);
+    expect(requests[1]).toMatchObject({ id: stored.id, success: true, metadata: { workflow: 'full' }, tokens_used: 40 });
+  });
+
+  it('should filter by date range, provider, user and request type', async () => {
+    await context.repository.create(sampleRequest({ created_at: '2025-03-01T08:00:00.000Z', provider: 'gemini' }));
+    await context.repository.create(sampleRequest({ created_at: '2025-03-02T08:00:00.000Z', user_id: 'user-1', request_type: 'swarm' }));
+    await context.repository.create(sampleRequest({ created_at: '2025-03-03T08:00:00.000Z' }));
+
+    expect((await context.repository.findAll({ from: '2025-03-02T00:00:00.000Z', to: '2025-03-03T00:00:00.000Z' })).total).toBe(1);
+    expect((await context.repository.findAll({ provider: 'gemini' })).total).toBe(1);
+    expect((await context.repository.findAll({ userId: 'user-1' })).requests[0].request_type).toBe('swarm');
+    expect((await context.repository.findAll({ requestType: 'chat' })).total).toBe(2);
+  });
+
+  it('should paginate entries', async () => {
+    for (let i = 0; i < 5; i++) {
+      await context.repository.create(sampleRequest({ created_at: `2025-03-0${i + 1}T08:00:00.000Z` }));
+    }
+
+    const { requests, total } = await context.repository.findAll({ limit: 2, offset: 1 });
+
+    expect(total).toBe(5);
+    expect(requests.map(request => request.created_at)).toEqual(['2025-03-04T08:00:00.000Z', '2025-03-03T08:00:00.000Z']);
+  });
+
+  it('should summarize tokens, cost and latency per group', async () => {
+    await context.repository.create(sampleRequest({ created_at: '2025-03-01T08:00:00.000Z', user_id: 'user-1', response_time_ms: 1000 }));
+    await context.repository.create(sampleRequest({ created_at: '2025-03-01T09:00:00.000Z', user_id: 'user-1', response_time_ms: 3000, success: false }));
+    await context.repository.create(sampleRequest({ created_at: '2025-03-01T10:00:00.000Z', provider: 'gemini' }));
+
+    const rows = await context.repository.summarize({ groupBy: ['day', 'provider', 'user'] });
+
+    expect(rows).toEqual([
+      expect.objectContaining({ day: '2025-03-01', provider: 'gemini', userId: null, requests: 1 }),
+      {
+        day: '2025-03-01',
+        provider: 'openai',
+        userId: 'user-1',
+        requests: 2,
+        successes: 1,
+        failures: 1,
+        promptTokens: 20,
+        completionTokens: 60,
+        totalTokens: 80,
+        estimatedCost: 0.00004,
+        avgLatencyMs: 2000
+      }
+    ]);
+  });
+});
+
+describe('FileAIRequestRepository retention', () => {
+  it('should keep only the newest entries', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rbck-ai-requests-'));
+    const repository = new FileAIRequestRepository({ aiRequestsPath: path.join(tmpDir, 'ai-requests.json'), aiRequestsMaxEntries: 2 });
+    await repository.initialize();
+
+    await repository.create(sampleRequest({ prompt: 'first' }));
+    await repository.create(sampleRequest({ prompt: 'second' }));
+    await repository.create(sampleRequest({ prompt: 'third' }));
+
+    const reloaded = new FileAIRequestRepository({ aiRequestsPath: path.join(tmpDir, 'ai-requests.json') });
+    await reloaded.initialize();
+
+    expect(reloaded.requests.map(request => request.prompt)).toEqual(['second', 'third']);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+});
+
+describeFactory(createAIRequestRepository, { file: FileAIRequestRepository, sqlite: SqliteAIRequestRepository }, 'AI request');
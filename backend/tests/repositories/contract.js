@@ -0,0 +1,86 @@
+/**
+ * Repository contract test helpers
+ * Run one set of tests against every local storage adapter of a repository,
+ * each test on a fresh adapter in its own temporary directory
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Module for jest.mock('../../middleware/errorHandler', ...) so adapters log nothing
+ */
+const silentErrorHandler = () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn()
+  }
+});
+
+/**
+ * Numbered sample records: next() returns a new UUID, count the number used so far
+ */
+const createSequence = () => {
+  const sequence = {
+    count: 0,
+    next: () => `00000000-0000-4000-8000-${String(++sequence.count).padStart(12, '0')}`
+  };
+  return sequence;
+};
+
+/**
+ * describe.each over the adapters
+ * @param {Array<[string, Function]>} adapters - [name, (dir) => repository]
+ * @param {string} tmpPrefix - Temporary directory prefix, e.g. 'rbck-jobs-'
+ * @param {Function} defineTests - (context) => void; context.repository and
+ *   context.tmpDir are set before each test, context.createRepository(dir)
+ *   opens another adapter of the same kind
+ */
+const describeAdapters = (adapters, tmpPrefix, defineTests) => {
+  describe.each(adapters)('%s', (name, createRepository) => {
+    const context = { name, createRepository, repository: null, tmpDir: null };
+
+    beforeEach(async () => {
+      context.tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), tmpPrefix));
+      context.repository = createRepository(context.tmpDir);
+      await context.repository.initialize();
+    });
+
+    afterEach(() => {
+      if (context.repository.close) context.repository.close();
+      fs.rmSync(context.tmpDir, { recursive: true, force: true });
+    });
+
+    defineTests(context);
+  });
+};
+
+/**
+ * Tests of a createXRepository factory
+ * @param {Function} createRepository - The factory
+ * @param {Object} expected - Driver name -> adapter class it should create
+ * @param {string} label - Storage named in the unknown-driver error
+ */
+const describeFactory = (createRepository, expected, label) => {
+  describe(createRepository.name, () => {
+    it('should create the adapter for the configured driver', () => {
+      for (const [driver, Repository] of Object.entries(expected)) {
+        expect(createRepository({ driver, [driver]: {} })).toBeInstanceOf(Repository);
+      }
+    });
+
+    it('should reject unknown drivers', () => {
+      expect(() => createRepository({ driver: 'mongo' })).toThrow(`Unknown ${label} storage driver`);
+    });
+  });
+};
+
+module.exports = {
+  silentErrorHandler,
+  createSequence,
+  describeAdapters,
+  describeFactory
+};
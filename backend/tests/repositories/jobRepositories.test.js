@@ -0,0 +1,100 @@
+/**
+ * Job Repository Tests
+ * Shared contract tests run against every local storage adapter
+ */
+
+const path = require('path');
+const FileJobRepository = require('../../repositories/FileJobRepository');
+const SqliteJobRepository = require('../../repositories/SqliteJobRepository');
+const { createJobRepository } = require('../../repositories');
+const { createSequence, describeAdapters, describeFactory } = require('./contract');
+
+jest.mock('../../middleware/errorHandler', () => require('./contract').silentErrorHandler());
+
+const ids = createSequence();
+
+const sampleJob = (overrides = {}) => ({
+  id: ids.next(),
+  type: 'swarm',
+  status: 'queued',
+  input: { prompt: 'วิธีดูแลรถเกี่ยวข้าว', workflow: 'full' },
+  progress: { stage: null, completed: 0, total: null, message: null },
+  stages: [],
+  result: null,
+  error: null,
+  attempts: 0,
+  max_attempts: 2,
+  cancel_requested: false,
+  created_by: null,
+  created_by_name: null,
+  created_at: `2024-01-01T00:00:${String(ids.count).padStart(2, '0')}.000Z`,
+  started_at: null,
+  finished_at: null,
+  updated_at: '2024-01-01T00:00:00.000Z',
+  ...overrides
+});
+
+const adapters = [
+  ['FileJobRepository', (dir) => new FileJobRepository({ jobsPath: path.join(dir, 'jobs.json') })],
+  ['SqliteJobRepository', (dir) => new SqliteJobRepository({ path: path.join(dir, 'posts.sqlite') })]
+];
+
+describeAdapters(adapters, 'rbck-jobs-', (context) => {
+  it('should store jobs with their structured fields', async () => {
+    const job = await context.repository.create(sampleJob());
+
+    expect(await context.repository.findById(job.id)).toMatchObject({
+      input: { prompt: 'วิธีดูแลรถเกี่ยวข้าว', workflow: 'full' },
+      progress: { completed: 0 },
+      stages: [],
+      result: null,
+      cancel_requested: false
+    });
+    expect(await context.repository.findById('missing')).toBeNull();
+  });
+
+  it('should filter jobs and order them by creation time', async () => {
+    const first = await context.repository.create(sampleJob());
+    const second = await context.repository.create(sampleJob({ type: 'eat', created_by: ids.next() }));
+    const third = await context.repository.create(sampleJob({ status: 'completed' }));
+
+    const newest = await context.repository.findAll();
+    expect(newest.jobs.map(job => job.id)).toEqual([third.id, second.id, first.id]);
+    expect(newest.total).toBe(3);
+
+    const queued = await context.repository.findAll({ status: 'queued', order: 'asc' });
+    expect(queued.jobs.map(job => job.id)).toEqual([first.id, second.id]);
+
+    expect((await context.repository.findAll({ type: 'eat' })).jobs.map(job => job.id)).toEqual([second.id]);
+    expect((await context.repository.findAll({ createdBy: second.created_by })).jobs.map(job => job.id)).toEqual([second.id]);
+
+    const page = await context.repository.findAll({ limit: 1, offset: 1 });
+    expect(page.jobs.map(job => job.id)).toEqual([second.id]);
+    expect(page.total).toBe(3);
+  });
+
+  it('should update progress, result and flags', async () => {
+    const job = await context.repository.create(sampleJob());
+
+    const updated = await context.repository.update(job.id, {
+      status: 'completed',
+      progress: { stage: 'review', completed: 2, total: 2, message: null },
+      stages: [{ name: 'review', at: '2024-01-01T00:01:00.000Z' }],
+      result: { finalContent: 'เนื้อหา', steps: [] },
+      cancel_requested: true,
+      id: 'other'
+    });
+
+    expect(updated).toMatchObject({
+      id: job.id,
+      status: 'completed',
+      progress: { stage: 'review', completed: 2 },
+      result: { finalContent: 'เนื้อหา' },
+      cancel_requested: true,
+      input: { workflow: 'full' }
+    });
+    expect(await context.repository.update('missing', { status: 'failed' })).toBeNull();
+  });
+});
+
+describeFactory(createJobRepository, { file: FileJobRepository, sqlite: SqliteJobRepository }, 'job');
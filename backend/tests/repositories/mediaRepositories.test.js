@@ -0,0 +1,117 @@
+/**
+ * Media Repository Tests
+ * Shared contract tests run against every local storage adapter
+ */
+
+const path = require('path');
+const FileMediaRepository = require('../../repositories/FileMediaRepository');
+const SqliteMediaRepository = require('../../repositories/SqliteMediaRepository');
+const { createMediaRepository } = require('../../repositories');
+const { createSequence, describeAdapters, describeFactory } = require('./contract');
+
+jest.mock('../../middleware/errorHandler', () => require('./contract').silentErrorHandler());
+
+const ids = createSequence();
+
+const sampleMedia = (overrides = {}) => {
+  const id = ids.next();
+  const variant = (suffix, mimeType) => ({
+    key: `2024/05/${id}${suffix}`,
+    url: `http://localhost/uploads/2024/05/${id}${suffix}`,
+    mime_type: mimeType,
+    width: 100,
+    height: 80,
+    size: 1234
+  });
+
+  return {
+    id,
+    filename: `photo-${ids.count}.jpg`,
+    mime_type: 'image/jpeg',
+    size: 1234,
+    width: 100,
+    height: 80,
+    storage_driver: 'local',
+    variants: {
+      original: variant('.jpg', 'image/jpeg'),
+      thumbnail: variant('-thumb.webp', 'image/webp'),
+      webp: variant('.webp', 'image/webp')
+    },
+    alt_text_th: '',
+    alt_text_en: '',
+    caption: '',
+    uploaded_by: null,
+    created_at: new Date(Date.UTC(2024, 0, ids.count)).toISOString(),
+    updated_at: new Date(Date.UTC(2024, 0, ids.count)).toISOString(),
+    ...overrides
+  };
+};
+
+const adapters = [
+  ['FileMediaRepository', (dir) => new FileMediaRepository({ mediaPath: path.join(dir, 'media.json') })],
+  ['SqliteMediaRepository', (dir) => new SqliteMediaRepository({ path: path.join(dir, 'posts.sqlite') })]
+];
+
+describeAdapters(adapters, 'rbck-media-', (context) => {
+  it('should create and find media with its variants', async () => {
+    const created = await context.repository.create(sampleMedia({ alt_text_th: 'รถเกี่ยวข้าว' }));
+    const found = await context.repository.findById(created.id);
+
+    expect(found.alt_text_th).toBe('รถเกี่ยวข้าว');
+    expect(found.variants.thumbnail.key).toBe(`2024/05/${created.id}-thumb.webp`);
+    expect(await context.repository.findById('missing')).toBeNull();
+  });
+
+  it('should list newest first with pagination', async () => {
+    const first = await context.repository.create(sampleMedia());
+    const second = await context.repository.create(sampleMedia());
+    const third = await context.repository.create(sampleMedia());
+
+    const { media, total } = await context.repository.findAll({ limit: 2 });
+    expect(total).toBe(3);
+    expect(media.map(item => item.id)).toEqual([third.id, second.id]);
+
+    const page = await context.repository.findAll({ limit: 2, offset: 2 });
+    expect(page.media.map(item => item.id)).toEqual([first.id]);
+  });
+
+  it('should search file name, alt text and caption case-insensitively', async () => {
+    await context.repository.create(sampleMedia({ filename: 'Engine-Belt.JPG' }));
+    await context.repository.create(sampleMedia({ alt_text_th: 'ใบมีดตัดข้าว' }));
+    await context.repository.create(sampleMedia({ caption: 'Gearbox oil check' }));
+
+    expect((await context.repository.findAll({ search: 'engine' })).total).toBe(1);
+    expect((await context.repository.findAll({ search: 'ใบมีด' })).total).toBe(1);
+    expect((await context.repository.findAll({ search: 'GEARBOX' })).total).toBe(1);
+    expect((await context.repository.findAll({ search: 'tractor' })).total).toBe(0);
+  });
+
+  it('should filter by MIME type and uploader', async () => {
+    await context.repository.create(sampleMedia({ uploaded_by: 'user-1' }));
+    await context.repository.create(sampleMedia({ mime_type: 'image/png', uploaded_by: 'user-2' }));
+
+    expect((await context.repository.findAll({ mimeType: 'image/png' })).total).toBe(1);
+    expect((await context.repository.findAll({ uploadedBy: 'user-1' })).media[0].mime_type).toBe('image/jpeg');
+  });
+
+  it('should merge updates without changing the ID', async () => {
+    const created = await context.repository.create(sampleMedia());
+
+    const updated = await context.repository.update(created.id, { alt_text_en: 'Combine harvester', id: 'other' });
+
+    expect(updated.id).toBe(created.id);
+    expect(updated.alt_text_en).toBe('Combine harvester');
+    expect(updated.variants.original.url).toBe(created.variants.original.url);
+    expect(await context.repository.update('missing', { caption: 'x' })).toBeNull();
+  });
+
+  it('should delete media', async () => {
+    const created = await context.repository.create(sampleMedia());
+
+    expect((await context.repository.delete(created.id)).id).toBe(created.id);
+    expect(await context.repository.findById(created.id)).toBeNull();
+    expect(await context.repository.delete(created.id)).toBeNull();
+  });
+});
+
+describeFactory(createMediaRepository, { file: FileMediaRepository, sqlite: SqliteMediaRepository }, 'media');
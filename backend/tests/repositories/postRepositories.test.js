@@ -0,0 +1,176 @@
+/**
+ * Post Repository Tests
+ * Shared contract tests run against every local storage adapter
+ */
+
+const path = require('path');
+const FilePostRepository = require('../../repositories/FilePostRepository');
+const SqlitePostRepository = require('../../repositories/SqlitePostRepository');
+const SupabasePostRepository = require('../../repositories/SupabasePostRepository');
+const { createPostRepository } = require('../../repositories');
+const { describeAdapters, describeFactory } = require('./contract');
+
+jest.mock('../../middleware/errorHandler', () => require('./contract').silentErrorHandler());
+
+const samplePost = (overrides = {}) => ({
+  titleTH: 'การดูแลรถเกี่ยวข้าว',
+  titleEN: 'Harvester Care',
+  slug: `post-${Math.random().toString(36).slice(2, 8)}`,
+  content: '<p>ตรวจเช็คน้ำมันเครื่องทุกวัน</p>',
+  excerpt: 'สรุปการดูแลรถเกี่ยวข้าว',
+  status: 'published',
+  category: 'maintenance',
+  tags: ['รถเกี่ยวข้าว'],
+  views: 0,
+  createdAt: '2024-01-01T00:00:00.000Z',
+  updatedAt: '2024-01-01T00:00:00.000Z',
+  ...overrides
+});
+
+const adapters = [
+  ['FilePostRepository', (dir) => new FilePostRepository({ path: path.join(dir, 'data.json') })],
+  ['SqlitePostRepository', (dir) => new SqlitePostRepository({ path: path.join(dir, 'posts.sqlite') })]
+];
+
+describeAdapters(adapters, 'rbck-posts-', (context) => {
+  beforeEach(async () => {
+    // Start every test from an empty store
+    const { posts } = await context.repository.findAll();
+    for (const post of posts) {
+      await context.repository.delete(post.id);
+    }
+  });
+
+  it('should create posts with generated IDs', async () => {
+    const first = await context.repository.create(samplePost());
+    const second = await context.repository.create(samplePost());
+
+    expect(first.id).toEqual(expect.any(Number));
+    expect(second.id).toBeGreaterThan(first.id);
+    expect(first.tags).toEqual(['รถเกี่ยวข้าว']);
+  });
+
+  it('should find posts by ID and slug', async () => {
+    const created = await context.repository.create(samplePost({ slug: 'find-me' }));
+
+    expect((await context.repository.findById(created.id)).slug).toBe('find-me');
+    expect((await context.repository.findBySlug('find-me')).id).toBe(created.id);
+    expect(await context.repository.findById(9999)).toBeNull();
+    expect(await context.repository.findBySlug('missing')).toBeNull();
+  });
+
+  it('should find posts by their English slug', async () => {
+    const created = await context.repository.create(samplePost({ slug: 'ดูแลรถ', slugEN: 'harvester-care' }));
+
+    expect((await context.repository.findBySlug('harvester-care', 'en')).id).toBe(created.id);
+    expect(await context.repository.findBySlug('harvester-care')).toBeNull();
+    expect(await context.repository.findBySlug('ดูแลรถ', 'en')).toBeNull();
+  });
+
+  it('should filter, search, sort and paginate', async () => {
+    await context.repository.create(samplePost({ titleEN: 'Engine oil', views: 10 }));
+    await context.repository.create(samplePost({ status: 'draft', views: 30 }));
+    await context.repository.create(samplePost({ category: 'repair', titleEN: 'Belt repair', views: 20 }));
+
+    const published = await context.repository.findAll({ status: 'published' });
+    expect(published.total).toBe(2);
+
+    const repair = await context.repository.findAll({ category: 'repair' });
+    expect(repair.posts[0].titleEN).toBe('Belt repair');
+
+    const search = await context.repository.findAll({ search: 'engine' });
+    expect(search.total).toBe(1);
+
+    const sorted = await context.repository.findAll({ sortBy: 'views', sortOrder: 'desc', limit: 2, offset: 1 });
+    expect(sorted.total).toBe(3);
+    expect(sorted.posts.map(p => p.views)).toEqual([20, 10]);
+  });
+
+  it('should merge updates without changing the ID', async () => {
+    const created = await context.repository.create(samplePost());
+
+    const updated = await context.repository.update(created.id, { titleTH: 'หัวข้อใหม่', id: 999 });
+
+    expect(updated.id).toBe(created.id);
+    expect(updated.titleTH).toBe('หัวข้อใหม่');
+    expect(updated.excerpt).toBe(created.excerpt);
+    expect(await context.repository.update(9999, { titleTH: 'x' })).toBeNull();
+  });
+
+  it('should delete posts', async () => {
+    const created = await context.repository.create(samplePost());
+
+    const deleted = await context.repository.delete(created.id);
+
+    expect(deleted.id).toBe(created.id);
+    expect(await context.repository.findById(created.id)).toBeNull();
+    expect(await context.repository.delete(created.id)).toBeNull();
+  });
+
+  it('should increment view counts', async () => {
+    const created = await context.repository.create(samplePost({ views: 4 }));
+
+    expect(await context.repository.incrementViews(created.id)).toBe(5);
+    expect((await context.repository.findById(created.id)).views).toBe(5);
+    expect(await context.repository.incrementViews(9999)).toBe(0);
+  });
+
+  it('should store revisions with per-post versions', async () => {
+    const post = await context.repository.create(samplePost());
+    const revision = (overrides) => ({
+      postId: post.id,
+      action: 'update',
+      author: 'admin',
+      changedFields: ['titleTH'],
+      restoredFrom: null,
+      snapshot: { titleTH: 'v' },
+      createdAt: '2024-01-02T00:00:00.000Z',
+      ...overrides
+    });
+
+    const first = await context.repository.createRevision(revision({ action: 'create', changedFields: [] }));
+    const second = await context.repository.createRevision(revision({ snapshot: { titleTH: 'v2' } }));
+    await context.repository.createRevision(revision({ postId: post.id + 1 }));
+
+    expect(first.version).toBe(1);
+    expect(second.version).toBe(2);
+
+    const revisions = await context.repository.findRevisions(post.id);
+    expect(revisions.map(r => r.version)).toEqual([1, 2]);
+    expect(revisions[1]).toMatchObject({ action: 'update', author: 'admin', changedFields: ['titleTH'] });
+
+    const found = await context.repository.findRevision(post.id, second.id);
+    expect(found.snapshot).toEqual({ titleTH: 'v2' });
+    expect(await context.repository.findRevision(post.id + 1, second.id)).toBeNull();
+  });
+
+  it('should persist posts across instances', async () => {
+    const created = await context.repository.create(samplePost({ slug: 'persisted' }));
+    if (context.repository.close) context.repository.close();
+
+    context.repository = context.createRepository(context.tmpDir);
+    await context.repository.initialize();
+
+    expect((await context.repository.findBySlug('persisted')).id).toBe(created.id);
+  });
+});
+
+describe('SupabasePostRepository', () => {
+  const repository = new SupabasePostRepository({ client: {} });
+
+  it('should map post fields to lowercase columns', () => {
+    const row = repository.toRow({ id: 1, titleTH: 'ทดสอบ', metaDescription: 'desc', createdAt: '2024-01-01' });
+
+    expect(row).toEqual({ titleth: 'ทดสอบ', metadescription: 'desc', created_at: '2024-01-01' });
+    expect(repository.fromRow({ id: 2, slugen: 'test', excerpten: 'English excerpt' }))
+      .toEqual({ id: 2, slugEN: 'test', excerptEN: 'English excerpt' });
+  });
+
+  it('should map rows back to post fields', () => {
+    const post = repository.fromRow({ id: 1, titleth: 'ทดสอบ', focuskeyword: 'kw', updated_at: '2024-01-02' });
+
+    expect(post).toEqual({ id: 1, titleTH: 'ทดสอบ', focusKeyword: 'kw', updatedAt: '2024-01-02' });
+  });
+});
+
+describeFactory(createPostRepository, { file: FilePostRepository, sqlite: SqlitePostRepository }, 'posts');
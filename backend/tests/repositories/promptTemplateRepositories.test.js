@@ -0,0 +1,80 @@
+/**
+ * Prompt Template Repository Tests
+ * Shared contract tests run against every local storage adapter
+ */
+
+const path = require('path');
+const FilePromptTemplateRepository = require('../../repositories/FilePromptTemplateRepository');
+const SqlitePromptTemplateRepository = require('../../repositories/SqlitePromptTemplateRepository');
+const { createPromptTemplateRepository } = require('../../repositories');
+const { createSequence, describeAdapters, describeFactory } = require('./contract');
+
+jest.mock('../../middleware/errorHandler', () => require('./contract').silentErrorHandler());
+
+const ids = createSequence();
+
+const sampleVersion = (overrides = {}) => ({
+  id: ids.next(),
+  name: 'eat.faq',
+  version: 1,
+  description: 'FAQ section',
+  body: 'FAQ about {{topic}}',
+  variables: [{ name: 'topic', description: '', required: true }],
+  is_active: true,
+  change_note: '',
+  created_by: null,
+  created_by_name: null,
+  created_at: '2024-01-01T00:00:00.000Z',
+  ...overrides
+});
+
+const adapters = [
+  ['FilePromptTemplateRepository', (dir) => new FilePromptTemplateRepository({ promptTemplatesPath: path.join(dir, 'prompt-templates.json') })],
+  ['SqlitePromptTemplateRepository', (dir) => new SqlitePromptTemplateRepository({ path: path.join(dir, 'posts.sqlite') })]
+];
+
+describeAdapters(adapters, 'rbck-prompt-templates-', (context) => {
+  it('should store versions with their variables, newest first', async () => {
+    await context.repository.createVersion(sampleVersion());
+    await context.repository.createVersion(sampleVersion({ version: 2, body: 'Questions about {{topic}}', is_active: false }));
+
+    expect((await context.repository.findVersions('eat.faq')).map(version => version.version)).toEqual([2, 1]);
+    expect(await context.repository.findVersion('eat.faq', 2)).toMatchObject({
+      body: 'Questions about {{topic}}',
+      is_active: false,
+      variables: [{ name: 'topic', required: true }]
+    });
+    expect(await context.repository.findVersion('eat.faq', 3)).toBeNull();
+  });
+
+  it('should list the active version of each template by name', async () => {
+    await context.repository.createVersion(sampleVersion({ name: 'swarm.review' }));
+    await context.repository.createVersion(sampleVersion());
+    await context.repository.createVersion(sampleVersion({ version: 2, is_active: false }));
+
+    const active = await context.repository.findActive();
+    expect(active.map(template => [template.name, template.version])).toEqual([['eat.faq', 1], ['swarm.review', 1]]);
+  });
+
+  it('should activate one version and deactivate the others', async () => {
+    await context.repository.createVersion(sampleVersion());
+    await context.repository.createVersion(sampleVersion({ version: 2, is_active: false }));
+
+    expect(await context.repository.activateVersion('eat.faq', 2)).toMatchObject({ version: 2, is_active: true });
+    expect((await context.repository.findVersion('eat.faq', 1)).is_active).toBe(false);
+    expect(await context.repository.activateVersion('eat.faq', 9)).toBeNull();
+  });
+
+  it('should delete every version of a template', async () => {
+    await context.repository.createVersion(sampleVersion());
+    await context.repository.createVersion(sampleVersion({ version: 2, is_active: false }));
+    await context.repository.createVersion(sampleVersion({ name: 'swarm.review' }));
+
+    expect(await context.repository.deleteTemplate('eat.faq')).toBe(2);
+    expect(await context.repository.findVersions('eat.faq')).toEqual([]);
+    expect(await context.repository.deleteTemplate('eat.faq')).toBe(0);
+    expect(await context.repository.findActive()).toHaveLength(1);
+  });
+});
+
+describeFactory(createPromptTemplateRepository, { file: FilePromptTemplateRepository, sqlite: SqlitePromptTemplateRepository }, 'prompt template');
@@ -0,0 +1,126 @@
+/**
+ * Taxonomy Repository Tests
+ * Shared contract tests run against every local storage adapter
+ */
+
+const path = require('path');
+const FileTaxonomyRepository = require('../../repositories/FileTaxonomyRepository');
+const SqliteTaxonomyRepository = require('../../repositories/SqliteTaxonomyRepository');
+const { createTaxonomyRepository } = require('../../repositories');
+const { createSequence, describeAdapters, describeFactory } = require('./contract');
+
+jest.mock('../../middleware/errorHandler', () => require('./contract').silentErrorHandler());
+
+const ids = createSequence();
+
+const sampleCategory = (overrides = {}) => ({
+  id: ids.next(),
+  name: 'การบำรุงรักษา',
+  name_en: 'Maintenance',
+  slug: `maintenance-${ids.count}`,
+  description: '',
+  parent_id: null,
+  sort_order: 0,
+  is_active: true,
+  created_at: '2024-01-01T00:00:00.000Z',
+  updated_at: '2024-01-01T00:00:00.000Z',
+  ...overrides
+});
+
+const sampleTag = (overrides = {}) => ({
+  id: ids.next(),
+  name: `แท็ก ${ids.count}`,
+  slug: `tag-${ids.count}`,
+  created_at: '2024-01-01T00:00:00.000Z',
+  ...overrides
+});
+
+const adapters = [
+  ['FileTaxonomyRepository', (dir) => new FileTaxonomyRepository({ taxonomyPath: path.join(dir, 'taxonomy.json') })],
+  ['SqliteTaxonomyRepository', (dir) => new SqliteTaxonomyRepository({ path: path.join(dir, 'posts.sqlite') })]
+];
+
+describeAdapters(adapters, 'rbck-taxonomy-', (context) => {
+  it('should create, find, update and delete categories', async () => {
+    const parent = await context.repository.createCategory(sampleCategory({ slug: 'engine' }));
+    const child = await context.repository.createCategory(sampleCategory({ slug: 'engine-oil', parent_id: parent.id, is_active: false }));
+
+    expect(await context.repository.findCategoryBySlug('engine-oil')).toMatchObject({ id: child.id, parent_id: parent.id, is_active: false });
+    expect(await context.repository.findCategories()).toHaveLength(2);
+
+    const updated = await context.repository.updateCategory(child.id, { name_en: 'Engine oil', is_active: true, id: 'other' });
+    expect(updated).toMatchObject({ id: child.id, name_en: 'Engine oil', is_active: true, slug: 'engine-oil' });
+    expect(await context.repository.updateCategory('missing', { name: 'x' })).toBeNull();
+
+    expect((await context.repository.deleteCategory(child.id)).id).toBe(child.id);
+    expect(await context.repository.findCategoryById(child.id)).toBeNull();
+    expect(await context.repository.deleteCategory(child.id)).toBeNull();
+  });
+
+  it('should search tags by Thai name and slug, in Thai dictionary order', async () => {
+    await context.repository.createTag(sampleTag({ name: 'สายพาน', slug: 'belt' }));
+    await context.repository.createTag(sampleTag({ name: 'ใบมีด', slug: 'blade' }));
+    await context.repository.createTag(sampleTag({ name: 'Gearbox', slug: 'gearbox' }));
+
+    // Leading vowels are skipped when sorting, so ใบมีด sorts under บ, before ส
+    const thai = (await context.repository.findTags()).filter(tag => tag.slug !== 'gearbox');
+    expect(thai.map(tag => tag.slug)).toEqual(['blade', 'belt']);
+
+    expect((await context.repository.findTags({ search: 'สาย' })).map(tag => tag.slug)).toEqual(['belt']);
+    expect((await context.repository.findTags({ search: 'GEAR' })).map(tag => tag.slug)).toEqual(['gearbox']);
+    expect(await context.repository.findTags({ search: 'blade' })).toHaveLength(1);
+  });
+
+  it('should replace the tags of a post', async () => {
+    const belt = await context.repository.createTag(sampleTag());
+    const blade = await context.repository.createTag(sampleTag());
+
+    await context.repository.setPostTags(1, [belt.id, blade.id, belt.id]);
+    await context.repository.setPostTags(2, [belt.id]);
+    expect(await context.repository.findPostTags({ postId: 1 })).toHaveLength(2);
+    expect(await context.repository.findPostTags({ tagId: belt.id })).toHaveLength(2);
+
+    await context.repository.setPostTags(1, [blade.id]);
+    expect(await context.repository.findPostTags({ postId: 1 })).toEqual([{ post_id: 1, tag_id: blade.id }]);
+
+    await context.repository.setPostTags(1, []);
+    expect(await context.repository.findPostTags({ postId: 1 })).toEqual([]);
+  });
+
+  it('should move assignments between tags without duplicates', async () => {
+    const from = await context.repository.createTag(sampleTag());
+    const to = await context.repository.createTag(sampleTag());
+    await context.repository.setPostTags(1, [from.id, to.id]);
+    await context.repository.setPostTags(2, [from.id]);
+
+    await context.repository.moveTagPosts(from.id, to.id);
+
+    expect(await context.repository.findPostTags({ tagId: from.id })).toEqual([]);
+    expect((await context.repository.findPostTags({ tagId: to.id })).map(row => row.post_id).sort()).toEqual([1, 2]);
+  });
+
+  it('should rename tags and drop their assignments on delete', async () => {
+    const tag = await context.repository.createTag(sampleTag());
+    await context.repository.setPostTags(1, [tag.id]);
+
+    expect(await context.repository.updateTag(tag.id, { name: 'สายพานใหม่', slug: 'new-belt' }))
+      .toMatchObject({ id: tag.id, name: 'สายพานใหม่', slug: 'new-belt' });
+    expect(await context.repository.updateTag('missing', { name: 'x' })).toBeNull();
+
+    expect((await context.repository.deleteTag(tag.id)).id).toBe(tag.id);
+    expect(await context.repository.findTagById(tag.id)).toBeNull();
+    expect(await context.repository.findPostTags()).toEqual([]);
+  });
+});
+
+describe('SqliteTaxonomyRepository', () => {
+  it('should refuse lookups on columns other than id and slug', async () => {
+    const repository = new SqliteTaxonomyRepository({ path: ':memory:' });
+    await repository.initialize();
+
+    await expect(repository.findCategoryBy('name; DROP TABLE tags', 'x')).rejects.toThrow('Cannot look up categories');
+    repository.close();
+  });
+});
+
+describeFactory(createTaxonomyRepository, { file: FileTaxonomyRepository, sqlite: SqliteTaxonomyRepository }, 'taxonomy');
@@ -0,0 +1,100 @@
+/**
+ * Translation Repository Tests
+ * Shared contract tests run against every local storage adapter
+ */
+
+const path = require('path');
+const FileTranslationRepository = require('../../repositories/FileTranslationRepository');
+const SqliteTranslationRepository = require('../../repositories/SqliteTranslationRepository');
+const { createTranslationRepository } = require('../../repositories');
+const { createSequence, describeAdapters, describeFactory } = require('./contract');
+
+jest.mock('../../middleware/errorHandler', () => require('./contract').silentErrorHandler());
+
+const ids = createSequence();
+
+const sampleTerm = (overrides = {}) => ({
+  id: ids.next(),
+  term_th: 'สายพาน',
+  term_en: 'belt',
+  note: '',
+  created_by: null,
+  created_at: '2024-01-01T00:00:00.000Z',
+  updated_at: '2024-01-01T00:00:00.000Z',
+  ...overrides
+});
+
+const sampleDraft = (overrides = {}) => ({
+  id: ids.next(),
+  post_id: 1,
+  source_locale: 'th',
+  target_locale: 'en',
+  status: 'pending_review',
+  fields: { title: 'Replacing a Belt' },
+  source: { title: 'การเปลี่ยนสายพาน' },
+  provider: 'gemini',
+  model: 'gemini-2.5-flash',
+  warnings: [],
+  glossary: [],
+  created_by: null,
+  reviewed_by: null,
+  reviewed_at: null,
+  created_at: `2024-01-01T00:00:${String(ids.count).padStart(2, '0')}.000Z`,
+  updated_at: '2024-01-01T00:00:00.000Z',
+  ...overrides
+});
+
+const adapters = [
+  ['FileTranslationRepository', (dir) => new FileTranslationRepository({ translationsPath: path.join(dir, 'translations.json') })],
+  ['SqliteTranslationRepository', (dir) => new SqliteTranslationRepository({ path: path.join(dir, 'posts.sqlite') })]
+];
+
+describeAdapters(adapters, 'rbck-translations-', (context) => {
+  it('should create, list, update and delete glossary terms in Thai order', async () => {
+    const belt = await context.repository.createTerm(sampleTerm());
+    await context.repository.createTerm(sampleTerm({ term_th: 'ใบมีดตัด', term_en: 'cutter bar blade' }));
+
+    // Leading vowels are skipped when sorting, so ใบมีดตัด sorts under บ, before ส
+    expect((await context.repository.findTerms()).map(term => term.term_en)).toEqual(['cutter bar blade', 'belt']);
+
+    expect(await context.repository.updateTerm(belt.id, { term_en: 'drive belt', id: 'other' }))
+      .toMatchObject({ id: belt.id, term_th: 'สายพาน', term_en: 'drive belt' });
+    expect(await context.repository.updateTerm('missing', { term_en: 'x' })).toBeNull();
+
+    expect((await context.repository.deleteTerm(belt.id)).id).toBe(belt.id);
+    expect(await context.repository.findTermById(belt.id)).toBeNull();
+    expect(await context.repository.deleteTerm(belt.id)).toBeNull();
+  });
+
+  it('should store drafts with their structured fields, newest first', async () => {
+    const older = await context.repository.createDraft(sampleDraft({
+      warnings: [{ field: 'content', type: 'html_structure', message: 'changed' }],
+      glossary: [ids.next()]
+    }));
+    const newer = await context.repository.createDraft(sampleDraft({ post_id: 2 }));
+
+    expect(await context.repository.findDraftById(older.id)).toMatchObject({
+      fields: { title: 'Replacing a Belt' },
+      source: { title: 'การเปลี่ยนสายพาน' },
+      warnings: [{ field: 'content', type: 'html_structure', message: 'changed' }]
+    });
+    expect((await context.repository.findDrafts()).map(draft => draft.id)).toEqual([newer.id, older.id]);
+    expect((await context.repository.findDrafts({ postId: 1 })).map(draft => draft.id)).toEqual([older.id]);
+  });
+
+  it('should update draft status and filter by it', async () => {
+    const draft = await context.repository.createDraft(sampleDraft());
+
+    const applied = await context.repository.updateDraft(draft.id, {
+      status: 'applied',
+      fields: { title: 'Replacing the Belt' },
+      reviewed_at: '2024-01-02T00:00:00.000Z'
+    });
+    expect(applied).toMatchObject({ id: draft.id, status: 'applied', fields: { title: 'Replacing the Belt' }, provider: 'gemini' });
+    expect(await context.repository.findDrafts({ status: 'pending_review' })).toEqual([]);
+    expect(await context.repository.findDrafts({ status: 'applied' })).toHaveLength(1);
+    expect(await context.repository.updateDraft('missing', { status: 'rejected' })).toBeNull();
+  });
+});
+
+describeFactory(createTranslationRepository, { file: FileTranslationRepository, sqlite: SqliteTranslationRepository }, 'translation');
@@ -0,0 +1,98 @@
+/**
+ * User Repository Tests
+ * Shared contract tests run against every local storage adapter
+ */
+
+const path = require('path');
+const FileUserRepository = require('../../repositories/FileUserRepository');
+const SqliteUserRepository = require('../../repositories/SqliteUserRepository');
+const { createUserRepository } = require('../../repositories');
+const { createSequence, describeAdapters } = require('./contract');
+
+jest.mock('../../middleware/errorHandler', () => require('./contract').silentErrorHandler());
+
+const ids = createSequence();
+
+const sampleUser = (overrides = {}) => {
+  const id = ids.next();
+  return {
+    id,
+    username: `user${ids.count}`,
+    email: `user${ids.count}@example.com`,
+    role: 'author',
+    is_active: true,
+    password_hash: '$2b$04$hash',
+    created_at: new Date(Date.UTC(2024, 0, ids.count)).toISOString(),
+    updated_at: '2024-01-01T00:00:00.000Z',
+    ...overrides
+  };
+};
+
+const adapters = [
+  ['FileUserRepository', (dir) => new FileUserRepository({ usersPath: path.join(dir, 'users.json') })],
+  ['SqliteUserRepository', (dir) => new SqliteUserRepository({ path: path.join(dir, 'posts.sqlite') })]
+];
+
+describeAdapters(adapters, 'rbck-users-', (context) => {
+  it('should create and find users by ID, username and email', async () => {
+    const created = await context.repository.create(sampleUser({ username: 'somchai', email: 'somchai@example.com' }));
+
+    expect((await context.repository.findById(created.id)).username).toBe('somchai');
+    expect((await context.repository.findByUsername('SomChai')).id).toBe(created.id);
+    expect((await context.repository.findByEmail('somchai@example.com')).id).toBe(created.id);
+    expect((await context.repository.findById(created.id)).is_active).toBe(true);
+    expect(await context.repository.findByUsername('missing')).toBeNull();
+  });
+
+  it('should find users by invite token hash', async () => {
+    const created = await context.repository.create(sampleUser({ password_hash: undefined, invite_token_hash: 'abc123' }));
+
+    expect((await context.repository.findByInviteTokenHash('abc123')).id).toBe(created.id);
+    expect(await context.repository.findByInviteTokenHash('other')).toBeNull();
+    expect(await context.repository.findByInviteTokenHash(null)).toBeNull();
+  });
+
+  it('should filter users by role', async () => {
+    await context.repository.create(sampleUser({ role: 'admin' }));
+    await context.repository.create(sampleUser({ role: 'editor' }));
+    await context.repository.create(sampleUser({ role: 'editor' }));
+
+    expect(await context.repository.findAll()).toHaveLength(3);
+    expect(await context.repository.findAll({ role: 'editor' })).toHaveLength(2);
+  });
+
+  it('should merge updates without changing the ID', async () => {
+    const created = await context.repository.create(sampleUser());
+
+    const updated = await context.repository.update(created.id, { role: 'editor', is_active: false, id: 'other' });
+
+    expect(updated.id).toBe(created.id);
+    expect(updated.role).toBe('editor');
+    expect(updated.is_active).toBe(false);
+    expect(updated.password_hash).toBe(created.password_hash);
+    expect(await context.repository.update('missing', { role: 'admin' })).toBeNull();
+  });
+
+  it('should persist users across instances', async () => {
+    const created = await context.repository.create(sampleUser());
+    if (context.repository.close) context.repository.close();
+
+    context.repository = context.createRepository(context.tmpDir);
+    await context.repository.initialize();
+
+    expect((await context.repository.findById(created.id)).email).toBe(created.email);
+  });
+});
+
+describe('createUserRepository', () => {
+  it('should use the posts storage driver', () => {
+    const repository = createUserRepository({ driver: 'file', file: { usersPath: '/tmp/users.json' } });
+
+    expect(repository).toBeInstanceOf(FileUserRepository);
+    expect(repository.dataPath).toBe('/tmp/users.json');
+  });
+
+  it('should reject unknown drivers', () => {
+    expect(() => createUserRepository({ driver: 'mongo' })).toThrow('Unknown users storage driver');
+  });
+});
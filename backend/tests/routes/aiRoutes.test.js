@@ -0,0 +1,44 @@
+/**
+ * AI Routes Tests
+ * Who may call the provider management endpoints
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rbck-ai-routes-'));
+process.env.POSTS_STORAGE_DRIVER = 'sqlite';
+process.env.POSTS_SQLITE_PATH = path.join(tmpDir, 'posts.sqlite');
+process.env.JWT_SECRET = 'routes-test-secret-with-enough-length-0123';
+
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const app = require('../../server');
+
+const tokenFor = (role) => `Bearer ${jwt.sign({ id: `${role}-1`, username: role, role }, process.env.JWT_SECRET)}`;
+
+describe('AI routes', () => {
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('GET /api/ai/providers/:provider/models', () => {
+    it('should not let viewers make providers list their models', async () => {
+      await request(app).get('/api/ai/providers/mock/models').expect(401);
+
+      const response = await request(app).get('/api/ai/providers/mock/models')
+        .set('Authorization', tokenFor('viewer'))
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should let authors list models', async () => {
+      const response = await request(app).get('/api/ai/providers/mock/models')
+        .set('Authorization', tokenFor('author'));
+
+      expect(response.status).not.toBe(403);
+    });
+  });
+});
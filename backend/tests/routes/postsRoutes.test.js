@@ -0,0 +1,89 @@
+/**
+ * Public Post Routes Tests
+ * What anonymous callers get from the post JSON endpoints and /api/blog-html
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rbck-routes-'));
+process.env.POSTS_STORAGE_DRIVER = 'sqlite';
+process.env.POSTS_SQLITE_PATH = path.join(tmpDir, 'posts.sqlite');
+process.env.JWT_SECRET = 'routes-test-secret-with-enough-length-0123';
+process.env.ADMIN_USERNAME = 'editor';
+process.env.ADMIN_PASSWORD = 'editor-password-123';
+process.env.BCRYPT_ROUNDS = '4';
+
+const request = require('supertest');
+const app = require('../../server');
+const postsController = require('../../controllers/postsController');
+const usersController = require('../../controllers/usersController');
+
+const INTERNAL_FIELDS = ['authorId', 'reviewFindings', 'reviewedAt', 'reading_time'];
+
+describe('Public post routes', () => {
+  let post;
+
+  beforeAll(async () => {
+    await postsController.initialize();
+    await usersController.initialize();
+
+    post = await postsController.repository.create({
+      titleTH: 'การดูแลรถเกี่ยวข้าว',
+      slug: 'harvester-care',
+      content: '<p>ตรวจเช็คน้ำมันเครื่องทุกวัน</p>',
+      excerpt: 'สรุปการดูแลรถเกี่ยวข้าว',
+      status: 'published',
+      author: 'ช่างสมชาย',
+      authorId: 'user-7',
+      reading_time: 1,
+      reviewFindings: [{ id: 'eat.no-sources', acknowledgedBy: 'editor', note: 'ส่งตรวจซ้ำ' }],
+      reviewedAt: '2024-05-01T00:00:00.000Z',
+      createdAt: '2024-05-01T00:00:00.000Z',
+      updatedAt: '2024-05-01T00:00:00.000Z'
+    });
+  });
+
+  afterAll(() => {
+    if (postsController.repository.close) postsController.repository.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const expectPublic = (data) => {
+    expect(data).toMatchObject({ id: post.id, titleTH: 'การดูแลรถเกี่ยวข้าว' });
+    INTERNAL_FIELDS.forEach(field => expect(data).not.toHaveProperty(field));
+  };
+
+  it('should leave internal fields out of post listings', async () => {
+    const response = await request(app).get('/api/posts').expect(200);
+
+    expect(response.body.posts).toHaveLength(1);
+    expectPublic(response.body.posts[0]);
+  });
+
+  it('should leave internal fields out of single posts by ID and slug', async () => {
+    expectPublic((await request(app).get(`/api/posts/${post.id}`).expect(200)).body.data);
+    expectPublic((await request(app).get('/api/posts/slug/harvester-care').expect(200)).body.data);
+    expectPublic((await request(app).get('/api/posts/slug/harvester-care?lang=en').expect(200)).body.data);
+  });
+
+  it('should leave internal fields out of /api/blog-html', async () => {
+    const response = await request(app).get('/api/blog-html').expect(200);
+
+    expect(response.body.count).toBe(1);
+    expectPublic(response.body.posts[0]);
+  });
+
+  it('should keep internal fields for signed-in editors', async () => {
+    const login = await request(app).post('/api/auth/login')
+      .send({ username: 'editor', password: 'editor-password-123' })
+      .expect(200);
+
+    const response = await request(app).get(`/api/posts/${post.id}`)
+      .set('Authorization', `Bearer ${login.body.token}`)
+      .expect(200);
+
+    expect(response.body.data).toMatchObject({ authorId: 'user-7', reviewedAt: '2024-05-01T00:00:00.000Z' });
+  });
+});
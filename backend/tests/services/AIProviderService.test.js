@@ -0,0 +1,236 @@
+/**
+ * AI Provider Service Tests
+ * Streaming through the circuit breaker with normalized events, ledger
+ * entries for every provider call, strategy-based provider routing and the
+ * prompt cache
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const aiProviderService = require('../../services/AIProviderService');
+const aiRequestLedger = require('../../services/AIRequestLedger');
+const promptCache = require('../../services/PromptCache');
+const FileAIRequestRepository = require('../../repositories/FileAIRequestRepository');
+const BaseProvider = require('../../ai/providers/base/BaseProvider');
+const CircuitBreaker = require('../../ai/providers/base/CircuitBreaker');
+const { ProviderRouter } = require('../../ai/providers/routing/ProviderRouter');
+
+const sse = (...payloads) => payloads.map(payload => `data: ${JSON.stringify(payload)}\n\n`).join('');
+
+const collect = async (iterable) => {
+  const events = [];
+  for await (const event of iterable) events.push(event);
+  return events;
+};
+
+describe('AIProviderService', () => {
+  let tmpDir;
+  let ledgerRepository;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rbck-ai-service-'));
+    ledgerRepository = new FileAIRequestRepository({ aiRequestsPath: path.join(tmpDir, 'ai-requests.json') });
+    aiRequestLedger.setRepository(ledgerRepository);
+    promptCache.purge();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('selectBestProvider', () => {
+    const providerConfig = (model, overrides = {}) => ({ enabled: true, apiKey: 'key', baseURL: 'https://example.test', model, ...overrides });
+    let originalRouter;
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      originalRouter = aiProviderService.router;
+      aiProviderService.router = new ProviderRouter({
+        order: aiProviderService.fallbackOrder,
+        getConfigs: () => ({
+          openai: providerConfig('gpt-4o'),
+          deepseek: providerConfig('deepseek-chat'),
+          gemini: providerConfig('gemini-2.5-flash', { enabled: false })
+        }),
+        getBreakerStatus: () => null,
+        getPrice: (name, model) => ({ 'gpt-4o': { input: 2.5, output: 10 }, 'deepseek-chat': { input: 0.27, output: 1.1 } })[model]
+      });
+      jest.spyOn(aiProviderService, 'getProviderConfig').mockImplementation(async name => ({ name }));
+    });
+
+    afterEach(() => {
+      aiProviderService.router = originalRouter;
+      jest.restoreAllMocks();
+    });
+
+    it('should let the strategy choose when the provider is auto', async () => {
+      const selection = await aiProviderService.selectBestProvider('auto', { strategy: 'cheapest' });
+
+      expect(selection).toMatchObject({ provider: 'deepseek', config: { name: 'deepseek' }, routing: { strategy: 'cheapest' } });
+      expect(selection.isFallback).toBeUndefined();
+    });
+
+    it('should mark strategy picks for an unavailable provider as fallbacks', async () => {
+      const selection = await aiProviderService.selectBestProvider('gemini');
+
+      expect(selection).toMatchObject({ provider: 'openai', isFallback: true, originalProvider: 'gemini' });
+      expect(selection.routing.reason).toMatch(/^gemini unavailable \(Disabled\)/);
+    });
+
+    it('should preview a decision without sending a request', () => {
+      expect(aiProviderService.previewRouting('anthropic', { strategy: 'highest-quality' }))
+        .toMatchObject({ requested: 'claude', provider: 'openai', strategy: 'highest-quality' });
+    });
+  });
+
+  describe('processMessage', () => {
+    let provider;
+
+    beforeEach(() => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      provider = new BaseProvider({ apiKey: 'test-key', model: 'test-model', name: 'gemini' });
+      jest.spyOn(aiProviderService, 'selectBestProvider').mockResolvedValue({ provider: 'gemini' });
+      jest.spyOn(aiProviderService, 'getProviderInstance').mockResolvedValue(provider);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should record the call with tokens and cost in the ledger', async () => {
+      provider.generateResponse = jest.fn().mockResolvedValue({
+        content: 'คำตอบ',
+        model: 'gemini-2.5-flash',
+        usage: { promptTokenCount: 1000, candidatesTokenCount: 1000, totalTokenCount: 2000 }
+      });
+
+      const result = await aiRequestLedger.runWithContext({ userId: 'user-1', requestType: 'chat' }, () =>
+        aiProviderService.processMessage('gemini', 'คำถาม', { maxTokens: 500 })
+      );
+
+      expect(result.response).toBe('คำตอบ');
+      const { requests } = await ledgerRepository.findAll();
+      expect(requests).toHaveLength(1);
+      expect(requests[0]).toMatchObject({
+        provider: 'gemini',
+        model_used: 'gemini-2.5-flash',
+        user_id: 'user-1',
+        request_type: 'chat',
+        max_tokens: 500,
+        tokens_used: 2000,
+        estimated_cost: 0.0028,
+        success: true
+      });
+    });
+
+    it('should feed the response time into routing latency and return the decision', async () => {
+      const routing = { strategy: 'fastest', provider: 'gemini', reason: 'Lowest average latency' };
+      aiProviderService.selectBestProvider.mockResolvedValue({ provider: 'gemini', routing });
+      provider.generateResponse = jest.fn().mockResolvedValue({ content: 'ok', model: 'gemini-2.5-flash' });
+      const recordLatency = jest.spyOn(aiProviderService.router, 'recordLatency');
+
+      const result = await aiProviderService.processMessage('auto', 'hello', { strategy: 'fastest' });
+
+      expect(aiProviderService.selectBestProvider).toHaveBeenCalledWith('auto', expect.objectContaining({ strategy: 'fastest' }));
+      expect(result.routing).toBe(routing);
+      expect(recordLatency).toHaveBeenCalledWith('gemini', expect.any(Number));
+    });
+
+    it('should answer repeated prompts from the prompt cache without a provider call', async () => {
+      provider.generateResponse = jest.fn().mockResolvedValue({ content: 'เปลี่ยนทุก 250 ชั่วโมง', model: 'gemini-2.5-flash' });
+
+      const first = await aiProviderService.processMessage('gemini', 'เปลี่ยนน้ำมันเครื่องเมื่อไร');
+      const repeat = await aiProviderService.processMessage('gemini', '  เปลี่ยนน้ำมันเครื่องเมื่อไร ');
+      const optedOut = await aiProviderService.processMessage('gemini', 'เปลี่ยนน้ำมันเครื่องเมื่อไร', { cache: false });
+
+      expect(first.cached).toBeUndefined();
+      expect(repeat).toMatchObject({ cached: true, response: 'เปลี่ยนทุก 250 ชั่วโมง', provider: 'gemini' });
+      expect(optedOut.cached).toBeUndefined();
+      expect(provider.generateResponse).toHaveBeenCalledTimes(2);
+      expect((await ledgerRepository.findAll()).total).toBe(2);
+    });
+
+    it('should record failed calls', async () => {
+      provider.generateResponse = jest.fn().mockRejectedValue(new Error('quota exceeded'));
+
+      await expect(aiProviderService.processMessage('gemini', 'hello', { requestType: 'collaborate' }))
+        .rejects.toMatchObject({ success: false, error: 'quota exceeded' });
+
+      const { requests } = await ledgerRepository.findAll();
+      expect(requests[0]).toMatchObject({ request_type: 'collaborate', success: false, error_message: 'quota exceeded' });
+    });
+  });
+
+  describe('streamMessage', () => {
+    let provider;
+    let circuitBreaker;
+
+    beforeEach(() => {
+      jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      provider = new BaseProvider({ apiKey: 'test-key', model: 'test-model', name: 'openai' });
+      circuitBreaker = new CircuitBreaker('openai', { threshold: 2 });
+      provider.circuitBreaker = circuitBreaker;
+
+      jest.spyOn(aiProviderService, 'selectBestProvider').mockResolvedValue({ provider: 'openai' });
+      jest.spyOn(aiProviderService, 'getProviderInstance').mockResolvedValue(provider);
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+      jest.restoreAllMocks();
+    });
+
+    it('should stream start, token and done events through the circuit breaker', async () => {
+      provider.generateStreamResponse = jest.fn().mockResolvedValue(Readable.from([sse(
+        { choices: [{ delta: { content: 'ตรวจ' } }] },
+        { choices: [{ delta: { content: 'น้ำมัน' }, finish_reason: 'stop' }], usage: { prompt_tokens: 5, completion_tokens: 4, total_tokens: 9 } }
+      )]));
+
+      const events = await collect(aiProviderService.streamMessage('openai', 'วิธีตรวจน้ำมันเครื่อง', { maxTokens: 800 }));
+
+      expect(events.map(event => event.type)).toEqual(['start', 'token', 'token', 'done']);
+      expect(events[0]).toMatchObject({ provider: 'openai', model: 'test-model' });
+      expect(events[3]).toMatchObject({ provider: 'openai', content: 'ตรวจน้ำมัน', usage: { totalTokens: 9 } });
+      expect(provider.generateStreamResponse).toHaveBeenCalledWith('วิธีตรวจน้ำมันเครื่อง', expect.objectContaining({ maxTokens: 800 }));
+      expect(circuitBreaker.stats.totalSuccesses).toBe(1);
+
+      const { requests } = await ledgerRepository.findAll();
+      expect(requests[0]).toMatchObject({ request_type: 'chat-stream', outcome: 'success', tokens_used: 9 });
+    });
+
+    it('should fail fast while the circuit is open', async () => {
+      circuitBreaker.state = 'OPEN';
+      circuitBreaker.nextAttempt = Date.now() + 60000;
+      provider.generateStreamResponse = jest.fn();
+
+      await expect(collect(aiProviderService.streamMessage('openai', 'hello'))).rejects.toMatchObject({ code: 'CIRCUIT_BREAKER_OPEN' });
+      expect(provider.generateStreamResponse).not.toHaveBeenCalled();
+      expect((await ledgerRepository.findAll()).total).toBe(0);
+    });
+
+    it('should count errors in the middle of a stream as breaker failures', async () => {
+      provider.generateStreamResponse = jest.fn().mockResolvedValue(Readable.from([sse(
+        { choices: [{ delta: { content: 'partial' } }] },
+        { error: { message: 'upstream reset' } }
+      )]));
+
+      await expect(collect(aiProviderService.streamMessage('openai', 'hello'))).rejects.toThrow('upstream reset');
+      expect(circuitBreaker.failureCount).toBe(1);
+      expect((await ledgerRepository.findAll()).requests[0]).toMatchObject({ success: false, error_message: 'upstream reset' });
+    });
+
+    it('should pass the abort signal to the provider', async () => {
+      const controller = new AbortController();
+      provider.generateStreamResponse = jest.fn().mockResolvedValue(Readable.from([]));
+
+      await collect(aiProviderService.streamMessage('openai', 'hello', { signal: controller.signal }));
+
+      expect(provider.generateStreamResponse.mock.calls[0][1].signal).toBe(controller.signal);
+    });
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * AI Request Ledger Tests
+ * Entry building, cost estimation, request context and usage reports
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AIRequestLedger, normalizeUsage } = require('../../services/AIRequestLedger');
+const FileAIRequestRepository = require('../../repositories/FileAIRequestRepository');
+const { estimateCost } = require('../../ai/providers/config/pricing.config');
+
+// Mock logger
+jest.mock('../../middleware/errorHandler', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn()
+  }
+}));
+
+describe('AIRequestLedger', () => {
+  let tmpDir;
+  let repository;
+  let ledger;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rbck-ledger-'));
+    repository = new FileAIRequestRepository({ aiRequestsPath: path.join(tmpDir, 'ai-requests.json') });
+    ledger = new AIRequestLedger({ repository });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('normalizeUsage', () => {
+    it.each([
+      ['OpenAI-compatible', { prompt_tokens: 12, completion_tokens: 30, total_tokens: 42 }],
+      ['Anthropic', { input_tokens: 12, output_tokens: 30 }],
+      ['Gemini', { promptTokenCount: 12, candidatesTokenCount: 30, totalTokenCount: 42 }],
+      ['streamed', { promptTokens: 12, completionTokens: 30, totalTokens: 42, estimated: false }]
+    ])('should read %s usage', (format, usage) => {
+      expect(normalizeUsage(usage)).toEqual({ promptTokens: 12, completionTokens: 30, totalTokens: 42 });
+    });
+
+    it('should return null when no usage was reported', () => {
+      expect(normalizeUsage({})).toBeNull();
+      expect(normalizeUsage(undefined)).toBeNull();
+    });
+  });
+
+  describe('buildEntry', () => {
+    it('should price the call from the model price table', () => {
+      const entry = ledger.buildEntry({
+        provider: 'deepseek',
+        model: 'deepseek-ai/DeepSeek-R1-0528',
+        prompt: 'ตรวจสอบแรงดันไฮดรอลิก',
+        usage: { prompt_tokens: 1000, completion_tokens: 2000, total_tokens: 3000 },
+        responseTimeMs: 2500.4
+      });
+
+      expect(entry).toMatchObject({
+        provider: 'deepseek',
+        model_used: 'deepseek-ai/DeepSeek-R1-0528',
+        request_type: 'chat',
+        prompt_tokens: 1000,
+        completion_tokens: 2000,
+        tokens_used: 3000,
+        response_time_ms: 2500,
+        success: true,
+        outcome: 'success',
+        estimated_cost: 0.019,
+        metadata: null
+      });
+      expect(entry.id).toMatch(/^[0-9a-f-]{36}$/);
+    });
+
+    it('should fall back to the provider rate for unknown models', () => {
+      expect(estimateCost('claude', 'unknown-model', 1000000, 0)).toBe(3);
+      expect(estimateCost('unknown-provider', 'unknown-model', 1000, 1000)).toBe(0);
+    });
+
+    it('should estimate tokens when the provider reported none', () => {
+      const entry = ledger.buildEntry({ provider: 'chinda', prompt: 'abcdefgh', response: 'สวัสดี' });
+
+      expect(entry).toMatchObject({ prompt_tokens: 2, completion_tokens: 3, tokens_used: 5, metadata: { tokensEstimated: true } });
+    });
+
+    it('should keep only an excerpt of long prompts', () => {
+      expect(ledger.buildEntry({ provider: 'openai', prompt: 'x'.repeat(2000) }).prompt).toHaveLength(500);
+    });
+
+    it('should attach the user and request type of the surrounding request', async () => {
+      const entry = await ledger.runWithContext({ userId: 'user-1', username: 'somchai', requestType: 'swarm' }, async () =>
+        ledger.runWithContext({ metadata: { workflow: 'full' } }, async () => {
+          await Promise.resolve();
+          return ledger.buildEntry({ provider: 'gemini', usage: { totalTokens: 1 } });
+        })
+      );
+
+      expect(entry).toMatchObject({
+        user_id: 'user-1',
+        request_type: 'swarm',
+        metadata: { workflow: 'full', username: 'somchai' }
+      });
+      expect(ledger.buildEntry({ provider: 'gemini' }).user_id).toBeNull();
+    });
+  });
+
+  describe('track', () => {
+    it('should record a successful call and return the provider response', async () => {
+      const response = { content: 'คำตอบ', model: 'gemini-2.5-flash', usage: { promptTokenCount: 5, candidatesTokenCount: 7, totalTokenCount: 12 } };
+
+      const result = await ledger.track({ provider: 'gemini', prompt: 'คำถาม', requestType: 'swarm-eat' }, async () => response);
+
+      expect(result).toBe(response);
+      const { requests } = await repository.findAll();
+      expect(requests).toHaveLength(1);
+      expect(requests[0]).toMatchObject({ provider: 'gemini', model_used: 'gemini-2.5-flash', request_type: 'swarm-eat', tokens_used: 12 });
+    });
+
+    it('should record a failed call and rethrow the error', async () => {
+      const failure = { success: false, error: 'Rate limit exceeded' };
+
+      await expect(ledger.track({ provider: 'openai', prompt: 'hello' }, async () => { throw failure; })).rejects.toBe(failure);
+
+      const { requests } = await repository.findAll();
+      expect(requests[0]).toMatchObject({ success: false, outcome: 'error', error_message: 'Rate limit exceeded' });
+    });
+
+    it('should not fail the call when the ledger cannot be written', async () => {
+      repository.create = jest.fn().mockRejectedValue(new Error('disk full'));
+
+      await expect(ledger.track({ provider: 'openai', prompt: 'hello' }, async () => 'plain text answer')).resolves.toBe('plain text answer');
+      expect(await ledger.record({ provider: 'openai' })).toBeNull();
+    });
+  });
+
+  describe('getUsageReport', () => {
+    beforeEach(async () => {
+      await repository.initialize();
+      const base = { prompt: 'p', request_type: 'chat', success: true, outcome: 'success', response_time_ms: 1000, estimated_cost: 0.5 };
+      await repository.create({ ...base, id: 'a', provider: 'openai', user_id: 'u1', prompt_tokens: 1, completion_tokens: 2, tokens_used: 3, created_at: '2025-03-01T10:00:00.000Z' });
+      await repository.create({ ...base, id: 'b', provider: 'openai', user_id: 'u1', prompt_tokens: 1, completion_tokens: 2, tokens_used: 3, created_at: '2025-03-01T23:59:00.000Z' });
+      await repository.create({ ...base, id: 'c', provider: 'gemini', user_id: 'u2', prompt_tokens: 4, completion_tokens: 4, tokens_used: 8, created_at: '2025-03-02T10:00:00.000Z', success: false });
+    });
+
+    it('should group by day, provider and user with totals', async () => {
+      const report = await ledger.getUsageReport({ from: '2025-03-01', to: '2025-03-02' });
+
+      expect(report.groupBy).toEqual(['day', 'provider', 'user']);
+      expect(report.to).toBe('2025-03-03T00:00:00.000Z');
+      expect(report.rows).toEqual([
+        expect.objectContaining({ day: '2025-03-01', provider: 'openai', userId: 'u1', requests: 2, totalTokens: 6 }),
+        expect.objectContaining({ day: '2025-03-02', provider: 'gemini', userId: 'u2', requests: 1, failures: 1 })
+      ]);
+      expect(report.totals).toEqual({
+        requests: 3,
+        successes: 2,
+        failures: 1,
+        promptTokens: 6,
+        completionTokens: 8,
+        totalTokens: 14,
+        estimatedCost: 1.5
+      });
+    });
+
+    it('should treat a bare to day as inclusive and support other groupings', async () => {
+      const report = await ledger.getUsageReport({ from: '2025-03-01', to: '2025-03-01', groupBy: ['provider'] });
+
+      expect(report.rows).toEqual([expect.objectContaining({ provider: 'openai', requests: 2 })]);
+    });
+
+    it('should reject unknown group fields and dates', async () => {
+      await expect(ledger.getUsageReport({ groupBy: ['country'] })).rejects.toThrow('Invalid groupBy field: country');
+      await expect(ledger.getUsageReport({ from: 'yesterday' })).rejects.toThrow('Invalid from date');
+    });
+  });
+});
@@ -0,0 +1,297 @@
+/**
+ * Job Queue Tests
+ * Uses the file repository in a temp directory and fake handlers that finish
+ * when the test says so
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JobQueue } = require('../../services/JobQueue');
+const FileJobRepository = require('../../repositories/FileJobRepository');
+const aiRequestLedger = require('../../services/AIRequestLedger');
+
+// Mock logger
+jest.mock('../../middleware/errorHandler', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn()
+  }
+}));
+
+const author = { id: '00000000-0000-4000-8000-000000000001', username: 'author', role: 'author' };
+const otherAuthor = { id: '00000000-0000-4000-8000-000000000002', username: 'other', role: 'author' };
+const editor = { id: '00000000-0000-4000-8000-000000000003', username: 'editor', role: 'editor' };
+
+/**
+ * Handler whose runs stay open until finish() or fail() is called
+ */
+const controllableHandler = () => {
+  const runs = [];
+  const handler = jest.fn((input, { signal, onProgress }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(signal.reason));
+    runs.push({ input, onProgress, finish: resolve, fail: reject });
+  }));
+  return { handler, runs };
+};
+
+// Let queued promise callbacks and file writes settle
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+// Poll until the queue has caught up (slow disks make fixed delays flaky)
+const waitFor = async (check) => {
+  for (let i = 0; i < 100 && !(await check()); i++) {
+    await settle();
+  }
+};
+
+describe('JobQueue', () => {
+  let tmpDir;
+  let repository;
+  let broadcaster;
+  let queue;
+
+  const createQueue = (options = {}) => new JobQueue({
+    repository,
+    concurrency: 2,
+    typeConcurrency: { swarm: 2, eat: 1 },
+    maxAttempts: 2,
+    getBroadcaster: () => broadcaster,
+    ...options
+  });
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rbck-job-queue-'));
+    repository = new FileJobRepository({ jobsPath: path.join(tmpDir, 'jobs.json') });
+    broadcaster = { broadcastJobUpdate: jest.fn() };
+    queue = createQueue();
+  });
+
+  afterEach(async () => {
+    queue.stop();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should return a queued job at once and store the result when it completes', async () => {
+    const { handler, runs } = controllableHandler();
+    queue.registerHandler('swarm', handler);
+
+    const submitted = await queue.submit('swarm', { prompt: 'วิธีดูแลรถเกี่ยวข้าว' }, { user: author });
+
+    expect(submitted.success).toBe(true);
+    expect(submitted.data).toMatchObject({ status: 'queued', created_by: author.id, input: { workflow: 'full' } });
+
+    await waitFor(() => runs.length === 1);
+    expect((await queue.getJob(submitted.data.id)).data.status).toBe('running');
+
+    runs[0].finish({ finalContent: 'เนื้อหา' });
+    await queue.idle();
+
+    const job = (await queue.getJob(submitted.data.id)).data;
+    expect(job).toMatchObject({ status: 'completed', result: { finalContent: 'เนื้อหา' }, attempts: 1 });
+    expect(job.finished_at).not.toBeNull();
+    expect(broadcaster.broadcastJobUpdate.mock.calls.map(([update]) => update.status))
+      .toEqual(['queued', 'running', 'completed']);
+  });
+
+  it('should reject invalid input without queueing', async () => {
+    const result = await queue.submit('swarm', { prompt: '' }, { user: author });
+
+    expect(result).toMatchObject({ success: false, error: 'Validation failed' });
+    expect((await repository.findAll()).total).toBe(0);
+  });
+
+  it('should respect the overall and per-type concurrency limits', async () => {
+    const swarm = controllableHandler();
+    const eat = controllableHandler();
+    queue.registerHandler('swarm', swarm.handler);
+    queue.registerHandler('eat', eat.handler);
+
+    await queue.submit('eat', { prompt: 'one' });
+    await queue.submit('eat', { prompt: 'two' });
+    await queue.submit('swarm', { prompt: 'three' });
+    await queue.submit('swarm', { prompt: 'four' });
+    await waitFor(() => eat.runs.length === 1 && swarm.runs.length === 1);
+    await settle();
+
+    // One E-A-T job (its limit) and one swarm job (the overall limit of two)
+    expect(eat.runs.map(run => run.input.prompt)).toEqual(['one']);
+    expect(swarm.runs.map(run => run.input.prompt)).toEqual(['three']);
+
+    eat.runs[0].finish({});
+    await waitFor(() => eat.runs.length === 2);
+    expect(eat.runs.map(run => run.input.prompt)).toEqual(['one', 'two']);
+    expect(swarm.runs).toHaveLength(1);
+
+    swarm.runs[0].finish({});
+    eat.runs[1].finish({});
+    await waitFor(() => swarm.runs.length === 2);
+    swarm.runs[1].finish({});
+    await queue.idle();
+
+    expect((await repository.findAll({ status: 'completed' })).total).toBe(4);
+  });
+
+  it('should persist and broadcast stage progress', async () => {
+    const { handler, runs } = controllableHandler();
+    queue.registerHandler('eat', handler);
+
+    const { data } = await queue.submit('eat', { prompt: 'x' });
+    await waitFor(() => runs.length === 1);
+    runs[0].onProgress({ stage: 'foundation', completed: 1, total: 3, detail: { tasks: 2 } });
+    await waitFor(async () => (await repository.findById(data.id)).stages.length === 1);
+
+    const job = await repository.findById(data.id);
+    expect(job.progress).toEqual({ stage: 'foundation', completed: 1, total: 3, message: null });
+    expect(job.stages).toEqual([expect.objectContaining({ name: 'foundation', detail: { tasks: 2 } })]);
+    expect(broadcaster.broadcastJobUpdate).toHaveBeenLastCalledWith(expect.objectContaining({
+      progress: expect.objectContaining({ stage: 'foundation' })
+    }));
+
+    runs[0].finish({});
+    await queue.idle();
+  });
+
+  it('should run handlers with the submitter in the ledger context', async () => {
+    let context;
+    queue.registerHandler('swarm', async () => {
+      context = aiRequestLedger.getContext();
+      return {};
+    });
+
+    const { data } = await queue.submit('swarm', { prompt: 'x' }, { user: author });
+    await queue.idle();
+
+    expect(context).toEqual({
+      requestType: 'swarm',
+      userId: author.id,
+      username: 'author',
+      metadata: { jobId: data.id }
+    });
+  });
+
+  it('should record handler errors, including plain provider error objects', async () => {
+    queue.registerHandler('swarm', async () => {
+      throw { success: false, error: 'Rate limit exceeded', provider: 'gemini' };
+    });
+
+    const { data } = await queue.submit('swarm', { prompt: 'x' });
+    await queue.idle();
+
+    expect(await repository.findById(data.id)).toMatchObject({ status: 'failed', error: 'Rate limit exceeded' });
+  });
+
+  it('should cancel queued jobs without running them', async () => {
+    const { data } = await queue.submit('swarm', { prompt: 'x' });
+
+    const cancelled = await queue.cancel(data.id);
+
+    expect(cancelled.data.status).toBe('cancelled');
+    expect(await queue.cancel(data.id)).toMatchObject({ success: false, error: 'Job already finished' });
+  });
+
+  it('should abort running jobs and mark them cancelled', async () => {
+    const { handler } = controllableHandler();
+    queue.registerHandler('swarm', handler);
+
+    const { data } = await queue.submit('swarm', { prompt: 'x' });
+    await waitFor(() => Boolean(queue.active.get(data.id)?.promise));
+    expect((await queue.cancel(data.id)).success).toBe(true);
+
+    await queue.idle();
+    expect(await repository.findById(data.id)).toMatchObject({ status: 'cancelled', result: null, cancel_requested: true });
+  });
+
+  it('should keep a running job until its current stage ends, then drop the result', async () => {
+    let finishStage;
+    queue.registerHandler('swarm', () => new Promise(resolve => { finishStage = resolve; }));
+
+    const { data } = await queue.submit('swarm', { prompt: 'x' });
+    await waitFor(() => Boolean(queue.active.get(data.id)?.promise));
+    const requested = await queue.cancel(data.id);
+    expect(requested.data).toMatchObject({ status: 'running', cancel_requested: true });
+
+    finishStage({ finalContent: 'too late' });
+    await queue.idle();
+    expect(await repository.findById(data.id)).toMatchObject({ status: 'cancelled', result: null });
+  });
+
+  it('should retry failed jobs from the start', async () => {
+    let calls = 0;
+    queue.registerHandler('swarm', async () => {
+      calls++;
+      if (calls === 1) throw new Error('Provider down');
+      return { finalContent: 'ok' };
+    });
+
+    const { data } = await queue.submit('swarm', { prompt: 'x' });
+    await queue.idle();
+    expect((await repository.findById(data.id)).status).toBe('failed');
+
+    const retried = await queue.retry(data.id);
+    expect(retried.data).toMatchObject({ status: 'queued', error: null, attempts: 0 });
+    await queue.idle();
+
+    expect(await repository.findById(data.id)).toMatchObject({ status: 'completed', result: { finalContent: 'ok' } });
+    expect(await queue.retry(data.id)).toMatchObject({ success: false, error: 'Job not retryable' });
+  });
+
+  it('should limit authors to their own jobs', async () => {
+    const { data } = await queue.submit('swarm', { prompt: 'x' }, { user: author });
+    await queue.submit('swarm', { prompt: 'y' }, { user: otherAuthor });
+
+    expect(await queue.getJob(data.id, { user: otherAuthor })).toMatchObject({ success: false, error: 'Forbidden' });
+    expect(await queue.cancel(data.id, { user: otherAuthor })).toMatchObject({ success: false, error: 'Forbidden' });
+    expect((await queue.getJob(data.id, { user: editor })).success).toBe(true);
+
+    const own = await queue.listJobs({}, { user: author });
+    expect(own.data.map(job => job.id)).toEqual([data.id]);
+    expect(own.data[0].result).toBeUndefined();
+    expect((await queue.listJobs({}, { user: editor })).pagination.total).toBe(2);
+  });
+
+  it('should requeue jobs a restart interrupted while attempts remain', async () => {
+    await repository.initialize();
+    const base = {
+      type: 'swarm', input: { prompt: 'x', workflow: 'full' }, progress: { stage: 'step', completed: 1, total: 5, message: null },
+      stages: [], result: null, error: null, max_attempts: 2, cancel_requested: false, created_by: null,
+      created_by_name: null, started_at: '2024-01-01T00:00:00.000Z', finished_at: null, updated_at: '2024-01-01T00:00:00.000Z'
+    };
+    await repository.create({ ...base, id: 'resume', status: 'running', attempts: 1, created_at: '2024-01-01T00:00:01.000Z' });
+    await repository.create({ ...base, id: 'exhausted', status: 'running', attempts: 2, created_at: '2024-01-01T00:00:02.000Z' });
+    await repository.create({ ...base, id: 'stopping', status: 'running', attempts: 1, cancel_requested: true, created_at: '2024-01-01T00:00:03.000Z' });
+
+    const restarted = createQueue();
+    restarted.registerHandler('swarm', async () => ({ finalContent: 'again' }));
+    await restarted.initialize();
+    await restarted.idle();
+
+    expect(await repository.findById('resume')).toMatchObject({ status: 'completed', attempts: 2, progress: { completed: 0 } });
+    expect(await repository.findById('exhausted')).toMatchObject({ status: 'failed', error: 'Interrupted by a server restart' });
+    expect((await repository.findById('stopping')).status).toBe('cancelled');
+    restarted.stop();
+  });
+
+  it('should free the running slot when a job cannot be marked running', async () => {
+    const handler = jest.fn(async () => ({ success: true, data: 'done' }));
+    queue.registerHandler('swarm', handler);
+    jest.spyOn(repository, 'update').mockRejectedValueOnce(new Error('disk full'));
+
+    const { data } = await queue.submit('swarm', { prompt: 'x' });
+    await queue.idle();
+
+    expect(queue.active.size).toBe(0);
+    expect(handler).not.toHaveBeenCalled();
+    expect((await repository.findById(data.id)).status).toBe('queued');
+  });
+
+  it('should leave jobs without a handler queued', async () => {
+    const { data } = await queue.submit('eat', { prompt: 'x' });
+    await queue.idle();
+
+    expect((await repository.findById(data.id)).status).toBe('queued');
+    expect(queue.getStatus()).toMatchObject({ running: {}, handlers: [] });
+  });
+});
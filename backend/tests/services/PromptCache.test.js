@@ -0,0 +1,205 @@
+/**
+ * Prompt Cache Tests
+ * Key normalization, TTL and size limits, in-flight dedup, opt-out and stats
+ */
+
+const { PromptCache, normalizePrompt } = require('../../services/PromptCache');
+
+const ZERO_WIDTH_SPACE = String.fromCharCode(0x200b);
+
+const parts = (overrides = {}) => ({
+  prompt: 'วิธีดูแลรถเกี่ยวข้าว',
+  provider: 'gemini',
+  model: 'gemini-2.5-flash',
+  params: { maxTokens: 1000, temperature: 0.7 },
+  ...overrides
+});
+
+const answer = (content = 'คำตอบ') => ({
+  content,
+  model: 'gemini-2.5-flash',
+  usage: { promptTokenCount: 1000, candidatesTokenCount: 1000, totalTokenCount: 2000 }
+});
+
+describe('PromptCache', () => {
+  let cache;
+
+  beforeEach(() => {
+    cache = new PromptCache({ enabled: true, ttlSeconds: 60, maxEntries: 10, maxBytes: 100000 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('normalizePrompt', () => {
+    it('should ignore surrounding whitespace, zero-width characters and Unicode composition', () => {
+      expect(normalizePrompt(`  Check the oil${ZERO_WIDTH_SPACE}\n\t`)).toBe('Check the oil');
+      expect(normalizePrompt(`รถ${ZERO_WIDTH_SPACE}เกี่ยวข้าว`)).toBe('รถเกี่ยวข้าว');
+      expect(normalizePrompt('cafe\u0301')).toBe('caf\u00e9');
+    });
+
+    it('should keep case and inner whitespace', () => {
+      expect(normalizePrompt('Check the OIL')).toBe('Check the OIL');
+      expect(normalizePrompt('| a |  b |\n\n- one\n  - two')).toBe('| a |  b |\n\n- one\n  - two');
+    });
+  });
+
+  describe('buildKey', () => {
+    it('should match near-identical prompts with the same parameters', () => {
+      expect(cache.buildKey(parts({ prompt: 'Check the oil' })))
+        .toBe(cache.buildKey(parts({ prompt: ` Check the${ZERO_WIDTH_SPACE} oil\n`, params: { temperature: 0.7, maxTokens: 1000, model: undefined } })));
+    });
+
+    it('should separate prompts that differ in case or inner spacing', () => {
+      const key = cache.buildKey(parts({ prompt: 'Check the oil' }));
+
+      expect(cache.buildKey(parts({ prompt: 'check the OIL' }))).not.toBe(key);
+      expect(cache.buildKey(parts({ prompt: 'Check  the\noil' }))).not.toBe(key);
+    });
+
+    it('should separate providers, models and parameters', () => {
+      const key = cache.buildKey(parts());
+
+      expect(cache.buildKey(parts({ provider: 'openai' }))).not.toBe(key);
+      expect(cache.buildKey(parts({ model: 'gemini-2.5-pro' }))).not.toBe(key);
+      expect(cache.buildKey(parts({ params: { maxTokens: 1000, temperature: 0.2 } }))).not.toBe(key);
+    });
+  });
+
+  describe('fetch', () => {
+    it('should call the provider once and answer repeats from the cache', async () => {
+      const call = jest.fn().mockResolvedValue(answer());
+
+      const first = await cache.fetch(parts(), call);
+      const second = await cache.fetch(parts({ prompt: ' วิธีดูแลรถเกี่ยวข้าว ' }), call);
+
+      expect(call).toHaveBeenCalledTimes(1);
+      expect(first).toMatchObject({ cached: false, response: { content: 'คำตอบ' } });
+      expect(second).toMatchObject({ cached: true, key: first.key, response: { content: 'คำตอบ' } });
+      expect(cache.getStats()).toMatchObject({
+        hits: 1,
+        misses: 1,
+        hitRate: 0.5,
+        savedTokens: 2000,
+        savedCost: 0.0028,
+        byProvider: { gemini: { hits: 1, misses: 1 } }
+      });
+    });
+
+    it('should share one provider call between identical requests in flight', async () => {
+      let finish;
+      const call = jest.fn(() => new Promise(resolve => { finish = resolve; }));
+
+      const pending = [cache.fetch(parts(), call), cache.fetch(parts(), call)];
+      await Promise.resolve();
+      finish(answer());
+      const [first, second] = await Promise.all(pending);
+
+      expect(call).toHaveBeenCalledTimes(1);
+      expect(first.cached).toBe(false);
+      expect(second).toMatchObject({ cached: true, response: { content: 'คำตอบ' } });
+      expect(cache.getStats().deduplicated).toBe(1);
+    });
+
+    it('should not cache errors or empty answers', async () => {
+      await expect(cache.fetch(parts(), () => Promise.reject(new Error('quota exceeded')))).rejects.toThrow('quota exceeded');
+      await cache.fetch(parts(), async () => answer('  '));
+
+      expect(cache.getStats().entries).toBe(0);
+      expect((await cache.fetch(parts(), async () => answer())).cached).toBe(false);
+    });
+
+    it('should skip the cache when a request or its context opts out', async () => {
+      const call = jest.fn().mockResolvedValue(answer());
+      await cache.fetch(parts(), call);
+
+      expect((await cache.fetch(parts(), call, { cache: false })).cached).toBe(false);
+      expect((await cache.runWithOptions({ cache: false }, () => cache.fetch(parts(), call))).cached).toBe(false);
+      expect(call).toHaveBeenCalledTimes(3);
+      expect(cache.getStats()).toMatchObject({ bypassed: 2, hits: 0 });
+    });
+
+    it('should skip the cache when disabled', async () => {
+      cache = new PromptCache({ enabled: false });
+      const call = jest.fn().mockResolvedValue(answer());
+
+      await cache.fetch(parts(), call);
+      await cache.fetch(parts(), call);
+
+      expect(call).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('limits', () => {
+    it('should expire entries after the TTL', async () => {
+      jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+      const call = jest.fn().mockResolvedValue(answer());
+      await cache.fetch(parts(), call);
+
+      jest.advanceTimersByTime(61000);
+      const result = await cache.fetch(parts(), call);
+
+      expect(result.cached).toBe(false);
+      expect(cache.getStats().expired).toBe(1);
+    });
+
+    it('should evict the least recently used entry past the entry limit', async () => {
+      cache = new PromptCache({ enabled: true, ttlSeconds: 60, maxEntries: 2, maxBytes: 100000 });
+      const call = async () => answer();
+      await cache.fetch(parts({ prompt: 'one' }), call);
+      await cache.fetch(parts({ prompt: 'two' }), call);
+      await cache.fetch(parts({ prompt: 'one' }), call); // one is now the most recent
+      await cache.fetch(parts({ prompt: 'three' }), call);
+
+      expect(cache.list().entries.map(entry => entry.prompt)).toEqual(['three', 'one']);
+      expect(cache.getStats().evictions).toBe(1);
+    });
+
+    it('should keep the total size under the byte limit', async () => {
+      const size = Buffer.byteLength(JSON.stringify(answer('x'.repeat(100))));
+      cache = new PromptCache({ enabled: true, ttlSeconds: 60, maxEntries: 10, maxBytes: size * 2 });
+      const call = async () => answer('x'.repeat(100));
+
+      await cache.fetch(parts({ prompt: 'one' }), call);
+      await cache.fetch(parts({ prompt: 'two' }), call);
+      await cache.fetch(parts({ prompt: 'three' }), call);
+      await cache.fetch(parts({ prompt: 'huge' }), async () => answer('x'.repeat(size * 3)));
+
+      expect(cache.getStats()).toMatchObject({ entries: 2, bytes: size * 2 });
+      expect(cache.list().entries.map(entry => entry.prompt)).toEqual(['three', 'two']);
+    });
+  });
+
+  describe('admin', () => {
+    beforeEach(async () => {
+      await cache.fetch(parts(), async () => answer());
+      await cache.fetch(parts({ provider: 'openai', model: 'gpt-4o' }), async () => ({ content: 'answer', model: 'gpt-4o' }));
+    });
+
+    it('should list entries without responses and filter them', () => {
+      const { entries, total } = cache.list({ provider: 'openai' });
+
+      expect(total).toBe(1);
+      expect(entries[0]).toMatchObject({ provider: 'openai', model: 'gpt-4o', hits: 0 });
+      expect(entries[0].response).toBeUndefined();
+    });
+
+    it('should return one entry with its response', () => {
+      const { key } = cache.list({ provider: 'gemini' }).entries[0];
+
+      expect(cache.get(key)).toMatchObject({ key, response: { content: 'คำตอบ' } });
+      expect(cache.get('missing')).toBeNull();
+    });
+
+    it('should delete single entries and purge by filter', () => {
+      const { key } = cache.list({ provider: 'gemini' }).entries[0];
+
+      expect(cache.delete(key)).toBe(true);
+      expect(cache.delete(key)).toBe(false);
+      expect(cache.purge({ provider: 'deepseek' })).toBe(0);
+      expect(cache.purge()).toBe(1);
+      expect(cache.getStats()).toMatchObject({ entries: 0, bytes: 0 });
+    });
+  });
+});
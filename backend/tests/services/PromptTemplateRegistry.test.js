@@ -0,0 +1,136 @@
+/**
+ * Prompt Template Registry Tests
+ * Uses the file repository in a temp directory and a small set of built-in templates
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PromptTemplateRegistry } = require('../../services/PromptTemplateRegistry');
+const FilePromptTemplateRepository = require('../../repositories/FilePromptTemplateRepository');
+
+// Mock logger
+jest.mock('../../middleware/errorHandler', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn()
+  }
+}));
+
+const editor = { id: '00000000-0000-4000-8000-000000000003', username: 'editor', role: 'editor' };
+
+const defaults = [{
+  name: 'swarm.review',
+  description: 'Review step',
+  variables: [{ name: 'content', description: 'Draft' }],
+  body: 'ตรวจสอบเนื้อหา:\n\n{{content}}'
+}];
+
+describe('PromptTemplateRegistry', () => {
+  let tmpDir;
+  let repository;
+  let registry;
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rbck-prompt-registry-'));
+    repository = new FilePromptTemplateRepository({ promptTemplatesPath: path.join(tmpDir, 'prompt-templates.json') });
+    registry = new PromptTemplateRegistry({ repository, defaults });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should render built-in templates before initialization', () => {
+    expect(registry.render('swarm.review', { content: 'ร่าง' })).toEqual({
+      prompt: 'ตรวจสอบเนื้อหา:\n\nร่าง',
+      template: { name: 'swarm.review', version: 1, source: 'built-in' }
+    });
+    expect(() => registry.render('eat.missing')).toThrow('Unknown prompt template: eat.missing');
+  });
+
+  it('should seed built-in templates once as version 1', async () => {
+    await registry.initialize();
+    const restarted = new PromptTemplateRegistry({ repository, defaults });
+    await restarted.initialize();
+
+    expect(await repository.findVersions('swarm.review')).toEqual([
+      expect.objectContaining({ version: 1, is_active: true, change_note: 'Built-in template', created_by: null })
+    ]);
+    expect(restarted.render('swarm.review', { content: 'x' }).template).toEqual({ name: 'swarm.review', version: 1, source: 'registry' });
+  });
+
+  it('should save edits as new active versions and render them', async () => {
+    const updated = await registry.updateTemplate('swarm.review', {
+      body: 'Review carefully:\n\n{{content}}',
+      change_note: 'English instructions'
+    }, { user: editor });
+
+    expect(updated.data).toMatchObject({
+      version: 2,
+      is_active: true,
+      description: 'Review step',
+      change_note: 'English instructions',
+      created_by: editor.id,
+      created_by_name: 'editor'
+    });
+    expect(registry.render('swarm.review', { content: 'x' })).toEqual({
+      prompt: 'Review carefully:\n\nx',
+      template: { name: 'swarm.review', version: 2, source: 'registry' }
+    });
+
+    const { data } = await registry.getTemplate('swarm.review');
+    expect(data).toMatchObject({ version: 2, builtIn: true });
+    expect(data.versions.map(version => [version.version, version.is_active])).toEqual([[2, true], [1, false]]);
+  });
+
+  it('should reject edits that use undeclared variables', async () => {
+    const result = await registry.updateTemplate('swarm.review', { body: '{{content}} for {{keyword}}' });
+
+    expect(result).toMatchObject({ success: false, error: 'Validation failed' });
+    expect(result.details[0].message).toBe('Undeclared variable: {{keyword}}');
+    expect((await repository.findVersions('swarm.review'))).toHaveLength(1);
+  });
+
+  it('should roll back to an earlier version', async () => {
+    await registry.updateTemplate('swarm.review', { body: 'v2 {{content}}' });
+
+    expect((await registry.activateVersion('swarm.review', '1')).data.version).toBe(1);
+    expect(registry.render('swarm.review', { content: 'x' }).template.version).toBe(1);
+    expect(await registry.activateVersion('swarm.review', 7)).toMatchObject({ success: false, error: 'Version not found' });
+  });
+
+  it('should create and delete custom templates but keep built-in ones', async () => {
+    const created = await registry.createTemplate({
+      name: 'eat.faq',
+      body: 'FAQ about {{topic}}',
+      variables: [{ name: 'topic' }]
+    }, { user: editor });
+
+    expect(created.data).toMatchObject({ name: 'eat.faq', version: 1, is_active: true });
+    expect(await registry.createTemplate({ name: 'eat.faq', body: 'x' })).toMatchObject({ success: false, error: 'Template already exists' });
+    expect((await registry.listTemplates()).data.map(template => [template.name, template.builtIn]))
+      .toEqual(expect.arrayContaining([['eat.faq', false], ['swarm.review', true]]));
+
+    expect(await registry.deleteTemplate('swarm.review')).toMatchObject({ success: false, error: 'Built-in template' });
+    expect((await registry.deleteTemplate('eat.faq')).data).toEqual({ name: 'eat.faq', versions: 1 });
+    expect(await registry.getTemplate('eat.faq')).toMatchObject({ success: false, error: 'Template not found' });
+  });
+
+  it('should preview a version and report missing variables', async () => {
+    await registry.updateTemplate('swarm.review', { body: 'v2 {{content}}' });
+
+    expect((await registry.preview('swarm.review', { content: 'x' }, { version: 1 })).data).toEqual({
+      prompt: 'ตรวจสอบเนื้อหา:\n\nx',
+      template: { name: 'swarm.review', version: 1 }
+    });
+    expect(await registry.preview('swarm.review', {})).toMatchObject({
+      success: false,
+      error: 'Missing variables',
+      details: [{ field: 'content', message: 'Required' }]
+    });
+    expect(await registry.preview('eat.missing')).toMatchObject({ success: false, error: 'Template not found' });
+  });
+});
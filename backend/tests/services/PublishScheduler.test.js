@@ -0,0 +1,87 @@
+/**
+ * Publish Scheduler Tests
+ */
+
+const { PublishScheduler } = require('../../services/PublishScheduler');
+
+// Mock logger
+jest.mock('../../middleware/errorHandler', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn()
+  }
+}));
+
+describe('PublishScheduler', () => {
+  let controller;
+  let broadcaster;
+  let scheduler;
+
+  beforeEach(() => {
+    controller = { publishDuePosts: jest.fn().mockResolvedValue([]) };
+    broadcaster = { broadcastPostUpdate: jest.fn() };
+    scheduler = new PublishScheduler({
+      controller,
+      interval: 1000,
+      getBroadcaster: () => broadcaster
+    });
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+  });
+
+  it('should broadcast every post it publishes', async () => {
+    const post = { id: 1, titleTH: 'โพสต์', status: 'published' };
+    controller.publishDuePosts.mockResolvedValue([post]);
+    const now = new Date('2024-06-01T00:00:00Z');
+
+    const published = await scheduler.runOnce(now);
+
+    expect(controller.publishDuePosts).toHaveBeenCalledWith(now);
+    expect(published).toEqual([post]);
+    expect(broadcaster.broadcastPostUpdate).toHaveBeenCalledWith('published', post);
+    expect(scheduler.getStatus().lastRunAt).toBe(now.toISOString());
+  });
+
+  it('should not broadcast when nothing is due', async () => {
+    await scheduler.runOnce();
+
+    expect(broadcaster.broadcastPostUpdate).not.toHaveBeenCalled();
+  });
+
+  it('should work without a WebSocket server', async () => {
+    controller.publishDuePosts.mockResolvedValue([{ id: 1 }]);
+    scheduler.getBroadcaster = () => undefined;
+
+    await expect(scheduler.runOnce()).resolves.toHaveLength(1);
+  });
+
+  it('should swallow errors so the job keeps running', async () => {
+    controller.publishDuePosts.mockRejectedValue(new Error('storage down'));
+
+    await expect(scheduler.runOnce()).resolves.toEqual([]);
+    expect(scheduler.running).toBe(false);
+  });
+
+  it('should start and stop the polling timer', async () => {
+    jest.useFakeTimers();
+    try {
+      scheduler.start();
+      expect(scheduler.getStatus().active).toBe(true);
+      expect(controller.publishDuePosts).toHaveBeenCalledTimes(1);
+
+      // Let the first run settle before the next tick
+      for (let i = 0; i < 5; i++) await Promise.resolve();
+      jest.advanceTimersByTime(1000);
+      expect(controller.publishDuePosts).toHaveBeenCalledTimes(2);
+
+      scheduler.stop();
+      expect(scheduler.getStatus().active).toBe(false);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
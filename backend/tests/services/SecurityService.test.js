@@ -174,6 +174,198 @@ describe('SecurityService', () => {
     });
   });
 
+  describe('validateCredentials', () => {
+    const bcrypt = require('bcrypt');
+    const storedUser = {
+      id: '22222222-2222-4222-8222-222222222222',
+      username: 'somchai',
+      email: 'somchai@example.com',
+      role: 'editor',
+      is_active: true,
+      password_hash: bcrypt.hashSync('editor-password', 4)
+    };
+    let repository;
+
+    beforeEach(() => {
+      repository = {
+        findByUsername: jest.fn(async (username) => (username === 'somchai' ? storedUser : null)),
+        findByEmail: jest.fn(async (email) => (email === 'somchai@example.com' ? storedUser : null)),
+        update: jest.fn(async () => storedUser)
+      };
+      jest.spyOn(securityService, 'getUserRepository').mockReturnValue(repository);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should validate stored users by username or email with their role', async () => {
+      const byUsername = await securityService.validateCredentials('somchai', 'editor-password', '127.0.0.1');
+      const byEmail = await securityService.validateCredentials('somchai@example.com', 'editor-password', '127.0.0.1');
+
+      expect(byUsername).toMatchObject({ valid: true, userId: storedUser.id, role: 'editor', bootstrap: false });
+      expect(byEmail.valid).toBe(true);
+      expect(securityService.sessionStore.get(byUsername.sessionId).role).toBe('editor');
+      expect(repository.update).toHaveBeenCalledWith(storedUser.id, { last_login: expect.any(String) });
+    });
+
+    it('should reject wrong passwords and track the attempt', async () => {
+      const result = await securityService.validateCredentials('somchai', 'wrong-password', '10.0.0.1');
+
+      expect(result).toMatchObject({ valid: false, code: 'INVALID_CREDENTIALS' });
+      expect(securityService.failedAttempts.has('10.0.0.1:somchai')).toBe(true);
+    });
+
+    it('should reject disabled and invited accounts', async () => {
+      repository.findByUsername.mockResolvedValueOnce({ ...storedUser, is_active: false });
+      const disabled = await securityService.validateCredentials('somchai', 'editor-password', '127.0.0.1');
+      expect(disabled.code).toBe('ACCOUNT_DISABLED');
+
+      repository.findByUsername.mockResolvedValueOnce({ ...storedUser, password_hash: undefined });
+      const invited = await securityService.validateCredentials('somchai', '', '127.0.0.1');
+      expect(invited.code).toBe('INVALID_CREDENTIALS');
+    });
+
+    it('should fall back to the bootstrap admin from the environment', async () => {
+      const result = await securityService.validateCredentials('admin', 'securepassword123', '127.0.0.1');
+
+      expect(result).toMatchObject({ valid: true, role: 'admin', bootstrap: true });
+    });
+
+    it('should still accept the bootstrap admin when the user store fails', async () => {
+      repository.findByUsername.mockRejectedValueOnce(new Error('database down'));
+
+      const result = await securityService.validateCredentials('admin', 'securepassword123', '127.0.0.1');
+
+      expect(result.valid).toBe(true);
+    });
+
+    it('should invalidate every session of a user', async () => {
+      await securityService.validateCredentials('somchai', 'editor-password', '127.0.0.1');
+      await securityService.validateCredentials('somchai', 'editor-password', '127.0.0.2');
+
+      expect(securityService.invalidateUserSessions(storedUser.id)).toBe(2);
+      expect(securityService.getActiveSessions()).toHaveLength(0);
+    });
+  });
+
+  describe('two-factor login', () => {
+    const bcrypt = require('bcrypt');
+    const totp = require('../../utils/totp');
+    const secret = totp.generateSecret();
+    let storedUser;
+    let repository;
+
+    beforeEach(() => {
+      storedUser = {
+        id: '33333333-3333-4333-8333-333333333333',
+        username: 'malee',
+        role: 'admin',
+        is_active: true,
+        password_hash: bcrypt.hashSync('admin-password', 4),
+        totp_enabled: true,
+        totp_secret: secret,
+        recovery_code_hashes: [totp.hashRecoveryCode('aaaaa-bbbbb')]
+      };
+      repository = {
+        findByUsername: jest.fn(async (username) => (username === 'malee' ? storedUser : null)),
+        findById: jest.fn(async () => storedUser),
+        update: jest.fn(async (id, changes) => Object.assign(storedUser, changes))
+      };
+      jest.spyOn(securityService, 'getUserRepository').mockReturnValue(repository);
+      securityService.twoFactorChallenges.clear();
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      delete process.env.ADMIN_TOTP_SECRET;
+    });
+
+    const login = () => securityService.validateCredentials('malee', 'admin-password', '127.0.0.1');
+
+    it('should return a challenge instead of a session for enrolled users', async () => {
+      const result = await login();
+
+      expect(result).toMatchObject({ valid: false, twoFactorRequired: true, code: 'TWO_FACTOR_REQUIRED' });
+      expect(result.challengeToken).toMatch(/^[0-9a-f]{64}$/);
+      expect(result.sessionId).toBeUndefined();
+      expect(securityService.sessionStore.size).toBe(0);
+    });
+
+    it('should only issue a session from createSecureSession once the code is verified', () => {
+      const pending = securityService.createSecureSession('malee', '127.0.0.1', { userId: storedUser.id, twoFactorRequired: true });
+      const verified = securityService.createSecureSession('malee', '127.0.0.1', {
+        userId: storedUser.id,
+        twoFactorRequired: true,
+        twoFactorVerified: true
+      });
+
+      expect(pending.sessionId).toBeUndefined();
+      expect(securityService.sessionStore.has(verified.sessionId)).toBe(true);
+    });
+
+    it('should create the session after a valid TOTP code and block replay', async () => {
+      const now = Date.now();
+      const code = totp.generateCode(secret, { time: now });
+      const { challengeToken } = await login();
+
+      const result = await securityService.validateTwoFactor(challengeToken, code, '127.0.0.1');
+
+      expect(result).toMatchObject({ valid: true, userId: storedUser.id, role: 'admin', twoFactorMethod: 'totp' });
+      expect(securityService.sessionStore.has(result.sessionId)).toBe(true);
+      expect(storedUser.totp_last_counter).toBe(totp.getCounter(now));
+
+      const again = await login();
+      const replay = await securityService.validateTwoFactor(again.challengeToken, code, '127.0.0.1');
+      expect(replay.code).toBe('INVALID_TWO_FACTOR_CODE');
+    });
+
+    it('should accept each recovery code once', async () => {
+      const first = await login();
+      const result = await securityService.validateTwoFactor(first.challengeToken, 'AAAAA-BBBBB', '127.0.0.1');
+
+      expect(result).toMatchObject({ valid: true, twoFactorMethod: 'recovery', recoveryCodesRemaining: 0 });
+      expect(storedUser.recovery_code_hashes).toEqual([]);
+
+      const second = await login();
+      expect((await securityService.validateTwoFactor(second.challengeToken, 'aaaaa-bbbbb', '127.0.0.1')).valid).toBe(false);
+    });
+
+    it('should consume challenges after too many wrong codes', async () => {
+      const { challengeToken } = await login();
+
+      for (let i = 0; i < 5; i++) {
+        await securityService.validateTwoFactor(challengeToken, '000000', '10.0.0.2');
+      }
+
+      const result = await securityService.validateTwoFactor(challengeToken, totp.generateCode(secret), '10.0.0.3');
+      expect(result.code).toBe('CHALLENGE_EXPIRED');
+      expect(securityService.failedAttempts.get('10.0.0.2:malee').count).toBe(5);
+    });
+
+    it('should reject unknown and expired challenges', async () => {
+      const { challengeToken } = await login();
+      securityService.twoFactorChallenges.get(challengeToken).expiresAt = new Date(Date.now() - 1000);
+
+      expect((await securityService.validateTwoFactor(challengeToken, '123456')).code).toBe('CHALLENGE_EXPIRED');
+      expect((await securityService.validateTwoFactor('missing', '123456')).code).toBe('CHALLENGE_EXPIRED');
+    });
+
+    it('should require ADMIN_TOTP_SECRET codes for the bootstrap admin when configured', async () => {
+      process.env.ADMIN_TOTP_SECRET = totp.generateSecret();
+
+      const challenge = securityService.validateAdminCredentials('admin', 'securepassword123', '127.0.0.1');
+      expect(challenge.twoFactorRequired).toBe(true);
+
+      const result = await securityService.validateTwoFactor(
+        challenge.challengeToken,
+        totp.generateCode(process.env.ADMIN_TOTP_SECRET),
+        '127.0.0.1'
+      );
+      expect(result).toMatchObject({ valid: true, role: 'admin', bootstrap: true });
+    });
+  });
+
   describe('Session Management', () => {
     let sessionData;
     
@@ -0,0 +1,230 @@
+// Unit Tests for the offline MockProvider: scripted answers, simulated failures, session replay and factory wiring
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MockProvider = require('../../ai/providers/mock/MockProvider');
+const CircuitBreaker = require('../../ai/providers/base/CircuitBreaker');
+const { recordSession } = require('../../ai/providers/mock/sessionRecording');
+const { jsonSchemaToZod } = require('../../ai/providers/base/structuredOutput');
+const { SEO_STRUCTURE } = require('../../ai/prompts/outputSchemas');
+const SwarmCouncil = require('../../ai/swarm/SwarmCouncil');
+
+// Call providers directly instead of recording them in the ledger or caching their answers
+jest.mock('../../services/AIRequestLedger', () => ({
+  track: (details, call) => call()
+}));
+jest.mock('../../services/PromptCache', () => ({
+  fetch: async (parts, call) => ({ response: await call(), cached: false, key: null })
+}));
+
+describe('MockProvider Unit Tests', () => {
+  let directory;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-provider-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('scripted responses', () => {
+    test('should answer from the queue, then rules, then an echo of the prompt', async () => {
+      const provider = new MockProvider({
+        responses: [
+          { match: 'รถเกี่ยว', content: 'คู่มือรถเกี่ยวข้าว' },
+          { pattern: '^ราคา\\s', content: 'ราคาอะไหล่' }
+        ]
+      });
+      provider.enqueue('คำตอบแรก');
+
+      expect((await provider.generateResponse('รถเกี่ยวข้าว')).content).toBe('คำตอบแรก');
+      expect(await provider.generateResponse('วิธีดูแลรถเกี่ยว')).toMatchObject({ content: 'คู่มือรถเกี่ยวข้าว', source: 'script', model: 'mock-model' });
+      expect((await provider.generateResponse('ราคา ใบมีด')).content).toBe('ราคาอะไหล่');
+      expect((await provider.generateResponse('สวัสดี   ครับ')).content).toBe('Mock response from mock-model: สวัสดี ครับ');
+      expect(provider.calls.map(({ prompt }) => prompt)).toHaveLength(4);
+    });
+
+    test('should stop using a rule after its times and load rules from a fixtures file', async () => {
+      const fixtures = path.join(directory, 'fixtures.json');
+      fs.writeFileSync(fixtures, JSON.stringify({ responses: [{ content: 'จากไฟล์' }] }));
+      const provider = new MockProvider({ fixtures, responses: [{ error: { status: 502, message: 'Bad gateway' }, times: 1 }] });
+
+      await expect(provider.generateResponse('x')).rejects.toMatchObject({ status: 502, error: 'Bad gateway', simulated: true });
+      expect((await provider.generateResponse('x')).content).toBe('จากไฟล์');
+    });
+
+    test('should answer structured requests with the smallest value the schema accepts', async () => {
+      const response = await new MockProvider({}).generateResponse('เขียนโพสต์', { structuredOutput: SEO_STRUCTURE });
+
+      expect(jsonSchemaToZod(SEO_STRUCTURE.schema).safeParse(response.data).success).toBe(true);
+      expect(response.structured).toEqual({ name: 'seo_structure', attempts: 1, nativeJsonMode: true });
+    });
+
+    test('should stream the answer as token events', async () => {
+      const provider = new MockProvider({}).enqueue('น้ำมัน เครื่อง ใหม่');
+      const events = [];
+
+      for await (const event of provider.streamTokens('x')) {
+        events.push(event);
+      }
+
+      expect(events.filter(({ type }) => type === 'token').map(({ content }) => content).join('')).toBe('น้ำมัน เครื่อง ใหม่');
+      expect(events[events.length - 1]).toMatchObject({ type: 'done', content: 'น้ำมัน เครื่อง ใหม่', finishReason: 'stop', model: 'mock-model' });
+    });
+  });
+
+  describe('simulated conditions', () => {
+    test('should reject requests over the rate limit with 429 and a retry time', async () => {
+      const provider = new MockProvider({ rateLimit: { requests: 2, windowMs: 60000 } });
+
+      await provider.generateResponse('a');
+      await provider.generateResponse('b');
+
+      await expect(provider.generateResponse('c')).rejects.toMatchObject({ status: 429, retryAfter: 60 });
+    });
+
+    test('should fail at the configured error rate', async () => {
+      const provider = new MockProvider({ errorRate: 0.5, random: jest.fn().mockReturnValueOnce(0.2).mockReturnValueOnce(0.9) });
+
+      await expect(provider.generateResponse('a')).rejects.toMatchObject({ status: 503, error: 'Simulated provider outage' });
+      await expect(provider.generateResponse('b')).resolves.toMatchObject({ source: 'echo' });
+      expect(await new MockProvider({ errorRate: 1 }).checkHealth()).toMatchObject({ status: 'unhealthy' });
+    });
+
+    test('should open the circuit breaker after repeated failures', async () => {
+      const provider = new MockProvider({ errorRate: 1 });
+      const breaker = new CircuitBreaker('mock', { threshold: 2, timeout: 1000 });
+      const call = () => breaker.execute(() => provider.generateResponse('x'));
+
+      await expect(call()).rejects.toMatchObject({ status: 503 });
+      await expect(call()).rejects.toMatchObject({ status: 503 });
+      await expect(call()).rejects.toMatchObject({ code: 'CIRCUIT_BREAKER_OPEN' });
+
+      expect(breaker.state).toBe('OPEN');
+      expect(provider.calls).toHaveLength(2);
+    });
+
+    test('should trip the circuit breaker timeout when latency is too high', async () => {
+      const provider = new MockProvider({ latencyMs: 100 });
+      const breaker = new CircuitBreaker('mock', { threshold: 5, timeout: 20 });
+
+      await expect(breaker.execute(() => provider.generateResponse('x'))).rejects.toMatchObject({ code: 'CIRCUIT_BREAKER_TIMEOUT' });
+    });
+  });
+
+  describe('session replay', () => {
+    const recordTo = async (file) => {
+      const real = {
+        model: 'gemini-2.5-flash',
+        generateResponse: jest.fn()
+          .mockResolvedValueOnce({ content: 'ร่างแรก', model: 'gemini-2.5-flash', usage: { total_tokens: 10 } })
+          .mockResolvedValueOnce({ content: 'ร่างที่สอง', model: 'gemini-2.5-flash' })
+          .mockRejectedValueOnce({ error: 'Quota exceeded', status: 429 })
+      };
+      recordSession(real, 'gemini', file);
+
+      await real.generateResponse('เขียนบทความ\nรถเกี่ยว');
+      await real.generateResponse('เขียนบทความ\nรถเกี่ยว');
+      await expect(real.generateResponse('ตรวจ')).rejects.toMatchObject({ status: 429 });
+    };
+
+    test('should record calls as JSON lines', async () => {
+      const file = path.join(directory, 'session.jsonl');
+      await recordTo(file);
+
+      const exchanges = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+      expect(exchanges.map(({ provider, prompt }) => [provider, prompt])).toEqual([
+        ['gemini', 'เขียนบทความ\nรถเกี่ยว'],
+        ['gemini', 'เขียนบทความ\nรถเกี่ยว'],
+        ['gemini', 'ตรวจ']
+      ]);
+      expect(exchanges[0].response).toEqual({ content: 'ร่างแรก', model: 'gemini-2.5-flash', usage: { total_tokens: 10 } });
+      expect(exchanges[2].error).toEqual({ status: 429, message: 'Quota exceeded' });
+    });
+
+    test('should replay recordings in order, including their errors', async () => {
+      const file = path.join(directory, 'session.jsonl');
+      await recordTo(file);
+      fs.appendFileSync(file, '{ cut short');
+
+      const provider = new MockProvider({ replayFile: file, mockOf: 'gemini' });
+
+      expect(await provider.generateResponse('เขียนบทความ รถเกี่ยว')).toMatchObject({ content: 'ร่างแรก', model: 'gemini-2.5-flash', source: 'replay' });
+      expect((await provider.generateResponse('เขียนบทความ รถเกี่ยว')).content).toBe('ร่างที่สอง');
+      expect((await provider.generateResponse('เขียนบทความ รถเกี่ยว')).content).toBe('ร่างที่สอง');
+      await expect(provider.generateResponse('ตรวจ')).rejects.toMatchObject({ status: 429, error: 'Quota exceeded' });
+      expect((await provider.generateResponse('อื่น')).source).toBe('echo');
+
+      const other = new MockProvider({ replayFile: file, mockOf: 'openai', replayStrict: true });
+      await expect(other.generateResponse('ตรวจ')).rejects.toMatchObject({ status: 404 });
+    });
+  });
+
+  describe('ProviderFactory', () => {
+    const withEnv = (env, callback) => {
+      const saved = { ...process.env };
+      Object.assign(process.env, env);
+      try {
+        jest.isolateModules(callback);
+      } finally {
+        process.env = saved;
+      }
+    };
+
+    test('should create the mock provider and stand it in for the providers listed in MOCK_AI_PROVIDERS', () => {
+      withEnv({ MOCK_AI_ENABLED: 'true', MOCK_AI_PROVIDERS: 'gemini', MOCK_AI_LATENCY_MS: '25' }, () => {
+        const ProviderFactory = require('../../ai/providers/factory/ProviderFactory');
+        const Mock = require('../../ai/providers/mock/MockProvider');
+
+        const mock = ProviderFactory.createProvider('mock');
+        const gemini = ProviderFactory.createProvider('gemini');
+
+        expect(ProviderFactory.providerClasses.MockProvider).toBe(Mock);
+        expect(mock).toBeInstanceOf(Mock);
+        expect(gemini).toBeInstanceOf(Mock);
+        expect(gemini).toMatchObject({ mockOf: 'gemini', latencyMs: 25 });
+        expect(gemini.circuitBreaker).toBeDefined();
+        expect(ProviderFactory.getAvailableProviders()).toEqual(expect.arrayContaining(['mock', 'gemini']));
+      });
+    });
+
+    test('should keep the mock provider disabled by default', () => {
+      withEnv({ MOCK_AI_ENABLED: '' }, () => {
+        const ProviderFactory = require('../../ai/providers/factory/ProviderFactory');
+
+        expect(() => ProviderFactory.createProvider('mock')).toThrow('Provider mock configuration is invalid');
+      });
+    });
+  });
+
+  describe('SwarmCouncil with mock members', () => {
+    test('should run the review-panel workflow offline', async () => {
+      const council = new SwarmCouncil();
+      council.isInitialized = true;
+      council.providers = {
+        gemini: new MockProvider({ mockOf: 'gemini', responses: [{ content: 'ร่างบทความ'.repeat(30) }] }),
+        deepseek: new MockProvider({ mockOf: 'deepseek', responses: [{ error: { status: 500, message: 'Model overloaded' } }] }),
+        chinda: new MockProvider({ mockOf: 'chinda', responses: [{ match: 'ร่างบทความ', content: 'ฉบับภาษาที่เกลาแล้ว' }] })
+      };
+
+      const result = await council.processContent('รถเกี่ยวข้าว', 'review-panel');
+
+      expect(result.status).toBe('completed');
+      expect(result.finalContent).toMatchObject({ content: 'ฉบับภาษาที่เกลาแล้ว' });
+      expect(result.steps.find(({ id }) => id === 'technical')).toMatchObject({ error: 'Model overloaded' });
+      expect(council.providers.chinda.calls[0].prompt).toContain('ร่างบทความ');
+    });
+  });
+});
@@ -0,0 +1,169 @@
+// Unit Tests for the self-hosted OpenAI-compatible provider: model discovery, requests, JSON modes and configuration
+const axios = require('axios');
+const { Readable } = require('stream');
+const OpenAICompatibleProvider = require('../../ai/providers/compatible/OpenAICompatibleProvider');
+const { estimateCost } = require('../../ai/providers/config/pricing.config');
+
+jest.mock('axios');
+
+const modelList = (...ids) => ({ data: { object: 'list', data: ids.map(id => ({ id, object: 'model', owned_by: 'library', created: 1700000000 })) } });
+const chatCompletion = (content, model = 'qwen3:8b') => ({ data: { model, choices: [{ message: { content }, finish_reason: 'stop' }], usage: { total_tokens: 12 } } });
+
+const ollama = (overrides = {}) => new OpenAICompatibleProvider({
+  name: 'Ollama',
+  apiKey: 'not-required',
+  baseURL: 'http://localhost:11434/v1',
+  ...overrides
+});
+
+describe('OpenAICompatibleProvider Unit Tests', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    axios.get.mockReset();
+    axios.post.mockReset();
+  });
+
+  describe('model discovery', () => {
+    test('should list the endpoint models and reuse the list until refreshed', async () => {
+      axios.get.mockResolvedValue(modelList('qwen3:8b', 'llama3.2:3b'));
+      const provider = ollama();
+
+      expect(await provider.listModels()).toEqual([
+        { id: 'qwen3:8b', ownedBy: 'library', created: 1700000000 },
+        { id: 'llama3.2:3b', ownedBy: 'library', created: 1700000000 }
+      ]);
+      await provider.listModels();
+      await provider.listModels({ refresh: true });
+
+      expect(axios.get).toHaveBeenCalledTimes(2);
+      expect(axios.get.mock.calls[0][0]).toBe('http://localhost:11434/v1/models');
+    });
+
+    test('should read llama.cpp style { models } lists', async () => {
+      axios.get.mockResolvedValue({ data: { models: [{ name: 'gemma-3-4b.gguf' }] } });
+
+      expect((await ollama().listModels()).map(({ id }) => id)).toEqual(['gemma-3-4b.gguf']);
+    });
+
+    test('should use the first listed model when none is configured', async () => {
+      axios.get.mockResolvedValue(modelList('qwen3:8b'));
+      axios.post.mockResolvedValue(chatCompletion('ร่างบทความ'));
+      const provider = ollama();
+
+      await provider.generateResponse('เขียนร่าง');
+      await provider.generateResponse('เขียนร่าง');
+
+      expect(provider.model).toBe('qwen3:8b');
+      expect(axios.post.mock.calls[0][1].model).toBe('qwen3:8b');
+      expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+
+    test('should fail clearly when the endpoint has no models', async () => {
+      axios.get.mockResolvedValue(modelList());
+
+      await expect(ollama().generateResponse('x')).rejects.toMatchObject({
+        error: expect.stringContaining('No models available at http://localhost:11434/v1'),
+        status: 500
+      });
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('generateResponse', () => {
+    test('should post a chat completion with the configured model, limits and headers', async () => {
+      axios.post.mockResolvedValue(chatCompletion('ร่างบทความ', 'meta-llama/Llama-3.1-8B-Instruct'));
+      const provider = ollama({ model: 'meta-llama/Llama-3.1-8B-Instruct', apiKey: 'vllm-key', maxTokens: 800, timeout: 5000, headers: { 'X-Tenant': 'rbck' } });
+
+      const response = await provider.generateResponse('เขียนร่าง', { temperature: 0.2 });
+
+      expect(response).toMatchObject({ content: 'ร่างบทความ', model: 'meta-llama/Llama-3.1-8B-Instruct', provider: 'Ollama', finishReason: 'stop' });
+      const [url, body, requestConfig] = axios.post.mock.calls[0];
+      expect(url).toBe('http://localhost:11434/v1/chat/completions');
+      expect(body).toEqual({
+        model: 'meta-llama/Llama-3.1-8B-Instruct',
+        messages: [{ role: 'user', content: 'เขียนร่าง' }],
+        max_tokens: 800,
+        temperature: 0.2,
+        stream: false
+      });
+      expect(requestConfig).toMatchObject({ timeout: 5000, headers: { Authorization: 'Bearer vllm-key', 'X-Tenant': 'rbck' } });
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    test('should send the configured JSON mode for structured output', async () => {
+      const structuredOutput = { name: 'seo structure', schema: { type: 'object', properties: { title: { type: 'string' } }, required: ['title'] } };
+      axios.post.mockResolvedValue(chatCompletion('{"title":"คู่มือรถไถ"}'));
+
+      const response = await ollama({ model: 'qwen3:8b' }).generateResponse('x', { structuredOutput });
+      await ollama({ model: 'qwen3:8b', jsonMode: 'json_object' }).generateResponse('x', { structuredOutput });
+      await ollama({ model: 'qwen3:8b', jsonMode: 'none' }).generateResponse('x', { structuredOutput });
+
+      expect(response.data).toEqual({ title: 'คู่มือรถไถ' });
+      expect(axios.post.mock.calls.map(([, body]) => body.response_format)).toEqual([
+        { type: 'json_schema', json_schema: { name: 'seo_structure', schema: structuredOutput.schema } },
+        { type: 'json_object' },
+        undefined
+      ]);
+    });
+
+    test('should stream OpenAI-style chunks as token events', async () => {
+      axios.post.mockResolvedValue({
+        data: Readable.from([
+          'data: {"model":"qwen3:8b","choices":[{"delta":{"content":"ร่าง"}}]}\n\n',
+          'data: {"choices":[{"delta":{"content":"แรก"},"finish_reason":"stop"}]}\n\n',
+          'data: [DONE]\n\n'
+        ])
+      });
+      const events = [];
+
+      for await (const event of ollama({ model: 'qwen3:8b' }).streamTokens('x')) {
+        events.push(event);
+      }
+
+      expect(axios.post.mock.calls[0][1].stream).toBe(true);
+      expect(events[events.length - 1]).toMatchObject({ type: 'done', content: 'ร่างแรก', model: 'qwen3:8b', finishReason: 'stop' });
+    });
+  });
+
+  describe('checkHealth', () => {
+    test('should report the served models, or the connection error', async () => {
+      axios.get.mockResolvedValueOnce(modelList('qwen3:8b')).mockRejectedValueOnce(new Error('connect ECONNREFUSED 127.0.0.1:11434'));
+      const provider = ollama();
+
+      expect(await provider.checkHealth()).toMatchObject({ status: 'healthy', model: 'qwen3:8b', models: ['qwen3:8b'] });
+      expect(await provider.checkHealth()).toEqual({ status: 'unhealthy', provider: 'Ollama', error: 'connect ECONNREFUSED 127.0.0.1:11434' });
+    });
+  });
+
+  describe('configuration', () => {
+    test('should be enabled by LOCAL_AI_BASE_URL and created by the factory', () => {
+      const saved = { ...process.env };
+      Object.assign(process.env, { LOCAL_AI_BASE_URL: 'http://gpu-box:8000/v1', LOCAL_AI_MODEL: 'Qwen/Qwen3-8B', LOCAL_AI_JSON_MODE: 'json_object' });
+      try {
+        jest.isolateModules(() => {
+          const ProviderFactory = require('../../ai/providers/factory/ProviderFactory');
+          const Provider = require('../../ai/providers/compatible/OpenAICompatibleProvider');
+
+          const provider = ProviderFactory.createProvider('local');
+
+          expect(provider).toBeInstanceOf(Provider);
+          expect(provider).toMatchObject({ baseURL: 'http://gpu-box:8000/v1', model: 'Qwen/Qwen3-8B', jsonMode: 'json_object', timeout: 120000 });
+        });
+      } finally {
+        process.env = saved;
+      }
+    });
+
+    test('should cost nothing per token', () => {
+      expect(estimateCost('local', 'qwen3:8b', 100000, 100000)).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,103 @@
+// Unit Tests for progress reporting and cancellation in the swarm and E-A-T pipelines
+const SwarmCouncil = require('../../ai/swarm/SwarmCouncil');
+const ParallelEATProcessor = require('../../ai/swarm/ParallelEATProcessor');
+
+// Call providers directly instead of recording them in the ledger or caching their answers
+jest.mock('../../services/AIRequestLedger', () => ({
+  track: (details, call) => call()
+}));
+jest.mock('../../services/PromptCache', () => ({
+  fetch: async (parts, call) => ({ response: await call(), cached: false, key: null })
+}));
+
+const fakeProvider = (output) => ({ model: 'test-model', generateContent: jest.fn().mockResolvedValue(output) });
+
+describe('Pipeline Progress Unit Tests', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  describe('SwarmCouncil.processContent', () => {
+    let council;
+
+    beforeEach(() => {
+      council = new SwarmCouncil();
+      council.isInitialized = true;
+      council.providers = { gemini: fakeProvider('ร่างแรก'), openai: fakeProvider('ฉบับตรวจแล้ว') };
+    });
+
+    test('should report every step against the members the workflow will consult', async () => {
+      const onProgress = jest.fn();
+
+      const result = await council.processContent('รถเกี่ยวข้าว', 'full', { onProgress });
+
+      expect(result.finalContent).toBe('ฉบับตรวจแล้ว');
+      expect(onProgress.mock.calls.map(([progress]) => progress)).toEqual([
+        { stage: 'นักสร้างสรรค์หลัก', provider: 'gemini', completed: 1, total: 2 },
+        { stage: 'ผู้ตรวจสอบคุณภาพ', provider: 'openai', completed: 2, total: 2 }
+      ]);
+    });
+
+    test('should record the prompt template version behind each step', async () => {
+      const result = await council.processContent('รถเกี่ยวข้าว', 'full');
+
+      expect(result.steps.map(step => step.template)).toEqual([
+        { name: 'swarm.full.create', version: 1 },
+        { name: 'swarm.full.review', version: 1 }
+      ]);
+      expect(result.metadata.templates).toEqual({ 'swarm.full.create': 1, 'swarm.full.review': 1 });
+      expect(council.providers.openai.generateContent).toHaveBeenCalledWith(expect.stringContaining('ร่างแรก'));
+    });
+
+    test('should stop after the current step when cancelled instead of degrading', async () => {
+      const controller = new AbortController();
+      const onProgress = jest.fn(() => controller.abort());
+
+      await expect(council.processContent('รถเกี่ยวข้าว', 'full', { signal: controller.signal, onProgress }))
+        .rejects.toMatchObject({ name: 'AbortError' });
+      expect(council.providers.openai.generateContent).not.toHaveBeenCalled();
+    });
+
+    test('should still degrade gracefully on provider errors', async () => {
+      council.providers.openai.generateContent.mockRejectedValue(new Error('Provider down'));
+
+      const result = await council.processContent('รถเกี่ยวข้าว', 'full');
+
+      expect(result.status).toBe('degraded');
+      expect(result.error).toBe('Provider down');
+    });
+  });
+
+  describe('ParallelEATProcessor.processEATContent', () => {
+    const providers = { claude: fakeProvider('<h1>คู่มือ</h1><p>เนื้อหา</p>') };
+    const pool = {
+      getProvider: (name) => providers[name] || null,
+      getAllProviders: () => new Map(Object.entries(providers))
+    };
+
+    test('should report each of the three stages', async () => {
+      const onProgress = jest.fn();
+
+      await new ParallelEATProcessor(pool).processEATContent('รถเกี่ยวข้าว', 'รถเกี่ยวข้าว', 'article', { onProgress });
+
+      expect(onProgress.mock.calls.map(([progress]) => [progress.stage, progress.completed, progress.total]))
+        .toEqual([['foundation', 1, 3], ['enhancement', 2, 3], ['finalization', 3, 3]]);
+      expect(onProgress.mock.calls[0][0].detail).toEqual({ tasks: 1, errors: 0 });
+    });
+
+    test('should stop between stages when cancelled', async () => {
+      const controller = new AbortController();
+      const onProgress = jest.fn(() => controller.abort());
+
+      await expect(new ParallelEATProcessor(pool).processEATContent('x', '', 'article', { signal: controller.signal, onProgress }))
+        .rejects.toMatchObject({ name: 'AbortError' });
+      expect(onProgress).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,166 @@
+// Unit Tests for strategy-based provider routing
+const { ProviderRouter, STRATEGIES } = require('../../ai/providers/routing/ProviderRouter');
+
+const provider = (overrides = {}) => ({
+  enabled: true,
+  apiKey: 'key',
+  baseURL: 'https://example.test',
+  model: 'model',
+  eatCapabilities: { expertise: 80, experience: 80, authoritativeness: 80, trustworthiness: 80 },
+  ...overrides
+});
+
+const configs = {
+  openai: provider({ model: 'gpt-4o', eatCapabilities: { expertise: 90, experience: 85, authoritativeness: 88, trustworthiness: 95 } }),
+  deepseek: provider({ model: 'deepseek-chat', eatCapabilities: { expertise: 80, experience: 70, authoritativeness: 75, trustworthiness: 75 } }),
+  gemini: provider({ model: 'gemini-2.5-flash' }),
+  chinda: provider({ apiKey: '' })
+};
+
+const prices = {
+  'gpt-4o': { input: 2.5, output: 10, source: 'model' },
+  'deepseek-chat': { input: 0.27, output: 1.1, source: 'model' },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5, source: 'model' }
+};
+
+describe('Provider Routing Unit Tests', () => {
+  let breakers;
+  let router;
+
+  const createRouter = (options = {}) => new ProviderRouter({
+    order: ['openai', 'claude', 'deepseek', 'chinda', 'gemini'],
+    getConfigs: () => configs,
+    getBreakerStatus: name => breakers[name] || null,
+    getPrice: (name, model) => prices[model] || null,
+    defaultStrategy: 'fallback',
+    ...options
+  });
+
+  beforeEach(() => {
+    breakers = {};
+    router = createRouter();
+  });
+
+  test('should keep the fixed fallback order by default', () => {
+    const decision = router.route({ requested: 'auto' });
+
+    expect(decision).toMatchObject({ provider: 'openai', isFallback: false });
+    expect(decision.explanation).toMatchObject({ strategy: 'fallback', provider: 'openai' });
+    expect(decision.explanation.candidates.find(c => c.provider === 'claude')).toMatchObject({ available: false, excludedReason: 'Not configured' });
+    expect(decision.explanation.candidates.find(c => c.provider === 'chinda')).toMatchObject({ available: false, excludedReason: 'Missing API key or base URL' });
+  });
+
+  test('should use an available requested provider whatever the strategy', () => {
+    expect(router.route({ requested: 'gemini', strategy: 'cheapest' })).toMatchObject({
+      provider: 'gemini',
+      isFallback: false,
+      explanation: { reason: 'Requested provider is available' }
+    });
+  });
+
+  test('should route around a requested provider whose circuit is open', () => {
+    breakers.gemini = { state: 'OPEN', nextAttempt: Date.now() + 30000, stats: {} };
+
+    const decision = router.route({ requested: 'gemini', strategy: 'cheapest' });
+
+    expect(decision).toMatchObject({ provider: 'deepseek', isFallback: true });
+    expect(decision.explanation.reason).toMatch(/^gemini unavailable \(Circuit breaker open \(retry in 30s\)\); Lowest price/);
+  });
+
+  test('should treat an open circuit past its retry time as available', () => {
+    breakers.openai = { state: 'OPEN', nextAttempt: Date.now() - 1000, stats: {} };
+
+    expect(router.route({}).provider).toBe('openai');
+  });
+
+  test('should pick the cheapest provider by blended price', () => {
+    const decision = router.route({ strategy: 'cheapest' });
+
+    expect(decision.provider).toBe('deepseek');
+    expect(decision.explanation.candidates.find(c => c.provider === 'deepseek').pricePerMillion).toBeCloseTo(0.685);
+    expect(decision.explanation.reason).toContain('Lowest price among 3 available provider(s)');
+  });
+
+  test('should prefer closed circuits over half-open ones', () => {
+    breakers.deepseek = { state: 'HALF_OPEN', nextAttempt: Date.now(), stats: {} };
+
+    expect(router.route({ strategy: 'cheapest' }).provider).toBe('gemini');
+  });
+
+  test('should pick the fastest provider from recorded latencies before breaker stats', () => {
+    breakers.openai = { state: 'CLOSED', stats: { averageResponseTime: 900 } };
+    breakers.deepseek = { state: 'CLOSED', stats: { averageResponseTime: 400 } };
+    router.recordLatency('gemini', 500);
+    router.recordLatency('gemini', 700);
+
+    const decision = router.route({ strategy: 'fastest' });
+
+    expect(decision.provider).toBe('deepseek');
+    expect(decision.explanation.candidates.find(c => c.provider === 'gemini')).toMatchObject({ latencyMs: 600, latencySource: 'rolling' });
+
+    router.recordLatency('openai', 100);
+    expect(router.route({ strategy: 'fastest' }).provider).toBe('openai');
+  });
+
+  test('should only average the latest calls in the latency window', () => {
+    router = createRouter({ latencyWindow: 2 });
+    [5000, 100, 300].forEach(ms => router.recordLatency('gemini', ms));
+
+    expect(router.getLatency('gemini', null)).toEqual({ latencyMs: 200, latencySource: 'rolling' });
+  });
+
+  test('should pick the highest E-A-T score, optionally for chosen dimensions', () => {
+    expect(router.route({ strategy: 'highest-quality' }).provider).toBe('openai');
+
+    configs.gemini.eatCapabilities.experience = 99;
+    try {
+      expect(router.route({ strategy: 'highest-quality', capabilities: ['experience'] }).provider).toBe('gemini');
+    } finally {
+      configs.gemini.eatCapabilities.experience = 80;
+    }
+  });
+
+  test('should spread requests by weight with weighted round-robin', () => {
+    router = createRouter({ weights: { gemini: 2 } });
+
+    const picks = Array.from({ length: 8 }, () => router.route({ strategy: 'weighted-round-robin' }).provider);
+
+    expect(picks.filter(name => name === 'gemini')).toHaveLength(4);
+    expect(picks.filter(name => name === 'openai')).toHaveLength(2);
+    expect(picks.filter(name => name === 'deepseek')).toHaveLength(2);
+  });
+
+  test('should keep the round-robin share of a provider while it is unavailable', () => {
+    router = createRouter({ weights: { gemini: 2 } });
+    router.route({ strategy: 'weighted-round-robin' });
+    router.route({ strategy: 'weighted-round-robin' });
+    router.route({ strategy: 'weighted-round-robin' });
+    const geminiCounter = router.roundRobinState.get('gemini');
+
+    breakers.gemini = { state: 'OPEN', nextAttempt: Date.now() + 30000, stats: {} };
+    router.route({ strategy: 'weighted-round-robin' });
+    router.route({ strategy: 'weighted-round-robin' });
+
+    expect(router.roundRobinState.get('gemini')).toBe(geminiCounter);
+  });
+
+  test('should not advance round-robin state for previews', () => {
+    const preview = router.route({ strategy: 'weighted-round-robin', preview: true });
+
+    expect(router.route({ strategy: 'weighted-round-robin' }).provider).toBe(preview.provider);
+  });
+
+  test('should return no provider when none is available', () => {
+    router = createRouter({ getConfigs: () => ({ chinda: configs.chinda }) });
+
+    expect(router.route({ strategy: 'fastest' })).toMatchObject({
+      provider: null,
+      explanation: { reason: 'No available providers' }
+    });
+  });
+
+  test('should reject unknown strategies', () => {
+    expect(STRATEGIES).toContain('weighted-round-robin');
+    expect(() => router.route({ strategy: 'random' })).toThrow('Unknown routing strategy: random');
+  });
+});
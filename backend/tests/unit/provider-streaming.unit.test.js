@@ -0,0 +1,161 @@
+// Unit Tests for normalized provider streaming
+const { Readable } = require('stream');
+const { readSSE, finalizeUsage } = require('../../ai/providers/base/streamEvents');
+const OpenAIProvider = require('../../ai/providers/openai/OpenAIProvider');
+const GeminiProvider = require('../../ai/providers/gemini/GeminiProvider');
+const DeepSeekProvider = require('../../ai/providers/deepseek/DeepSeekProvider');
+const ChindaAIProvider = require('../../ai/providers/chinda/ChindaAIProvider');
+
+const sse = (...payloads) => payloads.map(payload => `data: ${typeof payload === 'string' ? payload : JSON.stringify(payload)}\n\n`).join('');
+
+const chunk = (content, extra = {}) => ({
+  model: 'test-model',
+  choices: [{ delta: { content }, finish_reason: null }],
+  ...extra
+});
+
+const collect = async (iterable) => {
+  const events = [];
+  for await (const event of iterable) events.push(event);
+  return events;
+};
+
+describe('Provider Streaming Unit Tests', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  describe('readSSE', () => {
+    test('should join events split across network chunks', async () => {
+      const stream = Readable.from(['data: {"a"', ':1}\r\n\r\n: ping\n\nevent: x\ndata: line1\ndata: line2\n\ndata: [DONE]']);
+
+      expect(await collect(readSSE(stream))).toEqual(['{"a":1}', 'line1\nline2', '[DONE]']);
+    });
+
+    test('should decode Thai characters split across network chunks', async () => {
+      const bytes = Buffer.from(sse({ text: 'สวัสดีครับ' }));
+      // Cut inside the 3-byte encoding of every character
+      const pieces = [];
+      for (let offset = 0; offset < bytes.length; offset += 4) pieces.push(bytes.subarray(offset, offset + 4));
+
+      expect(await collect(readSSE(Readable.from(pieces)))).toEqual(['{"text":"สวัสดีครับ"}']);
+    });
+  });
+
+  describe('BaseProvider.parseTokenStream', () => {
+    let provider;
+
+    beforeAll(() => {
+      provider = new OpenAIProvider({ apiKey: 'test-key' });
+    });
+
+    test('should emit token events and a done event with provider usage', async () => {
+      const stream = Readable.from([sse(
+        chunk('สวัสดี'),
+        chunk(' ครับ'),
+        { model: 'test-model', choices: [{ delta: {}, finish_reason: 'stop' }], usage: { prompt_tokens: 3, completion_tokens: 2, total_tokens: 5 } },
+        '[DONE]'
+      )]);
+
+      const events = await collect(provider.parseTokenStream(stream, 'prompt'));
+
+      expect(events.slice(0, 2)).toEqual([
+        { type: 'token', content: 'สวัสดี' },
+        { type: 'token', content: ' ครับ' }
+      ]);
+      expect(events[2]).toMatchObject({
+        type: 'done',
+        content: 'สวัสดี ครับ',
+        model: 'test-model',
+        finishReason: 'stop',
+        cancelled: false,
+        usage: { promptTokens: 3, completionTokens: 2, totalTokens: 5, estimated: false }
+      });
+    });
+
+    test('should estimate usage when the provider reports none', async () => {
+      const stream = Readable.from([sse(chunk('hello world'), '[DONE]')]);
+
+      const events = await collect(provider.parseTokenStream(stream, 'a prompt'));
+
+      expect(events.pop().usage).toEqual(finalizeUsage(null, 'a prompt', 'hello world'));
+      expect(finalizeUsage(null, 'a prompt', 'hello world')).toMatchObject({ estimated: true, totalTokens: 5 });
+    });
+
+    test('should raise errors sent inside the stream', async () => {
+      const stream = Readable.from([sse({ error: { message: 'model overloaded' } })]);
+
+      await expect(collect(provider.parseTokenStream(stream, 'prompt'))).rejects.toThrow('model overloaded');
+    });
+
+    test('should stop and report a cancelled stream when the signal aborts', async () => {
+      const controller = new AbortController();
+      const stream = new Readable({ read() {} });
+      stream.push(sse(chunk('first')));
+
+      const events = [];
+      for await (const event of provider.parseTokenStream(stream, 'prompt', { signal: controller.signal })) {
+        events.push(event);
+        if (event.type === 'token') controller.abort();
+      }
+
+      expect(stream.destroyed).toBe(true);
+      expect(events.map(event => event.type)).toEqual(['token', 'done']);
+      expect(events[1]).toMatchObject({ cancelled: true, content: 'first' });
+    });
+  });
+
+  describe('provider chunk formats', () => {
+    test('should separate DeepSeek R1 reasoning from answer tokens', async () => {
+      const provider = new DeepSeekProvider({ apiKey: 'test-key' });
+      const stream = Readable.from([sse(
+        { choices: [{ delta: { reasoning_content: 'thinking…' } }] },
+        chunk('answer'),
+        '[DONE]'
+      )]);
+
+      const events = await collect(provider.parseTokenStream(stream, 'prompt'));
+
+      expect(events.map(event => event.type)).toEqual(['reasoning', 'token', 'done']);
+      expect(events[2].content).toBe('answer');
+    });
+
+    test('should read Gemini GenerateContentResponse chunks', async () => {
+      const provider = new GeminiProvider({ apiKey: 'test-key' });
+      const stream = Readable.from([sse(
+        { candidates: [{ content: { parts: [{ text: 'Hel' }, { text: 'lo' }] } }] },
+        {
+          candidates: [{ content: { parts: [{ text: '!' }] }, finishReason: 'STOP' }],
+          usageMetadata: { promptTokenCount: 4, candidatesTokenCount: 2, totalTokenCount: 6 }
+        }
+      )]);
+
+      const events = await collect(provider.parseTokenStream(stream, 'prompt'));
+
+      expect(events.pop()).toMatchObject({
+        content: 'Hello!',
+        finishReason: 'STOP',
+        usage: { promptTokens: 4, completionTokens: 2, totalTokens: 6, estimated: false }
+      });
+    });
+
+    test('should stream from ChindaX with cancellation support', async () => {
+      const provider = new ChindaAIProvider({ apiKey: 'test-key', baseURL: 'https://chinda.test/api' });
+      const signal = new AbortController().signal;
+      provider.client.post = jest.fn().mockResolvedValue({ data: Readable.from([sse(chunk('ok'), '[DONE]')]) });
+
+      const events = await collect(provider.streamTokens('prompt', { signal, maxTokens: 2000 }));
+
+      expect(provider.client.post).toHaveBeenCalledWith(
+        '/chat/completions',
+        expect.objectContaining({ stream: true, max_tokens: 2000 }),
+        expect.objectContaining({ responseType: 'stream', signal })
+      );
+      expect(events.map(event => event.type)).toEqual(['token', 'done']);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+// Unit Tests for structured JSON output: schema conversion, answer parsing, native JSON modes and re-prompting
+const axios = require('axios');
+const { jsonSchemaToZod, extractJSON, validateContent } = require('../../ai/providers/base/structuredOutput');
+const { SEO_STRUCTURE } = require('../../ai/prompts/outputSchemas');
+const OpenAIProvider = require('../../ai/providers/openai/OpenAIProvider');
+const GeminiProvider = require('../../ai/providers/gemini/GeminiProvider');
+const DeepSeekProvider = require('../../ai/providers/deepseek/DeepSeekProvider');
+const ClaudeProvider = require('../../ai/providers/claude/ClaudeProvider');
+
+jest.mock('axios');
+
+const schema = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', minLength: 5 },
+    tags: { type: 'array', items: { type: 'string' }, maxItems: 2 },
+    rating: { type: ['integer', 'null'], minimum: 1, maximum: 5 },
+    status: { enum: ['draft', 'ready'] }
+  },
+  required: ['title', 'status'],
+  additionalProperties: false
+};
+
+const chatCompletion = (content) => ({ data: { model: 'test-model', choices: [{ message: { content } }], usage: {} } });
+const geminiAnswer = (text) => ({ data: { candidates: [{ content: { parts: [{ text }] } }], usageMetadata: {} } });
+
+describe('Structured Output Unit Tests', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    axios.post.mockReset();
+  });
+
+  describe('jsonSchemaToZod', () => {
+    const validator = jsonSchemaToZod(schema);
+
+    test('should accept values that match the schema', () => {
+      expect(validator.safeParse({ title: 'รถเกี่ยวข้าว', status: 'draft', rating: null }).success).toBe(true);
+      expect(validator.safeParse({ title: 'รถเกี่ยวข้าว', status: 'ready', tags: ['a'], rating: 4 }).success).toBe(true);
+    });
+
+    test('should reject missing fields, bounds, enums and unknown keys', () => {
+      const invalid = (value) => validator.safeParse(value).error.errors.map(e => e.path.join('.'));
+
+      expect(invalid({ status: 'draft' })).toEqual(['title']);
+      expect(invalid({ title: 'สั้น', status: 'draft' })).toEqual(['title']);
+      expect(invalid({ title: 'รถเกี่ยวข้าว', status: 'published' })).toEqual(['status']);
+      expect(invalid({ title: 'รถเกี่ยวข้าว', status: 'draft', tags: ['a', 'b', 'c'] })).toEqual(['tags']);
+      expect(invalid({ title: 'รถเกี่ยวข้าว', status: 'draft', extra: true })).toEqual(['']);
+    });
+  });
+
+  describe('extractJSON', () => {
+    test('should read JSON wrapped in code fences, reasoning or prose', () => {
+      expect(extractJSON('```json\n{"a":1}\n```').value).toEqual({ a: 1 });
+      expect(extractJSON('<think>{"draft":true}</think>{"a":2}').value).toEqual({ a: 2 });
+      expect(extractJSON('นี่คือผลลัพธ์: {"a":3} หวังว่าจะช่วยได้').value).toEqual({ a: 3 });
+    });
+
+    test('should explain answers without JSON', () => {
+      expect(validateContent('ไม่มี JSON', jsonSchemaToZod(schema))).toEqual({
+        success: false,
+        errors: [{ field: '', message: 'Response is not valid JSON' }]
+      });
+      expect(extractJSON('   ').error).toBe('Empty response');
+    });
+  });
+
+  describe('BaseProvider.generateStructuredResponse', () => {
+    const structuredOutput = { name: 'post', schema };
+
+    test('should return the validated value with the native json_schema mode (OpenAI)', async () => {
+      axios.post.mockResolvedValue(chatCompletion('{"title":"คู่มือรถไถ","status":"ready"}'));
+
+      const response = await new OpenAIProvider({ apiKey: 'key' }).generateResponse('เขียนโพสต์', { structuredOutput });
+
+      expect(response.data).toEqual({ title: 'คู่มือรถไถ', status: 'ready' });
+      expect(response.structured).toEqual({ name: 'post', attempts: 1, nativeJsonMode: true });
+      const body = axios.post.mock.calls[0][1];
+      expect(body.response_format).toEqual({ type: 'json_schema', json_schema: { name: 'post', schema } });
+      expect(body.messages[0].content).toContain('"required": [');
+    });
+
+    test('should use each provider\'s own JSON mode', async () => {
+      axios.post.mockResolvedValueOnce(chatCompletion('{"title":"คู่มือรถไถ","status":"ready"}'));
+      await new DeepSeekProvider({ apiKey: 'key' }).generateResponse('x', { structuredOutput });
+      expect(axios.post.mock.calls[0][1].response_format).toEqual({ type: 'json_object' });
+
+      axios.post.mockResolvedValueOnce(geminiAnswer('{"title":"คู่มือรถไถ","status":"ready"}'));
+      await new GeminiProvider({ apiKey: 'key' }).generateResponse('x', { structuredOutput });
+      expect(axios.post.mock.calls[1][1].generationConfig).toMatchObject({ responseMimeType: 'application/json', responseJsonSchema: schema });
+
+      axios.post.mockResolvedValueOnce(chatCompletion('{"title":"คู่มือรถไถ","status":"ready"}'));
+      const response = await new ClaudeProvider({ apiKey: 'key' }).generateResponse('x', { structuredOutput });
+      expect(axios.post.mock.calls[2][1].response_format).toBeUndefined();
+      expect(response.structured.nativeJsonMode).toBe(false);
+    });
+
+    test('should re-prompt with the validation errors until the answer matches', async () => {
+      axios.post
+        .mockResolvedValueOnce(chatCompletion('{"title":"คู่มือรถไถ","status":"published"}'))
+        .mockResolvedValueOnce(chatCompletion('{"title":"คู่มือรถไถ","status":"draft"}'));
+
+      const response = await new OpenAIProvider({ apiKey: 'key' }).generateResponse('เขียนโพสต์', { structuredOutput });
+
+      expect(response.structured.attempts).toBe(2);
+      const repairPrompt = axios.post.mock.calls[1][1].messages[0].content;
+      expect(repairPrompt).toContain('เขียนโพสต์');
+      expect(repairPrompt).toContain('"status":"published"');
+      expect(repairPrompt).toContain('- status: ');
+    });
+
+    test('should give up after maxAttempts with the last validation errors', async () => {
+      axios.post.mockResolvedValue(chatCompletion('ขออภัย ไม่สามารถตอบเป็น JSON ได้'));
+
+      await expect(new OpenAIProvider({ apiKey: 'key' }).generateResponse('x', { structuredOutput: { ...structuredOutput, maxAttempts: 2 } }))
+        .rejects.toMatchObject({
+          name: 'StructuredOutputError',
+          attempts: 2,
+          validationErrors: [{ field: '', message: 'Response is not valid JSON' }],
+          content: 'ขออภัย ไม่สามารถตอบเป็น JSON ได้'
+        });
+      expect(axios.post).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('SEO_STRUCTURE', () => {
+    test('should require the title, meta description and body', () => {
+      const result = validateContent('{"title":"วิธีดูแลรถเกี่ยวข้าว"}', jsonSchemaToZod(SEO_STRUCTURE.schema));
+
+      expect(result.errors.map(error => error.field)).toEqual(['metaDescription', 'body']);
+    });
+  });
+});
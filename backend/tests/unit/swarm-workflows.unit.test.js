@@ -0,0 +1,252 @@
+// Unit Tests for declarative swarm workflows: loading, validation, dry-run plans and the council runner
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SwarmCouncil = require('../../ai/swarm/SwarmCouncil');
+const swarmWorkflows = require('../../ai/swarm/workflows/SwarmWorkflowRegistry');
+
+const { SwarmWorkflowRegistry, mergeOutputs, stopReason } = swarmWorkflows;
+
+// Call providers directly instead of recording them in the ledger or caching their answers
+jest.mock('../../services/AIRequestLedger', () => ({
+  track: (details, call) => call()
+}));
+jest.mock('../../services/PromptCache', () => ({
+  fetch: async (parts, call) => ({ response: await call(), cached: false, key: null })
+}));
+
+const step = (id, provider, overrides = {}) => ({ id, role: id, provider, template: 'swarm.full.review', ...overrides });
+
+const panel = {
+  name: 'panel',
+  steps: [
+    step('draft', 'gemini', { template: 'swarm.full.create', input: 'prompt' }),
+    { id: 'reviews', merge: 'longest', parallel: [step('technical', 'deepseek'), step('cultural', 'chinda')] }
+  ]
+};
+
+const fakeProvider = (output) => ({ model: 'test-model', generateContent: jest.fn().mockResolvedValue(output) });
+
+describe('Swarm Workflow Unit Tests', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('SwarmWorkflowRegistry', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'swarm-workflows-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should load the built-in workflows without errors', () => {
+      const registry = new SwarmWorkflowRegistry();
+      const { errors } = registry.load();
+
+      expect(errors).toEqual([]);
+      expect(registry.names()).toEqual(expect.arrayContaining(['full', 'create', 'review', 'optimize', 'review-panel']));
+      expect(registry.get('full').steps.map(({ provider }) => provider)).toEqual(['gemini', 'openai', 'claude', 'deepseek', 'chinda']);
+    });
+
+    test('should reject definitions with duplicate ids, unknown templates or a first step without content', () => {
+      const result = new SwarmWorkflowRegistry().validate({
+        name: 'broken',
+        steps: [
+          step('draft', 'gemini'),
+          { id: 'draft', parallel: [step('a', 'openai', { template: 'swarm.missing' }), step('b', 'deepseek')] }
+        ]
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.errors).toEqual([
+        { field: 'steps.0.input', message: expect.stringContaining('input "prompt"') },
+        { field: 'steps.1.id', message: 'Duplicate step id: draft' },
+        { field: 'steps.1.parallel.0.template', message: 'Unknown prompt template: swarm.missing' }
+      ]);
+    });
+
+    test('should reject templates that need variables workflows cannot supply', () => {
+      const result = new SwarmWorkflowRegistry().validate({
+        name: 'eat',
+        steps: [step('foundation', 'gemini', { template: 'eat.foundation', input: 'prompt' })]
+      });
+
+      expect(result.errors).toEqual([{ field: 'steps.0.template', message: expect.stringContaining('{{topic}}') }]);
+    });
+
+    test('should skip invalid files and let custom files replace built-ins', () => {
+      fs.writeFileSync(path.join(directory, 'create.json'), JSON.stringify({
+        name: 'create',
+        steps: [step('draft', 'openai', { template: 'swarm.create', input: 'prompt' })]
+      }));
+      fs.writeFileSync(path.join(directory, 'bad.json'), JSON.stringify({ name: 'bad', steps: [] }));
+      fs.writeFileSync(path.join(directory, 'notes.json'), '{ not json');
+
+      const registry = new SwarmWorkflowRegistry({ directories: [path.join(__dirname, '../../ai/swarm/workflows/definitions'), directory] });
+      const { errors } = registry.load();
+
+      expect(errors.map(({ file }) => path.basename(file))).toEqual(['bad.json', 'notes.json']);
+      expect(registry.has('bad')).toBe(false);
+      expect(registry.get('create')).toMatchObject({ source: 'custom', steps: [{ provider: 'openai' }] });
+    });
+
+    test('should warn about steps for providers that are not configured', () => {
+      fs.writeFileSync(path.join(directory, 'panel.json'), JSON.stringify(panel));
+
+      const registry = new SwarmWorkflowRegistry({ directories: [directory], getProviderNames: () => ['gemini', 'deepseek'] });
+
+      expect(registry.list().workflows[0].warnings).toEqual(['Provider chinda is not configured; step cultural will be skipped']);
+    });
+
+    test('should plan the execution graph without calling providers', () => {
+      fs.writeFileSync(path.join(directory, 'panel.json'), JSON.stringify(panel));
+      const registry = new SwarmWorkflowRegistry({ directories: [directory] });
+
+      const plan = registry.plan('panel', { availableProviders: ['gemini', 'deepseek'] });
+
+      expect(plan.stages.map(stage => [stage.id, stage.type, stage.merge])).toEqual([
+        ['draft', 'step', undefined],
+        ['reviews', 'parallel', 'longest']
+      ]);
+      expect(plan.stages[0].steps[0].template).toEqual({ name: 'swarm.full.create', version: 1, source: 'built-in' });
+      expect(plan.stages[1].steps.map(({ id, willRun, skipReason }) => [id, willRun, skipReason])).toEqual([
+        ['technical', true, null],
+        ['cultural', false, 'Provider not available']
+      ]);
+      expect(plan.edges).toEqual([
+        { from: 'input', to: 'draft' },
+        { from: 'draft', to: 'technical' },
+        { from: 'technical', to: 'output' }
+      ]);
+      expect(plan.estimatedCalls).toBe(2);
+      expect(registry.plan('missing')).toBeNull();
+    });
+
+    test('should skip content steps in the plan when nothing before them can run', () => {
+      fs.writeFileSync(path.join(directory, 'panel.json'), JSON.stringify(panel));
+
+      const plan = new SwarmWorkflowRegistry({ directories: [directory] }).plan('panel', { availableProviders: ['deepseek'] });
+
+      expect(plan.stages[1].steps[0].skipReason).toBe('No output from earlier steps to work on');
+      expect(plan.estimatedCalls).toBe(0);
+      expect(plan.warnings).toContain('No step can run with the available providers');
+    });
+  });
+
+  describe('helpers', () => {
+    test('should merge parallel outputs by strategy, ignoring failed branches', () => {
+      expect(mergeOutputs([null, 'ข้อ', 'ข้อความยาว'], 'first')).toBe('ข้อ');
+      expect(mergeOutputs(['ข้อ', null, 'ข้อความยาว'], 'longest')).toBe('ข้อความยาว');
+      expect(mergeOutputs(['หนึ่ง', 'สอง'], 'concatenate')).toBe('หนึ่ง\n\n---\n\nสอง');
+      expect(mergeOutputs([null, null], 'longest')).toBeNull();
+      expect(mergeOutputs([{ content: 'ยาวกว่านี้' }, 'สั้น'], 'concatenate')).toBe('ยาวกว่านี้\n\n---\n\nสั้น');
+    });
+
+    test('should explain which stop condition matched', () => {
+      expect(stopReason('APPROVED as is', { contains: 'APPROVED' })).toBe('Output contains "APPROVED"');
+      expect(stopReason('คะแนน 9/10', { matches: '[89]/10' })).toBe('Output matches /[89]/10/');
+      expect(stopReason('สั้น', { shorterThan: 10 })).toBe('Output is shorter than 10 characters');
+      expect(stopReason('ยาวพอแล้วสำหรับการตรวจ', { shorterThan: 10 })).toBeNull();
+      expect(stopReason('anything', undefined)).toBeNull();
+    });
+  });
+
+  describe('SwarmCouncil.processContent', () => {
+    let council;
+
+    const runWith = (definition, options) => {
+      const validation = swarmWorkflows.validate(definition);
+      expect(validation.errors).toBeUndefined();
+      jest.spyOn(swarmWorkflows, 'get').mockReturnValueOnce(validation.data);
+      return council.processContent('รถเกี่ยวข้าว', definition.name, options);
+    };
+
+    beforeEach(() => {
+      council = new SwarmCouncil();
+      council.isInitialized = true;
+      council.providers = {
+        gemini: fakeProvider('ร่างแรก'),
+        deepseek: fakeProvider('ฉบับตรวจเทคนิคที่ละเอียด'),
+        chinda: fakeProvider('ฉบับภาษา')
+      };
+    });
+
+    test('should run parallel steps on the same content and keep the merged output', async () => {
+      const onProgress = jest.fn();
+
+      const result = await runWith(panel, { onProgress });
+
+      expect(result.status).toBe('completed');
+      expect(result.finalContent).toBe('ฉบับตรวจเทคนิคที่ละเอียด');
+      expect(council.providers.chinda.generateContent).toHaveBeenCalledWith(expect.stringContaining('ร่างแรก'));
+      expect(result.steps.map(({ step: number, id }) => [number, id])).toEqual([[1, 'draft'], [2, 'technical'], [3, 'cultural']]);
+      expect(onProgress.mock.calls.map(([progress]) => progress.total)).toEqual([3, 3, 3]);
+    });
+
+    test('should skip steps whose provider is not in the council', async () => {
+      delete council.providers.chinda;
+
+      const result = await runWith(panel);
+
+      expect(result.skippedSteps).toEqual([{ id: 'cultural', provider: 'chinda', reason: 'Provider not available' }]);
+      expect(result.steps).toHaveLength(2);
+    });
+
+    test('should stop early when a stop condition matches', async () => {
+      const result = await runWith({
+        ...panel,
+        steps: [{ ...panel.steps[0], stopIf: { shorterThan: 20 } }, panel.steps[1]]
+      });
+
+      expect(result.stoppedEarly).toEqual({ after: 'draft', reason: 'Output is shorter than 20 characters' });
+      expect(result.finalContent).toBe('ร่างแรก');
+      expect(council.providers.deepseek.generateContent).not.toHaveBeenCalled();
+    });
+
+    test('should record failed steps and carry on when they may continue', async () => {
+      council.providers.deepseek.generateContent.mockRejectedValue(new Error('Provider down'));
+      const definition = {
+        ...panel,
+        steps: [panel.steps[0], { ...panel.steps[1], parallel: panel.steps[1].parallel.map(branch => ({ ...branch, onError: 'continue' })) }]
+      };
+
+      const result = await runWith(definition);
+
+      expect(result.status).toBe('completed');
+      expect(result.finalContent).toBe('ฉบับภาษา');
+      expect(result.steps.find(({ id }) => id === 'technical')).toMatchObject({ error: 'Provider down' });
+    });
+
+    test('should pass the text of response objects on to the next step', async () => {
+      council.providers.gemini = fakeProvider({ content: 'ร่างแรกจากโมเดล', model: 'test-model' });
+      council.providers.deepseek.generateContent.mockRejectedValue({ error: 'Quota exceeded', status: 429 });
+      const definition = {
+        ...panel,
+        steps: [panel.steps[0], { ...panel.steps[1], parallel: panel.steps[1].parallel.map(branch => ({ ...branch, onError: 'continue' })) }]
+      };
+
+      const result = await runWith(definition);
+
+      expect(council.providers.chinda.generateContent).toHaveBeenCalledWith(expect.stringContaining('ร่างแรกจากโมเดล'));
+      expect(result.steps.find(({ id }) => id === 'technical')).toMatchObject({ error: 'Quota exceeded' });
+    });
+
+    test('should fail unknown workflows with the available names', async () => {
+      const result = await council.processContent('รถเกี่ยวข้าว', 'publish');
+
+      expect(result.status).toBe('failed');
+      expect(result.error).toContain('Available workflows: ');
+      expect(result.error).toContain('review-panel');
+    });
+  });
+});
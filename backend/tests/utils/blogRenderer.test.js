@@ -0,0 +1,126 @@
+/**
+ * Blog Renderer Tests
+ * Server-rendered public post page and social meta tags
+ */
+
+const { renderPostPage, renderMetaTags, renderMessagePage, escapeHtml } = require('../../utils/blogRenderer');
+const { buildStructuredData } = require('../../utils/structuredData');
+const { Post } = require('../../models/Post');
+
+const site = {
+  name: 'ระเบียบการช่าง',
+  url: 'https://example.com',
+  locale: 'th_TH',
+  defaultImage: null,
+  twitterHandle: '@rbck'
+};
+
+const post = {
+  id: 7,
+  titleTH: 'วิธีเปลี่ยนสายพานรถเกี่ยวข้าว',
+  titleEN: 'Replacing a Harvester Belt',
+  slug: 'replace-belt',
+  content: '<h3>ขั้นตอน</h3><p>ดับเครื่องก่อนทุกครั้ง</p>',
+  excerpt: 'ขั้นตอนเปลี่ยนสายพานอย่างปลอดภัย',
+  author: 'ช่างสมชาย',
+  category: 'repair',
+  tags: ['สายพาน', 'ซ่อม'],
+  status: 'published',
+  views: 3,
+  reading_time: 4,
+  createdAt: '2024-03-01T00:00:00.000Z',
+  updatedAt: '2024-03-02T00:00:00.000Z'
+};
+
+describe('blogRenderer', () => {
+  it('should escape HTML special characters', () => {
+    expect(escapeHtml('<a href="x">\'&\'</a>')).toBe('&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+  });
+
+  it('should build canonical, Open Graph and Twitter tags', () => {
+    const meta = renderMetaTags(post, site);
+
+    expect(meta.title).toBe('วิธีเปลี่ยนสายพานรถเกี่ยวข้าว | ระเบียบการช่าง');
+    expect(meta.tags).toContain('<link rel="canonical" href="https://example.com/blog/replace-belt">');
+    expect(meta.tags).toContain('<meta property="og:type" content="article">');
+    expect(meta.tags).toContain('<meta property="og:description" content="ขั้นตอนเปลี่ยนสายพานอย่างปลอดภัย">');
+    expect(meta.tags).toContain('<meta property="article:tag" content="สายพาน">');
+    expect(meta.tags).toContain('<meta name="twitter:card" content="summary">');
+    expect(meta.tags).toContain('<meta name="twitter:site" content="@rbck">');
+  });
+
+  it('should prefer the post canonical URL and featured image', () => {
+    const meta = renderMetaTags({
+      ...post,
+      canonicalUrl: 'https://other.example/belt',
+      featured_image_url: 'https://cdn.example/belt.jpg'
+    }, site);
+
+    expect(meta.tags).toContain('href="https://other.example/belt"');
+    expect(meta.tags).toContain('<meta property="og:image" content="https://cdn.example/belt.jpg">');
+    expect(meta.tags).toContain('<meta name="twitter:card" content="summary_large_image">');
+  });
+
+  it('should render the full post page', () => {
+    const html = renderPostPage(post, site);
+
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain('<h1>วิธีเปลี่ยนสายพานรถเกี่ยวข้าว</h1>');
+    expect(html).toContain('<p>ดับเครื่องก่อนทุกครั้ง</p>');
+    expect(html).toContain('โดย: ช่างสมชาย');
+    expect(html).toContain('การซ่อมแซม');
+    expect(html).toContain('อ่าน 4 นาที');
+    expect(html).toContain('ดู: 3 ครั้ง');
+    expect(html).toContain('<span class="tag">ซ่อม</span>');
+  });
+
+  it('should embed the JSON-LD so text in it cannot close the script', () => {
+    const { jsonLd } = buildStructuredData({ ...post, titleTH: 'สายพาน </script><script>alert(1)</script>' }, site);
+    const html = renderPostPage(post, site, jsonLd);
+    const [, json] = html.match(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/);
+
+    expect(html.match(/<script/g)).toHaveLength(1);
+    expect(JSON.parse(json)).toEqual(jsonLd);
+    expect(renderPostPage(post, site)).not.toContain('application/ld+json');
+  });
+
+  it('should escape user-controlled fields in the page', () => {
+    const html = renderPostPage({ ...post, titleTH: '<script>alert(1)</script>' }, site);
+
+    expect(html).not.toContain('<script>alert(1)</script>');
+    expect(html).toContain('&lt;script&gt;');
+  });
+
+  it('should render the English version with hreflang alternates', () => {
+    const translated = {
+      ...post,
+      slugEN: 'replacing-a-belt',
+      contentEN: '<p>Switch the engine off first.</p>',
+      excerptEN: 'Replacing the belt safely'
+    };
+    const html = renderPostPage(Post.localize(translated, 'en'), site);
+
+    expect(html).toContain('<html lang="en">');
+    expect(html).toContain('<h1>Replacing a Harvester Belt</h1>');
+    expect(html).toContain('<p lang="th">วิธีเปลี่ยนสายพานรถเกี่ยวข้าว</p>');
+    expect(html).toContain('By: ช่างสมชาย');
+    expect(html).toContain('<link rel="canonical" href="https://example.com/blog/replacing-a-belt">');
+    expect(html).toContain('<link rel="alternate" hreflang="th" href="https://example.com/blog/replace-belt">');
+    expect(html).toContain('<link rel="alternate" hreflang="x-default" href="https://example.com/blog/replace-belt">');
+    expect(html).toContain('<meta property="og:locale" content="en_US">');
+    expect(html).toContain('<meta property="og:locale:alternate" content="th_TH">');
+    expect(html).toContain('อ่านภาษาไทย');
+
+    // The Thai page links to the English one
+    expect(renderPostPage(translated, site)).toContain('hreflang="en" href="https://example.com/blog/replacing-a-belt"');
+    // No hreflang links without a translation
+    expect(renderPostPage(post, site)).not.toContain('hreflang=');
+  });
+
+  it('should render noindex message pages', () => {
+    const html = renderMessagePage('ไม่พบบทความที่ต้องการ', 'ขออภัย', site);
+
+    expect(html).toContain('<meta name="robots" content="noindex">');
+    expect(html).toContain('<h1>ไม่พบบทความที่ต้องการ</h1>');
+  });
+});
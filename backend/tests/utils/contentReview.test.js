@@ -0,0 +1,122 @@
+/**
+ * Content Review Tests
+ * Pre-publish findings: numeric claims, safety advice, prohibited terms and part numbers
+ */
+
+const {
+  reviewContent, mergeFindings, acknowledgeFindings, unacknowledged, summarizeFindings
+} = require('../../utils/contentReview');
+
+const findingsOf = (post, options) => reviewContent(post, options).map(({ type, rule, field, match }) => ({ type, rule, field, match }));
+
+describe('Content Review', () => {
+  it('should leave ordinary maintenance advice alone', () => {
+    expect(reviewContent({
+      titleTH: 'วิธีเปลี่ยนสายพานรถเกี่ยวข้าว',
+      content: '<p>ดับเครื่องยนต์ก่อนเปลี่ยนสายพานทุกครั้ง</p><p>ตรวจสอบความตึงอย่างน้อยเดือนละครั้ง</p>'
+    })).toEqual([]);
+  });
+
+  describe('numeric claims', () => {
+    it('should flag figures without a source, statistics more severely', () => {
+      const findings = reviewContent({
+        content: '<p>รุ่นนี้ประหยัดน้ำมันได้ 30%</p><p>ขันน็อตล้อ 120 Nm</p>'
+      });
+
+      expect(findings.map(({ match, severity }) => [match, severity])).toEqual([['30%', 'medium'], ['120 Nm', 'low']]);
+    });
+
+    it('should accept figures with a citation or a linked source', () => {
+      expect(reviewContent({
+        content: '<p>ตามคู่มือผู้ผลิต ขันน็อตล้อ 120 Nm</p>' +
+          '<p>ประหยัดน้ำมัน 30% <a href="https://example.com/test-report">ผลทดสอบ</a></p>'
+      })).toEqual([]);
+    });
+  });
+
+  describe('safety advice', () => {
+    it('should flag dangerous instructions in Thai and English', () => {
+      const findings = findingsOf({
+        content: '<p>ถ้าฟางติด ให้ใช้มือดึงฟางออกขณะเครื่องยังทำงาน</p><p>ใช้มือคลำหารอยรั่วของท่อไฮดรอลิก</p>',
+        contentEN: '<p>Refuel while the engine is running to save time.</p>'
+      });
+
+      expect(findings).toEqual([
+        { type: 'safety', rule: 'work-while-running', field: 'content', match: 'ดึงฟางออกขณะเครื่องยังทำงาน' },
+        { type: 'safety', rule: 'hand-leak-check', field: 'content', match: 'ใช้มือคลำหารอยรั่ว' },
+        { type: 'safety', rule: 'hot-refuel', field: 'contentEN', match: 'Refuel while the engine is running' }
+      ]);
+      expect(reviewContent({ content: '<p>ใช้มือคลำหารอยรั่ว</p>' })[0].severity).toBe('high');
+    });
+
+    it('should not flag warnings against the same acts', () => {
+      expect(reviewContent({
+        content: '<p>ห้ามเปิดฝาหม้อน้ำขณะเครื่องร้อน</p><p>อย่าใช้มือคลำหารอยรั่ว</p>' +
+          '<p>มุดใต้รถที่ยกด้วยแม่แรงได้เมื่อมีขาตั้งค้ำแล้วเท่านั้น</p>',
+        contentEN: '<p>Never reach into the header while the engine is running.</p>'
+      })).toEqual([]);
+    });
+  });
+
+  describe('prohibited terms', () => {
+    it('should flag built-in and configured terms', () => {
+      const findings = findingsOf(
+        { titleTH: 'รถไถดีที่สุดในโลก', excerpt: 'อะไหล่แท้ 100% ส่งไว' },
+        { prohibitedTerms: ['แท้ 100%'] }
+      );
+
+      expect(findings).toEqual(expect.arrayContaining([
+        { type: 'prohibited-term', rule: 'ดีที่สุดในโลก', field: 'titleTH', match: 'ดีที่สุดในโลก' },
+        { type: 'prohibited-term', rule: 'แท้ 100%', field: 'excerpt', match: 'แท้ 100%' }
+      ]));
+    });
+  });
+
+  describe('part numbers', () => {
+    it('should flag part numbers, but not year ranges', () => {
+      const findings = findingsOf({ content: '<p>ใช้ไส้กรอง 5T051-51110 หรือ RE504836 กับรุ่นปี 2018-2020</p>' });
+
+      expect(findings.filter(({ type }) => type === 'part-number').map(({ match }) => match)).toEqual(['5T051-51110', 'RE504836']);
+    });
+
+    it('should accept part numbers found in the parts catalog', () => {
+      const findings = reviewContent(
+        { content: 'Part No: 5T051-51110 and P/N W9501-31150' },
+        { partsCatalog: new Set(['5T051-51110']) }
+      );
+
+      expect(findings.map(({ match, severity }) => [match, severity])).toEqual([['W9501-31150', 'high']]);
+    });
+  });
+
+  describe('acknowledgements', () => {
+    const post = { content: '<p>ประหยัดน้ำมันได้ 30%</p><p>ใช้ไส้กรอง 5T051-51110</p>' };
+
+    it('should keep acknowledgements while the flagged sentence is unchanged', () => {
+      const [claim, part] = reviewContent(post);
+      const { findings, unknown } = acknowledgeFindings([claim, part], [claim.id, 'missing'], { by: 'editor', note: 'ผลทดสอบภายใน' });
+
+      expect(unknown).toEqual(['missing']);
+      expect(findings[0]).toMatchObject({ acknowledged: true, acknowledgedBy: 'editor', note: 'ผลทดสอบภายใน' });
+      expect(unacknowledged(findings)).toEqual([part]);
+
+      const edited = mergeFindings(findings, reviewContent({ content: `${post.content}<p>ใช้ไส้กรอง 5T051-51120</p>` }));
+      expect(edited.map(({ acknowledged }) => acknowledged)).toEqual([true, false, false]);
+
+      const rewritten = mergeFindings(findings, reviewContent({ content: '<p>ประหยัดน้ำมันได้ถึง 35%</p>' }));
+      expect(rewritten[0].acknowledged).toBe(false);
+    });
+
+    it('should summarize what still blocks publishing', () => {
+      const findings = reviewContent({ content: '<p>ประหยัดน้ำมันได้ 30%</p><p>ใช้มือคลำหารอยรั่ว</p>' });
+
+      expect(summarizeFindings(findings)).toEqual({
+        total: 2,
+        unacknowledged: 2,
+        bySeverity: { high: 1, medium: 1, low: 0 },
+        blocking: true
+      });
+      expect(summarizeFindings(acknowledgeFindings(findings, findings.map(({ id }) => id)).findings).blocking).toBe(false);
+    });
+  });
+});
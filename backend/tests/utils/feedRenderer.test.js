@@ -0,0 +1,108 @@
+/**
+ * Feed Renderer Tests
+ * sitemap.xml, RSS/Atom feeds and robots.txt
+ */
+
+const {
+  getAlternates,
+  renderSitemap,
+  renderRssFeed,
+  renderAtomFeed,
+  renderRobots
+} = require('../../utils/feedRenderer');
+
+const site = {
+  name: 'ระเบียบการช่าง',
+  url: 'https://example.com',
+  description: 'คู่มือรถเกี่ยวข้าว',
+  robots: { disallow: ['/admin/', '/api/'] }
+};
+
+const posts = [
+  {
+    id: 2,
+    titleTH: 'วิธีเปลี่ยนสายพาน & ลูกรอก',
+    titleEN: 'Replacing a Belt',
+    slug: 'replace-belt',
+    slugEN: 'replacing-a-belt',
+    contentEN: '<p>Switch the engine off first.</p>',
+    excerptEN: 'Replacing the belt safely',
+    excerpt: 'ขั้นตอนเปลี่ยนสายพาน <อย่างปลอดภัย>',
+    author: 'ช่างสมชาย',
+    category: 'repair',
+    tags: ['สายพาน'],
+    createdAt: '2024-03-01T00:00:00.000Z',
+    updatedAt: '2024-03-05T00:00:00.000Z'
+  },
+  {
+    id: 1,
+    titleTH: 'ตรวจเช็คน้ำมันเครื่อง',
+    slug: 'engine-oil',
+    content: '<p>ตรวจทุกวัน</p>',
+    createdAt: '2024-02-01T00:00:00.000Z'
+  }
+];
+
+describe('Feed Renderer', () => {
+  describe('renderSitemap', () => {
+    it('should list the home page and every post with lastmod', () => {
+      const xml = renderSitemap(posts, site);
+
+      expect(xml).toContain('<loc>https://example.com/</loc>');
+      expect(xml).toContain('<loc>https://example.com/blog/replace-belt</loc>');
+      expect(xml).toContain('<lastmod>2024-03-05T00:00:00.000Z</lastmod>');
+      // Falls back to createdAt when the post was never updated
+      expect(xml).toContain('<lastmod>2024-02-01T00:00:00.000Z</lastmod>');
+    });
+
+    it('should add an English alternate only when the translation is complete', () => {
+      expect(getAlternates(posts[0], site).map(alt => alt.hreflang)).toEqual(['th', 'en', 'x-default']);
+      expect(getAlternates({ ...posts[0], contentEN: undefined }, site).map(alt => alt.hreflang)).toEqual(['th', 'x-default']);
+      expect(getAlternates(posts[1], site).map(alt => alt.hreflang)).toEqual(['th', 'x-default']);
+
+      const xml = renderSitemap(posts, site);
+      expect(xml).toContain('<loc>https://example.com/blog/replacing-a-belt</loc>');
+      expect(xml).toContain('hreflang="en" href="https://example.com/blog/replacing-a-belt"');
+      expect(xml).toContain('hreflang="x-default" href="https://example.com/blog/replace-belt"');
+    });
+  });
+
+  describe('renderRssFeed', () => {
+    it('should render escaped RSS 2.0 items', () => {
+      const xml = renderRssFeed(posts, site);
+
+      expect(xml).toContain('<rss version="2.0"');
+      expect(xml).toContain('<title>วิธีเปลี่ยนสายพาน &amp; ลูกรอก</title>');
+      expect(xml).toContain('<description>ขั้นตอนเปลี่ยนสายพาน &lt;อย่างปลอดภัย&gt;</description>');
+      expect(xml).toContain('<pubDate>Fri, 01 Mar 2024 00:00:00 GMT</pubDate>');
+      expect(xml).toContain('<category>การซ่อมแซม</category>');
+      expect(xml).toContain('<description>ตรวจทุกวัน</description>');
+    });
+  });
+
+  describe('renderAtomFeed', () => {
+    it('should render Atom entries with the newest update as feed time', () => {
+      const xml = renderAtomFeed(posts, site);
+
+      expect(xml).toContain('<feed xmlns="http://www.w3.org/2005/Atom"');
+      expect(xml).toContain('<updated>2024-03-05T00:00:00.000Z</updated>');
+      expect(xml).toContain('<id>https://example.com/blog/engine-oil</id>');
+      expect(xml).toContain('<author><name>ระเบียบการช่าง</name></author>');
+    });
+  });
+
+  describe('renderRobots', () => {
+    it('should list configured rules and the sitemap', () => {
+      expect(renderRobots(site)).toBe(
+        'User-agent: *\nDisallow: /admin/\nDisallow: /api/\n\nSitemap: https://example.com/sitemap.xml\n'
+      );
+    });
+
+    it('should block everything when disallowAll is set', () => {
+      const robots = renderRobots({ ...site, robots: { disallowAll: true, extra: 'User-agent: GPTBot\\nDisallow: /' } });
+
+      expect(robots).toContain('User-agent: *\nDisallow: /\n');
+      expect(robots).toContain('User-agent: GPTBot\nDisallow: /');
+    });
+  });
+});
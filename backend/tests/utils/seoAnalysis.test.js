@@ -0,0 +1,117 @@
+/**
+ * SEO Analysis Tests
+ * Thai-aware readability, keyword, headings, links, images, meta and E-A-T findings
+ */
+
+const { analyzeSeo, displayLength } = require('../../utils/seoAnalysis');
+
+const paragraph = 'ก่อนเปลี่ยนสายพาน ดับเครื่องยนต์และดึงกุญแจออกทุกครั้ง ตรวจสอบรอยแตกของสายพานรถเกี่ยวข้าว และวัดความตึงด้วยการกดตรงกลาง ' +
+  'สายพานที่ดีควรยุบประมาณ 10 มม. ถ้ายุบมากกว่านี้ให้ปรับตัวดันสายพาน';
+
+const article = {
+  titleTH: 'วิธีเปลี่ยนสายพานรถเกี่ยวข้าว Kubota ด้วยตัวเองทีละขั้นตอน',
+  focusKeyword: 'สายพานรถเกี่ยวข้าว',
+  metaDescription: 'คู่มือเปลี่ยนสายพานรถเกี่ยวข้าว Kubota ทีละขั้นตอน พร้อมค่าความตึงที่ถูกต้อง ข้อควรระวัง และอาการที่บอกว่าถึงเวลาเปลี่ยน',
+  author: 'ช่างสมชาย',
+  updatedAt: '2024-05-01T00:00:00Z',
+  content: [
+    `<p>${paragraph}</p>`,
+    '<h2>อาการที่บอกว่าสายพานรถเกี่ยวข้าวใกล้ขาด</h2>',
+    `<p>จากประสบการณ์ช่างของเรา ${paragraph}</p>`,
+    '<img src="/img/belt.jpg" alt="สายพานรถเกี่ยวข้าวที่มีรอยแตก"><img src="/img/tension.jpg" alt="วัดความตึงสายพาน">',
+    '<h2>ขั้นตอนการเปลี่ยน</h2>',
+    `<ol><li>${paragraph}</li><li>${paragraph}</li></ol>`,
+    '<h2>ข้อควรระวัง</h2>',
+    `<p>${paragraph} ดูค่าความตึงตามคู่มือ <a href="https://www.kubota.co.th/manual">คู่มือ Kubota</a> ` +
+      'และ <a href="/blog/belt-tension">การตั้งความตึงสายพาน</a></p>'
+  ].join('')
+};
+
+describe('SEO Analysis', () => {
+  it('should score a structured Thai article well and count what it contains', () => {
+    const analysis = analyzeSeo(article, { siteUrl: 'https://rbck.example.com' });
+
+    expect(analysis.readability.words).toBeGreaterThan(100);
+    expect(analysis.readability.averageSentenceWords).toBeLessThan(12);
+    expect(analysis.headings.counts).toEqual({ h2: 3 });
+    expect(analysis.links).toMatchObject({ internal: 1, external: 1, authoritative: 1, genericAnchors: 0 });
+    expect(analysis.images).toMatchObject({ total: 2, withAlt: 2, coverage: 100 });
+    expect(analysis.keyword.placement).toMatchObject({ title: true, introduction: true, metaDescription: true, headings: true, slug: null });
+    expect(analysis.eat.experience.signals).toEqual(['first-hand', 'photos', 'troubleshooting']);
+    expect(analysis.findings.map(({ id }) => id)).not.toContain('readability.long-sentences');
+    expect(analysis.categories.headings).toBe(100);
+  });
+
+  it('should find Thai sentences without spaces or full stops too long to read', () => {
+    const runOn = 'เครื่องยนต์ดีเซลของรถไถที่ใช้งานมานานจะมีคราบเขม่าสะสมอยู่ในห้องเผาไหม้ซึ่งทำให้กำลังเครื่องลดลงและสิ้นเปลืองน้ำมันมากขึ้นกว่าปกติโดยเฉพาะเมื่อไม่ได้เปลี่ยนไส้กรองอากาศตามระยะที่ผู้ผลิตกำหนดไว้ในคู่มือการใช้งาน';
+    const { readability, findings } = analyzeSeo({ titleTH: 'รถไถ', content: `<p>${runOn}</p>` });
+
+    expect(readability.sentences).toBe(1);
+    expect(readability.averageSentenceWords).toBeGreaterThan(30);
+    expect(findings.map(({ id }) => id)).toEqual(expect.arrayContaining([
+      'readability.long-sentences', 'readability.very-long-sentences', 'readability.thin-content'
+    ]));
+  });
+
+  it('should report keyword placement and stuffing with a fix for each', () => {
+    const stuffed = analyzeSeo({
+      titleTH: 'ดูแลเครื่องยนต์',
+      content: '<p>รถไถ รถไถ รถไถ ราคาดี</p><h2>บริการ</h2><p>รถไถ รถไถ</p>'
+    }, { keyword: 'รถไถ' });
+    const byId = Object.fromEntries(stuffed.findings.map(finding => [finding.id, finding]));
+
+    expect(stuffed.keyword).toMatchObject({ keyword: 'รถไถ', occurrences: 5 });
+    expect(byId['keyword.keyword-stuffing']).toMatchObject({ severity: 'high', fix: expect.stringContaining('synonyms') });
+    expect(byId['keyword.keyword-not-in-title'].severity).toBe('high');
+    expect(byId['keyword.keyword-not-in-headings']).toBeDefined();
+
+    expect(analyzeSeo({ titleTH: 'x', content: '<p>ข้อความ</p>' }).findings.map(({ id }) => id)).toContain('keyword.missing-keyword');
+  });
+
+  it('should flag heading, link and image problems in HTML and Markdown', () => {
+    const html = analyzeSeo({
+      titleTH: 'รถไถ',
+      content: '<h1>รถไถ</h1><h3>เริ่มต้น</h3><p><a href="https://example.com">คลิกที่นี่</a></p><img src="/a.jpg"><img src="/b.jpg" alt="รถไถ">'
+    });
+    expect(html.findings.map(({ id }) => id)).toEqual(expect.arrayContaining([
+      'headings.h1-in-content', 'headings.skipped-levels', 'links.generic-anchor-text', 'images.missing-alt'
+    ]));
+    expect(html.images).toMatchObject({ coverage: 50, missingAlt: ['/a.jpg'] });
+
+    const markdown = analyzeSeo({ titleTH: 'รถไถ', content: '## ขั้นตอน\n\nอ่าน[คู่มือ](https://www.yanmar.com/th)\n\n![](/c.jpg)' });
+    expect(markdown.headings.outline).toEqual([{ level: 2, text: 'ขั้นตอน' }]);
+    expect(markdown.links).toMatchObject({ external: 1, authoritative: 1 });
+    expect(markdown.images).toMatchObject({ total: 1, withAlt: 0 });
+  });
+
+  it('should measure Thai titles by the characters a search result shows', () => {
+    expect(displayLength('รถเกี่ยวข้าว')).toBe(9);
+
+    const { meta, findings } = analyzeSeo({ titleTH: 'รถไถ', content: '<p>ข้อความ</p>' });
+    expect(meta.titleLength).toBe(4);
+    expect(findings.map(({ id }) => id)).toEqual(expect.arrayContaining(['meta.short-title', 'meta.missing-meta-description']));
+  });
+
+  it('should analyse the English fields for locale en', () => {
+    const analysis = analyzeSeo({
+      titleTH: 'รถไถ',
+      titleEN: 'How to replace a combine harvester belt',
+      contentEN: '<p>Switch the engine off first. In our experience the belt lasts about 500 hours.</p>',
+      focusKeywordEN: 'harvester belt'
+    }, { locale: 'en' });
+
+    expect(analysis.locale).toBe('en');
+    expect(analysis.keyword).toMatchObject({ keyword: 'harvester belt', placement: expect.objectContaining({ title: true }) });
+    expect(analysis.eat.experience.signals).toContain('first-hand');
+    expect(analysis.eat.trustworthiness.signals).toContain('safety-warnings');
+  });
+
+  it('should score a post without content as zero, thin content at most 50, and list findings most severe first', () => {
+    const analysis = analyzeSeo({ titleTH: 'รถไถ' });
+    const order = { high: 0, medium: 1, low: 2 };
+
+    expect(analysis).toMatchObject({ score: 0, grade: 'F' });
+    expect(analyzeSeo({ ...article, content: `<p>${paragraph}</p>` }).score).toBeLessThanOrEqual(50);
+    expect(analysis.findings.every((finding, index, all) => index === 0 || order[all[index - 1].severity] <= order[finding.severity])).toBe(true);
+  });
+});
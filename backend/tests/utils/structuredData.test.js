@@ -0,0 +1,128 @@
+/**
+ * Structured Data Tests
+ * Schema.org JSON-LD per schemaType, HowTo steps, FAQ, breadcrumbs and the site Organization
+ */
+
+const { buildStructuredData, extractHowToSteps, extractFaq, toSchemaType } = require('../../utils/structuredData');
+
+const site = {
+  name: 'ระเบียบการช่าง',
+  url: 'https://example.com',
+  description: 'คู่มือซ่อมรถเกี่ยวข้าว',
+  logo: 'https://example.com/logo.png',
+  sameAs: ['https://www.facebook.com/rbck'],
+  categoryUrl: '/blog?category={slug}',
+  defaultImage: null
+};
+
+const post = {
+  id: 7,
+  titleTH: 'วิธีเปลี่ยนสายพานรถเกี่ยวข้าว',
+  slug: 'เปลี่ยนสายพาน',
+  excerpt: 'ขั้นตอนเปลี่ยนสายพานด้วยตัวเอง',
+  author: 'ช่างสมชาย',
+  category: 'maintenance',
+  categoryName: 'การบำรุงรักษา',
+  tags: ['สายพาน', 'Kubota'],
+  featured_image_url: 'https://example.com/belt.jpg',
+  schemaType: 'Article',
+  publishedAt: '2024-05-01T03:00:00.000Z',
+  updatedAt: '2024-05-02T03:00:00.000Z',
+  content: '<p>เตรียมเครื่องมือให้พร้อม</p>' +
+    '<h2>ขั้นตอนที่ 1: ดับเครื่องยนต์</h2><p>ดับเครื่องและดึงกุญแจออก</p><img src="/img/step-1.jpg" alt="ดับเครื่อง">' +
+    '<h2>ขั้นตอนที่ 2: ถอดฝาครอบ</h2><p>คลายน็อต 4 ตัว</p>' +
+    '<h2>คำถามที่พบบ่อย</h2>' +
+    '<h3>ควรเปลี่ยนสายพานบ่อยแค่ไหน</h3><p>ทุก 500 ชั่วโมงการทำงาน</p>' +
+    '<h3>ใช้สายพานยี่ห้ออื่นได้ไหม</h3><p>ได้ ถ้าขนาดตรงกับคู่มือ</p>' +
+    '<h2>สรุป</h2><p>ตรวจความตึงหลังเปลี่ยนทุกครั้ง</p>'
+};
+
+const nodeOf = (result, type) => result.jsonLd['@graph'].find(node => node['@type'] === type);
+
+describe('Structured Data', () => {
+  it('should describe an article with its publisher, breadcrumbs and FAQ', () => {
+    const result = buildStructuredData(post, site);
+    const article = nodeOf(result, 'Article');
+
+    expect(result.jsonLd['@context']).toBe('https://schema.org');
+    expect(result.types).toEqual(['Article', 'FAQPage', 'BreadcrumbList', 'Organization']);
+    expect(article).toMatchObject({
+      '@id': 'https://example.com/blog/%E0%B9%80%E0%B8%9B%E0%B8%A5%E0%B8%B5%E0%B9%88%E0%B8%A2%E0%B8%99%E0%B8%AA%E0%B8%B2%E0%B8%A2%E0%B8%9E%E0%B8%B2%E0%B8%99#article',
+      headline: 'วิธีเปลี่ยนสายพานรถเกี่ยวข้าว',
+      description: 'ขั้นตอนเปลี่ยนสายพานด้วยตัวเอง',
+      image: ['https://example.com/belt.jpg'],
+      inLanguage: 'th',
+      datePublished: '2024-05-01T03:00:00.000Z',
+      dateModified: '2024-05-02T03:00:00.000Z',
+      articleSection: 'การบำรุงรักษา',
+      keywords: 'สายพาน, Kubota',
+      author: { '@type': 'Person', name: 'ช่างสมชาย' },
+      publisher: { '@id': 'https://example.com/#organization' }
+    });
+    expect(nodeOf(result, 'Organization')).toEqual({
+      '@type': 'Organization',
+      '@id': 'https://example.com/#organization',
+      name: 'ระเบียบการช่าง',
+      url: 'https://example.com',
+      description: 'คู่มือซ่อมรถเกี่ยวข้าว',
+      logo: { '@type': 'ImageObject', url: 'https://example.com/logo.png' },
+      sameAs: ['https://www.facebook.com/rbck']
+    });
+    expect(nodeOf(result, 'BreadcrumbList').itemListElement.map(({ name, item }) => [name, item])).toEqual([
+      ['ระเบียบการช่าง', 'https://example.com'],
+      ['การบำรุงรักษา', 'https://example.com/blog?category=maintenance'],
+      ['วิธีเปลี่ยนสายพานรถเกี่ยวข้าว', article.mainEntityOfPage]
+    ]);
+    expect(result.warnings).toEqual([]);
+  });
+
+  it('should build HowTo steps from step headings, with absolute image URLs', () => {
+    const result = buildStructuredData({ ...post, schemaType: 'HowTo' }, site);
+    const howTo = nodeOf(result, 'HowTo');
+
+    expect(howTo.name).toBe('วิธีเปลี่ยนสายพานรถเกี่ยวข้าว');
+    expect(howTo.step).toEqual([
+      { '@type': 'HowToStep', position: 1, name: 'ดับเครื่องยนต์', text: 'ดับเครื่องและดึงกุญแจออก', image: 'https://example.com/img/step-1.jpg' },
+      { '@type': 'HowToStep', position: 2, name: 'ถอดฝาครอบ', text: 'คลายน็อต 4 ตัว' }
+    ]);
+  });
+
+  it('should take steps from a numbered list in HTML or Markdown', () => {
+    expect(extractHowToSteps('<ol><li>ดับเครื่องยนต์</li><li>ถอดฝาครอบ<img src="/a.jpg"></li></ol>')).toEqual([
+      { name: 'ดับเครื่องยนต์', text: 'ดับเครื่องยนต์', image: null },
+      { name: 'ถอดฝาครอบ', text: 'ถอดฝาครอบ', image: '/a.jpg' }
+    ]);
+    expect(extractHowToSteps('1. Switch the engine off.\n2. Remove the cover.').map(({ name }) => name))
+      .toEqual(['Switch the engine off.', 'Remove the cover.']);
+  });
+
+  it('should fall back to Article and warn when a HowTo has no steps', () => {
+    const result = buildStructuredData({ ...post, schemaType: 'HowTo', content: '<p>ดูแลรถไถ</p>' }, { name: 'RBCK', url: 'https://example.com' });
+
+    expect(result.types).toEqual(['Article', 'BreadcrumbList', 'Organization']);
+    expect(result.warnings.map(({ code }) => code)).toEqual(['howto-without-steps', 'no-logo', 'breadcrumb-without-link']);
+    expect(nodeOf(result, 'BreadcrumbList').itemListElement[1]).toEqual({ '@type': 'ListItem', position: 2, name: 'การบำรุงรักษา' });
+  });
+
+  it('should find questions in FAQ sections, question headings and ถาม/ตอบ paragraphs', () => {
+    expect(extractFaq(post.content).map(({ question }) => question)).toEqual(['ควรเปลี่ยนสายพานบ่อยแค่ไหน', 'ใช้สายพานยี่ห้ออื่นได้ไหม']);
+    expect(extractFaq('<h2>Why does the belt slip?</h2><p>It is loose.</p><h2>การติดตั้ง</h2><p>ขันน็อต</p>'))
+      .toEqual([{ question: 'Why does the belt slip?', answer: 'It is loose.' }]);
+    expect(extractFaq('<p>ถาม: ต้องใช้ประแจเบอร์อะไร</p><p>ตอบ: เบอร์ 12</p>'))
+      .toEqual([{ question: 'ต้องใช้ประแจเบอร์อะไร', answer: 'เบอร์ 12' }]);
+  });
+
+  it('should credit the site when the author is the site and leave out the URL of unsaved posts', () => {
+    const result = buildStructuredData({ titleTH: 'ร่าง', content: '<p>ร่าง</p>', author: site.name }, site);
+    const article = nodeOf(result, 'Article');
+
+    expect(article.author).toEqual({ '@id': 'https://example.com/#organization' });
+    expect(article.mainEntityOfPage).toBeUndefined();
+    expect(article['@id']).toBe('https://example.com/draft#article');
+    expect(nodeOf(result, 'BreadcrumbList').itemListElement[1]).toEqual({ '@type': 'ListItem', position: 2, name: 'ร่าง' });
+  });
+
+  it('should read loosely written schema types', () => {
+    expect(['howto', 'How-To', 'blogposting', 'article', 'recipe'].map(toSchemaType)).toEqual(['HowTo', 'HowTo', 'BlogPosting', 'Article', null]);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Thai Search Tests
+ * Word segmentation, ranking and snippet highlighting
+ */
+
+const { segmentWords, highlight, SearchIndex } = require('../../utils/thaiSearch');
+
+const posts = [
+  {
+    id: 1,
+    titleTH: 'วิธีเปลี่ยนสายพานรถเกี่ยวข้าว',
+    titleEN: 'Replacing a Harvester Belt',
+    excerpt: 'ขั้นตอนเปลี่ยนสายพานอย่างปลอดภัย',
+    content: '<p>ดับเครื่องยนต์ก่อนเปลี่ยนสายพานทุกครั้ง</p>',
+    tags: ['สายพาน'],
+    status: 'published',
+    category: 'repair',
+    updatedAt: '2024-01-01'
+  },
+  {
+    id: 2,
+    titleTH: 'ตรวจเช็คน้ำมันเครื่องประจำวัน',
+    excerpt: 'ดูแลเครื่องยนต์ให้ใช้งานได้นาน',
+    content: '<p>ตรวจระดับน้ำมันเครื่องก่อนสตาร์ท และดูสายพานด้วย</p>',
+    excerptEN: 'Daily engine care',
+    contentEN: '<p>Check the oil on the dipstick before starting</p>',
+    tags: ['น้ำมันเครื่อง'],
+    status: 'published',
+    category: 'maintenance',
+    updatedAt: '2024-01-02'
+  },
+  {
+    id: 3,
+    titleTH: 'ร่างบทความเรื่องสายพาน',
+    excerpt: 'ยังไม่เผยแพร่',
+    content: 'สายพาน',
+    status: 'draft',
+    updatedAt: '2024-01-03'
+  }
+];
+
+describe('Thai Search', () => {
+  describe('segmentWords', () => {
+    it('should split Thai text without spaces into words', () => {
+      expect(segmentWords('เปลี่ยนสายพานรถเกี่ยวข้าว')).toEqual(['เปลี่ยน', 'สายพาน', 'รถ', 'เกี่ยว', 'ข้าว']);
+    });
+
+    it('should lowercase, strip HTML and drop stop words', () => {
+      expect(segmentWords('<b>The</b> Kubota และ สายพาน')).toEqual(['kubota', 'สายพาน']);
+    });
+  });
+
+  describe('SearchIndex', () => {
+    let index;
+
+    beforeEach(() => {
+      index = new SearchIndex();
+      index.sync(posts);
+    });
+
+    it('should find Thai words inside unspaced text', () => {
+      const ids = index.search('สายพาน').map(result => result.id);
+
+      expect(ids).toEqual(expect.arrayContaining([1, 2, 3]));
+    });
+
+    it('should rank title matches above body-only matches', () => {
+      const results = index.search('เปลี่ยนสายพาน');
+
+      expect(results[0].id).toBe(1);
+      expect(results.find(result => result.id === 2).score).toBeLessThan(results[0].score);
+    });
+
+    it('should match English words and prefixes', () => {
+      expect(index.search('harvester')[0].id).toBe(1);
+      expect(index.search('harv')[0].id).toBe(1);
+    });
+
+    it('should match words only in the English excerpt and content', () => {
+      expect(index.search('dipstick').map(result => result.id)).toEqual([2]);
+      expect(index.search('daily').map(result => result.id)).toEqual([2]);
+    });
+
+    it('should apply filters', () => {
+      const results = index.search('สายพาน', { filter: post => post.status === 'published' });
+
+      expect(results.map(result => result.id)).not.toContain(3);
+    });
+
+    it('should only rebuild when posts change', () => {
+      expect(index.sync(posts)).toBe(false);
+      expect(index.sync([...posts, { id: 4, titleTH: 'ใหม่', updatedAt: '2024-02-01' }])).toBe(true);
+    });
+
+    it('should rebuild when tags change without a new updatedAt', () => {
+      const retagged = posts.map(post => (post.id === 1 ? { ...post, tags: ['สายพานยาง'] } : post));
+
+      expect(index.sync(retagged)).toBe(true);
+      expect(index.search('สายพานยาง').map(result => result.id)).toContain(1);
+    });
+
+    it('should return nothing for empty queries', () => {
+      expect(index.search('   ')).toEqual([]);
+    });
+  });
+
+  describe('highlight', () => {
+    it('should wrap matches in <mark> and escape HTML', () => {
+      expect(highlight('<p>ดับเครื่อง & เปลี่ยนสายพาน</p>', ['สายพาน'])).toBe('ดับเครื่อง &amp; เปลี่ยน<mark>สายพาน</mark>');
+    });
+
+    it('should cut long text around the first match', () => {
+      const text = `${'ก'.repeat(300)} สายพาน ${'ข'.repeat(300)}`;
+      const snippet = highlight(text, ['สายพาน'], 100);
+
+      expect(snippet.startsWith('…')).toBe(true);
+      expect(snippet.endsWith('…')).toBe(true);
+      expect(snippet).toContain('<mark>สายพาน</mark>');
+    });
+
+    it('should return null when nothing matches', () => {
+      expect(highlight('ไม่มีคำที่ค้นหา', ['สายพาน'])).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * TOTP Tests
+ * RFC 6238 test vectors, drift window, replay protection and recovery codes
+ */
+
+const totp = require('../../utils/totp');
+
+// RFC 6238 appendix B uses the ASCII secret "12345678901234567890" with SHA-1
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP', () => {
+  describe('base32', () => {
+    it('should round-trip arbitrary bytes', () => {
+      const bytes = Buffer.from([0, 1, 2, 250, 255, 17, 99]);
+
+      expect(totp.base32Decode(totp.base32Encode(bytes))).toEqual(bytes);
+      expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    });
+
+    it('should ignore case, spaces and padding when decoding', () => {
+      expect(totp.base32Decode('gezd gnbv====')).toEqual(totp.base32Decode('GEZDGNBV'));
+      expect(() => totp.base32Decode('GEZ1')).toThrow('Invalid base32 character');
+    });
+  });
+
+  describe('generateCode', () => {
+    it.each([
+      [59, '94287082'],
+      [1111111109, '07081804'],
+      [1111111111, '14050471'],
+      [1234567890, '89005924'],
+      [2000000000, '69279037'],
+      [20000000000, '65353130']
+    ])('should match the RFC 6238 vector at %i seconds', (seconds, expected) => {
+      expect(totp.generateCode(RFC_SECRET, { time: seconds * 1000, digits: 8 })).toBe(expected);
+    });
+
+    it('should default to 6 digits', () => {
+      expect(totp.generateCode(RFC_SECRET, { time: 59 * 1000 })).toBe('287082');
+    });
+  });
+
+  describe('verifyCode', () => {
+    const secret = totp.generateSecret();
+    const time = 1700000000000;
+
+    it('should accept the current code and codes one step either side', () => {
+      const current = totp.getCounter(time);
+
+      expect(totp.verifyCode(secret, totp.generateCode(secret, { time }), { time })).toBe(current);
+      expect(totp.verifyCode(secret, totp.generateCode(secret, { time: time - 30000 }), { time })).toBe(current - 1);
+      expect(totp.verifyCode(secret, totp.generateCode(secret, { time: time + 30000 }), { time })).toBe(current + 1);
+      expect(totp.verifyCode(secret, totp.generateCode(secret, { time: time - 90000 }), { time })).toBeNull();
+    });
+
+    it('should reject codes at or before the last used step', () => {
+      const code = totp.generateCode(secret, { time });
+
+      expect(totp.verifyCode(secret, code, { time, afterCounter: totp.getCounter(time) })).toBeNull();
+    });
+
+    it('should reject malformed codes and missing secrets', () => {
+      expect(totp.verifyCode(secret, 'abcdef', { time })).toBeNull();
+      expect(totp.verifyCode(secret, '12345', { time })).toBeNull();
+      expect(totp.verifyCode(null, '123456', { time })).toBeNull();
+    });
+  });
+
+  describe('buildOtpauthUri', () => {
+    it('should build a provisioning URI for authenticator apps', () => {
+      const uri = totp.buildOtpauthUri({ secret: RFC_SECRET, account: 'somchai@example.com', issuer: 'RBCK CMS' });
+
+      expect(uri).toMatch(/^otpauth:\/\/totp\/RBCK%20CMS%3Asomchai%40example\.com\?/);
+      const params = new URL(uri).searchParams;
+      expect(params.get('secret')).toBe(RFC_SECRET);
+      expect(params.get('issuer')).toBe('RBCK CMS');
+      expect(params.get('digits')).toBe('6');
+    });
+  });
+
+  describe('recovery codes', () => {
+    it('should generate unique codes that hash the same regardless of formatting', () => {
+      const codes = totp.generateRecoveryCodes(10);
+
+      expect(new Set(codes).size).toBe(10);
+      expect(codes[0]).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+      expect(totp.hashRecoveryCode(codes[0].toUpperCase().replace('-', ' '))).toBe(totp.hashRecoveryCode(codes[0]));
+    });
+  });
+});
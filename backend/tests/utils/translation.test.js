@@ -0,0 +1,79 @@
+/**
+ * Translation Helper Tests
+ * HTML structure checks, prompt building and glossary checks
+ */
+
+const {
+  htmlSkeleton,
+  compareHtmlStructure,
+  stripCodeFences,
+  buildTranslationPrompt,
+  findMissingTerms
+} = require('../../utils/translation');
+
+const belt = { id: '1', term_th: 'สายพาน', term_en: 'belt', note: 'drive belt' };
+const drum = { id: '2', term_th: 'ถังนวด', term_en: 'threshing drum', note: '' };
+
+describe('translation helpers', () => {
+  describe('htmlSkeleton', () => {
+    it('should list tags in order with link and image targets', () => {
+      expect(htmlSkeleton('<h2 class="x">หัวข้อ</h2><p>ดู <a href="/blog/belt">ลิงก์</a></p><img src="/a.jpg" alt="รูป">'))
+        .toEqual(['<h2>', '</h2>', '<p>', '<a /blog/belt>', '</a>', '</p>', '<img /a.jpg>']);
+    });
+  });
+
+  describe('compareHtmlStructure', () => {
+    const source = '<h2>การเปลี่ยนสายพาน</h2><p>ถอด <strong>สายพาน</strong> เก่า</p>';
+
+    it('should accept a translation that only changed text', () => {
+      expect(compareHtmlStructure(source, '<h2>Replacing the Belt</h2><p>Remove the old <strong>belt</strong></p>'))
+        .toEqual({ matches: true });
+    });
+
+    it('should report the first tag that differs', () => {
+      expect(compareHtmlStructure(source, '<h2>Replacing the Belt</h2><p>Remove the old belt</p>'))
+        .toEqual({ matches: false, position: 3, expected: '<strong>', found: '</p>' });
+      expect(compareHtmlStructure(source, '<h2>Replacing the Belt</h2>'))
+        .toMatchObject({ matches: false, expected: '<p>', found: '(end)' });
+    });
+
+    it('should treat a changed link target as a structure change', () => {
+      expect(compareHtmlStructure('<a href="/th">ลิงก์</a>', '<a href="/en">Link</a>').matches).toBe(false);
+    });
+  });
+
+  describe('stripCodeFences', () => {
+    it('should unwrap a fenced answer and leave plain text alone', () => {
+      expect(stripCodeFences('```html\n<p>Belt</p>\n```')).toBe('<p>Belt</p>');
+      expect(stripCodeFences('  Replacing the Belt \n')).toBe('Replacing the Belt');
+    });
+  });
+
+  describe('buildTranslationPrompt', () => {
+    it('should include the languages, glossary and source text', () => {
+      const prompt = buildTranslationPrompt({ field: 'title', text: 'การเปลี่ยนสายพาน', from: 'th', to: 'en', terms: [belt] });
+
+      expect(prompt).toContain('from Thai to English');
+      expect(prompt).toContain('- สายพาน => belt (drive belt)');
+      expect(prompt.endsWith('---\nการเปลี่ยนสายพาน')).toBe(true);
+      expect(prompt).not.toContain('HTML');
+    });
+
+    it('should ask to keep markup and explain a rejected attempt', () => {
+      const prompt = buildTranslationPrompt({
+        field: 'content', text: '<p>Belt</p>', from: 'en', to: 'th', isHtml: true, problem: 'the HTML markup changed'
+      });
+
+      expect(prompt).toContain('from English to Thai');
+      expect(prompt).toContain('Keep every tag and attribute');
+      expect(prompt).toContain('rejected: the HTML markup changed');
+    });
+  });
+
+  describe('findMissingTerms', () => {
+    it('should return terms whose translation is not used, ignoring case', () => {
+      expect(findMissingTerms([belt, drum], 'Check the Belt tension', 'en')).toEqual([drum]);
+      expect(findMissingTerms([belt], 'ตรวจสายพาน', 'th')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,429 @@
+/**
+ * Blog Renderer
+ * Server-side HTML for public blog pages (/blog/:slug)
+ */
+
+const { Post } = require('../models/Post');
+
+// Labels of the default categories, for posts rendered without categoryName
+const CATEGORY_LABELS = {
+    maintenance: 'การบำรุงรักษา',
+    repair: 'การซ่อมแซม',
+    operation: 'การใช้งาน',
+    troubleshooting: 'การแก้ไขปัญหา',
+    parts: 'อะไหล่',
+    general: 'ทั่วไป'
+};
+
+// Page chrome per language; posts rendered without lang use Thai
+const UI_STRINGS = {
+    th: {
+        dateLocale: 'th-TH',
+        published: 'เผยแพร่เมื่อ',
+        by: 'โดย',
+        readingTime: minutes => `อ่าน ${minutes} นาที`,
+        views: views => `ดู: ${views} ครั้ง`,
+        tags: 'แท็ก',
+        back: '← กลับสู่หน้าหลัก',
+        readMore: 'อ่านบทความ →',
+        imageOf: 'ภาพประกอบบทความ',
+        untitled: 'ไม่มีหัวข้อ',
+        noExcerpt: 'ไม่มีเนื้อหาย่อ',
+        noDate: 'ไม่ระบุ',
+        noPosts: 'ไม่มีบทความที่เผยแพร่แล้ว',
+        switchTo: 'อ่านภาษาไทย'
+    },
+    en: {
+        dateLocale: 'en-GB',
+        ogLocale: 'en_US',
+        published: 'Published',
+        by: 'By',
+        readingTime: minutes => `${minutes} min read`,
+        views: views => `${views} ${views === 1 ? 'view' : 'views'}`,
+        tags: 'Tags',
+        back: '← Back to home',
+        readMore: 'Read more →',
+        imageOf: 'Article image',
+        untitled: 'Untitled',
+        noExcerpt: 'No summary',
+        noDate: 'Unknown',
+        noPosts: 'No published articles yet',
+        switchTo: 'Read in English'
+    }
+};
+
+const PAGE_STYLES = `
+        body {
+            font-family: 'Sarabun', sans-serif;
+            max-width: 800px;
+            margin: 0 auto;
+            padding: 20px;
+            line-height: 1.6;
+            color: #333;
+        }
+        .header {
+            text-align: center;
+            margin-bottom: 40px;
+            padding-bottom: 20px;
+            border-bottom: 2px solid #27533b;
+        }
+        .header h1 {
+            color: #27533b;
+            font-size: 2.2em;
+            margin-bottom: 10px;
+        }
+        .meta {
+            color: #6c757d;
+            margin-bottom: 30px;
+            font-size: 0.95em;
+        }
+        .category {
+            display: inline-block;
+            background: #27533b;
+            color: white;
+            padding: 2px 10px;
+            border-radius: 4px;
+            font-size: 0.85em;
+            margin-bottom: 10px;
+        }
+        .featured-image {
+            width: 100%;
+            height: auto;
+            border-radius: 8px;
+            margin-bottom: 30px;
+        }
+        .content {
+            line-height: 1.8;
+            font-size: 1.1em;
+        }
+        .content h3 {
+            color: #27533b;
+            margin: 30px 0 15px 0;
+            font-size: 1.4em;
+        }
+        .content h4 {
+            color: #27533b;
+            margin: 25px 0 10px 0;
+            font-size: 1.2em;
+        }
+        .content ol, .content ul {
+            margin: 15px 0;
+            padding-left: 30px;
+        }
+        .content li {
+            margin-bottom: 10px;
+        }
+        .back-link {
+            display: inline-block;
+            margin-top: 40px;
+            padding: 10px 20px;
+            background: #27533b;
+            color: white;
+            text-decoration: none;
+            border-radius: 5px;
+        }
+        .back-link:hover {
+            background: #1e3d2b;
+        }
+        .tags {
+            margin: 30px 0;
+            padding: 20px;
+            background: #f8f9fa;
+            border-radius: 8px;
+        }
+        .tag {
+            display: inline-block;
+            background: #e0a800;
+            color: #27533b;
+            padding: 4px 12px;
+            margin: 2px;
+            border-radius: 15px;
+            font-size: 0.9em;
+            font-weight: 500;
+        }`;
+
+/**
+ * Escape text for use in HTML content and attribute values
+ * @param {*} value - Value to escape
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    }[char]));
+}
+
+/**
+ * Strip tags and collapse whitespace (for meta descriptions)
+ * @param {string} html - HTML fragment
+ * @returns {string}
+ */
+function stripHtml(html) {
+    return String(html || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Labels for a language
+ * @param {string} lang - Locale, e.g. post.lang
+ * @returns {Object} - Entry of UI_STRINGS (Thai when unknown)
+ */
+function getUiStrings(lang) {
+    return UI_STRINGS[lang] || UI_STRINGS[Post.defaultLocale];
+}
+
+function getSlugUrl(slug, site) {
+    return `${site.url}/blog/${encodeURIComponent(slug)}`;
+}
+
+/**
+ * Absolute public URL of a post (in its localized slug when localized)
+ * @param {Object} post - Post object
+ * @param {Object} site - config.site
+ * @returns {string}
+ */
+function getPostUrl(post, site) {
+    return getSlugUrl(post.slug, site);
+}
+
+/**
+ * hreflang alternates: every language the post is fully translated into,
+ * with x-default pointing at the Thai page
+ * @param {Object} post - Post object, raw or localized by Post.localize
+ * @param {Object} site - config.site
+ * @returns {Array<{hreflang: string, href: string}>}
+ */
+function getAlternates(post, site) {
+    const slugs = post.alternates || Object.fromEntries(
+        Post.locales
+            .filter(locale => Post.isTranslated(post, locale))
+            .map(locale => [locale, post[Post.translatableFields.slug[locale]]])
+    );
+
+    return [
+        ...Post.locales.filter(locale => slugs[locale]).map(locale => ({ hreflang: locale, href: getSlugUrl(slugs[locale], site) })),
+        { hreflang: 'x-default', href: getSlugUrl(slugs[Post.defaultLocale], site) }
+    ];
+}
+
+/**
+ * Title in the post's language
+ * @param {Object} post - Post object, raw or localized
+ * @returns {string}
+ */
+function getPostTitle(post) {
+    return (post.lang === 'en' && post.titleEN) || post.titleTH;
+}
+
+/**
+ * Display name of a post's category: the managed category name attached by
+ * TaxonomyController.withCategoryNames, else the default label, else the slug
+ * @param {Object} post - Post object
+ * @returns {string}
+ */
+function getCategoryLabel(post) {
+    if (!post.category) return '';
+    if (post.lang === 'en' && post.categoryNameEN) return post.categoryNameEN;
+    return post.categoryName || CATEGORY_LABELS[post.category] || post.category;
+}
+
+/**
+ * Format a date for readers of a language, empty string when missing/invalid
+ */
+function formatDate(value, dateLocale = UI_STRINGS.th.dateLocale) {
+    if (!value) return '';
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return '';
+    return date.toLocaleDateString(dateLocale, { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+/**
+ * ISO 8601 timestamp, null when missing/invalid
+ */
+function toIsoDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Build the page title and <meta>/<link> tags for SEO and social sharing
+ * @param {Object} post - Post object
+ * @param {Object} site - config.site
+ * @returns {{title: string, tags: string}}
+ */
+function renderMetaTags(post, site) {
+    const postTitle = getPostTitle(post);
+    const title = post.metaTitle || `${postTitle} | ${site.name}`;
+    const description = post.metaDescription || post.excerpt || stripHtml(post.content).slice(0, 160);
+    // canonicalUrl is entered for the Thai page
+    const translated = post.lang && post.lang !== Post.defaultLocale;
+    const canonicalUrl = (!translated && post.canonicalUrl) || getPostUrl(post, site);
+    const alternates = getAlternates(post, site);
+    const ogLocale = translated ? getUiStrings(post.lang).ogLocale : site.locale;
+    const image = post.featured_image_url || site.defaultImage;
+    const tags = Array.isArray(post.tags) ? post.tags : [];
+    const publishedTime = toIsoDate(post.publishedAt || post.createdAt);
+    const modifiedTime = toIsoDate(post.updatedAt);
+
+    const tagsMeta = [
+        `<meta name="description" content="${escapeHtml(description)}">`,
+        `<meta name="keywords" content="${escapeHtml(post.keywords || tags.join(', '))}">`,
+        `<meta name="author" content="${escapeHtml(post.author || site.name)}">`,
+        `<link rel="canonical" href="${escapeHtml(canonicalUrl)}">`,
+        `<link rel="alternate" type="application/rss+xml" title="${escapeHtml(site.name)}" href="${escapeHtml(`${site.url}/feed.xml`)}">`,
+        ...(alternates.length > 2
+            ? alternates.map(alt => `<link rel="alternate" hreflang="${alt.hreflang}" href="${escapeHtml(alt.href)}">`)
+            : []),
+
+        // Open Graph
+        '<meta property="og:type" content="article">',
+        `<meta property="og:site_name" content="${escapeHtml(site.name)}">`,
+        `<meta property="og:locale" content="${escapeHtml(ogLocale)}">`,
+        ...alternates
+            .filter(alt => Post.locales.includes(alt.hreflang) && alt.hreflang !== (post.lang || Post.defaultLocale))
+            .map(alt => `<meta property="og:locale:alternate" content="${escapeHtml(
+                alt.hreflang === Post.defaultLocale ? site.locale : getUiStrings(alt.hreflang).ogLocale)}">`),
+        `<meta property="og:title" content="${escapeHtml(post.metaTitle || postTitle)}">`,
+        `<meta property="og:description" content="${escapeHtml(description)}">`,
+        `<meta property="og:url" content="${escapeHtml(canonicalUrl)}">`,
+        image ? `<meta property="og:image" content="${escapeHtml(image)}">` : '',
+        publishedTime ? `<meta property="article:published_time" content="${publishedTime}">` : '',
+        modifiedTime ? `<meta property="article:modified_time" content="${modifiedTime}">` : '',
+        post.category ? `<meta property="article:section" content="${escapeHtml(getCategoryLabel(post))}">` : '',
+        ...tags.map(tag => `<meta property="article:tag" content="${escapeHtml(tag)}">`),
+
+        // Twitter
+        `<meta name="twitter:card" content="${image ? 'summary_large_image' : 'summary'}">`,
+        `<meta name="twitter:title" content="${escapeHtml(post.metaTitle || postTitle)}">`,
+        `<meta name="twitter:description" content="${escapeHtml(description)}">`,
+        image ? `<meta name="twitter:image" content="${escapeHtml(image)}">` : '',
+        site.twitterHandle ? `<meta name="twitter:site" content="${escapeHtml(site.twitterHandle)}">` : ''
+    ];
+
+    return {
+        title,
+        tags: tagsMeta.filter(Boolean).join('\n    ')
+    };
+}
+
+/**
+ * JSON-LD <script> tag. "<" is escaped so text in the data cannot close the script.
+ * @param {Object} data - JSON-LD document
+ * @returns {string}
+ */
+function renderJsonLd(data) {
+    const json = JSON.stringify(data, null, 2).replace(/</g, '\\u003c');
+    return `<script type="application/ld+json">\n${json}\n    </script>`;
+}
+
+/**
+ * Render a published post as a full HTML page
+ * @param {Object} post - Post object, optionally localized by Post.localize
+ * @param {Object} site - config.site
+ * @param {Object} [structuredData] - JSON-LD for the page (utils/structuredData)
+ * @returns {string} - HTML document
+ */
+function renderPostPage(post, site, structuredData = null) {
+    const lang = post.lang || Post.defaultLocale;
+    const ui = getUiStrings(lang);
+    const meta = renderMetaTags(post, site);
+    const tags = Array.isArray(post.tags) ? post.tags : [];
+    // Localized posts carry the translated content, so reading time is recomputed
+    const readingTime = (lang === Post.defaultLocale && post.reading_time) || Post.calculateReadingTime(post.content);
+    const publishedDate = formatDate(post.publishedAt || post.publishDate || post.createdAt, ui.dateLocale);
+    const categoryLabel = getCategoryLabel(post);
+    const title = getPostTitle(post);
+    const subtitle = lang === 'en' ? { lang: 'th', text: post.titleTH } : { lang: 'en', text: post.titleEN };
+    const otherVersions = getAlternates(post, site)
+        .filter(alt => Post.locales.includes(alt.hreflang) && alt.hreflang !== lang);
+
+    return `<!DOCTYPE html>
+<html lang="${lang}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(meta.title)}</title>
+    ${meta.tags}
+    ${structuredData ? renderJsonLd(structuredData) : ''}
+    <link href="https://fonts.googleapis.com/css2?family=Sarabun:wght@300;400;500;700&display=swap" rel="stylesheet">
+    <style>${PAGE_STYLES}
+    </style>
+</head>
+<body>
+    <article>
+        <header class="header">
+            ${categoryLabel ? `<span class="category">${escapeHtml(categoryLabel)}</span>` : ''}
+            <h1>${escapeHtml(title)}</h1>
+            ${subtitle.text ? `<p lang="${subtitle.lang}">${escapeHtml(subtitle.text)}</p>` : ''}
+            <div class="meta">
+                ${publishedDate ? `${ui.published}: <time datetime="${toIsoDate(post.publishedAt || post.createdAt) || ''}">${publishedDate}</time> | ` : ''}
+                ${ui.by}: ${escapeHtml(post.author || site.name)} |
+                ${ui.readingTime(readingTime)} |
+                ${ui.views(post.views || 0)}
+            </div>
+            ${otherVersions.map(alt => `<a href="${escapeHtml(alt.href)}" hreflang="${alt.hreflang}" lang="${alt.hreflang}">${getUiStrings(alt.hreflang).switchTo}</a>`).join(' ')}
+        </header>
+
+        ${post.featured_image_url ? `<img class="featured-image" src="${escapeHtml(post.featured_image_url)}" alt="${escapeHtml(title)}">` : ''}
+
+        <div class="content">
+            ${post.content || ''}
+        </div>
+
+        ${tags.length > 0 ? `
+        <div class="tags">
+            <strong>${ui.tags}:</strong>
+            ${tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('')}
+        </div>
+        ` : ''}
+    </article>
+
+    <a href="/" class="back-link">${ui.back}</a>
+</body>
+</html>`;
+}
+
+/**
+ * Render a simple Thai message page (404 / 500)
+ * @param {string} title - Page title
+ * @param {string} message - Body text
+ * @param {Object} site - config.site
+ * @returns {string} - HTML document
+ */
+function renderMessagePage(title, message, site) {
+    return `<!DOCTYPE html>
+<html lang="th">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(title)} | ${escapeHtml(site.name)}</title>
+</head>
+<body>
+    <h1>${escapeHtml(title)}</h1>
+    <p>${escapeHtml(message)}</p>
+    <a href="/">← กลับสู่หน้าหลัก</a>
+</body>
+</html>`;
+}
+
+module.exports = {
+    CATEGORY_LABELS,
+    escapeHtml,
+    stripHtml,
+    getUiStrings,
+    getPostUrl,
+    getAlternates,
+    getPostTitle,
+    getCategoryLabel,
+    formatDate,
+    toIsoDate,
+    renderMetaTags,
+    renderJsonLd,
+    renderPostPage,
+    renderMessagePage
+};
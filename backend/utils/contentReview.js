@@ -0,0 +1,306 @@
+/**
+ * Pre-publish content review
+ * Flags text an editor has to check before a post goes live: numeric claims
+ * without a source, dangerous machinery-safety advice, prohibited terms and
+ * part numbers that may have been made up. AI-written drafts are the main
+ * target, but every post is reviewed the same way.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Post fields that are reviewed, in the order findings are reported
+const REVIEW_FIELDS = [
+    'titleTH', 'titleEN', 'excerpt', 'excerptEN', 'content', 'contentEN',
+    'metaTitle', 'metaTitleEN', 'metaDescription', 'metaDescriptionEN'
+];
+
+const EXCERPT_LENGTH = 200;
+
+// A number followed by a unit; percentages and multiples read as marketing claims
+const NUMERIC_CLAIM = /\d[\d,]*(?:\.\d+)?\s*(%|เปอร์เซ็นต์|percent|เท่า|times|แรงม้า|hp|นิวตัน\s*-?\s*เมตร|n\s*[·.-]?\s*m|kgf\s*[·.-]?\s*m|psi|bar|บาร์|rpm|รอบ\s*(?:ต่อ|\/)\s*นาที|°\s*c|องศา|ลิตร|litres?|liters?|ชั่วโมง|ชม\.|hours?|hrs?|กม\.|km|กิโลกรัม|กก\.|kg|บาท|baht|ไร่)(?![a-z])/iu;
+const STATISTIC_UNITS = /^(%|เปอร์เซ็นต์|percent|เท่า|times)$/iu;
+
+// A sentence that names where its figures come from
+const CITATION = /อ้างอิง|ที่มา|แหล่งข้อมูล|ตามคู่มือ|ตามข้อมูล(?:ของ|จาก)|according to|source|\[\d+\]|\[https?:\/\/[^\]]+\]/iu;
+
+// Warnings mention the dangerous act too - "never open the radiator cap while hot"
+const PROHIBITION = /ห้าม|อย่า(?!ง)|ไม่ควร|ต้องไม่|never|do not|don't|must not|should not|avoid/iu;
+
+const SAFETY_RULES = [
+    {
+        rule: 'bypass-safety-device',
+        pattern: /(ถอด|ปลด|ตัด|ข้าม|งัด|ปิดการทำงาน|bypass\w*|remov\w*|disabl\w*|defeat\w*)\s*.{0,20}?(การ์ด|ฝาครอบ(?:ป้องกัน|นิรภัย)|สวิตช์(?:นิรภัย|ความปลอดภัย|ที่นั่ง)|ระบบ(?:นิรภัย|ตัดการทำงาน)|safety\s*(?:switch|guard|interlock|shield)|guards?\b|interlocks?\b|shields?\b|\brops\b)/iu,
+        // Taking a guard off for maintenance is fine when the text says how it goes back on
+        unless: /ดับเครื่อง|(?:engine|machine)\s+(?:is\s+)?off|(?:stop|switch off|turn off)\s+the\s+engine|ใส่กลับ|ติดตั้งกลับ|ประกอบกลับ|reinstall|refit|put\s+(?:it\s+)?back/iu,
+        message: 'Advises removing or bypassing a safety device'
+    },
+    {
+        rule: 'work-while-running',
+        pattern: /(ซ่อม|ปรับ|ล้วง|เอามือ|ทำความสะอาด|แกะ|ดึง|เขี่ย|unclog\w*|clear\w*|reach\w*|adjust\w*|clean\w*|repair\w*)[^.]{0,40}(ขณะ|ระหว่าง|while)[^.]{0,15}(เครื่อง(?:ยนต์)?(?:ยัง)?(?:ทำงาน|ติด|หมุน|เดิน)|ใบมีด(?:ยัง)?หมุน|(?:engine|machine|blades?|rotor|pto)\s+(?:is\s+|are\s+)?(?:still\s+)?(?:running|turning|spinning|engaged))/iu,
+        message: 'Advises working on the machine while it is running'
+    },
+    {
+        rule: 'hand-leak-check',
+        pattern: /(ใช้|เอา)มือ[^.]{0,20}(คลำ|ลูบ|ตรวจ|หา|อุด)[^.]{0,20}รั่ว|(hand|finger)s?[^.]{0,20}(check|find|feel|locate|block)[^.]{0,20}leak/iu,
+        message: 'Advises checking hydraulic leaks by hand (fluid injection injury)'
+    },
+    {
+        rule: 'unsupported-load',
+        pattern: /(มุด|ลง|เข้าไป|ทำงาน|นอน)\s*(?:ใต้|ข้างใต้)[^.]{0,40}(แม่แรง|ยกไว้|ยกขึ้น|หัวเกี่ยว)|(get|crawl|work|lie)\s+under[^.]{0,40}(jack|raised|lifted|header)/iu,
+        unless: /ขาตั้ง|ค้ำ|ล็อก|stand|support|lock/iu,
+        message: 'Advises working under a raised machine without supports'
+    },
+    {
+        rule: 'hot-refuel',
+        pattern: /(เติมน้ำมัน|refuel\w*|add(?:ing)?\s+fuel)[^.]{0,30}(ขณะ|ระหว่าง|while)[^.]{0,15}(เครื่อง(?:ยนต์)?(?:ยัง)?(?:ติด|ทำงาน|ร้อน)|engine\s+(?:is\s+)?(?:still\s+)?(?:running|hot))/iu,
+        message: 'Advises refuelling with the engine running or hot'
+    },
+    {
+        rule: 'hot-radiator',
+        pattern: /(เปิด|open\w*)\s*(?:the\s+)?(ฝาหม้อน้ำ|radiator\s+cap)[^.]{0,30}(ขณะ|ระหว่าง|ตอน|while|when)[^.]{0,15}(ร้อน|hot|ทำงาน|running)/iu,
+        message: 'Advises opening the radiator cap while the engine is hot'
+    }
+];
+
+// Claims an advertising-standards review would reject; CONTENT_REVIEW_PROHIBITED_TERMS adds more
+const DEFAULT_PROHIBITED_TERMS = [
+    'ดีที่สุดในโลก', 'อันดับ 1', 'อันดับหนึ่ง', 'รับประกันผล', 'ได้ผล 100%', 'ปลอดภัย 100%',
+    'ไม่มีอันตราย', 'ไม่ต้องดับเครื่อง', 'guaranteed results', '100% safe', 'best in the world'
+];
+
+// Kubota 5T051-51110, Yanmar 119802-55710, John Deere AH212345 / RE504836
+const PART_NUMBER_PATTERNS = [
+    /\b[0-9A-Z]{4,7}-[0-9]{4,6}(?:-[0-9A-Z]{1,4})?\b/g,
+    /\b[A-Z]{1,3}[0-9]{5,7}\b/g
+];
+const YEAR_RANGE = /^(?:19|20)\d{2}-(?:19|20)\d{2}$/;
+const PART_NUMBER_LABEL = /(?:part\s*(?:no\.?|number|#)|p\/n|หมายเลข(?:ชิ้นส่วน|อะไหล่)|รหัสอะไหล่|เบอร์อะไหล่)\s*[:#]?\s*([A-Z0-9][A-Z0-9-]{3,})/giu;
+
+const catalogs = new Map();
+
+/**
+ * Known part numbers from a catalog file: a JSON array, or one per line
+ * (CSV lines use their first column). Read once per file.
+ * @param {string} file - Catalog path
+ * @returns {Set<string>|null} - Normalized part numbers, or null without a usable file
+ */
+const loadPartsCatalog = (file) => {
+    if (!file) return null;
+    if (catalogs.has(file)) return catalogs.get(file);
+
+    let catalog = null;
+    try {
+        const text = fs.readFileSync(file, 'utf8');
+        const entries = text.trim().startsWith('[')
+            ? JSON.parse(text).map(entry => (typeof entry === 'string' ? entry : entry.partNumber || entry.id))
+            : text.split('\n').map(line => line.split(',')[0]);
+        catalog = new Set(entries.filter(Boolean).map(normalizePartNumber));
+    } catch (error) {
+        console.warn(`⚠️ [Content Review] Could not read parts catalog ${file}: ${error.message}`);
+    }
+
+    catalogs.set(file, catalog);
+    return catalog;
+};
+
+const normalizePartNumber = (value) => String(value).toUpperCase().replace(/\s+/g, '').trim();
+
+/**
+ * Sentences of an HTML field. Link targets stay in the text as [url] so a
+ * linked source counts as a citation.
+ */
+const toSentences = (html) => String(html || '')
+    .replace(/<a\s[^>]*href=["']([^"']+)["'][^>]*>/gi, ' [$1] ')
+    .replace(/<\/(p|li|h[1-6]|div|tr|td|blockquote)>|<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .split(/\n+|(?<=[.!?])\s+/)
+    .map(sentence => sentence.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+
+const excerptOf = (sentence) => (sentence.length > EXCERPT_LENGTH ? `${sentence.slice(0, EXCERPT_LENGTH)}…` : sentence);
+
+/**
+ * Findings keep their id while the sentence they point at is unchanged, so
+ * an acknowledgement survives unrelated edits but not a rewrite of the text
+ */
+const findingId = (finding) => crypto
+    .createHash('sha1')
+    .update([finding.type, finding.rule, finding.field, finding.match.toLowerCase(), finding.excerpt].join('|'))
+    .digest('hex')
+    .slice(0, 12);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const termPattern = (term) => (/^[\x20-\x7e]+$/.test(term)
+    ? new RegExp(`(?<![\\w])${escapeRegExp(term)}(?![\\w])`, 'i')
+    : new RegExp(escapeRegExp(term), 'iu'));
+
+const checkNumericClaim = (sentence) => {
+    const claim = sentence.match(NUMERIC_CLAIM);
+    if (!claim || CITATION.test(sentence)) return [];
+
+    const statistic = STATISTIC_UNITS.test(claim[1].trim());
+    return [{
+        type: 'numeric-claim',
+        severity: statistic ? 'medium' : 'low',
+        match: claim[0],
+        message: statistic
+            ? 'Statistic without a source - cite it or remove it'
+            : "Technical figure without a source - check it against the manufacturer's manual"
+    }];
+};
+
+const checkSafety = (sentence) => {
+    if (PROHIBITION.test(sentence)) return [];
+
+    return SAFETY_RULES
+        .filter(({ pattern, unless }) => pattern.test(sentence) && !unless?.test(sentence))
+        .map(({ rule, pattern, message }) => ({
+            type: 'safety',
+            rule,
+            severity: 'high',
+            match: sentence.match(pattern)[0],
+            message
+        }));
+};
+
+const checkProhibitedTerms = (sentence, terms) => terms
+    .map(term => ({ term, found: sentence.match(termPattern(term)) }))
+    .filter(({ found }) => found)
+    .map(({ term, found }) => ({
+        type: 'prohibited-term',
+        rule: term,
+        severity: 'medium',
+        match: found[0],
+        message: `Prohibited term "${term}"`
+    }));
+
+const checkPartNumbers = (sentence, catalog) => {
+    const candidates = new Set();
+    PART_NUMBER_PATTERNS.forEach(pattern => {
+        (sentence.match(pattern) || []).forEach(match => candidates.add(match));
+    });
+    for (const [, labelled] of sentence.matchAll(PART_NUMBER_LABEL)) {
+        candidates.add(labelled.replace(/-+$/, ''));
+    }
+
+    return [...candidates]
+        .filter(partNumber => /\d{3}/.test(partNumber) && !YEAR_RANGE.test(partNumber))
+        .filter(partNumber => !catalog?.has(normalizePartNumber(partNumber)))
+        .map(partNumber => ({
+            type: 'part-number',
+            severity: catalog ? 'high' : 'medium',
+            match: partNumber,
+            message: catalog
+                ? 'Part number is not in the parts catalog'
+                : "Part number cannot be verified - check it against the manufacturer's parts list"
+        }));
+};
+
+/**
+ * Review a post's text fields
+ * @param {Object} post - Post fields (HTML content is fine)
+ * @param {Object} options - { prohibitedTerms: [string], partsCatalog: Set | catalog file path }
+ * @returns {Array<Object>} - Findings: { id, type, rule, severity, field, match, excerpt, message, acknowledged }
+ */
+const reviewContent = (post, options = {}) => {
+    const terms = [...new Set([...DEFAULT_PROHIBITED_TERMS, ...(options.prohibitedTerms || [])])].filter(Boolean);
+    const catalog = typeof options.partsCatalog === 'string' ? loadPartsCatalog(options.partsCatalog) : options.partsCatalog || null;
+    const findings = new Map();
+
+    REVIEW_FIELDS.forEach(field => {
+        toSentences(post?.[field]).forEach(sentence => {
+            [
+                ...checkNumericClaim(sentence),
+                ...checkSafety(sentence),
+                ...checkProhibitedTerms(sentence, terms),
+                ...checkPartNumbers(sentence, catalog)
+            ].forEach(found => {
+                const finding = { rule: null, ...found, field, excerpt: excerptOf(sentence) };
+                const id = findingId(finding);
+                if (!findings.has(id)) {
+                    findings.set(id, { id, ...finding, acknowledged: false });
+                }
+            });
+        });
+    });
+
+    return [...findings.values()];
+};
+
+/**
+ * Carry acknowledgements from an earlier review over to findings that are still present
+ * @param {Array<Object>} previous - Stored findings
+ * @param {Array<Object>} current - Fresh reviewContent result
+ * @returns {Array<Object>}
+ */
+const mergeFindings = (previous = [], current = []) => {
+    const byId = new Map((previous || []).map(finding => [finding.id, finding]));
+
+    return current.map(finding => {
+        const earlier = byId.get(finding.id);
+        if (!earlier?.acknowledged) return finding;
+
+        const { acknowledged, acknowledgedBy, acknowledgedAt, note } = earlier;
+        return { ...finding, acknowledged, acknowledgedBy, acknowledgedAt, note };
+    });
+};
+
+/**
+ * Mark findings as checked by an editor
+ * @param {Array<Object>} findings - Stored findings
+ * @param {Array<string>} ids - Finding ids to acknowledge
+ * @param {Object} details - { by, note, at }
+ * @returns {Object} - { findings, unknown: ids that match no finding }
+ */
+const acknowledgeFindings = (findings = [], ids = [], details = {}) => {
+    const wanted = new Set(ids);
+    const known = new Set(findings.map(({ id }) => id));
+    const acknowledgedAt = details.at || new Date().toISOString();
+
+    return {
+        findings: findings.map(finding => (wanted.has(finding.id) && !finding.acknowledged
+            ? { ...finding, acknowledged: true, acknowledgedBy: details.by || null, acknowledgedAt, note: details.note || null }
+            : finding)),
+        unknown: [...wanted].filter(id => !known.has(id))
+    };
+};
+
+/**
+ * Findings that still block publishing
+ * @param {Array<Object>} findings
+ * @returns {Array<Object>}
+ */
+const unacknowledged = (findings = []) => (findings || []).filter(finding => !finding.acknowledged);
+
+/**
+ * Counts for the review panel
+ * @param {Array<Object>} findings
+ * @returns {Object} - { total, unacknowledged, bySeverity, blocking }
+ */
+const summarizeFindings = (findings = []) => {
+    const open = unacknowledged(findings);
+    const bySeverity = { high: 0, medium: 0, low: 0 };
+    open.forEach(({ severity }) => { bySeverity[severity] = (bySeverity[severity] || 0) + 1; });
+
+    return {
+        total: (findings || []).length,
+        unacknowledged: open.length,
+        bySeverity,
+        blocking: open.length > 0
+    };
+};
+
+module.exports = {
+    REVIEW_FIELDS,
+    DEFAULT_PROHIBITED_TERMS,
+    reviewContent,
+    mergeFindings,
+    acknowledgeFindings,
+    unacknowledged,
+    summarizeFindings,
+    loadPartsCatalog
+};
@@ -0,0 +1,176 @@
+/**
+ * Feed Renderer
+ * sitemap.xml, RSS 2.0 / Atom feeds and robots.txt for published posts
+ */
+
+const { escapeHtml, stripHtml, getPostUrl, getAlternates, getCategoryLabel } = require('./blogRenderer');
+
+const escapeXml = escapeHtml;
+
+function toDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Last modification time of a post (falls back to creation time)
+ */
+function lastModified(post) {
+    return toDate(post.updatedAt) || toDate(post.publishedAt) || toDate(post.createdAt);
+}
+
+/**
+ * Newest modification time across posts, or now when there are none
+ */
+function latestModified(posts) {
+    const times = posts.map(lastModified).filter(Boolean).map(date => date.getTime());
+    return new Date(times.length > 0 ? Math.max(...times) : Date.now());
+}
+
+function postSummary(post) {
+    return post.excerpt || post.metaDescription || stripHtml(post.content).slice(0, 300);
+}
+
+/**
+ * Render sitemap.xml with lastmod and hreflang alternates
+ * @param {Object[]} posts - Published posts
+ * @param {Object} site - config.site
+ * @returns {string} - XML document
+ */
+function renderSitemap(posts, site) {
+    const urls = [
+        `  <url>
+    <loc>${escapeXml(`${site.url}/`)}</loc>
+    <lastmod>${latestModified(posts).toISOString()}</lastmod>
+    <changefreq>daily</changefreq>
+    <priority>1.0</priority>
+  </url>`,
+        ...posts.flatMap(post => {
+            const modified = lastModified(post);
+            const alternates = getAlternates(post, site);
+            const links = alternates
+                .map(alt => `    <xhtml:link rel="alternate" hreflang="${alt.hreflang}" href="${escapeXml(alt.href)}"/>`)
+                .join('\n');
+
+            // One <url> per language version, each listing all versions
+            return alternates.filter(alt => alt.hreflang !== 'x-default').map(alt => `  <url>
+    <loc>${escapeXml(alt.href)}</loc>
+${modified ? `    <lastmod>${modified.toISOString()}</lastmod>\n` : ''}    <changefreq>weekly</changefreq>
+    <priority>0.8</priority>
+${links}
+  </url>`);
+        })
+    ];
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+${urls.join('\n')}
+</urlset>`;
+}
+
+/**
+ * Render an RSS 2.0 feed
+ * @param {Object[]} posts - Published posts, newest first
+ * @param {Object} site - config.site
+ * @returns {string} - XML document
+ */
+function renderRssFeed(posts, site) {
+    const items = posts.map(post => {
+        const url = getPostUrl(post, site);
+        const published = toDate(post.publishedAt) || toDate(post.createdAt);
+        const categories = [
+            getCategoryLabel(post) || null,
+            ...(Array.isArray(post.tags) ? post.tags : [])
+        ].filter(Boolean);
+
+        return `    <item>
+      <title>${escapeXml(post.titleTH)}</title>
+      <link>${escapeXml(url)}</link>
+      <guid isPermaLink="true">${escapeXml(url)}</guid>
+      <description>${escapeXml(postSummary(post))}</description>
+${published ? `      <pubDate>${published.toUTCString()}</pubDate>\n` : ''}${post.author ? `      <dc:creator>${escapeXml(post.author)}</dc:creator>\n` : ''}${categories.map(category => `      <category>${escapeXml(category)}</category>`).join('\n')}
+    </item>`;
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(site.name)}</title>
+    <link>${escapeXml(`${site.url}/`)}</link>
+    <description>${escapeXml(site.description || site.name)}</description>
+    <language>th</language>
+    <lastBuildDate>${latestModified(posts).toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(`${site.url}/feed.xml`)}" rel="self" type="application/rss+xml"/>
+${items.join('\n')}
+  </channel>
+</rss>`;
+}
+
+/**
+ * Render an Atom 1.0 feed
+ * @param {Object[]} posts - Published posts, newest first
+ * @param {Object} site - config.site
+ * @returns {string} - XML document
+ */
+function renderAtomFeed(posts, site) {
+    const entries = posts.map(post => {
+        const url = getPostUrl(post, site);
+        const published = toDate(post.publishedAt) || toDate(post.createdAt);
+        const updated = lastModified(post) || new Date();
+
+        return `  <entry>
+    <title>${escapeXml(post.titleTH)}</title>
+    <link href="${escapeXml(url)}"/>
+    <id>${escapeXml(url)}</id>
+${published ? `    <published>${published.toISOString()}</published>\n` : ''}    <updated>${updated.toISOString()}</updated>
+    <author><name>${escapeXml(post.author || site.name)}</name></author>
+    <summary>${escapeXml(postSummary(post))}</summary>
+${post.category ? `    <category term="${escapeXml(post.category)}" label="${escapeXml(getCategoryLabel(post))}"/>\n` : ''}  </entry>`;
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="th">
+  <title>${escapeXml(site.name)}</title>
+  <subtitle>${escapeXml(site.description || site.name)}</subtitle>
+  <link href="${escapeXml(`${site.url}/`)}"/>
+  <link href="${escapeXml(`${site.url}/atom.xml`)}" rel="self" type="application/atom+xml"/>
+  <id>${escapeXml(`${site.url}/`)}</id>
+  <updated>${latestModified(posts).toISOString()}</updated>
+${entries.join('\n')}
+</feed>`;
+}
+
+/**
+ * Render robots.txt from config.site.robots
+ * @param {Object} site - config.site
+ * @returns {string} - robots.txt content
+ */
+function renderRobots(site) {
+    const robots = site.robots || {};
+    const lines = ['User-agent: *'];
+
+    if (robots.disallowAll) {
+        lines.push('Disallow: /');
+    } else {
+        (robots.allow || []).forEach(path => lines.push(`Allow: ${path}`));
+        (robots.disallow || []).forEach(path => lines.push(`Disallow: ${path}`));
+        if (lines.length === 1) lines.push('Disallow:');
+    }
+
+    // Extra rules from the environment use a literal "\n" between lines
+    if (robots.extra) {
+        lines.push('', ...robots.extra.split(/\\n|\n/));
+    }
+
+    lines.push('', `Sitemap: ${site.url}/sitemap.xml`);
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+    getAlternates,
+    renderSitemap,
+    renderRssFeed,
+    renderAtomFeed,
+    renderRobots
+};
@@ -0,0 +1,101 @@
+/**
+ * Image Variants
+ * Validates uploaded images by their content (not the client's Content-Type)
+ * and renders the thumbnail and WebP variants kept next to the original
+ */
+
+const sharp = require('sharp');
+
+// sharp format name -> MIME type stored on the media record
+const FORMAT_MIME_TYPES = {
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    webp: 'image/webp',
+    gif: 'image/gif',
+    avif: 'image/avif'
+};
+
+const DEFAULTS = {
+    // Decoded images take width x height x 4 bytes; sharp refuses larger inputs
+    maxPixels: 40000000,
+    thumbnailWidth: 320,
+    webpMaxWidth: 1920,
+    webpQuality: 80
+};
+
+/**
+ * Read the real format and dimensions of an image (from its header, without decoding it)
+ * @param {Buffer} buffer - Uploaded file
+ * @param {Object} options - { maxPixels }
+ * @returns {Promise<{mimeType: string, extension: string, width: number, height: number}>}
+ * @throws {Error} - When the buffer is not an image sharp can decode, or with
+ *   code IMAGE_TOO_LARGE when it has more than maxPixels pixels
+ */
+async function inspectImage(buffer, options = {}) {
+    const { maxPixels } = { ...DEFAULTS, ...options };
+    let metadata;
+    try {
+        metadata = await sharp(buffer, { limitInputPixels: maxPixels }).metadata();
+    } catch (error) {
+        if (/pixel limit/i.test(error.message)) {
+            const tooLarge = new Error(`Image has more than ${maxPixels} pixels`);
+            tooLarge.code = 'IMAGE_TOO_LARGE';
+            throw tooLarge;
+        }
+        throw new Error('File is not a valid image');
+    }
+
+    // AVIF is reported as the HEIF container with AV1 compression
+    const format = metadata.format === 'heif' && metadata.compression === 'av1' ? 'avif' : metadata.format;
+    const mimeType = FORMAT_MIME_TYPES[format];
+    if (!mimeType) {
+        throw new Error(`Unsupported image format: ${metadata.format}`);
+    }
+
+    return {
+        mimeType,
+        extension: format === 'jpeg' ? 'jpg' : format,
+        width: metadata.width,
+        height: metadata.height
+    };
+}
+
+/**
+ * Render one WebP variant no wider than maxWidth (images are never enlarged)
+ */
+async function renderWebp(buffer, maxWidth, quality, maxPixels) {
+    const { data, info } = await sharp(buffer, { limitInputPixels: maxPixels })
+        .rotate() // Apply EXIF orientation before the metadata is dropped
+        .resize({ width: maxWidth, withoutEnlargement: true })
+        .webp({ quality })
+        .toBuffer({ resolveWithObject: true });
+
+    return {
+        buffer: data,
+        mimeType: 'image/webp',
+        width: info.width,
+        height: info.height,
+        size: info.size
+    };
+}
+
+/**
+ * Build the generated variants of an upload
+ * @param {Buffer} buffer - Original image
+ * @param {Object} options - { maxPixels, thumbnailWidth, webpMaxWidth, webpQuality }
+ * @returns {Promise<{thumbnail: Object, webp: Object}>} - Each { buffer, mimeType, width, height, size }
+ */
+async function createVariants(buffer, options = {}) {
+    const settings = { ...DEFAULTS, ...options };
+
+    return {
+        thumbnail: await renderWebp(buffer, settings.thumbnailWidth, settings.webpQuality, settings.maxPixels),
+        webp: await renderWebp(buffer, settings.webpMaxWidth, settings.webpQuality, settings.maxPixels)
+    };
+}
+
+module.exports = {
+    FORMAT_MIME_TYPES,
+    inspectImage,
+    createVariants
+};
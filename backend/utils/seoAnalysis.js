@@ -0,0 +1,578 @@
+/**
+ * SEO and Readability Analysis
+ * One scoring of a post for the admin UI (/api/posts/seo-analyze) and the
+ * E-A-T swarm: readability, keyword density and placement, heading structure,
+ * links, image alt text, meta tags and E-A-T signals, each with itemized
+ * findings and the fix to apply.
+ * Thai is written without spaces between words and rarely ends a sentence
+ * with a full stop, so words come from the ICU segmenter (thaiSearch) and
+ * Thai sentences are the space-separated phrases writers use instead.
+ */
+
+const { Post } = require('../models/Post');
+const { segmentWords } = require('./thaiSearch');
+
+// Weight of each category in the overall score
+const CATEGORY_WEIGHTS = {
+    readability: 0.2,
+    keyword: 0.2,
+    headings: 0.15,
+    links: 0.1,
+    images: 0.1,
+    meta: 0.1,
+    eat: 0.15
+};
+
+const LIMITS = {
+    minWords: 300,
+    // Highest overall score for content under minWords - structure checks don't apply to it
+    thinContentScore: 50,
+    averageSentenceWords: 20,
+    longSentenceWords: 30,
+    paragraphWords: 150,
+    sectionWords: 350,
+    keywordDensity: [0.5, 2.5],
+    titleLength: [30, 60],
+    metaDescriptionLength: [70, 160]
+};
+
+// Thai vowel and tone marks sit above or below a letter and take no width in a search result
+const THAI_COMBINING_MARKS = /[\u0E31\u0E34-\u0E3A\u0E47-\u0E4E]/g;
+const THAI_LETTER = /[\u0E00-\u0E7F]/g;
+
+const GENERIC_ANCHORS = ['คลิกที่นี่', 'คลิก', 'ที่นี่', 'อ่านต่อ', 'อ่านเพิ่มเติม', 'click here', 'here', 'read more', 'more', 'link'];
+
+// Government, academic and manufacturer sites count as authoritative sources
+const AUTHORITATIVE_HOST = /\.(?:go|ac|or)\.th$|\.gov$|\.edu$|(?:^|\.)(?:kubota|yanmar|deere|newholland|caseih|claas|iso)\.|\.who\.int$|(?:^|\.)fao\.org$/i;
+
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+/**
+ * E-A-T signals: what the text or its structure has to show for each pillar.
+ * A pillar scores the weights of the signals found.
+ */
+const EAT_SIGNALS = {
+    expertise: [
+        {
+            signal: 'technical-figures', weight: 30,
+            test: ({ text }) => /\d+(?:\.\d+)?\s*(?:nm|n·m|bar|psi|rpm|ลิตร|ชั่วโมง|องศา|มม\.|mm|°c|แรงม้า|hp)/iu.test(text),
+            fix: 'Give exact specifications (torque, pressure, capacities, intervals) instead of general advice'
+        },
+        {
+            signal: 'step-by-step', weight: 25,
+            test: ({ html }) => /<ol[\s>]/i.test(html) || /^\s*\d+[.)]\s/m.test(html),
+            fix: 'Write procedures as numbered steps'
+        },
+        {
+            signal: 'depth', weight: 25,
+            test: ({ readability }) => readability.words >= 600,
+            fix: 'Cover the topic in depth (600+ words): causes, procedure, checks afterwards'
+        },
+        {
+            signal: 'subtopics', weight: 20,
+            test: ({ headings }) => headings.outline.filter(({ level }) => level === 2).length >= 3,
+            fix: 'Break the topic into at least three H2 sections'
+        }
+    ],
+    experience: [
+        {
+            signal: 'first-hand', weight: 50,
+            test: ({ text }) => /จากประสบการณ์|เราได้ลอง|ทดลองใช้|ใช้งานจริง|หน้างาน|ช่างของเรา|ลูกค้าของเรา|in our experience|we tested|hands-on|in the field/iu.test(text),
+            fix: 'Describe first-hand experience: what the mechanic saw on a real machine and what worked'
+        },
+        {
+            signal: 'photos', weight: 30,
+            test: ({ images }) => images.total >= 2,
+            fix: 'Add your own photos of the machine and each key step'
+        },
+        {
+            signal: 'troubleshooting', weight: 20,
+            test: ({ text }) => /ปัญหาที่พบบ่อย|อาการ|สาเหตุ|วิธีแก้|troubleshoot|symptom|common problem/iu.test(text),
+            fix: 'Add the symptoms and common mistakes readers will recognise'
+        }
+    ],
+    authoritativeness: [
+        {
+            signal: 'cited-sources', weight: 40,
+            test: ({ text }) => /อ้างอิง|ที่มา|แหล่งข้อมูล|ตามคู่มือ|according to|source/iu.test(text),
+            fix: 'Name the sources of figures and procedures (manufacturer manual, standards)'
+        },
+        {
+            signal: 'authoritative-links', weight: 40,
+            test: ({ links }) => links.authoritative > 0,
+            fix: 'Link to a manufacturer, government (.go.th) or academic (.ac.th) source'
+        },
+        {
+            signal: 'named-author', weight: 20,
+            test: ({ post }) => Boolean(post.author),
+            fix: 'Credit the author or reviewing mechanic'
+        }
+    ],
+    trustworthiness: [
+        {
+            signal: 'safety-warnings', weight: 40,
+            test: ({ text }) => /ข้อควรระวัง|คำเตือน|ความปลอดภัย|ดับเครื่อง|warning|caution|safety|(?:switch|turn|shut)(?: the)? engine off|engine (?:is )?off/iu.test(text),
+            fix: 'Add safety warnings before risky steps (engine off, supports under raised parts)'
+        },
+        {
+            signal: 'reviewed-claims', weight: 30,
+            test: ({ post }) => !(post.reviewFindings || []).some(finding => !finding.acknowledged),
+            fix: 'Resolve the pre-publish review findings (unsupported figures, part numbers)'
+        },
+        {
+            signal: 'dated', weight: 15,
+            test: ({ post }) => Boolean(post.updatedAt || post.publishedAt),
+            fix: 'Show when the article was last checked'
+        },
+        {
+            signal: 'balanced', weight: 15,
+            test: ({ text }) => /ข้อจำกัด|ข้อเสีย|ไม่เหมาะ|limitation|drawback|downside/iu.test(text),
+            fix: 'Mention limitations and when to call a professional instead'
+        }
+    ]
+};
+
+/**
+ * Characters a search result shows - Thai vowel and tone marks don't count
+ * @param {string} text
+ * @returns {number}
+ */
+const displayLength = (text) => String(text || '').replace(THAI_COMBINING_MARKS, '').length;
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const clamp = (score) => Math.max(0, Math.min(100, Math.round(score)));
+
+const textOf = (html) => String(html || '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const countWords = (text) => segmentWords(text, { keepStopWords: true }).length;
+
+const isMostlyThai = (text) => {
+    const letters = (text.match(/\p{L}/gu) || []).length;
+    return letters > 0 && (text.match(THAI_LETTER) || []).length / letters > 0.5;
+};
+
+/**
+ * Plain-text paragraphs of HTML or Markdown content
+ */
+const toParagraphs = (content) => String(content || '')
+    .replace(/<\/(p|li|h[1-6]|div|tr|blockquote|figcaption)>|<br\s*\/?>/gi, '\n')
+    .replace(/^#{1,6}\s+/gm, '')
+    .split(/\n+/)
+    .map(textOf)
+    .filter(Boolean);
+
+/**
+ * Sentences of a paragraph. English splits on sentence punctuation; Thai also
+ * on the spaces that separate its clauses.
+ */
+const toSentences = (paragraph) => paragraph
+    .split(isMostlyThai(paragraph) ? /(?<=[.!?…])\s+|\s+/ : /(?<=[.!?…])\s+/)
+    .map(sentence => sentence.trim())
+    .filter(sentence => /[\p{L}\p{N}]/u.test(sentence));
+
+/**
+ * Text between headings
+ */
+const toSections = (content) => String(content || '')
+    .split(/<h[1-6][^>]*>[\s\S]*?<\/h[1-6]>|^#{1,6}\s+.+$/gim)
+    .map(textOf)
+    .filter(Boolean);
+
+/**
+ * Headings in order, from <h1>-<h6> tags or Markdown # lines
+ */
+const extractHeadings = (content) => {
+    const source = String(content || '');
+    const headings = [];
+    const pattern = /<h([1-6])[^>]*>([\s\S]*?)<\/h\1>|^(#{1,6})\s+(.+)$/gim;
+    for (const match of source.matchAll(pattern)) {
+        headings.push({
+            level: match[1] ? Number(match[1]) : match[3].length,
+            text: textOf(match[2] ?? match[4])
+        });
+    }
+    return headings;
+};
+
+const extractLinks = (content) => {
+    const source = String(content || '');
+    const links = [];
+    for (const match of source.matchAll(/<a\s[^>]*href=["']([^"']*)["'][^>]*>([\s\S]*?)<\/a>/gi)) {
+        links.push({ href: match[1], text: textOf(match[2]) });
+    }
+    for (const match of source.matchAll(/(?<!!)\[([^\]]*)\]\(([^)\s]+)\)/g)) {
+        links.push({ href: match[2], text: match[1].trim() });
+    }
+    return links;
+};
+
+const extractImages = (content) => {
+    const source = String(content || '');
+    const images = [];
+    for (const [tag] of source.matchAll(/<img\b[^>]*>/gi)) {
+        const alt = tag.match(/\balt\s*=\s*["']([^"']*)["']/i);
+        images.push({ src: (tag.match(/\bsrc\s*=\s*["']([^"']*)["']/i) || [])[1] || null, alt: alt ? alt[1].trim() : null });
+    }
+    for (const match of source.matchAll(/!\[([^\]]*)\]\(([^)\s]+)\)/g)) {
+        images.push({ src: match[2], alt: match[1].trim() || null });
+    }
+    return images;
+};
+
+const hostOf = (href) => {
+    try {
+        return new URL(href).hostname.toLowerCase();
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Post fields for one language, using the translation fields for English
+ */
+const localizedFields = (post, locale) => Object.fromEntries(
+    Object.entries(Post.translatableFields).map(([attribute, byLocale]) => [attribute, post[byLocale[locale]] || ''])
+);
+
+const analyzeReadability = ({ content }, add) => {
+    const paragraphs = toParagraphs(content);
+    const sentences = paragraphs.flatMap(toSentences).map(sentence => ({ sentence, words: countWords(sentence) }));
+    const words = sentences.reduce((sum, { words: count }) => sum + count, 0);
+    const characters = sentences.reduce((sum, { sentence }) => sum + displayLength(sentence.replace(/\s+/g, '')), 0);
+    const averageSentenceWords = sentences.length ? words / sentences.length : 0;
+    const longSentences = sentences.filter(({ words: count }) => count > LIMITS.longSentenceWords);
+    const longParagraphs = paragraphs.filter(paragraph => countWords(paragraph) > LIMITS.paragraphWords);
+
+    let score = 100;
+    if (averageSentenceWords > LIMITS.averageSentenceWords) {
+        score -= (averageSentenceWords - LIMITS.averageSentenceWords) * 4;
+        add('readability', 'long-sentences', 'medium',
+            `Sentences average ${round(averageSentenceWords)} words`,
+            `Keep sentences under ${LIMITS.averageSentenceWords} words - split long ones at their conjunctions (และ, ซึ่ง, โดย)`);
+    }
+    if (longSentences.length > 0) {
+        score -= Math.min(30, longSentences.length * 5);
+        add('readability', 'very-long-sentences', 'low',
+            `${longSentences.length} sentence(s) over ${LIMITS.longSentenceWords} words`,
+            'Rewrite these sentences as two or three shorter ones',
+            { sentences: longSentences.slice(0, 5).map(({ sentence }) => sentence.slice(0, 120)) });
+    }
+    if (longParagraphs.length > 0) {
+        score -= Math.min(20, longParagraphs.length * 5);
+        add('readability', 'long-paragraphs', 'low',
+            `${longParagraphs.length} paragraph(s) over ${LIMITS.paragraphWords} words`,
+            'Break long paragraphs up; one idea per paragraph reads better on a phone');
+    }
+    if (words < LIMITS.minWords) {
+        score -= words === 0 ? 100 : 30;
+        add('readability', 'thin-content', 'high',
+            `Only ${words} words of content`,
+            `Write at least ${LIMITS.minWords} words that fully answer the reader's question`);
+    }
+
+    const averageSentence = round(averageSentenceWords);
+    return {
+        score: clamp(score),
+        words,
+        sentences: sentences.length,
+        paragraphs: paragraphs.length,
+        averageSentenceWords: averageSentence,
+        averageWordLength: words ? round(characters / words) : 0,
+        longSentences: longSentences.length,
+        level: averageSentence <= 12 ? 'easy' : averageSentence <= LIMITS.averageSentenceWords ? 'standard' : 'difficult'
+    };
+};
+
+const analyzeKeyword = (fields, keyword, context, add) => {
+    if (!keyword) {
+        add('keyword', 'missing-keyword', 'high', 'No focus keyword', 'Set the search phrase this post should rank for');
+        return { score: 0, keyword: null };
+    }
+
+    const needle = keyword.toLowerCase();
+    const contains = (text) => String(text || '').toLowerCase().includes(needle);
+    const text = textOf(fields.content).toLowerCase();
+    const occurrences = needle ? text.split(needle).length - 1 : 0;
+    const keywordWords = Math.max(1, countWords(keyword));
+    const density = context.readability.words ? round((occurrences * keywordWords / context.readability.words) * 100, 2) : 0;
+    const [minDensity, maxDensity] = LIMITS.keywordDensity;
+    const latinKeyword = !/[\u0E00-\u0E7F]/.test(keyword);
+
+    const placement = {
+        title: contains(fields.title),
+        metaTitle: contains(fields.metaTitle || fields.title),
+        metaDescription: contains(fields.metaDescription || fields.excerpt),
+        introduction: contains(toParagraphs(fields.content)[0]),
+        headings: context.headings.outline.some(({ level, text: heading }) => level >= 2 && contains(heading)),
+        // Thai slugs are romanized, so only Latin keywords can appear in them
+        slug: latinKeyword ? fields.slug.includes(needle.trim().replace(/\s+/g, '-')) : null
+    };
+
+    let score = 100;
+    if (!placement.title) {
+        score -= 25;
+        add('keyword', 'keyword-not-in-title', 'high', `Focus keyword "${keyword}" is not in the title`, 'Put the keyword near the start of the title');
+    }
+    if (!placement.introduction) {
+        score -= 15;
+        add('keyword', 'keyword-not-in-introduction', 'medium', 'Focus keyword is not in the first paragraph', 'Use the keyword in the opening paragraph');
+    }
+    if (!placement.metaDescription) {
+        score -= 15;
+        add('keyword', 'keyword-not-in-meta-description', 'medium', 'Focus keyword is not in the meta description', 'Include the keyword in the meta description');
+    }
+    if (!placement.headings && context.headings.outline.length > 0) {
+        score -= 10;
+        add('keyword', 'keyword-not-in-headings', 'low', 'No subheading mentions the focus keyword', 'Use the keyword or a close variant in one H2');
+    }
+    if (placement.slug === false) {
+        score -= 10;
+        add('keyword', 'keyword-not-in-slug', 'low', 'Focus keyword is not in the URL', `Use a slug such as "${needle.trim().replace(/\s+/g, '-')}"`);
+    }
+    if (density < minDensity) {
+        score -= 20;
+        add('keyword', 'low-keyword-density', 'medium',
+            `Keyword density is ${density}% (${occurrences} use(s))`,
+            `Use the keyword a little more often - aim for ${minDensity}-${maxDensity}%`);
+    } else if (density > maxDensity) {
+        score -= 25;
+        add('keyword', 'keyword-stuffing', 'high',
+            `Keyword density is ${density}% (${occurrences} uses)`,
+            `Replace some uses with synonyms - above ${maxDensity}% reads as keyword stuffing`);
+    }
+
+    return { score: clamp(score), keyword, occurrences, density, placement };
+};
+
+const analyzeHeadings = ({ content }, readability, add) => {
+    const outline = extractHeadings(content);
+    const counts = outline.reduce((total, { level }) => ({ ...total, [`h${level}`]: (total[`h${level}`] || 0) + 1 }), {});
+    const skipped = outline.filter((heading, index) => index > 0 && heading.level > outline[index - 1].level + 1);
+    const sectionWords = toSections(content).map(countWords);
+
+    let score = 100;
+    if (counts.h1) {
+        score -= 20;
+        add('headings', 'h1-in-content', 'medium', 'The content has its own H1', 'The title is the page H1 - start sections at H2');
+    }
+    if (!outline.some(({ level }) => level === 2) && readability.words >= LIMITS.minWords) {
+        score -= 40;
+        add('headings', 'no-subheadings', 'high', 'No H2 subheadings', 'Split the article into sections with descriptive H2 headings');
+    }
+    if (skipped.length > 0) {
+        score -= 15;
+        add('headings', 'skipped-levels', 'low',
+            `Heading levels are skipped (${skipped.map(({ level, text }) => `H${level} "${text}"`).join(', ')})`,
+            'Nest headings in order: H2, then H3 under it');
+    }
+    if (outline.some(({ text }) => !text)) {
+        score -= 10;
+        add('headings', 'empty-heading', 'low', 'A heading has no text', 'Remove empty headings or give them a title');
+    }
+    const longSections = sectionWords.filter(words => words > LIMITS.sectionWords).length;
+    if (longSections > 0 && outline.length > 0) {
+        score -= Math.min(30, longSections * 10);
+        add('headings', 'long-sections', 'low',
+            `${longSections} section(s) run over ${LIMITS.sectionWords} words without a subheading`,
+            'Add H3 subheadings inside long sections');
+    }
+
+    return { score: clamp(score), counts, outline };
+};
+
+const analyzeLinks = ({ content }, readability, siteUrl, add) => {
+    const siteHost = hostOf(siteUrl);
+    const links = extractLinks(content).map(link => {
+        const host = hostOf(link.href);
+        return { ...link, host, internal: !host || host === siteHost };
+    });
+    const internal = links.filter(link => link.internal);
+    const external = links.filter(link => !link.internal);
+    const generic = links.filter(({ text }) => !text || GENERIC_ANCHORS.includes(text.toLowerCase()));
+    const substantial = readability.words >= LIMITS.minWords;
+
+    let score = 100;
+    if (internal.length === 0 && substantial) {
+        score -= 40;
+        add('links', 'no-internal-links', 'medium', 'No links to other posts on the site', 'Link 2-3 related guides with descriptive anchor text');
+    }
+    if (external.length === 0 && substantial) {
+        score -= 30;
+        add('links', 'no-external-links', 'low', 'No links to outside sources', "Link the manufacturer's manual or an official source for key facts");
+    }
+    if (generic.length > 0) {
+        score -= Math.min(30, generic.length * 10);
+        add('links', 'generic-anchor-text', 'low',
+            `${generic.length} link(s) with empty or generic text ("${generic[0].text || '(empty)'}")`,
+            'Describe the target page in the link text instead of "คลิกที่นี่"');
+    }
+
+    return {
+        score: clamp(score),
+        internal: internal.length,
+        external: external.length,
+        authoritative: external.filter(({ host }) => AUTHORITATIVE_HOST.test(host || '')).length,
+        genericAnchors: generic.length
+    };
+};
+
+const analyzeImages = ({ content }, add) => {
+    const images = extractImages(content);
+    const missing = images.filter(({ alt }) => !alt);
+
+    if (images.length === 0) {
+        add('images', 'no-images', 'low', 'The content has no images', 'Add photos or diagrams with descriptive alt text');
+        return { score: 60, total: 0, withAlt: 0, coverage: null, missingAlt: [] };
+    }
+
+    const coverage = Math.round(((images.length - missing.length) / images.length) * 100);
+    if (missing.length > 0) {
+        add('images', 'missing-alt', missing.length === images.length ? 'high' : 'medium',
+            `${missing.length} of ${images.length} image(s) have no alt text`,
+            'Describe each image in its alt text, e.g. "เปลี่ยนสายพานรถเกี่ยวข้าว Kubota DC-70"',
+            { images: missing.map(({ src }) => src) });
+    }
+
+    return { score: coverage, total: images.length, withAlt: images.length - missing.length, coverage, missingAlt: missing.map(({ src }) => src) };
+};
+
+const analyzeMeta = (fields, add) => {
+    const title = fields.metaTitle || fields.title;
+    const description = fields.metaDescription || fields.excerpt;
+    const titleLength = displayLength(title);
+    const descriptionLength = displayLength(description);
+    const [minTitle, maxTitle] = LIMITS.titleLength;
+    const [minDescription, maxDescription] = LIMITS.metaDescriptionLength;
+
+    let score = 100;
+    if (!title) {
+        score -= 50;
+        add('meta', 'missing-title', 'high', 'No title', 'Write a title that names the machine and the task');
+    } else if (titleLength < minTitle || titleLength > maxTitle) {
+        score -= 20;
+        add('meta', titleLength < minTitle ? 'short-title' : 'long-title', 'medium',
+            `Title is ${titleLength} characters`,
+            `Keep the search title between ${minTitle} and ${maxTitle} characters so it shows in full`);
+    }
+    if (!fields.metaDescription) {
+        score -= 25;
+        add('meta', 'missing-meta-description', 'medium',
+            'No meta description - search engines will pick their own snippet',
+            'Write a meta description that summarizes the answer and invites the click');
+    }
+    if (description && (descriptionLength < minDescription || descriptionLength > maxDescription)) {
+        score -= 15;
+        add('meta', descriptionLength < minDescription ? 'short-meta-description' : 'long-meta-description', 'low',
+            `Meta description is ${descriptionLength} characters`,
+            `Keep it between ${minDescription} and ${maxDescription} characters`);
+    }
+
+    return { score: clamp(score), titleLength, metaDescriptionLength: descriptionLength };
+};
+
+const analyzeEat = (context, add) => {
+    const pillars = Object.fromEntries(Object.entries(EAT_SIGNALS).map(([pillar, signals]) => {
+        const found = signals.filter(({ test }) => test(context));
+        const score = found.reduce((sum, { weight }) => sum + weight, 0);
+
+        if (score < 60) {
+            signals
+                .filter(signal => !found.includes(signal))
+                .forEach(({ signal, fix }) => add('eat', `${pillar}.${signal}`, score < 30 ? 'medium' : 'low', `Weak ${pillar}: missing ${signal.replace(/-/g, ' ')}`, fix));
+        }
+
+        return [pillar, { score, signals: found.map(({ signal }) => signal) }];
+    }));
+
+    const scores = Object.values(pillars).map(({ score }) => score);
+    return {
+        score: clamp(scores.reduce((sum, score) => sum + score, 0) / scores.length),
+        ...pillars
+    };
+};
+
+const gradeOf = (score) => {
+    if (score >= 90) return 'A+';
+    if (score >= 80) return 'A';
+    if (score >= 70) return 'B+';
+    if (score >= 60) return 'B';
+    if (score >= 50) return 'C+';
+    if (score >= 40) return 'C';
+    return 'F';
+};
+
+/**
+ * Analyse a post
+ * @param {Object} post - Post fields (titleTH, content, metaDescription, focusKeyword, ... and their EN versions)
+ * @param {Object} options - { locale: 'th' | 'en', keyword (overrides the focus keyword), siteUrl (internal links) }
+ * @returns {Object} - { score, grade, locale, categories, readability, keyword, headings, links, images, meta, eat, findings }
+ *   findings: [{ id, category, severity, message, fix, details }], most severe first
+ */
+const analyzeSeo = (post = {}, options = {}) => {
+    const locale = Post.locales.includes(options.locale) ? options.locale : Post.defaultLocale;
+    const fields = localizedFields(post, locale);
+    const keyword = String(options.keyword ?? fields.focusKeyword ?? '').trim();
+    const findings = [];
+    const add = (category, code, severity, message, fix, details) => {
+        findings.push({ id: `${category}.${code}`, category, severity, message, fix, ...(details && { details }) });
+    };
+
+    const readability = analyzeReadability(fields, add);
+    const headings = analyzeHeadings(fields, readability, add);
+    const keywordResult = analyzeKeyword(fields, keyword, { readability, headings }, add);
+    const links = analyzeLinks(fields, readability, options.siteUrl, add);
+    const images = analyzeImages(fields, add);
+    const meta = analyzeMeta(fields, add);
+    const eat = analyzeEat({
+        post,
+        html: String(fields.content || ''),
+        text: textOf(fields.content),
+        readability,
+        headings,
+        links,
+        images
+    }, add);
+
+    const categories = {
+        readability: readability.score,
+        keyword: keywordResult.score,
+        headings: headings.score,
+        links: links.score,
+        images: images.score,
+        meta: meta.score,
+        eat: eat.score
+    };
+    // Without content nothing else counts, and thin content can't make up for it elsewhere
+    const weighted = clamp(Object.entries(CATEGORY_WEIGHTS).reduce((sum, [category, weight]) => sum + categories[category] * weight, 0));
+    const score = readability.words === 0 ? 0
+        : readability.words < LIMITS.minWords ? Math.min(weighted, LIMITS.thinContentScore)
+        : weighted;
+
+    return {
+        score,
+        grade: gradeOf(score),
+        locale,
+        categories,
+        readability,
+        keyword: keywordResult,
+        headings,
+        links,
+        images,
+        meta,
+        eat,
+        findings: findings.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity])
+    };
+};
+
+module.exports = {
+    CATEGORY_WEIGHTS,
+    LIMITS,
+    analyzeSeo,
+    displayLength
+};
@@ -0,0 +1,284 @@
+/**
+ * Structured Data
+ * Schema.org JSON-LD for public blog pages (/blog/:slug) and the admin preview:
+ * the post as its schemaType (HowTo steps come from the content), FAQPage from
+ * question-and-answer sections, BreadcrumbList from the category and the
+ * Organization from the site settings.
+ */
+
+const { Post } = require('../models/Post');
+const { stripHtml, getPostUrl, getPostTitle, getCategoryLabel, toIsoDate } = require('./blogRenderer');
+
+const SCHEMA_TYPES = ['Article', 'BlogPosting', 'HowTo', 'NewsArticle'];
+
+/**
+ * schemaType named loosely, e.g. a swarm contentType: 'howto', 'how-to', 'blogposting'
+ * @param {string} value
+ * @returns {?string} - Entry of SCHEMA_TYPES, null when none matches
+ */
+const toSchemaType = (value) => SCHEMA_TYPES.find(type => type.toLowerCase() === String(value || '').toLowerCase().replace(/[^a-z]/g, '')) || null;
+
+// Google shows at most 110 characters of an article headline
+const HEADLINE_LENGTH = 110;
+
+// A heading that opens a Q&A section: its subheadings are the questions
+const FAQ_SECTION = /คำถามที่พบบ่อย|ถาม\s*[-–—/&]?\s*ตอบ|faq|frequently asked|questions? (?:and|&) answers?/i;
+
+// Thai questions often end in a question word instead of "?"
+const QUESTION = /\?\s*$|(?:ไหม|มั้ย|หรือไม่|หรือเปล่า|อย่างไร|ยังไง|เท่าไร|เท่าไหร่|กี่\S*|ทำไม|อะไร|ที่ไหน|เมื่อไร|เมื่อไหร่)\s*$/i;
+
+const STEP_HEADING = /^(?:ขั้นตอนที่|step)\s*\d+\s*[:.)\-–]?\s*/i;
+
+// ถาม: ... ตอบ: ... and Q: ... A: ... written as paragraphs
+const QA_PAIR = /(?:^|\n)\s*(?:ถาม|q)\s*[:.]\s*([^\n]+?)\s*\n+\s*(?:ตอบ|a)\s*[:.]\s*([^\n]+)/gi;
+
+/**
+ * Content split at its headings (HTML <h1>-<h6> or Markdown #), with the text before the first heading at level 0
+ * @param {string} content - HTML or Markdown
+ * @returns {Array<{level: number, heading: string, html: string}>}
+ */
+function toSections(content) {
+    const source = String(content || '');
+    const pattern = /<h([1-6])[^>]*>([\s\S]*?)<\/h\1>|^(#{1,6})\s+(.+)$/gim;
+    const sections = [];
+    let current = { level: 0, heading: '', start: 0 };
+
+    for (const match of source.matchAll(pattern)) {
+        sections.push({ ...current, html: source.slice(current.start, match.index) });
+        current = {
+            level: match[1] ? Number(match[1]) : match[3].length,
+            heading: stripHtml(match[2] ?? match[4]),
+            start: match.index + match[0].length
+        };
+    }
+    sections.push({ ...current, html: source.slice(current.start) });
+
+    return sections.map(({ start, ...section }) => section);
+}
+
+// Text of a section, one line per paragraph or list item
+const toLines = (html) => String(html || '')
+    .replace(/<\/(p|li|div|tr|blockquote|figcaption)>|<br\s*\/?>/gi, '\n')
+    .split('\n')
+    .map(stripHtml)
+    .filter(Boolean);
+
+const firstImage = (html) => (String(html || '').match(/<img\b[^>]*\bsrc\s*=\s*["']([^"']+)["']/i)
+    || String(html || '').match(/!\[[^\]]*\]\(([^)\s]+)\)/) || [])[1] || null;
+
+/**
+ * Shorten a step's text to a name: its first sentence, or the first 80 characters
+ */
+const stepName = (text) => {
+    const sentence = text.split(/(?<=[.!?])\s+|\s{2,}/)[0];
+    return sentence.length <= 80 ? sentence : `${sentence.slice(0, 79).trim()}…`;
+};
+
+/**
+ * HowTo steps from the content: "ขั้นตอนที่ 1" / "Step 1" headings, else the
+ * first numbered list (HTML <ol> or Markdown "1.")
+ * @param {string} content - HTML or Markdown
+ * @returns {Array<{name: string, text: string, image: ?string}>}
+ */
+function extractHowToSteps(content) {
+    const stepSections = toSections(content).filter(({ heading }) => STEP_HEADING.test(heading));
+    if (stepSections.length >= 2) {
+        return stepSections.map(({ heading, html }) => ({
+            name: heading.replace(STEP_HEADING, '') || heading,
+            text: toLines(html).join(' ') || heading,
+            image: firstImage(html)
+        }));
+    }
+
+    const list = String(content || '').match(/<ol\b[^>]*>([\s\S]*?)<\/ol>/i);
+    const items = list
+        ? [...list[1].matchAll(/<li\b[^>]*>([\s\S]*?)<\/li>/gi)].map(([, html]) => ({ html, text: stripHtml(html) }))
+        : [...String(content || '').matchAll(/^\s*\d+[.)]\s+(.+)$/gm)].map(([, text]) => ({ html: text, text: stripHtml(text) }));
+
+    return items
+        .filter(({ text }) => text)
+        .map(({ html, text }) => ({ name: stepName(text), text, image: firstImage(html) }));
+}
+
+/**
+ * Questions and answers: the subheadings of an FAQ section, headings phrased
+ * as questions, and ถาม:/ตอบ: (Q:/A:) paragraphs
+ * @param {string} content - HTML or Markdown
+ * @returns {Array<{question: string, answer: string}>}
+ */
+function extractFaq(content) {
+    const sections = toSections(content);
+    const pairs = [];
+    let faqLevel = null;
+
+    sections.forEach(({ level, heading, html }) => {
+        if (faqLevel !== null && level > 0 && level <= faqLevel) faqLevel = null;
+
+        const answer = toLines(html).join(' ');
+        if (FAQ_SECTION.test(heading)) {
+            faqLevel = level;
+        } else if (answer && (faqLevel !== null || QUESTION.test(heading))) {
+            pairs.push({ question: heading, answer });
+        }
+    });
+
+    const text = String(content || '').replace(/<\/(p|li|div)>|<br\s*\/?>/gi, '\n').replace(/<[^>]*>/g, '');
+    for (const [, question, answer] of text.matchAll(QA_PAIR)) {
+        pairs.push({ question: question.trim(), answer: answer.trim() });
+    }
+
+    const seen = new Set();
+    return pairs.filter(({ question }) => !seen.has(question) && seen.add(question));
+}
+
+/**
+ * URL of a category listing from config.site.categoryUrl ("/blog?category={slug}"), null when not configured
+ */
+function getCategoryUrl(slug, site) {
+    if (!site.categoryUrl || !slug) return null;
+    const path = site.categoryUrl.replace('{slug}', encodeURIComponent(slug));
+    return /^https?:\/\//i.test(path) ? path : `${site.url}${path.startsWith('/') ? '' : '/'}${path}`;
+}
+
+// Images in content are often site-relative; structured data needs absolute URLs
+const absoluteUrl = (src, site) => {
+    try {
+        return new URL(src, `${site.url}/`).href;
+    } catch (error) {
+        return src;
+    }
+};
+
+function buildOrganization(site) {
+    const sameAs = site.sameAs || [];
+    return {
+        '@type': 'Organization',
+        '@id': `${site.url}/#organization`,
+        name: site.name,
+        url: site.url,
+        ...(site.description && { description: site.description }),
+        ...(site.logo && { logo: { '@type': 'ImageObject', url: site.logo } }),
+        ...(sameAs.length > 0 && { sameAs })
+    };
+}
+
+function buildBreadcrumbs(post, site, url, pageId, title) {
+    const crumbs = [{ name: site.name, item: site.url }];
+    if (post.category) {
+        crumbs.push({ name: getCategoryLabel(post), item: getCategoryUrl(post.category, site) });
+    }
+    crumbs.push({ name: title, item: url });
+
+    return {
+        '@type': 'BreadcrumbList',
+        '@id': `${pageId}#breadcrumb`,
+        itemListElement: crumbs.map(({ name, item }, index) => ({
+            '@type': 'ListItem',
+            position: index + 1,
+            name,
+            ...(item && { item })
+        }))
+    };
+}
+
+/**
+ * Schema.org JSON-LD for a post
+ * @param {Object} post - Post object, optionally localized by Post.localize
+ * @param {Object} site - config.site
+ * @returns {{jsonLd: Object, types: string[], warnings: Array<{code: string, message: string}>}}
+ *   jsonLd is one { @context, @graph } document; warnings explain what was left out
+ */
+function buildStructuredData(post, site) {
+    // Unsaved previews have no slug, and so no URL yet
+    const url = post.slug ? getPostUrl(post, site) : null;
+    const pageId = url || `${site.url}/draft`;
+    const title = getPostTitle(post) || '';
+    const description = post.metaDescription || post.excerpt || stripHtml(post.content).slice(0, 160);
+    const image = post.featured_image_url || site.defaultImage;
+    const organization = buildOrganization(site);
+    const publisher = { '@id': organization['@id'] };
+    const warnings = [];
+    const warn = (code, message) => warnings.push({ code, message });
+
+    let type = SCHEMA_TYPES.includes(post.schemaType) ? post.schemaType : 'Article';
+    const steps = type === 'HowTo' ? extractHowToSteps(post.content) : [];
+    if (type === 'HowTo' && steps.length < 2) {
+        warn('howto-without-steps', 'HowTo needs at least two steps ("ขั้นตอนที่ 1" headings or a numbered list) - published as Article');
+        type = 'Article';
+    }
+
+    const common = {
+        '@id': `${pageId}#${type === 'HowTo' ? 'howto' : 'article'}`,
+        description,
+        ...(image && { image: [image] }),
+        inLanguage: post.lang || Post.defaultLocale,
+        ...(url && { mainEntityOfPage: url })
+    };
+
+    const main = type === 'HowTo'
+        ? {
+            '@type': 'HowTo',
+            ...common,
+            name: title,
+            step: steps.map((step, index) => ({
+                '@type': 'HowToStep',
+                position: index + 1,
+                name: step.name,
+                text: step.text,
+                ...(step.image && { image: absoluteUrl(step.image, site) })
+            }))
+        }
+        : {
+            '@type': type,
+            ...common,
+            headline: title.length > HEADLINE_LENGTH ? `${title.slice(0, HEADLINE_LENGTH - 1)}…` : title,
+            ...(post.category && { articleSection: getCategoryLabel(post) }),
+            ...(Array.isArray(post.tags) && post.tags.length > 0 && { keywords: post.tags.join(', ') })
+        };
+
+    const published = toIsoDate(post.publishedAt || post.createdAt);
+    const modified = toIsoDate(post.updatedAt);
+    Object.assign(main, {
+        ...(published && { datePublished: published }),
+        ...(modified && { dateModified: modified }),
+        // The default author is the site itself
+        author: post.author && post.author !== site.name ? { '@type': 'Person', name: post.author } : publisher,
+        publisher
+    });
+
+    if (!image) warn('no-image', 'No featured image or SITE_DEFAULT_IMAGE - rich results need an image');
+    if (!site.logo) warn('no-logo', 'No SITE_LOGO - the publisher Organization has no logo');
+    if (post.category && !site.categoryUrl) {
+        warn('breadcrumb-without-link', 'SITE_CATEGORY_URL is not set - the category breadcrumb has no link');
+    }
+
+    const faq = extractFaq(post.content);
+    const graph = [
+        main,
+        ...(faq.length > 0 ? [{
+            '@type': 'FAQPage',
+            '@id': `${pageId}#faq`,
+            mainEntity: faq.map(({ question, answer }) => ({
+                '@type': 'Question',
+                name: question,
+                acceptedAnswer: { '@type': 'Answer', text: answer }
+            }))
+        }] : []),
+        buildBreadcrumbs(post, site, url, pageId, title),
+        organization
+    ];
+
+    return {
+        jsonLd: { '@context': 'https://schema.org', '@graph': graph },
+        types: graph.map(node => node['@type']),
+        warnings
+    };
+}
+
+module.exports = {
+    SCHEMA_TYPES,
+    toSchemaType,
+    buildStructuredData,
+    extractHowToSteps,
+    extractFaq
+};
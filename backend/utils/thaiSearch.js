@@ -0,0 +1,229 @@
+/**
+ * Thai Search
+ * Word segmentation, a ranked in-memory index over posts and snippet highlighting.
+ * Thai is written without spaces between words, so text is split with the ICU
+ * dictionary segmenter (Intl.Segmenter) instead of on whitespace.
+ */
+
+const { escapeHtml, stripHtml } = require('./blogRenderer');
+
+// Searchable fields and how much a match in each one counts
+const FIELD_WEIGHTS = {
+    titleTH: 3,
+    titleEN: 3,
+    tags: 2,
+    excerpt: 1.5,
+    excerptEN: 1.5,
+    content: 1,
+    contentEN: 1
+};
+
+// Very common words that only add noise to the ranking
+const STOP_WORDS = new Set([
+    'การ', 'และ', 'ที่', 'ของ', 'ใน', 'ให้', 'ได้', 'เป็น', 'มี', 'กับ', 'จะ', 'ไม่', 'แล้ว', 'หรือ', 'ความ',
+    'a', 'an', 'and', 'the', 'of', 'to', 'in', 'for', 'on', 'is', 'with'
+]);
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Score multiplier for index terms that only start with the query term
+const PREFIX_MATCH_FACTOR = 0.5;
+
+const segmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+    ? new Intl.Segmenter('th', { granularity: 'word' })
+    : null;
+
+/**
+ * Split text into lowercase words (Thai-aware)
+ * @param {string} text - Plain text or HTML
+ * @param {Object} options - { keepStopWords }
+ * @returns {string[]}
+ */
+function segmentWords(text, options = {}) {
+    const plain = stripHtml(text).toLowerCase();
+    if (!plain) return [];
+
+    const words = segmenter
+        ? [...segmenter.segment(plain)].filter(part => part.isWordLike).map(part => part.segment)
+        : plain.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+    return options.keepStopWords ? words : words.filter(word => !STOP_WORDS.has(word));
+}
+
+function fieldText(post, field) {
+    const value = post[field];
+    return Array.isArray(value) ? value.join(' ') : (value || '');
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Cut a plain-text snippet around the first match and wrap matches in <mark>
+ * @param {string} text - Plain text or HTML
+ * @param {string[]} terms - Words to highlight
+ * @param {number} maxLength - Snippet length in characters
+ * @returns {string|null} - Escaped HTML snippet, or null when nothing matches
+ */
+function highlight(text, terms, maxLength = 160) {
+    const plain = stripHtml(text);
+    const uniqueTerms = [...new Set(terms)].filter(Boolean).sort((a, b) => b.length - a.length);
+    if (!plain || uniqueTerms.length === 0) return null;
+
+    const pattern = new RegExp(`(${uniqueTerms.map(escapeRegExp).join('|')})`, 'gi');
+    const first = plain.search(pattern);
+    if (first === -1) return null;
+
+    let start = 0;
+    let end = plain.length;
+    if (plain.length > maxLength) {
+        start = Math.max(0, first - Math.floor(maxLength / 3));
+        end = Math.min(plain.length, start + maxLength);
+    }
+
+    const excerpt = plain.slice(start, end);
+    const marked = excerpt
+        .split(pattern)
+        .map((part, i) => (i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+        .join('');
+
+    return `${start > 0 ? '…' : ''}${marked}${end < plain.length ? '…' : ''}`;
+}
+
+/**
+ * Ranked full-text index over posts (BM25 with per-field weights)
+ */
+class SearchIndex {
+    constructor() {
+        this.documents = new Map();   // id -> post
+        this.postings = new Map();    // term -> Map(id -> weighted term frequency)
+        this.lengths = new Map();     // id -> weighted document length
+        this.averageLength = 0;
+        this.fingerprint = null;
+    }
+
+    /**
+     * Cheap change detector - any create, update or delete changes it. Tags are
+     * included because tag renames and merges rewrite them without touching updatedAt.
+     */
+    static fingerprint(posts) {
+        return posts.map(post => `${post.id}:${post.updatedAt || ''}:${(post.tags || []).join(',')}`).sort().join('|');
+    }
+
+    /**
+     * Rebuild the index only when the posts changed since the last build
+     * @param {Object[]} posts - All posts
+     * @returns {boolean} - Whether the index was rebuilt
+     */
+    sync(posts) {
+        const fingerprint = SearchIndex.fingerprint(posts);
+        if (fingerprint === this.fingerprint) return false;
+
+        this.build(posts);
+        this.fingerprint = fingerprint;
+        return true;
+    }
+
+    build(posts) {
+        this.documents.clear();
+        this.postings.clear();
+        this.lengths.clear();
+
+        let totalLength = 0;
+
+        posts.forEach(post => {
+            let length = 0;
+
+            Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+                segmentWords(fieldText(post, field)).forEach(term => {
+                    if (!this.postings.has(term)) this.postings.set(term, new Map());
+                    const postings = this.postings.get(term);
+                    postings.set(post.id, (postings.get(post.id) || 0) + weight);
+                    length += weight;
+                });
+            });
+
+            this.documents.set(post.id, post);
+            this.lengths.set(post.id, length);
+            totalLength += length;
+        });
+
+        this.averageLength = posts.length > 0 ? totalLength / posts.length : 0;
+    }
+
+    /**
+     * Index terms matching a query word: the word itself, or words it is a prefix of
+     * @returns {Array<{term: string, factor: number}>}
+     */
+    expandTerm(word) {
+        if (this.postings.has(word)) return [{ term: word, factor: 1 }];
+        if (word.length < 2) return [];
+
+        return [...this.postings.keys()]
+            .filter(term => term.startsWith(word))
+            .map(term => ({ term, factor: PREFIX_MATCH_FACTOR }));
+    }
+
+    /**
+     * Search the index
+     * @param {string} query - Search text
+     * @param {Object} options - { filter: (post) => boolean }
+     * @returns {Array<{id: *, score: number, terms: string[]}>} - Best match first
+     */
+    search(query, options = {}) {
+        const words = [...new Set(segmentWords(query))];
+        if (words.length === 0 || this.documents.size === 0) return [];
+
+        const phrase = stripHtml(query).toLowerCase().trim();
+        const results = new Map();
+
+        words.forEach(word => {
+            this.expandTerm(word).forEach(({ term, factor }) => {
+                const postings = this.postings.get(term);
+                const idf = Math.log(1 + (this.documents.size - postings.size + 0.5) / (postings.size + 0.5));
+
+                postings.forEach((tf, id) => {
+                    const length = this.lengths.get(id) || 0;
+                    const norm = tf * (K1 + 1) / (tf + K1 * (1 - B + B * length / (this.averageLength || 1)));
+
+                    if (!results.has(id)) results.set(id, { id, score: 0, words: new Set(), terms: new Set() });
+                    const result = results.get(id);
+                    result.score += idf * norm * factor;
+                    result.words.add(word);
+                    result.terms.add(term);
+                });
+            });
+        });
+
+        return [...results.values()]
+            .filter(result => !options.filter || options.filter(this.documents.get(result.id)))
+            .map(result => {
+                const post = this.documents.get(result.id);
+                // Prefer posts that match every query word, and exact phrases in titles
+                let score = result.score * (result.words.size / words.length);
+                const title = `${post.titleTH || ''} ${post.titleEN || ''}`.toLowerCase();
+                if (phrase && title.includes(phrase)) score *= 1.5;
+
+                return {
+                    id: result.id,
+                    score: Math.round(score * 1000) / 1000,
+                    terms: [...result.terms]
+                };
+            })
+            .sort((a, b) => b.score - a.score);
+    }
+
+    getDocument(id) {
+        return this.documents.get(id) || null;
+    }
+}
+
+module.exports = {
+    FIELD_WEIGHTS,
+    segmentWords,
+    highlight,
+    SearchIndex
+};
@@ -0,0 +1,206 @@
+/**
+ * TOTP
+ * RFC 6238 time-based one-time passwords (HMAC-SHA1, 30 s steps, 6 digits)
+ * as used by Google Authenticator, 1Password, Authy and similar apps
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DEFAULTS = {
+    digits: 6,
+    period: 30,
+    window: 1 // Accept codes one step either side for clock drift
+};
+
+/**
+ * Encode bytes as unpadded RFC 4648 base32 (the format authenticator apps expect)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+/**
+ * Decode base32, ignoring case, spaces and padding
+ * @param {string} input - Base32 string
+ * @returns {Buffer}
+ */
+function base32Decode(input) {
+    const cleaned = String(input).toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error(`Invalid base32 character: ${char}`);
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+}
+
+/**
+ * Generate a random 160-bit shared secret (RFC 4226 recommendation)
+ * @returns {string} - Base32 secret
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * HOTP value for a counter (RFC 4226 section 5.3)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Moving factor
+ * @param {number} digits - Code length
+ * @returns {string}
+ */
+function hotp(secret, counter, digits = DEFAULTS.digits) {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+        | (hmac[offset + 1] << 16)
+        | (hmac[offset + 2] << 8)
+        | hmac[offset + 3];
+
+    return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+/**
+ * Time step for a moment
+ * @param {number} time - Milliseconds since epoch
+ * @param {number} period - Step length in seconds
+ * @returns {number}
+ */
+function getCounter(time = Date.now(), period = DEFAULTS.period) {
+    return Math.floor(time / 1000 / period);
+}
+
+/**
+ * Current TOTP code
+ * @param {string} secret - Base32 secret
+ * @param {Object} options - { time, digits, period }
+ * @returns {string}
+ */
+function generateCode(secret, options = {}) {
+    const { time = Date.now(), digits = DEFAULTS.digits, period = DEFAULTS.period } = options;
+    return hotp(secret, getCounter(time, period), digits);
+}
+
+/**
+ * Check a code against the steps around the current time
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {Object} options - { time, digits, period, window, afterCounter }
+ *   afterCounter rejects steps already used, so a code cannot be replayed
+ * @returns {number|null} - Matched counter, or null when the code is invalid
+ */
+function verifyCode(secret, code, options = {}) {
+    const {
+        time = Date.now(),
+        digits = DEFAULTS.digits,
+        period = DEFAULTS.period,
+        window = DEFAULTS.window,
+        afterCounter = -1
+    } = options;
+
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!secret || !new RegExp(`^\\d{${digits}}$`).test(normalized)) {
+        return null;
+    }
+
+    const current = getCounter(time, period);
+    for (let step = -window; step <= window; step++) {
+        const counter = current + step;
+        if (counter <= afterCounter) continue;
+
+        const expected = hotp(secret, counter, digits);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return counter;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * otpauth:// provisioning URI; authenticator apps scan it as a QR code
+ * @param {Object} params - { secret, account, issuer }
+ * @returns {string}
+ */
+function buildOtpauthUri({ secret, account, issuer }) {
+    const label = encodeURIComponent(issuer ? `${issuer}:${account}` : account);
+    const params = new URLSearchParams({
+        secret,
+        algorithm: 'SHA1',
+        digits: String(DEFAULTS.digits),
+        period: String(DEFAULTS.period)
+    });
+    if (issuer) params.set('issuer', issuer);
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * One-time recovery codes in xxxxx-xxxxx form
+ * @param {number} count - Number of codes
+ * @returns {string[]}
+ */
+function generateRecoveryCodes(count = 10) {
+    return Array.from({ length: count }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+}
+
+/**
+ * Hash a recovery code for storage (case and dashes do not matter)
+ * @param {string} code - Recovery code
+ * @returns {string}
+ */
+function hashRecoveryCode(code) {
+    const normalized = String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    hotp,
+    getCounter,
+    generateCode,
+    verifyCode,
+    buildOtpauthUri,
+    generateRecoveryCodes,
+    hashRecoveryCode
+};
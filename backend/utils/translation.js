@@ -0,0 +1,127 @@
+/**
+ * Translation helpers
+ * Prompt building and output checks for AI post translations
+ */
+
+const { GlossaryTerm } = require('../models/GlossaryTerm');
+
+const LANGUAGE_NAMES = { th: 'Thai', en: 'English' };
+
+const TAG_PATTERN = /<\/?([a-zA-Z][a-zA-Z0-9-]*)\b[^>]*>/g;
+const LINK_ATTRIBUTE_PATTERN = /\s(?:href|src)\s*=\s*["']([^"']*)["']/gi;
+
+/**
+ * Markup of an HTML fragment with the text removed: each tag as "<p>" or
+ * "</p>", with link and image targets, in document order
+ * @param {string} html - HTML fragment
+ * @returns {string[]}
+ */
+function htmlSkeleton(html) {
+    const skeleton = [];
+
+    for (const match of String(html || '').matchAll(TAG_PATTERN)) {
+        const closing = match[0].startsWith('</');
+        const targets = [...match[0].matchAll(LINK_ATTRIBUTE_PATTERN)].map(attribute => attribute[1]);
+        const name = match[1].toLowerCase();
+        skeleton.push(`<${closing ? '/' : ''}${name}${targets.length > 0 ? ` ${targets.join(' ')}` : ''}>`);
+    }
+
+    return skeleton;
+}
+
+/**
+ * Check that a translation kept the markup of its source
+ * @param {string} source - Source HTML
+ * @param {string} translation - Translated HTML
+ * @returns {{ matches: boolean, expected?: string, found?: string, position?: number }}
+ */
+function compareHtmlStructure(source, translation) {
+    const expected = htmlSkeleton(source);
+    const found = htmlSkeleton(translation);
+    const length = Math.max(expected.length, found.length);
+
+    for (let position = 0; position < length; position++) {
+        if (expected[position] !== found[position]) {
+            return {
+                matches: false,
+                position,
+                expected: expected[position] || '(end)',
+                found: found[position] || '(end)'
+            };
+        }
+    }
+
+    return { matches: true };
+}
+
+/**
+ * Remove the ``` fence models sometimes wrap their answer in
+ * @param {string} text - Model output
+ * @returns {string}
+ */
+function stripCodeFences(text) {
+    const trimmed = String(text || '').trim();
+    const fenced = trimmed.match(/^```[a-zA-Z]*\n([\s\S]*?)\n?```$/);
+    return fenced ? fenced[1].trim() : trimmed;
+}
+
+/**
+ * Prompt asking a model to translate one post field
+ * @param {Object} options
+ * @param {string} options.field - Post field being translated (e.g. 'metaDescription')
+ * @param {string} options.text - Source text
+ * @param {string} options.from - Source locale
+ * @param {string} options.to - Target locale
+ * @param {Object[]} [options.terms] - Glossary terms the source uses
+ * @param {boolean} [options.isHtml] - Whether the text is an HTML fragment
+ * @param {string} [options.problem] - What was wrong with the previous attempt
+ * @returns {string}
+ */
+function buildTranslationPrompt({ field, text, from, to, terms = [], isHtml = false, problem }) {
+    const lines = [
+        `Translate the ${field} of a blog post about rice combine harvesters from ${LANGUAGE_NAMES[from]} to ${LANGUAGE_NAMES[to]}.`,
+        'Keep the meaning, technical accuracy and tone. Keep numbers, units, part numbers and model names unchanged.'
+    ];
+
+    if (isHtml) {
+        lines.push('The text is HTML. Keep every tag and attribute exactly as it is, in the same order; translate only the text between tags and alt/title attributes.');
+    }
+
+    if (field === 'metaTitle' || field === 'metaDescription') {
+        lines.push('Keep it about as short as the original; it is shown in search results.');
+    }
+
+    if (terms.length > 0) {
+        lines.push('', 'Use these glossary translations:');
+        terms.forEach(term => {
+            lines.push(`- ${GlossaryTerm.termIn(term, from)} => ${GlossaryTerm.termIn(term, to)}${term.note ? ` (${term.note})` : ''}`);
+        });
+    }
+
+    if (problem) {
+        lines.push('', `Your previous translation was rejected: ${problem}`);
+    }
+
+    lines.push('', 'Reply with the translation only, without explanations or code fences.', '', '---', text);
+    return lines.join('\n');
+}
+
+/**
+ * Glossary terms whose target-language form is missing from a translation
+ * @param {Object[]} terms - Terms the source uses
+ * @param {string} translation - Translated text
+ * @param {string} to - Target locale
+ * @returns {Object[]}
+ */
+function findMissingTerms(terms, translation, to) {
+    return terms.filter(term => !GlossaryTerm.appearsIn(term, translation, to));
+}
+
+module.exports = {
+    LANGUAGE_NAMES,
+    htmlSkeleton,
+    compareHtmlStructure,
+    stripCodeFences,
+    buildTranslationPrompt,
+    findMissingTerms
+};
@@ -127,6 +127,16 @@ class RealTimeWebSocketServer extends EventEmitter {
                 this.sendToClient(ws, 'unsubscribed', { room: 'ai_status' });
                 break;
                 
+            case 'subscribe_jobs':
+                this.joinRoom(ws, 'jobs');
+                this.sendToClient(ws, 'subscribed', { room: 'jobs' });
+                break;
+                
+            case 'unsubscribe_jobs':
+                this.leaveRoom(ws, 'jobs');
+                this.sendToClient(ws, 'unsubscribed', { room: 'jobs' });
+                break;
+                
             case 'get_ai_status':
                 this.handleAIStatusRequest(ws);
                 break;
@@ -363,6 +373,45 @@ class RealTimeWebSocketServer extends EventEmitter {
         });
     }
     
+    /**
+     * Broadcast a post change (e.g. a scheduled post going live) so admin lists refresh
+     */
+    broadcastPostUpdate(action, post) {
+        return this.broadcast('post_update', {
+            action,
+            post: {
+                id: post.id,
+                titleTH: post.titleTH,
+                slug: post.slug,
+                status: post.status,
+                publishAt: post.publishAt || null,
+                publishedAt: post.publishedAt || null
+            },
+            timestamp: new Date().toISOString()
+        });
+    }
+    
+    /**
+     * Broadcast AI job progress to clients subscribed to the jobs room.
+     * Prompts and results are left out; clients fetch them from /api/ai/jobs/:id
+     */
+    broadcastJobUpdate(job) {
+        return this.broadcastToRoom('jobs', 'job_update', {
+            job: {
+                id: job.id,
+                type: job.type,
+                status: job.status,
+                progress: job.progress,
+                error: job.error,
+                attempts: job.attempts,
+                cancelRequested: job.cancel_requested,
+                createdBy: job.created_by,
+                updatedAt: job.updated_at
+            },
+            timestamp: new Date().toISOString()
+        });
+    }
+    
     /**
      * Broadcast system notification
      */
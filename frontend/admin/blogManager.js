@@ -46,6 +46,13 @@ function generateSlug(title) {
         .replace(/^-|-$/g, '');
 }
 
+// Helper: escape text inserted into HTML
+function escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value ?? '';
+    return div.innerHTML;
+}
+
 async function loadBlogPosts() {
     try {
         const headers = await getAuthHeaders();
@@ -177,6 +184,24 @@ function getInputValue(id) {
     }
     return el.value;
 }
+// English fields left empty are not sent: the API rejects empty slugs and short excerpts
+const ENGLISH_FIELDS = {
+    slugEN: 'postSlugEN',
+    excerptEN: 'postExcerptEN',
+    contentEN: 'postContentEN',
+    metaTitleEN: 'metaTitleEN',
+    metaDescriptionEN: 'metaDescriptionEN',
+    focusKeywordEN: 'focusKeywordEN'
+};
+
+function getEnglishFields() {
+    return Object.fromEntries(
+        Object.entries(ENGLISH_FIELDS)
+            .map(([field, id]) => [field, getInputValue(id).trim()])
+            .filter(([, value]) => value)
+    );
+}
+
 function getContentValue(id) {
     const el = document.getElementById(id);
     if (!el) {
@@ -211,7 +236,12 @@ async function savePost() {
             focuskeyword: getInputValue('focusKeyword'), // ใช้ตัวเล็ก
             schemaType: getInputValue('schemaType'),
             status: 'draft',
+            ...getEnglishFields()
         };
+        const featuredImageUrl = getInputValue('postFeaturedImage').trim();
+        if (featuredImageUrl) {
+            postData.featured_image_url = featuredImageUrl;
+        }
         if (!postData.titleTH || !postData.excerpt) {
             showNotification('กรุณากรอกชื่อบทความและบทคัดย่อ', 'error');
             return;
@@ -263,7 +293,9 @@ async function editPost(id) {
     try {
         const res = await fetch(`${getApiBase()}/posts/${id}`);
         if (!res.ok) throw new Error('ไม่พบบทความ');
-        const post = await res.json();
+        const result = await res.json();
+        const post = result.data || result;
+        await loadCategoryOptions();
         
         currentEditingPostId = id;
         document.getElementById('postTitleTH').value = post.titleTH || post.titleth || '';
@@ -278,6 +310,11 @@ async function editPost(id) {
         document.getElementById('metaDescription').value = post.metaDescription || post.metadescription || '';
         document.getElementById('focusKeyword').value = post.focusKeyword || post.focuskeyword || '';
         document.getElementById('schemaType').value = post.schemaType || post.schematype || 'Article';
+        Object.entries(ENGLISH_FIELDS).forEach(([field, id]) => {
+            document.getElementById(id).value = post[field] || post[field.toLowerCase()] || '';
+        });
+        document.getElementById('postFeaturedImage').value = post.featured_image_url || '';
+        showFeaturedImagePreview(post.featured_image_url);
         document.getElementById('createEditTitle').textContent = 'แก้ไขบทความ';
         showSection('blog-create');
     } catch (e) {
@@ -312,6 +349,276 @@ async function deletePost(id) {
     }
 }
 
+// เติมตัวเลือกหมวดหมู่จาก /api/categories (หมวดย่อยเยื้องตามลำดับชั้น)
+async function loadCategoryOptions() {
+    const select = document.getElementById('postCategory');
+    if (!select) return;
+    try {
+        const res = await fetch(`${getApiBase()}/categories`);
+        const result = await res.json();
+        if (!res.ok || !result.success) throw new Error(result.message || result.error);
+
+        const current = select.value;
+        select.innerHTML = '<option value="">เลือกหมวดหมู่</option>';
+        const addOptions = (categories, depth) => categories.forEach(category => {
+            const option = document.createElement('option');
+            option.value = category.slug;
+            option.textContent = `${'— '.repeat(depth)}${category.name}`;
+            select.appendChild(option);
+            addOptions(category.children || [], depth + 1);
+        });
+        addOptions(result.data.categories, 0);
+        select.value = current;
+    } catch (error) {
+        console.error('❌ [DEBUG] Error loading categories:', error);
+    }
+}
+
+// สถานะการแปลภาษาอังกฤษของทุกบทความจาก /api/posts/translations
+async function loadTranslationStatus() {
+    const container = document.getElementById('translationStatus');
+    if (!container) return;
+    const labels = { complete: 'ครบแล้ว', partial: 'ยังไม่ครบ', missing: 'ยังไม่แปล' };
+    const colors = { complete: '#28a745', partial: '#e0a800', missing: '#dc3545' };
+    try {
+        const res = await fetch(`${getApiBase()}/posts/translations`, { headers: await getAuthHeaders() });
+        const result = await res.json();
+        if (!res.ok || !result.success) throw new Error(result.message || result.error);
+
+        const { posts: rows, summary } = result.data;
+
+        // ฉบับร่างคำแปลที่ยังรอตรวจ (ล่าสุดของแต่ละบทความ)
+        const draftsRes = await fetch(`${getApiBase()}/translations/drafts?status=pending_review`, { headers: await getAuthHeaders() });
+        const draftsResult = await draftsRes.json().catch(() => ({}));
+        const pendingDrafts = {};
+        (draftsResult.data?.drafts || []).forEach(draft => {
+            if (!pendingDrafts[draft.post_id]) pendingDrafts[draft.post_id] = draft.id;
+        });
+
+        container.innerHTML = `
+            <h3><i class="fas fa-language"></i> สถานะการแปลภาษาอังกฤษ</h3>
+            <p>${Object.entries(summary.en).map(([status, count]) => `${labels[status]}: ${count}`).join(' | ')}</p>
+            <table class="table">
+                <thead><tr><th>บทความ</th><th>สถานะบทความ</th><th>ภาษาอังกฤษ</th><th>ยังขาด</th><th></th></tr></thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr>
+                            <td>${escapeHtml(row.titleTH)}${row.titleEN ? `<br><small lang="en">${escapeHtml(row.titleEN)}</small>` : ''}</td>
+                            <td>${row.status}</td>
+                            <td style="color: ${colors[row.translations.en.status]}">${labels[row.translations.en.status]}</td>
+                            <td>${row.translations.en.missing.join(', ')}</td>
+                            <td>
+                                <button class="btn btn-primary" onclick="editPost('${row.id}')"><i class="fas fa-edit"></i> แก้ไข</button>
+                                <button class="btn btn-secondary" onclick="translatePostWithAI('${row.id}')"><i class="fas fa-robot"></i> แปลด้วย AI</button>
+                                ${pendingDrafts[row.id] ? `<button class="btn btn-secondary" onclick="openTranslationDraft('${pendingDrafts[row.id]}')"><i class="fas fa-eye"></i> ตรวจคำแปล</button>` : ''}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+        container.style.display = 'block';
+    } catch (error) {
+        console.error('❌ [DEBUG] Error loading translation status:', error);
+        showNotification('เกิดข้อผิดพลาดในการโหลดสถานะการแปล', 'error');
+    }
+}
+
+// ชื่อฟิลด์ที่แสดงในหน้าตรวจคำแปล
+const TRANSLATION_FIELD_LABELS = {
+    title: 'ชื่อบทความ',
+    excerpt: 'บทคัดย่อ',
+    content: 'เนื้อหา',
+    metaTitle: 'Meta Title',
+    metaDescription: 'Meta Description',
+    focusKeyword: 'Focus Keyword'
+};
+
+// ให้ AI แปลบทความเป็นภาษาอังกฤษ ผลลัพธ์เป็นฉบับร่างที่ต้องตรวจก่อนนำไปใช้
+async function translatePostWithAI(postId, target = 'en') {
+    showNotification('🌐 กำลังแปลบทความด้วย AI...', 'info');
+    try {
+        const res = await fetch(`${getApiBase()}/translations/posts/${postId}`, {
+            method: 'POST',
+            headers: await getAuthHeaders(),
+            body: JSON.stringify({ target })
+        });
+        const result = await res.json();
+        if (!res.ok || !result.success) throw new Error(result.message || result.error);
+
+        showTranslationReview(result.data);
+    } catch (error) {
+        console.error('❌ [DEBUG] Error translating post:', error);
+        showNotification(`แปลบทความไม่สำเร็จ: ${error.message}`, 'error');
+    }
+}
+
+// เปิดฉบับร่างคำแปลที่บันทึกไว้ (GET /api/translations/drafts/:id)
+async function openTranslationDraft(draftId) {
+    try {
+        const res = await fetch(`${getApiBase()}/translations/drafts/${draftId}`, { headers: await getAuthHeaders() });
+        const result = await res.json();
+        if (!res.ok || !result.success) throw new Error(result.message || result.error);
+
+        showTranslationReview(result.data);
+    } catch (error) {
+        console.error('❌ [DEBUG] Error loading translation draft:', error);
+        showNotification('เกิดข้อผิดพลาดในการโหลดฉบับร่างคำแปล', 'error');
+    }
+}
+
+// แสดงต้นฉบับเทียบกับคำแปลทีละฟิลด์ คำแปลแก้ไขได้ก่อนกดนำไปใช้
+function showTranslationReview(draft) {
+    const container = document.getElementById('translationReview');
+    if (!container) return;
+    const pending = draft.status === 'pending_review';
+
+    container.innerHTML = `
+        <h3><i class="fas fa-language"></i> ตรวจคำแปล (${draft.source_locale.toUpperCase()} → ${draft.target_locale.toUpperCase()})</h3>
+        <p><small>${escapeHtml(draft.provider || '')} ${escapeHtml(draft.model || '')} | สถานะ: ${draft.status}</small></p>
+        <table class="table" style="table-layout: fixed;">
+            <thead><tr><th style="width: 15%;">ฟิลด์</th><th>ต้นฉบับ</th><th>คำแปล</th></tr></thead>
+            <tbody>
+                ${draft.comparison.map(row => `
+                    <tr>
+                        <td>
+                            ${TRANSLATION_FIELD_LABELS[row.field] || row.field}
+                            ${row.warnings.map(warning => `<br><small style="color: #e0a800;"><i class="fas fa-exclamation-triangle"></i> ${escapeHtml(warning.message)}</small>`).join('')}
+                        </td>
+                        <td><textarea class="form-control" rows="${row.field === 'content' ? 12 : 2}" readonly>${escapeHtml(row.source)}</textarea></td>
+                        <td>
+                            <textarea class="form-control" rows="${row.field === 'content' ? 12 : 2}" data-translation-field="${row.field}" ${pending ? '' : 'readonly'}>${escapeHtml(row.translation)}</textarea>
+                            ${row.current ? `<small>ค่าปัจจุบัน: ${escapeHtml(row.current.slice(0, 120))}</small>` : ''}
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        ${pending ? `
+            <button class="btn btn-primary" onclick="applyTranslationDraft('${draft.id}')"><i class="fas fa-check"></i> นำคำแปลไปใช้</button>
+            <button class="btn btn-secondary" onclick="rejectTranslationDraft('${draft.id}')"><i class="fas fa-times"></i> ไม่ใช้คำแปลนี้</button>
+        ` : ''}
+    `;
+    container.style.display = 'block';
+    container.scrollIntoView({ behavior: 'smooth' });
+}
+
+async function applyTranslationDraft(draftId) {
+    const fields = {};
+    document.querySelectorAll('#translationReview [data-translation-field]').forEach(textarea => {
+        fields[textarea.dataset.translationField] = textarea.value;
+    });
+
+    try {
+        const res = await fetch(`${getApiBase()}/translations/drafts/${draftId}/apply`, {
+            method: 'POST',
+            headers: await getAuthHeaders(),
+            body: JSON.stringify({ fields })
+        });
+        const result = await res.json();
+        if (!res.ok || !result.success) {
+            throw new Error((result.details || []).map(detail => detail.message).join(', ') || result.message || result.error);
+        }
+
+        showNotification('✅ นำคำแปลไปใช้กับบทความแล้ว', 'success');
+        document.getElementById('translationReview').style.display = 'none';
+        await loadTranslationStatus();
+    } catch (error) {
+        console.error('❌ [DEBUG] Error applying translation draft:', error);
+        showNotification(`นำคำแปลไปใช้ไม่สำเร็จ: ${error.message}`, 'error');
+    }
+}
+
+async function rejectTranslationDraft(draftId) {
+    try {
+        const res = await fetch(`${getApiBase()}/translations/drafts/${draftId}/reject`, {
+            method: 'POST',
+            headers: await getAuthHeaders()
+        });
+        const result = await res.json();
+        if (!res.ok || !result.success) throw new Error(result.message || result.error);
+
+        showNotification('ไม่ใช้คำแปลนี้แล้ว', 'info');
+        document.getElementById('translationReview').style.display = 'none';
+    } catch (error) {
+        console.error('❌ [DEBUG] Error rejecting translation draft:', error);
+        showNotification('เกิดข้อผิดพลาดในการปฏิเสธคำแปล', 'error');
+    }
+}
+
+// Upload an image to the media library (/api/media); returns the media record
+async function uploadMedia(file, altText = '') {
+    const headers = await getAuthHeaders();
+    delete headers['Content-Type']; // The browser sets the multipart boundary
+
+    const formData = new FormData();
+    formData.append('file', file);
+    if (altText) formData.append('alt_text_th', altText);
+
+    const res = await fetch(`${getApiBase()}/media`, {
+        method: 'POST',
+        headers,
+        body: formData
+    });
+    const result = await res.json().catch(() => ({}));
+    if (!res.ok || !result.success) {
+        throw new Error(result.message || result.error || 'Upload failed');
+    }
+    return result.data;
+}
+
+function showFeaturedImagePreview(url) {
+    const preview = document.getElementById('featuredImagePreview');
+    if (!preview) return;
+    preview.src = url || '';
+    preview.style.display = url ? 'block' : 'none';
+}
+
+// อัปโหลดภาพหน้าปกแล้วใส่ URL ของภาพ WebP ให้บทความ
+async function uploadFeaturedImage() {
+    const file = document.getElementById('featuredImageFile')?.files[0];
+    if (!file) {
+        showNotification('กรุณาเลือกไฟล์ภาพ', 'error');
+        return;
+    }
+    try {
+        const media = await uploadMedia(file, getInputValue('featuredImageAlt').trim());
+        document.getElementById('postFeaturedImage').value = media.webpUrl || media.url;
+        showFeaturedImagePreview(media.thumbnailUrl || media.url);
+        showNotification('🖼️ อัปโหลดภาพเรียบร้อย', 'success');
+    } catch (error) {
+        console.error('❌ [DEBUG] Error uploading image:', error);
+        showNotification(`อัปโหลดภาพไม่สำเร็จ: ${error.message}`, 'error');
+    }
+}
+
+// เลือกภาพ อัปโหลด แล้วแทรกลงในเนื้อหาบทความ
+function insertImage() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'image/*';
+    input.onchange = async () => {
+        const file = input.files[0];
+        if (!file) return;
+        const altText = prompt('คำอธิบายภาพ (alt text):', '') || '';
+        try {
+            const media = await uploadMedia(file, altText);
+            const img = document.createElement('img');
+            img.src = media.webpUrl || media.url;
+            img.alt = media.alt_text_th || altText;
+            if (media.variants?.webp?.width) img.width = media.variants.webp.width;
+            if (media.variants?.webp?.height) img.height = media.variants.webp.height;
+            img.loading = 'lazy';
+            document.getElementById('postContent').appendChild(img);
+            showNotification('🖼️ แทรกภาพเรียบร้อย', 'success');
+        } catch (error) {
+            console.error('❌ [DEBUG] Error inserting image:', error);
+            showNotification(`อัปโหลดภาพไม่สำเร็จ: ${error.message}`, 'error');
+        }
+    };
+    input.click();
+}
+
 // ฟังก์ชันสำหรับ publish post
 async function publishPost(id) {
     console.log('🚀 [DEBUG] Publishing post with ID:', id);
@@ -328,11 +635,18 @@ async function publishPost(id) {
         // อัปเดต status เป็น published
         const updated = { ...post, status: 'published' };
         const authHeaders = await getAuthHeaders();
-        const res = await fetch(`${getApiBase()}/posts/${id}`, {
+        const putPost = () => fetch(`${getApiBase()}/posts/${id}`, {
             method: 'PUT',
             headers: authHeaders,
             body: JSON.stringify(updated)
         });
+        let res = await putPost();
+        // The pre-publish review found text an editor has to check first
+        if (res.status === 409) {
+            const review = await res.json();
+            if (!(await acknowledgeReviewFindings(id, review.findings || []))) return;
+            res = await putPost();
+        }
         if (!res.ok) throw new Error('Failed to publish');
         showNotification('✅ เผยแพร่บทความเรียบร้อย', 'success');
         await loadBlogPosts();
@@ -342,6 +656,41 @@ async function publishPost(id) {
     }
 }
 
+const REVIEW_FINDING_LABELS = {
+    'numeric-claim': 'ตัวเลขที่ไม่มีแหล่งอ้างอิง',
+    'safety': 'คำแนะนำที่อาจไม่ปลอดภัย',
+    'prohibited-term': 'คำต้องห้าม',
+    'part-number': 'รหัสอะไหล่ที่ตรวจสอบไม่ได้'
+};
+
+/**
+ * Walk the editor through each review finding; all of them have to be
+ * confirmed before they are acknowledged on the server
+ * @returns {Promise<boolean>} - Every finding was acknowledged
+ */
+async function acknowledgeReviewFindings(id, findings) {
+    for (const [index, finding] of findings.entries()) {
+        const message = `ตรวจสอบก่อนเผยแพร่ (${index + 1}/${findings.length})\n` +
+            `${REVIEW_FINDING_LABELS[finding.type] || finding.type}: "${finding.match}"\n\n` +
+            `${finding.excerpt}\n\n${finding.message}\n\nยืนยันว่าตรวจสอบแล้วหรือไม่?`;
+        if (!confirm(message)) {
+            showNotification('ยังไม่ได้เผยแพร่: กรุณาแก้ไขหรือยืนยันผลการตรวจสอบให้ครบ', 'warning');
+            return false;
+        }
+    }
+
+    const res = await fetch(`${getApiBase()}/posts/${id}/review/acknowledge`, {
+        method: 'POST',
+        headers: await getAuthHeaders(),
+        body: JSON.stringify({ findingIds: findings.map(finding => finding.id) })
+    });
+    if (!res.ok) {
+        showNotification('ยืนยันผลการตรวจสอบไม่สำเร็จ (ต้องเป็นบรรณาธิการหรือผู้ดูแล)', 'error');
+        return false;
+    }
+    return true;
+}
+
 /**
  * Save post with E-A-T optimization
  */
@@ -527,6 +876,15 @@ window.editPost = editPost;
 window.previewPost = previewPost;
 window.deletePost = deletePost;
 window.publishPost = publishPost;
+window.loadCategoryOptions = loadCategoryOptions;
+window.loadTranslationStatus = loadTranslationStatus;
+window.translatePostWithAI = translatePostWithAI;
+window.openTranslationDraft = openTranslationDraft;
+window.applyTranslationDraft = applyTranslationDraft;
+window.rejectTranslationDraft = rejectTranslationDraft;
+window.uploadMedia = uploadMedia;
+window.uploadFeaturedImage = uploadFeaturedImage;
+window.insertImage = insertImage;
 window.savePostWithEATOptimization = savePostWithEATOptimization;
 window.optimizePostWithEAT = optimizePostWithEAT;
 window.processAISuggestions = processAISuggestions;
@@ -555,4 +913,7 @@ if (window.RealisticSeoAnalyzer) {
     setTimeout(() => clearInterval(checkInterval), 10000);
 }
 
+// The static options in index.html only cover the default categories
+loadCategoryOptions();
+
 console.log('✅ [BLOG MANAGER] Blog management functions loaded and available globally');
\ No newline at end of file
@@ -316,16 +316,18 @@ ${prompt} จะช่วยให้รถเกี่ยวข้าวทำ
             Environment.log('📏 Expected output:', seoStrategy.targetWordCount, 'words');
             Environment.log('🎯 Token limit:', seoStrategy.tokenLimit);
 
-            // Build comprehensive prompt with SEO strategy
-            const enhancedPrompt = `สร้างบทความเกี่ยวกับ "${prompt}" 
-            
-หมวดหมู่: ${topicCategory}
-เป้าหมาย: ${seoStrategy.targetWordCount} คำ
-ระยะเวลาอ่าน: ${seoStrategy.expectedReadingTime}
-โครงสร้าง: ${seoStrategy.contentStructure}
-ความลึก: ${seoStrategy.contentDepth}
-
-กรุณาสร้างเนื้อหาที่ครอบคลุมและละเอียดตามข้อมูลด้านบน รวมถึงตัวอย่าง ขั้นตอนปฏิบัติ และคำแนะนำสำหรับเกษตรกรไทย`;
+            // The prompt text lives in the backend prompt template registry (content.article)
+            const template = {
+                name: 'content.article',
+                variables: {
+                    topic: prompt,
+                    category: topicCategory,
+                    targetWordCount: seoStrategy.targetWordCount,
+                    readingTime: seoStrategy.expectedReadingTime,
+                    structure: seoStrategy.contentStructure,
+                    depth: seoStrategy.contentDepth
+                }
+            };
 
             const response = await fetch(`${apiBase}/api/ai/chat`, {
                 method: 'POST',
@@ -335,7 +337,7 @@ ${prompt} จะช่วยให้รถเกี่ยวข้าวทำ
                 },
                 body: JSON.stringify({
                     provider: 'qwen3', // Default to Qwen3-235B for enhanced content generation
-                    message: enhancedPrompt,
+                    template: template,
                     options: {
                         contentLength: seoStrategy.contentDepth,
                         articleType: topicCategory,
@@ -354,6 +356,9 @@ ${prompt} จะช่วยให้รถเกี่ยวข้าวทำ
             if (result.success && result.response) {
                 const generatedContent = result.response.content || result.response;
                 Environment.log('✅ Backend AI service returned:', generatedContent.length, 'characters');
+                if (result.template) {
+                    Environment.log('📝 Prompt template:', `${result.template.name} v${result.template.version}`);
+                }
                 
                 // Estimate word count
                 const wordCount = this.estimateWordCount(generatedContent);
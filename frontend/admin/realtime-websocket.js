@@ -56,6 +56,7 @@ class RealTimeWebSocket {
                 console.log('✅ [WEBSOCKET] Connected! Real-time updates active');
                 this.startHeartbeat();
                 this.processMessageQueue();
+                this.send('subscribe_jobs');
                 this.emit('connected');
             };
             
@@ -139,6 +140,12 @@ class RealTimeWebSocket {
                 case 'system_notification':
                     this.handleSystemNotification(message.data);
                     break;
+                case 'post_update':
+                    this.handlePostUpdate(message.data);
+                    break;
+                case 'job_update':
+                    this.handleJobUpdate(message.data);
+                    break;
                 default:
                     console.log(`🔄 [WEBSOCKET] Unknown message type: ${message.type}`);
             }
@@ -193,6 +200,36 @@ class RealTimeWebSocket {
         }
     }
     
+    /**
+     * Handle post changes made on the server (e.g. scheduled posts going live)
+     */
+    handlePostUpdate(data) {
+        if (typeof window.loadPosts === 'function') {
+            window.loadPosts();
+        }
+        
+        if (window.showNotification && data.action === 'published') {
+            window.showNotification(`📢 เผยแพร่แล้ว: ${data.post.titleTH}`, 'success');
+        }
+        
+        console.log(`⚡ [WEBSOCKET] Post ${data.post.id} ${data.action}`);
+    }
+    
+    /**
+     * Handle background AI job progress (swarm council and E-A-T pipelines)
+     */
+    handleJobUpdate(data) {
+        const job = data.job;
+        
+        if (window.showNotification && job.status === 'completed') {
+            window.showNotification(`✅ งาน AI (${job.type}) เสร็จแล้ว`, 'success');
+        } else if (window.showNotification && job.status === 'failed') {
+            window.showNotification(`❌ งาน AI (${job.type}) ล้มเหลว: ${job.error}`, 'error');
+        }
+        
+        console.log(`⚡ [WEBSOCKET] Job ${job.id} ${job.status} (${job.progress.completed}/${job.progress.total ?? '?'})`);
+    }
+    
     /**
      * Handle system notifications
      */
@@ -349,4 +386,4 @@ window.realTimeWS = realTimeWS;
 // Export for module use
 export default realTimeWS;
 
-console.log('⚡ [WEBSOCKET] Real-time WebSocket client loaded');
\ No newline at end of file
+console.log('⚡ [WEBSOCKET] Real-time WebSocket client loaded');
\ No newline at end of file
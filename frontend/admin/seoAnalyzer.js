@@ -1,4 +1,27 @@
 // seoAnalyzer.js
+import { API_BASE } from '../config.js';
+
+// POST a saved post's id (or unsaved post fields) to a backend posts endpoint
+async function postToServer(path, post, options) {
+    const token = localStorage.getItem('jwtToken') ||
+                  localStorage.getItem('token') ||
+                  sessionStorage.getItem('authToken');
+    const { id, ...fields } = post;
+
+    const response = await fetch(`${API_BASE}/posts/${path}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            ...(token && { 'Authorization': `Bearer ${token}` })
+        },
+        body: JSON.stringify({ ...(id ? { postId: id } : fields), ...options })
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || !result.success) {
+        throw new Error(result.message || result.error || `HTTP ${response.status}`);
+    }
+    return result.data;
+}
 
 // Backlinks Analyzer Class
 export class BacklinksAnalyzer {
@@ -167,6 +190,29 @@ export class RealisticSeoAnalyzer {
         };
     }
 
+    /**
+     * Full analysis from the backend (/api/posts/seo-analyze): Thai-aware
+     * readability, keyword, headings, links, images, meta and E-A-T, with
+     * itemized findings and fixes - the same scoring the AI swarm uses.
+     * Saved posts are analysed as stored; pass fields to analyse unsaved edits.
+     * @param {Object} post - { id } and/or post fields
+     * @param {Object} options - { keyword, lang }
+     */
+    async analyzeOnServer(post, options = {}) {
+        return postToServer('seo-analyze', post, options);
+    }
+
+    /**
+     * Schema.org JSON-LD exactly as the public page embeds it
+     * (/api/posts/structured-data), with warnings about what was left out
+     * @param {Object} post - { id } or post fields
+     * @param {Object} options - { lang }
+     * @returns {Promise<Object>} - { jsonLd, script, types, warnings }
+     */
+    async structuredDataOnServer(post, options = {}) {
+        return postToServer('structured-data', post, options);
+    }
+
     analyzeTechnical(post) {
         const issues = [];
         let score = 85;
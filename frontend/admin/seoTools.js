@@ -25,6 +25,42 @@ let seoSettings = JSON.parse(localStorage.getItem('seoSettings')) || {};
 const seoAnalyzer = new RealisticSeoAnalyzer();
 const geminiAI = new Gemini20FlashEngine(GEMINI_CONFIG);
 
+// Category names and finding colours for the backend SEO analysis
+const SEO_CATEGORY_LABELS = {
+    readability: 'ความอ่านง่าย',
+    keyword: 'คีย์เวิร์ด',
+    headings: 'หัวข้อ (H2/H3)',
+    links: 'ลิงก์',
+    images: 'รูปภาพ / Alt',
+    meta: 'Title / Meta',
+    eat: 'E-A-T'
+};
+const SEVERITY_COLORS = { high: '#dc3545', medium: '#e0a800', low: '#6c757d' };
+
+function escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value ?? '';
+    return div.innerHTML;
+}
+
+function renderSeoFindings(findings) {
+    if (findings.length === 0) {
+        return '<p style="color: green;">✅ ไม่พบปัญหา SEO</p>';
+    }
+    return `
+        <h5>ปัญหาที่พบ (${findings.length}):</h5>
+        <ul>
+            ${findings.map(finding => `
+                <li>
+                    <strong style="color: ${SEVERITY_COLORS[finding.severity]};">[${finding.severity}]</strong>
+                    ${escapeHtml(finding.message)}
+                    <br><small>แก้ไข: ${escapeHtml(finding.fix)}</small>
+                </li>
+            `).join('')}
+        </ul>
+    `;
+}
+
 export async function runGeminiSeoCheck() {
     try {
         const postId = document.getElementById('postSelectForSeo').value;
@@ -628,27 +664,16 @@ export async function runSEOCheck() {
             return;
         }
 
-        // Run comprehensive SEO analysis
-        const analysis = seoAnalyzer.analyzePost(post);
-        const score = analysis.overallScore || 0;
-        
-        let issues = [];
-        if (analysis.titleIssues?.length) issues.push(...analysis.titleIssues);
-        if (analysis.metaIssues?.length) issues.push(...analysis.metaIssues);
-        if (analysis.contentIssues?.length) issues.push(...analysis.contentIssues);
+        // Run comprehensive SEO analysis on the backend
+        const analysis = await seoAnalyzer.analyzeOnServer(post);
 
         showNotification('✅ ตรวจสอบ SEO เสร็จสิ้น', 'success');
         
         // Show results
         showReusableModal('seoCheckModal', `
             <div>
-                <h4>คะแนน SEO: ${score}/100</h4>
-                ${issues.length > 0 ? `
-                    <h5>ปัญหาที่พบ:</h5>
-                    <ul>
-                        ${issues.map(issue => `<li>${issue}</li>`).join('')}
-                    </ul>
-                ` : '<p style="color: green;">✅ ไม่พบปัญหา SEO</p>'}
+                <h4>คะแนน SEO: ${analysis.score}/100 (${analysis.grade})</h4>
+                ${renderSeoFindings(analysis.findings)}
             </div>
         `, '<i class="fas fa-search"></i> SEO Check Results');
 
@@ -682,7 +707,8 @@ export async function viewSEOReport() {
             return;
         }
 
-        const analysis = seoAnalyzer.analyzePost(post);
+        const analysis = await seoAnalyzer.analyzeOnServer(post);
+        const { readability, keyword, links, images, eat } = analysis;
         
         showNotification('✅ สร้างรายงาน SEO เสร็จสิ้น', 'success');
         
@@ -691,28 +717,22 @@ export async function viewSEOReport() {
             <div>
                 <h4>รายงาน SEO แบบละเอียด</h4>
                 <div style="margin: 10px 0;">
-                    <strong>คะแนนรวม:</strong> ${analysis.overallScore || 0}/100
-                </div>
-                <div style="margin: 10px 0;">
-                    <strong>Title SEO:</strong> ${analysis.titleScore || 0}/100
-                </div>
-                <div style="margin: 10px 0;">
-                    <strong>Meta Description:</strong> ${analysis.metaScore || 0}/100
-                </div>
-                <div style="margin: 10px 0;">
-                    <strong>Content SEO:</strong> ${analysis.contentScore || 0}/100
-                </div>
-                <div style="margin: 10px 0;">
-                    <strong>Technical SEO:</strong> ${analysis.technicalScore || 0}/100
+                    <strong>คะแนนรวม:</strong> ${analysis.score}/100 (${analysis.grade})
                 </div>
+                ${Object.entries(analysis.categories).map(([category, score]) => `
+                    <div style="margin: 10px 0;">
+                        <strong>${SEO_CATEGORY_LABELS[category] || category}:</strong> ${score}/100
+                    </div>
+                `).join('')}
+                <hr>
+                <p>
+                    ${readability.words} คำ, ${readability.sentences} ประโยค (เฉลี่ย ${readability.averageSentenceWords} คำ/ประโยค)<br>
+                    ${keyword.keyword ? `คีย์เวิร์ด "${escapeHtml(keyword.keyword)}": ${keyword.occurrences} ครั้ง (${keyword.density}%)<br>` : ''}
+                    ลิงก์ภายใน ${links.internal}, ภายนอก ${links.external} | รูปภาพ ${images.withAlt}/${images.total} มี alt<br>
+                    E-A-T: Expertise ${eat.expertise.score}, Experience ${eat.experience.score}, Authoritativeness ${eat.authoritativeness.score}, Trust ${eat.trustworthiness.score}
+                </p>
                 <hr>
-                <h5>ข้อเสนอแนะ:</h5>
-                <ul>
-                    <li>ใช้ keywords ในตำแหน่งที่สำคัญ</li>
-                    <li>เพิ่มลิงก์ภายในและภายนอกที่เกี่ยวข้อง</li>
-                    <li>ปรับปรุง meta description ให้น่าสนใจ</li>
-                    <li>ใช้ header tags (H1, H2, H3) อย่างเหมาะสม</li>
-                </ul>
+                ${renderSeoFindings(analysis.findings)}
             </div>
         `, '<i class="fas fa-chart-line"></i> SEO Report');
 
@@ -731,7 +751,7 @@ export async function viewSitemap() {
         
         // Generate sitemap from posts
         const sitemapEntries = posts.map(post => ({
-            url: `/posts/${post.slug || post.id}`,
+            url: `/blog/${post.slug || post.id}`,
             lastmod: post.updatedAt || post.createdAt || new Date().toISOString(),
             changefreq: 'weekly',
             priority: '0.8'
@@ -750,6 +770,12 @@ export async function viewSitemap() {
         showReusableModal('sitemapModal', `
             <div>
                 <h4>Sitemap (${sitemapEntries.length} หน้า)</h4>
+                <p>
+                    <a href="/sitemap.xml" target="_blank" rel="noopener">sitemap.xml</a> |
+                    <a href="/feed.xml" target="_blank" rel="noopener">RSS</a> |
+                    <a href="/atom.xml" target="_blank" rel="noopener">Atom</a> |
+                    <a href="/robots.txt" target="_blank" rel="noopener">robots.txt</a>
+                </p>
                 <div style="max-height: 400px; overflow-y: auto;">
                     <table style="width: 100%; border-collapse: collapse;">
                         <thead>
@@ -895,39 +921,21 @@ export async function generateSchema() {
             return;
         }
 
-        // Generate schema for article
-        const schema = {
-            "@context": "https://schema.org",
-            "@type": "Article",
-            "headline": post.title,
-            "description": post.metaDescription || post.excerpt || '',
-            "author": {
-                "@type": "Person",
-                "name": post.author || "ผู้เขียน"
-            },
-            "datePublished": post.createdAt || new Date().toISOString(),
-            "dateModified": post.updatedAt || post.createdAt || new Date().toISOString(),
-            "image": post.featuredImage || '',
-            "publisher": {
-                "@type": "Organization",
-                "name": "Your Website",
-                "logo": {
-                    "@type": "ImageObject",
-                    "url": "/logo.png"
-                }
-            }
-        };
+        // Same JSON-LD the public page embeds
+        const { script, types, warnings } = await seoAnalyzer.structuredDataOnServer(post);
 
         showNotification('✅ สร้าง Schema Markup เสร็จสิ้น', 'success');
         
         showReusableModal('schemaModal', `
             <div>
-                <h4>Schema Markup สำหรับ: ${post.title}</h4>
-                <p>คัดลอกโค้ดด้านล่างไปใส่ใน &lt;head&gt; ของหน้าเว็บ</p>
-                <textarea style="width: 100%; height: 300px; font-family: monospace; font-size: 12px;" readonly>
-&lt;script type="application/ld+json"&gt;
-${JSON.stringify(schema, null, 2)}
-&lt;/script&gt;</textarea>
+                <h4>Schema Markup สำหรับ: ${escapeHtml(post.titleTH || post.title)}</h4>
+                <p>หน้าบทความ (/blog/...) ใส่โค้ดนี้ใน &lt;head&gt; ให้อัตโนมัติ: <strong>${types.join(', ')}</strong></p>
+                ${warnings.length > 0 ? `
+                    <ul>
+                        ${warnings.map(warning => `<li style="color: #e0a800;">${escapeHtml(warning.message)}</li>`).join('')}
+                    </ul>
+                ` : ''}
+                <textarea style="width: 100%; height: 300px; font-family: monospace; font-size: 12px;" readonly>${escapeHtml(script)}</textarea>
                 <button class="btn btn-primary" onclick="copyToClipboard(this.previousElementSibling.value)" style="margin-top: 10px;">
                     <i class="fas fa-copy"></i> คัดลอก
                 </button>
@@ -947,41 +955,32 @@ export async function autoGenerateSchema() {
     try {
         showNotification('🔄 กำลังสร้าง Schema อัตโนมัติ...', 'info');
         
-        // Generate schema for all posts
-        const schemas = posts.map(post => ({
+        // Check the structured data every post's public page embeds
+        const schemas = await Promise.all(posts.map(async post => ({
             id: post.id,
-            title: post.title,
-            schema: {
-                "@context": "https://schema.org",
-                "@type": "Article",
-                "headline": post.title,
-                "description": post.metaDescription || post.excerpt || '',
-                "author": {
-                    "@type": "Person",
-                    "name": post.author || "ผู้เขียน"
-                },
-                "datePublished": post.createdAt || new Date().toISOString(),
-                "dateModified": post.updatedAt || post.createdAt || new Date().toISOString()
-            }
-        }));
+            title: post.titleTH || post.title,
+            ...await seoAnalyzer.structuredDataOnServer({ id: post.id })
+                .catch(error => ({ types: [], warnings: [{ message: error.message }] }))
+        })));
 
         showNotification('✅ สร้าง Schema อัตโนมัติเสร็จสิ้น', 'success');
         
         showReusableModal('autoSchemaModal', `
             <div>
                 <h4>Schema Markup อัตโนมัติ</h4>
-                <p>สร้าง Schema สำหรับ ${schemas.length} บทความ</p>
+                <p>Schema ของ ${schemas.length} บทความ</p>
                 <div style="max-height: 400px; overflow-y: auto;">
                     ${schemas.map(item => `
                         <div style="border: 1px solid #ddd; padding: 10px; margin: 5px 0; border-radius: 4px;">
-                            <strong>${item.title}</strong>
+                            <strong>${escapeHtml(item.title)}</strong>
                             <br>
-                            <small>Schema Type: Article</small>
+                            <small>Schema Type: ${item.types.join(', ') || '-'}</small>
+                            ${item.warnings.map(warning => `<br><small style="color: #e0a800;">${escapeHtml(warning.message)}</small>`).join('')}
                         </div>
                     `).join('')}
                 </div>
                 <p style="margin-top: 15px;">
-                    <small>Schema Markup ได้ถูกเพิ่มในระบบอัตโนมัติแล้ว</small>
+                    <small>หน้าบทความที่เผยแพร่แล้วใส่ Schema Markup ให้อัตโนมัติ</small>
                 </p>
             </div>
         `, '<i class="fas fa-magic"></i> Auto Schema Generation');
@@ -890,6 +890,7 @@ class CMSDashboard {
         const statusMap = {
             'published': 'เผยแพร่แล้ว',
             'draft': 'ฉบับร่าง',
+            'scheduled': 'ตั้งเวลาเผยแพร่',
             'archived': 'เก็บถาวร'
         };
         return statusMap[status] || status;